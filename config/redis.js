@@ -1,23 +1,36 @@
 import Redis from 'ioredis';
 
-// Upstash Redis URL format
+// Upstash Redis URL format (rediss:// for TLS)
 const REDIS_URL = process.env.REDIS_URL;
 
-const redisClient = new Redis(REDIS_URL, {
-  tls: {
-    rejectUnauthorized: true  // Enable TLS for Upstash
-  },
-  retryStrategy: (times) => {
-    const delay = Math.min(times * 50, 2000);
-    return delay;
-  },
-  maxRetriesPerRequest: 3,
-  enableReadyCheck: true,
-  connectTimeout: 10000,
-});
+// Without REDIS_URL (local development, tests) the cache and rate limiter use in-memory stores
+const redisClient = REDIS_URL
+  ? new Redis(REDIS_URL, {
+    ...(REDIS_URL.startsWith('rediss://') && {
+      tls: {
+        rejectUnauthorized: true  // Enable TLS for Upstash
+      }
+    }),
+    retryStrategy: (times) => {
+      const delay = Math.min(times * 50, 2000);
+      return delay;
+    },
+    maxRetriesPerRequest: 3,
+    enableReadyCheck: true,
+    connectTimeout: 10000,
+  })
+  : null;
 
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
-redisClient.on('connect', () => console.log('Redis Client Connected'));
-redisClient.on('ready', () => console.log('Redis Client Ready'));
+if (redisClient) {
+  redisClient.on('error', (err) => console.error('Redis Client Error', err));
+  redisClient.on('connect', () => console.log('Redis Client Connected'));
+  redisClient.on('ready', () => console.log('Redis Client Ready'));
+}
 
-export default redisClient; 
\ No newline at end of file
+/**
+ * Whether Redis can take commands right now. Callers fall back to their
+ * in-memory store instead of queueing commands while Redis is reconnecting.
+ */
+export const isRedisReady = () => redisClient?.status === 'ready';
+
+export default redisClient;
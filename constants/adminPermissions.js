@@ -0,0 +1,90 @@
+/**
+ * Staff roles and what each one may do.
+ * Staff accounts have User.role 'admin'; User.adminRole picks one of
+ * ADMIN_ROLES. Routes check permissions, never the staff role itself.
+ */
+
+export const ADMIN_ROLES = ['support', 'moderator', 'finance', 'super_admin'];
+
+export const PERMISSIONS = [
+  'dashboard.view',
+  'users.read',
+  'users.manage',
+  'users.roles',
+  'bookings.read',
+  'bookings.manage',
+  'listings.read',
+  'listings.moderate',
+  'listings.manage',
+  'reviews.moderate',
+  'kyc.read',
+  'kyc.review',
+  'withdrawals.read',
+  'withdrawals.approve',
+  'transactions.read',
+  'fees.manage',
+  'leases.read',
+  'leases.manage',
+  'agencies.manage',
+  'subscriptions.manage',
+  'coupons.manage',
+  'reports.read',
+  'disputes.manage',
+  'content.manage',
+  'notifications.broadcast',
+  'audit.read',
+  'security.manage'
+];
+
+export const ROLE_PERMISSIONS = {
+  support: ['dashboard.view', 'users.read', 'bookings.read'],
+  moderator: ['dashboard.view', 'listings.read', 'listings.moderate', 'reviews.moderate', 'kyc.read', 'kyc.review'],
+  finance: ['dashboard.view', 'withdrawals.read', 'withdrawals.approve', 'transactions.read', 'fees.manage', 'leases.read'],
+  super_admin: PERMISSIONS
+};
+
+// Staff accounts already reported as having no staff role, so each is logged once per process
+const reportedWithoutStaffRole = new Set();
+
+/**
+ * Whether an admin account has a staff role that grants permissions
+ * @param {Object} user - User with role and adminRole
+ * @returns {boolean}
+ */
+export const hasStaffRole = (user) => user?.role === 'admin' && !!ROLE_PERMISSIONS[user.adminRole];
+
+/**
+ * Permissions granted to a user. Fails closed: non-staff and staff without a
+ * (known) staff role get none, and the latter is logged so the account can be
+ * given a role.
+ * @param {Object} user - User with role and adminRole
+ * @returns {string[]} Permissions
+ */
+export const getPermissions = (user) => {
+  if (user?.role !== 'admin') return [];
+
+  if (!hasStaffRole(user)) {
+    if (!reportedWithoutStaffRole.has(user.id)) {
+      reportedWithoutStaffRole.add(user.id);
+      console.warn(`⚠️ [PERMISSIONS] Admin ${user.id} has no valid staff role (adminRole: ${user.adminRole ?? 'null'}); all staff permissions denied until one is assigned`);
+    }
+    return [];
+  }
+
+  return ROLE_PERMISSIONS[user.adminRole];
+};
+
+/**
+ * @param {Object} user - User with role and adminRole
+ * @param {string} permission - e.g. 'withdrawals.approve'
+ * @returns {boolean} Whether the user holds the permission
+ */
+export const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+/**
+ * Staff roles that hold a permission, for finding who to notify
+ * @param {string} permission - e.g. 'listings.moderate'
+ * @returns {string[]} Staff roles
+ */
+export const rolesWithPermission = (permission) =>
+  ADMIN_ROLES.filter((adminRole) => ROLE_PERMISSIONS[adminRole].includes(permission));
@@ -1,4 +1,5 @@
 import adminBookingService from '../services/adminBookingService.js';
+import { getAuditContext } from '../services/auditLogService.js';
 
 /**
  * Admin Booking Controller
@@ -87,7 +88,7 @@ export const updateBooking = async (req, res) => {
         const updates = req.body;
         const adminId = req.user.id;
 
-        const result = await adminBookingService.updateBooking(id, updates, adminId);
+        const result = await adminBookingService.updateBooking(id, updates, adminId, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -112,7 +113,7 @@ export const approveBooking = async (req, res) => {
         const { id } = req.params;
         const adminId = req.user.id;
 
-        const result = await adminBookingService.approveBooking(id, adminId);
+        const result = await adminBookingService.approveBooking(id, adminId, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -145,7 +146,7 @@ export const rejectBooking = async (req, res) => {
             });
         }
 
-        const result = await adminBookingService.rejectBooking(id, adminId, reason);
+        const result = await adminBookingService.rejectBooking(id, adminId, reason, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -182,7 +183,7 @@ export const markAsPaid = async (req, res) => {
             paymentMethod,
             transactionId,
             adminId
-        });
+        }, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -238,7 +239,7 @@ export const confirmBooking = async (req, res) => {
         const result = await adminBookingService.confirmBooking(id, {
             ownerNotes,
             adminId
-        });
+        }, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -274,7 +275,7 @@ export const cancelBooking = async (req, res) => {
         const result = await adminBookingService.cancelBooking(id, {
             cancellationReason,
             adminId
-        });
+        }, getAuditContext(req));
 
         if (!result.success) {
             return res.status(result.statusCode || 500).json(result);
@@ -1,4 +1,5 @@
 import * as adminDashboardService from '../services/adminDashboardService.js';
+import { getAuditContext } from '../services/auditLogService.js';
 
 const respond = (res, result) => {
   const statusCode = result?.statusCode || (result?.success ? 200 : 500);
@@ -22,14 +23,14 @@ export const getUsers = async (req, res) => {
 
 export const createAdminUser = async (req, res) => {
   const adminId = req.user.id;
-  const result = await adminDashboardService.createAdminUser(adminId, req.body);
+  const result = await adminDashboardService.createAdminUser(adminId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
 export const updateUserStatus = async (req, res) => {
   const adminId = req.user.id;
   const { userId } = req.params;
-  const result = await adminDashboardService.updateUserStatus(adminId, userId, req.body);
+  const result = await adminDashboardService.updateUserStatus(adminId, userId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
@@ -71,21 +72,21 @@ export const updatePropertyStatus = async (req, res) => {
   console.log('🆔 Extracted adminId:', adminId, 'Type:', typeof adminId);
   console.log('🏠 Property ID:', propertyId);
 
-  const result = await adminDashboardService.updatePropertyStatus(adminId, propertyId, req.body);
+  const result = await adminDashboardService.updatePropertyStatus(adminId, propertyId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
 export const updatePropertyFeature = async (req, res) => {
   const adminId = req.user.id;
   const { propertyId } = req.params;
-  const result = await adminDashboardService.updatePropertyFeature(adminId, propertyId, req.body);
+  const result = await adminDashboardService.updatePropertyFeature(adminId, propertyId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
 export const moderateProperty = async (req, res) => {
   const adminId = req.user.id;
   const { propertyId } = req.params;
-  const result = await adminDashboardService.moderateProperty(adminId, propertyId, req.body);
+  const result = await adminDashboardService.moderateProperty(adminId, propertyId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
@@ -158,6 +159,42 @@ export const toggleSubscriptionPlanStatus = async (req, res) => {
   return respond(res, result);
 };
 
+export const getCoupons = async (req, res) => {
+  const result = await adminDashboardService.getCoupons(req.query);
+  return respond(res, result);
+};
+
+export const getCouponDetail = async (req, res) => {
+  const { couponId } = req.params;
+  const result = await adminDashboardService.getCouponDetail(couponId);
+  return respond(res, result);
+};
+
+export const createCoupon = async (req, res) => {
+  const adminId = req.user.id;
+  const result = await adminDashboardService.createCoupon(adminId, req.body);
+  return respond(res, result);
+};
+
+export const updateCoupon = async (req, res) => {
+  const adminId = req.user.id;
+  const { couponId } = req.params;
+  const result = await adminDashboardService.updateCoupon(adminId, couponId, req.body);
+  return respond(res, result);
+};
+
+export const toggleCouponStatus = async (req, res) => {
+  const adminId = req.user.id;
+  const { couponId } = req.params;
+  const result = await adminDashboardService.toggleCouponStatus(adminId, couponId, req.body);
+  return respond(res, result);
+};
+
+export const getCouponUsageReport = async (req, res) => {
+  const result = await adminDashboardService.getCouponUsageReport(req.query);
+  return respond(res, result);
+};
+
 export const getReportsMetrics = async (req, res) => {
   const result = await adminDashboardService.getReportsMetrics(req.query);
   return respond(res, result);
@@ -166,15 +203,33 @@ export const getReportsMetrics = async (req, res) => {
 export const updateUserRole = async (req, res) => {
   const adminId = req.user.id;
   const { userId } = req.params;
-  const { role } = req.body;
-  const result = await adminDashboardService.updateUserRole(adminId, userId, role);
+  const { role, reason, adminRole } = req.body;
+  const result = await adminDashboardService.updateUserRole(adminId, userId, role, getAuditContext(req), reason, adminRole);
+  return respond(res, result);
+};
+
+export const updateUserAdminRole = async (req, res) => {
+  const adminId = req.user.id;
+  const { userId } = req.params;
+  const { adminRole, reason } = req.body;
+  const result = await adminDashboardService.updateUserAdminRole(adminId, userId, adminRole, getAuditContext(req), reason);
+  return respond(res, result);
+};
+
+export const getAdminRoles = async (req, res) => {
+  const result = await adminDashboardService.getAdminRoles();
+  return respond(res, result);
+};
+
+export const getMyPermissions = async (req, res) => {
+  const result = await adminDashboardService.getStaffPermissions(req.user);
   return respond(res, result);
 };
 
 export const updateUserProfile = async (req, res) => {
   const adminId = req.user.id;
   const { userId } = req.params;
-  const result = await adminDashboardService.updateUserProfile(adminId, userId, req.body);
+  const result = await adminDashboardService.updateUserProfile(adminId, userId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
@@ -193,6 +248,18 @@ export const getModerationListings = async (req, res) => {
   return respond(res, result);
 };
 
+export const getListingReports = async (req, res) => {
+  const result = await adminDashboardService.getListingReports(req.query);
+  return respond(res, result);
+};
+
+export const actionListingReports = async (req, res) => {
+  const adminId = req.user.id;
+  const { propertyId } = req.params;
+  const result = await adminDashboardService.actionListingReports(adminId, propertyId, req.body, getAuditContext(req));
+  return respond(res, result);
+};
+
 export const getModerationKycDocuments = async (req, res) => {
   const result = await adminDashboardService.getModerationKycDocuments(req.query);
   return respond(res, result);
@@ -206,7 +273,7 @@ export const getModerationPayments = async (req, res) => {
 export const updateKycDocument = async (req, res) => {
   const adminId = req.user.id;
   const { documentId } = req.params;
-  const result = await adminDashboardService.updateKycDocument(adminId, documentId, req.body);
+  const result = await adminDashboardService.updateKycDocument(adminId, documentId, req.body, getAuditContext(req));
   return respond(res, result);
 };
 
@@ -215,9 +282,48 @@ export const getTransactions = async (req, res) => {
   return respond(res, result);
 };
 
+export const getLedgerTrialBalance = async (req, res) => {
+  const result = await adminDashboardService.getLedgerTrialBalance(req.query);
+  return respond(res, result);
+};
+
+export const getBookingMoneyTrail = async (req, res) => {
+  const { bookingId } = req.params;
+  const result = await adminDashboardService.getBookingMoneyTrail(bookingId);
+  return respond(res, result);
+};
+
 export const getLoginSnapshot = async (req, res) => {
   const result = await adminDashboardService.getLoginSnapshot();
   return respond(res, result);
 };
 
+export const getAuditLogs = async (req, res) => {
+  const result = await adminDashboardService.getAuditLogs(req.query);
+  return respond(res, result);
+};
+
+export const exportAuditLogs = async (req, res) => {
+  const result = await adminDashboardService.exportAuditLogs(req.query);
+  if (!result.success) {
+    return respond(res, result);
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+  res.setHeader('X-Export-Row-Count', String(result.data.rowCount));
+  res.setHeader('X-Export-Truncated', String(result.data.truncated));
+  return res.status(200).send(result.data.csv);
+};
+
+export const getMfaPolicies = async (req, res) => {
+  const result = await adminDashboardService.getMfaPolicies();
+  return respond(res, result);
+};
 
+export const updateMfaPolicy = async (req, res) => {
+  const adminId = req.user.id;
+  const { role } = req.params;
+  const result = await adminDashboardService.updateMfaPolicy(adminId, role, req.body, getAuditContext(req));
+  return respond(res, result);
+};
@@ -1,8 +1,10 @@
 import walletService from '../services/walletService.js';
+import { debitLine } from '../services/ledgerService.js';
 import { WalletTransaction } from '../schema/index.js';
 import { Op } from 'sequelize';
 import axios from 'axios';
-import { sendEmail } from '../modules/notifications/email.js';
+import { dispatchEmail } from '../services/notificationPolicyService.js';
+import { getAuditContext, recordAdminAction } from '../services/auditLogService.js';
 
 class AdminWithdrawalController {
   /**
@@ -153,13 +155,23 @@ class AdminWithdrawalController {
             }
           });
 
+          await recordAdminAction(getAuditContext(req), {
+            action: 'withdrawal.approved',
+            entityType: 'withdrawal',
+            entityId: withdrawal.id,
+            changes: { status: { from: 'pending', to: 'completed' } },
+            metadata: {
+              userId: withdrawal.wallet?.userId,
+              amount: withdrawal.amount,
+              transferCode: response.data.data.transfer_code
+            }
+          });
 
           // Send email notification
           try {
-            await sendEmail({
-              to: withdrawal.wallet.user.email,
+            await dispatchEmail(withdrawal.wallet.user, {
               subject: 'Withdrawal Approved - Funds on the Way! 💰',
-              html: `
+              text: `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                   <h2 style="color: #10b981;">Withdrawal Approved!</h2>
                   <p>Dear ${withdrawal.wallet.user.firstName},</p>
@@ -183,7 +195,7 @@ class AdminWithdrawalController {
                   </p>
                 </div>
               `
-            });
+            }, { category: 'payment', mandatory: true });
             console.log('✅ Approval email sent to user');
           } catch (emailError) {
             console.error('⚠️ Failed to send approval email:', emailError);
@@ -215,12 +227,29 @@ class AdminWithdrawalController {
           }
         });
 
+        await recordAdminAction(getAuditContext(req), {
+          action: 'withdrawal.approval_failed',
+          entityType: 'withdrawal',
+          entityId: withdrawal.id,
+          changes: { status: { from: 'pending', to: 'failed' } },
+          reason: transferError.response?.data?.message || transferError.message,
+          metadata: { userId: withdrawal.wallet?.userId, amount: withdrawal.amount }
+        });
+
         // Refund the amount back to wallet
         await walletService.processRefund(
           withdrawal.wallet.userId,
           withdrawal.amount,
           'Withdrawal failed - refund',
-          withdrawal.id
+          withdrawal.id,
+          {},
+          {
+            idempotencyKey: `withdrawal:${withdrawal.id}`,
+            journal: {
+              entryType: 'payout_reversal',
+              lines: [debitLine('paystack_clearing', null, withdrawal.amount, 'Payout returned to wallet')]
+            }
+          }
         );
 
         res.status(400).json({
@@ -321,22 +350,38 @@ class AdminWithdrawalController {
         }
       });
 
+      await recordAdminAction(getAuditContext(req), {
+        action: 'withdrawal.rejected',
+        entityType: 'withdrawal',
+        entityId: withdrawal.id,
+        changes: { status: { from: 'pending', to: 'cancelled' } },
+        reason,
+        metadata: { userId: withdrawal.wallet?.userId, amount: withdrawal.amount }
+      });
+
       // Refund the amount back to wallet
       await walletService.processRefund(
         withdrawal.wallet.userId,
         withdrawal.amount,
         `Withdrawal cancelled: ${reason}`,
-        withdrawal.id
+        withdrawal.id,
+        {},
+        {
+          idempotencyKey: `withdrawal:${withdrawal.id}`,
+          journal: {
+            entryType: 'payout_reversal',
+            lines: [debitLine('paystack_clearing', null, withdrawal.amount, 'Payout returned to wallet')]
+          }
+        }
       );
 
       console.log('✅ Withdrawal rejected and refunded');
 
       // Send email notification
       try {
-        await sendEmail({
-          to: withdrawal.wallet.user.email,
+        await dispatchEmail(withdrawal.wallet.user, {
           subject: 'Withdrawal Request Declined',
-          html: `
+          text: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
               <h2 style="color: #ef4444;">Withdrawal Request Declined</h2>
               <p>Dear ${withdrawal.wallet.user.firstName},</p>
@@ -361,7 +406,7 @@ class AdminWithdrawalController {
               </p>
             </div>
           `
-        });
+        }, { category: 'payment', mandatory: true });
         console.log('✅ Rejection email sent to user');
       } catch (emailError) {
         console.error('⚠️ Failed to send rejection email:', emailError);
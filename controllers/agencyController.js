@@ -0,0 +1,116 @@
+import * as agencyService from '../services/agencyService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const createAgency = async (req, res) => {
+  const result = await agencyService.createAgency(req.user, req.body);
+  return respond(res, result);
+};
+
+export const getMyAgencies = async (req, res) => {
+  const result = await agencyService.getMyAgencies(req.user);
+  return respond(res, result);
+};
+
+export const getAgency = async (req, res) => {
+  const result = await agencyService.getAgency(req.params.agencyId, req.user);
+  return respond(res, result);
+};
+
+export const updateAgency = async (req, res) => {
+  const result = await agencyService.updateAgency(req.params.agencyId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const inviteMember = async (req, res) => {
+  const result = await agencyService.inviteMember(req.params.agencyId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const getInvitations = async (req, res) => {
+  const result = await agencyService.getInvitations(req.params.agencyId, req.user, req.query);
+  return respond(res, result);
+};
+
+export const revokeInvitation = async (req, res) => {
+  const result = await agencyService.revokeInvitation(req.params.agencyId, req.params.invitationId, req.user);
+  return respond(res, result);
+};
+
+export const respondToInvitation = async (req, res) => {
+  const result = await agencyService.respondToInvitation(req.body.token, req.user, req.body.action);
+  return respond(res, result);
+};
+
+export const updateMember = async (req, res) => {
+  const result = await agencyService.updateMember(req.params.agencyId, req.params.memberId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const removeMember = async (req, res) => {
+  const result = await agencyService.removeMember(req.params.agencyId, req.params.memberId, req.user);
+  return respond(res, result);
+};
+
+export const getAgencyProperties = async (req, res) => {
+  const result = await agencyService.getAgencyProperties(req.params.agencyId, req.user, req.query);
+  return respond(res, result);
+};
+
+export const addAgencyProperty = async (req, res) => {
+  const result = await agencyService.addAgencyProperty(req.params.agencyId, req.body.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const removeAgencyProperty = async (req, res) => {
+  const result = await agencyService.removeAgencyProperty(req.params.agencyId, req.params.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const assignPropertyAgent = async (req, res) => {
+  const result = await agencyService.assignPropertyAgent(
+    req.params.agencyId,
+    req.params.propertyId,
+    req.user,
+    req.body.agentId ?? null
+  );
+  return respond(res, result);
+};
+
+export const requestMandate = async (req, res) => {
+  const result = await agencyService.requestMandate(req.user, req.body);
+  return respond(res, result);
+};
+
+export const getMandates = async (req, res) => {
+  const result = await agencyService.getMandates(req.user, { status: req.query.status });
+  return respond(res, result);
+};
+
+export const getAgencyMandates = async (req, res) => {
+  const result = await agencyService.getMandates(req.user, { status: req.query.status, agencyId: req.params.agencyId });
+  return respond(res, result);
+};
+
+export const respondToMandate = async (req, res) => {
+  const result = await agencyService.respondToMandate(req.params.agencyId, req.params.mandateId, req.user, req.body.action);
+  return respond(res, result);
+};
+
+export const revokeMandate = async (req, res) => {
+  const result = await agencyService.revokeMandate(req.params.mandateId, req.user);
+  return respond(res, result);
+};
+
+export const getCommissions = async (req, res) => {
+  const result = await agencyService.getCommissions(req.params.agencyId, req.user, req.query);
+  return respond(res, result);
+};
@@ -1,6 +1,40 @@
 import authService from '../services/authService.js';
+import phoneVerificationService from '../services/phoneVerificationService.js';
+import sessionService from '../services/sessionService.js';
+import mfaService from '../services/mfaService.js';
 import { validationResult } from 'express-validator';
 
+/**
+ * Device details stored on the session a sign-in creates
+ */
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim() : undefined
+});
+
+/**
+ * Send a service result object ({ success, message, data, statusCode, error })
+ */
+const sendResult = (res, result) => res.status(result.statusCode).json({
+  success: result.success,
+  message: result.message,
+  data: result.data,
+  ...(process.env.NODE_ENV === 'development' && result.error && { error: result.error })
+});
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
 class AuthController {
   /**
    * User registration
@@ -30,7 +64,8 @@ class AuthController {
         });
       }
 
-      const result = await authService.register(req.body);
+      const { deviceName, ...userData } = req.body;
+      const result = await authService.register(userData, sessionMeta(req));
 
       // Ensure response is sent immediately after successful registration
       return sendResponse(201, {
@@ -102,15 +137,28 @@ class AuthController {
       }
 
       const { email, password } = req.body;
-      const result = await authService.login(email, password);
+      const result = await authService.login(email, password, sessionMeta(req));
 
       res.status(200).json({
         success: true,
-        message: 'Login successful',
+        message: result.mfaRequired ? result.message : 'Login successful',
         data: result
       });
     } catch (error) {
       console.error('Login error:', error);
+
+      // Lockout, progressive delay or a required password reset
+      if (error.code) {
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          retryAfter: error.retryAfter
+        });
+      }
       
       if (error.message === 'Invalid email or password') {
         return res.status(401).json({
@@ -167,7 +215,7 @@ class AuthController {
         });
       }
 
-      const result = await authService.googleSignIn(idToken);
+      const result = await authService.googleSignIn(idToken, sessionMeta(req));
 
       res.status(200).json({
         success: true,
@@ -354,6 +402,13 @@ class AuthController {
         });
       }
 
+      if (error.message === 'Too many incorrect codes. Please request a new verification code.') {
+        return res.status(429).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -495,6 +550,13 @@ class AuthController {
         });
       }
 
+      if (error.message === 'Too many incorrect codes. Please request a new reset code.') {
+        return res.status(429).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -808,11 +870,11 @@ class AuthController {
       const userId = req.user.id;
       const { currentPassword, newPassword } = req.body;
       
-      await authService.changePassword(userId, currentPassword, newPassword);
+      await authService.changePassword(userId, currentPassword, newPassword, req.sessionId);
 
       res.status(200).json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully. Your other devices have been signed out.'
       });
     } catch (error) {
       console.error('Change password error:', error);
@@ -847,37 +909,97 @@ class AuthController {
   }
 
   /**
-   * Refresh user token
+   * Exchange a refresh token for a new token pair
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async refreshToken(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const result = await authService.refreshToken(req.body.refreshToken, { ipAddress: req.ip });
+    return sendResult(res, result);
+  }
+
+  /**
+   * "This wasn't me" link from a new sign-in alert
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async secureAccount(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const result = await authService.secureAccount(req.body.token);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Send a phone verification code by SMS
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async sendPhoneOtp(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await phoneVerificationService.sendPhoneOtp(req.user.id, {
+      phone: req.body.phone,
+      ipAddress: req.ip
+    });
+
+    return res.status(result.statusCode).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      ...(process.env.NODE_ENV === 'development' && result.error && { error: result.error })
+    });
+  }
+
+  /**
+   * Verify the phone number with the code from the SMS
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyPhoneOtp(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await phoneVerificationService.verifyPhoneOtp(req.user.id, req.body.code);
+
+    return res.status(result.statusCode).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      ...(process.env.NODE_ENV === 'development' && result.error && { error: result.error })
+    });
+  }
+
+  /**
+   * Logout: revokes the session of the current device
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logout(req, res) {
     try {
-      const userId = req.user.id;
-      const newToken = await authService.refreshToken(userId);
+      await sessionService.revokeSession(req.user.id, req.sessionId, 'logout');
 
       res.status(200).json({
         success: true,
-        message: 'Token refreshed successfully',
-        data: { token: newToken }
+        message: 'Logout successful'
       });
     } catch (error) {
-      console.error('Refresh token error:', error);
-      
-      if (error.message === 'User not found') {
-        return res.status(404).json({
-          success: false,
-          message: error.message
-        });
-      }
-
-      if (error.message === 'Account is not active') {
-        return res.status(403).json({
-          success: false,
-          message: error.message
-        });
-      }
-
+      console.error('Logout error:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -887,20 +1009,21 @@ class AuthController {
   }
 
   /**
-   * Logout user (client-side token removal)
+   * Logout from every device, including this one
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async logout(req, res) {
+  async logoutAll(req, res) {
     try {
-      // In a stateless JWT system, logout is handled client-side
-      // You could implement a blacklist for tokens if needed
+      const revoked = await sessionService.revokeAllSessions(req.user.id, { reason: 'logout_all' });
+
       res.status(200).json({
         success: true,
-        message: 'Logout successful'
+        message: 'Logged out of all devices',
+        data: { sessionsRevoked: revoked }
       });
     } catch (error) {
-      console.error('Logout error:', error);
+      console.error('Logout all error:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -909,6 +1032,111 @@ class AuthController {
     }
   }
 
+  /**
+   * List the devices signed in to the account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    const result = await sessionService.listSessions(req.user.id, req.sessionId);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Sign one device out
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const result = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Second step of a sign-in with 2FA: exchange the mfaToken and a code for tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyMfaLogin(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const { mfaToken, code, recoveryCode } = req.body;
+    const result = await authService.completeMfaLogin(mfaToken, { code, recoveryCode }, sessionMeta(req));
+    return sendResult(res, result);
+  }
+
+  /**
+   * Two-factor status of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMfaStatus(req, res) {
+    const result = await mfaService.getMfaStatus(req.user, req.sessionId);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Start two-factor enrolment (secret and otpauth URL for the QR code)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setupMfa(req, res) {
+    const result = await mfaService.beginEnrollment(req.user);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Confirm enrolment with the first code; returns the recovery codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enableMfa(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const result = await mfaService.confirmEnrollment(req.user, req.body.code, req.sessionId);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disableMfa(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const { password, code, recoveryCode } = req.body;
+    const result = await mfaService.disableMfa(req.user, { password, code, recoveryCode });
+    return sendResult(res, result);
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateRecoveryCodes(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const result = await mfaService.regenerateRecoveryCodes(req.user, req.body.code);
+    return sendResult(res, result);
+  }
+
+  /**
+   * Re-enter the second factor to unlock sensitive actions on this device
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stepUpMfa(req, res) {
+    if (validationFailed(req, res)) return;
+
+    const { code, recoveryCode } = req.body;
+    const result = await mfaService.stepUp(req.user, req.sessionId, { code, recoveryCode });
+    return sendResult(res, result);
+  }
+
   /**
    * Register or update device push token
    * @param {Object} req - Express request object
@@ -1,4 +1,6 @@
 import * as bookingService from '../services/bookingService.js';
+import * as bookingQuoteService from '../services/bookingQuoteService.js';
+import * as cancellationPolicyService from '../services/cancellationPolicyService.js';
 
 /**
  * Create a new booking
@@ -59,6 +61,56 @@ export const createBooking = async (req, res) => {
   }
 };
 
+/**
+ * Create a server-side price quote for a booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createBookingQuote = async (req, res) => {
+  try {
+    const result = await bookingQuoteService.createQuote(req.user.id, req.body);
+
+    return res.status(result.statusCode).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Create booking quote controller error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview a coupon against a stay without creating a quote
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const applyCoupon = async (req, res) => {
+  try {
+    const result = await bookingQuoteService.previewCoupon(req.user.id, req.body);
+
+    return res.status(result.statusCode).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Apply coupon controller error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get booking by ID
  * @param {Object} req - Express request object
@@ -173,6 +225,34 @@ export const updateBooking = async (req, res) => {
   }
 };
 
+/**
+ * Preview the refund for cancelling a booking now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCancellationRefundPreview = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const userId = req.user.id;
+
+    const result = await cancellationPolicyService.getRefundPreview(bookingId, userId);
+
+    return res.status(result.statusCode).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Refund preview controller error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Cancel booking
  * @param {Object} req - Express request object
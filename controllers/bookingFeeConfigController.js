@@ -1,5 +1,8 @@
 import BookingFeeConfig from '../schema/BookingFeeConfig.js';
 import { Op } from 'sequelize';
+import { getAuditContext, recordAdminAction } from '../services/auditLogService.js';
+
+const AUDITED_FEE_FIELDS = ['feeType', 'valueType', 'value', 'isActive', 'description', 'propertyType'];
 
 /**
  * Get all active booking fees (public endpoint)
@@ -176,6 +179,15 @@ export const createFee = async (req, res) => {
             propertyType: propertyType || null
         });
 
+        await recordAdminAction(getAuditContext(req), {
+            action: 'booking_fee_config.created',
+            entityType: 'booking_fee_config',
+            entityId: fee.id,
+            before: null,
+            after: fee,
+            fields: AUDITED_FEE_FIELDS
+        });
+
         res.status(201).json({
             success: true,
             message: 'Fee configuration created successfully',
@@ -250,8 +262,18 @@ export const updateFee = async (req, res) => {
         if (description !== undefined) updateData.description = description;
         if (propertyType !== undefined) updateData.propertyType = propertyType;
 
+        const before = fee.get({ plain: true });
         await fee.update(updateData);
 
+        await recordAdminAction(getAuditContext(req), {
+            action: 'booking_fee_config.updated',
+            entityType: 'booking_fee_config',
+            entityId: fee.id,
+            before,
+            after: fee,
+            fields: AUDITED_FEE_FIELDS
+        });
+
         res.status(200).json({
             success: true,
             message: 'Fee configuration updated successfully',
@@ -282,8 +304,18 @@ export const deleteFee = async (req, res) => {
             });
         }
 
+        const before = fee.get({ plain: true });
         await fee.destroy();
 
+        await recordAdminAction(getAuditContext(req), {
+            action: 'booking_fee_config.deleted',
+            entityType: 'booking_fee_config',
+            entityId: id,
+            before,
+            after: null,
+            fields: AUDITED_FEE_FIELDS
+        });
+
         res.status(200).json({
             success: true,
             message: 'Fee configuration deleted successfully'
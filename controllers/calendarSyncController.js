@@ -0,0 +1,64 @@
+import * as calendarSyncService from '../services/calendarSyncService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const getExportLink = async (req, res) => {
+  const result = await calendarSyncService.getExportLink(req.params.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const rotateExportLink = async (req, res) => {
+  const result = await calendarSyncService.rotateExportLink(req.params.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const getExportCalendar = async (req, res) => {
+  const { propertyId, token } = req.params;
+  const result = await calendarSyncService.getExportCalendar(propertyId, token);
+  if (!result.success) {
+    return respond(res, result);
+  }
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${result.data.filename}"`,
+    'Cache-Control': 'no-cache'
+  });
+  return res.status(200).send(result.data.calendar);
+};
+
+export const listFeeds = async (req, res) => {
+  const result = await calendarSyncService.listFeeds(req.params.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const addFeed = async (req, res) => {
+  const result = await calendarSyncService.addFeed(req.params.propertyId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const updateFeed = async (req, res) => {
+  const { propertyId, feedId } = req.params;
+  const result = await calendarSyncService.updateFeed(propertyId, feedId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const removeFeed = async (req, res) => {
+  const { propertyId, feedId } = req.params;
+  const result = await calendarSyncService.removeFeed(propertyId, feedId, req.user);
+  return respond(res, result);
+};
+
+export const syncFeed = async (req, res) => {
+  const { propertyId, feedId } = req.params;
+  const result = await calendarSyncService.syncFeed(propertyId, feedId, req.user);
+  return respond(res, result);
+};
@@ -0,0 +1,191 @@
+import * as contentService from '../services/contentService.js';
+
+const PUBLIC_MAX_AGE = parseInt(process.env.CMS_PUBLIC_MAX_AGE, 10) || 300;
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+// Let browsers and CDNs cache successful public reads. Responses that depend on
+// the signed-in user's role are only cached privately.
+const respondCacheable = (req, res, result, { personalized = false } = {}) => {
+  if (result?.success) {
+    const scope = personalized && req.user ? 'private' : 'public';
+    res.set('Cache-Control', `${scope}, max-age=${PUBLIC_MAX_AGE}`);
+    if (personalized) {
+      res.vary('Authorization');
+    }
+  }
+  return respond(res, result);
+};
+
+// Public reads
+
+export const getPublicFaqs = async (req, res) => {
+  const result = await contentService.getPublicFaqs(req.query);
+  return respondCacheable(req, res, result);
+};
+
+export const getPublicBanners = async (req, res) => {
+  const result = await contentService.getPublicBanners(req.query, req.user);
+  return respondCacheable(req, res, result, { personalized: true });
+};
+
+export const getPublicAnnouncements = async (req, res) => {
+  const result = await contentService.getPublicAnnouncements(req.user);
+  return respondCacheable(req, res, result, { personalized: true });
+};
+
+export const getPublicPage = async (req, res) => {
+  const result = await contentService.getPublicPage(req.params.slug);
+  return respondCacheable(req, res, result);
+};
+
+// FAQs
+
+export const listFaqCategories = async (req, res) => {
+  const result = await contentService.listFaqCategories();
+  return respond(res, result);
+};
+
+export const createFaqCategory = async (req, res) => {
+  const result = await contentService.createFaqCategory(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const updateFaqCategory = async (req, res) => {
+  const result = await contentService.updateFaqCategory(req.params.categoryId, req.body);
+  return respond(res, result);
+};
+
+export const deleteFaqCategory = async (req, res) => {
+  const result = await contentService.deleteFaqCategory(req.params.categoryId);
+  return respond(res, result);
+};
+
+export const listFaqs = async (req, res) => {
+  const result = await contentService.listFaqs(req.query);
+  return respond(res, result);
+};
+
+export const createFaq = async (req, res) => {
+  const result = await contentService.createFaq(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const updateFaq = async (req, res) => {
+  const result = await contentService.updateFaq(req.user.id, req.params.faqId, req.body);
+  return respond(res, result);
+};
+
+export const deleteFaq = async (req, res) => {
+  const result = await contentService.deleteFaq(req.params.faqId);
+  return respond(res, result);
+};
+
+// Banners
+
+export const listBanners = async (req, res) => {
+  const result = await contentService.listBanners(req.query);
+  return respond(res, result);
+};
+
+export const createBanner = async (req, res) => {
+  const result = await contentService.createBanner(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const updateBanner = async (req, res) => {
+  const result = await contentService.updateBanner(req.user.id, req.params.bannerId, req.body);
+  return respond(res, result);
+};
+
+export const deleteBanner = async (req, res) => {
+  const result = await contentService.deleteBanner(req.params.bannerId);
+  return respond(res, result);
+};
+
+// Announcements
+
+export const listAnnouncements = async (req, res) => {
+  const result = await contentService.listAnnouncements(req.query);
+  return respond(res, result);
+};
+
+export const createAnnouncement = async (req, res) => {
+  const result = await contentService.createAnnouncement(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const updateAnnouncement = async (req, res) => {
+  const result = await contentService.updateAnnouncement(req.params.announcementId, req.body);
+  return respond(res, result);
+};
+
+export const publishAnnouncement = async (req, res) => {
+  const result = await contentService.publishAnnouncement(req.user.id, req.params.announcementId);
+  return respond(res, result);
+};
+
+export const archiveAnnouncement = async (req, res) => {
+  const result = await contentService.archiveAnnouncement(req.params.announcementId);
+  return respond(res, result);
+};
+
+export const deleteAnnouncement = async (req, res) => {
+  const result = await contentService.deleteAnnouncement(req.params.announcementId);
+  return respond(res, result);
+};
+
+// Pages
+
+export const listPages = async (req, res) => {
+  const result = await contentService.listPages();
+  return respond(res, result);
+};
+
+export const getPage = async (req, res) => {
+  const result = await contentService.getPage(req.params.pageId);
+  return respond(res, result);
+};
+
+export const createPage = async (req, res) => {
+  const result = await contentService.createPage(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const updatePage = async (req, res) => {
+  const result = await contentService.updatePage(req.user.id, req.params.pageId, req.body);
+  return respond(res, result);
+};
+
+export const publishPage = async (req, res) => {
+  const result = await contentService.publishPage(req.user.id, req.params.pageId, req.body);
+  return respond(res, result);
+};
+
+export const unpublishPage = async (req, res) => {
+  const result = await contentService.unpublishPage(req.params.pageId);
+  return respond(res, result);
+};
+
+export const getPageVersions = async (req, res) => {
+  const result = await contentService.getPageVersions(req.params.pageId);
+  return respond(res, result);
+};
+
+export const getPageVersion = async (req, res) => {
+  const result = await contentService.getPageVersion(req.params.pageId, req.params.version);
+  return respond(res, result);
+};
+
+export const deletePage = async (req, res) => {
+  const result = await contentService.deletePage(req.params.pageId);
+  return respond(res, result);
+};
@@ -0,0 +1,52 @@
+import * as disputeService from '../services/disputeService.js';
+import { getAuditContext } from '../services/auditLogService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const openDispute = async (req, res) => {
+  const result = await disputeService.openDispute(req.user, req.body, req.evidence);
+  return respond(res, result);
+};
+
+export const getMyDisputes = async (req, res) => {
+  const result = await disputeService.getMyDisputes(req.user, req.query);
+  return respond(res, result);
+};
+
+export const getDispute = async (req, res) => {
+  const result = await disputeService.getDispute(req.params.disputeId, req.user);
+  return respond(res, result);
+};
+
+export const addMessage = async (req, res) => {
+  const result = await disputeService.addMessage(req.params.disputeId, req.user, req.body.message, req.evidence);
+  return respond(res, result);
+};
+
+export const withdrawDispute = async (req, res) => {
+  const result = await disputeService.withdrawDispute(req.params.disputeId, req.user);
+  return respond(res, result);
+};
+
+export const getDisputeQueue = async (req, res) => {
+  const result = await disputeService.getDisputeQueue(req.query);
+  return respond(res, result);
+};
+
+export const assignDispute = async (req, res) => {
+  const result = await disputeService.assignDispute(req.params.disputeId, req.user, getAuditContext(req));
+  return respond(res, result);
+};
+
+export const resolveDispute = async (req, res) => {
+  const result = await disputeService.resolveDispute(req.params.disputeId, req.user, req.body, getAuditContext(req));
+  return respond(res, result);
+};
@@ -1,5 +1,6 @@
 import kycService from '../services/kycService.js';
 import { validationResult } from 'express-validator';
+import { getAuditContext } from '../services/auditLogService.js';
 
 /**
  * KYC Controller - Handles HTTP requests for KYC document management
@@ -176,7 +177,7 @@ class KycController {
       const verifierId = req.user.id;
       const verificationData = req.body;
 
-      const result = await kycService.verifyKycDocument(documentId, verifierId, verificationData);
+      const result = await kycService.verifyKycDocument(documentId, verifierId, verificationData, getAuditContext(req));
 
       res.status(200).json(result);
     } catch (error) {
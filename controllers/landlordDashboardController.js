@@ -16,6 +16,11 @@ export const getEarningsSummary = async (req, res) => {
   return respond(res, result);
 };
 
+export const getAgencyEarnings = async (req, res) => {
+  const result = await landlordDashboardService.getAgencyEarnings(req.user.id, req.query);
+  return respond(res, result);
+};
+
 export const getPaymentLogs = async (req, res) => {
   const landlordId = req.user.id;
   const result = await landlordDashboardService.getPaymentLogs(landlordId, req.query);
@@ -49,6 +54,12 @@ export const respondToBookingRequest = async (req, res) => {
   return respond(res, result);
 };
 
+export const getRentalApplications = async (req, res) => {
+  const landlordId = req.user.id;
+  const result = await landlordDashboardService.getRentalApplications(landlordId, req.query);
+  return respond(res, result);
+};
+
 export const getClientInquiries = async (req, res) => {
   const landlordId = req.user.id;
   const result = await landlordDashboardService.getClientInquiries(landlordId, req.query);
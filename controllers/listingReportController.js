@@ -0,0 +1,22 @@
+import { validationResult } from 'express-validator';
+import * as listingReportService from '../services/listingReportService.js';
+
+export const reportListing = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = await listingReportService.reportListing(req.user.id, req.params.propertyId, req.body);
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
@@ -0,0 +1,39 @@
+import * as pricingRuleService from '../services/pricingRuleService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const listPricingRules = async (req, res) => {
+  const result = await pricingRuleService.listRules(req.params.propertyId, req.user);
+  return respond(res, result);
+};
+
+export const createPricingRule = async (req, res) => {
+  const result = await pricingRuleService.createRule(req.params.propertyId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const updatePricingRule = async (req, res) => {
+  const { propertyId, ruleId } = req.params;
+  const result = await pricingRuleService.updateRule(propertyId, ruleId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const deletePricingRule = async (req, res) => {
+  const { propertyId, ruleId } = req.params;
+  const result = await pricingRuleService.deleteRule(propertyId, ruleId, req.user);
+  return respond(res, result);
+};
+
+export const previewStayPrice = async (req, res) => {
+  const { checkInDate, checkOutDate } = req.query;
+  const result = await pricingRuleService.previewStayPrice(req.params.propertyId, checkInDate, checkOutDate);
+  return respond(res, result);
+};
@@ -1,4 +1,6 @@
 import propertyService from '../services/propertyService.js';
+import { canManageAgencyProperty } from '../services/agencyService.js';
+import { getAuditContext } from '../services/auditLogService.js';
 import { validationResult } from 'express-validator';
 
 /**
@@ -94,6 +96,10 @@ class PropertyController {
       console.error('❌ [PROPERTY CONTROLLER] Error stack:', error.stack);
       console.error('❌ [PROPERTY CONTROLLER] Full error:', JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
 
+      if (error.entitlement) {
+        return res.status(error.statusCode).json(error.entitlement);
+      }
+
       // Handle foreign key constraint errors specifically
       if (error.message && error.message.includes('foreign key constraint fails')) {
         console.error('❌ [PROPERTY CONTROLLER] Foreign key constraint error detected');
@@ -173,7 +179,16 @@ class PropertyController {
         sortOrder: req.query.sortOrder,
         search: req.query.search,
         checkInDate: req.query.checkInDate,
-        checkOutDate: req.query.checkOutDate
+        checkOutDate: req.query.checkOutDate,
+        amenities: req.query.amenities,
+        features: req.query.features,
+        lat: req.query.lat,
+        lng: req.query.lng,
+        radiusKm: req.query.radiusKm,
+        north: req.query.north,
+        south: req.query.south,
+        east: req.query.east,
+        west: req.query.west
       };
 
       const result = await propertyService.getAllProperties(options);
@@ -187,6 +202,31 @@ class PropertyController {
     }
   }
 
+  /**
+   * Autocomplete suggestions for the search box
+   */
+  async suggestProperties(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await propertyService.suggestProperties(req.query.q, parseInt(req.query.limit, 10) || 8);
+
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get properties by owner
    */
@@ -276,6 +316,9 @@ class PropertyController {
 
       res.status(200).json(result);
     } catch (error) {
+      if (error.entitlement) {
+        return res.status(error.statusCode).json(error.entitlement);
+      }
       const statusCode = error.message === 'Property not found or you do not have permission to update it' ? 404 : 400;
       res.status(statusCode).json({
         success: false,
@@ -320,16 +363,16 @@ class PropertyController {
         });
       }
 
-      // Check if user owns the property
+      // Check if user owns the property or manages it for its agency
       const property = await propertyService.getPropertyById(propertyId);
-      if (property.data.ownerId !== ownerId) {
+      if (property.data.ownerId !== ownerId && !await canManageAgencyProperty(ownerId, property.data)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to add media to this property'
         });
       }
 
-      const result = await propertyService.addPropertyMedia(propertyId, uploadResults.media);
+      const result = await propertyService.addPropertyMedia(propertyId, uploadResults.media, { ownerId });
 
       res.status(201).json({
         success: true,
@@ -337,6 +380,9 @@ class PropertyController {
         data: result
       });
     } catch (error) {
+      if (error.entitlement) {
+        return res.status(error.statusCode).json(error.entitlement);
+      }
       res.status(400).json({
         success: false,
         message: error.message
@@ -452,7 +498,7 @@ class PropertyController {
       const moderatorId = req.user.id;
       const moderationData = req.body;
 
-      const result = await propertyService.moderateProperty(propertyId, moderatorId, moderationData);
+      const result = await propertyService.moderateProperty(propertyId, moderatorId, moderationData, getAuditContext(req));
 
       res.status(200).json(result);
     } catch (error) {
@@ -0,0 +1,44 @@
+import * as rentInvoiceService from '../services/rentInvoiceService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const listInvoices = async (req, res) => {
+  const result = await rentInvoiceService.listInvoices(req.user, req.query);
+  return respond(res, result);
+};
+
+export const getInvoice = async (req, res) => {
+  const result = await rentInvoiceService.getInvoice(req.params.invoiceId, req.user);
+  return respond(res, result);
+};
+
+export const payInvoice = async (req, res) => {
+  const result = await rentInvoiceService.payInvoice(req.params.invoiceId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const downloadInvoicePdf = async (req, res) => {
+  const result = await rentInvoiceService.downloadInvoicePdf(req.params.invoiceId, req.user);
+  if (!result.success) {
+    return respond(res, result);
+  }
+
+  const { pdf, invoiceNumber } = result.data;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=rent-invoice-${invoiceNumber}.pdf`);
+  res.setHeader('Content-Length', pdf.length);
+  return res.send(pdf);
+};
+
+export const getLeaseSchedule = async (req, res) => {
+  const result = await rentInvoiceService.getLeaseSchedule(req.params.leaseId, req.user);
+  return respond(res, result);
+};
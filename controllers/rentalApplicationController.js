@@ -0,0 +1,52 @@
+import * as rentalApplicationService from '../services/rentalApplicationService.js';
+import * as leaseService from '../services/leaseService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const submitApplication = async (req, res) => {
+  const result = await rentalApplicationService.submitApplication(req.user.id, req.body);
+  return respond(res, result);
+};
+
+export const getApplication = async (req, res) => {
+  const result = await rentalApplicationService.getApplication(req.params.applicationId, req.user);
+  return respond(res, result);
+};
+
+export const reviewApplication = async (req, res) => {
+  const result = await rentalApplicationService.reviewApplication(req.params.applicationId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const acceptApplication = async (req, res) => {
+  const result = await rentalApplicationService.acceptApplication(req.params.applicationId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const withdrawApplication = async (req, res) => {
+  const result = await rentalApplicationService.withdrawApplication(req.params.applicationId, req.user.id);
+  return respond(res, result);
+};
+
+export const getLease = async (req, res) => {
+  const result = await leaseService.getLease(req.params.leaseId, req.user);
+  return respond(res, result);
+};
+
+export const terminateLease = async (req, res) => {
+  const result = await leaseService.terminateLease(req.params.leaseId, req.user, req.body.reason);
+  return respond(res, result);
+};
+
+export const renewLease = async (req, res) => {
+  const result = await leaseService.renewLease(req.params.leaseId, req.user, req.body);
+  return respond(res, result);
+};
@@ -0,0 +1,55 @@
+import * as roomTypeService from '../services/roomTypeService.js';
+
+const respond = (res, result) => {
+  const statusCode = result?.statusCode || (result?.success ? 200 : 500);
+  return res.status(statusCode).json({
+    success: result?.success ?? false,
+    message: result?.message,
+    data: result?.data,
+    error: result?.error
+  });
+};
+
+export const listRoomTypes = async (req, res) => {
+  const result = await roomTypeService.listRoomTypes(req.params.propertyId, req.query);
+  return respond(res, result);
+};
+
+export const getRoomTypeCalendar = async (req, res) => {
+  const { propertyId, roomTypeId } = req.params;
+  const result = await roomTypeService.getRoomTypeCalendar(propertyId, roomTypeId, req.query);
+  return respond(res, result);
+};
+
+export const createRoomType = async (req, res) => {
+  const result = await roomTypeService.createRoomType(req.params.propertyId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const updateRoomType = async (req, res) => {
+  const { propertyId, roomTypeId } = req.params;
+  const result = await roomTypeService.updateRoomType(propertyId, roomTypeId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const deleteRoomType = async (req, res) => {
+  const { propertyId, roomTypeId } = req.params;
+  const result = await roomTypeService.deleteRoomType(propertyId, roomTypeId, req.user);
+  return respond(res, result);
+};
+
+export const setRoomInventory = async (req, res) => {
+  const { propertyId, roomTypeId } = req.params;
+  const result = await roomTypeService.setRoomInventory(propertyId, roomTypeId, req.user, req.body);
+  return respond(res, result);
+};
+
+export const addRoomTypeMedia = async (req, res) => {
+  const { propertyId, roomTypeId } = req.params;
+  if (!req.uploadResults?.media) {
+    return res.status(400).json({ success: false, message: 'No media files uploaded' });
+  }
+
+  const result = await roomTypeService.addRoomTypeMedia(propertyId, roomTypeId, req.user, req.uploadResults.media);
+  return respond(res, result);
+};
@@ -112,6 +112,62 @@ export const getPaymentStatements = async (req, res) => {
   }
 };
 
+/**
+ * Get user's long-term rental applications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyRentalApplications = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const options = req.query;
+
+    const result = await userDashboardService.getMyRentalApplications(userId, options);
+
+    return res.status(result.statusCode || 200).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Get my rental applications controller error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get user's leases
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyLeases = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const options = req.query;
+
+    const result = await userDashboardService.getMyLeases(userId, options);
+
+    return res.status(result.statusCode || 200).json({
+      success: result.success,
+      message: result.message,
+      data: result.data,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Get my leases controller error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get user dashboard statistics
  * @param {Object} req - Express request object
@@ -1,4 +1,4 @@
-import walletService from '../services/walletService.js';
+import walletService, { IDEMPOTENCY_CONFLICT } from '../services/walletService.js';
 
 class WalletController {
   /**
@@ -74,7 +74,8 @@ class WalletController {
         userId,
         amount,
         paystackReference,
-        metadata
+        metadata,
+        { idempotencyKey: req.get('Idempotency-Key') }
       );
 
       console.log('✅ Wallet funded successfully:', transaction.id);
@@ -85,6 +86,14 @@ class WalletController {
       });
     } catch (error) {
       console.error('❌ Error funding wallet:', error);
+
+      if (error.message === IDEMPOTENCY_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to fund wallet',
@@ -120,7 +129,8 @@ class WalletController {
         amount,
         description,
         bookingId,
-        metadata
+        metadata,
+        { idempotencyKey: req.get('Idempotency-Key') }
       );
 
       res.status(200).json({
@@ -138,6 +148,13 @@ class WalletController {
         });
       }
 
+      if (error.message === IDEMPOTENCY_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to process payment',
@@ -172,7 +189,8 @@ class WalletController {
         amount,
         description || 'Refund',
         originalTransactionId,
-        metadata
+        metadata,
+        { idempotencyKey: req.get('Idempotency-Key') }
       );
 
       res.status(200).json({
@@ -268,7 +286,8 @@ class WalletController {
         userId,
         amount,
         bankDetails,
-        metadata
+        metadata,
+        { idempotencyKey: req.get('Idempotency-Key') }
       );
 
       console.log('✅ Withdrawal request created:', transaction.id);
@@ -287,6 +306,13 @@ class WalletController {
         });
       }
 
+      if (error.message === IDEMPOTENCY_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to request withdrawal',
@@ -359,7 +385,8 @@ class WalletController {
         fromUserId,
         toUserId,
         amount,
-        description
+        description,
+        { idempotencyKey: req.get('Idempotency-Key') }
       );
 
       res.status(200).json({
@@ -377,6 +404,13 @@ class WalletController {
         });
       }
 
+      if (error.message === IDEMPOTENCY_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to transfer',
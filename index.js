@@ -15,6 +15,11 @@ const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 8000; // Changed to match your current port
 
+// Number of proxy hops in front of the API, so req.ip (used by the rate limiter) is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 app.use(helmet());
 
 app.use(cors({
@@ -1,8 +1,17 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../schema/index.js';
+import { rateLimiter } from './rateLimitMiddleware.js';
+import { validateSession } from '../services/sessionService.js';
+import { checkStepUp, isMfaEnrollmentPending } from '../services/mfaService.js';
+import { hasPermission, hasStaffRole } from '../constants/adminPermissions.js';
+
+// All a session may reach while its role requires 2FA that the user has not set up
+const MFA_ENROLLMENT_PATHS = ['/api/auth/mfa', '/api/auth/mfa/setup', '/api/auth/mfa/enable', '/api/auth/logout', '/api/auth/logout-all'];
 
 /**
- * Verify JWT token and attach user to request
+ * Verify JWT token, check its session is still active and attach the user
+ * (req.user) and session id (req.sessionId) to the request. Users whose role
+ * requires 2FA are held to the enrolment endpoints until they set it up.
  */
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -63,8 +72,27 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens of signed-out or revoked devices stop working straight away
+    const session = await validateSession(decoded.sid, user.id, { ipAddress: req.ip });
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired'
+      });
+    }
+
+    const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+    if (!MFA_ENROLLMENT_PATHS.includes(path) && await isMfaEnrollmentPending(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication to continue',
+        code: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
     // Attach user to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -104,8 +132,10 @@ export const optionalAuth = async (req, res, next) => {
         paranoid: true // This excludes soft-deleted users
       });
 
-      if (user && user.status === 'active') {
+      if (user && user.status === 'active' && await validateSession(decoded.sid, user.id) &&
+        !await isMfaEnrollmentPending(user)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -118,9 +148,11 @@ export const optionalAuth = async (req, res, next) => {
 
 /**
  * Role-based access control middleware
- * @param {...string} roles - Allowed roles
+ * @param {...string} roles - Allowed roles (an array is accepted too)
  */
 export const requireRole = (...roles) => {
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -129,7 +161,7 @@ export const requireRole = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
@@ -141,10 +173,47 @@ export const requireRole = (...roles) => {
 };
 
 /**
- * Check if user owns the resource or is admin
+ * Staff permission check (see constants/adminPermissions.js).
+ * Passes when the admin's staff role grants any of the listed permissions.
+ * @param {...string} permissions - e.g. 'withdrawals.approve'
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (req.user.role === 'admin' && !hasStaffRole(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your staff account has no staff role assigned. Ask a super admin to assign one.',
+        code: 'STAFF_ROLE_MISSING',
+        requiredPermissions: permissions
+      });
+    }
+
+    if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        code: 'PERMISSION_DENIED',
+        requiredPermissions: permissions
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check if user owns the resource, or is staff holding the given permission
  * @param {Function} getResourceOwnerId - Function to get resource owner ID from request
+ * @param {string} [permission] - Staff permission that grants access to any owner's resource
  */
-export const requireOwnership = (getResourceOwnerId) => {
+export const requireOwnership = (getResourceOwnerId, permission = null) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -154,8 +223,8 @@ export const requireOwnership = (getResourceOwnerId) => {
         });
       }
 
-      // Admin can access everything
-      if (req.user.role === 'admin') {
+      // Staff reach other users' resources only through a specific permission
+      if (permission && hasPermission(req.user, permission)) {
         return next();
       }
 
@@ -199,11 +268,6 @@ export const requireVerification = async (req, res, next) => {
       });
     }
 
-    // Admin bypass
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
     // Check email verification
     if (!req.user.emailVerified) {
       return res.status(403).json({
@@ -233,34 +297,35 @@ export const requireVerification = async (req, res, next) => {
 };
 
 /**
- * Rate limiting middleware (basic implementation)
+ * Sensitive actions (payouts, withdrawals, admin role changes): users with
+ * 2FA must have entered a code on this device in the last
+ * MFA_STEP_UP_TTL_MINUTES, or send one in the X-MFA-Code header.
+ * Use after authenticateToken.
  */
-export const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean old entries
-    if (requests.has(ip)) {
-      const userRequests = requests.get(ip).filter(time => time > windowStart);
-      requests.set(ip, userRequests);
-    }
+export const requireStepUp = async (req, res, next) => {
+  try {
+    const result = await checkStepUp(req.user, req.sessionId, req.get('x-mfa-code'));
 
-    const userRequests = requests.get(ip) || [];
-    
-    if (userRequests.length >= maxRequests) {
-      return res.status(429).json({
+    if (!result.allowed) {
+      return res.status(403).json({
         success: false,
-        message: 'Too many requests, please try again later'
+        message: result.message,
+        code: result.code
       });
     }
 
-    userRequests.push(now);
-    requests.set(ip, userRequests);
-
     next();
-  };
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
 };
+
+/**
+ * Rate limiting middleware (per-IP sliding window, shared across instances through Redis)
+ */
+export const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) =>
+  rateLimiter({ name: `ip-${maxRequests}-${windowMs}`, max: maxRequests, windowMs, keyBy: 'ip' });
@@ -0,0 +1,118 @@
+import multer from 'multer';
+import { uploadToCloudinary } from '../config/cloudinary.js';
+
+/**
+ * Dispute Upload Middleware - Handles evidence files attached to dispute messages
+ */
+
+const MAX_EVIDENCE_FILES = 5;
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage();
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/webp',
+    'video/mp4',
+    'video/quicktime',
+    'video/webm',
+    'application/pdf'
+  ];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type ${file.mimetype} is not allowed. Allowed types: images (JPEG, PNG, WebP), videos (MP4, MOV, WebM) and PDF`), false);
+  }
+};
+
+// Multer configuration
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB per file
+    files: MAX_EVIDENCE_FILES
+  }
+});
+
+/**
+ * Multer middleware for evidence files sent as "evidence"
+ */
+export const uploadDisputeEvidence = upload.array('evidence', MAX_EVIDENCE_FILES);
+
+/**
+ * Upload evidence files to Cloudinary and attach them to req.evidence
+ */
+export const processDisputeEvidence = async (req, res, next) => {
+  try {
+    req.evidence = [];
+    if (!req.files || req.files.length === 0) {
+      return next();
+    }
+
+    for (const file of req.files) {
+      const resourceType = file.mimetype.startsWith('image/')
+        ? 'image'
+        : file.mimetype.startsWith('video/') ? 'video' : 'raw';
+
+      const result = await uploadToCloudinary(file.buffer, {
+        folder: 'awari-disputes/evidence',
+        resource_type: resourceType,
+        mimeType: file.mimetype
+      });
+
+      if (!result.success) {
+        throw new Error(`Failed to upload ${file.originalname}: ${result.error}`);
+      }
+
+      req.evidence.push({
+        url: result.data.secure_url,
+        publicId: result.data.public_id,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        bytes: result.data.bytes || file.size
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Dispute evidence upload error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Evidence upload failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Error handler for multer errors on evidence uploads
+ */
+export const handleDisputeUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: 'File too large. Maximum size is 25MB.',
+      LIMIT_FILE_COUNT: `Too many files. Maximum is ${MAX_EVIDENCE_FILES} files.`,
+      LIMIT_UNEXPECTED_FILE: `Unexpected file field or more than ${MAX_EVIDENCE_FILES} files. Send evidence files as "evidence".`
+    };
+
+    return res.status(400).json({
+      success: false,
+      message: messages[error.code] || error.message
+    });
+  }
+
+  if (error.message?.includes('File type')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return next(error);
+};
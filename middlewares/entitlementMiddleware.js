@@ -0,0 +1,50 @@
+import { checkEntitlement } from '../services/entitlementService.js';
+
+/**
+ * Subscription plan gate. Responds 403 with an UPGRADE_REQUIRED error naming
+ * the plan that unlocks the action when the user's plan does not allow it.
+ * Admins are not limited. Must run after authenticateToken.
+ * @param {string} feature - properties, photos, featured or analytics
+ * @param {Object} options - { getPropertyId(req), getRequested(req) }
+ */
+export const requireEntitlement = (feature, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (req.user.role === 'admin') {
+        return next();
+      }
+
+      const result = await checkEntitlement(req.user.id, feature, {
+        propertyId: options.getPropertyId ? options.getPropertyId(req) : undefined,
+        requested: options.getRequested ? options.getRequested(req) : undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+          error: result.error,
+          data: result.data
+        });
+      }
+
+      req.entitlement = result.data;
+      next();
+    } catch (error) {
+      console.error('Entitlement check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+export default requireEntitlement;
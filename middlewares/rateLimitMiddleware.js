@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import redisClient, { isRedisReady } from '../config/redis.js';
+
+/**
+ * Sliding-window rate limiting.
+ * Each hit is stored in a Redis sorted set scored by its timestamp, so limits
+ * hold across restarts and across every API instance. When Redis is not
+ * connected (no REDIS_URL, tests) hits are kept in process memory instead.
+ */
+
+const KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'awari';
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const minutes = (value) => value * 60 * 1000;
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const clientIp = (req) => req.ip || req.connection?.remoteAddress || 'unknown';
+const normalizedEmail = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+/**
+ * Named policies. keyBy decides who shares a window:
+ * ip (per client address), user (per authenticated user, falling back to ip)
+ * or a function of the request.
+ */
+export const RATE_LIMIT_POLICIES = {
+  api: {
+    max: envInt('RATE_LIMIT_API_MAX', 300),
+    windowMs: minutes(envInt('RATE_LIMIT_API_WINDOW_MINUTES', 15)),
+    keyBy: 'ip',
+    message: 'Too many requests, please try again later'
+  },
+  login: {
+    max: envInt('RATE_LIMIT_LOGIN_MAX', 5),
+    windowMs: minutes(envInt('RATE_LIMIT_LOGIN_WINDOW_MINUTES', 15)),
+    keyBy: (req) => `${clientIp(req)}:${normalizedEmail(req)}`,
+    message: 'Too many login attempts, please try again later'
+  },
+  register: {
+    max: 10,
+    windowMs: minutes(60),
+    keyBy: 'ip',
+    message: 'Too many accounts created from this address, please try again later'
+  },
+  forgotPassword: {
+    max: envInt('RATE_LIMIT_FORGOT_PASSWORD_MAX', 3),
+    windowMs: minutes(envInt('RATE_LIMIT_FORGOT_PASSWORD_WINDOW_MINUTES', 60)),
+    keyBy: (req) => `${clientIp(req)}:${normalizedEmail(req)}`,
+    message: 'Too many password reset requests, please try again later'
+  },
+  refreshToken: {
+    max: envInt('RATE_LIMIT_REFRESH_TOKEN_MAX', 30),
+    windowMs: minutes(15),
+    keyBy: 'ip',
+    message: 'Too many token refresh requests, please try again later'
+  },
+  mfa: {
+    max: envInt('RATE_LIMIT_MFA_MAX', 10),
+    windowMs: minutes(15),
+    keyBy: 'user',
+    message: 'Too many verification attempts, please try again later'
+  },
+  verification: {
+    max: 5,
+    windowMs: minutes(60),
+    keyBy: 'ip',
+    message: 'Too many verification requests, please try again later'
+  },
+  phoneOtp: {
+    max: 10,
+    windowMs: minutes(15),
+    keyBy: 'user',
+    message: 'Too many phone verification requests, please try again later'
+  },
+  bookings: {
+    max: 20,
+    windowMs: minutes(60),
+    keyBy: 'user',
+    message: 'Too many booking requests, please try again later'
+  },
+  quotes: {
+    max: 60,
+    windowMs: minutes(15),
+    keyBy: 'user',
+    message: 'Too many quote requests, please try again later'
+  },
+  messages: {
+    max: 30,
+    windowMs: minutes(1),
+    keyBy: 'user',
+    message: 'You are sending messages too quickly, please slow down'
+  }
+};
+
+const memoryHits = new Map();
+
+const resolveKey = (req, keyBy) => {
+  if (typeof keyBy === 'function') return keyBy(req);
+  if (keyBy === 'user' && req.user?.id) return `user:${req.user.id}`;
+  return `ip:${clientIp(req)}`;
+};
+
+// Hash identifiers so emails and addresses are not stored in Redis key names
+const windowKey = (name, identity) =>
+  `${KEY_PREFIX}:ratelimit:${name}:${crypto.createHash('sha1').update(identity).digest('hex')}`;
+
+const hitRedis = async (key, now, windowMs) => {
+  const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+
+  const results = await redisClient
+    .multi()
+    .zremrangebyscore(key, 0, now - windowMs)
+    .zadd(key, now, member)
+    .zcard(key)
+    .zrange(key, 0, 0, 'WITHSCORES')
+    .pexpire(key, windowMs)
+    .exec();
+
+  const [, , [, count], [, oldest]] = results;
+  return { count, oldestAt: oldest?.length ? Number(oldest[1]) : now };
+};
+
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+const hitMemory = (key, now, windowMs) => {
+  if (memoryHits.size > MEMORY_SWEEP_THRESHOLD) {
+    for (const [storedKey, entry] of memoryHits) {
+      if (entry.expiresAt <= now) memoryHits.delete(storedKey);
+    }
+  }
+
+  const hits = (memoryHits.get(key)?.hits || []).filter(time => time > now - windowMs);
+  hits.push(now);
+  memoryHits.set(key, { hits, expiresAt: now + windowMs });
+  return { count: hits.length, oldestAt: hits[0] };
+};
+
+/**
+ * Record a hit and report whether the caller is still inside its limit
+ * @param {string} name - Policy name (part of the key)
+ * @param {string} identity - Who is being limited
+ * @param {Object} policy - { max, windowMs }
+ * @returns {Object} { allowed, limit, remaining, retryAfterMs }
+ */
+export const consume = async (name, identity, policy) => {
+  const key = windowKey(name, identity);
+  const now = Date.now();
+
+  let hit;
+  if (process.env.NODE_ENV !== 'test' && isRedisReady()) {
+    try {
+      hit = await hitRedis(key, now, policy.windowMs);
+    } catch (error) {
+      console.error('⚠️ Redis rate limit failed, using memory store:', error.message);
+    }
+  }
+  if (!hit) {
+    hit = hitMemory(key, now, policy.windowMs);
+  }
+
+  return {
+    allowed: hit.count <= policy.max,
+    limit: policy.max,
+    remaining: Math.max(policy.max - hit.count, 0),
+    retryAfterMs: Math.max(hit.oldestAt + policy.windowMs - now, 0)
+  };
+};
+
+const countRedis = async (key, now, windowMs) => {
+  const results = await redisClient
+    .multi()
+    .zremrangebyscore(key, 0, now - windowMs)
+    .zcard(key)
+    .zrange(key, 0, 0, 'WITHSCORES')
+    .exec();
+
+  const [, [, count], [, oldest]] = results;
+  return { count, oldestAt: oldest?.length ? Number(oldest[1]) : now };
+};
+
+const countMemory = (key, now, windowMs) => {
+  const hits = (memoryHits.get(key)?.hits || []).filter(time => time > now - windowMs);
+  return { count: hits.length, oldestAt: hits[0] ?? now };
+};
+
+/**
+ * Check a window without recording a hit, for limits that only count
+ * failures (e.g. wrong passwords from one address)
+ * @param {string} name - Policy name (part of the key)
+ * @param {string} identity - Who is being limited
+ * @param {Object} policy - { max, windowMs }
+ * @returns {Object} { allowed, limit, remaining, retryAfterMs }
+ */
+export const peek = async (name, identity, policy) => {
+  const key = windowKey(name, identity);
+  const now = Date.now();
+
+  let hit;
+  if (process.env.NODE_ENV !== 'test' && isRedisReady()) {
+    try {
+      hit = await countRedis(key, now, policy.windowMs);
+    } catch (error) {
+      console.error('⚠️ Redis rate limit failed, using memory store:', error.message);
+    }
+  }
+  if (!hit) {
+    hit = countMemory(key, now, policy.windowMs);
+  }
+
+  return {
+    allowed: hit.count < policy.max,
+    limit: policy.max,
+    remaining: Math.max(policy.max - hit.count, 0),
+    retryAfterMs: hit.count < policy.max ? 0 : Math.max(hit.oldestAt + policy.windowMs - now, 0)
+  };
+};
+
+/**
+ * Rate limiting middleware
+ * @param {string|Object} policy - Name in RATE_LIMIT_POLICIES, or { name, max, windowMs, keyBy, message }
+ * @param {Object} options - { skip(req) } to exempt requests
+ */
+export const rateLimiter = (policy, options = {}) => {
+  const name = typeof policy === 'string' ? policy : policy.name || 'custom';
+  const settings = typeof policy === 'string'
+    ? RATE_LIMIT_POLICIES[policy]
+    : { keyBy: 'ip', message: 'Too many requests, please try again later', ...policy };
+
+  if (!settings) {
+    throw new Error(`Unknown rate limit policy: ${policy}`);
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || (options.skip && options.skip(req))) {
+      return next();
+    }
+
+    try {
+      const result = await consume(name, resolveKey(req, settings.keyBy), settings);
+
+      res.set('X-RateLimit-Limit', String(result.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: settings.message,
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+export default rateLimiter;
@@ -0,0 +1,55 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Blocks imported from iCal feeds of other channels
+    await queryInterface.changeColumn('property_availability', 'reason', {
+      type: Sequelize.ENUM('booking', 'maintenance', 'owner_blocked', 'admin_blocked', 'unavailable', 'external_sync'),
+      allowNull: false,
+      defaultValue: 'unavailable'
+    });
+    console.log('✅ Added external_sync to property_availability.reason');
+
+    const tableDescription = await queryInterface.describeTable('property_availability');
+
+    if (!tableDescription.calendarFeedId) {
+      await queryInterface.addColumn('property_availability', 'calendarFeedId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'iCal import feed that owns this block (reason external_sync)'
+      });
+      console.log('✅ Added calendarFeedId column to property_availability table');
+    } else {
+      console.log('⚠️ calendarFeedId column already exists in property_availability table');
+    }
+
+    const indexes = await queryInterface.showIndex('property_availability');
+    if (!indexes.some((index) => index.name === 'property_availability_calendar_feed_id_is_active')) {
+      await queryInterface.addIndex('property_availability', ['calendarFeedId', 'isActive'], {
+        name: 'property_availability_calendar_feed_id_is_active'
+      });
+      console.log('✅ Added property_availability_calendar_feed_id_is_active index');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const indexes = await queryInterface.showIndex('property_availability');
+    if (indexes.some((index) => index.name === 'property_availability_calendar_feed_id_is_active')) {
+      await queryInterface.removeIndex('property_availability', 'property_availability_calendar_feed_id_is_active');
+    }
+
+    const tableDescription = await queryInterface.describeTable('property_availability');
+    if (tableDescription.calendarFeedId) {
+      await queryInterface.removeColumn('property_availability', 'calendarFeedId');
+      console.log('✅ Removed calendarFeedId column from property_availability table');
+    }
+
+    // Imported blocks cannot keep a reason the old enum does not have
+    await queryInterface.sequelize.query(
+      "UPDATE property_availability SET reason = 'unavailable' WHERE reason = 'external_sync'"
+    );
+    await queryInterface.changeColumn('property_availability', 'reason', {
+      type: Sequelize.ENUM('booking', 'maintenance', 'owner_blocked', 'admin_blocked', 'unavailable'),
+      allowNull: false,
+      defaultValue: 'unavailable'
+    });
+  }
+};
@@ -0,0 +1,55 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('wallet_transactions');
+
+    if (!tableDescription.operation) {
+      await queryInterface.addColumn('wallet_transactions', 'operation', {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'Ledger operation (fund, payment, refund, withdrawal, transfer_in, transfer_out, credit_pending, debit_pending, release_pending)'
+      });
+      console.log('✅ Added operation column to wallet_transactions table');
+    } else {
+      console.log('⚠️ operation column already exists in wallet_transactions table');
+    }
+
+    if (!tableDescription.idempotencyKey) {
+      await queryInterface.addColumn('wallet_transactions', 'idempotencyKey', {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Client or caller supplied key; unique per wallet and operation'
+      });
+      console.log('✅ Added idempotencyKey column to wallet_transactions table');
+    } else {
+      console.log('⚠️ idempotencyKey column already exists in wallet_transactions table');
+    }
+
+    const indexes = await queryInterface.showIndex('wallet_transactions');
+    if (!indexes.some((index) => index.name === 'wallet_transactions_idempotency')) {
+      await queryInterface.addIndex('wallet_transactions', ['walletId', 'operation', 'idempotencyKey'], {
+        name: 'wallet_transactions_idempotency',
+        unique: true
+      });
+      console.log('✅ Added wallet_transactions_idempotency unique index');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const indexes = await queryInterface.showIndex('wallet_transactions');
+    if (indexes.some((index) => index.name === 'wallet_transactions_idempotency')) {
+      await queryInterface.removeIndex('wallet_transactions', 'wallet_transactions_idempotency');
+    }
+
+    const tableDescription = await queryInterface.describeTable('wallet_transactions');
+
+    if (tableDescription.idempotencyKey) {
+      await queryInterface.removeColumn('wallet_transactions', 'idempotencyKey');
+      console.log('✅ Removed idempotencyKey column from wallet_transactions table');
+    }
+
+    if (tableDescription.operation) {
+      await queryInterface.removeColumn('wallet_transactions', 'operation');
+      console.log('✅ Removed operation column from wallet_transactions table');
+    }
+  }
+};
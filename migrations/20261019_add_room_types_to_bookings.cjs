@@ -0,0 +1,68 @@
+// room_types and room_inventory are new tables and are created by sequelize.sync;
+// this adds the columns that link existing tables to them.
+const COLUMNS = [
+  {
+    table: 'bookings',
+    column: 'roomTypeId',
+    definition: (Sequelize) => ({ type: Sequelize.UUID, allowNull: true })
+  },
+  {
+    table: 'bookings',
+    column: 'roomUnits',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: true, defaultValue: 1 })
+  },
+  {
+    table: 'booking_quotes',
+    column: 'roomTypeId',
+    definition: (Sequelize) => ({ type: Sequelize.UUID, allowNull: true })
+  },
+  {
+    table: 'booking_quotes',
+    column: 'roomUnits',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: true, defaultValue: 1 })
+  },
+  {
+    table: 'property_media',
+    column: 'roomTypeId',
+    definition: (Sequelize) => ({ type: Sequelize.UUID, allowNull: true })
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const { table, column, definition } of COLUMNS) {
+      const tableDescription = await queryInterface.describeTable(table);
+
+      if (!tableDescription[column]) {
+        await queryInterface.addColumn(table, column, definition(Sequelize));
+        console.log(`✅ Added ${column} column to ${table} table`);
+      } else {
+        console.log(`⚠️ ${column} column already exists in ${table} table`);
+      }
+    }
+
+    const indexes = await queryInterface.showIndex('bookings');
+    if (!indexes.some((index) => index.name === 'bookings_room_type_id_status')) {
+      await queryInterface.addIndex('bookings', ['roomTypeId', 'status'], {
+        name: 'bookings_room_type_id_status'
+      });
+      console.log('✅ Added bookings_room_type_id_status index');
+    }
+  },
+
+  async down(queryInterface) {
+    const indexes = await queryInterface.showIndex('bookings');
+    if (indexes.some((index) => index.name === 'bookings_room_type_id_status')) {
+      await queryInterface.removeIndex('bookings', 'bookings_room_type_id_status');
+    }
+
+    for (const { table, column } of [...COLUMNS].reverse()) {
+      const tableDescription = await queryInterface.describeTable(table);
+
+      if (tableDescription[column]) {
+        await queryInterface.removeColumn(table, column);
+        console.log(`✅ Removed ${column} column from ${table} table`);
+      }
+    }
+  }
+};
@@ -0,0 +1,73 @@
+// rent_invoices is a new table and is created by sequelize.sync; this adds the
+// rent payment type, the rent journal entry type and the lease late-fee rule.
+const PAYMENT_TYPES = ['booking', 'subscription', 'rent', 'service_fee', 'refund', 'payout'];
+const JOURNAL_ENTRY_TYPES = [
+  'booking_payment',
+  'funds_release',
+  'refund',
+  'payout',
+  'payout_reversal',
+  'wallet_funding',
+  'wallet_payment',
+  'transfer',
+  'subscription_charge',
+  'rent_payment',
+  'adjustment'
+];
+
+const LEASE_COLUMNS = [
+  {
+    column: 'lateFeePercent',
+    definition: (Sequelize) => ({ type: Sequelize.DECIMAL(5, 2), allowNull: true, defaultValue: 0 })
+  },
+  {
+    column: 'lateFeeGraceDays',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: true, defaultValue: 7 })
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('payments', 'paymentType', {
+      type: Sequelize.ENUM(...PAYMENT_TYPES),
+      allowNull: false
+    });
+    console.log('✅ Added rent to payments.paymentType');
+
+    await queryInterface.changeColumn('journal_entries', 'entryType', {
+      type: Sequelize.ENUM(...JOURNAL_ENTRY_TYPES),
+      allowNull: false
+    });
+    console.log('✅ Added rent_payment to journal_entries.entryType');
+
+    const tableDescription = await queryInterface.describeTable('leases');
+    for (const { column, definition } of LEASE_COLUMNS) {
+      if (!tableDescription[column]) {
+        await queryInterface.addColumn('leases', column, definition(Sequelize));
+        console.log(`✅ Added ${column} column to leases table`);
+      } else {
+        console.log(`⚠️ ${column} column already exists in leases table`);
+      }
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('leases');
+    for (const { column } of [...LEASE_COLUMNS].reverse()) {
+      if (tableDescription[column]) {
+        await queryInterface.removeColumn('leases', column);
+        console.log(`✅ Removed ${column} column from leases table`);
+      }
+    }
+
+    await queryInterface.changeColumn('journal_entries', 'entryType', {
+      type: Sequelize.ENUM(...JOURNAL_ENTRY_TYPES.filter((type) => type !== 'rent_payment')),
+      allowNull: false
+    });
+
+    await queryInterface.changeColumn('payments', 'paymentType', {
+      type: Sequelize.ENUM(...PAYMENT_TYPES.filter((type) => type !== 'rent')),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,26 @@
+// disputes and dispute_messages are new tables and are created by sequelize.sync;
+// this adds the walletStatus that holds a disputed booking's pending funds.
+const WALLET_STATUSES = ['none', 'pending', 'frozen', 'released', 'refunded'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('bookings', 'walletStatus', {
+      type: Sequelize.ENUM(...WALLET_STATUSES),
+      defaultValue: 'none',
+      allowNull: false
+    });
+    console.log('✅ Added frozen to bookings.walletStatus');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      "UPDATE bookings SET walletStatus = 'pending' WHERE walletStatus = 'frozen'"
+    );
+
+    await queryInterface.changeColumn('bookings', 'walletStatus', {
+      type: Sequelize.ENUM(...WALLET_STATUSES.filter((status) => status !== 'frozen')),
+      defaultValue: 'none',
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,55 @@
+// listing_reports is a new table and is created by sequelize.sync; this adds the
+// suspended listing status and the report counters on properties.
+const PROPERTY_STATUSES = ['draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived', 'suspended'];
+
+const PROPERTY_COLUMNS = [
+  {
+    column: 'reportCount',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: true, defaultValue: 0 })
+  },
+  {
+    column: 'suspendedAt',
+    definition: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true })
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('properties', 'status', {
+      type: Sequelize.ENUM(...PROPERTY_STATUSES),
+      defaultValue: 'draft',
+      allowNull: false
+    });
+    console.log('✅ Added suspended to properties.status');
+
+    const tableDescription = await queryInterface.describeTable('properties');
+    for (const { column, definition } of PROPERTY_COLUMNS) {
+      if (!tableDescription[column]) {
+        await queryInterface.addColumn('properties', column, definition(Sequelize));
+        console.log(`✅ Added ${column} column to properties table`);
+      } else {
+        console.log(`⚠️ ${column} column already exists in properties table`);
+      }
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('properties');
+    for (const { column } of [...PROPERTY_COLUMNS].reverse()) {
+      if (tableDescription[column]) {
+        await queryInterface.removeColumn('properties', column);
+        console.log(`✅ Removed ${column} column from properties table`);
+      }
+    }
+
+    await queryInterface.sequelize.query(
+      "UPDATE properties SET status = 'inactive' WHERE status = 'suspended'"
+    );
+
+    await queryInterface.changeColumn('properties', 'status', {
+      type: Sequelize.ENUM(...PROPERTY_STATUSES.filter((status) => status !== 'suspended')),
+      defaultValue: 'draft',
+      allowNull: false
+    });
+  }
+};
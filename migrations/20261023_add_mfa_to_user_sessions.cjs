@@ -0,0 +1,24 @@
+// user_mfa and mfa_role_policies are new tables and are created by sequelize.sync;
+// this adds the second-factor timestamp used for step-up checks to user_sessions.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('user_sessions');
+    if (!tableDescription.mfaVerifiedAt) {
+      await queryInterface.addColumn('user_sessions', 'mfaVerifiedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      console.log('✅ Added mfaVerifiedAt column to user_sessions table');
+    } else {
+      console.log('⚠️ mfaVerifiedAt column already exists in user_sessions table');
+    }
+  },
+
+  async down(queryInterface) {
+    const tableDescription = await queryInterface.describeTable('user_sessions');
+    if (tableDescription.mfaVerifiedAt) {
+      await queryInterface.removeColumn('user_sessions', 'mfaVerifiedAt');
+      console.log('✅ Removed mfaVerifiedAt column from user_sessions table');
+    }
+  }
+};
@@ -0,0 +1,51 @@
+// Failed sign-in tracking, lockout and code attempt counters on Users.
+const USER_COLUMNS = [
+  {
+    column: 'failedLoginAttempts',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 })
+  },
+  {
+    column: 'lastFailedLoginAt',
+    definition: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true })
+  },
+  {
+    column: 'lockedUntil',
+    definition: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true })
+  },
+  {
+    column: 'emailVerificationAttempts',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 })
+  },
+  {
+    column: 'passwordResetAttempts',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 })
+  },
+  {
+    column: 'passwordResetRequired',
+    definition: (Sequelize) => ({ type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false })
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('Users');
+    for (const { column, definition } of USER_COLUMNS) {
+      if (!tableDescription[column]) {
+        await queryInterface.addColumn('Users', column, definition(Sequelize));
+        console.log(`✅ Added ${column} column to Users table`);
+      } else {
+        console.log(`⚠️ ${column} column already exists in Users table`);
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    const tableDescription = await queryInterface.describeTable('Users');
+    for (const { column } of [...USER_COLUMNS].reverse()) {
+      if (tableDescription[column]) {
+        await queryInterface.removeColumn('Users', column);
+        console.log(`✅ Removed ${column} column from Users table`);
+      }
+    }
+  }
+};
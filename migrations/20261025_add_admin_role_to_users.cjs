@@ -0,0 +1,29 @@
+// Staff roles for admin accounts. Existing admins had full access, so they
+// become super admins; new staff are given a narrower role when created.
+const ADMIN_ROLES = ['support', 'moderator', 'finance', 'super_admin'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('Users');
+    if (!tableDescription.adminRole) {
+      await queryInterface.addColumn('Users', 'adminRole', {
+        type: Sequelize.ENUM(...ADMIN_ROLES),
+        allowNull: true
+      });
+      console.log('✅ Added adminRole column to Users table');
+    } else {
+      console.log('⚠️ adminRole column already exists in Users table');
+    }
+
+    await queryInterface.bulkUpdate('Users', { adminRole: 'super_admin' }, { role: 'admin', adminRole: null });
+    console.log('✅ Existing admins set to super_admin');
+  },
+
+  async down(queryInterface) {
+    const tableDescription = await queryInterface.describeTable('Users');
+    if (tableDescription.adminRole) {
+      await queryInterface.removeColumn('Users', 'adminRole');
+      console.log('✅ Removed adminRole column from Users table');
+    }
+  }
+};
@@ -0,0 +1,27 @@
+// agencies, agency_members, agency_invitations, agency_mandates and
+// agency_commissions are new tables created by sequelize.sync; this links
+// properties to the agency that manages them.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('properties');
+    if (!tableDescription.agencyId) {
+      await queryInterface.addColumn('properties', 'agencyId', {
+        type: Sequelize.UUID,
+        allowNull: true
+      });
+      await queryInterface.addIndex('properties', ['agencyId']);
+      console.log('✅ Added agencyId column to properties table');
+    } else {
+      console.log('⚠️ agencyId column already exists in properties table');
+    }
+  },
+
+  async down(queryInterface) {
+    const tableDescription = await queryInterface.describeTable('properties');
+    if (tableDescription.agencyId) {
+      await queryInterface.removeIndex('properties', ['agencyId']);
+      await queryInterface.removeColumn('properties', 'agencyId');
+      console.log('✅ Removed agencyId column from properties table');
+    }
+  }
+};
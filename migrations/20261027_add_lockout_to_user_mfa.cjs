@@ -0,0 +1,35 @@
+// Wrong-code counter and lockout on the TOTP second factor.
+const MFA_COLUMNS = [
+  {
+    column: 'failedAttempts',
+    definition: (Sequelize) => ({ type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 })
+  },
+  {
+    column: 'lockedUntil',
+    definition: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true })
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('user_mfa');
+    for (const { column, definition } of MFA_COLUMNS) {
+      if (!tableDescription[column]) {
+        await queryInterface.addColumn('user_mfa', column, definition(Sequelize));
+        console.log(`✅ Added ${column} column to user_mfa table`);
+      } else {
+        console.log(`⚠️ ${column} column already exists in user_mfa table`);
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    const tableDescription = await queryInterface.describeTable('user_mfa');
+    for (const { column } of [...MFA_COLUMNS].reverse()) {
+      if (tableDescription[column]) {
+        await queryInterface.removeColumn('user_mfa', column);
+        console.log(`✅ Removed ${column} column from user_mfa table`);
+      }
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// Lets checkout count quotes that are being paid for against a coupon's caps.
+// Quotes live for minutes, so existing ones are not backfilled.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tableDescription = await queryInterface.describeTable('booking_quotes');
+
+    if (!tableDescription.couponId) {
+      await queryInterface.addColumn('booking_quotes', 'couponId', {
+        type: Sequelize.UUID,
+        allowNull: true
+      });
+      console.log('✅ Added couponId column to booking_quotes table');
+    } else {
+      console.log('⚠️ couponId column already exists in booking_quotes table');
+    }
+
+    const indexes = await queryInterface.showIndex('booking_quotes');
+    if (!indexes.some((index) => index.name === 'booking_quotes_coupon_id_status')) {
+      await queryInterface.addIndex('booking_quotes', ['couponId', 'status'], {
+        name: 'booking_quotes_coupon_id_status'
+      });
+      console.log('✅ Added booking_quotes_coupon_id_status index');
+    }
+  },
+
+  async down(queryInterface) {
+    const indexes = await queryInterface.showIndex('booking_quotes');
+    if (indexes.some((index) => index.name === 'booking_quotes_coupon_id_status')) {
+      await queryInterface.removeIndex('booking_quotes', 'booking_quotes_coupon_id_status');
+    }
+
+    const tableDescription = await queryInterface.describeTable('booking_quotes');
+    if (tableDescription.couponId) {
+      await queryInterface.removeColumn('booking_quotes', 'couponId');
+      console.log('✅ Removed couponId column from booking_quotes table');
+    }
+  }
+};
@@ -1,34 +1,48 @@
+import { getSmsProvider } from '../../providers/sms/index.js';
+
 /**
  * SMS Notification Service
- * Placeholder for SMS integration
+ * Sends through the provider chosen with SMS_PROVIDER (see providers/sms)
  */
 
 /**
- * Send SMS notification
+ * Send SMS and return the provider's delivery details
  * @param {string} phoneNumber - Recipient phone number
  * @param {string} message - SMS message
- * @returns {boolean} Success status
+ * @returns {Object} { success, provider, messageId, status, error }
  */
-export const sendSMS = async (phoneNumber, message) => {
+export const deliverSMS = async (phoneNumber, message) => {
   try {
-    // TODO: Implement actual SMS service integration
-    // This could integrate with services like:
-    // - Twilio
-    // - AWS SNS
-    // - Africa's Talking
-    // - Local SMS providers
-    
-    console.log(`SMS would be sent to ${phoneNumber}: ${message}`);
-    
-    // For now, just log the SMS and return success
-    // In production, replace this with actual SMS service
-    return true;
+    if (!phoneNumber || !validatePhoneNumber(formatPhoneNumber(phoneNumber))) {
+      return { success: false, error: 'Invalid phone number' };
+    }
+
+    const provider = getSmsProvider();
+    const result = await provider.send({ to: formatPhoneNumber(phoneNumber), message });
+
+    if (!result.success) {
+      console.error(`❌ SMS via ${result.provider} failed:`, result.error);
+    }
+
+    return result;
   } catch (error) {
-    console.error('Error sending SMS:', error);
-    return false;
+    const reason = error.response?.data?.message || error.response?.data || error.message;
+    console.error('Error sending SMS:', reason);
+    return { success: false, error: typeof reason === 'string' ? reason : JSON.stringify(reason) };
   }
 };
 
+/**
+ * Send SMS notification
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - SMS message
+ * @returns {boolean} Success status
+ */
+export const sendSMS = async (phoneNumber, message) => {
+  const result = await deliverSMS(phoneNumber, message);
+  return result.success;
+};
+
 /**
  * Send bulk SMS notifications
  * @param {Array} phoneNumbers - Array of phone numbers
@@ -70,7 +84,7 @@ export const sendBulkSMS = async (phoneNumbers, message) => {
 export const validatePhoneNumber = (phoneNumber) => {
   // Basic phone number validation
   // This should be customized based on your target regions
-  const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+  const phoneRegex = /^\+?[1-9]\d{6,14}$/;
   return phoneRegex.test(phoneNumber);
 };
 
@@ -80,8 +94,13 @@ export const validatePhoneNumber = (phoneNumber) => {
  * @returns {string} Formatted phone number
  */
 export const formatPhoneNumber = (phoneNumber) => {
+  // Numbers already in international format keep their country code
+  if (String(phoneNumber).trim().startsWith('+')) {
+    return '+' + String(phoneNumber).replace(/\D/g, '');
+  }
+
   // Remove all non-digit characters
-  let cleaned = phoneNumber.replace(/\D/g, '');
+  let cleaned = String(phoneNumber).replace(/\D/g, '');
   
   // Add country code if not present (assuming Nigeria +234)
   if (cleaned.startsWith('0')) {
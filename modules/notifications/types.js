@@ -93,6 +93,7 @@ export const NotificationChannels = {
     EMAIL: 'email',
     SMS: 'sms',
     PUSH: 'push',
+    WHATSAPP: 'whatsapp',
     IN_APP: 'in_app'
 };
 
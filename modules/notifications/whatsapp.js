@@ -1,5 +1,10 @@
-import twilio from 'twilio';
+import axios from 'axios';
+import { formatPhoneNumber as formatInternational } from './sms.js';
 
+/**
+ * WhatsApp messages through Twilio's WhatsApp sender
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_NUMBER
+ */
 class WhatsAppNotificationService {
     constructor() {
         if (!WhatsAppNotificationService.instance) {
@@ -10,47 +15,52 @@ class WhatsAppNotificationService {
     }
 
     initialize() {
-        this.client = twilio(
-            process.env.TWILIO_ACCOUNT_SID,
-            process.env.TWILIO_AUTH_TOKEN
-        );
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
         this.fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
     }
 
+    isConfigured() {
+        return Boolean(this.accountSid && this.authToken && this.fromNumber);
+    }
+
     formatPhoneNumber(number) {
-        let cleaned = number.replace(/\D/g, '');
-        
-        if (cleaned.startsWith('0')) {
-            cleaned = cleaned.substring(1);
-        }
-        
-        if (!cleaned.startsWith('234')) {
-            cleaned = '234' + cleaned;
-        }
-        
-        return `whatsapp:+${cleaned}`;
+        return `whatsapp:${formatInternational(number)}`;
     }
 
     async sendMessage(to, message) {
+        if (!this.isConfigured()) {
+            return { success: false, error: 'WhatsApp is not configured' };
+        }
+
         try {
-            const formattedNumber = this.formatPhoneNumber(to);
-            
-            const response = await this.client.messages.create({
-                body: message,
-                from: `whatsapp:${this.fromNumber}`,
-                to: formattedNumber
+            const form = new URLSearchParams({
+                To: this.formatPhoneNumber(to),
+                From: `whatsapp:${this.fromNumber}`,
+                Body: message
             });
 
-            console.log('WhatsApp message sent successfully:', response.sid);
+            const response = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+                form.toString(),
+                {
+                    auth: { username: this.accountSid, password: this.authToken },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 10000
+                }
+            );
+
+            console.log('WhatsApp message sent successfully:', response.data.sid);
             return {
                 success: true,
-                data: response
+                data: { sid: response.data.sid, status: response.data.status }
             };
         } catch (error) {
-            console.error('WhatsApp message sending failed:', error);
+            const reason = error.response?.data?.message || error.message;
+            console.error('WhatsApp message sending failed:', reason);
             return {
                 success: false,
-                error: error.message
+                error: reason
             };
         }
     }
@@ -83,9 +93,9 @@ class WhatsAppNotificationService {
 }
 
 export const WhatsAppTemplates = {
-    WELCOME: "Welcome to Nagida Foods, {{name}}! Thank you for joining our platform.",
-    ORDER_UPDATE: "Your order #{{orderId}} has been {{status}}. Thank you for shopping with Nagida Foods.",
-    VERIFICATION_CODE: "Your Nagida Foods verification code is: {{code}}. Valid for 30 minutes.",
+    WELCOME: "Welcome to AWARI, {{name}}! Thank you for joining our platform.",
+    ORDER_UPDATE: "Your order #{{orderId}} has been {{status}}. Thank you for using AWARI.",
+    VERIFICATION_CODE: "Your AWARI verification code is: {{code}}. Valid for 30 minutes.",
     DELIVERY_UPDATE: "Your order #{{orderId}} is {{status}}. Track your delivery here: {{trackingLink}}",
     PAYMENT_CONFIRMATION: "Payment of ₦{{amount}} received for order #{{orderId}}. Thank you!"
 };
@@ -2,6 +2,7 @@ import { BAD_REQUEST, SUCCESS } from "../../constants/statusCode.js";
 import { messageHandler } from "../../utils/index.js";
 import axios from 'axios';
 import { Payment, Booking } from "../../schema/index.js";
+import sequelize from "../../database/db.js";
 
 const PAYSTACK_DECIMAL_FACTOR = 100;
 
@@ -175,6 +176,50 @@ class PaystackService {
         }
     }
 
+    async chargeAuthorization(data, callback) {
+        try {
+            if (!data?.authorizationCode || !data?.email) {
+                throw new Error('Authorization code and customer email are required to charge an authorization');
+            }
+
+            const payload = {
+                authorization_code: data.authorizationCode,
+                email: data.email,
+                amount: this.normalizeAmount(data.amount),
+                currency: data.currency || 'NGN',
+                reference: data.reference,
+                metadata: data.metadata
+            };
+
+            Object.keys(payload).forEach((key) => {
+                if (payload[key] === undefined || payload[key] === null) {
+                    delete payload[key];
+                }
+            });
+
+            const response = await this.api.post('/transaction/charge_authorization', payload);
+
+            return callback(
+                messageHandler(
+                    "Authorization charged successfully",
+                    true,
+                    SUCCESS,
+                    response.data.data
+                )
+            );
+        } catch (error) {
+            const message = error.response?.data?.message || error.message || 'Failed to charge authorization';
+            return callback(
+                messageHandler(
+                    message,
+                    false,
+                    BAD_REQUEST,
+                    error.response?.data
+                )
+            );
+        }
+    }
+
     async createTransferRecipient(data, callback) {
         try {
             const payload = {
@@ -337,6 +382,12 @@ class PaystackService {
                 return;
             }
 
+            // Already refunded because it could not become a booking; a replay must not book it now
+            if (payment.status === 'refunded') {
+                console.log('ℹ️ [Paystack Webhook] Payment already refunded, skipping:', reference);
+                return;
+            }
+
             console.log('✅ [Paystack Webhook] Processing successful payment:', reference);
             console.log('✅ [Paystack Webhook] Payment metadata:', JSON.stringify(payment.metadata, null, 2));
             console.log('✅ [Paystack Webhook] Payment bookingId:', payment.bookingId);
@@ -364,19 +415,80 @@ class PaystackService {
                         discountAmount: bookingData.discountAmount
                     });
 
-                    // Create the booking with explicitly converted numeric values
-                    booking = await Booking.create({
-                        ...bookingData,
-                        basePrice: Number(bookingData.basePrice) || 0,
-                        serviceFee: Number(bookingData.serviceFee) || 0,
-                        taxAmount: Number(bookingData.taxAmount) || 0,
-                        totalPrice: Number(bookingData.totalPrice) || 0,
-                        discountAmount: Number(bookingData.discountAmount) || 0,
-                        status: 'in_progress', // Set to in_progress - requires landlord/agent approval
-                        paymentStatus: 'completed',
-                        paymentMethod,
-                        transactionId: reference
-                    });
+                    const transaction = await sequelize.transaction();
+                    let unavailableReason = null;
+                    let alreadyHandled = false;
+                    try {
+                        // The webhook and verification can deliver the same payment at once; the first one books it
+                        await payment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+                        if (payment.bookingId || payment.status === 'refunded') {
+                            alreadyHandled = true;
+                        }
+
+                        // Count the room type's units with its row locked, so two payments cannot take the last room
+                        if (!alreadyHandled && bookingData.roomTypeId) {
+                            const { checkRoomTypeAvailability } = await import('../../services/roomTypeService.js');
+                            const roomCheck = await checkRoomTypeAvailability(
+                                bookingData.roomTypeId,
+                                bookingData.checkInDate,
+                                bookingData.checkOutDate,
+                                bookingData.roomUnits || 1,
+                                { propertyId: bookingData.propertyId, excludeQuoteId: payment.metadata?.quoteId, transaction }
+                            );
+                            if (!roomCheck.available) {
+                                unavailableReason = 'The rooms sold out before your payment completed';
+                            }
+                        }
+
+                        if (!alreadyHandled && !unavailableReason) {
+                            // Create the booking with explicitly converted numeric values
+                            booking = await Booking.create({
+                                ...bookingData,
+                                basePrice: Number(bookingData.basePrice) || 0,
+                                serviceFee: Number(bookingData.serviceFee) || 0,
+                                taxAmount: Number(bookingData.taxAmount) || 0,
+                                totalPrice: Number(bookingData.totalPrice) || 0,
+                                discountAmount: Number(bookingData.discountAmount) || 0,
+                                status: 'in_progress', // Set to in_progress - requires landlord/agent approval
+                                paymentStatus: 'completed',
+                                paymentMethod,
+                                transactionId: reference
+                            }, { transaction });
+
+                            // The quote that priced this payment can back only one booking
+                            if (payment.metadata?.quoteId) {
+                                const { consumeQuote } = await import('../../services/bookingQuoteService.js');
+                                const consumed = await consumeQuote(payment.metadata.quoteId, booking.id, transaction);
+                                if (!consumed) {
+                                    unavailableReason = 'The quote for this payment was already used for another booking';
+                                    booking = null;
+                                }
+                            }
+
+                            if (booking) {
+                                await payment.update({ bookingId: booking.id }, { transaction });
+                            }
+                        }
+
+                        if (unavailableReason || alreadyHandled) {
+                            await transaction.rollback();
+                        } else {
+                            await transaction.commit();
+                        }
+                    } catch (createError) {
+                        if (!transaction.finished) await transaction.rollback();
+                        throw createError;
+                    }
+
+                    if (alreadyHandled) {
+                        console.log('ℹ️ [Paystack Webhook] Payment already handled by another delivery, skipping:', reference);
+                        return;
+                    }
+
+                    if (unavailableReason) {
+                        await this.refundUnbookedPayment(payment, data, amountMajor, paymentMethod, unavailableReason);
+                        return; // Exit early; no booking was created
+                    }
 
                     console.log('✅ [Paystack Webhook] Booking created successfully:', booking.id);
                     console.log('✅ [Paystack Webhook] Created booking details:', {
@@ -394,10 +506,6 @@ class PaystackService {
                         totalPrice: booking.totalPrice
                     });
 
-                    // Update payment record with bookingId
-                    await payment.update({
-                        bookingId: booking.id
-                    });
                     console.log('✅ [Paystack Webhook] Payment record updated with bookingId:', booking.id);
 
                     // Block dates immediately after paid booking creation to prevent double bookings
@@ -472,7 +580,10 @@ class PaystackService {
                         const availabilityCheck = await checkDateRangeAvailability(
                             booking.propertyId,
                             booking.checkInDate,
-                            booking.checkOutDate
+                            booking.checkOutDate,
+                            booking.roomTypeId
+                                ? { roomTypeId: booking.roomTypeId, units: booking.roomUnits, excludeBookingId: booking.id }
+                                : {}
                         );
 
                         if (!availabilityCheck.available) {
@@ -484,6 +595,13 @@ class PaystackService {
                                 failureReason: 'Dates no longer available - another booking was confirmed first'
                             });
 
+                            try {
+                                const { reverseRedemption } = await import('../../services/couponService.js');
+                                await reverseRedemption(booking.id, 'Dates no longer available');
+                            } catch (couponError) {
+                                console.error('❌ [Paystack Webhook] Error reversing coupon redemption:', couponError);
+                            }
+
                             // Update payment to refund pending
                             await payment.update({
                                 status: 'refund_pending',
@@ -582,14 +700,23 @@ class PaystackService {
                     const property = await Property.findByPk(booking.propertyId);
                     const propertyType = property?.type || 'shortlet';
 
+                    // A platform-funded coupon is paid for by AWARI, so the landlord
+                    // earns on the undiscounted price; a landlord-funded one comes out of the payout
+                    const { getBookingRedemption } = await import('../../services/couponService.js');
+                    const redemption = await getBookingRedemption(booking.id);
+                    const platformDiscount = redemption?.fundedBy === 'platform'
+                        ? Number(redemption.discountAmount)
+                        : 0;
+
                     // Calculate fees
                     const fees = await bookingFeeService.calculateFees(
-                        booking.totalPrice,
+                        Number(booking.totalPrice) + platformDiscount,
                         propertyType
                     );
 
                     console.log('💰 [Paystack Webhook] Fee calculation:', {
                         grossAmount: booking.totalPrice,
+                        platformDiscount,
                         fees: fees.totalFees,
                         netAmount: fees.netAmount
                     });
@@ -606,8 +733,13 @@ class PaystackService {
                             taxAmount: fees.taxAmount,
                             platformFee: fees.platformFee,
                             netAmount: fees.netAmount,
-                            paymentReference: reference
-                        }
+                            paymentReference: reference,
+                            couponCode: redemption?.code || null,
+                            couponDiscount: redemption ? Number(redemption.discountAmount) : 0,
+                            couponFundedBy: redemption?.fundedBy || null
+                        },
+                        // A replayed webhook for the same payment must not credit the landlord twice
+                        { idempotencyKey: reference }
                     );
 
                     // Update booking with wallet info
@@ -635,10 +767,53 @@ class PaystackService {
                 const { Subscription } = await import('../../schema/index.js');
                 const subscriptionService = (await import('../../services/subscriptionService.js')).default;
 
+                const subscriptionRenewalService = (await import('../../services/subscriptionRenewalService.js')).default;
+
                 const subscription = await Subscription.findByPk(payment.propertyId);
-                if (subscription && subscription.status !== 'active') {
+                if (payment.metadata?.renewal) {
+                    await subscriptionRenewalService.settleRenewalCharge(payment, true);
+                } else if (subscription && subscription.status !== 'active') {
                     await subscriptionService.activateSubscription(subscription.id);
                 }
+
+                // Keep the card on file for automatic renewals
+                if (subscription) {
+                    try {
+                        await subscriptionRenewalService.saveAuthorization(subscription, data);
+                    } catch (authorizationError) {
+                        console.error('❌ [Paystack Webhook] Error saving subscription card authorization:', authorizationError);
+                    }
+                }
+            }
+
+            if (payment.paymentType === 'subscription') {
+                try {
+                    const { postJournalEntry, debitLine, creditLine } = await import('../../services/ledgerService.js');
+                    await postJournalEntry({
+                        entryType: 'subscription_charge',
+                        reference: `payment:${payment.id}`,
+                        description: payment.description || 'Subscription payment',
+                        paymentId: payment.id,
+                        currency: payment.currency,
+                        metadata: { paymentReference: reference },
+                        lines: [
+                            debitLine('paystack_clearing', null, amountMajor, 'Subscription payment received'),
+                            creditLine('platform_revenue', null, amountMajor, 'Subscription revenue')
+                        ]
+                    });
+                } catch (ledgerError) {
+                    console.error('❌ [Paystack Webhook] Error posting subscription journal entry:', ledgerError);
+                }
+            }
+
+            // Rent is credited straight to the landlord's available balance
+            if (payment.paymentType === 'rent') {
+                try {
+                    const { settleRentPayment } = await import('../../services/rentInvoiceService.js');
+                    await settleRentPayment(payment, amountMajor);
+                } catch (rentError) {
+                    console.error('❌ [Paystack Webhook] Error settling rent invoice:', rentError);
+                }
             }
 
             console.log('✅ [Paystack Webhook] Payment processing completed successfully');
@@ -649,6 +824,60 @@ class PaystackService {
 
     }
 
+    /**
+     * Refund a payment-first booking payment that could not become a booking to
+     * the guest's wallet. Keyed on the payment, so webhook retries refund once.
+     */
+    async refundUnbookedPayment(payment, data, amountMajor, paymentMethod, reason) {
+        console.error('❌ [Paystack Webhook] Booking not created, refunding payment:', reason);
+
+        const { default: walletService } = await import('../../services/walletService.js');
+        const { debitLine } = await import('../../services/ledgerService.js');
+        await walletService.processRefund(
+            payment.userId,
+            Number(amountMajor),
+            `Refund of booking payment ${payment.reference}`,
+            null,
+            { type: 'booking_payment_refund', paymentId: payment.id, reason },
+            {
+                idempotencyKey: `booking-payment-refund:${payment.id}`,
+                journal: { lines: [debitLine('paystack_clearing', null, Number(amountMajor), 'Unapplied booking payment')] }
+            }
+        );
+
+        await payment.update({
+            status: 'refunded',
+            amount: amountMajor,
+            currency: data?.currency || payment.currency,
+            paymentMethod,
+            transactionId: data?.id?.toString() || payment.reference,
+            gateway: 'paystack',
+            gatewayResponse: data,
+            failureReason: reason,
+            metadata: {
+                ...payment.metadata,
+                refundedToWallet: true
+            }
+        });
+
+        try {
+            const { createAndSendNotification } = await import('../../services/notificationService.js');
+            await createAndSendNotification({
+                userId: payment.userId,
+                title: 'Booking Payment Refunded',
+                message: `We could not complete your booking: ${reason}. Your payment of ${payment.currency || 'NGN'} ${amountMajor} was refunded to your AWARI wallet.`,
+                type: 'warning',
+                category: 'payment',
+                priority: 'high',
+                channels: ['in_app', 'email'],
+                actionUrl: '/wallet',
+                data: { paymentId: payment.id, reference: payment.reference }
+            });
+        } catch (notificationError) {
+            console.error('❌ [Paystack Webhook] Error sending refund notification:', notificationError);
+        }
+    }
+
     async handleFailedPayment(data) {
         try {
             const reference = data?.reference;
@@ -679,6 +908,11 @@ class PaystackService {
                     paymentStatus: 'failed'
                 });
             }
+
+            if (payment.paymentType === 'subscription' && payment.metadata?.renewal) {
+                const subscriptionRenewalService = (await import('../../services/subscriptionRenewalService.js')).default;
+                await subscriptionRenewalService.settleRenewalCharge(payment, false, payment.failureReason);
+            }
         } catch (error) {
             console.error('Error handling failed payment:', error);
         }
@@ -0,0 +1,23 @@
+import mysqlFulltextEngine from './mysqlFulltextEngine.js';
+
+/**
+ * Registered search engines, selected with SEARCH_ENGINE (default: mysql).
+ * An engine implements indexDocument, removeDocument, search and suggest;
+ * see mysqlFulltextEngine.js for the contract.
+ */
+const engines = {
+    mysql: mysqlFulltextEngine
+};
+
+export const getSearchEngine = () => {
+    const name = (process.env.SEARCH_ENGINE || 'mysql').toLowerCase();
+    const engine = engines[name];
+
+    if (!engine) {
+        throw new Error(`Unknown search engine: ${name}`);
+    }
+
+    return engine;
+};
+
+export default getSearchEngine;
@@ -0,0 +1,456 @@
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../../database/db.js';
+import { PropertySearchDocument, SearchTerm } from '../../schema/index.js';
+
+const EARTH_RADIUS_KM = 6371;
+const MIN_TOKEN_LENGTH = 3; // InnoDB innodb_ft_min_token_size default
+const MAX_QUERY_TOKENS = 8;
+const MAX_CORRECTIONS_PER_TOKEN = 3;
+const FACET_LIMIT = 30;
+
+// InnoDB's default FULLTEXT stopwords are never indexed, so they cannot be required
+const STOPWORDS = new Set([
+    'about', 'are', 'com', 'for', 'from', 'how', 'that', 'the', 'this', 'was',
+    'what', 'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+const SORT_COLUMNS = ['createdAt', 'updatedAt', 'price', 'viewCount', 'favoriteCount', 'title', 'status'];
+
+/**
+ * Split text into lowercase word tokens (letters and digits only, which also
+ * strips the FULLTEXT boolean operators)
+ */
+export const tokenize = (text) =>
+    String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+/**
+ * Amenities, features and tags arrive as arrays, JSON strings or comma lists
+ */
+const toList = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [String(parsed)];
+        } catch {
+            return value.split(',');
+        }
+    }
+    return [];
+};
+
+const normalizeKeys = (value) => [...new Set(
+    toList(value)
+        .map(item => (typeof item === 'object' && item !== null ? item.name || item.label || '' : item))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean)
+)];
+
+const levenshtein = (a, b) => {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+};
+
+// One typo for short words, two for long ones, none below four letters
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+/**
+ * MySQL FULLTEXT search engine.
+ *
+ * Engine interface (other engines, e.g. Meilisearch, implement the same methods):
+ *   indexDocument(property)      - create or replace the search document of a property
+ *   removeDocument(propertyId)   - drop a property from the index
+ *   search(query)                - { hits: [{ id, relevance, distanceKm }], total, facets, corrections }
+ *   suggest(text, options)       - { properties: [...], locations: [...] }
+ *
+ * Filters, geo and availability read the live properties table, so status
+ * changes (moderation) apply immediately; the search document only holds the
+ * text and facet keys.
+ */
+class MysqlFulltextEngine {
+    constructor() {
+        this.name = 'mysql';
+    }
+
+    buildDocument(property) {
+        const amenities = normalizeKeys(property.amenities);
+        const features = normalizeKeys(property.features);
+        const tags = normalizeKeys(property.tags);
+
+        const content = [
+            property.title,
+            property.shortDescription,
+            property.description,
+            property.propertyType,
+            property.listingType,
+            property.address,
+            property.neighborhood,
+            property.landmark,
+            property.city,
+            property.state,
+            property.country,
+            amenities.join(' '),
+            features.join(' '),
+            tags.join(' ')
+        ].filter(Boolean).join('\n');
+
+        return {
+            propertyId: property.id,
+            title: property.title,
+            content,
+            amenities,
+            features,
+            tags,
+            indexedAt: new Date()
+        };
+    }
+
+    async indexDocument(property) {
+        const document = this.buildDocument(property);
+        await PropertySearchDocument.upsert(document);
+
+        const terms = [...new Set(tokenize(`${document.title} ${document.content}`))]
+            .filter(term => term.length >= MIN_TOKEN_LENGTH && term.length <= 64 && !STOPWORDS.has(term))
+            .map(term => ({ term, length: term.length }));
+
+        if (terms.length > 0) {
+            await SearchTerm.bulkCreate(terms, { ignoreDuplicates: true });
+        }
+
+        return document;
+    }
+
+    async removeDocument(propertyId) {
+        await PropertySearchDocument.destroy({ where: { propertyId } });
+    }
+
+    /**
+     * Closest vocabulary words for a misspelled token
+     */
+    async findCorrections(token) {
+        const maxDistance = allowedTypos(token);
+        if (maxDistance === 0) return [];
+
+        const candidates = await SearchTerm.findAll({
+            where: {
+                term: { [Op.like]: `${token[0]}%` },
+                length: { [Op.between]: [token.length - maxDistance, token.length + maxDistance] }
+            },
+            attributes: ['term'],
+            limit: 2000,
+            raw: true
+        });
+
+        return candidates
+            .map(({ term }) => ({ term, distance: levenshtein(token, term) }))
+            .filter(candidate => candidate.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+            .slice(0, MAX_CORRECTIONS_PER_TOKEN)
+            .map(candidate => candidate.term);
+    }
+
+    /**
+     * Turn free text into a boolean-mode query. Every word that exists in the
+     * vocabulary (as a word or a prefix) is required; misspelled words are
+     * replaced by their closest vocabulary matches; unknown words only add
+     * relevance.
+     * @returns {Object} { expression, corrections }
+     */
+    async buildTextQuery(text) {
+        const tokens = [...new Set(tokenize(text))]
+            .filter(token => token.length >= MIN_TOKEN_LENGTH && !STOPWORDS.has(token))
+            .slice(0, MAX_QUERY_TOKENS);
+
+        if (tokens.length === 0) {
+            return { expression: null, corrections: {} };
+        }
+
+        const corrections = {};
+        const groups = await Promise.all(tokens.map(async (token) => {
+            const known = await SearchTerm.count({ where: { term: { [Op.like]: `${token}%` } } });
+            if (known > 0) {
+                return `+${token}*`;
+            }
+
+            const alternatives = await this.findCorrections(token);
+            if (alternatives.length === 0) {
+                return `${token}*`;
+            }
+
+            corrections[token] = alternatives;
+            return `+(${token}* ${alternatives.join(' ')})`;
+        }));
+
+        return { expression: groups.join(' '), corrections };
+    }
+
+    buildWhere(query, replacements) {
+        const conditions = [];
+        const { filters = {}, geo, availability } = query;
+
+        if (filters.propertyType) {
+            conditions.push('p.propertyType = :propertyType');
+            replacements.propertyType = filters.propertyType;
+        }
+        if (filters.listingTypes?.length) {
+            conditions.push('p.listingType IN (:listingTypes)');
+            replacements.listingTypes = filters.listingTypes;
+        }
+        if (filters.status) {
+            conditions.push('p.status = :status');
+            replacements.status = filters.status;
+        }
+        if (filters.ownerId) {
+            conditions.push('p.ownerId = :ownerId');
+            replacements.ownerId = filters.ownerId;
+        }
+        if (filters.city) {
+            conditions.push('p.city LIKE :city');
+            replacements.city = `%${filters.city}%`;
+        }
+        if (filters.state) {
+            conditions.push('p.state LIKE :state');
+            replacements.state = `%${filters.state}%`;
+        }
+        if (filters.country) {
+            conditions.push('p.country = :country');
+            replacements.country = filters.country;
+        }
+        if (filters.bedrooms !== undefined) {
+            conditions.push('p.bedrooms = :bedrooms');
+            replacements.bedrooms = filters.bedrooms;
+        }
+        if (filters.bathrooms !== undefined) {
+            conditions.push('p.bathrooms = :bathrooms');
+            replacements.bathrooms = filters.bathrooms;
+        }
+        ['furnished', 'petFriendly', 'featured'].forEach((flag) => {
+            if (filters[flag] !== undefined) {
+                conditions.push(`p.${flag} = :${flag}`);
+                replacements[flag] = filters[flag];
+            }
+        });
+        if (filters.minPrice !== undefined) {
+            conditions.push('p.price >= :minPrice');
+            replacements.minPrice = filters.minPrice;
+        }
+        if (filters.maxPrice !== undefined) {
+            conditions.push('p.price <= :maxPrice');
+            replacements.maxPrice = filters.maxPrice;
+        }
+
+        // Every requested amenity/feature must be present
+        ['amenities', 'features'].forEach((facet) => {
+            (filters[facet] || []).forEach((value, index) => {
+                const key = `${facet}${index}`;
+                conditions.push(`JSON_CONTAINS(d.${facet}, JSON_QUOTE(:${key}))`);
+                replacements[key] = value;
+            });
+        });
+
+        if (geo?.bounds) {
+            const { north, south, east, west } = geo.bounds;
+            conditions.push('p.latitude BETWEEN :south AND :north');
+            // A box crossing the antimeridian has west > east
+            conditions.push(west <= east
+                ? 'p.longitude BETWEEN :west AND :east'
+                : '(p.longitude >= :west OR p.longitude <= :east)');
+            Object.assign(replacements, { north, south, east, west });
+        }
+
+        if (geo?.center) {
+            const { lat, lng, radiusKm } = geo.center;
+            // Bounding box first so the latitude/longitude comparison can narrow rows before the distance formula
+            const latDelta = radiusKm / 111.32;
+            const lngDelta = radiusKm / (111.32 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+            conditions.push('p.latitude BETWEEN :minLat AND :maxLat');
+            conditions.push('p.longitude BETWEEN :minLng AND :maxLng');
+            conditions.push(`${this.distanceExpression()} <= :radiusKm`);
+            Object.assign(replacements, {
+                lat,
+                lng,
+                radiusKm,
+                minLat: lat - latDelta,
+                maxLat: lat + latDelta,
+                minLng: lng - lngDelta,
+                maxLng: lng + lngDelta
+            });
+        }
+
+        // Nights run from check-in up to (not including) check-out, matching availabilityService
+        if (availability) {
+            conditions.push(`NOT EXISTS (
+                SELECT 1 FROM property_availability pa
+                WHERE pa.propertyId = p.id
+                  AND pa.isActive = 1
+                  AND pa.date >= :checkInDate
+                  AND pa.date < :checkOutDate
+            )`);
+            replacements.checkInDate = availability.checkInDate;
+            replacements.checkOutDate = availability.checkOutDate;
+        }
+
+        return conditions;
+    }
+
+    distanceExpression() {
+        return `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+            POW(SIN(RADIANS(p.latitude - :lat) / 2), 2) +
+            COS(RADIANS(:lat)) * COS(RADIANS(p.latitude)) * POW(SIN(RADIANS(p.longitude - :lng) / 2), 2)
+        )))`;
+    }
+
+    buildOrder(query, hasText) {
+        const direction = String(query.sort?.order || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+        const field = query.sort?.field;
+
+        if (field === 'relevance' && hasText) {
+            return 'relevance DESC, p.createdAt DESC, p.id ASC';
+        }
+        if (field === 'distance' && query.geo?.center) {
+            return 'distanceKm ASC, p.id ASC';
+        }
+        const column = SORT_COLUMNS.includes(field) ? field : 'createdAt';
+        return `p.\`${column}\` ${direction}, p.id ASC`;
+    }
+
+    /**
+     * @param {Object} query - { text, filters, geo: { center, bounds }, availability, sort: { field, order }, limit, offset, facets }
+     * @returns {Object} { hits, total, facets, corrections }
+     */
+    async search(query) {
+        const replacements = {};
+        const { expression, corrections } = query.text
+            ? await this.buildTextQuery(query.text)
+            : { expression: null, corrections: {} };
+
+        const conditions = this.buildWhere(query, replacements);
+        if (expression) {
+            conditions.push('MATCH(d.content) AGAINST (:textQuery IN BOOLEAN MODE)');
+            replacements.textQuery = expression;
+        }
+
+        const from = 'FROM properties p LEFT JOIN property_search_documents d ON d.propertyId = p.id';
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const selectColumns = ['p.id AS id'];
+        if (expression) {
+            // Title matches weigh more than matches in the rest of the listing
+            selectColumns.push('(MATCH(d.title) AGAINST (:textQuery IN BOOLEAN MODE) * 2 + MATCH(d.content) AGAINST (:textQuery IN BOOLEAN MODE)) AS relevance');
+        }
+        if (query.geo?.center) {
+            selectColumns.push(`${this.distanceExpression()} AS distanceKm`);
+        }
+
+        const [rows, [{ total }]] = await Promise.all([
+            sequelize.query(
+                `SELECT ${selectColumns.join(', ')} ${from} ${where} ORDER BY ${this.buildOrder(query, Boolean(expression))} LIMIT :limit OFFSET :offset`,
+                { replacements: { ...replacements, limit: query.limit, offset: query.offset }, type: QueryTypes.SELECT }
+            ),
+            sequelize.query(
+                `SELECT COUNT(*) AS total ${from} ${where}`,
+                { replacements, type: QueryTypes.SELECT }
+            )
+        ]);
+
+        const facets = query.facets ? await this.facetCounts(from, where, replacements) : undefined;
+
+        return {
+            hits: rows.map(row => ({
+                id: row.id,
+                relevance: row.relevance !== undefined ? Number(row.relevance) : undefined,
+                distanceKm: row.distanceKm !== undefined ? Math.round(Number(row.distanceKm) * 100) / 100 : undefined
+            })),
+            total: Number(total),
+            facets,
+            corrections
+        };
+    }
+
+    async facetCounts(from, where, replacements) {
+        const [amenities, features] = await Promise.all(['amenities', 'features'].map(facet =>
+            sequelize.query(
+                `SELECT jt.value AS value, COUNT(DISTINCT p.id) AS count
+                 ${from}
+                 CROSS JOIN JSON_TABLE(d.${facet}, '$[*]' COLUMNS (value VARCHAR(100) PATH '$')) AS jt
+                 ${where}
+                 GROUP BY jt.value
+                 ORDER BY count DESC, value ASC
+                 LIMIT ${FACET_LIMIT}`,
+                { replacements, type: QueryTypes.SELECT }
+            )
+        ));
+
+        const toCounts = rows => rows.map(row => ({ value: row.value, count: Number(row.count) }));
+        return { amenities: toCounts(amenities), features: toCounts(features) };
+    }
+
+    /**
+     * Autocomplete over active listings: matching titles and locations
+     * @param {string} text - What the user has typed so far
+     * @param {Object} options - { limit }
+     */
+    async suggest(text, options = {}) {
+        const limit = options.limit || 8;
+        const { expression, corrections } = await this.buildTextQuery(text);
+        const prefix = `${String(text).trim().replace(/[\\%_]/g, '\\$&')}%`;
+
+        const [properties, locations] = await Promise.all([
+            expression
+                ? sequelize.query(
+                    `SELECT p.id, p.title, p.slug, p.city, p.state, p.listingType, p.propertyType,
+                            MATCH(d.title) AGAINST (:textQuery IN BOOLEAN MODE) AS score
+                     FROM properties p
+                     JOIN property_search_documents d ON d.propertyId = p.id
+                     WHERE p.status = 'active' AND MATCH(d.content) AGAINST (:textQuery IN BOOLEAN MODE)
+                     ORDER BY score DESC, p.viewCount DESC
+                     LIMIT :limit`,
+                    { replacements: { textQuery: expression, limit }, type: QueryTypes.SELECT }
+                )
+                : [],
+            sequelize.query(
+                `SELECT p.city, p.state, p.neighborhood, COUNT(*) AS count
+                 FROM properties p
+                 WHERE p.status = 'active'
+                   AND (p.city LIKE :prefix OR p.state LIKE :prefix OR p.neighborhood LIKE :prefix)
+                 GROUP BY p.city, p.state, p.neighborhood
+                 ORDER BY count DESC
+                 LIMIT :limit`,
+                { replacements: { prefix, limit }, type: QueryTypes.SELECT }
+            )
+        ]);
+
+        return {
+            properties: properties.map(({ score, ...property }) => property),
+            locations: locations.map(location => ({
+                label: [location.neighborhood, location.city, location.state].filter(Boolean).join(', '),
+                city: location.city,
+                state: location.state,
+                neighborhood: location.neighborhood,
+                count: Number(location.count)
+            })),
+            corrections
+        };
+    }
+}
+
+export default new MysqlFulltextEngine();
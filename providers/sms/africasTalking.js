@@ -0,0 +1,50 @@
+import axios from 'axios';
+
+/**
+ * Africa's Talking adapter (username "sandbox" uses the sandbox API)
+ * Env: AT_USERNAME, AT_API_KEY, AT_SENDER_ID (optional short code or alphanumeric)
+ */
+class AfricasTalkingSmsProvider {
+    constructor() {
+        this.name = 'africastalking';
+        this.username = process.env.AT_USERNAME;
+        this.apiKey = process.env.AT_API_KEY;
+        this.senderId = process.env.AT_SENDER_ID;
+        this.baseURL = this.username === 'sandbox'
+            ? 'https://api.sandbox.africastalking.com'
+            : 'https://api.africastalking.com';
+    }
+
+    isConfigured() {
+        return Boolean(this.username && this.apiKey);
+    }
+
+    async send({ to, message }) {
+        const form = new URLSearchParams({ username: this.username, to, message });
+        if (this.senderId) {
+            form.append('from', this.senderId);
+        }
+
+        const response = await axios.post(`${this.baseURL}/version1/messaging`, form.toString(), {
+            headers: {
+                apiKey: this.apiKey,
+                Accept: 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            timeout: 10000
+        });
+
+        const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+        const success = recipient?.status === 'Success';
+
+        return {
+            success,
+            provider: this.name,
+            messageId: recipient?.messageId,
+            status: recipient?.status,
+            error: success ? null : recipient?.status || response.data?.SMSMessageData?.Message
+        };
+    }
+}
+
+export default AfricasTalkingSmsProvider;
@@ -0,0 +1,58 @@
+import TwilioSmsProvider from './twilio.js';
+import TermiiSmsProvider from './termii.js';
+import AfricasTalkingSmsProvider from './africasTalking.js';
+import LogSmsProvider from './log.js';
+
+/**
+ * SMS providers, selected with SMS_PROVIDER (twilio | termii | africastalking | log).
+ * A provider implements isConfigured() and send({ to, message }), resolving to
+ * { success, provider, messageId, status, error }. Outside production, messages go
+ * to the log adapter when SMS_PROVIDER is unset or the chosen provider has no
+ * credentials. In production a real, configured provider is required.
+ */
+const providers = {
+    twilio: TwilioSmsProvider,
+    termii: TermiiSmsProvider,
+    africastalking: AfricasTalkingSmsProvider,
+    log: LogSmsProvider
+};
+
+let activeProvider = null;
+
+export const getSmsProvider = () => {
+    if (activeProvider) return activeProvider;
+
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = (process.env.SMS_PROVIDER || (isProduction ? '' : 'log')).toLowerCase();
+
+    // The log adapter writes OTP codes to the logs, so it is never used in production
+    if (!name) {
+        throw new Error('SMS_PROVIDER must be set in production');
+    }
+    if (name === 'log' && isProduction) {
+        throw new Error('The log SMS provider cannot be used in production');
+    }
+
+    const Provider = providers[name];
+
+    if (!Provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    const provider = new Provider();
+    if (!provider.isConfigured()) {
+        if (isProduction) {
+            throw new Error(`SMS provider "${name}" is missing credentials`);
+        }
+        console.warn(`⚠️ SMS provider "${name}" is missing credentials, falling back to log`);
+        activeProvider = new LogSmsProvider();
+    } else {
+        activeProvider = provider;
+    }
+
+    return activeProvider;
+};
+
+export { getCapturedMessages, clearCapturedMessages } from './log.js';
+
+export default getSmsProvider;
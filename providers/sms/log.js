@@ -0,0 +1,43 @@
+/**
+ * Log/capture adapter for development and tests. Nothing leaves the server:
+ * messages are logged, and under NODE_ENV=test kept in memory so tests can read
+ * OTP codes.
+ */
+const capturedMessages = [];
+let sentCount = 0;
+
+class LogSmsProvider {
+    constructor() {
+        this.name = 'log';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send({ to, message }) {
+        sentCount += 1;
+        const entry = {
+            to,
+            message,
+            messageId: `log_${Date.now()}_${sentCount}`,
+            sentAt: new Date()
+        };
+
+        if (process.env.NODE_ENV === 'test') {
+            capturedMessages.push(entry);
+        } else {
+            console.log(`📱 [SMS:log] To ${to}: ${message}`);
+        }
+
+        return { success: true, provider: this.name, messageId: entry.messageId, status: 'logged', error: null };
+    }
+}
+
+export const getCapturedMessages = () => [...capturedMessages];
+
+export const clearCapturedMessages = () => {
+    capturedMessages.length = 0;
+};
+
+export default LogSmsProvider;
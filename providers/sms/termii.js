@@ -0,0 +1,44 @@
+import axios from 'axios';
+
+/**
+ * Termii adapter (Nigerian sender IDs; use the dnd channel for transactional messages)
+ * Env: TERMII_API_KEY, TERMII_SENDER_ID, TERMII_CHANNEL (generic | dnd), TERMII_BASE_URL
+ */
+class TermiiSmsProvider {
+    constructor() {
+        this.name = 'termii';
+        this.apiKey = process.env.TERMII_API_KEY;
+        this.senderId = process.env.TERMII_SENDER_ID || 'AWARI';
+        this.channel = process.env.TERMII_CHANNEL || 'dnd';
+        this.baseURL = process.env.TERMII_BASE_URL || 'https://api.ng.termii.com';
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async send({ to, message }) {
+        const response = await axios.post(
+            `${this.baseURL}/api/sms/send`,
+            {
+                api_key: this.apiKey,
+                to: to.replace(/^\+/, ''),
+                from: this.senderId,
+                sms: message,
+                type: 'plain',
+                channel: this.channel
+            },
+            { timeout: 10000 }
+        );
+
+        return {
+            success: Boolean(response.data.message_id),
+            provider: this.name,
+            messageId: response.data.message_id,
+            status: response.data.message,
+            error: response.data.message_id ? null : response.data.message
+        };
+    }
+}
+
+export default TermiiSmsProvider;
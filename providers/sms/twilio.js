@@ -0,0 +1,48 @@
+import axios from 'axios';
+
+/**
+ * Twilio Programmable SMS adapter
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID
+ */
+class TwilioSmsProvider {
+    constructor() {
+        this.name = 'twilio';
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
+        this.from = process.env.TWILIO_FROM_NUMBER;
+        this.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+    }
+
+    isConfigured() {
+        return Boolean(this.accountSid && this.authToken && (this.from || this.messagingServiceSid));
+    }
+
+    async send({ to, message }) {
+        const form = new URLSearchParams({ To: to, Body: message });
+        if (this.messagingServiceSid) {
+            form.append('MessagingServiceSid', this.messagingServiceSid);
+        } else {
+            form.append('From', this.from);
+        }
+
+        const response = await axios.post(
+            `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+            form.toString(),
+            {
+                auth: { username: this.accountSid, password: this.authToken },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 10000
+            }
+        );
+
+        return {
+            success: !response.data.error_code,
+            provider: this.name,
+            messageId: response.data.sid,
+            status: response.data.status,
+            error: response.data.error_message || null
+        };
+    }
+}
+
+export default TwilioSmsProvider;
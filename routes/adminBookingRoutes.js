@@ -1,6 +1,6 @@
 import express from 'express';
 import * as adminBookingController from '../controllers/adminBookingController.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -38,6 +38,7 @@ router.use(requireRole('admin'));
  */
 router.get(
     '/',
+    requirePermission('bookings.read'),
     adminBookingController.getAllBookings
 );
 
@@ -50,6 +51,7 @@ router.get(
  */
 router.get(
     '/statistics',
+    requirePermission('bookings.read'),
     adminBookingController.getStatistics
 );
 
@@ -61,6 +63,7 @@ router.get(
  */
 router.get(
     '/:id',
+    requirePermission('bookings.read'),
     adminBookingController.getBookingDetails
 );
 
@@ -73,6 +76,7 @@ router.get(
  */
 router.put(
     '/:id',
+    requirePermission('bookings.manage'),
     adminBookingController.updateBooking
 );
 
@@ -84,6 +88,7 @@ router.put(
  */
 router.post(
     '/:id/approve',
+    requirePermission('bookings.manage'),
     adminBookingController.approveBooking
 );
 
@@ -97,6 +102,7 @@ router.post(
  */
 router.post(
     '/:id/mark-paid',
+    requirePermission('bookings.manage'),
     adminBookingController.markAsPaid
 );
 
@@ -109,6 +115,7 @@ router.post(
  */
 router.post(
     '/:id/reject',
+    requirePermission('bookings.manage'),
     adminBookingController.rejectBooking
 );
 
@@ -121,6 +128,7 @@ router.post(
  */
 router.post(
     '/:id/confirm',
+    requirePermission('bookings.manage'),
     adminBookingController.confirmBooking
 );
 
@@ -133,6 +141,7 @@ router.post(
  */
 router.post(
     '/:id/cancel',
+    requirePermission('bookings.manage'),
     adminBookingController.cancelBooking
 );
 
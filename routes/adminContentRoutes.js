@@ -0,0 +1,643 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
+import {
+  listFaqCategories,
+  createFaqCategory,
+  updateFaqCategory,
+  deleteFaqCategory,
+  listFaqs,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  listBanners,
+  createBanner,
+  updateBanner,
+  deleteBanner,
+  listAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  publishAnnouncement,
+  archiveAnnouncement,
+  deleteAnnouncement,
+  listPages,
+  getPage,
+  createPage,
+  updatePage,
+  publishPage,
+  unpublishPage,
+  getPageVersions,
+  getPageVersion,
+  deletePage
+} from '../controllers/contentController.js';
+import {
+  faqCategoryIdValidation,
+  createFaqCategoryValidation,
+  updateFaqCategoryValidation,
+  listFaqsValidation,
+  faqIdValidation,
+  createFaqValidation,
+  updateFaqValidation,
+  listBannersValidation,
+  bannerIdValidation,
+  createBannerValidation,
+  updateBannerValidation,
+  listAnnouncementsValidation,
+  announcementIdValidation,
+  createAnnouncementValidation,
+  updateAnnouncementValidation,
+  pageIdValidation,
+  pageVersionValidation,
+  createPageValidation,
+  updatePageValidation,
+  publishPageValidation
+} from '../validations/contentValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+router.use(requireRole('admin'));
+router.use(requirePermission('content.manage'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Content
+ *   description: Manage FAQs, homepage banners, announcements and static pages (admin)
+ */
+
+/**
+ * @swagger
+ * /api/admin/content/faq-categories:
+ *   get:
+ *     summary: List FAQ categories with entry counts
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: FAQ categories retrieved successfully
+ *   post:
+ *     summary: Create an FAQ category
+ *     description: The slug is derived from the name when not given.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string }
+ *               slug: { type: string }
+ *               description: { type: string }
+ *               sortOrder: { type: integer }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: FAQ category created successfully
+ *       409:
+ *         description: Slug already in use
+ */
+router.get('/faq-categories', listFaqCategories);
+router.post('/faq-categories', createFaqCategoryValidation, handleValidationErrors, createFaqCategory);
+
+/**
+ * @swagger
+ * /api/admin/content/faq-categories/{categoryId}:
+ *   put:
+ *     summary: Update an FAQ category
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: FAQ category updated successfully
+ *   delete:
+ *     summary: Delete an empty FAQ category
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: FAQ category deleted successfully
+ *       400:
+ *         description: Category still has FAQs
+ */
+router.put('/faq-categories/:categoryId', updateFaqCategoryValidation, handleValidationErrors, updateFaqCategory);
+router.delete('/faq-categories/:categoryId', faqCategoryIdValidation, handleValidationErrors, deleteFaqCategory);
+
+/**
+ * @swagger
+ * /api/admin/content/faqs:
+ *   get:
+ *     summary: List FAQs
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: categoryId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: FAQs retrieved successfully
+ *   post:
+ *     summary: Create an FAQ
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [categoryId, question, answer]
+ *             properties:
+ *               categoryId: { type: string, format: uuid }
+ *               question: { type: string }
+ *               answer: { type: string }
+ *               sortOrder: { type: integer }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: FAQ created successfully
+ */
+router.get('/faqs', listFaqsValidation, handleValidationErrors, listFaqs);
+router.post('/faqs', createFaqValidation, handleValidationErrors, createFaq);
+
+/**
+ * @swagger
+ * /api/admin/content/faqs/{faqId}:
+ *   put:
+ *     summary: Update an FAQ
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: faqId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: FAQ updated successfully
+ *   delete:
+ *     summary: Delete an FAQ
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: faqId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: FAQ deleted successfully
+ */
+router.put('/faqs/:faqId', updateFaqValidation, handleValidationErrors, updateFaq);
+router.delete('/faqs/:faqId', faqIdValidation, handleValidationErrors, deleteFaq);
+
+/**
+ * @swagger
+ * /api/admin/content/banners:
+ *   get:
+ *     summary: List banners
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: placement
+ *         schema:
+ *           type: string
+ *           enum: [home_hero, home_strip, search, dashboard]
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [live, scheduled, expired, inactive]
+ *     responses:
+ *       200:
+ *         description: Banners retrieved successfully
+ *   post:
+ *     summary: Create a scheduled banner
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title: { type: string }
+ *               subtitle: { type: string }
+ *               imageUrl: { type: string }
+ *               mobileImageUrl: { type: string }
+ *               linkUrl: { type: string }
+ *               ctaText: { type: string }
+ *               placement:
+ *                 type: string
+ *                 enum: [home_hero, home_strip, search, dashboard]
+ *               startsAt: { type: string, format: date-time }
+ *               endsAt: { type: string, format: date-time }
+ *               targetRoles:
+ *                 type: array
+ *                 description: Empty means everyone; visitor means signed-out visitors
+ *                 items:
+ *                   type: string
+ *                   enum: [visitor, renter, buyer, landlord, agent, hotel_provider, admin]
+ *               targetCities:
+ *                 type: array
+ *                 description: Empty means every city
+ *                 items: { type: string }
+ *               sortOrder: { type: integer }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Banner created successfully
+ */
+router.get('/banners', listBannersValidation, handleValidationErrors, listBanners);
+router.post('/banners', createBannerValidation, handleValidationErrors, createBanner);
+
+/**
+ * @swagger
+ * /api/admin/content/banners/{bannerId}:
+ *   put:
+ *     summary: Update a banner
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bannerId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Banner updated successfully
+ *   delete:
+ *     summary: Delete a banner
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bannerId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Banner deleted successfully
+ */
+router.put('/banners/:bannerId', updateBannerValidation, handleValidationErrors, updateBanner);
+router.delete('/banners/:bannerId', bannerIdValidation, handleValidationErrors, deleteBanner);
+
+/**
+ * @swagger
+ * /api/admin/content/announcements:
+ *   get:
+ *     summary: List announcements
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *     responses:
+ *       200:
+ *         description: Announcements retrieved successfully
+ *   post:
+ *     summary: Create a draft announcement
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, body]
+ *             properties:
+ *               title: { type: string }
+ *               body: { type: string }
+ *               level:
+ *                 type: string
+ *                 enum: [info, success, warning, maintenance]
+ *               linkUrl: { type: string }
+ *               startsAt: { type: string, format: date-time }
+ *               endsAt: { type: string, format: date-time }
+ *               targetRoles:
+ *                 type: array
+ *                 items: { type: string }
+ *               sendNotification:
+ *                 type: boolean
+ *                 description: Send an announcement notification to the targeted users when first published
+ *               notificationChannels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [in_app, email, push]
+ *     responses:
+ *       201:
+ *         description: Announcement created successfully
+ */
+router.get('/announcements', listAnnouncementsValidation, handleValidationErrors, listAnnouncements);
+router.post('/announcements', createAnnouncementValidation, handleValidationErrors, createAnnouncement);
+
+/**
+ * @swagger
+ * /api/admin/content/announcements/{announcementId}:
+ *   put:
+ *     summary: Update an announcement
+ *     description: Audience and notification settings are locked once users have been notified.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Announcement updated successfully
+ *   delete:
+ *     summary: Delete an announcement that has not been sent to users
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Announcement deleted successfully
+ */
+router.put('/announcements/:announcementId', updateAnnouncementValidation, handleValidationErrors, updateAnnouncement);
+router.delete('/announcements/:announcementId', announcementIdValidation, handleValidationErrors, deleteAnnouncement);
+
+/**
+ * @swagger
+ * /api/admin/content/announcements/{announcementId}/publish:
+ *   post:
+ *     summary: Publish an announcement
+ *     description: When sendNotification is set, the targeted active users are notified in the background the first time it is published.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Announcement published successfully
+ */
+router.post('/announcements/:announcementId/publish', announcementIdValidation, handleValidationErrors, publishAnnouncement);
+
+/**
+ * @swagger
+ * /api/admin/content/announcements/{announcementId}/archive:
+ *   post:
+ *     summary: Archive an announcement
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Announcement archived successfully
+ */
+router.post('/announcements/:announcementId/archive', announcementIdValidation, handleValidationErrors, archiveAnnouncement);
+
+/**
+ * @swagger
+ * /api/admin/content/pages:
+ *   get:
+ *     summary: List static pages
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pages retrieved successfully
+ *   post:
+ *     summary: Create a static page (version 1)
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, content]
+ *             properties:
+ *               slug: { type: string, example: how-it-works }
+ *               title: { type: string }
+ *               content: { type: string }
+ *               metaTitle: { type: string }
+ *               metaDescription: { type: string }
+ *               changeNote: { type: string }
+ *               publish: { type: boolean, default: false }
+ *     responses:
+ *       201:
+ *         description: Page created successfully
+ *       409:
+ *         description: Slug already in use
+ */
+router.get('/pages', listPages);
+router.post('/pages', createPageValidation, handleValidationErrors, createPage);
+
+/**
+ * @swagger
+ * /api/admin/content/pages/{pageId}:
+ *   get:
+ *     summary: Get a page with its latest draft
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Page retrieved successfully
+ *   put:
+ *     summary: Save an edit as a new version
+ *     description: Fields not sent are carried over from the latest version. The published copy only changes when publish is true.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Page saved successfully
+ *   delete:
+ *     summary: Delete a page and all its versions
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Page deleted successfully
+ */
+router.get('/pages/:pageId', pageIdValidation, handleValidationErrors, getPage);
+router.put('/pages/:pageId', updatePageValidation, handleValidationErrors, updatePage);
+router.delete('/pages/:pageId', pageIdValidation, handleValidationErrors, deletePage);
+
+/**
+ * @swagger
+ * /api/admin/content/pages/{pageId}/publish:
+ *   post:
+ *     summary: Publish a page version
+ *     description: Publishes the latest version by default; publishing an older version rolls the page back.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Page published successfully
+ */
+router.post('/pages/:pageId/publish', publishPageValidation, handleValidationErrors, publishPage);
+
+/**
+ * @swagger
+ * /api/admin/content/pages/{pageId}/unpublish:
+ *   post:
+ *     summary: Take a page offline
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Page unpublished successfully
+ */
+router.post('/pages/:pageId/unpublish', pageIdValidation, handleValidationErrors, unpublishPage);
+
+/**
+ * @swagger
+ * /api/admin/content/pages/{pageId}/versions:
+ *   get:
+ *     summary: Version history of a page
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Page versions retrieved successfully
+ */
+router.get('/pages/:pageId/versions', pageIdValidation, handleValidationErrors, getPageVersions);
+
+/**
+ * @swagger
+ * /api/admin/content/pages/{pageId}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a page
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Page version retrieved successfully
+ */
+router.get('/pages/:pageId/versions/:version', pageVersionValidation, handleValidationErrors, getPageVersion);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission, requireStepUp } from '../middlewares/authMiddleware.js';
 import {
   getOverviewStats,
   getUsers,
@@ -7,14 +7,21 @@ import {
   getUserDetails,
   updateUserStatus,
   updateUserRole,
+  updateUserAdminRole,
+  getAdminRoles,
+  getMyPermissions,
   updateUserProfile,
   getModerationOverview,
   getModerationReviews,
   getModerationListings,
+  getListingReports,
+  actionListingReports,
   getModerationKycDocuments,
   getModerationPayments,
   updateKycDocument,
   getTransactions,
+  getLedgerTrialBalance,
+  getBookingMoneyTrail,
   getProperties,
   getPropertyDetails,
   updatePropertyStatus,
@@ -33,6 +40,16 @@ import {
   cancelSubscription,
   renewSubscription,
   getReportsMetrics,
+  getCoupons,
+  getCouponDetail,
+  createCoupon,
+  updateCoupon,
+  toggleCouponStatus,
+  getCouponUsageReport,
+  getAuditLogs,
+  exportAuditLogs,
+  getMfaPolicies,
+  updateMfaPolicy,
   getLoginSnapshot
 } from '../controllers/adminDashboardController.js';
 import {
@@ -41,16 +58,21 @@ import {
   createAdminUserValidation,
   updateUserStatusValidation,
   updateUserRoleValidation,
+  updateUserAdminRoleValidation,
   userIdParamValidation,
   updateUserProfileValidation,
   propertiesValidation,
   propertiesManagementValidation,
   moderationReviewsValidation,
   moderationListingsValidation,
+  listingReportsValidation,
+  actionListingReportsValidation,
   moderationKycValidation,
   moderationPaymentsValidation,
   updateKycDocumentValidation,
   transactionsValidation,
+  trialBalanceValidation,
+  bookingIdParamValidation,
   subscriptionIdParamValidation,
   createSubscriptionValidation,
   updateSubscriptionValidation,
@@ -66,7 +88,16 @@ import {
   createSubscriptionPlanValidation,
   updateSubscriptionPlanValidation,
   toggleSubscriptionPlanStatusValidation,
-  reportsMetricsValidation
+  reportsMetricsValidation,
+  couponsValidation,
+  couponIdParamValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  toggleCouponStatusValidation,
+  couponUsageValidation,
+  auditLogsValidation,
+  exportAuditLogsValidation,
+  updateMfaPolicyValidation
 } from '../validations/adminDashboardValidation.js';
 import { validationResult } from 'express-validator';
 
@@ -90,38 +121,55 @@ router.get('/snapshot', getLoginSnapshot);
 // All other routes require admin authentication
 router.use(authenticateToken, requireRole('admin'));
 
-router.get('/overview', overviewValidation, handleValidationErrors, getOverviewStats);
-router.get('/users', usersValidation, handleValidationErrors, getUsers);
-router.post('/users/admin', createAdminUserValidation, handleValidationErrors, createAdminUser);
-router.get('/users/:userId', userIdParamValidation, handleValidationErrors, getUserDetails);
-router.put('/users/:userId/status', updateUserStatusValidation, handleValidationErrors, updateUserStatus);
-router.put('/users/:userId/role', updateUserRoleValidation, handleValidationErrors, updateUserRole);
-router.put('/users/:userId/profile', updateUserProfileValidation, handleValidationErrors, updateUserProfile);
-router.get('/moderation/overview', getModerationOverview);
-router.get('/moderation/reviews', moderationReviewsValidation, handleValidationErrors, getModerationReviews);
-router.get('/moderation/listings', moderationListingsValidation, handleValidationErrors, getModerationListings);
-router.get('/moderation/kyc', moderationKycValidation, handleValidationErrors, getModerationKycDocuments);
-router.get('/moderation/payments', moderationPaymentsValidation, handleValidationErrors, getModerationPayments);
-router.put('/moderation/kyc/:documentId', updateKycDocumentValidation, handleValidationErrors, updateKycDocument);
-router.get('/transactions', transactionsValidation, handleValidationErrors, getTransactions);
-router.get('/properties', propertiesManagementValidation, handleValidationErrors, getProperties);
-router.get('/properties/pending', propertiesValidation, handleValidationErrors, getPendingProperties);
-router.get('/properties/:propertyId', propertyIdParamValidation, handleValidationErrors, getPropertyDetails);
-router.put('/properties/:propertyId/status', updatePropertyStatusValidation, handleValidationErrors, updatePropertyStatus);
-router.put('/properties/:propertyId/feature', updatePropertyFeatureValidation, handleValidationErrors, updatePropertyFeature);
-router.put('/properties/:propertyId/moderate', moderatePropertyValidation, handleValidationErrors, moderateProperty);
-router.get('/subscription-plans', subscriptionPlansValidation, handleValidationErrors, getSubscriptionPlans);
-router.get('/subscription-plans/:planId', subscriptionPlanIdParamValidation, handleValidationErrors, getSubscriptionPlanDetail);
-router.post('/subscription-plans', createSubscriptionPlanValidation, handleValidationErrors, createSubscriptionPlan);
-router.put('/subscription-plans/:planId', updateSubscriptionPlanValidation, handleValidationErrors, updateSubscriptionPlan);
-router.post('/subscription-plans/:planId/status', toggleSubscriptionPlanStatusValidation, handleValidationErrors, toggleSubscriptionPlanStatus);
-router.get('/subscriptions', subscriptionsValidation, handleValidationErrors, getSubscriptions);
-router.post('/subscriptions', createSubscriptionValidation, handleValidationErrors, createSubscription);
-router.get('/subscriptions/:subscriptionId', subscriptionIdParamValidation, handleValidationErrors, getSubscriptionDetail);
-router.put('/subscriptions/:subscriptionId', updateSubscriptionValidation, handleValidationErrors, updateSubscription);
-router.post('/subscriptions/:subscriptionId/cancel', cancelSubscriptionValidation, handleValidationErrors, cancelSubscription);
-router.post('/subscriptions/:subscriptionId/renew', renewSubscriptionValidation, handleValidationErrors, renewSubscription);
-router.get('/reports/metrics', reportsMetricsValidation, handleValidationErrors, getReportsMetrics);
+router.get('/overview', requirePermission('dashboard.view'), overviewValidation, handleValidationErrors, getOverviewStats);
+router.get('/permissions', getMyPermissions);
+router.get('/users', requirePermission('users.read'), usersValidation, handleValidationErrors, getUsers);
+router.get('/users/admin-roles', requirePermission('users.roles'), getAdminRoles);
+router.post('/users/admin', requirePermission('users.roles'), createAdminUserValidation, handleValidationErrors, createAdminUser);
+router.get('/users/:userId', requirePermission('users.read'), userIdParamValidation, handleValidationErrors, getUserDetails);
+router.put('/users/:userId/status', requirePermission('users.manage'), updateUserStatusValidation, handleValidationErrors, updateUserStatus);
+router.put('/users/:userId/role', requirePermission('users.roles'), updateUserRoleValidation, handleValidationErrors, requireStepUp, updateUserRole);
+router.put('/users/:userId/admin-role', requirePermission('users.roles'), updateUserAdminRoleValidation, handleValidationErrors, requireStepUp, updateUserAdminRole);
+router.put('/users/:userId/profile', requirePermission('users.manage'), updateUserProfileValidation, handleValidationErrors, updateUserProfile);
+router.get('/moderation/overview', requirePermission('listings.moderate', 'reviews.moderate', 'kyc.review'), getModerationOverview);
+router.get('/moderation/reviews', requirePermission('reviews.moderate'), moderationReviewsValidation, handleValidationErrors, getModerationReviews);
+router.get('/moderation/listings', requirePermission('listings.moderate'), moderationListingsValidation, handleValidationErrors, getModerationListings);
+router.get('/moderation/reports', requirePermission('listings.moderate'), listingReportsValidation, handleValidationErrors, getListingReports);
+router.put('/moderation/reports/:propertyId', requirePermission('listings.moderate'), actionListingReportsValidation, handleValidationErrors, actionListingReports);
+router.get('/moderation/kyc', requirePermission('kyc.read'), moderationKycValidation, handleValidationErrors, getModerationKycDocuments);
+router.get('/moderation/payments', requirePermission('transactions.read'), moderationPaymentsValidation, handleValidationErrors, getModerationPayments);
+router.put('/moderation/kyc/:documentId', requirePermission('kyc.review'), updateKycDocumentValidation, handleValidationErrors, updateKycDocument);
+router.get('/transactions', requirePermission('transactions.read'), transactionsValidation, handleValidationErrors, getTransactions);
+router.get('/ledger/trial-balance', requirePermission('transactions.read'), trialBalanceValidation, handleValidationErrors, getLedgerTrialBalance);
+router.get('/ledger/bookings/:bookingId', requirePermission('transactions.read'), bookingIdParamValidation, handleValidationErrors, getBookingMoneyTrail);
+router.get('/properties', requirePermission('listings.read'), propertiesManagementValidation, handleValidationErrors, getProperties);
+router.get('/properties/pending', requirePermission('listings.read'), propertiesValidation, handleValidationErrors, getPendingProperties);
+router.get('/properties/:propertyId', requirePermission('listings.read'), propertyIdParamValidation, handleValidationErrors, getPropertyDetails);
+router.put('/properties/:propertyId/status', requirePermission('listings.moderate'), updatePropertyStatusValidation, handleValidationErrors, updatePropertyStatus);
+router.put('/properties/:propertyId/feature', requirePermission('listings.moderate'), updatePropertyFeatureValidation, handleValidationErrors, updatePropertyFeature);
+router.put('/properties/:propertyId/moderate', requirePermission('listings.moderate'), moderatePropertyValidation, handleValidationErrors, moderateProperty);
+router.get('/subscription-plans', requirePermission('subscriptions.manage'), subscriptionPlansValidation, handleValidationErrors, getSubscriptionPlans);
+router.get('/subscription-plans/:planId', requirePermission('subscriptions.manage'), subscriptionPlanIdParamValidation, handleValidationErrors, getSubscriptionPlanDetail);
+router.post('/subscription-plans', requirePermission('subscriptions.manage'), createSubscriptionPlanValidation, handleValidationErrors, createSubscriptionPlan);
+router.put('/subscription-plans/:planId', requirePermission('subscriptions.manage'), updateSubscriptionPlanValidation, handleValidationErrors, updateSubscriptionPlan);
+router.post('/subscription-plans/:planId/status', requirePermission('subscriptions.manage'), toggleSubscriptionPlanStatusValidation, handleValidationErrors, toggleSubscriptionPlanStatus);
+router.get('/subscriptions', requirePermission('subscriptions.manage'), subscriptionsValidation, handleValidationErrors, getSubscriptions);
+router.post('/subscriptions', requirePermission('subscriptions.manage'), createSubscriptionValidation, handleValidationErrors, createSubscription);
+router.get('/subscriptions/:subscriptionId', requirePermission('subscriptions.manage'), subscriptionIdParamValidation, handleValidationErrors, getSubscriptionDetail);
+router.put('/subscriptions/:subscriptionId', requirePermission('subscriptions.manage'), updateSubscriptionValidation, handleValidationErrors, updateSubscription);
+router.post('/subscriptions/:subscriptionId/cancel', requirePermission('subscriptions.manage'), cancelSubscriptionValidation, handleValidationErrors, cancelSubscription);
+router.post('/subscriptions/:subscriptionId/renew', requirePermission('subscriptions.manage'), renewSubscriptionValidation, handleValidationErrors, renewSubscription);
+router.get('/reports/metrics', requirePermission('reports.read'), reportsMetricsValidation, handleValidationErrors, getReportsMetrics);
+router.get('/reports/coupons', requirePermission('coupons.manage'), couponUsageValidation, handleValidationErrors, getCouponUsageReport);
+router.get('/coupons', requirePermission('coupons.manage'), couponsValidation, handleValidationErrors, getCoupons);
+router.post('/coupons', requirePermission('coupons.manage'), createCouponValidation, handleValidationErrors, createCoupon);
+router.get('/coupons/:couponId', requirePermission('coupons.manage'), couponIdParamValidation, handleValidationErrors, getCouponDetail);
+router.put('/coupons/:couponId', requirePermission('coupons.manage'), updateCouponValidation, handleValidationErrors, updateCoupon);
+router.post('/coupons/:couponId/status', requirePermission('coupons.manage'), toggleCouponStatusValidation, handleValidationErrors, toggleCouponStatus);
+router.get('/audit-logs', requirePermission('audit.read'), auditLogsValidation, handleValidationErrors, getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit.read'), exportAuditLogsValidation, handleValidationErrors, exportAuditLogs);
+router.get('/security/mfa-policies', requirePermission('security.manage'), getMfaPolicies);
+router.put('/security/mfa-policies/:role', requirePermission('security.manage'), updateMfaPolicyValidation, handleValidationErrors, requireStepUp, updateMfaPolicy);
 
 export default router;
 
@@ -0,0 +1,146 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
+import {
+  getDisputeQueue,
+  assignDispute,
+  resolveDispute
+} from '../controllers/disputeController.js';
+import {
+  disputeQueueValidation,
+  disputeValidation,
+  resolveDisputeValidation
+} from '../validations/disputeValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+router.use(requireRole('admin'));
+router.use(requirePermission('disputes.manage'));
+
+/**
+ * @swagger
+ * /api/admin/disputes:
+ *   get:
+ *     summary: Dispute queue, oldest first (admin)
+ *     description: Defaults to open and under_review disputes. Includes a count per status.
+ *     tags: [Admin Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, under_review, resolved, withdrawn]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [not_as_described, cleanliness, access_issue, safety, property_damage, payment_issue, other]
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ */
+router.get('/', disputeQueueValidation, handleValidationErrors, getDisputeQueue);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/assign:
+ *   put:
+ *     summary: Take a dispute under review (admin)
+ *     tags: [Admin Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dispute assigned successfully
+ */
+router.put('/:disputeId/assign', disputeValidation, handleValidationErrors, assignDispute);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/resolve:
+ *   post:
+ *     summary: Resolve a dispute and move the funds (admin)
+ *     description: |
+ *       - full_refund: the guest gets everything they paid back; the owner's share, tax and fees are reversed.
+ *       - partial_refund: the guest gets refundAmount out of the owner's share; the platform keeps its fees.
+ *       - release_to_owner: the owner keeps their full share.
+ *       - split: the guest gets guestPercent of everything paid, funded proportionally by the owner's share, tax and fees.
+ *
+ *       Frozen pending funds are split between the guest refund and the owner's available balance. Funds released before the dispute are clawed back from the owner's available balance; the platform covers any shortfall.
+ *     tags: [Admin Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [full_refund, partial_refund, release_to_owner, split]
+ *               refundAmount:
+ *                 type: number
+ *                 description: Required for partial_refund
+ *               guestPercent:
+ *                 type: integer
+ *                 description: Required for split
+ *                 example: 50
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved with the resolution breakdown
+ *       400:
+ *         description: Dispute already closed, or the refund exceeds the owner's share
+ */
+router.post('/:disputeId/resolve', resolveDisputeValidation, handleValidationErrors, resolveDispute);
+
+export default router;
@@ -1,31 +1,31 @@
 import express from 'express';
 import adminWithdrawalController from '../controllers/adminWithdrawalController.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes require admin authentication
-// TODO: Add admin role check middleware
+router.use(authenticateToken, requireRole('admin'));
 
 /**
  * @route   GET /api/admin/withdrawals
  * @desc    Get all withdrawal requests with filters
  * @access  Admin only
  */
-router.get('/', authenticateToken, adminWithdrawalController.getWithdrawals);
+router.get('/', requirePermission('withdrawals.read'), adminWithdrawalController.getWithdrawals);
 
 /**
  * @route   POST /api/admin/withdrawals/:id/approve
  * @desc    Approve and process withdrawal via Paystack
  * @access  Admin only
  */
-router.post('/:id/approve', authenticateToken, adminWithdrawalController.approveWithdrawal);
+router.post('/:id/approve', requirePermission('withdrawals.approve'), adminWithdrawalController.approveWithdrawal);
 
 /**
  * @route   POST /api/admin/withdrawals/:id/reject
  * @desc    Reject withdrawal request and refund to wallet
  * @access  Admin only
  */
-router.post('/:id/reject', authenticateToken, adminWithdrawalController.rejectWithdrawal);
+router.post('/:id/reject', requirePermission('withdrawals.approve'), adminWithdrawalController.rejectWithdrawal);
 
 export default router;
@@ -0,0 +1,732 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  createAgency,
+  getMyAgencies,
+  getAgency,
+  updateAgency,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  respondToInvitation,
+  updateMember,
+  removeMember,
+  getAgencyProperties,
+  addAgencyProperty,
+  removeAgencyProperty,
+  assignPropertyAgent,
+  requestMandate,
+  getMandates,
+  getAgencyMandates,
+  respondToMandate,
+  revokeMandate,
+  getCommissions
+} from '../controllers/agencyController.js';
+import {
+  createAgencyValidation,
+  updateAgencyValidation,
+  agencyValidation,
+  inviteMemberValidation,
+  invitationsValidation,
+  revokeInvitationValidation,
+  respondToInvitationValidation,
+  updateMemberValidation,
+  removeMemberValidation,
+  agencyPropertiesValidation,
+  addAgencyPropertyValidation,
+  removeAgencyPropertyValidation,
+  assignPropertyAgentValidation,
+  requestMandateValidation,
+  mandatesValidation,
+  agencyMandatesValidation,
+  respondToMandateValidation,
+  revokeMandateValidation,
+  commissionsValidation
+} from '../validations/agencyValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Agency:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         ownerId:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, closed]
+ *         defaultCommissionPercent:
+ *           type: number
+ *           description: Percent of the landlord payout kept as commission on managed properties
+ *           example: 10
+ *         defaultAgentSharePercent:
+ *           type: number
+ *           description: Percent of the commission passed on to the assigned agent
+ *           example: 50
+ *     AgencyMandate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         agencyId:
+ *           type: string
+ *           format: uuid
+ *         propertyId:
+ *           type: string
+ *           format: uuid
+ *         landlordId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [pending, active, declined, revoked]
+ *         commissionPercent:
+ *           type: number
+ *         agentSharePercent:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/agencies:
+ *   post:
+ *     summary: Create an agency (agent or landlord); the creator becomes its owner
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               logoUrl:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               defaultCommissionPercent:
+ *                 type: number
+ *               defaultAgentSharePercent:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Agency created successfully
+ *       403:
+ *         description: Only agent or landlord accounts can create an agency
+ *       409:
+ *         description: Already a member of an agency
+ */
+router.post('/', createAgencyValidation, handleValidationErrors, createAgency);
+
+/**
+ * @swagger
+ * /api/agencies/mine:
+ *   get:
+ *     summary: Agencies the authenticated user belongs to, with their role
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Agencies retrieved successfully
+ */
+router.get('/mine', getMyAgencies);
+
+/**
+ * @swagger
+ * /api/agencies/invitations/respond:
+ *   post:
+ *     summary: Accept or decline an agency invitation
+ *     description: The token comes from the invitation email, which must have been sent to the signed-in user's address.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - action
+ *             properties:
+ *               token:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [accept, decline]
+ *     responses:
+ *       200:
+ *         description: Invitation accepted or declined
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Already a member of another agency
+ *       410:
+ *         description: Invitation has expired
+ */
+router.post('/invitations/respond', respondToInvitationValidation, handleValidationErrors, respondToInvitation);
+
+/**
+ * @swagger
+ * /api/agencies/mandates:
+ *   get:
+ *     summary: Management mandates the authenticated landlord has given
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, declined, revoked]
+ *     responses:
+ *       200:
+ *         description: Mandates retrieved successfully
+ *   post:
+ *     summary: Ask an agency to manage one of your properties
+ *     description: While the mandate is active the agency's commission is split off every payout on the property. The agency's defaults apply unless other terms are proposed.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *               - propertyId
+ *             properties:
+ *               agencyId:
+ *                 type: string
+ *                 format: uuid
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *               commissionPercent:
+ *                 type: number
+ *               agentSharePercent:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Management request sent to the agency
+ *       403:
+ *         description: Not the owner of the property
+ *       409:
+ *         description: Property already managed or has an open mandate
+ */
+router.get('/mandates', mandatesValidation, handleValidationErrors, getMandates);
+router.post('/mandates', requestMandateValidation, handleValidationErrors, requestMandate);
+
+/**
+ * @swagger
+ * /api/agencies/mandates/{mandateId}/revoke:
+ *   put:
+ *     summary: End a mandate (the landlord, or the agency's owner or managers)
+ *     description: The property leaves the agency. Commission already split off earlier payouts is kept.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mandateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Mandate revoked successfully
+ *       400:
+ *         description: Mandate already ended
+ *       403:
+ *         description: Not a party to this mandate
+ */
+router.put('/mandates/:mandateId/revoke', revokeMandateValidation, handleValidationErrors, revokeMandate);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}:
+ *   get:
+ *     summary: Get an agency with its members (members or admin)
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Agency retrieved successfully
+ *       403:
+ *         description: Not a member of this agency
+ *   put:
+ *     summary: Update the agency profile and commission defaults (owner or manager)
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Agency'
+ *     responses:
+ *       200:
+ *         description: Agency updated successfully
+ */
+router.get('/:agencyId', agencyValidation, handleValidationErrors, getAgency);
+router.put('/:agencyId', updateAgencyValidation, handleValidationErrors, updateAgency);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/invitations:
+ *   get:
+ *     summary: Invitations sent by the agency (owner or manager)
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *   post:
+ *     summary: Invite someone to the agency by email
+ *     description: Owners may invite managers and agents; managers may invite agents. A new invitation replaces a pending one for the same address.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [manager, agent]
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       409:
+ *         description: Already a member of the agency
+ */
+router.get('/:agencyId/invitations', invitationsValidation, handleValidationErrors, getInvitations);
+router.post('/:agencyId/invitations', inviteMemberValidation, handleValidationErrors, inviteMember);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/invitations/{invitationId}/revoke:
+ *   put:
+ *     summary: Withdraw a pending invitation (owner or manager)
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ */
+router.put('/:agencyId/invitations/:invitationId/revoke', revokeInvitationValidation, handleValidationErrors, revokeInvitation);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/members/{memberId}:
+ *   put:
+ *     summary: Change a member's role (owner) or duty status (the member, owner or manager)
+ *     description: Members on duty share new inquiries on agency listings.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, agent]
+ *               onDuty:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *   delete:
+ *     summary: Remove a member, or leave the agency
+ *     description: The member's own listings leave with them; listings assigned to them go back to the agency pool.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The owner cannot leave or be removed
+ */
+router.put('/:agencyId/members/:memberId', updateMemberValidation, handleValidationErrors, updateMember);
+router.delete('/:agencyId/members/:memberId', removeMemberValidation, handleValidationErrors, removeMember);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/properties:
+ *   get:
+ *     summary: Listings managed by the agency
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Agency properties retrieved successfully
+ *   post:
+ *     summary: List one of your own properties under the agency
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Property added to the agency
+ *       403:
+ *         description: Not the owner of the property
+ */
+router.get('/:agencyId/properties', agencyPropertiesValidation, handleValidationErrors, getAgencyProperties);
+router.post('/:agencyId/properties', addAgencyPropertyValidation, handleValidationErrors, addAgencyProperty);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/properties/{propertyId}:
+ *   delete:
+ *     summary: Take a member's own listing out of the agency
+ *     description: Properties held under a mandate leave when the mandate is revoked.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Property removed from the agency
+ */
+router.delete('/:agencyId/properties/:propertyId', removeAgencyPropertyValidation, handleValidationErrors, removeAgencyProperty);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/properties/{propertyId}/agent:
+ *   put:
+ *     summary: Assign an agency listing to a member (owner or manager)
+ *     description: Send agentId null to unassign. The assigned agent can edit the listing and earns the agent share of its commission.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Agent assigned successfully
+ *       400:
+ *         description: Agent is not an active member of the agency
+ */
+router.put('/:agencyId/properties/:propertyId/agent', assignPropertyAgentValidation, handleValidationErrors, assignPropertyAgent);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/mandates:
+ *   get:
+ *     summary: Management mandates held by the agency
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, declined, revoked]
+ *     responses:
+ *       200:
+ *         description: Mandates retrieved successfully
+ */
+router.get('/:agencyId/mandates', agencyMandatesValidation, handleValidationErrors, getAgencyMandates);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/mandates/{mandateId}/respond:
+ *   put:
+ *     summary: Accept or decline a landlord's management request (owner or manager)
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: mandateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, decline]
+ *     responses:
+ *       200:
+ *         description: Management request accepted or declined
+ *       409:
+ *         description: Property already managed by an agency
+ */
+router.put('/:agencyId/mandates/:mandateId/respond', respondToMandateValidation, handleValidationErrors, respondToMandate);
+
+/**
+ * @swagger
+ * /api/agencies/{agencyId}/commissions:
+ *   get:
+ *     summary: Commission split off payouts on the agency's managed properties
+ *     description: Agents only see the commissions they earned a share of.
+ *     tags: [Agencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, settled, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Commissions retrieved successfully
+ */
+router.get('/:agencyId/commissions', commissionsValidation, handleValidationErrors, getCommissions);
+
+export default router;
@@ -1,12 +1,22 @@
 import express from 'express';
 import authController from '../controllers/authController.js';
 import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { rateLimiter } from '../middlewares/rateLimitMiddleware.js';
 import {
   registerValidation,
   loginValidation,
   updateProfileValidation,
   changePasswordValidation,
   registerDeviceTokenValidation,
+  refreshTokenValidation,
+  secureAccountValidation,
+  sessionIdParamValidation,
+  mfaCodeValidation,
+  mfaStepUpValidation,
+  verifyMfaLoginValidation,
+  disableMfaValidation,
+  sendPhoneOtpValidation,
+  verifyPhoneOtpValidation,
   updatePreferencesValidation
 } from '../validations/authValidation.js';
 import multer from 'multer';
@@ -429,7 +439,7 @@ const router = express.Router();
  *       500:
  *         description: Internal server error
  * */
-router.post('/register', registerValidation, authController.register);
+router.post('/register', rateLimiter('register'), registerValidation, authController.register);
 
 /**
  * @swagger
@@ -446,19 +456,24 @@ router.post('/register', registerValidation, authController.register);
  *           example:
  *             email: "john.doe@example.com"
  *             password: "SecurePass123!"
+ *             deviceName: "John's iPhone"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token (token) and a refresh token for this device
  *       400:
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
  *       403:
- *         description: Account not active
+ *         description: Account not active, or a password reset is required (code PASSWORD_RESET_REQUIRED) after the user reported an unrecognised sign-in
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (code ACCOUNT_LOCKED, retryAfter in seconds)
+ *       429:
+ *         description: Too many attempts; wait retryAfter seconds (code LOGIN_THROTTLED)
  *       500:
  *         description: Internal server error
  * */
-router.post('/login', loginValidation, authController.login);
+router.post('/login', rateLimiter('login'), loginValidation, authController.login);
 
 /**
  * @swagger
@@ -568,10 +583,12 @@ router.post('/unlink-google', authenticateToken, authController.unlinkGoogleAcco
  *         description: Invalid verification code
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect codes; the code has been discarded and a new one must be requested
  *       500:
  *         description: Internal server error
  * */
-router.post('/verify-email', authController.verifyEmail);
+router.post('/verify-email', rateLimiter('verification'), authController.verifyEmail);
 
 /**
  * @swagger
@@ -600,7 +617,7 @@ router.post('/verify-email', authController.verifyEmail);
  *       500:
  *         description: Internal server error
  * */
-router.post('/resend-verification', authController.resendVerificationEmail);
+router.post('/resend-verification', rateLimiter('verification'), authController.resendVerificationEmail);
 
 /**
  * @swagger
@@ -624,7 +641,7 @@ router.post('/resend-verification', authController.resendVerificationEmail);
  *       500:
  *         description: Internal server error
  * */
-router.post('/forgot-password', authController.forgotPassword);
+router.post('/forgot-password', rateLimiter('forgotPassword'), authController.forgotPassword);
 
 /**
  * @swagger
@@ -649,10 +666,12 @@ router.post('/forgot-password', authController.forgotPassword);
  *         description: Invalid reset token or expired
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect codes; the code has been discarded and a new one must be requested
  *       500:
  *         description: Internal server error
  * */
-router.post('/reset-password', authController.resetPassword);
+router.post('/reset-password', rateLimiter('forgotPassword'), authController.resetPassword);
 
 /**
  * @swagger
@@ -857,27 +876,69 @@ router.post('/change-password', authenticateToken, changePasswordValidation, aut
  * @swagger
  * /api/auth/refresh-token:
  *   post:
- *     summary: Refresh user authentication token
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens are single use. Reusing a rotated token signs that device out; retries within a few seconds of a rotation get 409 instead.
  *     tags: [Authentication]
- *     security:
- *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
+ *       400:
+ *         description: Validation failed
  *       401:
- *         description: Unauthorized
+ *         description: Session expired or revoked
  *       403:
  *         description: Account not active
- *       500:
- *         description: Internal server error
+ *       409:
+ *         description: Refresh token was already used moments ago
+ *       429:
+ *         description: Too many requests
  * */
-router.post('/refresh-token', authenticateToken, authController.refreshToken);
+router.post('/refresh-token', rateLimiter('refreshToken'), refreshTokenValidation, authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/secure-account:
+ *   post:
+ *     summary: Report an unrecognised sign-in ("this wasn't me")
+ *     description: Uses the token from a new sign-in alert. Signs out every device and, for accounts with a password, emails a reset code and refuses password sign-in until a new password is set.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked; data.passwordResetRequired says whether a reset code was sent
+ *       400:
+ *         description: Link invalid or expired
+ *       429:
+ *         description: Too many requests
+ * */
+router.post('/secure-account', rateLimiter('verification'), secureAccountValidation, authController.secureAccount);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout the current device
  *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
@@ -891,6 +952,247 @@ router.post('/refresh-token', authenticateToken, authController.refreshToken);
  * */
 router.post('/logout', authenticateToken, authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout every device signed in to the account
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ * */
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (signed-in devices)
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP and last seen; the requesting device has current true
+ *       401:
+ *         description: Unauthorized
+ * */
+router.get('/sessions', authenticateToken, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign one device out
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ * */
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdParamValidation, authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete a sign-in that returned mfaRequired
+ *     description: Exchanges the mfaToken from /login or /google plus a TOTP code (or a recovery code) for the usual login payload.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Invalid code or expired sign-in attempt
+ *       429:
+ *         description: Too many attempts
+ * */
+router.post('/mfa/verify', rateLimiter('mfa'), verifyMfaLoginValidation, authController.verifyMfaLogin);
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   get:
+ *     summary: Two-factor status (enabled, required for the role, recovery codes left, step-up expiry)
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ * */
+router.get('/mfa', authenticateToken, authController.getMfaStatus);
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new secret and its otpauth URL. Render the URL as a QR code for the authenticator app, then confirm with /mfa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URL
+ *       409:
+ *         description: Two-factor authentication already enabled
+ * */
+router.post('/mfa/setup', authenticateToken, authController.setupMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm enrolment with the first code
+ *     description: Turns two-factor on and returns 10 single-use recovery codes. They are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled, recovery codes returned
+ *       400:
+ *         description: Invalid code or no setup in progress
+ * */
+router.post('/mfa/enable', authenticateToken, rateLimiter('mfa'), mfaCodeValidation, authController.enableMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Needs the account password and a code. Not allowed while the user's role requires two-factor.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor is required for this role
+ * */
+router.post('/mfa/disable', authenticateToken, rateLimiter('mfa'), disableMfaValidation, authController.disableMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code
+ * */
+router.post('/mfa/recovery-codes', authenticateToken, rateLimiter('mfa'), mfaCodeValidation, authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/mfa/step-up:
+ *   post:
+ *     summary: Re-enter the second factor before a sensitive action
+ *     description: Withdrawals, payouts and admin role changes answer 403 with code MFA_STEP_UP_REQUIRED until a code has been entered on this device within MFA_STEP_UP_TTL_MINUTES. The code can also be sent with the action itself in the X-MFA-Code header.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verified; returns stepUpValidUntil
+ *       400:
+ *         description: Invalid code or two-factor not enabled
+ * */
+router.post('/mfa/step-up', authenticateToken, rateLimiter('mfa'), mfaStepUpValidation, authController.stepUpMfa);
+
 /**
  * @swagger
  * /api/auth/register-device-token:
@@ -925,6 +1227,75 @@ router.post('/logout', authenticateToken, authController.logout);
  * */
 router.post('/register-device-token', authenticateToken, registerDeviceTokenValidation, authController.registerDeviceToken);
 
+/**
+ * @swagger
+ * /api/auth/phone/send-otp:
+ *   post:
+ *     summary: Send a phone verification code by SMS
+ *     description: Sends a 6-digit code to the given number (or the profile number). Codes expire after PHONE_OTP_TTL_MINUTES, resends are throttled and only the newest code is valid.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Number to verify (defaults to the profile phone)
+ *           example:
+ *             phone: "+2348012345678"
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Missing or invalid phone number
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Number already verified
+ *       429:
+ *         description: Resend cooldown or hourly limit reached
+ *       502:
+ *         description: SMS provider failed
+ * */
+router.post('/phone/send-otp', authenticateToken, rateLimiter('phoneOtp'), sendPhoneOtpValidation, authController.sendPhoneOtp);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Verify the phone number with the code from the SMS
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Wrong, expired or missing code
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many incorrect attempts
+ * */
+router.post('/phone/verify', authenticateToken, rateLimiter('phoneOtp'), verifyPhoneOtpValidation, authController.verifyPhoneOtp);
+
 /**
  * @swagger
  * /api/auth/settings/preferences:
@@ -955,6 +1326,14 @@ router.post('/register-device-token', authenticateToken, registerDeviceTokenVali
  *                           type: boolean
  *                         sms:
  *                           type: boolean
+ *                         whatsapp:
+ *                           type: boolean
+ *                         in_app:
+ *                           type: boolean
+ *                         categories:
+ *                           type: object
+ *                         quietHours:
+ *                           type: object
  *                     privacy:
  *                       type: object
  *                       properties:
@@ -988,6 +1367,7 @@ router.get('/settings/preferences', authenticateToken, authController.getPrefere
  *             properties:
  *               notifications:
  *                 type: object
+ *                 description: Channel switches, per-category overrides and quiet hours. Security and transactional messages are always delivered.
  *                 properties:
  *                   email:
  *                     type: boolean
@@ -995,6 +1375,32 @@ router.get('/settings/preferences', authenticateToken, authController.getPrefere
  *                     type: boolean
  *                   sms:
  *                     type: boolean
+ *                   whatsapp:
+ *                     type: boolean
+ *                   in_app:
+ *                     type: boolean
+ *                   categories:
+ *                     type: object
+ *                     description: Per-category channel overrides keyed by booking, payment, property, message, system or reminder
+ *                     additionalProperties:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: boolean
+ *                   quietHours:
+ *                     type: object
+ *                     description: Push, SMS and WhatsApp requested inside this window are sent when it ends
+ *                     properties:
+ *                       enabled:
+ *                         type: boolean
+ *                       start:
+ *                         type: string
+ *                         example: '22:00'
+ *                       end:
+ *                         type: string
+ *                         example: '07:00'
+ *                       timezone:
+ *                         type: string
+ *                         example: Africa/Lagos
  *               privacy:
  *                 type: object
  *                 properties:
@@ -1009,6 +1415,16 @@ router.get('/settings/preferences', authenticateToken, authController.getPrefere
  *               email: true
  *               push: true
  *               sms: false
+ *               categories:
+ *                 booking:
+ *                   sms: true
+ *                 message:
+ *                   email: false
+ *               quietHours:
+ *                 enabled: true
+ *                 start: '22:00'
+ *                 end: '07:00'
+ *                 timezone: Africa/Lagos
  *             privacy:
  *               profileVisible: true
  *               showEmail: false
@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
 import { Property } from '../schema/index.js';
+import { hasPermission } from '../constants/adminPermissions.js';
 import {
   getAvailabilityCalendar,
   getUnavailableDates,
@@ -40,7 +41,7 @@ const router = express.Router();
  *           description: Unavailable date
  *         reason:
  *           type: string
- *           enum: [booking, maintenance, owner_blocked, admin_blocked, unavailable]
+ *           enum: [booking, maintenance, owner_blocked, admin_blocked, unavailable, external_sync]
  *           description: Reason for unavailability
  *         bookingId:
  *           type: string
@@ -115,6 +116,15 @@ const router = express.Router();
  *                             type: string
  *                           notes:
  *                             type: string
+ *                           price:
+ *                             type: number
+ *                             description: Nightly price after seasonal and day-of-week pricing rules
+ *                           basePrice:
+ *                             type: number
+ *                           priceAdjustments:
+ *                             type: array
+ *                             items:
+ *                               type: object
  *       400:
  *         description: Bad request
  *       404:
@@ -592,8 +602,8 @@ router.post('/block-multiple/:propertyId', authenticateToken, async (req, res) =
       });
     }
 
-    // If user is not admin, verify they own the property
-    if (req.user.role !== 'admin' && property.ownerId !== userId) {
+    // Unless staff may manage listings, verify they own the property
+    if (!hasPermission(req.user, 'listings.manage') && property.ownerId !== userId) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to modify this property' 
@@ -722,7 +732,7 @@ router.delete('/unblock-multiple/:propertyId', authenticateToken, async (req, re
  *         name: reason
  *         schema:
  *           type: string
- *           enum: [booking, maintenance, owner_blocked, admin_blocked, unavailable]
+ *           enum: [booking, maintenance, owner_blocked, admin_blocked, unavailable, external_sync]
  *         description: Filter by reason
  *       - in: query
  *         name: startDate
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 import BookingConfig from '../schema/BookingConfig.js';
 
 const router = express.Router();
@@ -10,6 +10,7 @@ const router = express.Router();
  */
 router.use(authenticateToken);
 router.use(requireRole('admin'));
+router.use(requirePermission('bookings.manage'));
 
 /**
  * @route   GET /api/admin/booking-config
@@ -7,7 +7,7 @@ import {
     updateFee,
     deleteFee
 } from '../controllers/bookingFeeConfigController.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -30,27 +30,27 @@ router.get('/property-type/:propertyType', getFeesByPropertyType);
  * @desc    Get all booking fees including inactive (admin only)
  * @access  Private/Admin
  */
-router.get('/all', authenticateToken, requireRole('admin'), getAllFees);
+router.get('/all', authenticateToken, requireRole('admin'), requirePermission('fees.manage'), getAllFees);
 
 /**
  * @route   POST /api/booking-fees
  * @desc    Create new fee configuration
  * @access  Private/Admin
  */
-router.post('/', authenticateToken, requireRole('admin'), createFee);
+router.post('/', authenticateToken, requireRole('admin'), requirePermission('fees.manage'), createFee);
 
 /**
  * @route   PUT /api/booking-fees/:id
  * @desc    Update fee configuration
  * @access  Private/Admin
  */
-router.put('/:id', authenticateToken, requireRole('admin'), updateFee);
+router.put('/:id', authenticateToken, requireRole('admin'), requirePermission('fees.manage'), updateFee);
 
 /**
  * @route   DELETE /api/booking-fees/:id
  * @desc    Delete fee configuration
  * @access  Private/Admin
  */
-router.delete('/:id', authenticateToken, requireRole('admin'), deleteFee);
+router.delete('/:id', authenticateToken, requireRole('admin'), requirePermission('fees.manage'), deleteFee);
 
 export default router;
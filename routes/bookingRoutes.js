@@ -1,10 +1,13 @@
 import express from 'express';
 import * as bookingController from '../controllers/bookingController.js';
 import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { rateLimiter } from '../middlewares/rateLimitMiddleware.js';
 import {
   bookingIdValidation,
   propertyIdValidation,
   createBookingValidation,
+  createQuoteValidation,
+  applyCouponValidation,
   updateBookingValidation,
   cancelBookingValidation,
   getBookingsValidation
@@ -127,12 +130,14 @@ const handleValidationErrors = (req, res, next) => {
  *       required:
  *         - propertyId
  *         - bookingType
- *         - basePrice
- *         - totalPrice
  *       properties:
  *         propertyId:
  *           type: string
  *           format: uuid
+ *         quoteId:
+ *           type: string
+ *           format: uuid
+ *           description: Required for shortlet, rental and hotel bookings. Prices are taken from the quote; any totals sent must match it.
  *         bookingType:
  *           type: string
  *           enum: [shortlet, rental, hotel, sale_inspection]
@@ -264,11 +269,140 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.post('/',
   authenticateToken,
+  rateLimiter('bookings'),
   createBookingValidation,
   handleValidationErrors,
   bookingController.createBooking
 );
 
+/**
+ * @swagger
+ * /api/bookings/quote:
+ *   post:
+ *     summary: Get a server-side price quote for a stay
+ *     description: Computes nights x property price (respecting pricePeriod), booking fees and discounts. The returned quote id is signed, expires after a short time and must be passed as quoteId when creating the booking or initializing payment. A couponCode is applied to the quote and redeemed when the booking is created.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - checkInDate
+ *               - checkOutDate
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingType:
+ *                 type: string
+ *                 enum: [shortlet, rental, hotel]
+ *                 default: shortlet
+ *               checkInDate:
+ *                 type: string
+ *                 format: date
+ *               checkOutDate:
+ *                 type: string
+ *                 format: date
+ *               numberOfGuests:
+ *                 type: integer
+ *                 minimum: 1
+ *               roomTypeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required for hotels with room types (see GET /api/properties/{propertyId}/room-types)
+ *               roomUnits:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *                 description: Rooms of roomTypeId to book
+ *               couponCode:
+ *                 type: string
+ *                 example: DETTY10
+ *     responses:
+ *       201:
+ *         description: Quote created successfully
+ *       400:
+ *         description: Validation error or property not bookable
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Property not available for selected dates
+ */
+router.post('/quote',
+  authenticateToken,
+  rateLimiter('quotes'),
+  createQuoteValidation,
+  handleValidationErrors,
+  bookingController.createBookingQuote
+);
+
+/**
+ * @swagger
+ * /api/bookings/apply-coupon:
+ *   post:
+ *     summary: Preview a coupon for a stay
+ *     description: Checks the coupon against the stay (validity window, redemption limits, minimum spend, listing type, property and owner scope) and returns the discounted price. Nothing is saved; request a quote with the same couponCode to book.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - checkInDate
+ *               - checkOutDate
+ *               - couponCode
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingType:
+ *                 type: string
+ *                 enum: [shortlet, rental, hotel]
+ *                 default: shortlet
+ *               checkInDate:
+ *                 type: string
+ *                 format: date
+ *               checkOutDate:
+ *                 type: string
+ *                 format: date
+ *               numberOfGuests:
+ *                 type: integer
+ *                 minimum: 1
+ *               couponCode:
+ *                 type: string
+ *                 example: DETTY10
+ *     responses:
+ *       200:
+ *         description: Coupon applies; returns the discount and the discounted price
+ *       400:
+ *         description: Validation error, or the coupon cannot be used for this stay
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Property or coupon not found
+ *       409:
+ *         description: Property not available for selected dates
+ */
+router.post('/apply-coupon',
+  authenticateToken,
+  rateLimiter('quotes'),
+  applyCouponValidation,
+  handleValidationErrors,
+  bookingController.applyCoupon
+);
+
 /**
  * @swagger
  * /api/bookings:
@@ -539,11 +673,86 @@ router.put('/:bookingId',
   bookingController.updateBooking
 );
 
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/refund-preview:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking now
+ *     description: Applies the property's cancellation policy (flexible, moderate, strict, super_strict) to the time left before check-in and who is cancelling. Guests get the policy refund; owner and admin cancellations refund the guest in full.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Refund preview calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingId:
+ *                       type: string
+ *                       format: uuid
+ *                     refund:
+ *                       type: object
+ *                       properties:
+ *                         policy:
+ *                           type: string
+ *                           enum: [flexible, moderate, strict, super_strict]
+ *                         cancelledBy:
+ *                           type: string
+ *                           enum: [guest, owner, admin]
+ *                         hoursBeforeCheckIn:
+ *                           type: integer
+ *                         refundPercent:
+ *                           type: number
+ *                         amountPaid:
+ *                           type: number
+ *                         guestRefund:
+ *                           type: number
+ *                         landlordCompensation:
+ *                           type: number
+ *                         platformRetained:
+ *                           type: number
+ *       400:
+ *         description: Booking cannot be cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not authorized to view this booking
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:bookingId/refund-preview',
+  authenticateToken,
+  bookingIdValidation,
+  handleValidationErrors,
+  bookingController.getCancellationRefundPreview
+);
+
 /**
  * @swagger
  * /api/bookings/{bookingId}/cancel:
  *   post:
  *     summary: Cancel booking
+ *     description: Refunds follow the property's cancellation policy. Use GET /api/bookings/{bookingId}/refund-preview to see the amounts first.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,342 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  getExportLink,
+  rotateExportLink,
+  getExportCalendar,
+  listFeeds,
+  addFeed,
+  updateFeed,
+  removeFeed,
+  syncFeed
+} from '../controllers/calendarSyncController.js';
+import {
+  propertyCalendarValidation,
+  exportCalendarValidation,
+  addFeedValidation,
+  updateFeedValidation,
+  feedValidation
+} from '../validations/calendarSyncValidation.js';
+
+// Mounted at /api/properties/:propertyId/calendar
+const router = express.Router({ mergeParams: true });
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: Airbnb
+ *         url:
+ *           type: string
+ *           example: https://www.airbnb.com/calendar/ical/12345678.ics?s=abcdef
+ *         isActive:
+ *           type: boolean
+ *         lastSyncedAt:
+ *           type: string
+ *           format: date-time
+ *         lastSuccessAt:
+ *           type: string
+ *           format: date-time
+ *         lastSyncStatus:
+ *           type: string
+ *           enum: [pending, success, error]
+ *         lastError:
+ *           type: string
+ *           description: Why the last sync failed; blocks from earlier syncs are kept meanwhile
+ *         lastSyncSummary:
+ *           type: object
+ *           properties:
+ *             events:
+ *               type: integer
+ *             blockedDates:
+ *               type: integer
+ *             added:
+ *               type: integer
+ *             removed:
+ *               type: integer
+ *             conflicts:
+ *               type: array
+ *               description: Nights the other channel lists that are already booked on AWARI
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *                   bookingId:
+ *                     type: string
+ *                     format: uuid
+ *         consecutiveFailures:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/export:
+ *   get:
+ *     summary: iCal link of this property's booked and blocked nights, for other channels to import
+ *     description: The link is created on first request. Anyone with the link can read the calendar; it contains no guest details.
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar export link retrieved successfully
+ *       403:
+ *         description: Not allowed to manage this property
+ *       404:
+ *         description: Property not found
+ */
+router.get('/export', authenticateToken, propertyCalendarValidation, handleValidationErrors, getExportLink);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/export/rotate:
+ *   post:
+ *     summary: Replace the iCal export link; the old link stops working
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar export link replaced
+ *       403:
+ *         description: Not allowed to manage this property
+ */
+router.post('/export/rotate', authenticateToken, propertyCalendarValidation, handleValidationErrors, rotateExportLink);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/ical/{token}.ics:
+ *   get:
+ *     summary: iCal feed of booked and blocked nights (public, secret link)
+ *     description: Nights imported from other channels are left out so channels do not echo each other's blocks.
+ *     tags: [Calendar Sync]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCal document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar not found
+ */
+router.get('/ical/:token.ics', exportCalendarValidation, handleValidationErrors, getExportCalendar);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/feeds:
+ *   get:
+ *     summary: Calendars imported from other channels, with their sync status
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar feeds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feeds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CalendarFeed'
+ *   post:
+ *     summary: Import another channel's iCal calendar
+ *     description: The feed is synced straight away and then hourly. Its nights are blocked with reason external_sync and released when they disappear from the feed.
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Airbnb
+ *               url:
+ *                 type: string
+ *                 description: http, https or webcal link; must resolve to a public address
+ *     responses:
+ *       201:
+ *         description: Calendar feed connected (check data.sync for the first sync result)
+ *       400:
+ *         description: Invalid or private URL, or too many feeds
+ *       409:
+ *         description: Calendar already connected
+ */
+router.get('/feeds', authenticateToken, propertyCalendarValidation, handleValidationErrors, listFeeds);
+router.post('/feeds', authenticateToken, addFeedValidation, handleValidationErrors, addFeed);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/feeds/{feedId}:
+ *   put:
+ *     summary: Rename, change the URL of, pause or resume an imported calendar
+ *     description: Pausing releases the future nights the feed blocked; resuming or changing the URL syncs again.
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: feedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Calendar feed updated successfully
+ *       404:
+ *         description: Calendar feed not found
+ *   delete:
+ *     summary: Disconnect an imported calendar and release the nights it blocked
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: feedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar feed removed successfully
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.put('/feeds/:feedId', authenticateToken, updateFeedValidation, handleValidationErrors, updateFeed);
+router.delete('/feeds/:feedId', authenticateToken, feedValidation, handleValidationErrors, removeFeed);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/calendar/feeds/{feedId}/sync:
+ *   post:
+ *     summary: Sync an imported calendar now
+ *     tags: [Calendar Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: feedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar feed synced successfully
+ *       400:
+ *         description: Feed is paused
+ *       502:
+ *         description: The other channel's calendar could not be read; the error is also stored on the feed
+ */
+router.post('/feeds/:feedId/sync', authenticateToken, feedValidation, handleValidationErrors, syncFeed);
+
+export default router;
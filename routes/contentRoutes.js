@@ -0,0 +1,113 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+import {
+  getPublicFaqs,
+  getPublicBanners,
+  getPublicAnnouncements,
+  getPublicPage
+} from '../controllers/contentController.js';
+import {
+  publicFaqsValidation,
+  publicBannersValidation,
+  publicPageValidation
+} from '../validations/contentValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Content
+ *   description: Public site content (FAQs, banners, announcements, static pages). Responses carry Cache-Control headers.
+ */
+
+/**
+ * @swagger
+ * /api/content/faqs:
+ *   get:
+ *     summary: Active FAQ categories with their entries
+ *     tags: [Content]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug to return a single category
+ *     responses:
+ *       200:
+ *         description: FAQs retrieved successfully
+ *       404:
+ *         description: FAQ category not found
+ */
+router.get('/faqs', publicFaqsValidation, handleValidationErrors, getPublicFaqs);
+
+/**
+ * @swagger
+ * /api/content/banners:
+ *   get:
+ *     summary: Banners live now for the caller
+ *     description: Filtered by schedule, placement, the signed-in user's role (or visitor) and city. Sending a token is optional.
+ *     tags: [Content]
+ *     parameters:
+ *       - in: query
+ *         name: placement
+ *         schema:
+ *           type: string
+ *           enum: [home_hero, home_strip, search, dashboard]
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Banners targeted at cities are only returned when the city matches
+ *     responses:
+ *       200:
+ *         description: Banners retrieved successfully
+ */
+router.get('/banners', optionalAuth, publicBannersValidation, handleValidationErrors, getPublicBanners);
+
+/**
+ * @swagger
+ * /api/content/announcements:
+ *   get:
+ *     summary: Published announcements live now for the caller
+ *     tags: [Content]
+ *     responses:
+ *       200:
+ *         description: Announcements retrieved successfully
+ */
+router.get('/announcements', optionalAuth, getPublicAnnouncements);
+
+/**
+ * @swagger
+ * /api/content/pages/{slug}:
+ *   get:
+ *     summary: Published static page (e.g. about, how-it-works, terms)
+ *     tags: [Content]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page retrieved successfully
+ *       404:
+ *         description: Page not found or not published
+ */
+router.get('/pages/:slug', publicPageValidation, handleValidationErrors, getPublicPage);
+
+export default router;
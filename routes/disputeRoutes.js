@@ -0,0 +1,284 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  uploadDisputeEvidence,
+  processDisputeEvidence,
+  handleDisputeUploadError
+} from '../middlewares/disputeUploadMiddleware.js';
+import {
+  openDispute,
+  getMyDisputes,
+  getDispute,
+  addMessage,
+  withdrawDispute
+} from '../controllers/disputeController.js';
+import {
+  openDisputeValidation,
+  myDisputesValidation,
+  disputeValidation,
+  disputeMessageValidation
+} from '../validations/disputeValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Dispute:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         bookingId:
+ *           type: string
+ *           format: uuid
+ *         openerRole:
+ *           type: string
+ *           enum: [guest, owner]
+ *         reason:
+ *           type: string
+ *           enum: [not_as_described, cleanliness, access_issue, safety, property_damage, payment_issue, other]
+ *         description:
+ *           type: string
+ *         requestedOutcome:
+ *           type: string
+ *           enum: [full_refund, partial_refund, release_to_owner, split]
+ *         status:
+ *           type: string
+ *           enum: [open, under_review, resolved, withdrawn]
+ *         frozenAmount:
+ *           type: number
+ *           description: Owner's pending funds held back from release while the dispute is open
+ *         outcome:
+ *           type: string
+ *           enum: [full_refund, partial_refund, release_to_owner, split]
+ *         guestRefundAmount:
+ *           type: number
+ *         ownerAmount:
+ *           type: number
+ *         messages:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               senderRole:
+ *                 type: string
+ *                 enum: [guest, owner, admin, system]
+ *               message:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *                     mimeType:
+ *                       type: string
+ */
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   post:
+ *     summary: Open a dispute against a paid booking (guest or owner)
+ *     description: Allowed up to DISPUTE_WINDOW_DAYS after the stay ends. The owner's pending funds for the booking are frozen until the dispute is resolved or withdrawn.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookingId
+ *               - reason
+ *               - description
+ *             properties:
+ *               bookingId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 enum: [not_as_described, cleanliness, access_issue, safety, property_damage, payment_issue, other]
+ *               description:
+ *                 type: string
+ *               requestedOutcome:
+ *                 type: string
+ *                 enum: [full_refund, partial_refund, release_to_owner, split]
+ *               requestedAmount:
+ *                 type: number
+ *               evidence:
+ *                 type: array
+ *                 description: Up to 5 images, videos or PDFs
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Dispute opened successfully
+ *       400:
+ *         description: Booking not paid, already refunded or outside the dispute window
+ *       409:
+ *         description: The booking already has an open dispute
+ */
+router.post('/',
+  uploadDisputeEvidence,
+  handleDisputeUploadError,
+  processDisputeEvidence,
+  openDisputeValidation,
+  handleValidationErrors,
+  openDispute
+);
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   get:
+ *     summary: List disputes on my bookings, as guest or owner
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, under_review, resolved, withdrawn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ */
+router.get('/', myDisputesValidation, handleValidationErrors, getMyDisputes);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}:
+ *   get:
+ *     summary: Get a dispute with its message thread (guest, owner or admin)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dispute retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dispute'
+ *       403:
+ *         description: Not a party to this dispute
+ *       404:
+ *         description: Dispute not found
+ */
+router.get('/:disputeId', disputeValidation, handleValidationErrors, getDispute);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}/messages:
+ *   post:
+ *     summary: Reply on a dispute thread with optional evidence (guest, owner or admin)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Message posted successfully
+ *       400:
+ *         description: Dispute is resolved or withdrawn
+ */
+router.post('/:disputeId/messages',
+  uploadDisputeEvidence,
+  handleDisputeUploadError,
+  processDisputeEvidence,
+  disputeMessageValidation,
+  handleValidationErrors,
+  addMessage
+);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}/withdraw:
+ *   put:
+ *     summary: Withdraw a dispute (the user who opened it)
+ *     description: Frozen funds go back to pending and are released by the next run of the release job if due.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dispute withdrawn successfully
+ *       400:
+ *         description: Dispute is already resolved or withdrawn
+ */
+router.put('/:disputeId/withdraw', disputeValidation, handleValidationErrors, withdrawDispute);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { requireEntitlement } from '../middlewares/entitlementMiddleware.js';
 import {
   getDashboardSummary,
   getRoomInventory,
@@ -41,7 +42,7 @@ router.put('/rooms/:propertyId/pricing', updatePricingValidation, handleValidati
 router.get('/bookings', bookingsValidation, handleValidationErrors, getHotelBookings);
 router.put('/bookings/:bookingId/respond', respondBookingValidation, handleValidationErrors, respondHotelBooking);
 router.get('/rooms/:propertyId/availability', availabilityValidation, handleValidationErrors, getAvailabilityCalendar);
-router.get('/analytics', summaryValidation, handleValidationErrors, getHotelAnalytics);
+router.get('/analytics', requireEntitlement('analytics'), summaryValidation, handleValidationErrors, getHotelAnalytics);
 
 export default router;
 
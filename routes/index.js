@@ -21,16 +21,40 @@ import adminWithdrawalRoutes from './adminWithdrawalRoutes.js';
 import bookingFeeConfigRoutes from './bookingFeeConfigRoutes.js';
 import adminBookingRoutes from './adminBookingRoutes.js';
 import bookingConfigRoutes from './bookingConfigRoutes.js';
+import pricingRuleRoutes from './pricingRuleRoutes.js';
+import calendarSyncRoutes from './calendarSyncRoutes.js';
+import roomTypeRoutes from './roomTypeRoutes.js';
+import rentalApplicationRoutes from './rentalApplicationRoutes.js';
+import leaseRoutes from './leaseRoutes.js';
+import rentInvoiceRoutes from './rentInvoiceRoutes.js';
+import disputeRoutes from './disputeRoutes.js';
+import agencyRoutes from './agencyRoutes.js';
+import adminDisputeRoutes from './adminDisputeRoutes.js';
+import contentRoutes from './contentRoutes.js';
+import adminContentRoutes from './adminContentRoutes.js';
 import { sendEmail } from '../modules/notifications/email.js';
+import { rateLimiter } from '../middlewares/rateLimitMiddleware.js';
 
 const router = (app) => {
+  // Per-IP limit for the whole API; Paystack webhooks are exempt
+  app.use('/api', rateLimiter('api', { skip: (req) => req.path.startsWith('/paystack') }));
+
   // API routes
   app.use('/api/auth', authRoutes);
   app.use('/api/kyc', kycRoutes);
+  app.use('/api/properties/:propertyId/pricing', pricingRuleRoutes);
+  app.use('/api/properties/:propertyId/calendar', calendarSyncRoutes);
+  app.use('/api/properties/:propertyId/room-types', roomTypeRoutes);
   app.use('/api/properties', propertyRoutes);
   app.use('/api/newsletter', newsletterRoutes);
   app.use('/api/favorites', favoriteRoutes);
   app.use('/api/bookings', bookingRoutes);
+  app.use('/api/rental-applications', rentalApplicationRoutes);
+  app.use('/api/leases', leaseRoutes);
+  app.use('/api/rent-invoices', rentInvoiceRoutes);
+  app.use('/api/disputes', disputeRoutes);
+  app.use('/api/agencies', agencyRoutes);
+  app.use('/api/content', contentRoutes);
   app.use('/api/availability', availabilityRoutes);
   app.use('/api/notifications', notificationRoutes);
   app.use('/api/reviews', reviewRoutes);
@@ -41,6 +65,8 @@ const router = (app) => {
   app.use('/api/paystack', paystackWebhookRoutes);
   app.use('/api/admin/withdrawals', adminWithdrawalRoutes);
   app.use('/api/admin/bookings', adminBookingRoutes);
+  app.use('/api/admin/disputes', adminDisputeRoutes);
+  app.use('/api/admin/content', adminContentRoutes);
   app.use('/api/user-dashboard', userDashboardRoutes);
   app.use('/api/landlord/dashboard', landlordDashboardRoutes);
   app.use('/api/hotel/dashboard', hotelDashboardRoutes);
@@ -1,6 +1,6 @@
 import express from 'express';
 import kycController from '../controllers/kycController.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 import {
   uploadKycDocuments,
   uploadSingleDocument,
@@ -555,7 +555,7 @@ router.delete('/:documentId', authenticateToken, documentIdValidation, kycContro
  *       403:
  *         description: Forbidden (not admin)
  */
-router.get('/admin/all', authenticateToken, requireRole(['admin']), getAdminKycDocumentsValidation, kycController.getAllKycDocuments);
+router.get('/admin/all', authenticateToken, requireRole('admin'), requirePermission('kyc.read'), getAdminKycDocumentsValidation, kycController.getAllKycDocuments);
 
 /**
  * @swagger
@@ -587,7 +587,7 @@ router.get('/admin/all', authenticateToken, requireRole(['admin']), getAdminKycD
  *       403:
  *         description: Forbidden (not admin)
  */
-router.get('/admin/:documentId', authenticateToken, requireRole(['admin']), documentIdValidation, kycController.getKycDocumentByIdAdmin);
+router.get('/admin/:documentId', authenticateToken, requireRole('admin'), requirePermission('kyc.read'), documentIdValidation, kycController.getKycDocumentByIdAdmin);
 
 /**
  * @swagger
@@ -627,7 +627,7 @@ router.get('/admin/:documentId', authenticateToken, requireRole(['admin']), docu
  *       403:
  *         description: Forbidden (not admin)
  */
-router.post('/admin/:documentId/verify', authenticateToken, requireRole(['admin']), documentIdValidation, verifyKycDocumentValidation, kycController.verifyKycDocument);
+router.post('/admin/:documentId/verify', authenticateToken, requireRole('admin'), requirePermission('kyc.review'), documentIdValidation, verifyKycDocumentValidation, kycController.verifyKycDocument);
 
 /**
  * @swagger
@@ -649,6 +649,6 @@ router.post('/admin/:documentId/verify', authenticateToken, requireRole(['admin'
  *       403:
  *         description: Forbidden (not admin)
  */
-router.get('/admin/statistics', authenticateToken, requireRole(['admin']), kycController.getKycStatistics);
+router.get('/admin/statistics', authenticateToken, requireRole('admin'), requirePermission('kyc.read'), kycController.getKycStatistics);
 
 export default router;
@@ -1,20 +1,24 @@
 import express from 'express';
 import {
   getEarningsSummary,
+  getAgencyEarnings,
   getPaymentLogs,
   getInspectionSchedule,
   getBookingRequests,
   respondToBookingRequest,
+  getRentalApplications,
   getClientInquiries,
   archiveInquiry
 } from '../controllers/landlordDashboardController.js';
 import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
 import {
   earningsSummaryValidation,
+  agencyEarningsValidation,
   paymentLogsValidation,
   inspectionScheduleValidation,
   bookingRequestsValidation,
   respondBookingRequestValidation,
+  rentalApplicationsValidation,
   clientInquiriesValidation,
   archiveInquiryValidation
 } from '../validations/landlordDashboardValidation.js';
@@ -43,6 +47,13 @@ router.get(
   getEarningsSummary
 );
 
+router.get(
+  '/agency-earnings',
+  agencyEarningsValidation,
+  handleValidationErrors,
+  getAgencyEarnings
+);
+
 router.get(
   '/payments',
   paymentLogsValidation,
@@ -71,6 +82,13 @@ router.put(
   respondToBookingRequest
 );
 
+router.get(
+  '/applications',
+  rentalApplicationsValidation,
+  handleValidationErrors,
+  getRentalApplications
+);
+
 router.get(
   '/inquiries',
   clientInquiriesValidation,
@@ -0,0 +1,172 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  getLease,
+  terminateLease,
+  renewLease
+} from '../controllers/rentalApplicationController.js';
+import { getLeaseSchedule } from '../controllers/rentInvoiceController.js';
+import {
+  leaseValidation,
+  terminateLeaseValidation,
+  renewLeaseValidation
+} from '../validations/rentalApplicationValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/leases/{leaseId}:
+ *   get:
+ *     summary: Get a lease with its move-in cost (tenant, landlord, agent or admin)
+ *     tags: [Leases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lease retrieved successfully
+ *       403:
+ *         description: Not a party to this lease
+ *       404:
+ *         description: Lease not found
+ */
+router.get('/:leaseId', leaseValidation, handleValidationErrors, getLease);
+
+/**
+ * @swagger
+ * /api/leases/{leaseId}/schedule:
+ *   get:
+ *     summary: Get a lease's rent schedule with the invoice issued for each period
+ *     description: Rent is paid in advance, so each period is due on its first day. A period cut short by the end of the lease is charged pro rata.
+ *     tags: [Leases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rent schedule retrieved successfully
+ *       403:
+ *         description: Not a party to this lease
+ *       404:
+ *         description: Lease not found
+ */
+router.get('/:leaseId/schedule', leaseValidation, handleValidationErrors, getLeaseSchedule);
+
+/**
+ * @swagger
+ * /api/leases/{leaseId}/terminate:
+ *   put:
+ *     summary: End a lease early (tenant, landlord, agent or admin)
+ *     description: A renewal that has not started yet is terminated with it. The property goes back on the market once no lease occupies it.
+ *     tags: [Leases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lease terminated successfully
+ *       400:
+ *         description: Lease has already ended
+ */
+router.put('/:leaseId/terminate', terminateLeaseValidation, handleValidationErrors, terminateLease);
+
+/**
+ * @swagger
+ * /api/leases/{leaseId}/renew:
+ *   post:
+ *     summary: Renew a running lease (landlord, agent or admin)
+ *     description: The new lease starts the day after the current one ends. Rent and caution deposit carry over unless given; agency and legal fees default to 0.
+ *     tags: [Leases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rentAmount:
+ *                 type: number
+ *               rentFrequency:
+ *                 type: string
+ *                 enum: [monthly, quarterly, biannually, yearly]
+ *               cautionDeposit:
+ *                 type: number
+ *               agencyFee:
+ *                 type: number
+ *               legalFee:
+ *                 type: number
+ *               lateFeePercent:
+ *                 type: number
+ *                 description: Percent of the rent added to an invoice still unpaid after the grace period
+ *                 example: 5
+ *               lateFeeGraceDays:
+ *                 type: integer
+ *                 description: Days after the due date before an invoice is overdue
+ *                 example: 7
+ *               termMonths:
+ *                 type: integer
+ *                 example: 12
+ *               terms:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Lease renewed successfully
+ *       409:
+ *         description: Lease already renewed, or another lease covers the renewal period
+ */
+router.post('/:leaseId/renew', renewLeaseValidation, handleValidationErrors, renewLease);
+
+export default router;
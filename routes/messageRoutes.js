@@ -2,6 +2,7 @@ import express from 'express';
 import { validationResult } from 'express-validator';
 import messageController from '../controllers/messageController.js';
 import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { rateLimiter } from '../middlewares/rateLimitMiddleware.js';
 import {
   createMessageValidation,
   updateMessageValidation,
@@ -159,6 +160,7 @@ const handleValidationErrors = (req, res, next) => {
 router.post(
   '/',
   authenticateToken,
+  rateLimiter('messages'),
   createMessageValidation,
   handleValidationErrors,
   messageController.sendMessage
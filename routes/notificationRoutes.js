@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
 import {
   createNotification,
   sendNotification,
@@ -776,7 +776,7 @@ router.post('/bulk', authenticateToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/NotificationResponse'
  */
-router.post('/topic', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.post('/topic', authenticateToken, requireRole('admin'), requirePermission('notifications.broadcast'), async (req, res) => {
   try {
     const { topic, ...notificationData } = req.body;
 
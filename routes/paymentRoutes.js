@@ -8,7 +8,7 @@ import {
   listBanksController,
   verifyBankAccountController
 } from '../controllers/paymentController.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requireStepUp } from '../middlewares/authMiddleware.js';
 import {
   initializePaymentValidation,
   initializePaymentWithDataValidation,
@@ -52,6 +52,7 @@ router.post(
   '/payouts',
   authenticateToken,
   requireRole('landlord', 'agent', 'hotel_provider', 'admin'),
+  requireStepUp,
   initiatePayoutValidation,
   initiatePayoutController
 );
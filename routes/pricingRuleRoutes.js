@@ -0,0 +1,249 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  listPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  previewStayPrice
+} from '../controllers/pricingRuleController.js';
+import {
+  listPricingRulesValidation,
+  createPricingRuleValidation,
+  updatePricingRuleValidation,
+  deletePricingRuleValidation,
+  previewStayPriceValidation
+} from '../validations/pricingRuleValidation.js';
+
+// Mounted at /api/properties/:propertyId/pricing
+const router = express.Router({ mergeParams: true });
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PricingRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - ruleType
+ *         - adjustmentType
+ *         - adjustmentValue
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: Detty December
+ *         ruleType:
+ *           type: string
+ *           enum: [date_range, day_of_week, length_of_stay, last_minute, early_bird]
+ *         adjustmentType:
+ *           type: string
+ *           enum: [percentage, fixed_amount, nightly_price]
+ *           description: percentage and fixed_amount adjust the nightly price (negative values are discounts); nightly_price replaces it
+ *         adjustmentValue:
+ *           type: number
+ *           example: 25
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First night covered (date_range; optional window for day_of_week)
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last night covered, inclusive
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: 0 = Sunday ... 6 = Saturday
+ *         minNights:
+ *           type: integer
+ *           description: length_of_stay - shortest qualifying stay
+ *         maxNights:
+ *           type: integer
+ *           description: length_of_stay - longest qualifying stay
+ *         daysBeforeCheckIn:
+ *           type: integer
+ *           description: last_minute - booked at most this many days ahead; early_bird - at least this many
+ *         priority:
+ *           type: integer
+ *           description: Highest priority wins when rules of the same type overlap
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/pricing/rules:
+ *   get:
+ *     summary: List a property's pricing rules (owner, agent or admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pricing rules retrieved successfully
+ *       403:
+ *         description: Not allowed to manage this property
+ *       404:
+ *         description: Property not found
+ *   post:
+ *     summary: Create a pricing rule for a shortlet or hotel listing
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *           examples:
+ *             weekend:
+ *               summary: 20% more on Friday and Saturday nights
+ *               value: { name: Weekend, ruleType: day_of_week, adjustmentType: percentage, adjustmentValue: 20, daysOfWeek: [5, 6] }
+ *             season:
+ *               summary: Fixed price over the December holidays
+ *               value: { name: Detty December, ruleType: date_range, adjustmentType: nightly_price, adjustmentValue: 150000, startDate: '2026-12-15', endDate: '2027-01-02' }
+ *             weekly:
+ *               summary: 10% off stays of a week or more
+ *               value: { name: Weekly discount, ruleType: length_of_stay, adjustmentType: percentage, adjustmentValue: -10, minNights: 7 }
+ *     responses:
+ *       201:
+ *         description: Pricing rule created successfully
+ *       400:
+ *         description: Validation error or listing is not priced per night
+ *       403:
+ *         description: Not allowed to manage this property
+ */
+router.get('/rules', authenticateToken, listPricingRulesValidation, handleValidationErrors, listPricingRules);
+router.post('/rules', authenticateToken, createPricingRuleValidation, handleValidationErrors, createPricingRule);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/pricing/rules/{ruleId}:
+ *   put:
+ *     summary: Update a pricing rule
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *     responses:
+ *       200:
+ *         description: Pricing rule updated successfully
+ *       404:
+ *         description: Pricing rule not found
+ *   delete:
+ *     summary: Delete a pricing rule
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pricing rule deleted successfully
+ *       404:
+ *         description: Pricing rule not found
+ */
+router.put('/rules/:ruleId', authenticateToken, updatePricingRuleValidation, handleValidationErrors, updatePricingRule);
+router.delete('/rules/:ruleId', authenticateToken, deletePricingRuleValidation, handleValidationErrors, deletePricingRule);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/pricing/preview:
+ *   get:
+ *     summary: Per-night price breakdown for a stay
+ *     description: Applies seasonal, day-of-week, length-of-stay, last-minute and early-bird rules. Quotes use the same calculation.
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: checkInDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: checkOutDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Stay price calculated successfully
+ *       400:
+ *         description: Invalid dates or listing is not priced per night
+ *       404:
+ *         description: Property not found
+ */
+router.get('/preview', previewStayPriceValidation, handleValidationErrors, previewStayPrice);
+
+export default router;
@@ -1,7 +1,9 @@
 import express from 'express';
 import propertyController from '../controllers/propertyController.js';
 import { getPropertyAvailability } from '../controllers/propertyAvailabilityController.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { reportListing } from '../controllers/listingReportController.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
+import { requireEntitlement } from '../middlewares/entitlementMiddleware.js';
 import {
   createPropertyValidation,
   updatePropertyValidation,
@@ -11,8 +13,10 @@ import {
   mediaIdValidation,
   propertySlugValidation,
   getPropertiesValidation,
+  searchSuggestValidation,
   getOwnerPropertiesValidation,
-  getAdminPropertiesValidation
+  getAdminPropertiesValidation,
+  reportListingValidation
 } from '../validations/propertyValidation.js';
 import {
   uploadPropertyMedia,
@@ -557,9 +561,9 @@ const router = express.Router();
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [createdAt, updatedAt, price, viewCount, favoriteCount, title]
+ *           enum: [createdAt, updatedAt, price, viewCount, favoriteCount, title, relevance, distance]
  *           default: createdAt
- *         description: Sort field
+ *         description: Sort field (defaults to relevance when search is given; distance needs lat/lng)
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -571,10 +575,65 @@ const router = express.Router();
  *         name: search
  *         schema:
  *           type: string
- *         description: Search query
+ *         description: Full-text search query (typo tolerant, ranked by relevance)
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *         description: Comma-separated amenities the property must have
+ *       - in: query
+ *         name: features
+ *         schema:
+ *           type: string
+ *         description: Comma-separated features the property must have
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the radius search centre
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the radius search centre
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *         description: Search radius around lat/lng in kilometres (default 10)
+ *       - in: query
+ *         name: north
+ *         schema:
+ *           type: number
+ *         description: Bounding box north latitude (with south, east and west)
+ *       - in: query
+ *         name: south
+ *         schema:
+ *           type: number
+ *         description: Bounding box south latitude
+ *       - in: query
+ *         name: east
+ *         schema:
+ *           type: number
+ *         description: Bounding box east longitude
+ *       - in: query
+ *         name: west
+ *         schema:
+ *           type: number
+ *         description: Bounding box west longitude
+ *       - in: query
+ *         name: checkInDate
+ *         schema:
+ *           type: string
+ *         description: Only properties free from this night (with checkOutDate)
+ *       - in: query
+ *         name: checkOutDate
+ *         schema:
+ *           type: string
+ *         description: Check-out date for the availability filter
  *     responses:
  *       200:
- *         description: Properties retrieved successfully
+ *         description: Properties retrieved successfully with amenity/feature facets
  *         content:
  *           application/json:
  *             schema:
@@ -584,6 +643,37 @@ const router = express.Router();
  */
 router.get('/', getPropertiesValidation, propertyController.getAllProperties);
 
+/**
+ * @swagger
+ * /api/properties/search/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for property search
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What the user has typed so far
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 8
+ *         description: Maximum suggestions per group
+ *     responses:
+ *       200:
+ *         description: Matching active listings and locations
+ *       400:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/search/suggest', searchSuggestValidation, propertyController.suggestProperties);
+
 /**
  * @swagger
  * /api/properties/my-properties:
@@ -733,10 +823,12 @@ router.get('/slug/:slug', propertySlugValidation, propertyController.getProperty
  *         description: Validation error or bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Subscription plan limit reached (error UPGRADE_REQUIRED, data names the plan that unlocks it)
  *       500:
  *         description: Internal server error
  */
-router.post('/', authenticateToken, createPropertyValidation, propertyController.createProperty);
+router.post('/', authenticateToken, requireEntitlement('properties'), createPropertyValidation, propertyController.createProperty);
 
 /**
  * @swagger
@@ -821,6 +913,8 @@ router.post('/', authenticateToken, createPropertyValidation, propertyController
  *         description: Validation error or file upload error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Subscription plan listing or photo limit reached (error UPGRADE_REQUIRED)
  *       500:
  *         description: Internal server error
  */
@@ -829,6 +923,7 @@ router.get('/debug/user-auth', authenticateToken, propertyController.checkUserAu
 
 router.post('/upload',
   authenticateToken,
+  requireEntitlement('properties'),
   uploadPropertyMedia,
   handlePropertyUploadError,
   processPropertyUploadedFiles,
@@ -980,13 +1075,14 @@ router.delete('/:propertyId', authenticateToken, propertyIdValidation, propertyC
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: No permission to add media
+ *         description: No permission to add media, or the plan's photo limit is reached (error UPGRADE_REQUIRED)
  *       500:
  *         description: Internal server error
  */
 router.post('/:propertyId/media',
   authenticateToken,
   propertyIdValidation,
+  requireEntitlement('photos', { getPropertyId: (req) => req.params.propertyId }),
   uploadPropertyMedia,
   handlePropertyUploadError,
   processPropertyUploadedFiles,
@@ -1223,7 +1319,7 @@ router.delete('/media/:mediaId', authenticateToken, mediaIdValidation, propertyC
  *       500:
  *         description: Internal server error
  */
-router.get('/admin/all', authenticateToken, requireRole(['admin']), getAdminPropertiesValidation, propertyController.getAllPropertiesAdmin);
+router.get('/admin/all', authenticateToken, requireRole('admin'), requirePermission('listings.read'), getAdminPropertiesValidation, propertyController.getAllPropertiesAdmin);
 
 /**
  * @swagger
@@ -1257,7 +1353,7 @@ router.get('/admin/all', authenticateToken, requireRole(['admin']), getAdminProp
  *       500:
  *         description: Internal server error
  */
-router.get('/admin/:propertyId', authenticateToken, requireRole(['admin']), propertyIdValidation, propertyController.getPropertyByIdAdmin);
+router.get('/admin/:propertyId', authenticateToken, requireRole('admin'), requirePermission('listings.read'), propertyIdValidation, propertyController.getPropertyByIdAdmin);
 
 /**
  * @swagger
@@ -1301,7 +1397,8 @@ router.get('/admin/:propertyId', authenticateToken, requireRole(['admin']), prop
  */
 router.put('/admin/:propertyId/moderate',
   authenticateToken,
-  requireRole(['admin']),
+  requireRole('admin'),
+  requirePermission('listings.moderate'),
   propertyIdValidation,
   moderatePropertyValidation,
   propertyController.moderateProperty
@@ -1362,7 +1459,7 @@ router.put('/admin/:propertyId/moderate',
  *       500:
  *         description: Internal server error
  */
-router.get('/admin/statistics', authenticateToken, requireRole(['admin']), propertyController.getPropertyStatistics);
+router.get('/admin/statistics', authenticateToken, requireRole('admin'), requirePermission('listings.read'), propertyController.getPropertyStatistics);
 
 /**
  * @swagger
@@ -1400,4 +1497,47 @@ router.get('/admin/statistics', authenticateToken, requireRole(['admin']), prope
  */
 router.get('/:propertyId/availability', getPropertyAvailability);
 
+/**
+ * @swagger
+ * /api/properties/{propertyId}/report:
+ *   post:
+ *     summary: Report a listing
+ *     description: Flag a live listing for review. Each user can have one open report per listing. Listings that collect LISTING_REPORT_SUSPEND_THRESHOLD open reports from accounts with a verified email that are at least LISTING_REPORT_MIN_ACCOUNT_AGE_DAYS old are suspended until an admin reviews them.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [scam, duplicate, wrong_price, already_rented, misleading, inappropriate, other]
+ *               details:
+ *                 type: string
+ *                 description: Required when reason is other
+ *     responses:
+ *       201:
+ *         description: Listing reported successfully
+ *       400:
+ *         description: Validation failed, own listing, or listing not live
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: You have already reported this listing
+ */
+router.post('/:propertyId/report', authenticateToken, reportListingValidation, reportListing);
+
 export default router;
@@ -0,0 +1,232 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  listInvoices,
+  getInvoice,
+  payInvoice,
+  downloadInvoicePdf
+} from '../controllers/rentInvoiceController.js';
+import {
+  listInvoicesValidation,
+  invoiceValidation,
+  payInvoiceValidation
+} from '../validations/rentInvoiceValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RentInvoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         invoiceNumber:
+ *           type: string
+ *           example: INV-20261101-3F2A9C1B
+ *         leaseId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [issued, overdue, paid, void]
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         lineItems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [rent, caution_deposit, agency_fee, legal_fee, late_fee]
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         rentAmount:
+ *           type: number
+ *         lateFee:
+ *           type: number
+ *         totalAmount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         paymentMethod:
+ *           type: string
+ *           enum: [wallet, paystack]
+ *         landlordAmount:
+ *           type: number
+ *           description: Credited to the landlord's wallet after platform fees
+ */
+
+/**
+ * @swagger
+ * /api/rent-invoices:
+ *   get:
+ *     summary: List rent invoices as tenant or landlord
+ *     tags: [Rent Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [tenant, landlord]
+ *           default: tenant
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, overdue, paid, void]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Rent invoices with counts per status and outstanding and paid totals
+ */
+router.get('/', listInvoicesValidation, handleValidationErrors, listInvoices);
+
+/**
+ * @swagger
+ * /api/rent-invoices/{invoiceId}:
+ *   get:
+ *     summary: Get a rent invoice (tenant, landlord, agent or admin)
+ *     tags: [Rent Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rent invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RentInvoice'
+ *       403:
+ *         description: Not a party to this invoice
+ *       404:
+ *         description: Rent invoice not found
+ */
+router.get('/:invoiceId', invoiceValidation, handleValidationErrors, getInvoice);
+
+/**
+ * @swagger
+ * /api/rent-invoices/{invoiceId}/pay:
+ *   post:
+ *     summary: Pay a rent invoice (tenant)
+ *     description: Wallet payments settle immediately. Paystack returns an authorization URL and the invoice is settled by the webhook; a payment that no longer covers the invoice is refunded to the tenant's wallet.
+ *     tags: [Rent Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [wallet, paystack]
+ *               callbackUrl:
+ *                 type: string
+ *                 description: Paystack only
+ *     responses:
+ *       200:
+ *         description: Rent paid, or Paystack payment initialized
+ *       400:
+ *         description: Insufficient wallet balance
+ *       409:
+ *         description: Invoice is already paid or void
+ */
+router.post('/:invoiceId/pay', payInvoiceValidation, handleValidationErrors, payInvoice);
+
+/**
+ * @swagger
+ * /api/rent-invoices/{invoiceId}/pdf:
+ *   get:
+ *     summary: Download a rent invoice as PDF
+ *     tags: [Rent Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not a party to this invoice
+ *       404:
+ *         description: Rent invoice not found
+ */
+router.get('/:invoiceId/pdf', invoiceValidation, handleValidationErrors, downloadInvoicePdf);
+
+export default router;
@@ -0,0 +1,287 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  submitApplication,
+  getApplication,
+  reviewApplication,
+  acceptApplication,
+  withdrawApplication
+} from '../controllers/rentalApplicationController.js';
+import {
+  submitApplicationValidation,
+  applicationValidation,
+  reviewApplicationValidation,
+  acceptApplicationValidation
+} from '../validations/rentalApplicationValidation.js';
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RentalApplication:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         propertyId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [submitted, under_review, shortlisted, accepted, rejected, withdrawn]
+ *         desiredMoveInDate:
+ *           type: string
+ *           format: date
+ *         leaseTermMonths:
+ *           type: integer
+ *           example: 12
+ *         occupants:
+ *           type: integer
+ *         message:
+ *           type: string
+ *         employment:
+ *           type: object
+ *           properties:
+ *             employmentType:
+ *               type: string
+ *               enum: [employed, self_employed, student, retired, unemployed]
+ *             employer:
+ *               type: string
+ *             jobTitle:
+ *               type: string
+ *             monthlyIncome:
+ *               type: number
+ *               example: 850000
+ *             yearsEmployed:
+ *               type: number
+ *             workAddress:
+ *               type: string
+ *         references:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *         kycDocumentIds:
+ *           type: array
+ *           description: The applicant's KYC documents shared with the landlord
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         rejectionReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/rental-applications:
+ *   post:
+ *     summary: Apply to rent a long-term rental listing
+ *     tags: [Rental Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RentalApplication'
+ *               - type: object
+ *                 required:
+ *                   - propertyId
+ *                   - desiredMoveInDate
+ *                   - employment
+ *     responses:
+ *       201:
+ *         description: Rental application submitted successfully
+ *       400:
+ *         description: Not a long-term rental, lease term outside the listing's limits, or unusable KYC documents
+ *       409:
+ *         description: An open application for this property already exists
+ */
+router.post('/', submitApplicationValidation, handleValidationErrors, submitApplication);
+
+/**
+ * @swagger
+ * /api/rental-applications/{applicationId}:
+ *   get:
+ *     summary: Get a rental application
+ *     description: The landlord also receives the shared KYC documents and their private notes.
+ *     tags: [Rental Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rental application retrieved successfully
+ *       403:
+ *         description: Neither the applicant nor the property's landlord
+ *       404:
+ *         description: Rental application not found
+ */
+router.get('/:applicationId', applicationValidation, handleValidationErrors, getApplication);
+
+/**
+ * @swagger
+ * /api/rental-applications/{applicationId}/review:
+ *   put:
+ *     summary: Mark an application under review, shortlist it or decline it (landlord, agent or admin)
+ *     tags: [Rental Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [under_review, shortlisted, rejected]
+ *               landlordNotes:
+ *                 type: string
+ *                 description: Private to the landlord
+ *               rejectionReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rental application updated successfully
+ *       400:
+ *         description: Application has already been decided or withdrawn
+ */
+router.put('/:applicationId/review', reviewApplicationValidation, handleValidationErrors, reviewApplication);
+
+/**
+ * @swagger
+ * /api/rental-applications/{applicationId}/accept:
+ *   post:
+ *     summary: Accept an application and create its lease (landlord, agent or admin)
+ *     description: Rent defaults to the listing price, the start date and term to the applicant's request. Other open applications for the property are declined unless keepOtherApplications is true.
+ *     tags: [Rental Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rentAmount:
+ *                 type: number
+ *                 description: Rent per rentFrequency period
+ *                 example: 3500000
+ *               rentFrequency:
+ *                 type: string
+ *                 enum: [monthly, quarterly, biannually, yearly]
+ *               cautionDeposit:
+ *                 type: number
+ *                 example: 350000
+ *               agencyFee:
+ *                 type: number
+ *                 example: 350000
+ *               legalFee:
+ *                 type: number
+ *                 example: 350000
+ *               lateFeePercent:
+ *                 type: number
+ *                 description: Percent of the rent added to an invoice still unpaid after the grace period
+ *                 example: 5
+ *               lateFeeGraceDays:
+ *                 type: integer
+ *                 description: Days after the due date before an invoice is overdue
+ *                 example: 7
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               termMonths:
+ *                 type: integer
+ *                 example: 12
+ *               renewalNoticeDays:
+ *                 type: integer
+ *                 description: Days before the end date the lease becomes renewal_due
+ *                 example: 90
+ *               terms:
+ *                 type: string
+ *               keepOtherApplications:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Rental application accepted and lease created
+ *       409:
+ *         description: Another lease already covers the start date
+ */
+router.post('/:applicationId/accept', acceptApplicationValidation, handleValidationErrors, acceptApplication);
+
+/**
+ * @swagger
+ * /api/rental-applications/{applicationId}/withdraw:
+ *   put:
+ *     summary: Withdraw an open application (applicant)
+ *     tags: [Rental Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rental application withdrawn successfully
+ *       400:
+ *         description: Application has already been decided
+ */
+router.put('/:applicationId/withdraw', applicationValidation, handleValidationErrors, withdrawApplication);
+
+export default router;
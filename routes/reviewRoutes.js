@@ -15,7 +15,8 @@ import {
   getPendingReviews,
   bulkModerateReviews
 } from '../services/reviewService.js';
-import { authenticateToken, requireRole } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireRole, requirePermission } from '../middlewares/authMiddleware.js';
+import { hasPermission } from '../constants/adminPermissions.js';
 import { body, param, query, validationResult } from 'express-validator';
 
 const router = express.Router();
@@ -530,7 +531,7 @@ router.get('/:reviewId', param('reviewId').isUUID().withMessage('Invalid review
  */
 router.put('/:reviewId', authenticateToken, param('reviewId').isUUID().withMessage('Invalid review ID'), async (req, res) => {
   try {
-    const review = await updateReview(req.params.reviewId, req.body, req.user.id, req.user.role);
+    const review = await updateReview(req.params.reviewId, req.body, req.user.id, hasPermission(req.user, 'reviews.moderate'));
 
     res.json({
       success: true,
@@ -578,7 +579,7 @@ router.put('/:reviewId', authenticateToken, param('reviewId').isUUID().withMessa
  */
 router.delete('/:reviewId', authenticateToken, param('reviewId').isUUID().withMessage('Invalid review ID'), async (req, res) => {
   try {
-    const result = await deleteReview(req.params.reviewId, req.user.id, req.user.role);
+    const result = await deleteReview(req.params.reviewId, req.user.id, hasPermission(req.user, 'reviews.moderate'));
 
     res.json({
       success: true,
@@ -631,7 +632,7 @@ router.delete('/:reviewId', authenticateToken, param('reviewId').isUUID().withMe
  *       500:
  *         description: Internal server error
  */
-router.patch('/:reviewId/moderate', authenticateToken, requireRole(['admin', 'moderator']), 
+router.patch('/:reviewId/moderate', authenticateToken, requireRole('admin'), requirePermission('reviews.moderate'), 
   param('reviewId').isUUID().withMessage('Invalid review ID'),
   body('status').isIn(['approved', 'rejected', 'hidden']).withMessage('Invalid moderation status'),
   async (req, res) => {
@@ -943,7 +944,7 @@ router.get('/property/:propertyId/summary', param('propertyId').isUUID().withMes
 router.get('/user/:userId', authenticateToken, param('userId').isUUID().withMessage('Invalid user ID'), async (req, res) => {
   try {
     // Check if user can access these reviews
-    if (req.user.id !== req.params.userId && !['admin', 'moderator'].includes(req.user.role)) {
+    if (req.user.id !== req.params.userId && !hasPermission(req.user, 'reviews.moderate')) {
       return res.status(403).json({
         success: false,
         message: 'You can only view your own review history'
@@ -1003,7 +1004,7 @@ router.get('/user/:userId', authenticateToken, param('userId').isUUID().withMess
  *       500:
  *         description: Internal server error
  */
-router.get('/pending', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+router.get('/pending', authenticateToken, requireRole('admin'), requirePermission('reviews.moderate'), async (req, res) => {
   try {
     const result = await getPendingReviews(req.query);
 
@@ -1064,7 +1065,7 @@ router.get('/pending', authenticateToken, requireRole(['admin', 'moderator']), a
  *       500:
  *         description: Internal server error
  */
-router.patch('/bulk/moderate', authenticateToken, requireRole(['admin', 'moderator']), 
+router.patch('/bulk/moderate', authenticateToken, requireRole('admin'), requirePermission('reviews.moderate'), 
   body('reviewIds').isArray().withMessage('Review IDs must be an array'),
   body('status').isIn(['approved', 'rejected', 'hidden']).withMessage('Invalid moderation status'),
   async (req, res) => {
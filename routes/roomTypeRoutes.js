@@ -0,0 +1,363 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { requireEntitlement } from '../middlewares/entitlementMiddleware.js';
+import {
+  uploadPropertyMedia,
+  processPropertyUploadedFiles,
+  handlePropertyUploadError,
+  validatePropertyFileUpload,
+  validatePropertyFileCount
+} from '../middlewares/propertyUploadMiddleware.js';
+import {
+  listRoomTypes,
+  getRoomTypeCalendar,
+  createRoomType,
+  updateRoomType,
+  deleteRoomType,
+  setRoomInventory,
+  addRoomTypeMedia
+} from '../controllers/roomTypeController.js';
+import {
+  listRoomTypesValidation,
+  roomTypeCalendarValidation,
+  createRoomTypeValidation,
+  updateRoomTypeValidation,
+  roomTypeValidation,
+  setRoomInventoryValidation
+} from '../validations/roomTypeValidation.js';
+
+// Mounted at /api/properties/:propertyId/room-types
+const router = express.Router({ mergeParams: true });
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RoomType:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *         - totalUnits
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: Deluxe King
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *           description: Nightly rate per room; the property's pricing rules adjust it
+ *           example: 85000
+ *         maxGuests:
+ *           type: integer
+ *           description: Guests per room
+ *           example: 2
+ *         bedType:
+ *           type: string
+ *           example: king
+ *         bedCount:
+ *           type: integer
+ *         sizeSqm:
+ *           type: integer
+ *         amenities:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Mini bar, Bathtub, City view]
+ *         totalUnits:
+ *           type: integer
+ *           description: Rooms of this type; single nights can be overridden through the inventory endpoint
+ *           example: 12
+ *         isActive:
+ *           type: boolean
+ *         sortOrder:
+ *           type: integer
+ *         availableUnits:
+ *           type: integer
+ *           description: Rooms free on every night of the requested stay (only when checkInDate and checkOutDate are given)
+ */
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/room-types:
+ *   get:
+ *     summary: Room types of a hotel, optionally with the rooms free for a stay
+ *     tags: [Room Types]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: checkInDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: checkOutDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Room types retrieved successfully
+ *       404:
+ *         description: Property not found
+ *   post:
+ *     summary: Add a room type to a hotel (owner, agent or admin)
+ *     tags: [Room Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoomType'
+ *     responses:
+ *       201:
+ *         description: Room type created successfully
+ *       400:
+ *         description: Validation error or the property is not a hotel
+ *       403:
+ *         description: Not allowed to manage this property
+ */
+router.get('/', listRoomTypesValidation, handleValidationErrors, listRoomTypes);
+router.post('/', authenticateToken, createRoomTypeValidation, handleValidationErrors, createRoomType);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/room-types/{roomTypeId}:
+ *   put:
+ *     summary: Update a room type
+ *     description: Lowering totalUnits below the rooms already booked on a future night is refused with 409.
+ *     tags: [Room Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: roomTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoomType'
+ *     responses:
+ *       200:
+ *         description: Room type updated successfully
+ *       404:
+ *         description: Room type not found
+ *       409:
+ *         description: More rooms are booked on some nights than the new total
+ *   delete:
+ *     summary: Delete a room type
+ *     description: Room types with past bookings are deactivated instead; types with upcoming bookings cannot be removed.
+ *     tags: [Room Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: roomTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Room type deleted or deactivated
+ *       409:
+ *         description: Room type has upcoming bookings
+ */
+router.put('/:roomTypeId', authenticateToken, updateRoomTypeValidation, handleValidationErrors, updateRoomType);
+router.delete('/:roomTypeId', authenticateToken, roomTypeValidation, handleValidationErrors, deleteRoomType);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/room-types/{roomTypeId}/availability:
+ *   get:
+ *     summary: Rooms offered, booked and free per night
+ *     tags: [Room Types]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: roomTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First night (defaults to today)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last night, inclusive (defaults to 30 nights)
+ *     responses:
+ *       200:
+ *         description: Room availability retrieved successfully
+ *       404:
+ *         description: Room type not found
+ */
+router.get('/:roomTypeId/availability', roomTypeCalendarValidation, handleValidationErrors, getRoomTypeCalendar);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/room-types/{roomTypeId}/inventory:
+ *   put:
+ *     summary: Set the rooms offered on a range of nights
+ *     description: Use it for rooms out of service or held back; 0 closes the room type. totalUnits null returns the nights to the room type's default.
+ *     tags: [Room Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: roomTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last night, inclusive
+ *               totalUnits:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 10
+ *               notes:
+ *                 type: string
+ *                 example: Two rooms under renovation
+ *     responses:
+ *       200:
+ *         description: Room inventory updated, with the resulting calendar
+ *       409:
+ *         description: More rooms are booked on some nights than the new total
+ */
+router.put('/:roomTypeId/inventory', authenticateToken, setRoomInventoryValidation, handleValidationErrors, setRoomInventory);
+
+/**
+ * @swagger
+ * /api/properties/{propertyId}/room-types/{roomTypeId}/media:
+ *   post:
+ *     summary: Add photos of a room type
+ *     description: Photos count towards the property's plan photo limit. Remove them with DELETE /api/properties/media/{mediaId}.
+ *     tags: [Room Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: roomTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Room photos added successfully
+ *       403:
+ *         description: Not allowed to manage this property, or the plan's photo limit is reached (error UPGRADE_REQUIRED)
+ */
+router.post('/:roomTypeId/media',
+  authenticateToken,
+  roomTypeValidation,
+  handleValidationErrors,
+  requireEntitlement('photos', { getPropertyId: (req) => req.params.propertyId }),
+  uploadPropertyMedia,
+  handlePropertyUploadError,
+  processPropertyUploadedFiles,
+  validatePropertyFileUpload,
+  validatePropertyFileCount(8, 2, 3),
+  addRoomTypeMedia
+);
+
+export default router;
@@ -120,6 +120,88 @@ router.get('/payment-statements',
   userDashboardController.getPaymentStatements
 );
 
+const getApplicationsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['submitted', 'under_review', 'shortlisted', 'accepted', 'rejected', 'withdrawn']).withMessage('Invalid status')
+];
+
+const getLeasesValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['upcoming', 'active', 'renewal_due', 'renewed', 'expired', 'terminated']).withMessage('Invalid status')
+];
+
+/**
+ * @swagger
+ * /api/user-dashboard/rental-applications:
+ *   get:
+ *     summary: Get user's applications for long-term rentals
+ *     tags: [User Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, under_review, shortlisted, accepted, rejected, withdrawn]
+ *     responses:
+ *       200:
+ *         description: Rental applications retrieved successfully
+ */
+router.get('/rental-applications',
+  authenticateToken,
+  getApplicationsValidation,
+  handleValidationErrors,
+  userDashboardController.getMyRentalApplications
+);
+
+/**
+ * @swagger
+ * /api/user-dashboard/leases:
+ *   get:
+ *     summary: Get user's leases as a tenant, with the move-in cost of each
+ *     tags: [User Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, active, renewal_due, renewed, expired, terminated]
+ *     responses:
+ *       200:
+ *         description: Leases retrieved successfully
+ */
+router.get('/leases',
+  authenticateToken,
+  getLeasesValidation,
+  handleValidationErrors,
+  userDashboardController.getMyLeases
+);
+
 /**
  * @swagger
  * /api/user-dashboard/stats:
@@ -1,6 +1,6 @@
 import express from 'express';
 import walletController from '../controllers/walletController.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requireStepUp } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -17,6 +17,7 @@ router.get('/', walletController.getWallet);
 /**
  * @route   POST /api/wallet/fund
  * @desc    Fund wallet via Paystack
+ * @header  Idempotency-Key (optional) - defaults to the Paystack reference
  * @access  Private
  */
 router.post('/fund', walletController.fundWallet);
@@ -24,6 +25,7 @@ router.post('/fund', walletController.fundWallet);
 /**
  * @route   POST /api/wallet/pay
  * @desc    Make payment from wallet
+ * @header  Idempotency-Key (optional) - retries with the same key return the original transaction
  * @access  Private
  */
 router.post('/pay', walletController.makePayment);
@@ -31,6 +33,7 @@ router.post('/pay', walletController.makePayment);
 /**
  * @route   POST /api/wallet/refund
  * @desc    Process refund to wallet (admin/system)
+ * @header  Idempotency-Key (optional) - retries with the same key return the original transaction
  * @access  Private
  */
 router.post('/refund', walletController.processRefund);
@@ -45,9 +48,11 @@ router.post('/verify-account', walletController.verifyAccount);
 /**
  * @route   POST /api/wallet/withdraw
  * @desc    Request withdrawal from wallet
- * @access  Private
+ * @header  Idempotency-Key (optional) - retries with the same key return the original transaction
+ * @header  X-MFA-Code (optional) - two-factor code, instead of a prior /api/auth/mfa/step-up
+ * @access  Private (two-factor step-up when enabled)
  */
-router.post('/withdraw', walletController.requestWithdrawal);
+router.post('/withdraw', requireStepUp, walletController.requestWithdrawal);
 
 /**
  * @route   GET /api/wallet/transactions
@@ -59,8 +64,10 @@ router.get('/transactions', walletController.getTransactionHistory);
 /**
  * @route   POST /api/wallet/transfer
  * @desc    Transfer between wallets
- * @access  Private
+ * @header  Idempotency-Key (optional) - retries with the same key return the original transaction
+ * @header  X-MFA-Code (optional) - two-factor code, instead of a prior /api/auth/mfa/step-up
+ * @access  Private (two-factor step-up when enabled)
  */
-router.post('/transfer', walletController.transferBetweenWallets);
+router.post('/transfer', requireStepUp, walletController.transferBetweenWallets);
 
 export default router;
@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const immutable = () => {
+  throw new Error('Admin audit log entries cannot be changed or deleted');
+};
+
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Admin who performed the action'
+  },
+  actorRole: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  actorEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Copied at write time so the entry stays readable if the account changes'
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Dotted action name, e.g. user.status_updated, withdrawal.approved'
+  },
+  entityType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'user, property, kyc_document, withdrawal, booking_fee_config, ...'
+  },
+  entityId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '{ field: { from, to } } for every field the action changed'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'admin_audit_logs',
+  indexes: [
+    { fields: ['entityType', 'entityId', 'createdAt'] },
+    { fields: ['actorId', 'createdAt'] },
+    { fields: ['action', 'createdAt'] },
+    { fields: ['createdAt'] }
+  ],
+  // Entries are append-only
+  hooks: {
+    beforeUpdate: immutable,
+    beforeBulkUpdate: immutable,
+    beforeDestroy: immutable,
+    beforeBulkDestroy: immutable
+  }
+});
+
+export default AdminAuditLog;
@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Agency = sequelize.define('Agency', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 150]
+    }
+  },
+  slug: {
+    type: DataTypes.STRING(180),
+    allowNull: false,
+    unique: true
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Member with the owner role; the agency share of commissions is paid to their wallet'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  logoUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  state: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'suspended', 'closed'),
+    defaultValue: 'active',
+    allowNull: false
+  },
+
+  // Commission defaults, copied onto each mandate when a landlord authorises the agency
+  defaultCommissionPercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 10.00,
+    allowNull: false,
+    comment: 'Percent of the landlord payout kept as commission on managed properties'
+  },
+  defaultAgentSharePercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 50.00,
+    allowNull: false,
+    comment: 'Percent of the commission passed on to the agent assigned to the property'
+  }
+}, {
+  timestamps: true,
+  tableName: 'agencies',
+  indexes: [
+    { fields: ['ownerId'] },
+    { fields: ['status'] }
+  ]
+});
+
+export default Agency;
@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const AgencyCommission = sequelize.define('AgencyCommission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  source: {
+    type: DataTypes.ENUM('booking', 'rent'),
+    allowNull: false
+  },
+  sourceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Booking or rent invoice the payout came from'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  mandateId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  landlordId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  agentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Agent assigned to the property when the payout was made'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+
+  // Split of the landlord payout; landlordAmount + agencyAmount + agentAmount = grossAmount
+  grossAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Landlord payout the commission was taken from'
+  },
+  commissionPercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  agentSharePercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  landlordAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  agencyAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  agentAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'settled', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  settledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'agency_commissions',
+  indexes: [
+    { unique: true, fields: ['source', 'sourceId'] },
+    { fields: ['agencyId', 'status', 'createdAt'] },
+    { fields: ['agentId', 'status'] },
+    { fields: ['landlordId', 'status'] }
+  ]
+});
+
+export default AgencyCommission;
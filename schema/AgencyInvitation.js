@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const AgencyInvitation = sequelize.define('AgencyInvitation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  role: {
+    type: DataTypes.ENUM('manager', 'agent'),
+    defaultValue: 'agent',
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the emailed token; the token itself is never stored'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'revoked', 'expired'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  acceptedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'agency_invitations',
+  indexes: [
+    { fields: ['agencyId', 'status'] },
+    { fields: ['email', 'status'] }
+  ]
+});
+
+export default AgencyInvitation;
@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const AgencyMandate = sequelize.define('AgencyMandate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    }
+  },
+  landlordId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Property owner who authorised the agency'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'declined', 'revoked'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  commissionPercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    comment: 'Percent of the landlord payout kept as commission'
+  },
+  agentSharePercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    comment: 'Percent of the commission passed on to the assigned agent'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  acceptedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Who declined or revoked the mandate'
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'agency_mandates',
+  indexes: [
+    { fields: ['propertyId', 'status'] },
+    { fields: ['agencyId', 'status'] },
+    { fields: ['landlordId', 'status'] }
+  ]
+});
+
+export default AgencyMandate;
@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const AgencyMember = sequelize.define('AgencyMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM('owner', 'manager', 'agent'),
+    defaultValue: 'agent',
+    allowNull: false,
+    comment: 'owner and manager run the agency; agents work the listings assigned to them'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'removed'),
+    defaultValue: 'active',
+    allowNull: false
+  },
+  onDuty: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+    comment: 'New inquiries on agency listings are shared between members on duty'
+  },
+  lastInquiryAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last time an inquiry was routed to this member; the longest-waiting member gets the next one'
+  },
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  removedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'agency_members',
+  indexes: [
+    { unique: true, fields: ['agencyId', 'userId'] },
+    { fields: ['userId', 'status'] },
+    { fields: ['agencyId', 'status', 'onDuty'] }
+  ]
+});
+
+export default AgencyMember;
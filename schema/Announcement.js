@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Announcement = sequelize.define('Announcement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  level: {
+    type: DataTypes.ENUM('info', 'success', 'warning', 'maintenance'),
+    defaultValue: 'info',
+    allowNull: false
+  },
+  linkUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'archived'),
+    defaultValue: 'draft',
+    allowNull: false
+  },
+
+  // Schedule
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  targetRoles: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'User roles to show the announcement to; empty or null means everyone'
+  },
+
+  // Notification fan-out
+  sendNotification: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Send an announcement notification to the targeted users when published'
+  },
+  notificationChannels: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Channels for the fan-out, e.g. ["in_app", "email"]'
+  },
+  notifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notificationStats: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '{ recipients, successful, failed }'
+  },
+
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  publishedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'announcements',
+  indexes: [
+    { fields: ['status', 'startsAt'] },
+    { fields: ['status', 'endsAt'] }
+  ]
+});
+
+export default Announcement;
@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Banner = sequelize.define('Banner', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  subtitle: {
+    type: DataTypes.STRING(300),
+    allowNull: true
+  },
+  imageUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  mobileImageUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  linkUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ctaText: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  placement: {
+    type: DataTypes.ENUM('home_hero', 'home_strip', 'search', 'dashboard'),
+    defaultValue: 'home_hero',
+    allowNull: false
+  },
+
+  // Schedule
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null shows the banner immediately'
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null shows the banner until it is deactivated'
+  },
+
+  // Targeting (empty or null means everyone)
+  targetRoles: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'User roles to show the banner to; "visitor" means signed-out visitors'
+  },
+  targetCities: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Cities to show the banner in, matched case-insensitively'
+  },
+
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'banners',
+  indexes: [
+    { fields: ['placement', 'isActive', 'sortOrder'] },
+    { fields: ['isActive', 'endsAt'] }
+  ]
+});
+
+export default Banner;
@@ -76,6 +76,20 @@ const Booking = sequelize.define('Booking', {
     }
   },
 
+  // Hotel room type (null books the whole property)
+  roomTypeId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  roomUnits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Rooms of roomTypeId reserved by this booking'
+  },
+
   // Pricing
   basePrice: {
     type: DataTypes.DECIMAL(12, 2),
@@ -178,10 +192,10 @@ const Booking = sequelize.define('Booking', {
 
   // Wallet integration
   walletStatus: {
-    type: DataTypes.ENUM('none', 'pending', 'released', 'refunded'),
+    type: DataTypes.ENUM('none', 'pending', 'frozen', 'released', 'refunded'),
     defaultValue: 'none',
     allowNull: false,
-    comment: 'Status of wallet crediting for this booking'
+    comment: 'Status of wallet crediting for this booking (frozen while a dispute holds the pending funds)'
   },
   walletTransactionId: {
     type: DataTypes.UUID,
@@ -0,0 +1,153 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const BookingQuote = sequelize.define('BookingQuote', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  bookingType: {
+    type: DataTypes.ENUM('shortlet', 'rental', 'hotel'),
+    allowNull: false
+  },
+  checkInDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  checkOutDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  numberOfNights: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  numberOfGuests: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  roomTypeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Hotel room type being booked; null for whole-property stays'
+  },
+  roomUnits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+
+  // Pricing snapshot (computed server-side, never taken from the client)
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+  unitPrice: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Property.price at the time the quote was issued'
+  },
+  pricePeriod: {
+    type: DataTypes.ENUM('per_night', 'per_month', 'per_year', 'one_time'),
+    allowNull: false
+  },
+  billableUnits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Number of pricePeriod units charged (nights, months or years)'
+  },
+  basePrice: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  serviceFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  platformFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+    comment: 'Deducted from the owner payout, not charged to the guest'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  totalPrice: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  breakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Line items (base, fees, discounts) used to build the totals'
+  },
+
+  // Integrity and lifecycle
+  signature: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    comment: 'HMAC-SHA256 of the quote fields, checked before the quote is honoured'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'consumed', 'expired'),
+    defaultValue: 'active',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Booking created from this quote'
+  },
+  paymentReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Paystack reference when the quote was used for a payment-first booking'
+  },
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Coupon applied to the quote; reserved quotes count against its caps'
+  }
+}, {
+  timestamps: true,
+  tableName: 'booking_quotes',
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['propertyId'] },
+    { fields: ['status', 'expiresAt'] },
+    { fields: ['couponId', 'status'] }
+  ]
+});
+
+export default BookingQuote;
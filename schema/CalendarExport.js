@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const CalendarExport = sequelize.define('CalendarExport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Secret part of the public feed URL; rotating it revokes old URLs'
+  },
+  lastAccessedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last time another channel fetched the feed'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'calendar_exports',
+  indexes: [
+    { unique: true, fields: ['propertyId'] }
+  ]
+});
+
+export default CalendarExport;
@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const CalendarFeed = sequelize.define('CalendarFeed', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Channel label, e.g. "Airbnb" or "Booking.com"'
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    comment: 'iCal export URL of the listing on the other channel'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+
+  // Sync state, shown to the landlord so a broken feed is noticed
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last attempt, successful or not'
+  },
+  lastSuccessAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastSyncStatus: {
+    type: DataTypes.ENUM('pending', 'success', 'error'),
+    defaultValue: 'pending'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastSyncSummary: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '{ events, blockedDates, added, removed, conflicts }'
+  },
+  consecutiveFailures: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'calendar_feeds',
+  indexes: [
+    { fields: ['propertyId'] },
+    { fields: ['isActive', 'lastSyncedAt'] }
+  ]
+});
+
+export default CalendarFeed;
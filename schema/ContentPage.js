@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const ContentPage = sequelize.define('ContentPage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slug: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true,
+    comment: 'e.g. about, how-it-works, terms, privacy'
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'unpublished'),
+    defaultValue: 'draft',
+    allowNull: false
+  },
+
+  // Published copy, served by the public endpoint
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  metaTitle: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  metaDescription: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  // Versions
+  latestVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Newest saved version (may be an unpublished draft)'
+  },
+  publishedVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Version the published copy was taken from'
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  publishedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'content_pages',
+  indexes: [
+    { fields: ['status'] }
+  ]
+});
+
+export default ContentPage;
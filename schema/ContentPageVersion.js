@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const ContentPageVersion = sequelize.define('ContentPageVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  pageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'content_pages',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  metaTitle: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  metaDescription: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  changeNote: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'content_page_versions',
+  indexes: [
+    { unique: true, fields: ['pageId', 'version'] }
+  ]
+});
+
+export default ContentPageVersion;
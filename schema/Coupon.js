@@ -0,0 +1,112 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'Stored uppercase; matched case-insensitively'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  discountType: {
+    type: DataTypes.ENUM('percentage', 'fixed'),
+    allowNull: false
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  maxDiscountAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Cap on the discount for percentage coupons'
+  },
+  minSpend: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Minimum accommodation subtotal (before fees) the coupon applies to'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+
+  // Validity
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Global cap across all users; null for unlimited'
+  },
+  maxRedemptionsPerUser: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 1,
+    comment: 'Cap per guest; null for unlimited'
+  },
+  redemptionCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Active (not reversed) redemptions'
+  },
+
+  // Scope (null or empty means any)
+  listingTypes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Booking types the coupon applies to: shortlet, rental, hotel'
+  },
+  propertyIds: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  ownerIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Limit the coupon to listings of these landlords'
+  },
+
+  fundedBy: {
+    type: DataTypes.ENUM('platform', 'landlord'),
+    allowNull: false,
+    defaultValue: 'platform',
+    comment: 'platform: landlord is paid on the undiscounted price; landlord: discount comes out of the payout'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'coupons',
+  indexes: [
+    { unique: true, fields: ['code'] },
+    { fields: ['isActive', 'expiresAt'] }
+  ]
+});
+
+export default Coupon;
@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  quoteId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+  fundedBy: {
+    type: DataTypes.ENUM('platform', 'landlord'),
+    allowNull: false,
+    comment: 'Copied from the coupon when redeemed so later edits do not change settled bookings'
+  },
+  status: {
+    type: DataTypes.ENUM('redeemed', 'reversed'),
+    defaultValue: 'redeemed'
+  },
+  reversedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reversalReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'coupon_redemptions',
+  indexes: [
+    { unique: true, fields: ['bookingId'] },
+    { fields: ['couponId', 'status'] },
+    { fields: ['couponId', 'userId', 'status'] }
+  ]
+});
+
+export default CouponRedemption;
@@ -0,0 +1,136 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Dispute = sequelize.define('Dispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  guestId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  openedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  openerRole: {
+    type: DataTypes.ENUM('guest', 'owner'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM(
+      'not_as_described',
+      'cleanliness',
+      'access_issue',
+      'safety',
+      'property_damage',
+      'payment_issue',
+      'other'
+    ),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  requestedOutcome: {
+    type: DataTypes.ENUM('full_refund', 'partial_refund', 'release_to_owner', 'split'),
+    allowNull: true
+  },
+  requestedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Refund the opener asks for with a partial_refund'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'under_review', 'resolved', 'withdrawn'),
+    defaultValue: 'open',
+    allowNull: false
+  },
+
+  // Funds held while the dispute is open
+  walletStatusAtOpen: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Booking walletStatus when the dispute was opened (pending funds are frozen)'
+  },
+  frozenAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: "Owner's pending balance held back from the release job"
+  },
+
+  // Resolution
+  assignedTo: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Admin handling the dispute'
+  },
+  outcome: {
+    type: DataTypes.ENUM('full_refund', 'partial_refund', 'release_to_owner', 'split'),
+    allowNull: true
+  },
+  guestRefundAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true
+  },
+  ownerAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Part of the owner share they keep'
+  },
+  resolutionBreakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'How the refund was funded: owner share, tax and platform fees'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  withdrawnAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastMessageAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'disputes',
+  indexes: [
+    { fields: ['bookingId', 'status'] },
+    { fields: ['guestId', 'status'] },
+    { fields: ['ownerId', 'status'] },
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+export default Dispute;
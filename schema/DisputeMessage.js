@@ -0,0 +1,44 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const DisputeMessage = sequelize.define('DisputeMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  disputeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'disputes',
+      key: 'id'
+    }
+  },
+  senderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Null for system messages'
+  },
+  senderRole: {
+    type: DataTypes.ENUM('guest', 'owner', 'admin', 'system'),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Evidence files: [{ url, publicId, fileName, mimeType, bytes }]'
+  }
+}, {
+  timestamps: true,
+  tableName: 'dispute_messages',
+  indexes: [
+    { fields: ['disputeId', 'createdAt'] }
+  ]
+});
+
+export default DisputeMessage;
@@ -0,0 +1,50 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Faq = sequelize.define('Faq', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  categoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'faq_categories',
+      key: 'id'
+    }
+  },
+  question: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  answer: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'faqs',
+  indexes: [
+    { fields: ['categoryId', 'isActive', 'sortOrder'] }
+  ]
+});
+
+export default Faq;
@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const FaqCategory = sequelize.define('FaqCategory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  slug: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'faq_categories',
+  indexes: [
+    { fields: ['isActive', 'sortOrder'] }
+  ]
+});
+
+export default FaqCategory;
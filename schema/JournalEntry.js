@@ -0,0 +1,79 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const JournalEntry = sequelize.define('JournalEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entryType: {
+    type: DataTypes.ENUM(
+      'booking_payment',
+      'funds_release',
+      'refund',
+      'payout',
+      'payout_reversal',
+      'wallet_funding',
+      'wallet_payment',
+      'transfer',
+      'subscription_charge',
+      'rent_payment',
+      'adjustment'
+    ),
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    unique: true,
+    comment: 'Source of the entry (e.g. wallet:<transactionId>); posting the same reference twice is a no-op'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Total of the debit side (equal to the credit side)'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN',
+    allowNull: false
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  walletTransactionId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'journal_entries',
+  indexes: [
+    { unique: true, fields: ['reference'] },
+    { fields: ['entryType'] },
+    { fields: ['bookingId'] },
+    { fields: ['paymentId'] },
+    { fields: ['postedAt'] }
+  ]
+});
+
+export default JournalEntry;
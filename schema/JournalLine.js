@@ -0,0 +1,50 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const JournalLine = sequelize.define('JournalLine', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalEntryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'journal_entries',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  accountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'ledger_accounts',
+      key: 'id'
+    }
+  },
+  debit: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    allowNull: false
+  },
+  credit: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    allowNull: false
+  },
+  memo: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'journal_lines',
+  indexes: [
+    { fields: ['journalEntryId'] },
+    { fields: ['accountId'] }
+  ]
+});
+
+export default JournalLine;
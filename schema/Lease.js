@@ -0,0 +1,143 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const Lease = sequelize.define('Lease', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Accepted application the lease came from; null for renewals'
+  },
+  previousLeaseId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Lease this one renews'
+  },
+  renewedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Lease that renews this one'
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    }
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  landlordId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('upcoming', 'active', 'renewal_due', 'renewed', 'expired', 'terminated'),
+    defaultValue: 'upcoming',
+    allowNull: false
+  },
+
+  // Money
+  rentAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Rent for one rentFrequency period'
+  },
+  rentFrequency: {
+    type: DataTypes.ENUM('monthly', 'quarterly', 'biannually', 'yearly'),
+    defaultValue: 'yearly',
+    allowNull: false
+  },
+  cautionDeposit: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Refundable at the end of the lease'
+  },
+  agencyFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00
+  },
+  legalFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+
+  // Term
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Last day of the lease'
+  },
+  lateFeePercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 0.00,
+    comment: 'Charged on the rent of an invoice still unpaid after the grace period'
+  },
+  lateFeeGraceDays: {
+    type: DataTypes.INTEGER,
+    defaultValue: 7,
+    comment: 'Days after the due date before an invoice is overdue'
+  },
+  renewalNoticeDays: {
+    type: DataTypes.INTEGER,
+    defaultValue: 90,
+    comment: 'Days before endDate the lease becomes renewal_due'
+  },
+  terms: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Special conditions agreed with the tenant'
+  },
+
+  // Termination
+  terminatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  terminatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  terminationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'leases',
+  indexes: [
+    { fields: ['tenantId', 'status'] },
+    { fields: ['landlordId', 'status'] },
+    { fields: ['propertyId', 'status'] },
+    { fields: ['status', 'endDate'] }
+  ]
+});
+
+export default Lease;
@@ -0,0 +1,64 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true,
+    comment: 'Category for platform accounts, category:userId for per-user accounts'
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  category: {
+    type: DataTypes.ENUM(
+      'guest',
+      'landlord_pending',
+      'landlord_available',
+      'platform_revenue',
+      'tax_payable',
+      'paystack_clearing'
+    ),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('asset', 'liability', 'revenue'),
+    allowNull: false
+  },
+  normalBalance: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Owner of a per-user account (guest or landlord)'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN',
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  tableName: 'ledger_accounts',
+  indexes: [
+    { unique: true, fields: ['code'] },
+    { fields: ['category'] },
+    { fields: ['userId'] }
+  ]
+});
+
+export default LedgerAccount;
@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const ListingReport = sequelize.define('ListingReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    }
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Listing owner when the report was made'
+  },
+  reason: {
+    type: DataTypes.ENUM('scam', 'duplicate', 'wrong_price', 'already_rented', 'misleading', 'inappropriate', 'other'),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'dismissed', 'actioned'),
+    defaultValue: 'open',
+    allowNull: false
+  },
+
+  // Review
+  action: {
+    type: DataTypes.ENUM('dismiss', 'warn_owner', 'unpublish', 'ban_owner'),
+    allowNull: true
+  },
+  adminNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'listing_reports',
+  indexes: [
+    // One report per reporter per listing; reporting again reopens it
+    { unique: true, fields: ['propertyId', 'reporterId'] },
+    { fields: ['propertyId', 'status'] },
+    { fields: ['ownerId', 'status'] },
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+export default ListingReport;
@@ -0,0 +1,33 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * Roles whose accounts must set up two-factor authentication.
+ * A role without a row is not required to.
+ */
+const MfaRolePolicy = sequelize.define('MfaRolePolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  role: {
+    type: DataTypes.ENUM('renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'),
+    allowNull: false,
+    unique: true
+  },
+  required: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'mfa_role_policies'
+});
+
+export default MfaRolePolicy;
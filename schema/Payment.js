@@ -50,7 +50,7 @@ const Payment = sequelize.define('Payment', {
     allowNull: false
   },
   paymentType: {
-    type: DataTypes.ENUM('booking', 'subscription', 'service_fee', 'refund', 'payout'),
+    type: DataTypes.ENUM('booking', 'subscription', 'rent', 'service_fee', 'refund', 'payout'),
     allowNull: false
   },
   paymentMethod: {
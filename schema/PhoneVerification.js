@@ -0,0 +1,76 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * One-time codes sent by SMS to verify a user's phone number.
+ * Only a hash of the code is stored.
+ */
+const PhoneVerification = sequelize.define('PhoneVerification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Number in international format the code was sent to'
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'verified', 'expired', 'superseded', 'locked'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  providerMessageId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'phone_verifications',
+  indexes: [
+    { fields: ['userId', 'status'] },
+    { fields: ['phone', 'createdAt'] }
+  ]
+});
+
+export default PhoneVerification;
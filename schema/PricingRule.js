@@ -0,0 +1,92 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const PricingRule = sequelize.define('PricingRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Label shown in price breakdowns, e.g. "Detty December" or "Weekly discount"'
+  },
+  ruleType: {
+    type: DataTypes.ENUM('date_range', 'day_of_week', 'length_of_stay', 'last_minute', 'early_bird'),
+    allowNull: false
+  },
+  adjustmentType: {
+    type: DataTypes.ENUM('percentage', 'fixed_amount', 'nightly_price'),
+    allowNull: false,
+    comment: 'percentage and fixed_amount adjust the nightly price (negative values are discounts); nightly_price replaces it'
+  },
+  adjustmentValue: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+
+  // Conditions (which ones apply depends on ruleType)
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'First night the rule covers (date_range, optional window for day_of_week)'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Last night the rule covers, inclusive'
+  },
+  daysOfWeek: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Nights the rule covers, 0 = Sunday ... 6 = Saturday'
+  },
+  minNights: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'length_of_stay: shortest stay that qualifies'
+  },
+  maxNights: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'length_of_stay: longest stay that qualifies'
+  },
+  daysBeforeCheckIn: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'last_minute: booked at most this many days ahead; early_bird: at least this many'
+  },
+
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'When several rules of the same type match a night, the highest priority wins'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'pricing_rules',
+  indexes: [
+    { fields: ['propertyId', 'isActive'] },
+    { fields: ['propertyId', 'ruleType'] }
+  ]
+});
+
+export default PricingRule;
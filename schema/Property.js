@@ -24,6 +24,11 @@ const Property = sequelize.define('Property', {
       key: 'id'
     }
   },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Agency that lists and manages the property, either its own listing or under a landlord mandate'
+  },
   title: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -60,7 +65,7 @@ const Property = sequelize.define('Property', {
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM('draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived'),
+    type: DataTypes.ENUM('draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived', 'suspended'),
     defaultValue: 'draft',
     allowNull: false
   },
@@ -265,6 +270,11 @@ const Property = sequelize.define('Property', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  reportCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Open user reports awaiting moderation'
+  },
 
   // Approval and moderation
   approvedBy: {
@@ -287,6 +297,11 @@ const Property = sequelize.define('Property', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when user reports crossed the auto-suspend threshold'
+  },
 
   // Metadata
   tags: {
@@ -21,7 +21,7 @@ const PropertyAvailability = sequelize.define('PropertyAvailability', {
     allowNull: false
   },
   reason: {
-    type: DataTypes.ENUM('booking', 'maintenance', 'owner_blocked', 'admin_blocked', 'unavailable'),
+    type: DataTypes.ENUM('booking', 'maintenance', 'owner_blocked', 'admin_blocked', 'unavailable', 'external_sync'),
     allowNull: false,
     defaultValue: 'unavailable'
   },
@@ -33,6 +33,11 @@ const PropertyAvailability = sequelize.define('PropertyAvailability', {
       key: 'id'
     }
   },
+  calendarFeedId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'iCal import feed that owns this block (reason external_sync)'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -62,6 +67,9 @@ const PropertyAvailability = sequelize.define('PropertyAvailability', {
     },
     {
       fields: ['date']
+    },
+    {
+      fields: ['calendarFeedId', 'isActive']
     }
   ]
 });
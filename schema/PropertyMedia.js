@@ -15,6 +15,11 @@ const PropertyMedia = sequelize.define('PropertyMedia', {
       key: 'id'
     }
   },
+  roomTypeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Set for photos of a hotel room type rather than the whole property'
+  },
   mediaType: {
     type: DataTypes.ENUM('image', 'video', 'document'),
     defaultValue: 'image',
@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * Denormalized search text for a property. Filters and sorting read the
+ * properties table directly; this table only carries the FULLTEXT-indexed
+ * text and the normalized amenity/feature/tag keys used for facets.
+ */
+const PropertySearchDocument = sequelize.define('PropertySearchDocument', {
+  propertyId: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Description, location, amenities, features and tags flattened into one searchable text'
+  },
+  amenities: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Lowercased amenity names'
+  },
+  features: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Lowercased feature names'
+  },
+  tags: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Lowercased tags'
+  },
+  indexedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false,
+  tableName: 'property_search_documents',
+  indexes: [
+    { type: 'FULLTEXT', fields: ['title'] },
+    { type: 'FULLTEXT', fields: ['content'] }
+  ]
+});
+
+export default PropertySearchDocument;
@@ -0,0 +1,142 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const RentInvoice = sequelize.define('RentInvoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  invoiceNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  leaseId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'leases',
+      key: 'id'
+    }
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  landlordId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('issued', 'overdue', 'paid', 'void'),
+    defaultValue: 'issued',
+    allowNull: false
+  },
+
+  // Billing period (rent is paid in advance, so the period starts on the due date)
+  periodStart: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  periodEnd: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  dueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+
+  // Amounts
+  lineItems: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '[{ type: rent|caution_deposit|agency_fee|legal_fee|late_fee, description, amount }]'
+  },
+  rentAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  lateFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Sum of the line items'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+
+  // Settlement
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.ENUM('wallet', 'paystack'),
+    allowNull: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Paystack payment record'
+  },
+  walletTransactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Tenant wallet debit, or landlord wallet credit for Paystack payments'
+  },
+  platformFees: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Service, platform and agency fees kept by AWARI'
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true
+  },
+  landlordAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Credited to the landlord wallet'
+  },
+
+  // Collection
+  lateFeeAppliedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  remindersSent: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Reminder keys already sent, e.g. ["upcoming", "due", "overdue_1"]'
+  },
+  voidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  voidReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'rent_invoices',
+  indexes: [
+    { unique: true, fields: ['leaseId', 'periodStart'] },
+    { fields: ['tenantId', 'status'] },
+    { fields: ['landlordId', 'status'] },
+    { fields: ['status', 'dueDate'] }
+  ]
+});
+
+export default RentInvoice;
@@ -0,0 +1,116 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const RentalApplication = sequelize.define('RentalApplication', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  applicantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Property owner when the application was submitted'
+  },
+  status: {
+    type: DataTypes.ENUM('submitted', 'under_review', 'shortlisted', 'accepted', 'rejected', 'withdrawn'),
+    defaultValue: 'submitted',
+    allowNull: false
+  },
+
+  // What the applicant asks for
+  desiredMoveInDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  leaseTermMonths: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 12,
+    validate: {
+      min: 1
+    }
+  },
+  occupants: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Screening details
+  employment: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '{ employmentType, employer, jobTitle, monthlyIncome, yearsEmployed, workAddress }'
+  },
+  references: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '[{ name, relationship, phone, email }]'
+  },
+  kycDocumentIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'KYC documents of the applicant shared with the landlord'
+  },
+
+  // Landlord review
+  landlordNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Private to the landlord'
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rejectionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  withdrawnAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'rental_applications',
+  indexes: [
+    { fields: ['propertyId', 'status'] },
+    { fields: ['applicantId', 'status'] },
+    { fields: ['ownerId', 'status'] }
+  ]
+});
+
+export default RentalApplication;
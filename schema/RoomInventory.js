@@ -0,0 +1,56 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * Rooms of a type offered on a single night, when it differs from
+ * RoomType.totalUnits (rooms out of service, held back, or closed with 0).
+ * Booked units are not stored; they are counted from the bookings.
+ */
+const RoomInventory = sequelize.define('RoomInventory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  roomTypeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'room_types',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  totalUnits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  notes: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'room_inventory',
+  indexes: [
+    { unique: true, fields: ['roomTypeId', 'date'] },
+    { fields: ['propertyId', 'date'] }
+  ]
+});
+
+export default RoomInventory;
@@ -0,0 +1,92 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const RoomType = sequelize.define('RoomType', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  propertyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'properties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'e.g. "Deluxe King" or "Standard Twin"'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Rate and occupancy
+  price: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Nightly rate per room; the property pricing rules adjust it like Property.price'
+  },
+  maxGuests: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    validate: {
+      min: 1
+    }
+  },
+  bedType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'e.g. king, queen, twin'
+  },
+  bedCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  sizeSqm: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  amenities: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Room amenities, in addition to the property amenities'
+  },
+
+  // Inventory
+  totalUnits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 0
+    },
+    comment: 'Rooms of this type; RoomInventory overrides it for single dates'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'room_types',
+  indexes: [
+    { fields: ['propertyId', 'isActive'] }
+  ]
+});
+
+export default RoomType;
@@ -0,0 +1,26 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * Vocabulary of words seen in indexed properties. Misspelled query words are
+ * corrected against it.
+ */
+const SearchTerm = sequelize.define('SearchTerm', {
+  term: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  length: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'search_terms',
+  indexes: [
+    { fields: ['length'] }
+  ]
+});
+
+export default SearchTerm;
@@ -0,0 +1,95 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+const SubscriptionRenewalAttempt = sequelize.define('SubscriptionRenewalAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  subscriptionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'subscriptions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  attemptType: {
+    type: DataTypes.ENUM('reminder', 'charge', 'expiry'),
+    allowNull: false
+  },
+  attemptNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Charge attempt number within the billing period'
+  },
+  billingDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'nextBillingDate of the period this attempt belongs to'
+  },
+  channel: {
+    type: DataTypes.ENUM('wallet', 'paystack_authorization'),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'sent'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'NGN'
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  walletTransactionId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  nextRetryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'subscription_renewal_attempts',
+  indexes: [
+    { fields: ['subscriptionId', 'billingDate'] },
+    { fields: ['userId'] },
+    { fields: ['status'] }
+  ]
+});
+
+export default SubscriptionRenewalAttempt;
@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../database/db.js';
+import { ADMIN_ROLES } from '../constants/adminPermissions.js';
 
 const User = sequelize.define('User', {
   id: {
@@ -67,6 +68,11 @@ const User = sequelize.define('User', {
     defaultValue: 'renter',
     allowNull: false
   },
+  adminRole: {
+    type: DataTypes.ENUM(...ADMIN_ROLES),
+    allowNull: true,
+    comment: 'Staff role for admin accounts; decides their permissions (see constants/adminPermissions.js)'
+  },
   status: {
     type: DataTypes.ENUM('pending', 'active', 'suspended', 'banned', 'deleted'),
     defaultValue: 'pending',
@@ -92,6 +98,37 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  emailVerificationAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Wrong codes entered against the current verification code'
+  },
+  passwordResetAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Wrong codes entered against the current reset code'
+  },
+  passwordResetRequired: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Set when the user reports a sign-in they do not recognise; password sign-in is refused until reset'
+  },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailedLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   accountDeletionToken: {
     type: DataTypes.STRING(6),
     allowNull: true
@@ -0,0 +1,70 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * TOTP second factor of a user. The shared secret is stored encrypted and
+ * recovery codes only as hashes. Stays 'pending' until the user confirms
+ * enrolment with a first code, and locks for a while after too many wrong codes.
+ */
+const UserMfa = sequelize.define('UserMfa', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  secretEncrypted: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'AES-256-GCM encrypted base32 secret (iv.tag.ciphertext)'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'enabled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  enabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Time step of the last accepted code; a code is never accepted twice'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Codes entered since the last accepted one'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set after MFA_MAX_FAILURES wrong codes; no code is checked until then'
+  },
+  recoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of { hash, usedAt }'
+  }
+}, {
+  timestamps: true,
+  tableName: 'user_mfa'
+});
+
+export default UserMfa;
@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../database/db.js';
+
+/**
+ * A signed-in device. Each session holds one refresh token family: the
+ * refresh token is rotated on every use and only a hash of the current
+ * (and the one just replaced) token is stored.
+ */
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  previousTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Token replaced by the last rotation, accepted as a benign retry for a few seconds'
+  },
+  rotationCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  rotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deviceName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastSeenIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  mfaVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last time a second factor was entered on this device (sign-in or step-up)'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'logout, logout_all, user_revoked, password_changed, password_reset, account_suspended, account_banned, account_deleted, token_reuse, reported_unrecognized_login'
+  }
+}, {
+  timestamps: true,
+  tableName: 'user_sessions',
+  indexes: [
+    { fields: ['userId', 'revokedAt'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+export default UserSession;
@@ -36,6 +36,16 @@ const WalletTransaction = sequelize.define('WalletTransaction', {
     ),
     allowNull: false
   },
+  operation: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Ledger operation (fund, payment, refund, withdrawal, transfer_in, transfer_out, credit_pending, debit_pending, release_pending, rent_income, clawback, commission_out, commission_in)'
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Client or caller supplied key; unique per wallet and operation'
+  },
   amount: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: false,
@@ -145,7 +155,12 @@ const WalletTransaction = sequelize.define('WalletTransaction', {
     { fields: ['status'] },
     { fields: ['paystackReference'] },
     { fields: ['bookingId'] },
-    { fields: ['createdAt'] }
+    { fields: ['createdAt'] },
+    {
+      name: 'wallet_transactions_idempotency',
+      unique: true,
+      fields: ['walletId', 'operation', 'idempotencyKey']
+    }
   ]
 });
 
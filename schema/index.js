@@ -16,6 +16,48 @@ import Wallet from './Wallet.js';
 import WalletTransaction from './WalletTransaction.js';
 import BookingFeeConfig from './BookingFeeConfig.js';
 import BookingConfig from './BookingConfig.js';
+import BookingQuote from './BookingQuote.js';
+import LedgerAccount from './LedgerAccount.js';
+import JournalEntry from './JournalEntry.js';
+import JournalLine from './JournalLine.js';
+import SubscriptionRenewalAttempt from './SubscriptionRenewalAttempt.js';
+import PropertySearchDocument from './PropertySearchDocument.js';
+import SearchTerm from './SearchTerm.js';
+import PhoneVerification from './PhoneVerification.js';
+import PricingRule from './PricingRule.js';
+import Coupon from './Coupon.js';
+import CouponRedemption from './CouponRedemption.js';
+import CalendarFeed from './CalendarFeed.js';
+import CalendarExport from './CalendarExport.js';
+import RoomType from './RoomType.js';
+import RoomInventory from './RoomInventory.js';
+import RentalApplication from './RentalApplication.js';
+import Lease from './Lease.js';
+import RentInvoice from './RentInvoice.js';
+import Dispute from './Dispute.js';
+import DisputeMessage from './DisputeMessage.js';
+import ListingReport from './ListingReport.js';
+import FaqCategory from './FaqCategory.js';
+import Faq from './Faq.js';
+import Banner from './Banner.js';
+import Announcement from './Announcement.js';
+import ContentPage from './ContentPage.js';
+import ContentPageVersion from './ContentPageVersion.js';
+import AdminAuditLog from './AdminAuditLog.js';
+import UserSession from './UserSession.js';
+import UserMfa from './UserMfa.js';
+import MfaRolePolicy from './MfaRolePolicy.js';
+import Agency from './Agency.js';
+import AgencyMember from './AgencyMember.js';
+import AgencyInvitation from './AgencyInvitation.js';
+import AgencyMandate from './AgencyMandate.js';
+import AgencyCommission from './AgencyCommission.js';
+import {
+  invalidatePropertyCache,
+  invalidateReviewCache,
+  invalidateBookingFeeCache,
+  invalidateContentCache
+} from '../services/cacheService.js';
 
 // Define associations
 const defineAssociations = () => {
@@ -100,6 +142,10 @@ const defineAssociations = () => {
   Subscription.belongsTo(User, { as: 'user', foreignKey: 'userId' });
   Subscription.belongsTo(SubscriptionPlan, { as: 'plan', foreignKey: 'planId' });
   // Note: Payment.propertyId is used to store subscriptionId for subscription payments
+  Subscription.hasMany(Payment, { as: 'payments', foreignKey: 'propertyId', constraints: false });
+  Subscription.hasMany(SubscriptionRenewalAttempt, { as: 'renewalAttempts', foreignKey: 'subscriptionId' });
+  SubscriptionRenewalAttempt.belongsTo(Subscription, { as: 'subscription', foreignKey: 'subscriptionId' });
+  SubscriptionRenewalAttempt.belongsTo(User, { as: 'user', foreignKey: 'userId' });
 
   SubscriptionPlan.hasMany(Subscription, { as: 'subscriptions', foreignKey: 'planId' });
   SubscriptionPlan.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
@@ -116,11 +162,167 @@ const defineAssociations = () => {
   // WalletTransaction associations
   WalletTransaction.belongsTo(User, { as: 'user', foreignKey: 'userId' });
   WalletTransaction.belongsTo(Wallet, { as: 'wallet', foreignKey: 'walletId' });
+
+  // Booking quote associations
+  BookingQuote.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+  BookingQuote.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  BookingQuote.belongsTo(Booking, { as: 'booking', foreignKey: 'bookingId', constraints: false });
+
+  // Ledger associations
+  LedgerAccount.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+  LedgerAccount.hasMany(JournalLine, { as: 'lines', foreignKey: 'accountId' });
+  JournalEntry.hasMany(JournalLine, { as: 'lines', foreignKey: 'journalEntryId' });
+  JournalEntry.belongsTo(Booking, { as: 'booking', foreignKey: 'bookingId', constraints: false });
+  JournalLine.belongsTo(JournalEntry, { as: 'entry', foreignKey: 'journalEntryId' });
+  JournalLine.belongsTo(LedgerAccount, { as: 'account', foreignKey: 'accountId' });
+
+  // Search associations
+  Property.hasOne(PropertySearchDocument, { as: 'searchDocument', foreignKey: 'propertyId' });
+  PropertySearchDocument.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+
+  // Phone verification associations
+  User.hasMany(PhoneVerification, { as: 'phoneVerifications', foreignKey: 'userId' });
+  PhoneVerification.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+  // Pricing rule associations
+  Property.hasMany(PricingRule, { as: 'pricingRules', foreignKey: 'propertyId' });
+  PricingRule.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+
+  // Coupon associations
+  Coupon.hasMany(CouponRedemption, { as: 'redemptions', foreignKey: 'couponId' });
+  CouponRedemption.belongsTo(Coupon, { as: 'coupon', foreignKey: 'couponId' });
+  CouponRedemption.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+  CouponRedemption.belongsTo(Booking, { as: 'booking', foreignKey: 'bookingId' });
+  Booking.hasOne(CouponRedemption, { as: 'couponRedemption', foreignKey: 'bookingId' });
+
+  // Calendar sync associations
+  Property.hasMany(CalendarFeed, { as: 'calendarFeeds', foreignKey: 'propertyId' });
+  CalendarFeed.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  CalendarFeed.hasMany(PropertyAvailability, { as: 'importedBlocks', foreignKey: 'calendarFeedId', constraints: false });
+  Property.hasOne(CalendarExport, { as: 'calendarExport', foreignKey: 'propertyId' });
+  CalendarExport.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+
+  // Hotel room type associations
+  Property.hasMany(RoomType, { as: 'roomTypes', foreignKey: 'propertyId' });
+  RoomType.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  RoomType.hasMany(RoomInventory, { as: 'inventory', foreignKey: 'roomTypeId' });
+  RoomInventory.belongsTo(RoomType, { as: 'roomType', foreignKey: 'roomTypeId' });
+  RoomType.hasMany(PropertyMedia, { as: 'media', foreignKey: 'roomTypeId', constraints: false });
+  RoomType.hasMany(Booking, { as: 'bookings', foreignKey: 'roomTypeId', constraints: false });
+  Booking.belongsTo(RoomType, { as: 'roomType', foreignKey: 'roomTypeId', constraints: false });
+
+  // Rental application and lease associations
+  Property.hasMany(RentalApplication, { as: 'rentalApplications', foreignKey: 'propertyId' });
+  RentalApplication.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  User.hasMany(RentalApplication, { as: 'rentalApplications', foreignKey: 'applicantId' });
+  RentalApplication.belongsTo(User, { as: 'applicant', foreignKey: 'applicantId' });
+  RentalApplication.belongsTo(User, { as: 'owner', foreignKey: 'ownerId', constraints: false });
+  RentalApplication.hasOne(Lease, { as: 'lease', foreignKey: 'applicationId', constraints: false });
+  Lease.belongsTo(RentalApplication, { as: 'application', foreignKey: 'applicationId', constraints: false });
+  Property.hasMany(Lease, { as: 'leases', foreignKey: 'propertyId' });
+  Lease.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  User.hasMany(Lease, { as: 'tenantLeases', foreignKey: 'tenantId' });
+  Lease.belongsTo(User, { as: 'tenant', foreignKey: 'tenantId' });
+  User.hasMany(Lease, { as: 'landlordLeases', foreignKey: 'landlordId' });
+  Lease.belongsTo(User, { as: 'landlord', foreignKey: 'landlordId' });
+  Lease.belongsTo(Lease, { as: 'previousLease', foreignKey: 'previousLeaseId', constraints: false });
+
+  // Rent invoice associations
+  Lease.hasMany(RentInvoice, { as: 'invoices', foreignKey: 'leaseId' });
+  RentInvoice.belongsTo(Lease, { as: 'lease', foreignKey: 'leaseId' });
+  RentInvoice.belongsTo(Property, { as: 'property', foreignKey: 'propertyId', constraints: false });
+  RentInvoice.belongsTo(User, { as: 'tenant', foreignKey: 'tenantId', constraints: false });
+  RentInvoice.belongsTo(User, { as: 'landlord', foreignKey: 'landlordId', constraints: false });
+  RentInvoice.belongsTo(Payment, { as: 'payment', foreignKey: 'paymentId', constraints: false });
+
+  // Dispute associations
+  Booking.hasMany(Dispute, { as: 'disputes', foreignKey: 'bookingId' });
+  Dispute.belongsTo(Booking, { as: 'booking', foreignKey: 'bookingId' });
+  Dispute.belongsTo(Property, { as: 'property', foreignKey: 'propertyId', constraints: false });
+  Dispute.belongsTo(User, { as: 'guest', foreignKey: 'guestId', constraints: false });
+  Dispute.belongsTo(User, { as: 'owner', foreignKey: 'ownerId', constraints: false });
+  Dispute.belongsTo(User, { as: 'opener', foreignKey: 'openedBy', constraints: false });
+  Dispute.belongsTo(User, { as: 'assignee', foreignKey: 'assignedTo', constraints: false });
+  Dispute.hasMany(DisputeMessage, { as: 'messages', foreignKey: 'disputeId', onDelete: 'CASCADE' });
+  DisputeMessage.belongsTo(Dispute, { as: 'dispute', foreignKey: 'disputeId' });
+  DisputeMessage.belongsTo(User, { as: 'sender', foreignKey: 'senderId', constraints: false });
+
+  // Listing report associations
+  Property.hasMany(ListingReport, { as: 'reports', foreignKey: 'propertyId' });
+  ListingReport.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  ListingReport.belongsTo(User, { as: 'reporter', foreignKey: 'reporterId' });
+  ListingReport.belongsTo(User, { as: 'owner', foreignKey: 'ownerId', constraints: false });
+  ListingReport.belongsTo(User, { as: 'reviewer', foreignKey: 'reviewedBy', constraints: false });
+
+  // CMS associations
+  FaqCategory.hasMany(Faq, { as: 'faqs', foreignKey: 'categoryId' });
+  Faq.belongsTo(FaqCategory, { as: 'category', foreignKey: 'categoryId' });
+  Announcement.belongsTo(User, { as: 'publisher', foreignKey: 'publishedBy', constraints: false });
+  ContentPage.hasMany(ContentPageVersion, { as: 'versions', foreignKey: 'pageId', onDelete: 'CASCADE' });
+  ContentPageVersion.belongsTo(ContentPage, { as: 'page', foreignKey: 'pageId' });
+  ContentPageVersion.belongsTo(User, { as: 'author', foreignKey: 'createdBy', constraints: false });
+
+  // Admin audit log associations
+  AdminAuditLog.belongsTo(User, { as: 'actor', foreignKey: 'actorId', constraints: false });
+
+  // Session associations
+  User.hasMany(UserSession, { as: 'sessions', foreignKey: 'userId' });
+  UserSession.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+  // Two-factor authentication associations
+  User.hasOne(UserMfa, { as: 'mfa', foreignKey: 'userId' });
+  UserMfa.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+  // Agency associations
+  Agency.belongsTo(User, { as: 'owner', foreignKey: 'ownerId' });
+  Agency.hasMany(AgencyMember, { as: 'members', foreignKey: 'agencyId' });
+  Agency.hasMany(AgencyInvitation, { as: 'invitations', foreignKey: 'agencyId' });
+  Agency.hasMany(AgencyMandate, { as: 'mandates', foreignKey: 'agencyId' });
+  Agency.hasMany(Property, { as: 'properties', foreignKey: 'agencyId', constraints: false });
+  Property.belongsTo(Agency, { as: 'agency', foreignKey: 'agencyId', constraints: false });
+  User.hasMany(AgencyMember, { as: 'agencyMemberships', foreignKey: 'userId' });
+  AgencyMember.belongsTo(Agency, { as: 'agency', foreignKey: 'agencyId' });
+  AgencyMember.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+  AgencyInvitation.belongsTo(Agency, { as: 'agency', foreignKey: 'agencyId' });
+  AgencyInvitation.belongsTo(User, { as: 'inviter', foreignKey: 'invitedBy', constraints: false });
+  AgencyMandate.belongsTo(Agency, { as: 'agency', foreignKey: 'agencyId' });
+  AgencyMandate.belongsTo(Property, { as: 'property', foreignKey: 'propertyId' });
+  AgencyMandate.belongsTo(User, { as: 'landlord', foreignKey: 'landlordId' });
+  Property.hasMany(AgencyMandate, { as: 'agencyMandates', foreignKey: 'propertyId' });
+  AgencyCommission.belongsTo(Agency, { as: 'agency', foreignKey: 'agencyId', constraints: false });
+  AgencyCommission.belongsTo(Property, { as: 'property', foreignKey: 'propertyId', constraints: false });
+  AgencyCommission.belongsTo(User, { as: 'agent', foreignKey: 'agentId', constraints: false });
+  AgencyCommission.belongsTo(User, { as: 'landlord', foreignKey: 'landlordId', constraints: false });
 };
 
 // Initialize associations
 defineAssociations();
 
+// Cache invalidation: drop cached reads when the rows behind them change.
+// Inside a transaction the cache is cleared after commit, so a concurrent read
+// cannot re-cache the old rows.
+const registerCacheInvalidation = (model, invalidate) => {
+  const handler = (instanceOrOptions, maybeOptions) => {
+    const options = maybeOptions || instanceOrOptions || {};
+    if (options.transaction) {
+      options.transaction.afterCommit(() => invalidate());
+    } else {
+      invalidate();
+    }
+  };
+
+  ['afterCreate', 'afterUpdate', 'afterDestroy', 'afterRestore', 'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy']
+    .forEach((hook) => model.addHook(hook, `cacheInvalidation:${hook}`, handler));
+};
+
+registerCacheInvalidation(Property, invalidatePropertyCache);
+registerCacheInvalidation(PropertyMedia, invalidatePropertyCache);
+registerCacheInvalidation(Review, invalidateReviewCache);
+registerCacheInvalidation(BookingFeeConfig, invalidateBookingFeeCache);
+registerCacheInvalidation(Agency, invalidatePropertyCache);
+[FaqCategory, Faq, Banner, Announcement, ContentPage]
+  .forEach((model) => registerCacheInvalidation(model, invalidateContentCache));
+
 export {
   User,
   KycDocument,
@@ -139,7 +341,43 @@ export {
   Wallet,
   WalletTransaction,
   BookingFeeConfig,
-  BookingConfig
+  BookingConfig,
+  BookingQuote,
+  LedgerAccount,
+  JournalEntry,
+  JournalLine,
+  SubscriptionRenewalAttempt,
+  PropertySearchDocument,
+  SearchTerm,
+  PhoneVerification,
+  PricingRule,
+  Coupon,
+  CouponRedemption,
+  CalendarFeed,
+  CalendarExport,
+  RoomType,
+  RoomInventory,
+  RentalApplication,
+  Lease,
+  RentInvoice,
+  Dispute,
+  DisputeMessage,
+  ListingReport,
+  FaqCategory,
+  Faq,
+  Banner,
+  Announcement,
+  ContentPage,
+  ContentPageVersion,
+  AdminAuditLog,
+  UserSession,
+  UserMfa,
+  MfaRolePolicy,
+  Agency,
+  AgencyMember,
+  AgencyInvitation,
+  AgencyMandate,
+  AgencyCommission
 };
 
 export default {
@@ -160,5 +398,41 @@ export default {
   Wallet,
   WalletTransaction,
   BookingFeeConfig,
-  BookingConfig
+  BookingConfig,
+  BookingQuote,
+  LedgerAccount,
+  JournalEntry,
+  JournalLine,
+  SubscriptionRenewalAttempt,
+  PropertySearchDocument,
+  SearchTerm,
+  PhoneVerification,
+  PricingRule,
+  Coupon,
+  CouponRedemption,
+  CalendarFeed,
+  CalendarExport,
+  RoomType,
+  RoomInventory,
+  RentalApplication,
+  Lease,
+  RentInvoice,
+  Dispute,
+  DisputeMessage,
+  ListingReport,
+  FaqCategory,
+  Faq,
+  Banner,
+  Announcement,
+  ContentPage,
+  ContentPageVersion,
+  AdminAuditLog,
+  UserSession,
+  UserMfa,
+  MfaRolePolicy,
+  Agency,
+  AgencyMember,
+  AgencyInvitation,
+  AgencyMandate,
+  AgencyCommission
 };
@@ -18,6 +18,7 @@ const upsertAdmin = async () => {
       await existing.update({
         passwordHash,
         role: 'admin',
+        adminRole: 'super_admin',
         status: 'active',
         emailVerified: true,
         firstName: existing.firstName || 'Awari',
@@ -31,6 +32,7 @@ const upsertAdmin = async () => {
         firstName: 'Awari',
         lastName: 'Admin',
         role: 'admin',
+        adminRole: 'super_admin',
         status: 'active',
         emailVerified: true
       });
@@ -14,6 +14,7 @@ const DEVELOPER_ADMIN = {
   firstName: 'Developer',
   lastName: 'Admin',
   role: 'admin',
+  adminRole: 'super_admin',
   status: 'active',
   emailVerified: true,
   profileCompleted: true,
@@ -55,6 +56,7 @@ async function createDeveloperAdmin() {
         lastName: DEVELOPER_ADMIN.lastName,
         passwordHash: hashedPassword,
         role: DEVELOPER_ADMIN.role,
+        adminRole: DEVELOPER_ADMIN.adminRole,
         status: DEVELOPER_ADMIN.status,
         emailVerified: DEVELOPER_ADMIN.emailVerified,
         profileCompleted: DEVELOPER_ADMIN.profileCompleted,
@@ -90,6 +92,7 @@ async function createDeveloperAdmin() {
       lastName: DEVELOPER_ADMIN.lastName,
       passwordHash: hashedPassword,
       role: DEVELOPER_ADMIN.role,
+      adminRole: DEVELOPER_ADMIN.adminRole,
       status: DEVELOPER_ADMIN.status,
       emailVerified: DEVELOPER_ADMIN.emailVerified,
       emailVerificationCode: null, // No verification needed for admin account
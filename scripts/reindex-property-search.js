@@ -0,0 +1,32 @@
+import { connectToDB } from '../database/db.js';
+import { reindexAllProperties } from '../services/searchService.js';
+
+/**
+ * Rebuild the property search index (run once after deploying search,
+ * and whenever SEARCH_ENGINE changes)
+ */
+async function reindexPropertySearch() {
+    console.log('🔎 [SEARCH] Rebuilding property search index...');
+
+    await connectToDB();
+    const { indexed, failed } = await reindexAllProperties();
+
+    console.log(`✅ [SEARCH] Indexed: ${indexed}`);
+    if (failed > 0) {
+        console.log(`⚠️  [SEARCH] Failed: ${failed}`);
+    }
+
+    return { success: failed === 0, indexed, failed };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    reindexPropertySearch()
+        .then((result) => process.exit(result.success ? 0 : 1))
+        .catch((error) => {
+            console.error('💥 [SEARCH] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default reindexPropertySearch;
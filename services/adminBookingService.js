@@ -6,6 +6,28 @@ import WalletTransaction from '../schema/WalletTransaction.js';
 import PropertyAvailability from '../schema/PropertyAvailability.js';
 import { Op } from 'sequelize';
 import sequelize from '../database/db.js';
+import { reverseRedemption } from './couponService.js';
+import { recordAdminAction } from './auditLogService.js';
+
+// Booking fields compared in audit log entries
+const AUDIT_FIELDS = [
+    'status',
+    'paymentStatus',
+    'checkInDate',
+    'checkOutDate',
+    'numberOfGuests',
+    'guestName',
+    'guestEmail',
+    'guestPhone',
+    'specialRequests',
+    'basePrice',
+    'serviceFee',
+    'taxAmount',
+    'totalPrice',
+    'paymentMethod',
+    'transactionId',
+    'cancellationReason'
+];
 
 /**
  * Admin Booking Service
@@ -243,9 +265,10 @@ class AdminBookingService {
      * @param {string} bookingId - Booking ID
      * @param {Object} updates - Fields to update
      * @param {string} adminId - Admin user ID
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Updated booking
      */
-    async updateBooking(bookingId, updates, adminId) {
+    async updateBooking(bookingId, updates, adminId, auditContext = {}) {
         try {
             const booking = await Booking.findByPk(bookingId);
 
@@ -296,8 +319,18 @@ class AdminBookingService {
                 ]
             };
 
+            const before = booking.get({ plain: true });
             await booking.update(updateData);
 
+            await recordAdminAction(auditContext, {
+                action: 'booking.updated',
+                entityType: 'booking',
+                entityId: booking.id,
+                before,
+                after: booking,
+                fields: AUDIT_FIELDS
+            });
+
             return {
                 success: true,
                 message: 'Booking updated successfully',
@@ -317,9 +350,10 @@ class AdminBookingService {
      * Approve a pending booking
      * @param {string} bookingId - Booking ID
      * @param {string} adminId - Admin user ID
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Approved booking
      */
-    async approveBooking(bookingId, adminId) {
+    async approveBooking(bookingId, adminId, auditContext = {}) {
         const transaction = await sequelize.transaction();
 
         try {
@@ -343,6 +377,8 @@ class AdminBookingService {
                 };
             }
 
+            const before = booking.get({ plain: true });
+
             // Update booking status
             await booking.update({
                 status: 'confirmed',
@@ -383,6 +419,15 @@ class AdminBookingService {
                 }
             }
 
+            await recordAdminAction(auditContext, {
+                action: 'booking.approved',
+                entityType: 'booking',
+                entityId: booking.id,
+                before,
+                after: booking,
+                fields: AUDIT_FIELDS
+            }, { transaction });
+
             await transaction.commit();
 
             return {
@@ -405,9 +450,10 @@ class AdminBookingService {
      * @param {string} bookingId - Booking ID
      * @param {string} adminId - Admin user ID
      * @param {string} reason - Rejection reason
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Result
      */
-    async rejectBooking(bookingId, adminId, reason) {
+    async rejectBooking(bookingId, adminId, reason, auditContext = {}) {
         const transaction = await sequelize.transaction();
 
         try {
@@ -431,6 +477,8 @@ class AdminBookingService {
                 };
             }
 
+            const before = booking.get({ plain: true });
+
             // Update booking status
             await booking.update({
                 status: 'rejected',
@@ -455,7 +503,8 @@ class AdminBookingService {
             console.log(`✅ Deactivated availability records for rejected booking ${bookingId}`);
 
             // Process refund if payment was made
-            if (booking.paymentStatus === 'completed') {
+            const refunded = booking.paymentStatus === 'completed';
+            if (refunded) {
                 const walletService = (await import('./walletService.js')).default;
                 await walletService.processRefund(
                     booking.userId,
@@ -467,8 +516,25 @@ class AdminBookingService {
                 await booking.update({ paymentStatus: 'refunded' }, { transaction }); // Added transaction option
             }
 
+            await recordAdminAction(auditContext, {
+                action: 'booking.rejected',
+                entityType: 'booking',
+                entityId: booking.id,
+                before,
+                after: booking,
+                fields: AUDIT_FIELDS,
+                reason,
+                metadata: refunded ? { refundAmount: booking.totalPrice } : null
+            }, { transaction });
+
             await transaction.commit();
 
+            try {
+                await reverseRedemption(booking.id, reason || 'Booking rejected by admin');
+            } catch (couponError) {
+                console.error('❌ Error reversing coupon redemption for rejected booking:', couponError);
+            }
+
             return {
                 success: true,
                 message: 'Booking rejected successfully',
@@ -596,9 +662,10 @@ class AdminBookingService {
      * Mark booking as paid (manual payment confirmation)
      * @param {string} bookingId - Booking ID
      * @param {Object} paymentData - Payment information
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Result
      */
-    async markAsPaid(bookingId, paymentData) {
+    async markAsPaid(bookingId, paymentData, auditContext = {}) {
         try {
             const { paymentMethod, transactionId, adminId } = paymentData;
 
@@ -620,6 +687,8 @@ class AdminBookingService {
                 };
             }
 
+            const before = booking.get({ plain: true });
+
             // Update booking payment status
             await booking.update({
                 paymentStatus: 'completed',
@@ -630,6 +699,15 @@ class AdminBookingService {
                     : `[${new Date().toISOString()}] Payment manually confirmed by admin (${adminId})`
             });
 
+            await recordAdminAction(auditContext, {
+                action: 'booking.marked_paid',
+                entityType: 'booking',
+                entityId: booking.id,
+                before,
+                after: booking,
+                fields: AUDIT_FIELDS
+            });
+
             return {
                 success: true,
                 message: 'Payment marked as completed successfully',
@@ -649,9 +727,10 @@ class AdminBookingService {
      * Confirm a booking (admin action)
      * @param {string} bookingId - Booking ID
      * @param {Object} confirmData - Confirmation data
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Result
      */
-    async confirmBooking(bookingId, confirmData) {
+    async confirmBooking(bookingId, confirmData, auditContext = {}) {
         try {
             const { ownerNotes, adminId } = confirmData;
 
@@ -689,6 +768,15 @@ class AdminBookingService {
                 return result;
             }
 
+            await recordAdminAction(auditContext, {
+                action: 'booking.confirmed',
+                entityType: 'booking',
+                entityId: booking.id,
+                before: booking,
+                after: result.data,
+                fields: AUDIT_FIELDS
+            });
+
             return {
                 success: true,
                 message: 'Booking confirmed successfully by admin',
@@ -708,9 +796,10 @@ class AdminBookingService {
      * Cancel a booking (admin action)
      * @param {string} bookingId - Booking ID
      * @param {Object} cancelData - Cancellation data
+     * @param {Object} [auditContext] - Request context for the audit log
      * @returns {Object} Result
      */
-    async cancelBooking(bookingId, cancelData) {
+    async cancelBooking(bookingId, cancelData, auditContext = {}) {
         try {
             const { cancellationReason, adminId } = cancelData;
 
@@ -740,6 +829,23 @@ class AdminBookingService {
                 return result;
             }
 
+            const refund = result.data?.metadata?.refund;
+            await recordAdminAction(auditContext, {
+                action: 'booking.cancelled',
+                entityType: 'booking',
+                entityId: booking.id,
+                before: booking,
+                after: result.data,
+                fields: AUDIT_FIELDS,
+                reason: cancellationReason,
+                metadata: refund ? {
+                    policy: refund.policy,
+                    guestRefund: refund.guestRefund,
+                    landlordCompensation: refund.landlordCompensation,
+                    platformRetained: refund.platformRetained
+                } : null
+            });
+
             return {
                 success: true,
                 message: 'Booking cancelled successfully by admin',
@@ -1,11 +1,19 @@
 import { Op, fn, col, literal } from 'sequelize';
 import crypto from 'crypto';
 import { User, Property, PropertyMedia, Booking, Payment, Subscription, Review, KycDocument, SubscriptionPlan, Notification, Wallet, WalletTransaction } from '../schema/index.js';
-import { sendEmail } from '../modules/notifications/email.js';
+import { dispatchEmail } from './notificationPolicyService.js';
 import propertyService from './propertyService.js';
 import subscriptionService from './subscriptionService.js';
 import subscriptionPlanService from './subscriptionPlanService.js';
 import { hashPassword } from '../utils/index.js';
+import ledgerService, { getJournalEntriesByBooking } from './ledgerService.js';
+import { checkEntitlement } from './entitlementService.js';
+import couponService from './couponService.js';
+import listingReportService from './listingReportService.js';
+import auditLogService, { recordAdminAction, getEntityAuditHistory } from './auditLogService.js';
+import { revokeAllSessions } from './sessionService.js';
+import mfaService from './mfaService.js';
+import { ADMIN_ROLES, PERMISSIONS, ROLE_PERMISSIONS, getPermissions } from '../constants/adminPermissions.js';
 
 const buildPaginationMeta = (count, page, limit) => {
   const currentPage = Number(page) || 1;
@@ -130,6 +138,7 @@ export const getUsers = async (options = {}) => {
       page = 1,
       limit = 10,
       role,
+      adminRole,
       status,
       search,
       sortBy = 'createdAt',
@@ -139,6 +148,7 @@ export const getUsers = async (options = {}) => {
     const whereClause = {};
 
     if (role) whereClause.role = role;
+    if (adminRole) whereClause.adminRole = adminRole;
     if (status) whereClause.status = status;
     if (search) {
       whereClause[Op.or] = [
@@ -183,9 +193,9 @@ export const getUsers = async (options = {}) => {
   }
 };
 
-export const createAdminUser = async (creatorId, payload = {}) => {
+export const createAdminUser = async (creatorId, payload = {}, auditContext = {}) => {
   try {
-    const { firstName, lastName, email, phone } = payload;
+    const { firstName, lastName, email, phone, adminRole = 'support' } = payload;
 
     if (!firstName || !lastName || !email) {
       return {
@@ -195,6 +205,14 @@ export const createAdminUser = async (creatorId, payload = {}) => {
       };
     }
 
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return {
+        success: false,
+        message: 'Invalid staff role',
+        statusCode: 400
+      };
+    }
+
     const existingUser = await User.findOne({
       where: { email },
       paranoid: false
@@ -220,6 +238,7 @@ export const createAdminUser = async (creatorId, payload = {}) => {
       email,
       phone: phone?.trim() || null,
       role: 'admin',
+      adminRole,
       status: 'active',
       emailVerified: true,
       profileCompleted: false,
@@ -231,6 +250,15 @@ export const createAdminUser = async (creatorId, payload = {}) => {
     delete plainUser.passwordResetToken;
     delete plainUser.passwordResetExpires;
 
+    await recordAdminAction(auditContext, {
+      action: 'user.admin_created',
+      entityType: 'user',
+      entityId: newUser.id,
+      before: null,
+      after: plainUser,
+      fields: ['email', 'firstName', 'lastName', 'phone', 'role', 'adminRole', 'status']
+    });
+
     const adminPortalUrl = process.env.ADMIN_APP_URL || 'https://admin.awarihomes.com';
     const subject = 'Your AWARI admin access';
     const emailText = [
@@ -241,6 +269,7 @@ export const createAdminUser = async (creatorId, payload = {}) => {
       `Sign in at: ${adminPortalUrl}`,
       `Email: ${email}`,
       `Temporary password: ${temporaryPassword}`,
+      `Staff role: ${adminRole.replace('_', ' ')}`,
       '',
       'For security, please change your password after your first login.',
       '',
@@ -249,7 +278,8 @@ export const createAdminUser = async (creatorId, payload = {}) => {
 
     let emailSent = false;
     try {
-      emailSent = await sendEmail(email, subject, emailText);
+      // Account credentials are mandatory and ignore notification preferences
+      ({ sent: emailSent } = await dispatchEmail({ email }, { subject, text: emailText }, { mandatory: true }));
     } catch (emailError) {
       console.error('Failed to send admin invite email:', emailError);
     }
@@ -277,7 +307,7 @@ export const createAdminUser = async (creatorId, payload = {}) => {
   }
 };
 
-export const updateUserStatus = async (adminId, userId, payload = {}) => {
+export const updateUserStatus = async (adminId, userId, payload = {}, auditContext = {}) => {
   try {
     if (adminId === userId) {
       return {
@@ -331,9 +361,26 @@ export const updateUserStatus = async (adminId, userId, payload = {}) => {
       updates.deletedAt = null;
     }
 
+    const before = user.get({ plain: true });
     await user.update(updates);
     const updatedUser = await User.findByPk(userId, { attributes: { exclude: ['passwordHash'] } });
 
+    // Suspended and banned users are signed out of every device
+    const sessionsRevoked = updates.status === 'active'
+      ? 0
+      : await revokeAllSessions(userId, { reason: `account_${updates.status}` });
+
+    await recordAdminAction(auditContext, {
+      action: `user.${action}`,
+      entityType: 'user',
+      entityId: userId,
+      before,
+      after: updatedUser,
+      fields: ['status', 'emailVerified', 'deletedAt'],
+      reason,
+      metadata: sessionsRevoked ? { sessionsRevoked } : null
+    });
+
     return {
       success: true,
       message: `User ${action}d successfully`,
@@ -351,7 +398,19 @@ export const updateUserStatus = async (adminId, userId, payload = {}) => {
   }
 };
 
-export const updateUserRole = async (adminId, userId, role) => {
+/**
+ * An account must always keep at least one active super admin to assign roles
+ */
+const isLastSuperAdmin = async (user) => {
+  if (user.role !== 'admin' || user.adminRole !== 'super_admin') return false;
+
+  const others = await User.count({
+    where: { role: 'admin', adminRole: 'super_admin', status: 'active', id: { [Op.ne]: user.id } }
+  });
+  return others === 0;
+};
+
+export const updateUserRole = async (adminId, userId, role, auditContext = {}, reason = null, adminRole = null) => {
   try {
     if (adminId === userId) {
       return {
@@ -370,17 +429,34 @@ export const updateUserRole = async (adminId, userId, role) => {
       };
     }
 
-    if (user.role === 'admin' && role !== 'admin') {
+    // Staff keep their current staff role unless a new one is given; new staff start as support
+    const nextAdminRole = role === 'admin' ? (adminRole || user.adminRole || 'support') : null;
+
+    if (nextAdminRole !== 'super_admin' && await isLastSuperAdmin(user)) {
       return {
         success: false,
-        message: 'Cannot downgrade another administrator',
+        message: 'Cannot remove the last super admin',
         statusCode: 403
       };
     }
 
-    await user.update({ role });
+    const previousRole = user.role;
+    const previousAdminRole = user.adminRole;
+    await user.update({ role, adminRole: nextAdminRole });
     const updatedUser = await User.findByPk(userId, { attributes: { exclude: ['passwordHash'] } });
 
+    const changes = {};
+    if (previousRole !== role) changes.role = { from: previousRole, to: role };
+    if (previousAdminRole !== nextAdminRole) changes.adminRole = { from: previousAdminRole, to: nextAdminRole };
+
+    await recordAdminAction(auditContext, {
+      action: 'user.role_updated',
+      entityType: 'user',
+      entityId: userId,
+      changes: Object.keys(changes).length ? changes : null,
+      reason
+    });
+
     return {
       success: true,
       message: 'User role updated successfully',
@@ -398,6 +474,111 @@ export const updateUserRole = async (adminId, userId, role) => {
   }
 };
 
+/**
+ * Change a staff member's staff role (super admins only, enforced by the route)
+ * @param {string} adminId - Admin making the change
+ * @param {string} userId - Staff member
+ * @param {string} adminRole - One of ADMIN_ROLES
+ * @param {Object} auditContext - From getAuditContext(req)
+ * @param {string} [reason] - Why
+ * @returns {Object} Result object
+ */
+export const updateUserAdminRole = async (adminId, userId, adminRole, auditContext = {}, reason = null) => {
+  try {
+    if (adminId === userId) {
+      return {
+        success: false,
+        message: 'You cannot modify your own role',
+        statusCode: 400
+      };
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found',
+        statusCode: 404
+      };
+    }
+
+    if (user.role !== 'admin') {
+      return {
+        success: false,
+        message: 'Only admin accounts have a staff role',
+        statusCode: 400
+      };
+    }
+
+    if (adminRole !== 'super_admin' && await isLastSuperAdmin(user)) {
+      return {
+        success: false,
+        message: 'Cannot remove the last super admin',
+        statusCode: 403
+      };
+    }
+
+    const previousAdminRole = user.adminRole;
+    await user.update({ adminRole });
+    const updatedUser = await User.findByPk(userId, { attributes: { exclude: ['passwordHash'] } });
+
+    await recordAdminAction(auditContext, {
+      action: 'user.admin_role_updated',
+      entityType: 'user',
+      entityId: userId,
+      changes: previousAdminRole === adminRole ? null : { adminRole: { from: previousAdminRole, to: adminRole } },
+      reason
+    });
+
+    return {
+      success: true,
+      message: 'Staff role updated successfully',
+      data: {
+        ...updatedUser.get({ plain: true }),
+        permissions: ROLE_PERMISSIONS[adminRole]
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Admin update staff role error:', error);
+    return {
+      success: false,
+      message: 'Failed to update staff role',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Staff roles and the permissions each one grants
+ * @returns {Object} Result object
+ */
+export const getAdminRoles = async () => ({
+  success: true,
+  message: 'Staff roles retrieved successfully',
+  data: {
+    roles: ADMIN_ROLES.map((adminRole) => ({ adminRole, permissions: ROLE_PERMISSIONS[adminRole] })),
+    permissions: PERMISSIONS
+  },
+  statusCode: 200
+});
+
+/**
+ * What the signed-in admin may do, so the dashboard can hide what they cannot
+ * @param {Object} user - Authenticated admin
+ * @returns {Object} Result object
+ */
+export const getStaffPermissions = async (user) => ({
+  success: true,
+  message: 'Permissions retrieved successfully',
+  data: {
+    adminRole: user.adminRole,
+    permissions: getPermissions(user)
+  },
+  statusCode: 200
+});
+
 export const getUserDetails = async (userId) => {
   try {
     const baseAttributes = [
@@ -538,14 +719,16 @@ export const getUserDetails = async (userId) => {
       activeBookings,
       totalReviews,
       activeSubscriptions,
-      walletInfo
+      walletInfo,
+      auditHistory
     ] = await Promise.all([
       Property.count({ where: { ownerId: userId } }),
       Booking.count({ where: { userId } }),
       Booking.count({ where: { userId, status: { [Op.in]: ['confirmed', 'completed'] } } }),
       Review.count({ where: { reviewerId: userId } }),
       Subscription.count({ where: { userId, status: 'active' } }),
-      Wallet.findOne({ where: { userId }, attributes: ['availableBalance', 'pendingBalance', 'currency'] })
+      Wallet.findOne({ where: { userId }, attributes: ['availableBalance', 'pendingBalance', 'currency'] }),
+      getEntityAuditHistory('user', userId)
     ]);
 
     return {
@@ -562,7 +745,8 @@ export const getUserDetails = async (userId) => {
           walletBalance: Number(walletInfo?.availableBalance || 0),
           pendingWalletBalance: Number(walletInfo?.pendingBalance || 0),
           currency: walletInfo?.currency || 'NGN'
-        }
+        },
+        auditHistory
       },
       statusCode: 200
     };
@@ -577,7 +761,7 @@ export const getUserDetails = async (userId) => {
   }
 };
 
-export const updateUserProfile = async (adminId, userId, payload = {}) => {
+export const updateUserProfile = async (adminId, userId, payload = {}, auditContext = {}) => {
   try {
     const allowedFields = [
       'firstName',
@@ -664,6 +848,7 @@ export const updateUserProfile = async (adminId, userId, payload = {}) => {
       }
     }
 
+    const before = user.get({ plain: true });
     await user.update(updates);
 
     const updatedUser = await User.findByPk(userId, {
@@ -672,6 +857,16 @@ export const updateUserProfile = async (adminId, userId, payload = {}) => {
       }
     });
 
+    await recordAdminAction(auditContext, {
+      action: 'user.profile_updated',
+      entityType: 'user',
+      entityId: userId,
+      before,
+      after: updatedUser,
+      fields: Object.keys(updates),
+      reason: payload.reason
+    });
+
     return {
       success: true,
       message: 'User profile updated successfully',
@@ -696,8 +891,9 @@ export const getModerationOverview = async () => {
       pendingReviews,
       flaggedReviews,
       pendingKyc,
-      reportedListings,
-      paymentDisputes
+      flaggedListings,
+      paymentDisputes,
+      listingReports
     ] = await Promise.all([
       Property.count({ where: { status: 'pending' } }),
       Review.count({ where: { status: 'pending' } }),
@@ -719,7 +915,8 @@ export const getModerationOverview = async () => {
             [Op.in]: ['failed', 'refunded']
           }
         }
-      })
+      }),
+      listingReportService.getReportStats()
     ]);
 
     return {
@@ -730,7 +927,10 @@ export const getModerationOverview = async () => {
         pendingReviews,
         flaggedReviews,
         pendingKyc,
-        reportedListings,
+        reportedListings: listingReports.reportedListings,
+        openListingReports: listingReports.openReports,
+        suspendedListings: listingReports.suspendedListings,
+        flaggedListings,
         paymentDisputes
       },
       statusCode: 200
@@ -825,6 +1025,10 @@ export const getModerationListings = async (options = {}) => {
       whereClause.status = 'rejected';
     } else if (status === 'archived') {
       whereClause.status = 'archived';
+    } else if (status === 'suspended') {
+      whereClause.status = 'suspended';
+    } else if (status === 'reported') {
+      whereClause.reportCount = { [Op.gt]: 0 };
     } else if (status === 'flagged') {
       whereClause[Op.or] = [
         { rejectionReason: { [Op.ne]: null } },
@@ -835,6 +1039,8 @@ export const getModerationListings = async (options = {}) => {
         { status: 'pending' },
         { status: 'rejected' },
         { status: 'archived' },
+        { status: 'suspended' },
+        { reportCount: { [Op.gt]: 0 } },
         { rejectionReason: { [Op.ne]: null } },
         { moderationNotes: { [Op.ne]: null } }
       ];
@@ -894,6 +1100,11 @@ export const getModerationListings = async (options = {}) => {
   }
 };
 
+export const getListingReports = async (options = {}) => listingReportService.getReportQueue(options);
+
+export const actionListingReports = async (adminId, propertyId, payload = {}, auditContext = {}) =>
+  listingReportService.actionListingReports(adminId, propertyId, payload, auditContext);
+
 export const getModerationKycDocuments = async (options = {}) => {
   try {
     const { page = 1, limit = 10, status = 'pending', documentType } = options;
@@ -1023,7 +1234,7 @@ export const getModerationPayments = async (options = {}) => {
   }
 };
 
-export const updateKycDocument = async (adminId, documentId, payload = {}) => {
+export const updateKycDocument = async (adminId, documentId, payload = {}, auditContext = {}) => {
   try {
     const { status, verificationNotes, rejectionReason } = payload;
 
@@ -1087,8 +1298,20 @@ export const updateKycDocument = async (adminId, documentId, payload = {}) => {
       updates.rejectionReason = null;
     }
 
+    const before = document.get({ plain: true });
     await document.update(updates);
 
+    await recordAdminAction(auditContext, {
+      action: status ? `kyc_document.${status}` : 'kyc_document.updated',
+      entityType: 'kyc_document',
+      entityId: documentId,
+      before,
+      after: document,
+      fields: ['status', 'verificationNotes', 'rejectionReason', 'verifiedBy', 'verifiedAt'],
+      reason: updates.rejectionReason || verificationNotes,
+      metadata: { userId: document.userId, documentType: document.documentType }
+    });
+
     const updatedDocument = await KycDocument.findByPk(documentId, {
       include: [
         {
@@ -1127,7 +1350,7 @@ export const updateKycDocument = async (adminId, documentId, payload = {}) => {
 
       const text = bodyLines.join('\n');
       try {
-        await sendEmail(plainDocument.user.email, subject, text, null, null);
+        await dispatchEmail(plainDocument.user, { subject, text }, { category: 'system', mandatory: true });
       } catch (emailError) {
         console.error('Failed to send KYC update email:', emailError);
       }
@@ -1239,6 +1462,8 @@ export const getTransactions = async (options = {}) => {
       })
     ]);
 
+    const entriesByBooking = await getJournalEntriesByBooking(rows.map((payment) => payment.bookingId));
+
     const statusBreakdown = statusBreakdownRaw.reduce((acc, entry) => {
       acc[entry.status] = Number(entry.count ?? 0);
       return acc;
@@ -1253,7 +1478,13 @@ export const getTransactions = async (options = {}) => {
       success: true,
       message: 'Transactions retrieved successfully',
       data: {
-        transactions: rows.map((payment) => payment.get({ plain: true })),
+        transactions: rows.map((payment) => {
+          const transaction = payment.get({ plain: true });
+          transaction.moneyTrail = transaction.bookingId
+            ? entriesByBooking.get(transaction.bookingId) || []
+            : [];
+          return transaction;
+        }),
         pagination: buildPaginationMeta(count, page, limit),
         summary: {
           totalAmount: Number(totalAmount ?? 0),
@@ -1284,6 +1515,10 @@ export const getTransactions = async (options = {}) => {
   }
 };
 
+export const getLedgerTrialBalance = async (options = {}) => ledgerService.getTrialBalance(options);
+
+export const getBookingMoneyTrail = async (bookingId) => ledgerService.getBookingMoneyTrail(bookingId);
+
 export const getProperties = async (options = {}) => {
   try {
     const {
@@ -1411,6 +1646,10 @@ export const getPropertyDetails = async (propertyId) => {
         : result.data
       : null;
 
+    if (property) {
+      property.auditHistory = await getEntityAuditHistory('property', propertyId);
+    }
+
     return {
       success: true,
       message: 'Property retrieved successfully',
@@ -1428,7 +1667,7 @@ export const getPropertyDetails = async (propertyId) => {
   }
 };
 
-export const updatePropertyStatus = async (adminId, propertyId, payload = {}) => {
+export const updatePropertyStatus = async (adminId, propertyId, payload = {}, auditContext = {}) => {
   try {
     const { status, rejectionReason, moderationNotes } = payload;
     const allowedStatuses = ['pending', 'active', 'inactive', 'rejected', 'archived', 'sold', 'rented'];
@@ -1485,13 +1724,16 @@ export const updatePropertyStatus = async (adminId, propertyId, payload = {}) =>
       };
     }
 
+    const before = property.get({ plain: true });
+
     if (property.status === 'pending' && ['active', 'rejected'].includes(status)) {
       try {
+        // propertyService records the audit entry
         const moderationResult = await propertyService.moderateProperty(propertyId, adminId, {
           status,
           rejectionReason,
           moderationNotes
-        });
+        }, auditContext);
         const moderatedProperty = moderationResult?.data
           ? typeof moderationResult.data.get === 'function'
             ? moderationResult.data.get({ plain: true })
@@ -1558,6 +1800,17 @@ export const updatePropertyStatus = async (adminId, propertyId, payload = {}) =>
     console.log('Property update data:', JSON.stringify(updateData, null, 2));
     await property.update(updateData);
 
+    await recordAdminAction(auditContext, {
+      action: 'property.status_updated',
+      entityType: 'property',
+      entityId: propertyId,
+      before,
+      after: property,
+      fields: ['status', 'rejectionReason', 'moderationNotes', 'approvedBy', 'approvedAt'],
+      reason: rejectionReason || moderationNotes,
+      metadata: { ownerId: property.ownerId }
+    });
+
     const updatedProperty = await Property.findByPk(propertyId, {
       include: [
         {
@@ -1591,7 +1844,7 @@ export const updatePropertyStatus = async (adminId, propertyId, payload = {}) =>
   }
 };
 
-export const updatePropertyFeature = async (adminId, propertyId, payload = {}) => {
+export const updatePropertyFeature = async (adminId, propertyId, payload = {}, auditContext = {}) => {
   try {
     const { featured, featuredUntil } = payload;
 
@@ -1631,13 +1884,32 @@ export const updatePropertyFeature = async (adminId, propertyId, payload = {}) =
       }
     }
 
+    // Featured slots come out of the owner's plan allowance
+    if (featured && !property.featured && property.owner?.role !== 'admin') {
+      const entitlement = await checkEntitlement(property.ownerId, 'featured', { propertyId });
+      if (!entitlement.success) {
+        return entitlement;
+      }
+    }
+
     const updateData = {
       featured: Boolean(featured),
       featuredUntil: featured ? featuredUntilDate : null
     };
 
+    const before = property.get({ plain: true });
     await property.update(updateData);
 
+    await recordAdminAction(auditContext, {
+      action: featured ? 'property.featured' : 'property.unfeatured',
+      entityType: 'property',
+      entityId: propertyId,
+      before,
+      after: property,
+      fields: ['featured', 'featuredUntil'],
+      metadata: { ownerId: property.ownerId }
+    });
+
     const updatedProperty = await Property.findByPk(propertyId, {
       include: [
         {
@@ -1717,7 +1989,7 @@ export const getPendingProperties = async (options = {}) => {
   }
 };
 
-export const moderateProperty = async (adminId, propertyId, payload = {}) => {
+export const moderateProperty = async (adminId, propertyId, payload = {}, auditContext = {}) => {
   try {
     const { status, rejectionReason, moderationNotes } = payload;
 
@@ -1729,13 +2001,12 @@ export const moderateProperty = async (adminId, propertyId, payload = {}) => {
       };
     }
 
-    const result = await propertyService.moderateProperty(propertyId, adminId, {
+    // propertyService records the audit entry
+    return await propertyService.moderateProperty(propertyId, adminId, {
       status,
       rejectionReason,
       moderationNotes
-    });
-
-    return result;
+    }, auditContext);
   } catch (error) {
     console.error('Admin moderate property error:', error);
     return {
@@ -2161,6 +2432,37 @@ export const toggleSubscriptionPlanStatus = async (adminId, planId, payload = {}
   }
 };
 
+export const getCoupons = async (options = {}) => couponService.listCoupons(options);
+
+export const getCouponDetail = async (couponId) => couponService.getCoupon(couponId);
+
+export const createCoupon = async (adminId, payload = {}) => couponService.createCoupon(adminId, payload);
+
+export const updateCoupon = async (adminId, couponId, payload = {}) => couponService.updateCoupon(couponId, payload);
+
+export const toggleCouponStatus = async (adminId, couponId, payload = {}) => {
+  if (typeof payload?.isActive !== 'boolean') {
+    return {
+      success: false,
+      message: 'isActive must be provided as a boolean value',
+      statusCode: 400
+    };
+  }
+
+  return couponService.updateCoupon(couponId, { isActive: payload.isActive });
+};
+
+export const getCouponUsageReport = async (options = {}) => couponService.getCouponUsageReport(options);
+
+export const getAuditLogs = async (options = {}) => auditLogService.listAuditLogs(options);
+
+export const exportAuditLogs = async (options = {}) => auditLogService.exportAuditLogsCsv(options);
+
+export const getMfaPolicies = async () => mfaService.getRolePolicies();
+
+export const updateMfaPolicy = async (adminId, role, payload = {}, auditContext = {}) =>
+  mfaService.setRolePolicy(adminId, role, payload.required, auditContext);
+
 export const getReportsMetrics = async (options = {}) => {
   try {
     const monthsCount = Math.max(1, Math.min(parseInt(options.months, 10) || 6, 12));
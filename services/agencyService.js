@@ -0,0 +1,1501 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import {
+  Agency,
+  AgencyCommission,
+  AgencyInvitation,
+  AgencyMandate,
+  AgencyMember,
+  Message,
+  Property,
+  User,
+  WalletTransaction
+} from '../schema/index.js';
+import walletService from './walletService.js';
+import { dispatchEmail } from './notificationPolicyService.js';
+import { createAndSendNotification } from './notificationService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Agency Service
+ * An agency is a team of agents sharing one listing portfolio. Members are
+ * the owner, managers (who run the agency with the owner) and agents (who
+ * work the listings assigned to them). People join by accepting an emailed
+ * invitation.
+ *
+ * A property belongs to an agency in one of two ways:
+ * - a member lists their own property under the agency, or
+ * - a landlord authorises the agency to manage it through a mandate:
+ *
+ *     pending → active → revoked
+ *        ↘ declined
+ *
+ * While a mandate is active every landlord payout on the property (booking
+ * releases and rent) is split: commissionPercent of it is paid on to the
+ * agency, and agentSharePercent of that commission to the agent assigned to
+ * the property. The agency's share goes to the agency owner's wallet.
+ *
+ * New inquiries on agency listings go to the assigned agent when they are on
+ * duty, otherwise to whichever member on duty has waited longest for one.
+ */
+
+const MANAGER_ROLES = ['owner', 'manager'];
+const MEMBER_ROLES = ['owner', 'manager', 'agent'];
+const OPEN_MANDATE_STATUSES = ['pending', 'active'];
+
+// Account types that can join or run an agency
+const AGENCY_USER_ROLES = ['agent', 'landlord'];
+
+const INVITATION_TTL_DAYS = parseInt(process.env.AGENCY_INVITATION_TTL_DAYS, 10) || 7;
+const COMMISSION_MAX_ATTEMPTS = parseInt(process.env.AGENCY_COMMISSION_MAX_ATTEMPTS, 10) || 5;
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'role'];
+const PROPERTY_ATTRIBUTES = ['id', 'title', 'slug', 'ownerId', 'agentId', 'agencyId', 'listingType', 'status', 'price', 'currency', 'city', 'state'];
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://awarihomes.com';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .trim()
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .slice(0, 150);
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'property',
+      channels: ['in_app', 'email'],
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [AGENCY] Failed to send notification:', notificationError.message);
+  }
+};
+
+const notifyManagers = async (agencyId, notification, exceptUserId = null) => {
+  const managers = await AgencyMember.findAll({
+    where: { agencyId, status: 'active', role: { [Op.in]: MANAGER_ROLES } },
+    attributes: ['userId']
+  });
+
+  for (const manager of managers) {
+    if (manager.userId !== exceptUserId) {
+      await notify({ ...notification, userId: manager.userId });
+    }
+  }
+};
+
+/**
+ * Active membership of a user in an agency
+ * @param {string} agencyId - Agency ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} AgencyMember
+ */
+export const getMembership = (agencyId, userId) => AgencyMember.findOne({
+  where: { agencyId, userId, status: 'active' }
+});
+
+/**
+ * Load an active agency and the caller's membership, checking their role.
+ * Admins pass every check.
+ * @returns {Object} { agency, membership } or { error } with a result object
+ */
+const loadAgencyFor = async (agencyId, user, roles = MEMBER_ROLES) => {
+  const agency = await Agency.findByPk(agencyId);
+  if (!agency) {
+    return { error: { success: false, message: 'Agency not found', statusCode: 404 } };
+  }
+
+  const membership = await getMembership(agencyId, user.id);
+  if (hasPermission(user, 'agencies.manage')) {
+    return { agency, membership };
+  }
+
+  if (!membership || !roles.includes(membership.role)) {
+    return { error: { success: false, message: 'You do not have permission to manage this agency', statusCode: 403 } };
+  }
+
+  if (agency.status !== 'active') {
+    return { error: { success: false, message: `Agency is ${agency.status}`, statusCode: 400 } };
+  }
+
+  return { agency, membership };
+};
+
+/**
+ * Whether a user may manage an agency listing: owners and managers of the
+ * agency, and the agent assigned to it
+ * @param {string} userId - User ID
+ * @param {Object} property - Property with agencyId and agentId
+ * @returns {boolean}
+ */
+export const canManageAgencyProperty = async (userId, property) => {
+  if (!property?.agencyId) return false;
+  if (property.agentId === userId) return true;
+
+  const membership = await getMembership(property.agencyId, userId);
+  return !!membership && MANAGER_ROLES.includes(membership.role);
+};
+
+/**
+ * Create an agency; the creator becomes its owner
+ * @param {Object} user - Authenticated agent or landlord
+ * @param {Object} data - Agency details
+ * @returns {Object} Result object
+ */
+export const createAgency = async (user, data) => {
+  try {
+    if (!AGENCY_USER_ROLES.includes(user.role)) {
+      return { success: false, message: 'Only agent or landlord accounts can create an agency', statusCode: 403 };
+    }
+
+    const existing = await AgencyMember.findOne({ where: { userId: user.id, status: 'active' } });
+    if (existing) {
+      return { success: false, message: 'You are already a member of an agency', statusCode: 409 };
+    }
+
+    const baseSlug = slugify(data.name) || 'agency';
+    const slug = await Agency.findOne({ where: { slug: baseSlug } })
+      ? `${baseSlug}-${crypto.randomBytes(3).toString('hex')}`
+      : baseSlug;
+
+    const agency = await sequelize.transaction(async (transaction) => {
+      const created = await Agency.create({
+        name: data.name,
+        slug,
+        ownerId: user.id,
+        email: data.email || user.email,
+        phone: data.phone || user.phone,
+        description: data.description,
+        logoUrl: data.logoUrl,
+        address: data.address,
+        city: data.city,
+        state: data.state,
+        defaultCommissionPercent: data.defaultCommissionPercent ?? 10,
+        defaultAgentSharePercent: data.defaultAgentSharePercent ?? 50
+      }, { transaction });
+
+      await AgencyMember.create({
+        agencyId: created.id,
+        userId: user.id,
+        role: 'owner'
+      }, { transaction });
+
+      return created;
+    });
+
+    console.log(`✅ [AGENCY] Agency ${agency.id} created by user ${user.id}`);
+
+    return {
+      success: true,
+      message: 'Agency created successfully',
+      data: { agency },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Create agency error:', error);
+    return { success: false, message: 'Failed to create agency', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Agencies the user belongs to, with their role in each
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const getMyAgencies = async (user) => {
+  try {
+    const memberships = await AgencyMember.findAll({
+      where: { userId: user.id, status: 'active' },
+      include: [{ model: Agency, as: 'agency' }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      success: true,
+      message: 'Agencies retrieved successfully',
+      data: { memberships },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get my agencies error:', error);
+    return { success: false, message: 'Failed to retrieve agencies', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Agency profile with its members
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated member or admin
+ * @returns {Object} Result object
+ */
+export const getAgency = async (agencyId, user) => {
+  try {
+    const { agency, membership, error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const members = await AgencyMember.findAll({
+      where: { agencyId, status: 'active' },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+      order: [['role', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const propertyCount = await Property.count({ where: { agencyId } });
+
+    return {
+      success: true,
+      message: 'Agency retrieved successfully',
+      data: {
+        agency,
+        myRole: membership?.role || null,
+        members,
+        propertyCount
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get agency error:', error);
+    return { success: false, message: 'Failed to retrieve agency', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Update the agency profile and commission defaults (owner or manager)
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - Fields to change
+ * @returns {Object} Result object
+ */
+export const updateAgency = async (agencyId, user, data) => {
+  try {
+    const { agency, error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const allowed = [
+      'name', 'email', 'phone', 'description', 'logoUrl', 'address', 'city', 'state',
+      'defaultCommissionPercent', 'defaultAgentSharePercent'
+    ];
+    const updates = Object.fromEntries(Object.entries(data).filter(([key]) => allowed.includes(key)));
+
+    await agency.update(updates);
+
+    return {
+      success: true,
+      message: 'Agency updated successfully',
+      data: { agency },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update agency error:', error);
+    return { success: false, message: 'Failed to update agency', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Invite someone by email. Owners may invite managers and agents; managers
+ * may invite agents. A new invitation replaces any pending one for the same email.
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated owner or manager
+ * @param {Object} data - { email, role }
+ * @returns {Object} Result object
+ */
+export const inviteMember = async (agencyId, user, data) => {
+  try {
+    const { agency, membership, error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const email = data.email.trim().toLowerCase();
+    const role = data.role || 'agent';
+
+    if (role === 'manager' && membership?.role !== 'owner' && !hasPermission(user, 'agencies.manage')) {
+      return { success: false, message: 'Only the agency owner can invite managers', statusCode: 403 };
+    }
+
+    const invitee = await User.findOne({ where: { email }, attributes: ['id', 'firstName', 'email'] });
+    if (invitee && await getMembership(agencyId, invitee.id)) {
+      return { success: false, message: 'This person is already a member of the agency', statusCode: 409 };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const invitation = await sequelize.transaction(async (transaction) => {
+      await AgencyInvitation.update(
+        { status: 'revoked', respondedAt: new Date() },
+        { where: { agencyId, email, status: 'pending' }, transaction }
+      );
+
+      return AgencyInvitation.create({
+        agencyId,
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: user.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }, { transaction });
+    });
+
+    const acceptUrl = `${frontendUrl()}/agency-invitations?token=${token}`;
+    const inviterName = `${user.firstName} ${user.lastName}`;
+
+    dispatchEmail({ email, firstName: invitee?.firstName }, {
+      subject: `You're invited to join ${agency.name} on AWARI`,
+      text: `${invitee ? `Hi ${invitee.firstName}, ` : ''}${inviterName} has invited you to join ${agency.name} as ${role === 'manager' ? 'a manager' : 'an agent'}.\n\nAccept the invitation: ${acceptUrl}\n\nThe link expires in ${INVITATION_TTL_DAYS} days. You'll need an AWARI agent or landlord account using this email address.`
+    }, { category: 'system', mandatory: true }).catch((emailError) => {
+      console.warn('⚠️ [AGENCY] Failed to send invitation email:', emailError.message);
+    });
+
+    if (invitee) {
+      await notify({
+        userId: invitee.id,
+        title: 'Agency Invitation',
+        message: `${inviterName} invited you to join ${agency.name}.`,
+        type: 'info',
+        channels: ['in_app', 'push'],
+        actionUrl: acceptUrl,
+        actionText: 'View Invitation',
+        data: { agencyId, invitationId: invitation.id }
+      });
+    }
+
+    console.log(`✉️ [AGENCY] Invitation ${invitation.id} sent for agency ${agencyId} (${role})`);
+
+    return {
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation: { ...invitation.get({ plain: true }), tokenHash: undefined } },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Invite agency member error:', error);
+    return { success: false, message: 'Failed to send invitation', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Invitations sent by the agency (owner or manager)
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { status }
+ * @returns {Object} Result object
+ */
+export const getInvitations = async (agencyId, user, options = {}) => {
+  try {
+    const { error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const where = { agencyId };
+    if (options.status) where.status = options.status;
+
+    const invitations = await AgencyInvitation.findAll({
+      where,
+      attributes: { exclude: ['tokenHash'] },
+      include: [{ model: User, as: 'inviter', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: { invitations },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get agency invitations error:', error);
+    return { success: false, message: 'Failed to retrieve invitations', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Withdraw a pending invitation (owner or manager)
+ * @param {string} agencyId - Agency ID
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const revokeInvitation = async (agencyId, invitationId, user) => {
+  try {
+    const { error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const invitation = await AgencyInvitation.findOne({ where: { id: invitationId, agencyId } });
+    if (!invitation) {
+      return { success: false, message: 'Invitation not found', statusCode: 404 };
+    }
+
+    if (invitation.status !== 'pending') {
+      return { success: false, message: `Invitation is already ${invitation.status}`, statusCode: 400 };
+    }
+
+    await invitation.update({ status: 'revoked', respondedAt: new Date() });
+
+    return {
+      success: true,
+      message: 'Invitation revoked successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Revoke agency invitation error:', error);
+    return { success: false, message: 'Failed to revoke invitation', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Accept or decline an invitation. The invitation must have been sent to the
+ * signed-in user's email address.
+ * @param {string} token - Token from the invitation link
+ * @param {Object} user - Authenticated user
+ * @param {string} action - accept or decline
+ * @returns {Object} Result object
+ */
+export const respondToInvitation = async (token, user, action) => {
+  try {
+    const invitation = await AgencyInvitation.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [{ model: Agency, as: 'agency' }]
+    });
+
+    if (!invitation || invitation.email !== user.email.toLowerCase()) {
+      return { success: false, message: 'Invitation not found', statusCode: 404 };
+    }
+
+    if (invitation.status !== 'pending') {
+      return { success: false, message: `Invitation is already ${invitation.status}`, statusCode: 400 };
+    }
+
+    if (new Date(invitation.expiresAt) < new Date()) {
+      await invitation.update({ status: 'expired' });
+      return { success: false, message: 'Invitation has expired. Ask the agency to send a new one.', statusCode: 410 };
+    }
+
+    if (action === 'decline') {
+      await invitation.update({ status: 'declined', respondedAt: new Date() });
+      await notifyManagers(invitation.agencyId, {
+        title: 'Invitation Declined',
+        message: `${invitation.email} declined the invitation to join ${invitation.agency.name}.`,
+        type: 'info',
+        channels: ['in_app'],
+        data: { agencyId: invitation.agencyId, invitationId: invitation.id }
+      });
+
+      return { success: true, message: 'Invitation declined', statusCode: 200 };
+    }
+
+    if (!AGENCY_USER_ROLES.includes(user.role)) {
+      return { success: false, message: 'Only agent or landlord accounts can join an agency', statusCode: 403 };
+    }
+
+    if (invitation.agency.status !== 'active') {
+      return { success: false, message: `Agency is ${invitation.agency.status}`, statusCode: 400 };
+    }
+
+    const otherMembership = await AgencyMember.findOne({
+      where: { userId: user.id, status: 'active', agencyId: { [Op.ne]: invitation.agencyId } }
+    });
+    if (otherMembership) {
+      return { success: false, message: 'Leave your current agency before joining another', statusCode: 409 };
+    }
+
+    const member = await sequelize.transaction(async (transaction) => {
+      const [row] = await AgencyMember.findOrCreate({
+        where: { agencyId: invitation.agencyId, userId: user.id },
+        defaults: { role: invitation.role, invitedBy: invitation.invitedBy },
+        transaction
+      });
+
+      // Someone removed earlier can be invited back
+      if (row.status !== 'active') {
+        await row.update({
+          status: 'active',
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          onDuty: true,
+          removedAt: null
+        }, { transaction });
+      }
+
+      await invitation.update({
+        status: 'accepted',
+        acceptedBy: user.id,
+        respondedAt: new Date()
+      }, { transaction });
+
+      return row;
+    });
+
+    await notifyManagers(invitation.agencyId, {
+      title: 'New Agency Member',
+      message: `${user.firstName} ${user.lastName} joined ${invitation.agency.name} as ${member.role === 'manager' ? 'a manager' : 'an agent'}.`,
+      type: 'success',
+      channels: ['in_app'],
+      data: { agencyId: invitation.agencyId, memberId: member.id }
+    }, user.id);
+
+    console.log(`✅ [AGENCY] User ${user.id} joined agency ${invitation.agencyId} as ${member.role}`);
+
+    return {
+      success: true,
+      message: 'You have joined the agency',
+      data: { agency: invitation.agency, member },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Respond to agency invitation error:', error);
+    return { success: false, message: 'Failed to respond to invitation', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Change a member's role (owner only) or duty status (the member themselves,
+ * the owner or a manager)
+ * @param {string} agencyId - Agency ID
+ * @param {string} memberId - AgencyMember ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - { role, onDuty }
+ * @returns {Object} Result object
+ */
+export const updateMember = async (agencyId, memberId, user, data) => {
+  try {
+    const { membership, error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const member = await AgencyMember.findOne({ where: { id: memberId, agencyId, status: 'active' } });
+    if (!member) {
+      return { success: false, message: 'Member not found', statusCode: 404 };
+    }
+
+    const isAdmin = hasPermission(user, 'agencies.manage');
+    const isManager = isAdmin || MANAGER_ROLES.includes(membership?.role);
+    const updates = {};
+
+    if (data.role !== undefined && data.role !== member.role) {
+      if (!isAdmin && membership?.role !== 'owner') {
+        return { success: false, message: 'Only the agency owner can change member roles', statusCode: 403 };
+      }
+      if (member.role === 'owner' || data.role === 'owner') {
+        return { success: false, message: 'The agency owner cannot be changed here', statusCode: 400 };
+      }
+      updates.role = data.role;
+    }
+
+    if (data.onDuty !== undefined) {
+      if (member.userId !== user.id && !isManager) {
+        return { success: false, message: 'You can only change your own duty status', statusCode: 403 };
+      }
+      updates.onDuty = data.onDuty;
+    }
+
+    await member.update(updates);
+
+    return {
+      success: true,
+      message: 'Member updated successfully',
+      data: { member },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update agency member error:', error);
+    return { success: false, message: 'Failed to update member', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Remove a member, or leave the agency. Owners may remove anyone but
+ * themselves, managers may remove agents. The member's own listings leave
+ * with them and their assigned listings go back to the agency pool.
+ * @param {string} agencyId - Agency ID
+ * @param {string} memberId - AgencyMember ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const removeMember = async (agencyId, memberId, user) => {
+  try {
+    const { agency, membership, error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const member = await AgencyMember.findOne({ where: { id: memberId, agencyId, status: 'active' } });
+    if (!member) {
+      return { success: false, message: 'Member not found', statusCode: 404 };
+    }
+
+    if (member.role === 'owner') {
+      return { success: false, message: 'The agency owner cannot leave or be removed', statusCode: 400 };
+    }
+
+    const leaving = member.userId === user.id;
+    const canRemove = hasPermission(user, 'agencies.manage') ||
+      membership?.role === 'owner' ||
+      (membership?.role === 'manager' && member.role === 'agent');
+
+    if (!leaving && !canRemove) {
+      return { success: false, message: 'You do not have permission to remove this member', statusCode: 403 };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await member.update({ status: 'removed', onDuty: false, removedAt: new Date() }, { transaction });
+
+      await Property.update(
+        { agentId: null },
+        { where: { agencyId, agentId: member.userId }, transaction }
+      );
+
+      // Listings the member brought to the agency (not ones held under a mandate)
+      await Property.update(
+        { agencyId: null },
+        { where: { agencyId, ownerId: member.userId }, transaction }
+      );
+    });
+
+    if (!leaving) {
+      await notify({
+        userId: member.userId,
+        title: 'Removed from Agency',
+        message: `You are no longer a member of ${agency.name}.`,
+        type: 'warning',
+        channels: ['in_app'],
+        data: { agencyId }
+      });
+    }
+
+    console.log(`👋 [AGENCY] Member ${member.userId} ${leaving ? 'left' : 'removed from'} agency ${agencyId}`);
+
+    return {
+      success: true,
+      message: leaving ? 'You have left the agency' : 'Member removed successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Remove agency member error:', error);
+    return { success: false, message: 'Failed to remove member', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Listings managed by the agency. Agents see the ones assigned to them unless
+ * they ask for all.
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated member
+ * @param {Object} options - { agentId, status, page, limit }
+ * @returns {Object} Result object
+ */
+export const getAgencyProperties = async (agencyId, user, options = {}) => {
+  try {
+    const { error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const { agentId, status, page = 1, limit = 20 } = options;
+    const where = { agencyId };
+    if (agentId) where.agentId = agentId;
+    if (status) where.status = status;
+
+    const { count, rows } = await Property.findAndCountAll({
+      where,
+      attributes: PROPERTY_ATTRIBUTES,
+      include: [
+        { model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'agent', attributes: ['id', 'firstName', 'lastName'] },
+        {
+          model: AgencyMandate,
+          as: 'agencyMandates',
+          where: { agencyId, status: 'active' },
+          required: false,
+          attributes: ['id', 'commissionPercent', 'agentSharePercent', 'acceptedAt']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset: (Number(page) - 1) * Number(limit),
+      distinct: true
+    });
+
+    return {
+      success: true,
+      message: 'Agency properties retrieved successfully',
+      data: {
+        properties: rows,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(count / Number(limit)) || 1,
+          totalItems: count,
+          itemsPerPage: Number(limit)
+        }
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get agency properties error:', error);
+    return { success: false, message: 'Failed to retrieve agency properties', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * List one of the member's own properties under the agency
+ * @param {string} agencyId - Agency ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated member who owns the property
+ * @returns {Object} Result object
+ */
+export const addAgencyProperty = async (agencyId, propertyId, user) => {
+  try {
+    const { error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const property = await Property.findByPk(propertyId);
+    if (!property) {
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    if (property.ownerId !== user.id) {
+      return { success: false, message: 'You can only add your own properties. Landlords authorise agencies through a mandate.', statusCode: 403 };
+    }
+
+    if (property.agencyId) {
+      return { success: false, message: 'Property is already managed by an agency', statusCode: 409 };
+    }
+
+    await property.update({ agencyId });
+
+    return {
+      success: true,
+      message: 'Property added to the agency',
+      data: { property },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Add agency property error:', error);
+    return { success: false, message: 'Failed to add property', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Take a member's own listing out of the agency. Properties held under a
+ * mandate leave when the mandate is revoked instead.
+ * @param {string} agencyId - Agency ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Property owner, agency owner or manager
+ * @returns {Object} Result object
+ */
+export const removeAgencyProperty = async (agencyId, propertyId, user) => {
+  try {
+    const { membership, error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const property = await Property.findOne({ where: { id: propertyId, agencyId } });
+    if (!property) {
+      return { success: false, message: 'Property not found in this agency', statusCode: 404 };
+    }
+
+    const mandate = await AgencyMandate.findOne({ where: { propertyId, agencyId, status: 'active' } });
+    if (mandate) {
+      return { success: false, message: 'This property is managed under a mandate; revoke the mandate instead', statusCode: 400 };
+    }
+
+    if (property.ownerId !== user.id && !hasPermission(user, 'agencies.manage') && !MANAGER_ROLES.includes(membership?.role)) {
+      return { success: false, message: 'You do not have permission to remove this property', statusCode: 403 };
+    }
+
+    await property.update({ agencyId: null, agentId: null });
+
+    return {
+      success: true,
+      message: 'Property removed from the agency',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Remove agency property error:', error);
+    return { success: false, message: 'Failed to remove property', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Assign an agency listing to one of its members, or unassign it with agentId null
+ * @param {string} agencyId - Agency ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated owner or manager
+ * @param {string|null} agentId - User ID of the member to assign
+ * @returns {Object} Result object
+ */
+export const assignPropertyAgent = async (agencyId, propertyId, user, agentId) => {
+  try {
+    const { error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const property = await Property.findOne({ where: { id: propertyId, agencyId } });
+    if (!property) {
+      return { success: false, message: 'Property not found in this agency', statusCode: 404 };
+    }
+
+    if (agentId && !await getMembership(agencyId, agentId)) {
+      return { success: false, message: 'Agent must be an active member of the agency', statusCode: 400 };
+    }
+
+    await property.update({ agentId: agentId || null });
+
+    if (agentId && agentId !== user.id) {
+      await notify({
+        userId: agentId,
+        title: 'Listing Assigned',
+        message: `You have been assigned to ${property.title}.`,
+        type: 'info',
+        channels: ['in_app', 'push'],
+        propertyId: property.id,
+        actionUrl: `/properties/${property.id}`,
+        actionText: 'View Listing',
+        data: { agencyId, propertyId: property.id }
+      });
+    }
+
+    return {
+      success: true,
+      message: agentId ? 'Agent assigned successfully' : 'Agent unassigned successfully',
+      data: { property },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Assign property agent error:', error);
+    return { success: false, message: 'Failed to assign agent', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Landlord asks an agency to manage one of their properties. The agency's
+ * commission defaults apply unless the landlord proposes other terms.
+ * @param {Object} user - Authenticated landlord
+ * @param {Object} data - { agencyId, propertyId, commissionPercent, agentSharePercent, notes }
+ * @returns {Object} Result object
+ */
+export const requestMandate = async (user, data) => {
+  try {
+    const { agencyId, propertyId, notes } = data;
+
+    const agency = await Agency.findByPk(agencyId);
+    if (!agency || agency.status !== 'active') {
+      return { success: false, message: 'Agency not found', statusCode: 404 };
+    }
+
+    const property = await Property.findByPk(propertyId);
+    if (!property) {
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    if (property.ownerId !== user.id) {
+      return { success: false, message: 'You can only authorise an agency for your own properties', statusCode: 403 };
+    }
+
+    if (await getMembership(agencyId, user.id)) {
+      return { success: false, message: 'You are a member of this agency; add the property to it directly', statusCode: 400 };
+    }
+
+    if (property.agencyId) {
+      return { success: false, message: 'Property is already managed by an agency', statusCode: 409 };
+    }
+
+    const open = await AgencyMandate.findOne({
+      where: { propertyId, status: { [Op.in]: OPEN_MANDATE_STATUSES } }
+    });
+    if (open) {
+      return { success: false, message: 'This property already has an open agency mandate', statusCode: 409 };
+    }
+
+    const mandate = await AgencyMandate.create({
+      agencyId,
+      propertyId,
+      landlordId: user.id,
+      commissionPercent: data.commissionPercent ?? agency.defaultCommissionPercent,
+      agentSharePercent: data.agentSharePercent ?? agency.defaultAgentSharePercent,
+      notes
+    });
+
+    await notifyManagers(agencyId, {
+      title: 'New Management Request',
+      message: `${user.firstName} ${user.lastName} wants ${agency.name} to manage ${property.title} at ${Number(mandate.commissionPercent)}% commission.`,
+      type: 'info',
+      propertyId,
+      actionUrl: `/agency/mandates/${mandate.id}`,
+      actionText: 'Review Request',
+      data: { agencyId, mandateId: mandate.id }
+    });
+
+    return {
+      success: true,
+      message: 'Management request sent to the agency',
+      data: { mandate },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Request agency mandate error:', error);
+    return { success: false, message: 'Failed to send management request', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Accept or decline a landlord's management request (owner or manager).
+ * Accepting puts the property under the agency.
+ * @param {string} agencyId - Agency ID
+ * @param {string} mandateId - Mandate ID
+ * @param {Object} user - Authenticated user
+ * @param {string} action - accept or decline
+ * @returns {Object} Result object
+ */
+export const respondToMandate = async (agencyId, mandateId, user, action) => {
+  try {
+    const { agency, error } = await loadAgencyFor(agencyId, user, MANAGER_ROLES);
+    if (error) return error;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const mandate = await AgencyMandate.findOne({
+        where: { id: mandateId, agencyId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!mandate) {
+        return { success: false, message: 'Mandate not found', statusCode: 404 };
+      }
+
+      if (mandate.status !== 'pending') {
+        return { success: false, message: `Mandate is already ${mandate.status}`, statusCode: 400 };
+      }
+
+      if (action === 'decline') {
+        await mandate.update({ status: 'declined', endedBy: user.id, endedAt: new Date() }, { transaction });
+        return { success: true, message: 'Management request declined', data: { mandate }, statusCode: 200 };
+      }
+
+      const property = await Property.findByPk(mandate.propertyId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!property || property.ownerId !== mandate.landlordId) {
+        await mandate.update({ status: 'declined', endedAt: new Date() }, { transaction });
+        return { success: false, message: 'The property has changed hands since the request was made', statusCode: 409 };
+      }
+
+      if (property.agencyId) {
+        return { success: false, message: 'Property is already managed by an agency', statusCode: 409 };
+      }
+
+      await mandate.update({
+        status: 'active',
+        acceptedBy: user.id,
+        acceptedAt: new Date()
+      }, { transaction });
+      await property.update({ agencyId }, { transaction });
+
+      return { success: true, message: 'Management request accepted', data: { mandate, property }, statusCode: 200 };
+    });
+
+    if (result.success) {
+      const { mandate } = result.data;
+      await notify({
+        userId: mandate.landlordId,
+        title: action === 'decline' ? 'Management Request Declined' : 'Agency Now Managing Your Property',
+        message: action === 'decline'
+          ? `${agency.name} declined your management request.`
+          : `${agency.name} now manages your property at ${Number(mandate.commissionPercent)}% commission.`,
+        type: action === 'decline' ? 'info' : 'success',
+        propertyId: mandate.propertyId,
+        data: { agencyId, mandateId: mandate.id }
+      });
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Respond to agency mandate error:', error);
+    return { success: false, message: 'Failed to respond to management request', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * End a mandate. The landlord can withdraw a request or revoke the
+ * authorisation at any time; the agency's owner or managers can give it up.
+ * Payouts already split keep their commission.
+ * @param {string} mandateId - Mandate ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const revokeMandate = async (mandateId, user) => {
+  try {
+    const mandate = await AgencyMandate.findByPk(mandateId, {
+      include: [{ model: Agency, as: 'agency' }]
+    });
+    if (!mandate) {
+      return { success: false, message: 'Mandate not found', statusCode: 404 };
+    }
+
+    const isLandlord = mandate.landlordId === user.id;
+    const membership = isLandlord ? null : await getMembership(mandate.agencyId, user.id);
+    if (!isLandlord && !hasPermission(user, 'agencies.manage') && !MANAGER_ROLES.includes(membership?.role)) {
+      return { success: false, message: 'You do not have permission to revoke this mandate', statusCode: 403 };
+    }
+
+    if (!OPEN_MANDATE_STATUSES.includes(mandate.status)) {
+      return { success: false, message: `Mandate is already ${mandate.status}`, statusCode: 400 };
+    }
+
+    const wasActive = mandate.status === 'active';
+
+    await sequelize.transaction(async (transaction) => {
+      await mandate.update({ status: 'revoked', endedBy: user.id, endedAt: new Date() }, { transaction });
+
+      if (wasActive) {
+        await Property.update(
+          { agencyId: null, agentId: null },
+          { where: { id: mandate.propertyId, agencyId: mandate.agencyId }, transaction }
+        );
+      }
+    });
+
+    const notification = {
+      title: 'Agency Mandate Ended',
+      message: `The management of a property by ${mandate.agency.name} has ended.`,
+      type: 'info',
+      propertyId: mandate.propertyId,
+      data: { agencyId: mandate.agencyId, mandateId: mandate.id }
+    };
+    if (isLandlord) {
+      await notifyManagers(mandate.agencyId, notification);
+    } else {
+      await notify({ ...notification, userId: mandate.landlordId });
+    }
+
+    return {
+      success: true,
+      message: 'Mandate revoked successfully',
+      data: { mandate },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Revoke agency mandate error:', error);
+    return { success: false, message: 'Failed to revoke mandate', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Mandates the landlord has given, or those an agency holds
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { agencyId, status }; without agencyId the landlord's own are listed
+ * @returns {Object} Result object
+ */
+export const getMandates = async (user, options = {}) => {
+  try {
+    const { agencyId, status } = options;
+    const where = {};
+
+    if (agencyId) {
+      const { error } = await loadAgencyFor(agencyId, user);
+      if (error) return error;
+      where.agencyId = agencyId;
+    } else {
+      where.landlordId = user.id;
+    }
+    if (status) where.status = status;
+
+    const mandates = await AgencyMandate.findAll({
+      where,
+      include: [
+        { model: Agency, as: 'agency', attributes: ['id', 'name', 'slug', 'logoUrl'] },
+        { model: Property, as: 'property', attributes: ['id', 'title', 'slug', 'city', 'state', 'agentId'] },
+        { model: User, as: 'landlord', attributes: ['id', 'firstName', 'lastName', 'email'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      message: 'Mandates retrieved successfully',
+      data: { mandates },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get agency mandates error:', error);
+    return { success: false, message: 'Failed to retrieve mandates', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Pick who receives a new inquiry about an agency listing. Conversations
+ * already under way stay with the member handling them; members messaging
+ * each other and messages to people outside the listing are never rerouted.
+ * Never throws: on any problem the message goes where the sender addressed it.
+ * @param {string} propertyId - Property the inquiry is about
+ * @param {string} senderId - User sending the inquiry
+ * @param {string} requestedReceiverId - Who the sender addressed
+ * @returns {string} User ID to deliver to
+ */
+export const routeInquiry = async (propertyId, senderId, requestedReceiverId) => {
+  try {
+    const property = await Property.findByPk(propertyId, { attributes: ['id', 'ownerId', 'agentId', 'agencyId'] });
+    if (!property?.agencyId) return requestedReceiverId;
+
+    const members = await AgencyMember.findAll({
+      where: { agencyId: property.agencyId, status: 'active' },
+      include: [{ model: User, as: 'user', attributes: ['id'], where: { status: 'active' } }]
+    });
+    const memberIds = members.map((member) => member.userId);
+
+    if (memberIds.includes(senderId)) return requestedReceiverId;
+    if (![property.ownerId, property.agentId, ...memberIds].includes(requestedReceiverId)) return requestedReceiverId;
+
+    const earlier = await Message.findOne({
+      where: {
+        propertyId,
+        [Op.or]: [
+          { senderId, receiverId: { [Op.in]: memberIds } },
+          { senderId: { [Op.in]: memberIds }, receiverId: senderId }
+        ]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+    if (earlier) {
+      return earlier.senderId === senderId ? earlier.receiverId : earlier.senderId;
+    }
+
+    const onDuty = members.filter((member) => member.onDuty);
+    if (!onDuty.length) {
+      return memberIds.includes(property.agentId) ? property.agentId : requestedReceiverId;
+    }
+
+    const waitedLongest = (a, b) =>
+      (a.lastInquiryAt ? new Date(a.lastInquiryAt).getTime() : 0) - (b.lastInquiryAt ? new Date(b.lastInquiryAt).getTime() : 0);
+    const next = onDuty.find((member) => member.userId === property.agentId) || onDuty.sort(waitedLongest)[0];
+
+    await next.update({ lastInquiryAt: new Date() });
+    console.log(`📨 [AGENCY] Inquiry on property ${propertyId} routed to member ${next.userId}`);
+
+    return next.userId;
+  } catch (error) {
+    console.warn('⚠️ [AGENCY] Inquiry routing failed, delivering as addressed:', error.message);
+    return requestedReceiverId;
+  }
+};
+
+/**
+ * Split a landlord payout into the landlord, agency and agent amounts
+ * @param {number} grossAmount - Landlord payout
+ * @param {number} commissionPercent - Agency commission on the payout
+ * @param {number} agentSharePercent - Agent's share of the commission
+ * @param {boolean} hasAgent - Whether an agent of the agency manages the property
+ * @returns {Object} { landlordAmount, agencyAmount, agentAmount }
+ */
+export const calculateCommissionSplit = (grossAmount, commissionPercent, agentSharePercent, hasAgent) => {
+  const commissionTotal = roundAmount(grossAmount * Number(commissionPercent) / 100);
+  const agentAmount = hasAgent ? roundAmount(commissionTotal * Number(agentSharePercent) / 100) : 0;
+
+  return {
+    landlordAmount: roundAmount(grossAmount - commissionTotal),
+    agencyAmount: roundAmount(commissionTotal - agentAmount),
+    agentAmount
+  };
+};
+
+/**
+ * Amount each payee receives from a split. The landlord never pays themselves,
+ * and an agency owner who is also the agent gets a single payout.
+ * @param {Object} split - { landlordId, agentId, agencyAmount, agentAmount }
+ * @param {string} agencyOwnerId - Owner of the agency
+ * @returns {Map} payeeId → amount
+ */
+const commissionPayouts = (split, agencyOwnerId) => {
+  const payouts = new Map();
+  const addPayout = (userId, amount) => {
+    if (!userId || amount <= 0 || userId === split.landlordId) return;
+    payouts.set(userId, roundAmount((payouts.get(userId) || 0) + amount));
+  };
+  addPayout(agencyOwnerId, roundAmount(split.agencyAmount));
+  addPayout(split.agentId, roundAmount(split.agentAmount));
+  return payouts;
+};
+
+/**
+ * Pay out the agency and agent shares of a commission from the landlord's
+ * wallet. Each payee is paid under its own idempotency key, so a retry after
+ * a partial failure does not pay anyone twice.
+ */
+const payOutCommission = async (commission) => {
+  if (commission.status === 'settled') return commission;
+
+  const agency = await Agency.findByPk(commission.agencyId, { attributes: ['id', 'name', 'ownerId'] });
+  const property = await Property.findByPk(commission.propertyId, { attributes: ['id', 'title'] });
+
+  const payouts = commissionPayouts(commission, agency.ownerId);
+
+  await commission.update({ attempts: commission.attempts + 1 });
+
+  try {
+    for (const [payeeId, amount] of payouts) {
+      await walletService.payCommission(
+        commission.landlordId,
+        payeeId,
+        amount,
+        `Commission on ${property?.title || 'property'} (${agency.name})`,
+        { commissionId: commission.id, agencyId: agency.id, source: commission.source, sourceId: commission.sourceId },
+        { idempotencyKey: `commission:${commission.id}:${payeeId}` }
+      );
+    }
+
+    await commission.update({ status: 'settled', settledAt: new Date(), failureReason: null });
+  } catch (error) {
+    await commission.update({ status: 'failed', failureReason: error.message });
+    console.error(`❌ [AGENCY] Commission ${commission.id} payout failed:`, error.message);
+    return commission;
+  }
+
+  for (const [payeeId, amount] of payouts) {
+    await notify({
+      userId: payeeId,
+      title: 'Commission Received',
+      message: `${amount} ${commission.currency} commission on ${property?.title || 'a managed property'} has been added to your wallet.`,
+      type: 'success',
+      category: 'payment',
+      channels: ['in_app'],
+      propertyId: commission.propertyId,
+      data: { commissionId: commission.id, agencyId: agency.id }
+    });
+  }
+
+  console.log(`✅ [AGENCY] Commission ${commission.id} settled for ${commission.source} ${commission.sourceId}`);
+  return commission;
+};
+
+/**
+ * Split a landlord payout on a property under an active mandate. Safe to
+ * call more than once for the same payout; never throws, since the payout
+ * itself has already gone through. Failed splits are retried by the daily job.
+ * @param {Object} payout - { source: booking|rent, sourceId, propertyId, landlordId, amount, currency }
+ * @returns {Object|null} AgencyCommission, or null when the property has no mandate
+ */
+export const settleCommission = async (payout) => {
+  const { source, sourceId, propertyId, landlordId, currency = 'NGN' } = payout;
+
+  try {
+    const grossAmount = roundAmount(payout.amount);
+    if (grossAmount <= 0) return null;
+
+    const mandate = await AgencyMandate.findOne({ where: { propertyId, landlordId, status: 'active' } });
+    if (!mandate) return null;
+
+    const property = await Property.findByPk(propertyId, { attributes: ['id', 'agentId'] });
+    const agentId = property?.agentId && await getMembership(mandate.agencyId, property.agentId)
+      ? property.agentId
+      : null;
+
+    const split = calculateCommissionSplit(grossAmount, mandate.commissionPercent, mandate.agentSharePercent, !!agentId);
+
+    const [commission] = await AgencyCommission.findOrCreate({
+      where: { source, sourceId },
+      defaults: {
+        agencyId: mandate.agencyId,
+        mandateId: mandate.id,
+        propertyId,
+        landlordId,
+        agentId,
+        currency,
+        grossAmount,
+        commissionPercent: mandate.commissionPercent,
+        agentSharePercent: mandate.agentSharePercent,
+        ...split
+      }
+    });
+
+    return await payOutCommission(commission);
+  } catch (error) {
+    console.error(`❌ [AGENCY] Failed to settle commission for ${source} ${sourceId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Split the owner's payout of a booking, once its pending funds have been
+ * released (in full, or the owner's share after a cancellation or dispute)
+ * @param {Object} booking - Booking with id, propertyId and ownerId
+ * @returns {Object|null} AgencyCommission
+ */
+export const settleBookingCommission = async (booking) => {
+  try {
+    const released = await WalletTransaction.sum('amount', {
+      where: { bookingId: booking.id, operation: 'release_pending', status: 'completed' }
+    });
+
+    return settleCommission({
+      source: 'booking',
+      sourceId: booking.id,
+      propertyId: booking.propertyId,
+      landlordId: booking.ownerId,
+      amount: released || 0,
+      currency: booking.currency || 'NGN'
+    });
+  } catch (error) {
+    console.error(`❌ [AGENCY] Failed to settle commission for booking ${booking.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Shrink the commission on a booking whose owner payout was cut after it was
+ * split (cancellation after the funds were released, or a dispute refund).
+ * Shares already paid above the new split are clawed back from the agency
+ * owner and agent, so the landlord only returns what they actually kept;
+ * splits that have not been paid yet are just recalculated. Each payee is
+ * clawed back under its own idempotency key, so retries are safe.
+ * @param {Object} booking - Booking with id
+ * @param {number} ownerAmount - What the owner keeps of the booking now
+ * @param {string} reason - Description used on the wallet transactions
+ * @param {Object} [options] - { transaction }
+ * @returns {Object} { commissionReduction, recovered } - commission the landlord no longer pays, and how much of it the payees returned
+ */
+export const reverseBookingCommission = async (booking, ownerAmount, reason, options = {}) => {
+  const { transaction = null } = options;
+  const none = { commissionReduction: 0, recovered: 0 };
+
+  const commission = await AgencyCommission.findOne({
+    where: { source: 'booking', sourceId: booking.id },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+  const grossAmount = Math.max(roundAmount(ownerAmount), 0);
+  if (!commission || grossAmount >= roundAmount(commission.grossAmount)) return none;
+
+  const split = calculateCommissionSplit(
+    grossAmount,
+    commission.commissionPercent,
+    commission.agentSharePercent,
+    !!commission.agentId
+  );
+
+  if (commission.status !== 'settled') {
+    await commission.update({ grossAmount, ...split }, { transaction });
+    return none;
+  }
+
+  const agency = await Agency.findByPk(commission.agencyId, { attributes: ['id', 'ownerId'], transaction });
+  const paid = commissionPayouts(commission, agency.ownerId);
+  const due = commissionPayouts({ ...split, landlordId: commission.landlordId, agentId: commission.agentId }, agency.ownerId);
+
+  let commissionReduction = 0;
+  let recovered = 0;
+  for (const [payeeId, amount] of paid) {
+    const excess = roundAmount(amount - (due.get(payeeId) || 0));
+    if (excess <= 0) continue;
+
+    commissionReduction = roundAmount(commissionReduction + excess);
+    // Recovers at most what the payee still holds; the platform covers any shortfall
+    const clawback = await walletService.clawbackAvailable(payeeId, excess, booking.id, `Commission reversed: ${reason}`, {
+      idempotencyKey: `commission-reversal:${commission.id}:${payeeId}`,
+      transaction
+    });
+    recovered = roundAmount(recovered + (clawback ? Number(clawback.amount) : 0));
+  }
+
+  await commission.update({ grossAmount, ...split }, { transaction });
+  console.log(`↩️ [AGENCY] Commission ${commission.id} reduced by ${commissionReduction} (${recovered} recovered) for booking ${booking.id}`);
+
+  return { commissionReduction, recovered };
+};
+
+/**
+ * Retry commissions whose payout failed, e.g. because the landlord had
+ * already withdrawn the funds. Gives up after AGENCY_COMMISSION_MAX_ATTEMPTS.
+ * @returns {Object} { retried, settled, failed }
+ */
+export const retryFailedCommissions = async () => {
+  const commissions = await AgencyCommission.findAll({
+    where: {
+      attempts: { [Op.lt]: COMMISSION_MAX_ATTEMPTS },
+      [Op.or]: [
+        { status: 'failed' },
+        // Left pending by a crash between creating the split and paying it
+        { status: 'pending', updatedAt: { [Op.lt]: new Date(Date.now() - 60 * 60 * 1000) } }
+      ]
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  let settled = 0;
+  for (const commission of commissions) {
+    const result = await payOutCommission(commission);
+    if (result.status === 'settled') settled++;
+  }
+
+  return { retried: commissions.length, settled, failed: commissions.length - settled };
+};
+
+/**
+ * Commission splits for an agency. Agents only see splits they earned from.
+ * @param {string} agencyId - Agency ID
+ * @param {Object} user - Authenticated member
+ * @param {Object} options - { status, page, limit }
+ * @returns {Object} Result object
+ */
+export const getCommissions = async (agencyId, user, options = {}) => {
+  try {
+    const { membership, error } = await loadAgencyFor(agencyId, user);
+    if (error) return error;
+
+    const { status, page = 1, limit = 20 } = options;
+    const where = { agencyId };
+    if (status) where.status = status;
+    if (membership?.role === 'agent') where.agentId = user.id;
+
+    const { count, rows } = await AgencyCommission.findAndCountAll({
+      where,
+      include: [
+        { model: Property, as: 'property', attributes: ['id', 'title'] },
+        { model: User, as: 'agent', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'landlord', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset: (Number(page) - 1) * Number(limit)
+    });
+
+    return {
+      success: true,
+      message: 'Commissions retrieved successfully',
+      data: {
+        commissions: rows,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(count / Number(limit)) || 1,
+          totalItems: count,
+          itemsPerPage: Number(limit)
+        }
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get agency commissions error:', error);
+    return { success: false, message: 'Failed to retrieve commissions', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  getMembership,
+  canManageAgencyProperty,
+  createAgency,
+  getMyAgencies,
+  getAgency,
+  updateAgency,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  respondToInvitation,
+  updateMember,
+  removeMember,
+  getAgencyProperties,
+  addAgencyProperty,
+  removeAgencyProperty,
+  assignPropertyAgent,
+  requestMandate,
+  respondToMandate,
+  revokeMandate,
+  getMandates,
+  routeInquiry,
+  settleCommission,
+  settleBookingCommission,
+  reverseBookingCommission,
+  retryFailedCommissions,
+  getCommissions
+};
@@ -0,0 +1,276 @@
+import { Op } from 'sequelize';
+import { AdminAuditLog, User } from '../schema/index.js';
+
+/**
+ * Audit Log Service
+ * Append-only trail of admin actions: who did what to which entity, from
+ * where, what changed and why. Entries cannot be updated or deleted (see the
+ * model hooks).
+ *
+ * Admin handlers build the request context with getAuditContext(req) and pass
+ * it down to the service doing the change, which calls recordAdminAction once
+ * the change has been made. Recording never fails the admin action itself.
+ */
+
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 10000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'actorId', 'actorEmail', 'actorRole', 'action', 'entityType', 'entityId',
+  'changes', 'reason', 'ipAddress', 'userAgent', 'metadata'
+];
+
+const buildPaginationMeta = (count, page, limit) => {
+  const currentPage = Number(page) || 1;
+  const perPage = Number(limit) || 10;
+  const totalPages = Math.ceil(count / perPage) || 1;
+
+  return {
+    currentPage,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: perPage,
+    hasNextPage: currentPage < totalPages,
+    hasPrevPage: currentPage > 1
+  };
+};
+
+const toPlain = (instance) => (instance?.get ? instance.get({ plain: true }) : instance);
+
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * Who performed a request and from where
+ * @param {Object} req - Express request (after authenticateToken)
+ * @returns {Object} { actorId, actorRole, actorEmail, ipAddress, userAgent }
+ */
+export const getAuditContext = (req) => ({
+  actorId: req.user?.id || null,
+  actorRole: req.user?.role || null,
+  actorEmail: req.user?.email || null,
+  ipAddress: req.ip || req.socket?.remoteAddress || null,
+  userAgent: req.get?.('user-agent')?.slice(0, 500) || null
+});
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object|null} before - State before the action (model instance or plain object)
+ * @param {Object|null} after - State after the action
+ * @param {string[]} [fields] - Fields to compare; defaults to every key in either snapshot
+ * @returns {Object|null} { field: { from, to } } or null when nothing changed
+ */
+export const diffChanges = (before, after, fields = null) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const keys = fields || [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  const changes = keys.reduce((acc, field) => {
+    const previous = normalizeValue(from[field]);
+    const next = normalizeValue(to[field]);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      acc[field] = { from: previous, to: next };
+    }
+    return acc;
+  }, {});
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Record an admin action. Errors are logged, never thrown.
+ * @param {Object} context - From getAuditContext (or { actorId } for system callers)
+ * @param {Object} entry - { action, entityType, entityId, before, after, fields, changes, reason, metadata }
+ * @param {Object} [options] - { transaction }
+ * @returns {Object|null} Created entry
+ */
+export const recordAdminAction = async (context = {}, entry = {}, options = {}) => {
+  try {
+    const changes = entry.changes !== undefined
+      ? entry.changes
+      : diffChanges(entry.before, entry.after, entry.fields);
+
+    return await AdminAuditLog.create({
+      actorId: context.actorId || null,
+      actorRole: context.actorRole || null,
+      actorEmail: context.actorEmail || null,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId ? String(entry.entityId) : null,
+      changes,
+      reason: entry.reason || null,
+      metadata: entry.metadata || null
+    }, { transaction: options.transaction || null });
+  } catch (error) {
+    console.error(`⚠️ [AUDIT] Failed to record ${entry.action} on ${entry.entityType} ${entry.entityId}:`, error.message);
+    return null;
+  }
+};
+
+const buildWhereClause = (filters = {}) => {
+  const { actorId, action, entityType, entityId, startDate, endDate, search } = filters;
+  const where = {};
+
+  if (actorId) where.actorId = actorId;
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+
+  // "user." matches every user action
+  if (action) {
+    where.action = action.endsWith('.') ? { [Op.like]: `${action}%` } : action;
+  }
+
+  if (startDate || endDate) {
+    where.createdAt = {};
+    if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      // A bare date covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setHours(23, 59, 59, 999);
+      where.createdAt[Op.lte] = end;
+    }
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { reason: { [Op.like]: `%${search}%` } },
+      { actorEmail: { [Op.like]: `%${search}%` } },
+      { entityId: search }
+    ];
+  }
+
+  return where;
+};
+
+/**
+ * Filterable audit log, newest first
+ * @param {Object} filters - { actorId, action, entityType, entityId, startDate, endDate, search, page, limit }
+ */
+export const listAuditLogs = async (filters = {}) => {
+  try {
+    const { page = 1, limit = 25 } = filters;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const { count, rows } = await AdminAuditLog.findAndCountAll({
+      where: buildWhereClause(filters),
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'firstName', 'lastName', 'email'],
+          required: false,
+          paranoid: false
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset
+    });
+
+    return {
+      success: true,
+      message: 'Audit log retrieved successfully',
+      data: {
+        entries: rows.map(toPlain),
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Audit log list error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve audit log',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Audit history of one entity, newest first
+ * @param {string} entityType - e.g. user, property
+ * @param {string} entityId - Entity ID
+ * @param {number} [limit] - Max entries
+ */
+export const getEntityAuditHistory = async (entityType, entityId, limit = 50) => {
+  const rows = await AdminAuditLog.findAll({
+    where: { entityType, entityId: String(entityId) },
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'firstName', 'lastName', 'email'],
+        required: false,
+        paranoid: false
+      }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+
+  return rows.map(toPlain);
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date ? value.toISOString() : String(value);
+  // Quote every field; neutralise spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+/**
+ * CSV export of the filtered audit log (capped at AUDIT_EXPORT_MAX_ROWS)
+ * @param {Object} filters - Same filters as listAuditLogs
+ */
+export const exportAuditLogsCsv = async (filters = {}) => {
+  try {
+    const rows = await AdminAuditLog.findAll({
+      where: buildWhereClause(filters),
+      order: [['createdAt', 'DESC']],
+      limit: EXPORT_MAX_ROWS,
+      raw: true
+    });
+
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...rows.map((row) => CSV_COLUMNS.map((column) => escapeCsv(row[column])).join(','))
+    ];
+
+    return {
+      success: true,
+      message: 'Audit log exported successfully',
+      data: {
+        csv: lines.join('\n'),
+        filename: `admin-audit-log-${new Date().toISOString().split('T')[0]}.csv`,
+        rowCount: rows.length,
+        truncated: rows.length === EXPORT_MAX_ROWS
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    return {
+      success: false,
+      message: 'Failed to export audit log',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  getAuditContext,
+  diffChanges,
+  recordAdminAction,
+  listAuditLogs,
+  getEntityAuditHistory,
+  exportAuditLogsCsv
+};
@@ -3,21 +3,45 @@ import sequelize from '../database/db.js';
 import { 
   hashPassword, 
   verifyPassword, 
-  generateToken as generateJWTToken,
   generateVerificationCode,
   messageHandler 
 } from '../utils/index.js';
-import { sendEmail } from '../modules/notifications/email.js';
+import { dispatchEmail, DEFAULT_TIMEZONE } from './notificationPolicyService.js';
 import { sendTemplateNotification } from './notificationService.js';
 import walletService from './walletService.js';
+import { createSession, rotateRefreshToken, revokeAllSessions } from './sessionService.js';
+import { getEnabledMfa, isMfaRequiredForRole, issueMfaChallenge, verifyMfaChallenge } from './mfaService.js';
+import {
+  assertAddressAllowed,
+  assertAccountAllowed,
+  claimLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  verifyEmailedCode,
+  verifyLoginAlertToken,
+  notifyIfNewSignIn
+} from './loginProtectionService.js';
+
+/**
+ * Merge per-category notification overrides one category at a time,
+ * so updating booking.sms keeps booking.email
+ */
+const mergeCategoryPreferences = (existing = {}, updates = {}) => {
+  const merged = { ...existing };
+  Object.entries(updates).forEach(([category, channels]) => {
+    merged[category] = { ...(existing[category] || {}), ...channels };
+  });
+  return merged;
+};
 
 class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
+   * @param {Object} [sessionMeta] - Device signing in: { userAgent, ipAddress, deviceName }
    * @returns {Object} Created user object (without password)
    */
-  async register(userData) {
+  async register(userData, sessionMeta = {}) {
     const transaction = await sequelize.transaction();
     
     try {
@@ -46,16 +70,6 @@ class AuthService {
         emailVerified: false
       }, { transaction });
 
-      // Generate token before committing
-      let token;
-      try {
-        token = this.generateToken(user);
-      } catch (tokenError) {
-        await transaction.rollback();
-        console.error('Token generation error:', tokenError);
-        throw new Error('Failed to generate authentication token');
-      }
-
       // Prepare user data for response
       let userWithoutPassword;
       try {
@@ -83,6 +97,14 @@ class AuthService {
         throw new Error('Failed to save user. Please try again.');
       }
 
+      let tokens;
+      try {
+        tokens = await createSession(user, sessionMeta);
+      } catch (tokenError) {
+        console.error('Session creation error:', tokenError);
+        throw new Error('Failed to generate authentication token');
+      }
+
       // Send email verification asynchronously (non-blocking - don't fail registration if email fails)
       // Don't await - let it run in background
       this.sendVerificationEmail(user.email, verificationCode, user.firstName).catch((emailError) => {
@@ -118,7 +140,7 @@ class AuthService {
           status: wallet.status,
           paystackCustomerCode: wallet.paystackCustomerCode
         } : null,
-        token,
+        ...tokens,
         message: 'Registration successful. Please check your email for verification code.'
       };
 
@@ -153,15 +175,19 @@ class AuthService {
    * Authenticate user login
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} User object and JWT token
+   * @param {Object} [sessionMeta] - Device signing in: { userAgent, ipAddress, deviceName }
+   * @returns {Object} User object, access token and refresh token, or an mfa_required challenge
    */
-  async login(email, password) {
+  async login(email, password, sessionMeta = {}) {
     try {
+      await assertAddressAllowed(sessionMeta.ipAddress);
+
       const user = await User.findOne({
         where: { email }
       });
 
       if (!user) {
+        await recordLoginFailure(null, sessionMeta.ipAddress);
         throw new Error('Invalid email or password');
       }
 
@@ -169,75 +195,221 @@ class AuthService {
         throw new Error('Account is not active. Please contact support.');
       }
 
+      assertAccountAllowed(user);
+      await claimLoginAttempt(user);
+
       const isValidPassword = await verifyPassword(password, user.passwordHash);
       if (!isValidPassword) {
+        await recordLoginFailure(user, sessionMeta.ipAddress);
         throw new Error('Invalid email or password');
       }
 
-      await user.update({
-        lastLogin: new Date(),
-        loginCount: user.loginCount + 1
-      });
+      await clearLoginFailures(user);
 
-      console.log('🔍 [AUTH SERVICE - LOGIN] Starting wallet retrieval for userId:', user.id);
+      if (user.passwordResetRequired) {
+        const error = new Error('You need to set a new password before signing in. Check your email for a reset code or request a new one.');
+        error.statusCode = 403;
+        error.code = 'PASSWORD_RESET_REQUIRED';
+        throw error;
+      }
+
+      if (await getEnabledMfa(user.id)) {
+        return this.createMfaChallenge(user, 'password');
+      }
+
+      return this.completeLogin(user, sessionMeta);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * First factor passed and 2FA is on: no tokens until the code is entered
+   * @param {Object} user - User
+   * @param {string} method - password or google
+   * @returns {Object} { mfaRequired, mfaToken, methods }
+   */
+  createMfaChallenge(user, method) {
+    console.log(`🔐 [AUTH SERVICE] Two-factor challenge issued for user ${user.id} (${method})`);
+    return {
+      mfaRequired: true,
+      mfaToken: issueMfaChallenge(user, method),
+      methods: ['totp', 'recovery_code'],
+      message: 'Enter the code from your authenticator app'
+    };
+  }
+
+  /**
+   * Second step of a 2FA sign-in
+   * @param {string} mfaToken - Token from the mfa_required response
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} [sessionMeta] - Device signing in: { userAgent, ipAddress, deviceName }
+   * @returns {Object} Result object with the login payload
+   */
+  async completeMfaLogin(mfaToken, factor, sessionMeta = {}) {
+    const result = await verifyMfaChallenge(mfaToken, factor);
+    if (!result.success) return result;
+
+    try {
+      const { user, method, recoveryCodesRemaining } = result.data;
+      const data = await this.completeLogin(user, { ...sessionMeta, mfaVerified: true });
+
+      return {
+        success: true,
+        message: 'Login successful',
+        data: method === 'recovery_code' ? { ...data, recoveryCodesRemaining } : data,
+        statusCode: 200
+      };
+    } catch (error) {
+      console.error('Complete MFA login error:', error);
+      return {
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Record the login, make sure the wallet exists and start the session
+   * @param {Object} user - Fully authenticated user
+   * @param {Object} sessionMeta - { userAgent, ipAddress, deviceName, mfaVerified }
+   * @returns {Object} User object, wallet, access token and refresh token
+   */
+  async completeLogin(user, sessionMeta = {}) {
+    const { mfaVerified = false } = sessionMeta;
+
+    await user.update({
+      lastLogin: new Date(),
+      loginCount: user.loginCount + 1
+    });
+
+    console.log('🔍 [AUTH SERVICE - LOGIN] Starting wallet retrieval for userId:', user.id);
+    
+    // Check and create wallet if it doesn't exist
+    let wallet = null;
+    try {
+      console.log('🔍 [AUTH SERVICE - LOGIN] Calling walletService.getOrCreateWallet...');
+      wallet = await walletService.getOrCreateWallet(user.id);
       
-      // Check and create wallet if it doesn't exist
-      let wallet = null;
-      try {
-        console.log('🔍 [AUTH SERVICE - LOGIN] Calling walletService.getOrCreateWallet...');
-        wallet = await walletService.getOrCreateWallet(user.id);
-        
-        if (wallet) {
-          console.log('✅ [AUTH SERVICE - LOGIN] Wallet retrieved/created successfully:', {
-            walletId: wallet.id,
-            userId: wallet.userId,
-            balance: wallet.balance,
-            status: wallet.status
-          });
-        } else {
-          console.error('❌ [AUTH SERVICE - LOGIN] Wallet is null after getOrCreateWallet');
-        }
-      } catch (walletError) {
-        console.error('❌ [AUTH SERVICE - LOGIN] Wallet check/creation failed:', walletError.message);
-        console.error('❌ [AUTH SERVICE - LOGIN] Wallet error stack:', walletError.stack);
+      if (wallet) {
+        console.log('✅ [AUTH SERVICE - LOGIN] Wallet retrieved/created successfully:', {
+          walletId: wallet.id,
+          userId: wallet.userId,
+          balance: wallet.balance,
+          status: wallet.status
+        });
+      } else {
+        console.error('❌ [AUTH SERVICE - LOGIN] Wallet is null after getOrCreateWallet');
       }
+    } catch (walletError) {
+      console.error('❌ [AUTH SERVICE - LOGIN] Wallet check/creation failed:', walletError.message);
+      console.error('❌ [AUTH SERVICE - LOGIN] Wallet error stack:', walletError.stack);
+    }
 
-      const token = this.generateToken(user);
+    const tokens = await createSession(user, sessionMeta);
+    this.alertNewSignIn(user, sessionMeta, tokens.sessionId);
+
+    const { passwordHash, emailVerificationCode, passwordResetToken, ...userWithoutPassword } = user.toJSON();
+    userWithoutPassword.hasPassword = !!passwordHash;
+
+    const walletData = wallet ? {
+      id: wallet.id,
+      walletAddress: wallet.walletAddress,
+      balance: wallet.balance,
+      currency: wallet.currency,
+      status: wallet.status,
+      paystackCustomerCode: wallet.paystackCustomerCode
+    } : null;
+
+    console.log('🔍 [AUTH SERVICE - LOGIN] Preparing response:', {
+      userId: user.id,
+      hasWallet: !!wallet,
+      walletData: walletData
+    });
+
+    return {
+      user: userWithoutPassword,
+      wallet: walletData,
+      ...tokens,
+      mfaSetupRequired: !mfaVerified && await isMfaRequiredForRole(user.role)
+    };
+  }
 
-      const { passwordHash, emailVerificationCode, ...userWithoutPassword } = user.toJSON();
-      userWithoutPassword.hasPassword = !!passwordHash;
+  /**
+   * Send the new device / new address alert without holding up the sign-in
+   * @param {Object} user - User who signed in
+   * @param {Object} sessionMeta - { userAgent, ipAddress, deviceName }
+   * @param {string} sessionId - Session just created
+   */
+  alertNewSignIn(user, sessionMeta, sessionId) {
+    notifyIfNewSignIn(user, sessionMeta, sessionId).catch((error) => {
+      console.warn('⚠️ [AUTH SERVICE] New sign-in check failed:', error.message);
+    });
+  }
 
-      const walletData = wallet ? {
-        id: wallet.id,
-        walletAddress: wallet.walletAddress,
-        balance: wallet.balance,
-        currency: wallet.currency,
-        status: wallet.status,
-        paystackCustomerCode: wallet.paystackCustomerCode
-      } : null;
-
-      console.log('🔍 [AUTH SERVICE - LOGIN] Preparing response:', {
-        userId: user.id,
-        hasWallet: !!wallet,
-        walletData: walletData
-      });
+  /**
+   * "This wasn't me" from a new sign-in alert: sign out every device and
+   * require a new password before the next password sign-in
+   * @param {string} token - Token from the alert link
+   * @returns {Object} Result object
+   */
+  async secureAccount(token) {
+    const decoded = verifyLoginAlertToken(token);
+    if (!decoded) {
+      return { success: false, message: 'This link is invalid or has expired', statusCode: 400 };
+    }
+
+    try {
+      const user = await User.findByPk(decoded.id);
+      if (!user) {
+        return { success: false, message: 'This link is invalid or has expired', statusCode: 400 };
+      }
+
+      const sessionsRevoked = await revokeAllSessions(user.id, { reason: 'reported_unrecognized_login' });
+
+      // Google-only accounts have no password to reset; signing out is all we can do
+      const passwordResetRequired = !!user.passwordHash;
+      if (passwordResetRequired) {
+        const resetToken = generateVerificationCode(6);
+        await user.update({
+          passwordResetRequired: true,
+          passwordResetToken: resetToken,
+          passwordResetExpires: new Date(Date.now() + 60 * 60 * 1000),
+          passwordResetAttempts: 0
+        });
+        await this.sendPasswordResetEmail(user.email, resetToken, user.firstName);
+      }
+
+      console.warn(`🚨 [AUTH SERVICE] User ${user.id} reported an unrecognised sign-in (session ${decoded.sid}); ${sessionsRevoked} session(s) revoked`);
 
       return {
-        user: userWithoutPassword,
-        wallet: walletData,
-        token
+        success: true,
+        message: passwordResetRequired
+          ? 'All devices have been signed out. We have emailed you a code to choose a new password.'
+          : 'All devices have been signed out. Review the security of your Google account.',
+        data: { sessionsRevoked, passwordResetRequired },
+        statusCode: 200
       };
     } catch (error) {
-      throw error;
+      console.error('Secure account error:', error);
+      return {
+        success: false,
+        message: 'Failed to secure account',
+        error: error.message,
+        statusCode: 500
+      };
     }
   }
 
   /**
    * Google Sign-In authentication using Firebase
    * @param {string} idToken - Firebase ID token
-   * @returns {Object} User object and JWT token
+   * @param {Object} [sessionMeta] - Device signing in: { userAgent, ipAddress, deviceName }
+   * @returns {Object} User object, access token and refresh token, or an mfa_required challenge
    */
-  async googleSignIn(idToken) {
+  async googleSignIn(idToken, sessionMeta = {}) {
     try {
       const firebaseUser = await this.verifyFirebaseToken(idToken);
       
@@ -264,6 +436,10 @@ class AuthService {
           throw new Error('Account is not active. Please contact support.');
         }
 
+        if (await getEnabledMfa(user.id)) {
+          return this.createMfaChallenge(user, 'google');
+        }
+
         // Check and create wallet if it doesn't exist
         try {
           wallet = await walletService.getOrCreateWallet(user.id);
@@ -294,9 +470,10 @@ class AuthService {
         }
       }
 
-      const token = this.generateToken(user);
+      const tokens = await createSession(user, sessionMeta);
+      this.alertNewSignIn(user, sessionMeta, tokens.sessionId);
 
-      const { passwordHash, emailVerificationCode, ...userWithoutPassword } = user.toJSON();
+      const { passwordHash, emailVerificationCode, passwordResetToken, ...userWithoutPassword } = user.toJSON();
       userWithoutPassword.hasPassword = !!passwordHash;
 
       return {
@@ -313,7 +490,8 @@ class AuthService {
           status: wallet.status,
           paystackCustomerCode: wallet.paystackCustomerCode
         } : null,
-        token,
+        ...tokens,
+        mfaSetupRequired: await isMfaRequiredForRole(user.role),
         message: user.passwordHash ? 'Login successful' : 'Account created successfully with Google'
       };
     } catch (error) {
@@ -468,13 +646,17 @@ class AuthService {
         throw new Error('Email already verified');
       }
 
-      if (user.emailVerificationCode !== verificationCode) {
-        throw new Error('Invalid verification code');
+      const check = await verifyEmailedCode(user, 'emailVerification', verificationCode);
+      if (!check.valid) {
+        throw new Error(check.exhausted
+          ? 'Too many incorrect codes. Please request a new verification code.'
+          : 'Invalid verification code');
       }
 
       await user.update({
         emailVerified: true,
         emailVerificationCode: null,
+        emailVerificationAttempts: 0,
         status: 'active'
       });
 
@@ -509,7 +691,8 @@ class AuthService {
       const verificationCode = generateVerificationCode(4);
 
       await user.update({
-        emailVerificationCode: verificationCode
+        emailVerificationCode: verificationCode,
+        emailVerificationAttempts: 0
       });
 
       await this.sendVerificationEmail(user.email, verificationCode, user.firstName);
@@ -554,7 +737,8 @@ class AuthService {
 
       await user.update({
         passwordResetToken: resetToken,
-        passwordResetExpires: resetTokenExpiry
+        passwordResetExpires: resetTokenExpiry,
+        passwordResetAttempts: 0
       });
 
       // Send reset email
@@ -590,8 +774,11 @@ class AuthService {
         throw new Error('No password reset request found');
       }
 
-      if (user.passwordResetToken !== resetToken) {
-        throw new Error('Invalid reset token');
+      const check = await verifyEmailedCode(user, 'passwordReset', resetToken);
+      if (!check.valid) {
+        throw new Error(check.exhausted
+          ? 'Too many incorrect codes. Please request a new reset code.'
+          : 'Invalid reset token');
       }
 
       if (new Date() > user.passwordResetExpires) {
@@ -600,12 +787,21 @@ class AuthService {
 
       const hashedPassword = await hashPassword(newPassword);
 
+      // Proving control of the inbox also lifts any lockout
       await user.update({
         passwordHash: hashedPassword,
         passwordResetToken: null,
-        passwordResetExpires: null
+        passwordResetExpires: null,
+        passwordResetAttempts: 0,
+        passwordResetRequired: false,
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
       });
 
+      // Whoever knew the old password is signed out everywhere
+      await revokeAllSessions(user.id, { reason: 'password_reset' });
+
       await this.sendPasswordChangedEmail(user.email, user.firstName);
 
       return {
@@ -622,9 +818,10 @@ class AuthService {
    * @param {string} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
+   * @param {string} [currentSessionId] - Session making the change; stays signed in
    * @returns {boolean} Success status
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
       const user = await User.findByPk(userId);
 
@@ -644,6 +841,7 @@ class AuthService {
       const hashedNewPassword = await hashPassword(newPassword);
 
       await user.update({ passwordHash: hashedNewPassword });
+      await revokeAllSessions(user.id, { reason: 'password_changed', exceptSessionId: currentSessionId });
 
       await this.sendPasswordChangedEmail(user.email, user.firstName);
 
@@ -727,6 +925,7 @@ class AuthService {
         accountDeletionExpires: null,
         deletedAt: new Date()
       });
+      await revokeAllSessions(user.id, { reason: 'account_deleted' });
 
       return {
         success: true,
@@ -739,6 +938,7 @@ class AuthService {
 
   /**
    * Send verification email using your email service
+   * Security emails are mandatory and ignore notification preferences
    */
   async sendVerificationEmail(email, verificationCode, firstName) {
     try {
@@ -749,7 +949,7 @@ class AuthService {
         expiryMinutes: 10
       };
 
-      await sendEmail(email, subject, '', 'email-verification', context);
+      await dispatchEmail({ email }, { subject, template: 'email-verification', context }, { mandatory: true });
       console.log(`Verification email sent to ${email}`);
     } catch (error) {
       console.error('Error sending verification email:', error);
@@ -769,7 +969,7 @@ class AuthService {
         expiryHours: 1
       };
 
-      await sendEmail(email, subject, '', 'password-reset', context);
+      await dispatchEmail({ email }, { subject, template: 'password-reset', context }, { mandatory: true });
       console.log(`Password reset email sent to ${email}`);
     } catch (error) {
       console.error('Error sending password reset email:', error);
@@ -787,7 +987,7 @@ class AuthService {
         changedAt: new Date().toLocaleString()
       };
 
-      await sendEmail(email, subject, '', 'password-changed', context);
+      await dispatchEmail({ email }, { subject, template: 'password-changed', context }, { mandatory: true });
       console.log(`Password changed confirmation sent to ${email}`);
     } catch (error) {
       console.error('Error sending password changed email:', error);
@@ -806,29 +1006,13 @@ class AuthService {
         expiryHours: 24
       };
 
-      await sendEmail(email, subject, '', 'account-deletion', context);
+      await dispatchEmail({ email }, { subject, template: 'account-deletion', context }, { mandatory: true });
       console.log(`Account deletion email sent to ${email}`);
     } catch (error) {
       console.error('Error sending account deletion email:', error);
     }
   }
 
-  /**
-   * Generate JWT token for user
-   * @param {Object} user - User object
-   * @returns {string} JWT token
-   */
-  generateToken(user) {
-    const payload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      status: user.status
-    };
-
-    return generateJWTToken(payload, '7d');
-  }
-
   /**
    * Verify JWT token
    * @param {string} token - JWT token
@@ -919,10 +1103,16 @@ class AuthService {
         emailVerificationCode, 
         passwordResetToken, 
         accountDeletionToken,
+        phoneVerified, // Only set through /api/auth/phone/verify
         avatar, // Handle avatar separately if needed
         ...safeUpdateData 
       } = updateData;
 
+      // A changed number has to be verified again
+      if (safeUpdateData.phone !== undefined && safeUpdateData.phone !== user.phone) {
+        safeUpdateData.phoneVerified = false;
+      }
+
       console.log('📝 [AUTH SERVICE] Safe update data:', JSON.stringify(safeUpdateData, null, 2));
 
       await user.update(safeUpdateData);
@@ -958,26 +1148,13 @@ class AuthService {
   }
 
   /**
-   * Refresh user token
-   * @param {string} userId - User ID
-   * @returns {string} New JWT token
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} [sessionMeta] - { ipAddress }
+   * @returns {Object} Result object with the new token pair
    */
-  async refreshToken(userId) {
-    try {
-      const user = await User.findByPk(userId);
-
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      if (user.status !== 'active') {
-        throw new Error('Account is not active');
-      }
-
-      return this.generateToken(user);
-    } catch (error) {
-      throw error;
-    }
+  async refreshToken(refreshToken, sessionMeta = {}) {
+    return rotateRefreshToken(refreshToken, sessionMeta);
   }
 
   /**
@@ -1001,6 +1178,10 @@ class AuthService {
           email: true,
           push: true,
           sms: false,
+          whatsapp: false,
+          in_app: true,
+          categories: {},
+          quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: DEFAULT_TIMEZONE },
         },
         privacy: {
           profileVisible: true,
@@ -1015,6 +1196,10 @@ class AuthService {
         notifications: {
           ...defaultPreferences.notifications,
           ...(preferences.notifications || {}),
+          quietHours: {
+            ...defaultPreferences.notifications.quietHours,
+            ...(preferences.notifications?.quietHours || {}),
+          },
         },
         privacy: {
           ...defaultPreferences.privacy,
@@ -1044,12 +1229,22 @@ class AuthService {
       const existingPreferences = user.preferences || {};
 
       // Merge new preferences with existing ones
+      const existingNotifications = existingPreferences.notifications || {};
       const updatedPreferences = {
         ...existingPreferences,
         ...(preferencesData.notifications && {
           notifications: {
-            ...(existingPreferences.notifications || {}),
+            ...existingNotifications,
             ...preferencesData.notifications,
+            // Per-category overrides and quiet hours are merged, not replaced
+            categories: mergeCategoryPreferences(
+              existingNotifications.categories,
+              preferencesData.notifications.categories
+            ),
+            quietHours: {
+              ...(existingNotifications.quietHours || {}),
+              ...(preferencesData.notifications.quietHours || {}),
+            },
           },
         }),
         ...(preferencesData.privacy && {
@@ -1064,20 +1259,7 @@ class AuthService {
       await user.update({ preferences: updatedPreferences });
 
       // Return the updated preferences
-      return {
-        notifications: {
-          email: true,
-          push: true,
-          sms: false,
-          ...updatedPreferences.notifications,
-        },
-        privacy: {
-          profileVisible: true,
-          showEmail: false,
-          showPhone: false,
-          ...updatedPreferences.privacy,
-        },
-      };
+      return this.getPreferences(userId);
     } catch (error) {
       throw error;
     }
@@ -1,6 +1,8 @@
 import { PropertyAvailability, Property, Booking, User } from '../schema/index.js';
 import { Op } from 'sequelize';
 import sequelize from '../database/db.js';
+import { getNightlyPrices } from './pricingRuleService.js';
+import { checkRoomTypeAvailability } from './roomTypeService.js';
 
 /**
  * Availability Service
@@ -103,9 +105,11 @@ export const isDateAvailable = async (propertyId, date) => {
  * @param {string} createdBy - User ID who created the block
  * @param {string} notes - Optional notes
  * @param {string} bookingId - Optional booking ID if reason is 'booking'
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @param {Object} options - { calendarFeedId } for blocks imported from an iCal feed
  * @returns {Object} Created availability record
  */
-export const blockDate = async (propertyId, date, reason, createdBy, notes = null, bookingId = null, transaction = null) => {
+export const blockDate = async (propertyId, date, reason, createdBy, notes = null, bookingId = null, transaction = null, options = {}) => {
   try {
     const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
 
@@ -123,24 +127,33 @@ export const blockDate = async (propertyId, date, reason, createdBy, notes = nul
     const existingBlock = await PropertyAvailability.findOne({
       where: {
         propertyId,
-        date: dateStr,
-        isActive: true
+        date: dateStr
       },
       transaction
     });
 
-    if (existingBlock) {
+    if (existingBlock?.isActive) {
       throw new Error('Date is already blocked');
     }
 
-    const availabilityRecord = await PropertyAvailability.create({
-      propertyId,
-      date: dateStr,
+    const blockData = {
       reason,
       bookingId,
       notes,
       createdBy: validCreatedBy,
+      calendarFeedId: options.calendarFeedId || null,
       isActive: true
+    };
+
+    // (propertyId, date) is unique, so a date that was unblocked before reuses its row
+    if (existingBlock) {
+      return await existingBlock.update(blockData, { transaction });
+    }
+
+    const availabilityRecord = await PropertyAvailability.create({
+      propertyId,
+      date: dateStr,
+      ...blockData
     }, { transaction });
 
     return availabilityRecord;
@@ -185,9 +198,12 @@ export const unblockDate = async (propertyId, date) => {
  * @param {string} reason - Reason for blocking
  * @param {string} createdBy - User ID who created the blocks
  * @param {string} notes - Optional notes
- * @returns {Array} Array of created availability records
+ * @param {string} bookingId - Optional booking ID if reason is 'booking'
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @param {Object} options - { calendarFeedId } for blocks imported from an iCal feed
+ * @returns {Array} Array of created availability records (dates that were already blocked are skipped)
  */
-export const blockMultipleDates = async (propertyId, dates, reason, createdBy, notes = null, bookingId = null, transaction = null) => {
+export const blockMultipleDates = async (propertyId, dates, reason, createdBy, notes = null, bookingId = null, transaction = null, options = {}) => {
   const useTransaction = !transaction;
   const currentTransaction = transaction || await sequelize.transaction();
   const results = [];
@@ -208,7 +224,7 @@ export const blockMultipleDates = async (propertyId, dates, reason, createdBy, n
     // Process each date
     for (const date of dates) {
       try {
-        const record = await blockDate(propertyId, date, reason, validCreatedBy, notes, bookingId, currentTransaction);
+        const record = await blockDate(propertyId, date, reason, validCreatedBy, notes, bookingId, currentTransaction, options);
         results.push(record);
       } catch (err) {
         console.error(`Error blocking date ${date}:`, err);
@@ -275,6 +291,12 @@ export const unblockMultipleDates = async (propertyId, dates) => {
  */
 export const blockDatesForBooking = async (propertyId, bookingId, checkInDate, checkOutDate, createdBy, transaction = null) => {
   try {
+    // Hotel room bookings hold units of their room type, not the whole property
+    const booking = await Booking.findByPk(bookingId, { attributes: ['id', 'roomTypeId'], transaction });
+    if (booking?.roomTypeId) {
+      return [];
+    }
+
     const dates = [];
     const currentDate = new Date(checkInDate);
     const endDate = new Date(checkOutDate);
@@ -327,7 +349,7 @@ export const unblockDatesForBooking = async (propertyId, bookingId) => {
 };
 
 /**
- * Get availability calendar for a property
+ * Get availability calendar for a property, with each night's price
  * @param {string} propertyId - Property ID
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
@@ -338,9 +360,13 @@ export const getAvailabilityCalendar = async (propertyId, startDate, endDate) =>
     const [unavailableDates, property] = await Promise.all([
       getUnavailableDates(propertyId, startDate, endDate),
       Property.findByPk(propertyId, {
-        attributes: ['id', 'title', 'minStayNights', 'maxStayNights', 'instantBooking']
+        attributes: [
+          'id', 'title', 'minStayNights', 'maxStayNights', 'instantBooking',
+          'price', 'currency', 'pricePeriod', 'listingType'
+        ]
       })
     ]);
+    const nightlyPrices = await getNightlyPrices(property, startDate, endDate);
 
     const unavailableDateSet = new Set(unavailableDates.map(d => d.date));
     const calendar = [];
@@ -358,7 +384,11 @@ export const getAvailabilityCalendar = async (propertyId, startDate, endDate) =>
         available: isAvailable,
         reason: unavailableRecord?.reason || null,
         notes: unavailableRecord?.notes || null,
-        bookingId: unavailableRecord?.bookingId || null
+        bookingId: unavailableRecord?.bookingId || null,
+        // Nightly price after seasonal and day-of-week rules (null for non-nightly listings)
+        price: nightlyPrices.get(dateStr)?.price ?? null,
+        basePrice: nightlyPrices.get(dateStr)?.basePrice ?? null,
+        priceAdjustments: nightlyPrices.get(dateStr)?.adjustments || []
       });
 
       currentDate.setDate(currentDate.getDate() + 1);
@@ -370,7 +400,9 @@ export const getAvailabilityCalendar = async (propertyId, startDate, endDate) =>
         title: property.title,
         minStayNights: property.minStayNights,
         maxStayNights: property.maxStayNights,
-        instantBooking: property.instantBooking
+        instantBooking: property.instantBooking,
+        currency: property.currency,
+        pricePeriod: property.pricePeriod
       },
       calendar
     };
@@ -385,9 +417,11 @@ export const getAvailabilityCalendar = async (propertyId, startDate, endDate) =>
  * @param {string} propertyId - Property ID
  * @param {Date} checkInDate - Check-in date
  * @param {Date} checkOutDate - Check-out date
+ * @param {Object} options - { roomTypeId, units, excludeBookingId, excludeQuoteId, transaction } to check hotel rooms
+ * instead of the whole property; with a transaction the room type stays locked until it ends
  * @returns {Object} Availability check result
  */
-export const checkDateRangeAvailability = async (propertyId, checkInDate, checkOutDate) => {
+export const checkDateRangeAvailability = async (propertyId, checkInDate, checkOutDate, options = {}) => {
   try {
     const property = await Property.findByPk(propertyId);
     if (!property) throw new Error('Property not found');
@@ -416,7 +450,20 @@ export const checkDateRangeAvailability = async (propertyId, checkInDate, checkO
       }
     }
 
-    const unavailableDates = await getUnavailableDates(propertyId, checkInDate, checkOutDate);
+    let unavailableDates = await getUnavailableDates(propertyId, checkInDate, checkOutDate);
+
+    // Rooms are held by unit counts; only blocks that close the whole hotel apply to them
+    let roomCheck = null;
+    if (options.roomTypeId) {
+      unavailableDates = unavailableDates.filter(d => d.reason !== 'booking');
+      roomCheck = await checkRoomTypeAvailability(options.roomTypeId, checkInDate, checkOutDate, options.units || 1, {
+        propertyId,
+        excludeBookingId: options.excludeBookingId,
+        excludeQuoteId: options.excludeQuoteId,
+        transaction: options.transaction
+      });
+    }
+
     const unavailableDateSet = new Set(unavailableDates.map(d => d.date));
 
     const conflictingDates = [];
@@ -436,10 +483,15 @@ export const checkDateRangeAvailability = async (propertyId, checkInDate, checkO
       currentDate.setDate(currentDate.getDate() + 1);
     }
 
+    if (roomCheck) {
+      conflictingDates.push(...roomCheck.conflictingDates.filter(d => !unavailableDateSet.has(d.date)));
+    }
+
     return {
       available: conflictingDates.length === 0,
       conflictingDates,
-      totalNights: Math.ceil((endDate - checkInDate) / (1000 * 60 * 60 * 24))
+      totalNights: Math.ceil((endDate - new Date(checkInDate)) / (1000 * 60 * 60 * 24)),
+      ...(roomCheck && { availableUnits: roomCheck.availableUnits })
     };
   } catch (error) {
     console.error('Error checking date range availability:', error);
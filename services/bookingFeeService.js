@@ -1,5 +1,8 @@
 import BookingFeeConfig from '../schema/BookingFeeConfig.js';
 import { Op } from 'sequelize';
+import { remember, CACHE_NAMESPACES } from './cacheService.js';
+
+const BOOKING_FEES_CACHE_TTL = parseInt(process.env.CACHE_BOOKING_FEES_TTL, 10) || 3600;
 
 /**
  * Booking Fee Service
@@ -94,25 +97,27 @@ class BookingFeeService {
     /**
      * Get active fee configurations for a property type
      * @param {string} propertyType - Property type
-     * @returns {Array} Active fee configurations
+     * @returns {Array} Active fee configurations (plain objects, cached)
      */
     async getActiveFees(propertyType = null) {
         try {
-            const where = { isActive: true };
+            return await remember(CACHE_NAMESPACES.BOOKING_FEES, { propertyType }, BOOKING_FEES_CACHE_TTL, async () => {
+                const where = { isActive: true };
 
-            if (propertyType) {
-                where[Op.or] = [
-                    { propertyType: propertyType },
-                    { propertyType: null }
-                ];
-            }
+                if (propertyType) {
+                    where[Op.or] = [
+                        { propertyType: propertyType },
+                        { propertyType: null }
+                    ];
+                }
 
-            const fees = await BookingFeeConfig.findAll({
-                where,
-                order: [['feeType', 'ASC'], ['createdAt', 'DESC']]
-            });
+                const fees = await BookingFeeConfig.findAll({
+                    where,
+                    order: [['feeType', 'ASC'], ['createdAt', 'DESC']]
+                });
 
-            return fees;
+                return fees.map(fee => fee.get({ plain: true }));
+            });
         } catch (error) {
             console.error('❌ Error fetching active fees:', error);
             return [];
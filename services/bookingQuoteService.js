@@ -0,0 +1,691 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { BookingQuote, Property, RoomType } from '../schema/index.js';
+import bookingFeeService from './bookingFeeService.js';
+import { checkDateRangeAvailability } from './availabilityService.js';
+import { priceStay, supportsPricingRules } from './pricingRuleService.js';
+import { evaluateCoupon, getQuoteCoupon, normalizeCode, recheckQuoteCoupon, redeemQuoteCoupon } from './couponService.js';
+
+/**
+ * Booking Quote Service
+ * Computes authoritative booking prices on the server and issues signed,
+ * time-limited quotes. Bookings and payment-first checkouts only accept
+ * amounts that come from a valid quote.
+ */
+
+const QUOTE_TTL_MINUTES = parseInt(process.env.BOOKING_QUOTE_TTL_MINUTES, 10) || 30;
+const QUOTE_SECRET = process.env.BOOKING_QUOTE_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+const AMOUNT_TOLERANCE = 0.01;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Booking types that are priced per stay and therefore require a quote
+export const QUOTED_BOOKING_TYPES = ['shortlet', 'rental', 'hotel'];
+
+// Client-supplied amount fields that must agree with the quote if present
+const PRICE_FIELDS = ['basePrice', 'serviceFee', 'taxAmount', 'discountAmount', 'totalPrice'];
+
+// Fee configs are keyed by listing type (rent/sale/shortlet/hotel)
+const FEE_PROPERTY_TYPE = {
+  shortlet: 'shortlet',
+  hotel: 'hotel',
+  rental: 'rent'
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const toDateString = (date) => {
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+  return parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Work out how many pricePeriod units a stay is billed for
+ * @param {string} pricePeriod - Property price period
+ * @param {number} nights - Number of nights in the stay
+ * @returns {number} Billable units
+ */
+const getBillableUnits = (pricePeriod, nights) => {
+  switch (pricePeriod) {
+    case 'per_month':
+      return Math.ceil(nights / 30);
+    case 'per_year':
+      return Math.ceil(nights / 365);
+    case 'one_time':
+      return 1;
+    case 'per_night':
+    default:
+      return nights;
+  }
+};
+
+const signQuote = (quote) => {
+  const payload = [
+    quote.id,
+    quote.userId,
+    quote.propertyId,
+    quote.bookingType,
+    quote.checkInDate,
+    quote.checkOutDate,
+    quote.numberOfNights,
+    quote.numberOfGuests,
+    quote.currency,
+    Number(quote.basePrice).toFixed(2),
+    Number(quote.serviceFee).toFixed(2),
+    Number(quote.taxAmount).toFixed(2),
+    Number(quote.platformFee).toFixed(2),
+    Number(quote.discountAmount).toFixed(2),
+    Number(quote.totalPrice).toFixed(2),
+    new Date(quote.expiresAt).toISOString()
+  ];
+  // Appended only for room bookings so quotes signed before room types existed still verify
+  if (quote.roomTypeId) {
+    payload.push(quote.roomTypeId, quote.roomUnits);
+  }
+  const signed = payload.join('|');
+
+  return crypto.createHmac('sha256', QUOTE_SECRET).update(signed).digest('hex');
+};
+
+const isSignatureValid = (quote) => {
+  const expected = Buffer.from(signQuote(quote), 'hex');
+  const actual = Buffer.from(quote.signature || '', 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Compute the stay price for a property. Nightly listings (shortlets, hotels)
+ * are priced night by night with the property's pricing rules; other price
+ * periods are billed per unit.
+ * @param {Object} property - Property instance
+ * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOutDate - Check-out date (YYYY-MM-DD)
+ * @returns {Object} Nights, billable units, base price and the per-night breakdown
+ */
+export const calculateStayPrice = async (property, checkInDate, checkOutDate) => {
+  const numberOfNights = Math.round((new Date(checkOutDate) - new Date(checkInDate)) / DAY_MS);
+  const pricePeriod = property.pricePeriod || 'per_night';
+  const unitPrice = roundAmount(property.price);
+  const billableUnits = getBillableUnits(pricePeriod, numberOfNights);
+
+  if (supportsPricingRules(property)) {
+    const pricing = await priceStay(property, checkInDate, checkOutDate);
+    return {
+      numberOfNights,
+      pricePeriod,
+      unitPrice,
+      billableUnits,
+      basePrice: pricing.subtotal,
+      nights: pricing.nights,
+      pricingRules: pricing.appliedRules
+    };
+  }
+
+  return {
+    numberOfNights,
+    pricePeriod,
+    unitPrice,
+    billableUnits,
+    basePrice: roundAmount(unitPrice * billableUnits),
+    nights: null,
+    pricingRules: []
+  };
+};
+
+/**
+ * Find the room type a hotel stay books. Hotels without room types are still
+ * booked as a whole; hotels with room types must be booked by room.
+ * @returns {Object} { error } result object, or { roomType, roomUnits } (roomType null for whole-property stays)
+ */
+const resolveRoomType = async (property, quoteData) => {
+  const roomUnits = parseInt(quoteData.roomUnits, 10) || 1;
+
+  if (!quoteData.roomTypeId) {
+    const roomTypeCount = property.listingType === 'hotel'
+      ? await RoomType.count({ where: { propertyId: property.id, isActive: true } })
+      : 0;
+    if (roomTypeCount > 0) {
+      return {
+        error: { success: false, message: 'Please choose a room type for this hotel', statusCode: 400 }
+      };
+    }
+    return { roomType: null, roomUnits: 1 };
+  }
+
+  const roomType = await RoomType.findOne({
+    where: { id: quoteData.roomTypeId, propertyId: property.id, isActive: true }
+  });
+  if (!roomType) {
+    return { error: { success: false, message: 'Room type not found', statusCode: 404 } };
+  }
+
+  const numberOfGuests = parseInt(quoteData.numberOfGuests, 10) || 1;
+  if (numberOfGuests > roomType.maxGuests * roomUnits) {
+    return {
+      error: {
+        success: false,
+        message: `${roomType.name} sleeps ${roomType.maxGuests} guest(s) per room; book more rooms for ${numberOfGuests} guests`,
+        statusCode: 400
+      }
+    };
+  }
+
+  return { roomType, roomUnits };
+};
+
+/**
+ * Price a stay the way a quote would, without saving anything
+ * @param {string} userId - User requesting the price
+ * @param {Object} quoteData - propertyId, bookingType, checkInDate, checkOutDate, numberOfGuests, roomTypeId, roomUnits, couponCode
+ * @returns {Object} { error } result object, or { pricing }
+ */
+const priceQuote = async (userId, quoteData) => {
+  const {
+    propertyId,
+    bookingType = 'shortlet'
+  } = quoteData;
+  if (!QUOTED_BOOKING_TYPES.includes(bookingType)) {
+    return {
+      error: {
+        success: false,
+        message: `Quotes are only available for ${QUOTED_BOOKING_TYPES.join(', ')} bookings`,
+        statusCode: 400
+      }
+    };
+  }
+
+  const checkInDate = toDateString(quoteData.checkInDate);
+  const checkOutDate = toDateString(quoteData.checkOutDate);
+
+  if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return {
+      error: {
+        success: false,
+        message: 'A valid check-in and check-out date range is required',
+        statusCode: 400
+      }
+    };
+  }
+
+  const property = await Property.findByPk(propertyId);
+  if (!property) {
+    return {
+      error: {
+        success: false,
+        message: 'Property not found',
+        statusCode: 404
+      }
+    };
+  }
+
+  if (property.status !== 'active' || property.listingType === 'sale') {
+    return {
+      error: {
+        success: false,
+        message: 'This property is not available for booking',
+        statusCode: 400
+      }
+    };
+  }
+
+  const room = await resolveRoomType(property, quoteData);
+  if (room.error) return { error: room.error };
+  const { roomType, roomUnits } = room;
+
+  // A room is priced like the property with the room rate as the nightly price, once per room booked
+  const stay = roomType
+    ? await calculateStayPrice({
+      id: property.id,
+      listingType: property.listingType,
+      pricePeriod: 'per_night',
+      price: roomType.price
+    }, checkInDate, checkOutDate)
+    : await calculateStayPrice(property, checkInDate, checkOutDate);
+  if (roomType) {
+    stay.basePrice = roundAmount(stay.basePrice * roomUnits);
+  }
+
+  if (bookingType !== 'rental') {
+    if (property.minStayNights && stay.numberOfNights < property.minStayNights) {
+      return {
+        error: {
+          success: false,
+          message: `Minimum stay for this property is ${property.minStayNights} night(s)`,
+          statusCode: 400
+        }
+      };
+    }
+
+    if (property.maxStayNights && stay.numberOfNights > property.maxStayNights) {
+      return {
+        error: {
+          success: false,
+          message: `Maximum stay for this property is ${property.maxStayNights} night(s)`,
+          statusCode: 400
+        }
+      };
+    }
+  }
+
+  if (stay.basePrice <= 0) {
+    return {
+      error: {
+        success: false,
+        message: 'This property does not have a bookable price',
+        statusCode: 400
+      }
+    };
+  }
+
+  const availabilityCheck = await checkDateRangeAvailability(
+    propertyId,
+    checkInDate,
+    checkOutDate,
+    roomType ? { roomTypeId: roomType.id, units: roomUnits } : {}
+  );
+  if (!availabilityCheck.available) {
+    return {
+      error: {
+        success: false,
+        message: roomType
+          ? `Not enough ${roomType.name} rooms are available for the selected dates`
+          : 'Property is not available for the selected dates',
+        details: availabilityCheck.conflictingDates,
+        statusCode: 409
+      }
+    };
+  }
+
+  const fees = await bookingFeeService.calculateFees(stay.basePrice, FEE_PROPERTY_TYPE[bookingType]);
+
+  const discounts = [];
+  if (quoteData.couponCode) {
+    const couponResult = await evaluateCoupon(quoteData.couponCode, {
+      userId,
+      property,
+      bookingType,
+      subtotal: stay.basePrice
+    });
+    if (!couponResult.success) {
+      return { error: couponResult };
+    }
+    discounts.push(couponResult.data.discount);
+  }
+
+  const discountAmount = roundAmount(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const totalPrice = roundAmount(stay.basePrice + fees.serviceFee + fees.taxAmount - discountAmount);
+
+  return {
+    pricing: {
+      property,
+      bookingType,
+      checkInDate,
+      checkOutDate,
+      roomType,
+      roomUnits,
+      stay,
+      fees,
+      discounts,
+      discountAmount,
+      totalPrice
+    }
+  };
+};
+
+/**
+ * Create a signed price quote for a stay
+ * @param {string} userId - User requesting the quote
+ * @param {Object} quoteData - propertyId, bookingType, checkInDate, checkOutDate, numberOfGuests, couponCode
+ * @returns {Object} Result object
+ */
+export const createQuote = async (userId, quoteData) => {
+  try {
+    const { error, pricing } = await priceQuote(userId, quoteData);
+    if (error) return error;
+
+    const {
+      property,
+      bookingType,
+      checkInDate,
+      checkOutDate,
+      roomType,
+      roomUnits,
+      stay,
+      fees,
+      discounts,
+      discountAmount,
+      totalPrice
+    } = pricing;
+
+    const expiresAt = new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000);
+    // DATETIME columns drop milliseconds; keep the signed value identical to the stored one
+    expiresAt.setMilliseconds(0);
+
+    const quote = BookingQuote.build({
+      userId,
+      propertyId: property.id,
+      bookingType,
+      checkInDate,
+      checkOutDate,
+      numberOfNights: stay.numberOfNights,
+      numberOfGuests: parseInt(quoteData.numberOfGuests, 10) || 1,
+      roomTypeId: roomType?.id || null,
+      roomUnits,
+      currency: property.currency || 'NGN',
+      unitPrice: stay.unitPrice,
+      pricePeriod: stay.pricePeriod,
+      billableUnits: stay.billableUnits,
+      basePrice: stay.basePrice,
+      serviceFee: fees.serviceFee,
+      taxAmount: fees.taxAmount,
+      platformFee: fees.platformFee,
+      discountAmount,
+      totalPrice,
+      couponId: discounts.find((discount) => discount.type === 'coupon')?.couponId || null,
+      breakdown: {
+        base: {
+          unitPrice: stay.unitPrice,
+          pricePeriod: stay.pricePeriod,
+          units: stay.billableUnits,
+          amount: stay.basePrice,
+          nights: stay.nights,
+          pricingRules: stay.pricingRules,
+          room: roomType ? { roomTypeId: roomType.id, name: roomType.name, units: roomUnits } : null
+        },
+        fees: {
+          serviceFee: fees.serviceFee,
+          taxAmount: fees.taxAmount,
+          platformFee: fees.platformFee
+        },
+        discounts
+      },
+      expiresAt,
+      status: 'active'
+    });
+    quote.signature = signQuote(quote);
+    await quote.save();
+
+    return {
+      success: true,
+      message: 'Quote created successfully',
+      data: { quote },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Error creating booking quote:', error);
+    return {
+      success: false,
+      message: 'Failed to create quote',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Check a coupon against a stay and show the discounted price. Nothing is
+ * saved; the guest still requests a quote with the same couponCode to book.
+ * @param {string} userId - User applying the coupon
+ * @param {Object} quoteData - Same fields as createQuote, couponCode required
+ * @returns {Object} Result object
+ */
+export const previewCoupon = async (userId, quoteData) => {
+  try {
+    if (!quoteData.couponCode) {
+      return {
+        success: false,
+        message: 'Coupon code is required',
+        statusCode: 400
+      };
+    }
+
+    const { error, pricing } = await priceQuote(userId, quoteData);
+    if (error) return error;
+
+    const { property, stay, fees, discounts, discountAmount, totalPrice } = pricing;
+    const coupon = discounts.find((discount) => discount.type === 'coupon');
+
+    return {
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        coupon: {
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+          discountAmount: coupon.amount
+        },
+        pricing: {
+          currency: property.currency || 'NGN',
+          numberOfNights: stay.numberOfNights,
+          basePrice: stay.basePrice,
+          serviceFee: fees.serviceFee,
+          taxAmount: fees.taxAmount,
+          discountAmount,
+          totalPrice,
+          totalBeforeDiscount: roundAmount(totalPrice + discountAmount)
+        }
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    return {
+      success: false,
+      message: 'Failed to apply coupon',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Load a quote and make sure it can be honoured for this user and payload
+ * @param {string} quoteId - Quote ID
+ * @param {string} userId - User who is booking
+ * @param {Object} bookingData - Incoming booking payload (used to detect tampered totals)
+ * @param {Object} options - { transaction }
+ * @returns {Object} Result object with the quote on success
+ */
+export const resolveQuote = async (quoteId, userId, bookingData = {}, options = {}) => {
+  if (!quoteId) {
+    return {
+      success: false,
+      message: 'A valid quoteId is required. Request a quote via POST /api/bookings/quote first.',
+      statusCode: 400
+    };
+  }
+
+  const quote = await BookingQuote.findByPk(quoteId, {
+    transaction: options.transaction,
+    lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
+  });
+
+  if (!quote || quote.userId !== userId) {
+    return {
+      success: false,
+      message: 'Quote not found',
+      statusCode: 404
+    };
+  }
+
+  if (!isSignatureValid(quote)) {
+    console.error('❌ [QUOTE SERVICE] Signature mismatch for quote:', quote.id);
+    return {
+      success: false,
+      message: 'Quote is invalid',
+      statusCode: 400
+    };
+  }
+
+  if (quote.status === 'consumed') {
+    return {
+      success: false,
+      message: 'Quote has already been used',
+      statusCode: 409
+    };
+  }
+
+  // Reserved by a payment in progress; that payment books it when it settles
+  if (quote.paymentReference) {
+    return {
+      success: false,
+      message: 'Quote is already being paid for. Please request a new quote.',
+      statusCode: 409
+    };
+  }
+
+  if (quote.status === 'expired' || new Date(quote.expiresAt) <= new Date()) {
+    if (quote.status !== 'expired') {
+      await quote.update({ status: 'expired' }, { transaction: options.transaction });
+    }
+    return {
+      success: false,
+      message: 'Quote has expired. Please request a new quote.',
+      statusCode: 410
+    };
+  }
+
+  const mismatches = [];
+
+  if (bookingData.propertyId && bookingData.propertyId !== quote.propertyId) {
+    mismatches.push('propertyId');
+  }
+  if (bookingData.bookingType && bookingData.bookingType !== quote.bookingType) {
+    mismatches.push('bookingType');
+  }
+  if (bookingData.checkInDate && toDateString(bookingData.checkInDate) !== quote.checkInDate) {
+    mismatches.push('checkInDate');
+  }
+  if (bookingData.checkOutDate && toDateString(bookingData.checkOutDate) !== quote.checkOutDate) {
+    mismatches.push('checkOutDate');
+  }
+  if (bookingData.roomTypeId && bookingData.roomTypeId !== quote.roomTypeId) {
+    mismatches.push('roomTypeId');
+  }
+  if (bookingData.roomUnits && parseInt(bookingData.roomUnits, 10) !== quote.roomUnits) {
+    mismatches.push('roomUnits');
+  }
+
+  PRICE_FIELDS.forEach((field) => {
+    const supplied = bookingData[field];
+    if (supplied === undefined || supplied === null || supplied === '') return;
+    if (Math.abs(Number(supplied) - Number(quote[field])) > AMOUNT_TOLERANCE) {
+      mismatches.push(field);
+    }
+  });
+
+  // The coupon is fixed when the quote is issued; a different code needs a new quote
+  const quoteCoupon = getQuoteCoupon(quote);
+  if (bookingData.couponCode && normalizeCode(bookingData.couponCode) !== quoteCoupon?.code) {
+    mismatches.push('couponCode');
+  }
+
+  if (mismatches.length > 0) {
+    return {
+      success: false,
+      message: 'Booking details do not match the quote',
+      data: {
+        mismatches: mismatches.map((field) => ({
+          field,
+          expected: field === 'couponCode' ? quoteCoupon?.code || null : quote[field]
+        }))
+      },
+      statusCode: 400
+    };
+  }
+
+  if (quoteCoupon) {
+    const couponCheck = await recheckQuoteCoupon(quote, options);
+    if (!couponCheck.success) {
+      return couponCheck;
+    }
+  }
+
+  return {
+    success: true,
+    message: 'Quote is valid',
+    data: { quote },
+    statusCode: 200
+  };
+};
+
+/**
+ * Reserve a quote for a Paystack payment so it cannot back another payment or
+ * booking while that one is in progress
+ * @param {string} quoteId - Quote ID
+ * @param {string} paymentReference - Paystack reference of the payment
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {boolean} True if this call reserved the quote
+ */
+export const reserveQuote = async (quoteId, paymentReference, transaction = null) => {
+  const [updated] = await BookingQuote.update(
+    { paymentReference },
+    {
+      where: {
+        id: quoteId,
+        status: 'active',
+        paymentReference: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      transaction
+    }
+  );
+
+  return updated > 0;
+};
+
+/**
+ * Give a reserved quote back when its payment could not be started
+ * @param {string} quoteId - Quote ID
+ * @param {string} paymentReference - Reference the quote was reserved for
+ */
+export const releaseQuote = async (quoteId, paymentReference) => {
+  await BookingQuote.update(
+    { paymentReference: null },
+    { where: { id: quoteId, status: 'active', paymentReference } }
+  );
+};
+
+/**
+ * Mark a quote as used so it cannot back a second booking, and record the
+ * redemption of its coupon against that booking
+ * @param {string} quoteId - Quote ID
+ * @param {string} bookingId - Booking created from the quote
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {boolean} True if the quote was consumed by this call
+ */
+export const consumeQuote = async (quoteId, bookingId, transaction = null) => {
+  const [updated] = await BookingQuote.update(
+    {
+      status: 'consumed',
+      consumedAt: new Date(),
+      bookingId
+    },
+    {
+      // Expired quotes can still be consumed: a payment started in time may settle after expiry
+      where: { id: quoteId, status: { [Op.ne]: 'consumed' } },
+      transaction
+    }
+  );
+
+  if (updated > 0) {
+    const quote = await BookingQuote.findByPk(quoteId, { transaction });
+    await redeemQuoteCoupon(quote, bookingId, transaction);
+  }
+
+  return updated > 0;
+};
+
+export default {
+  createQuote,
+  previewCoupon,
+  resolveQuote,
+  reserveQuote,
+  releaseQuote,
+  consumeQuote,
+  calculateStayPrice
+};
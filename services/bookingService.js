@@ -8,11 +8,16 @@ import {
   checkDateRangeAvailability
 } from './availabilityService.js';
 import { sendTemplateNotification } from './notificationService.js';
-import { sendEmail } from '../modules/notifications/email.js';
+import { dispatchEmail } from './notificationPolicyService.js';
 import Payment from '../schema/Payment.js';
 import sequelize from '../database/db.js';
 import { generateBookingReceiptPDF } from './pdfService.js';
 import amadeusService from './amadeusService.js';
+import { QUOTED_BOOKING_TYPES, resolveQuote, consumeQuote } from './bookingQuoteService.js';
+import { CANCELLATION_POLICIES, resolveCancellationRefund, applyRefund } from './cancellationPolicyService.js';
+import { recheckQuoteCoupon, reverseRedemption } from './couponService.js';
+import { checkRoomTypeAvailability } from './roomTypeService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
 
 /**
  * Create a new booking
@@ -78,24 +83,55 @@ export const createBooking = async (userId, bookingData) => {
     const {
       propertyId,
       bookingType,
-      checkInDate,
-      checkOutDate,
       inspectionDate,
       inspectionTime,
-      numberOfNights,
       numberOfGuests,
+      quoteId,
+      guestName,
+      guestPhone,
+      guestEmail,
+      specialRequests
+    } = bookingData;
+
+    let {
+      checkInDate,
+      checkOutDate,
+      numberOfNights,
       basePrice,
       totalPrice,
       currency = 'NGN',
       serviceFee = 0,
       taxAmount = 0,
-      discountAmount = 0,
-      guestName,
-      guestPhone,
-      guestEmail,
-      specialRequests
+      discountAmount = 0
     } = bookingData;
 
+    // Stay bookings are priced from a server-issued quote; client totals are only checked against it
+    let quote = null;
+    let roomTypeId = null;
+    let roomUnits = 1;
+    if (QUOTED_BOOKING_TYPES.includes(bookingType)) {
+      const quoteResult = await resolveQuote(quoteId, userId, bookingData);
+      if (!quoteResult.success) {
+        return quoteResult;
+      }
+
+      quote = quoteResult.data.quote;
+      ({
+        checkInDate,
+        checkOutDate,
+        numberOfNights,
+        basePrice,
+        totalPrice,
+        currency,
+        serviceFee,
+        taxAmount,
+        discountAmount,
+        roomTypeId,
+        roomUnits
+      } = quote);
+      console.log('🧾 [BOOKING SERVICE] Using quote:', quote.id);
+    }
+
     console.log('📋 [BOOKING SERVICE] Extracted booking data:', {
       propertyId,
       bookingType,
@@ -150,7 +186,12 @@ export const createBooking = async (userId, bookingData) => {
     if (bookingType === 'shortlet' || bookingType === 'rental' || bookingType === 'hotel') {
       console.log('🔍 [BOOKING SERVICE] Checking availability for:', { propertyId, checkInDate, checkOutDate });
       // Check availability using the new availability service
-      const availabilityCheck = await checkDateRangeAvailability(propertyId, checkInDate, checkOutDate);
+      const availabilityCheck = await checkDateRangeAvailability(
+        propertyId,
+        checkInDate,
+        checkOutDate,
+        roomTypeId ? { roomTypeId, units: roomUnits } : {}
+      );
       console.log('📊 [BOOKING SERVICE] Availability check result:', availabilityCheck);
 
       if (!availabilityCheck.available) {
@@ -163,8 +204,9 @@ export const createBooking = async (userId, bookingData) => {
       }
 
       // Also check for existing paid/confirmed bookings as a fallback
-      // Check 'confirmed' and 'in_progress' (paid) statuses to prevent double bookings
-      const conflictingBooking = await Booking.findOne({
+      // Check 'confirmed' and 'in_progress' (paid) statuses to prevent double bookings.
+      // Room bookings share the hotel with other guests; their units were counted above.
+      const conflictingBooking = !roomTypeId && await Booking.findOne({
         where: {
           propertyId,
           status: { [Op.in]: ['confirmed', 'in_progress'] },
@@ -357,6 +399,23 @@ export const createBooking = async (userId, bookingData) => {
         email: userCheckResult.email
       });
 
+      // Count the room type's units again with its row locked, so two checkouts cannot take the last room
+      if (roomTypeId) {
+        const roomCheck = await checkRoomTypeAvailability(roomTypeId, checkInDate, checkOutDate, roomUnits, {
+          propertyId,
+          transaction
+        });
+        if (!roomCheck.available) {
+          await transaction.rollback();
+          return {
+            success: false,
+            message: 'Not enough rooms of this type are left for the selected dates',
+            details: roomCheck.conflictingDates,
+            statusCode: 409
+          };
+        }
+      }
+
       // Create booking
       console.log('📝 [BOOKING SERVICE] Creating booking with data:', {
         userId,
@@ -388,6 +447,8 @@ export const createBooking = async (userId, bookingData) => {
         inspectionTime: inspectionTime || null,
         numberOfNights: numberOfNights || null,
         numberOfGuests: numberOfGuests || 1,
+        roomTypeId: roomTypeId || null,
+        roomUnits: roomUnits || 1,
         basePrice: Number(basePrice),
         totalPrice: Number(totalPrice),
         currency: currency || 'NGN',
@@ -399,13 +460,33 @@ export const createBooking = async (userId, bookingData) => {
         guestEmail: guestEmail || null,
         specialRequests: specialRequests || null,
         status: 'pending',
-        paymentStatus: 'pending'
+        paymentStatus: 'pending',
+        metadata: quote ? { quoteId: quote.id } : null
       };
 
       console.log('💾 [BOOKING SERVICE] Booking payload:', JSON.stringify(bookingPayload, null, 2));
       const booking = await Booking.create(bookingPayload, { transaction });
       console.log('✅ [BOOKING SERVICE] Booking created successfully:', booking.id);
 
+      if (quote) {
+        // Holds the coupon row until commit so concurrent bookings cannot overshoot its caps
+        const couponCheck = await recheckQuoteCoupon(quote, { transaction });
+        if (!couponCheck.success) {
+          await transaction.rollback();
+          return couponCheck;
+        }
+
+        const consumed = await consumeQuote(quote.id, booking.id, transaction);
+        if (!consumed) {
+          await transaction.rollback();
+          return {
+            success: false,
+            message: 'Quote has already been used',
+            statusCode: 409
+          };
+        }
+      }
+
       // Note: Dates will be blocked only after successful payment confirmation
       // This happens in the payment webhook/callback or confirmBooking function
 
@@ -1027,7 +1108,7 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
 
     const isGuest = booking.userId === userId;
     const isOwner = booking.ownerId === userId;
-    const isAdmin = user.role === 'admin';
+    const isAdmin = hasPermission(user, 'bookings.manage');
 
     if (!isGuest && !isOwner && !isAdmin) {
       return {
@@ -1046,58 +1127,56 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
       };
     }
 
-    // Process refund if payment was made
+    // Frozen funds belong to the dispute until an admin resolves it
+    if (booking.walletStatus === 'frozen') {
+      return {
+        success: false,
+        message: 'Booking has an open dispute and cannot be cancelled until it is resolved',
+        statusCode: 409
+      };
+    }
+
+    // Process refund if payment was made, split according to the property's cancellation policy
     let refundProcessed = false;
+    let refund = null;
+    let walletStatus = booking.walletStatus;
     if (['completed', 'partial'].includes(booking.paymentStatus) && booking.totalPrice > 0) {
       try {
-        console.log(`💰 Processing refund for booking ${bookingId}, amount: ${booking.totalPrice}`);
-
-        const walletService = (await import('./walletService.js')).default;
-
-        // ✨ NEW: Handle pending balance refund
-        if (booking.walletStatus === 'pending' && booking.walletTransactionId) {
-          console.log('💰 Debiting landlord pending balance for cancelled booking');
+        const cancelledBy = isGuest ? 'guest' : isOwner ? 'owner' : 'admin';
+        refund = await resolveCancellationRefund(booking, cancelledBy, userId);
+        await booking.update({ metadata: { ...(booking.metadata || {}), refund } });
 
-          // Get the original wallet transaction to find the amount
-          const WalletTransaction = (await import('../schema/WalletTransaction.js')).default;
-          const walletTxn = await WalletTransaction.findByPk(booking.walletTransactionId);
+        console.log(`💰 Processing ${refund.policy} policy refund for booking ${bookingId}: guest ${refund.guestRefund}, landlord ${refund.landlordCompensation}, platform ${refund.platformRetained}`);
 
-          if (walletTxn) {
-            // Debit landlord's pending balance
-            await walletService.debitPending(
-              booking.ownerId,
-              walletTxn.amount,
-              booking.id,
-              `Booking cancelled: ${cancellationReason || 'No reason provided'}`
-            );
-
-            console.log(`✅ Landlord pending balance debited: ${walletTxn.amount}`);
-          }
-        }
-
-        // Refund user (via Paystack or wallet)
-        await walletService.processRefund(
-          booking.userId,
-          booking.totalPrice,
-          `Refund for cancelled booking #${bookingId.substring(0, 8)}`,
-          bookingId
-        );
+        ({ walletStatus } = await applyRefund(
+          booking,
+          refund,
+          `Booking cancelled: ${cancellationReason || 'No reason provided'}`
+        ));
 
         refundProcessed = true;
         console.log(`✅ Refund processed successfully for booking ${bookingId}`);
       } catch (refundError) {
         console.error('❌ Error processing refund for cancelled booking:', refundError);
-        // Continue with cancellation even if refund fails
+        // Leave the booking open so the cancellation can be retried; the wallet movements are keyed on it
+        return {
+          success: false,
+          message: 'The refund could not be processed. Please try cancelling again.',
+          error: refundError.message,
+          statusCode: 500
+        };
       }
     }
 
     // Update booking status
     await booking.update({
       status: 'cancelled',
-      paymentStatus: refundProcessed ? 'refunded' : booking.paymentStatus,
+      paymentStatus: refundProcessed && refund.guestRefund > 0 ? 'refunded' : booking.paymentStatus,
+      walletStatus,
       cancellationReason,
       cancelledBy: userId,
-      cancelledAt: new Date()
+      cancelledAt: new Date(),
+      metadata: refund ? { ...(booking.metadata || {}), refund } : booking.metadata
     });
 
     // Unblock dates for the cancelled booking
@@ -1110,6 +1189,13 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
       }
     }
 
+    // Give the coupon use back to the guest
+    try {
+      await reverseRedemption(booking.id, cancellationReason || 'Booking cancelled');
+    } catch (couponError) {
+      console.error('Error reversing coupon redemption for cancelled booking:', couponError);
+    }
+
     // Fetch updated booking with relations
     const updatedBooking = await Booking.findByPk(bookingId, {
       include: [
@@ -1152,17 +1238,15 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
           property: updatedBooking.property
         });
 
-        // Send refund email if refund was processed
-        if (refundProcessed) {
-          const { sendEmail } = await import('../modules/notifications/email.js');
-          await sendEmail({
-            to: guest.email,
+        // Send refund email if money was returned to the guest
+        if (refundProcessed && refund.guestRefund > 0) {
+          await dispatchEmail(guest, {
             subject: 'Booking Cancelled - Refund Processed 💰',
-            html: `
+            text: `
               <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <h2 style="color: #10b981;">Booking Cancelled & Refunded</h2>
                 <p>Dear ${guest.firstName},</p>
-                <p>Your booking has been cancelled and a full refund has been processed to your wallet.</p>
+                <p>Your booking has been cancelled and ${refund.refundPercent === 100 ? 'a full refund' : `a ${refund.refundPercent}% refund under the ${CANCELLATION_POLICIES[refund.policy].label.toLowerCase()} cancellation policy`} has been processed to your wallet.</p>
                 
                 <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
                   <h3 style="margin-top: 0;">Booking Details:</h3>
@@ -1175,7 +1259,7 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
                 
                 <div style="background: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
                   <h3 style="margin-top: 0; color: #10b981;">Refund Processed</h3>
-                  <p style="margin: 0;"><strong>Amount Refunded:</strong> ₦${parseFloat(booking.totalPrice).toLocaleString('en-NG', { minimumFractionDigits: 2 })}</p>
+                  <p style="margin: 0;"><strong>Amount Refunded:</strong> ₦${refund.guestRefund.toLocaleString('en-NG', { minimumFractionDigits: 2 })}</p>
                   <p style="margin: 10px 0 0 0;">The funds have been credited to your AWARI wallet and are available for immediate use.</p>
                 </div>
                 
@@ -1188,7 +1272,7 @@ export const cancelBooking = async (bookingId, userId, cancellationReason = null
                 </p>
               </div>
             `
-          });
+          }, { category: 'payment', mandatory: true });
           console.log('✅ Refund notification email sent to user');
         }
       }
@@ -1242,7 +1326,7 @@ export const confirmBooking = async (bookingId, userId, ownerNotes = null) => {
     }
 
     const isOwner = booking.ownerId === userId;
-    const isAdmin = user.role === 'admin';
+    const isAdmin = hasPermission(user, 'bookings.manage');
 
     if (!isOwner && !isAdmin) {
       return {
@@ -1261,11 +1345,38 @@ export const confirmBooking = async (bookingId, userId, ownerNotes = null) => {
       };
     }
 
-    // Update booking status
-    await booking.update({
-      status: 'confirmed',
-      ownerNotes
-    });
+    // An unpaid pending room booking stops holding its room after a while; make sure one is still free
+    const transaction = await sequelize.transaction();
+    try {
+      if (booking.roomTypeId && booking.status === 'pending') {
+        const availabilityCheck = await checkDateRangeAvailability(
+          booking.propertyId,
+          booking.checkInDate,
+          booking.checkOutDate,
+          { roomTypeId: booking.roomTypeId, units: booking.roomUnits, excludeBookingId: booking.id, transaction }
+        );
+
+        if (!availabilityCheck.available) {
+          await transaction.rollback();
+          return {
+            success: false,
+            message: 'Not enough rooms of this type are left for the booked dates',
+            details: availabilityCheck.conflictingDates,
+            statusCode: 409
+          };
+        }
+      }
+
+      // Update booking status
+      await booking.update({
+        status: 'confirmed',
+        ownerNotes
+      }, { transaction });
+      await transaction.commit();
+    } catch (confirmError) {
+      if (!transaction.finished) await transaction.rollback();
+      throw confirmError;
+    }
 
     // Block dates for the confirmed booking
     if (booking.bookingType === 'shortlet' || booking.bookingType === 'rental' || booking.bookingType === 'hotel') {
@@ -1424,6 +1535,12 @@ export const rejectBooking = async (bookingId, userId, ownerNotes = null) => {
       failureReason: ownerNotes || 'Booking rejected by property owner'
     });
 
+    try {
+      await reverseRedemption(booking.id, 'Booking rejected by property owner');
+    } catch (couponError) {
+      console.error('Error reversing coupon redemption for rejected booking:', couponError);
+    }
+
     // Fetch updated booking with relations
     const updatedBooking = await Booking.findByPk(bookingId, {
       include: [
@@ -1463,10 +1580,9 @@ export const rejectBooking = async (bookingId, userId, ownerNotes = null) => {
         });
 
         // Send email notification
-        await sendEmail({
-          to: guest.email,
+        await dispatchEmail(guest, {
           subject: `Booking Rejected - ${updatedBooking.property.title}`,
-          html: `
+          text: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
               <h2 style="color: #dc2626;">Booking Rejected</h2>
               <p>Dear ${guest.firstName},</p>
@@ -1492,7 +1608,7 @@ export const rejectBooking = async (bookingId, userId, ownerNotes = null) => {
               </div>
             </div>
           `
-        });
+        }, { category: 'booking', mandatory: true });
         console.log('✅ Rejection notification sent to guest');
       }
     } catch (notificationError) {
@@ -1725,12 +1841,11 @@ export const sendBookingReceipt = async (booking, user, payment = null) => {
     const subject = `Booking Receipt - ${bookingWithRelations.property?.title || 'Your Booking'}`;
     const text = `Thank you for your booking. Your receipt is attached. Booking ID: ${booking.id}`;
 
-    const emailSent = await sendEmail(
-      user.email,
-      subject,
-      text,
-      'booking-receipt',
-      context
+    // Receipts are transactional and always delivered
+    const { sent: emailSent } = await dispatchEmail(
+      user,
+      { subject, text, template: 'booking-receipt', context },
+      { category: 'payment', mandatory: true }
     );
 
     if (emailSent) {
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import redisClient, { isRedisReady } from '../config/redis.js';
+
+/**
+ * Cache Service
+ * Read-through cache for hot reads. Entries live under a namespace and are
+ * keyed by a hash of the query parameters. Invalidating a namespace bumps its
+ * version number, so every key written under the old version stops being read
+ * and expires on its own TTL. Redis is used when it is connected; otherwise
+ * (no REDIS_URL, tests, Redis down) entries are kept in process memory.
+ */
+
+export const CACHE_NAMESPACES = {
+  PROPERTY_SEARCH: 'properties:search',
+  PROPERTY_DETAIL: 'properties:detail',
+  RATING_SUMMARY: 'reviews:summary',
+  BOOKING_FEES: 'booking-fees',
+  CMS_CONTENT: 'cms:content'
+};
+
+const KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'awari';
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 1000;
+
+const memoryEntries = new Map();
+const memoryVersions = new Map();
+
+const useRedis = () => process.env.NODE_ENV !== 'test' && isRedisReady();
+
+const versionKey = (namespace) => `${KEY_PREFIX}:cache:ns:${namespace}`;
+
+const hashParams = (params) => {
+  const serialized = JSON.stringify(params ?? null, (key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.keys(value).sort().reduce((sorted, name) => {
+        sorted[name] = value[name];
+        return sorted;
+      }, {})
+      : value
+  ));
+  return crypto.createHash('sha1').update(serialized).digest('hex');
+};
+
+const getVersion = async (namespace) => {
+  if (useRedis()) {
+    return (await redisClient.get(versionKey(namespace))) || '0';
+  }
+  return String(memoryVersions.get(namespace) || 0);
+};
+
+const entryKey = async (namespace, params) => {
+  const version = await getVersion(namespace);
+  return `${KEY_PREFIX}:cache:${namespace}:v${version}:${hashParams(params)}`;
+};
+
+const readEntry = async (key) => {
+  if (useRedis()) {
+    const raw = await redisClient.get(key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  const entry = memoryEntries.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    memoryEntries.delete(key);
+    return undefined;
+  }
+  return entry.value;
+};
+
+const writeEntry = async (key, value, ttlSeconds) => {
+  if (useRedis()) {
+    await redisClient.set(key, JSON.stringify(value), 'EX', ttlSeconds);
+    return;
+  }
+
+  // Evict the oldest entry once the in-memory store is full
+  if (memoryEntries.size >= MEMORY_MAX_ENTRIES) {
+    memoryEntries.delete(memoryEntries.keys().next().value);
+  }
+  memoryEntries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+/**
+ * Return the cached value for a query, loading and storing it on a miss.
+ * Cache failures never fail the read: the loader result is returned instead.
+ * @param {string} namespace - One of CACHE_NAMESPACES
+ * @param {*} params - Anything identifying the query (serialized into the key)
+ * @param {number} ttlSeconds - Time to live
+ * @param {Function} loader - Async function producing a JSON-serializable value
+ * @returns {*} Cached or freshly loaded value
+ */
+export const remember = async (namespace, params, ttlSeconds, loader) => {
+  if (!CACHE_ENABLED) {
+    return loader();
+  }
+
+  let key;
+  try {
+    key = await entryKey(namespace, params);
+    const cached = await readEntry(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+  } catch (error) {
+    console.error(`⚠️ Cache read failed for ${namespace}:`, error.message);
+    return loader();
+  }
+
+  const value = await loader();
+
+  if (value !== undefined) {
+    try {
+      await writeEntry(key, value, ttlSeconds);
+    } catch (error) {
+      console.error(`⚠️ Cache write failed for ${namespace}:`, error.message);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Drop every cached entry in the given namespaces
+ * @param {...string} namespaces - Namespaces to invalidate
+ */
+export const invalidateNamespace = async (...namespaces) => {
+  for (const namespace of namespaces) {
+    memoryVersions.set(namespace, (memoryVersions.get(namespace) || 0) + 1);
+
+    if (useRedis()) {
+      try {
+        await redisClient.incr(versionKey(namespace));
+      } catch (error) {
+        console.error(`⚠️ Cache invalidation failed for ${namespace}:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Invalidate property listings and details (property or media changes)
+ */
+export const invalidatePropertyCache = () =>
+  invalidateNamespace(CACHE_NAMESPACES.PROPERTY_SEARCH, CACHE_NAMESPACES.PROPERTY_DETAIL);
+
+/**
+ * Invalidate rating summaries and the property pages that embed ratings
+ */
+export const invalidateReviewCache = () =>
+  invalidateNamespace(
+    CACHE_NAMESPACES.RATING_SUMMARY,
+    CACHE_NAMESPACES.PROPERTY_SEARCH,
+    CACHE_NAMESPACES.PROPERTY_DETAIL
+  );
+
+/**
+ * Invalidate active booking fee configurations
+ */
+export const invalidateBookingFeeCache = () =>
+  invalidateNamespace(CACHE_NAMESPACES.BOOKING_FEES);
+
+/**
+ * Invalidate public site content (FAQs, banners, announcements, pages)
+ */
+export const invalidateContentCache = () =>
+  invalidateNamespace(CACHE_NAMESPACES.CMS_CONTENT);
+
+export default {
+  CACHE_NAMESPACES,
+  remember,
+  invalidateNamespace,
+  invalidatePropertyCache,
+  invalidateReviewCache,
+  invalidateBookingFeeCache,
+  invalidateContentCache
+};
@@ -0,0 +1,661 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { Op } from 'sequelize';
+import { CalendarFeed, CalendarExport, Property, PropertyAvailability } from '../schema/index.js';
+import { blockMultipleDates } from './availabilityService.js';
+import { parseICal, getEventNights, buildICal } from './icalService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Calendar Sync Service
+ * Keeps a listing's availability in step with the same listing on other
+ * channels (Airbnb, Booking.com, ...):
+ *   - export: a per-property iCal feed of booked and blocked nights, served
+ *     from a secret token URL the landlord pastes into the other channel
+ *   - import: iCal URLs from other channels, polled by a cron job. Their
+ *     nights are blocked with reason external_sync and tagged with the feed,
+ *     so nights that disappear from the source can be released again.
+ *
+ * Imported blocks are left out of the export so two channels never echo
+ * each other's blocks back and forth.
+ */
+
+const SYNC_HORIZON_DAYS = parseInt(process.env.ICAL_SYNC_HORIZON_DAYS, 10) || 365;
+const EXPORT_PAST_DAYS = 30;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_FEEDS_PER_PROPERTY = 10;
+const API_URL = process.env.API_URL || 'http://localhost:8000';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const addDays = (dateString, days) =>
+  new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Load a property the user may manage
+ */
+const loadManagedProperty = async (propertyId, user) => {
+  const property = await Property.findByPk(propertyId);
+  if (!property) {
+    return { error: { success: false, message: 'Property not found', statusCode: 404 } };
+  }
+
+  if (property.ownerId !== user.id && property.agentId !== user.id && !hasPermission(user, 'listings.manage')) {
+    return { error: { success: false, message: 'Unauthorized to manage the calendar of this property', statusCode: 403 } };
+  }
+
+  return { property };
+};
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice(7));
+  }
+  return normalized === '::' || normalized === '::1' ||
+    /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+};
+
+/**
+ * Normalize a feed URL and make sure it points at a public host, so feed
+ * URLs cannot be used to reach internal services
+ * @param {string} url - URL as entered (webcal:// is accepted)
+ * @returns {string} https or http URL
+ */
+const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new Error('Calendar URL is not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Calendar URL must use http, https or webcal');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+
+  if (addresses.length === 0) {
+    throw new Error(`Could not resolve ${hostname}`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Calendar URL must point to a public address');
+  }
+
+  return parsed.toString();
+};
+
+/**
+ * Download an iCal feed. Redirects are followed by hand so every hop is
+ * checked with assertPublicUrl.
+ * @param {string} url - Feed URL
+ * @returns {string} iCal document
+ */
+const fetchFeed = async (url) => {
+  let target = await assertPublicUrl(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    const response = await axios.get(target, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FEED_BYTES,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: (status) => status >= 200 && status < 400,
+      headers: {
+        Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.1',
+        'User-Agent': 'AWARI-Calendar-Sync/1.0'
+      }
+    });
+
+    if (response.status >= 300) {
+      if (!response.headers.location) {
+        throw new Error(`Calendar server answered ${response.status} without a location`);
+      }
+      target = await assertPublicUrl(new URL(response.headers.location, target).toString());
+      continue;
+    }
+
+    const body = String(response.data || '');
+    if (!body.includes('BEGIN:VCALENDAR')) {
+      throw new Error('The URL did not return an iCal calendar');
+    }
+    return body;
+  }
+
+  throw new Error('Too many redirects');
+};
+
+const describeFetchError = (error) => {
+  if (error.response) return `Calendar server answered ${error.response.status}`;
+  if (error.code === 'ECONNABORTED') return 'Calendar server did not answer in time';
+  if (error.code === 'ENOTFOUND') return 'Calendar host could not be found';
+  if (error.code === 'ERR_BAD_RESPONSE' || /maxContentLength/i.test(error.message)) {
+    return 'Calendar is too large';
+  }
+  return error.message;
+};
+
+/**
+ * Block the nights of a feed's events and release nights the source no
+ * longer lists. Only future nights inside the sync horizon are touched.
+ * @param {Object} feed - CalendarFeed instance
+ * @param {string} document - iCal document
+ * @returns {Object} Summary { events, blockedDates, added, removed, conflicts }
+ */
+const reconcileFeed = async (feed, document) => {
+  const from = today();
+  const until = addDays(from, SYNC_HORIZON_DAYS);
+
+  const events = parseICal(document).filter((event) => event.status !== 'CANCELLED');
+  const wanted = new Set(
+    events
+      .flatMap(getEventNights)
+      .filter((date) => date >= from && date < until)
+  );
+
+  const existing = await PropertyAvailability.findAll({
+    where: {
+      propertyId: feed.propertyId,
+      calendarFeedId: feed.id,
+      isActive: true,
+      date: { [Op.gte]: from }
+    },
+    attributes: ['id', 'date']
+  });
+  const existingDates = new Set(existing.map((record) => record.date));
+
+  const stale = existing.filter((record) => !wanted.has(record.date));
+  if (stale.length > 0) {
+    await PropertyAvailability.update(
+      { isActive: false },
+      { where: { id: { [Op.in]: stale.map((record) => record.id) } } }
+    );
+  }
+
+  const toAdd = [...wanted].filter((date) => !existingDates.has(date)).sort();
+  const added = toAdd.length > 0
+    ? await blockMultipleDates(
+      feed.propertyId,
+      toAdd,
+      'external_sync',
+      null,
+      `Imported from ${feed.name} calendar`,
+      null,
+      null,
+      { calendarFeedId: feed.id }
+    )
+    : [];
+
+  // Nights booked here that the other channel also sold are double bookings the landlord must resolve
+  const skipped = toAdd.filter((date) => !added.some((record) => record.date === date));
+  const conflicts = skipped.length > 0
+    ? (await PropertyAvailability.findAll({
+      where: { propertyId: feed.propertyId, date: { [Op.in]: skipped }, isActive: true, reason: 'booking' },
+      attributes: ['date', 'bookingId'],
+      order: [['date', 'ASC']]
+    })).map((record) => ({ date: record.date, bookingId: record.bookingId }))
+    : [];
+
+  return {
+    events: events.length,
+    blockedDates: wanted.size,
+    added: added.length,
+    removed: stale.length,
+    conflicts
+  };
+};
+
+/**
+ * Fetch one feed and reconcile its blocks, recording the outcome on the feed
+ * @param {Object} feed - CalendarFeed instance
+ * @returns {Object} { success, summary, error }
+ */
+export const runFeedSync = async (feed) => {
+  const attemptedAt = new Date();
+
+  try {
+    const document = await fetchFeed(feed.url);
+    const summary = await reconcileFeed(feed, document);
+
+    await feed.update({
+      lastSyncedAt: attemptedAt,
+      lastSuccessAt: attemptedAt,
+      lastSyncStatus: 'success',
+      lastError: null,
+      lastSyncSummary: summary,
+      consecutiveFailures: 0
+    });
+
+    if (summary.conflicts.length > 0) {
+      console.warn(`⚠️ [CALENDAR SYNC] Feed ${feed.id} lists ${summary.conflicts.length} night(s) already booked on AWARI`);
+    }
+
+    return { success: true, summary };
+  } catch (error) {
+    const message = describeFetchError(error);
+    console.error(`❌ [CALENDAR SYNC] Feed ${feed.id} (${feed.name}) failed:`, message);
+
+    // Keep the existing blocks: a feed that cannot be read says nothing about availability
+    await feed.update({
+      lastSyncedAt: attemptedAt,
+      lastSyncStatus: 'error',
+      lastError: message,
+      consecutiveFailures: (feed.consecutiveFailures || 0) + 1
+    });
+
+    return { success: false, error: message };
+  }
+};
+
+/**
+ * Sync every active import feed (cron entry point)
+ * @returns {Object} { processed, succeeded, failed }
+ */
+export const syncAllFeeds = async () => {
+  const feeds = await CalendarFeed.findAll({
+    where: { isActive: true },
+    order: [['lastSyncedAt', 'ASC']]
+  });
+
+  let succeeded = 0;
+  let failed = 0;
+
+  // One at a time: feeds are small and channel servers throttle bursts
+  for (const feed of feeds) {
+    const result = await runFeedSync(feed);
+    if (result.success) {
+      succeeded++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { processed: feeds.length, succeeded, failed };
+};
+
+const exportUrl = (propertyId, token) => `${API_URL}/api/properties/${propertyId}/calendar/ical/${token}.ics`;
+
+const presentExport = (calendarExport) => ({
+  url: exportUrl(calendarExport.propertyId, calendarExport.token),
+  lastAccessedAt: calendarExport.lastAccessedAt,
+  createdAt: calendarExport.createdAt
+});
+
+/**
+ * Export feed URL of a property, created on first use
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object with { url, lastAccessedAt }
+ */
+export const getExportLink = async (propertyId, user) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const [calendarExport] = await CalendarExport.findOrCreate({
+      where: { propertyId },
+      defaults: { propertyId, token: generateToken(), createdBy: user.id }
+    });
+
+    return {
+      success: true,
+      message: 'Calendar export link retrieved successfully',
+      data: presentExport(calendarExport),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error getting calendar export link:', error);
+    return { success: false, message: 'Failed to get calendar export link', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Replace the export token; channels using the old URL stop receiving updates
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object with the new { url }
+ */
+export const rotateExportLink = async (propertyId, user) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const [calendarExport, created] = await CalendarExport.findOrCreate({
+      where: { propertyId },
+      defaults: { propertyId, token: generateToken(), createdBy: user.id }
+    });
+    if (!created) {
+      await calendarExport.update({ token: generateToken(), lastAccessedAt: null });
+    }
+
+    return {
+      success: true,
+      message: 'Calendar export link replaced. Update it on your other channels.',
+      data: presentExport(calendarExport),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error rotating calendar export link:', error);
+    return { success: false, message: 'Failed to replace calendar export link', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Group consecutive nights that belong to the same booking or block into events
+ */
+const buildExportEvents = (propertyId, records) => {
+  const events = [];
+
+  for (const record of records) {
+    const key = record.reason === 'booking' && record.bookingId ? `booking-${record.bookingId}` : 'blocked';
+    const last = events[events.length - 1];
+
+    if (last && last.key === key && last.endDate === record.date) {
+      last.endDate = addDays(record.date, 1);
+      continue;
+    }
+
+    events.push({
+      key,
+      uid: key === 'blocked'
+        ? `block-${propertyId}-${record.date}@awari`
+        : `${key}@awari`,
+      summary: key === 'blocked' ? 'Not available' : 'Reserved',
+      startDate: record.date,
+      endDate: addDays(record.date, 1)
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Public iCal feed of a property's booked and blocked nights
+ * @param {string} propertyId - Property ID
+ * @param {string} token - Token from the export URL
+ * @returns {Object} Result object with { calendar, filename }
+ */
+export const getExportCalendar = async (propertyId, token) => {
+  try {
+    const calendarExport = await CalendarExport.findOne({ where: { propertyId } });
+
+    const expected = Buffer.from(calendarExport?.token || '');
+    const actual = Buffer.from(String(token || ''));
+    if (!calendarExport || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { success: false, message: 'Calendar not found', statusCode: 404 };
+    }
+
+    const property = await Property.findByPk(propertyId, { attributes: ['id', 'title'] });
+    if (!property) {
+      return { success: false, message: 'Calendar not found', statusCode: 404 };
+    }
+
+    const records = await PropertyAvailability.findAll({
+      where: {
+        propertyId,
+        isActive: true,
+        reason: { [Op.ne]: 'external_sync' },
+        date: { [Op.gte]: addDays(today(), -EXPORT_PAST_DAYS) }
+      },
+      attributes: ['date', 'reason', 'bookingId'],
+      order: [['date', 'ASC']]
+    });
+
+    await calendarExport.update({ lastAccessedAt: new Date() });
+
+    return {
+      success: true,
+      message: 'Calendar retrieved successfully',
+      data: {
+        calendar: buildICal({
+          name: `AWARI - ${property.title}`,
+          events: buildExportEvents(propertyId, records)
+        }),
+        filename: `awari-${propertyId}.ics`
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error building calendar export:', error);
+    return { success: false, message: 'Failed to build calendar', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Import feeds of a property with their sync status
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const listFeeds = async (propertyId, user) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const feeds = await CalendarFeed.findAll({
+      where: { propertyId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      success: true,
+      message: 'Calendar feeds retrieved successfully',
+      data: { feeds },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error listing calendar feeds:', error);
+    return { success: false, message: 'Failed to retrieve calendar feeds', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Register an import feed and run its first sync straight away
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} feedData - { name, url }
+ * @returns {Object} Result object with { feed, sync }
+ */
+export const addFeed = async (propertyId, user, feedData) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    let url;
+    try {
+      url = await assertPublicUrl(feedData.url);
+    } catch (urlError) {
+      return { success: false, message: urlError.message, statusCode: 400 };
+    }
+
+    const feeds = await CalendarFeed.findAll({ where: { propertyId }, attributes: ['id', 'url'] });
+    if (feeds.length >= MAX_FEEDS_PER_PROPERTY) {
+      return { success: false, message: `A property can have at most ${MAX_FEEDS_PER_PROPERTY} calendar feeds`, statusCode: 400 };
+    }
+    if (feeds.some((feed) => feed.url === url)) {
+      return { success: false, message: 'This calendar is already connected', statusCode: 409 };
+    }
+
+    const feed = await CalendarFeed.create({
+      propertyId,
+      name: feedData.name,
+      url,
+      isActive: true,
+      createdBy: user.id
+    });
+
+    const sync = await runFeedSync(feed);
+
+    return {
+      success: true,
+      message: sync.success
+        ? 'Calendar feed connected and synced'
+        : 'Calendar feed connected, but the first sync failed',
+      data: { feed, sync },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Error adding calendar feed:', error);
+    return { success: false, message: 'Failed to add calendar feed', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Release the future nights a feed blocked
+ */
+const releaseFeedBlocks = async (feed) => {
+  const [released] = await PropertyAvailability.update(
+    { isActive: false },
+    { where: { calendarFeedId: feed.id, isActive: true, date: { [Op.gte]: today() } } }
+  );
+  return released;
+};
+
+const loadFeed = async (propertyId, feedId, user) => {
+  const { error } = await loadManagedProperty(propertyId, user);
+  if (error) return { error };
+
+  const feed = await CalendarFeed.findOne({ where: { id: feedId, propertyId } });
+  if (!feed) {
+    return { error: { success: false, message: 'Calendar feed not found', statusCode: 404 } };
+  }
+  return { feed };
+};
+
+/**
+ * Rename, repoint, pause or resume a feed. Pausing releases its blocks.
+ * @param {string} propertyId - Property ID
+ * @param {string} feedId - Feed ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} feedData - { name, url, isActive }
+ * @returns {Object} Result object
+ */
+export const updateFeed = async (propertyId, feedId, user, feedData) => {
+  try {
+    const { feed, error } = await loadFeed(propertyId, feedId, user);
+    if (error) return error;
+
+    const changes = {};
+    if (feedData.name !== undefined) changes.name = feedData.name;
+    if (feedData.isActive !== undefined) changes.isActive = feedData.isActive;
+    if (feedData.url !== undefined) {
+      try {
+        changes.url = await assertPublicUrl(feedData.url);
+      } catch (urlError) {
+        return { success: false, message: urlError.message, statusCode: 400 };
+      }
+    }
+
+    await feed.update(changes);
+
+    let released = 0;
+    let sync = null;
+    if (changes.isActive === false) {
+      released = await releaseFeedBlocks(feed);
+    } else if (feed.isActive && (changes.url || changes.isActive === true)) {
+      sync = await runFeedSync(feed);
+    }
+
+    return {
+      success: true,
+      message: 'Calendar feed updated successfully',
+      data: { feed, releasedDates: released, sync },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error updating calendar feed:', error);
+    return { success: false, message: 'Failed to update calendar feed', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Disconnect a feed and release the nights it blocked
+ * @param {string} propertyId - Property ID
+ * @param {string} feedId - Feed ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const removeFeed = async (propertyId, feedId, user) => {
+  try {
+    const { feed, error } = await loadFeed(propertyId, feedId, user);
+    if (error) return error;
+
+    const released = await releaseFeedBlocks(feed);
+    await feed.destroy();
+
+    return {
+      success: true,
+      message: 'Calendar feed removed successfully',
+      data: { releasedDates: released },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error removing calendar feed:', error);
+    return { success: false, message: 'Failed to remove calendar feed', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Sync a feed now instead of waiting for the scheduled run
+ * @param {string} propertyId - Property ID
+ * @param {string} feedId - Feed ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const syncFeed = async (propertyId, feedId, user) => {
+  try {
+    const { feed, error } = await loadFeed(propertyId, feedId, user);
+    if (error) return error;
+
+    if (!feed.isActive) {
+      return { success: false, message: 'Resume the feed before syncing it', statusCode: 400 };
+    }
+
+    const sync = await runFeedSync(feed);
+
+    return {
+      success: sync.success,
+      message: sync.success ? 'Calendar feed synced successfully' : `Calendar sync failed: ${sync.error}`,
+      data: { feed, sync },
+      statusCode: sync.success ? 200 : 502
+    };
+  } catch (error) {
+    console.error('Error syncing calendar feed:', error);
+    return { success: false, message: 'Failed to sync calendar feed', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  runFeedSync,
+  syncAllFeeds,
+  getExportLink,
+  rotateExportLink,
+  getExportCalendar,
+  listFeeds,
+  addFeed,
+  updateFeed,
+  removeFeed,
+  syncFeed
+};
@@ -0,0 +1,414 @@
+import { Op } from 'sequelize';
+import { Booking, Property, User, WalletTransaction } from '../schema/index.js';
+import walletService from './walletService.js';
+import { settleBookingCommission, reverseBookingCommission } from './agencyService.js';
+import { debitLine } from './ledgerService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Cancellation Policy Service
+ * Works out how the money on a cancelled booking is split between the guest
+ * refund, the landlord's compensation (kept from their pending balance) and
+ * the fees the platform retains, based on Property.cancellationPolicy, how
+ * long before check-in the cancellation happens and who cancelled.
+ */
+
+// Check-in is treated as 14:00 Lagos time on the check-in date
+const CHECK_IN_TIME = process.env.BOOKING_CHECK_IN_TIME || '14:00:00';
+const CHECK_IN_UTC_OFFSET = '+01:00';
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Guest refund tiers per policy, checked from the longest notice period down.
+ * A guest cancelling with at least `minHoursBefore` hours to check-in gets
+ * `refundPercent` of the accommodation and tax back. Service fees are only
+ * returned on a full refund. Owner, admin and system cancellations always
+ * refund the guest in full.
+ */
+export const CANCELLATION_POLICIES = {
+  flexible: {
+    label: 'Flexible',
+    description: 'Full refund up to 24 hours before check-in. No refund after that.',
+    tiers: [
+      { minHoursBefore: 24, refundPercent: 100 }
+    ]
+  },
+  moderate: {
+    label: 'Moderate',
+    description: 'Full refund up to 5 days before check-in, 50% refund up to 24 hours before check-in.',
+    tiers: [
+      { minHoursBefore: 120, refundPercent: 100 },
+      { minHoursBefore: 24, refundPercent: 50 }
+    ]
+  },
+  strict: {
+    label: 'Strict',
+    description: 'Full refund up to 14 days before check-in, 50% refund up to 7 days before check-in.',
+    tiers: [
+      { minHoursBefore: 336, refundPercent: 100 },
+      { minHoursBefore: 168, refundPercent: 50 }
+    ]
+  },
+  super_strict: {
+    label: 'Super Strict',
+    description: '50% refund up to 30 days before check-in. No refund after that.',
+    tiers: [
+      { minHoursBefore: 720, refundPercent: 50 }
+    ]
+  }
+};
+
+const DEFAULT_POLICY = 'moderate';
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const toAmount = (value) => roundAmount(parseFloat(value) || 0);
+
+/**
+ * Moment the stay starts, used to measure the notice period
+ * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+ * @returns {Date|null} Check-in date and time
+ */
+export const getCheckInMoment = (checkInDate) => {
+  if (!checkInDate) return null;
+  const dateOnly = new Date(checkInDate).toISOString().split('T')[0];
+  return new Date(`${dateOnly}T${CHECK_IN_TIME}${CHECK_IN_UTC_OFFSET}`);
+};
+
+/**
+ * Pick the refund percentage a guest is entitled to under a policy
+ * @param {string} policy - Cancellation policy key
+ * @param {number|null} hoursBeforeCheckIn - Notice given (null if the booking has no check-in date)
+ * @returns {number} Refund percentage (0-100)
+ */
+export const getGuestRefundPercent = (policy, hoursBeforeCheckIn) => {
+  if (hoursBeforeCheckIn === null) return 100;
+
+  const { tiers } = CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES[DEFAULT_POLICY];
+  const tier = tiers.find((t) => hoursBeforeCheckIn >= t.minHoursBefore);
+  return tier ? tier.refundPercent : 0;
+};
+
+/**
+ * Work out who a cancellation should be attributed to
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - User cancelling
+ * @returns {string|null} guest, owner or admin (null if the user may not cancel)
+ */
+export const getCancellerRole = (booking, user) => {
+  if (!user) return null;
+  if (booking.userId === user.id) return 'guest';
+  if (booking.ownerId === user.id) return 'owner';
+  if (hasPermission(user, 'bookings.manage')) return 'admin';
+  return null;
+};
+
+/**
+ * Split the amount paid for a booking between guest, landlord and platform
+ * @param {Object} booking - Booking instance
+ * @param {Object} options - { policy, cancelledBy, landlordPendingAmount, landlordFundsReleased, cancelledAt }
+ * @returns {Object} Refund breakdown
+ */
+export const calculateRefund = (booking, options = {}) => {
+  const {
+    cancelledBy = 'guest',
+    landlordPendingAmount = 0,
+    landlordFundsReleased = false,
+    cancelledAt = new Date()
+  } = options;
+  const policy = CANCELLATION_POLICIES[options.policy] ? options.policy : DEFAULT_POLICY;
+
+  const isPaid = ['completed', 'partial'].includes(booking.paymentStatus);
+  const amountPaid = isPaid ? toAmount(booking.totalPrice) : 0;
+  const serviceFee = Math.min(toAmount(booking.serviceFee), amountPaid);
+  const taxAmount = Math.min(toAmount(booking.taxAmount), roundAmount(amountPaid - serviceFee));
+  const accommodation = roundAmount(amountPaid - serviceFee - taxAmount);
+
+  const checkInAt = getCheckInMoment(booking.checkInDate);
+  const hoursBeforeCheckIn = checkInAt
+    ? Math.floor((checkInAt.getTime() - new Date(cancelledAt).getTime()) / HOUR_MS)
+    : null;
+
+  const refundPercent = cancelledBy === 'guest'
+    ? getGuestRefundPercent(policy, hoursBeforeCheckIn)
+    : 100;
+  const share = refundPercent / 100;
+
+  const refundBreakdown = refundPercent === 100
+    ? { accommodation, serviceFee, taxAmount }
+    : {
+      accommodation: roundAmount(accommodation * share),
+      serviceFee: 0,
+      taxAmount: roundAmount(taxAmount * share)
+    };
+  const guestRefund = roundAmount(
+    refundBreakdown.accommodation + refundBreakdown.serviceFee + refundBreakdown.taxAmount
+  );
+
+  // The landlord gives back the refunded share of their stake: from pending, or
+  // clawed back from available when the funds were already released
+  const landlordStake = toAmount(landlordPendingAmount);
+  const landlordCompensation = roundAmount(landlordStake * (1 - share));
+  const landlordRefundShare = roundAmount(landlordStake - landlordCompensation);
+  const landlordPendingDebit = landlordFundsReleased ? 0 : landlordRefundShare;
+  const landlordClawback = landlordFundsReleased ? landlordRefundShare : 0;
+
+  return {
+    policy,
+    policyDescription: CANCELLATION_POLICIES[policy].description,
+    cancelledBy,
+    cancelledAt: new Date(cancelledAt).toISOString(),
+    checkInAt: checkInAt ? checkInAt.toISOString() : null,
+    hoursBeforeCheckIn,
+    refundPercent,
+    currency: booking.currency || 'NGN',
+    amountPaid,
+    guestRefund,
+    refundBreakdown,
+    landlordPendingAmount: landlordFundsReleased ? 0 : landlordStake,
+    landlordCompensation,
+    landlordPendingDebit,
+    landlordClawback,
+    landlordFundsReleased,
+    platformRetained: roundAmount(amountPaid - guestRefund - landlordCompensation)
+  };
+};
+
+/**
+ * Look up the landlord's stake in a booking and calculate the refund split
+ * @param {Object} booking - Booking instance
+ * @param {string} cancelledBy - guest, owner, admin or system
+ * @param {Object} options - { property, cancelledAt }
+ * @returns {Object} Refund breakdown
+ */
+export const buildRefundForBooking = async (booking, cancelledBy, options = {}) => {
+  const property = options.property?.cancellationPolicy
+    ? options.property
+    : await Property.findByPk(booking.propertyId, { attributes: ['id', 'cancellationPolicy'] });
+
+  let landlordPendingAmount = 0;
+  if (['pending', 'released'].includes(booking.walletStatus) && booking.walletTransactionId) {
+    const walletTxn = await WalletTransaction.findByPk(booking.walletTransactionId);
+    landlordPendingAmount = walletTxn ? walletTxn.amount : 0;
+  }
+
+  return calculateRefund(booking, {
+    policy: property?.cancellationPolicy,
+    cancelledBy,
+    landlordPendingAmount,
+    landlordFundsReleased: booking.walletStatus === 'released',
+    cancelledAt: options.cancelledAt
+  });
+};
+
+/**
+ * Refund breakdown for a cancellation attempt, recording who made it. A retry
+ * by the same party reuses the breakdown of the attempt that failed part way.
+ * Another party gets a breakdown of its own unless money already moved under
+ * the first one: the movements are keyed on the booking and can only be
+ * replayed with the same amounts.
+ * @param {Object} booking - Booking instance (metadata.refund holds an earlier attempt's breakdown)
+ * @param {string} cancelledBy - guest, owner or admin
+ * @param {string} actorId - User cancelling
+ * @returns {Object} Refund breakdown with cancelledByUserId
+ */
+export const resolveCancellationRefund = async (booking, cancelledBy, actorId) => {
+  const previous = booking.metadata?.refund;
+
+  if (previous) {
+    if (previous.cancelledBy === cancelledBy) {
+      return previous;
+    }
+
+    const moved = await WalletTransaction.count({
+      where: {
+        bookingId: booking.id,
+        [Op.or]: [
+          { idempotencyKey: `cancellation:${booking.id}` },
+          { idempotencyKey: { [Op.like]: 'commission-reversal:%' } }
+        ]
+      }
+    });
+    if (moved > 0) {
+      console.warn(`⚠️ [CANCELLATION] Booking ${booking.id} retried by the ${cancelledBy} after the ${previous.cancelledBy}'s attempt moved money; keeping that split`);
+      return previous;
+    }
+  }
+
+  const refund = await buildRefundForBooking(booking, cancelledBy);
+  return { ...refund, cancelledByUserId: actorId };
+};
+
+/**
+ * Move the money for a cancelled booking according to a refund breakdown:
+ * debit the refunded part of the landlord's pending balance (or claw it back
+ * from available if it was already released, together with any agency
+ * commission paid on it), release their compensation to available and credit
+ * the guest's wallet. Every movement is keyed on the
+ * booking, so a cancellation that fails part way can be retried with the same
+ * breakdown.
+ * @param {Object} booking - Booking instance
+ * @param {Object} refund - Breakdown from calculateRefund
+ * @param {string} reason - Description used on the wallet transactions
+ * @returns {Object} { walletStatus } to store on the booking
+ */
+export const applyRefund = async (booking, refund, reason) => {
+  const idempotencyKey = `cancellation:${booking.id}`;
+  let walletStatus = booking.walletStatus;
+  let landlordRefundShare = 0;
+  let landlordAccount = 'landlord_pending';
+
+  if (booking.walletStatus === 'pending' && refund.landlordPendingAmount > 0) {
+    if (refund.landlordPendingDebit > 0) {
+      // Journaled together with the guest refund below
+      await walletService.debitPending(
+        booking.ownerId,
+        refund.landlordPendingDebit,
+        booking.id,
+        reason,
+        { idempotencyKey, journal: false }
+      );
+      landlordRefundShare = refund.landlordPendingDebit;
+      console.log(`✅ [CANCELLATION] Landlord pending balance debited: ${refund.landlordPendingDebit}`);
+    }
+
+    if (refund.landlordCompensation > 0) {
+      await walletService.releasePending(booking.id, refund.landlordCompensation, { idempotencyKey });
+      console.log(`✅ [CANCELLATION] Landlord compensation released: ${refund.landlordCompensation}`);
+      await settleBookingCommission(booking);
+      walletStatus = 'released';
+    } else {
+      walletStatus = 'refunded';
+    }
+  } else if (booking.walletStatus === 'released' && refund.landlordClawback > 0) {
+    // Commission paid out of the released funds comes back from the agency, not the landlord
+    const { commissionReduction } = await reverseBookingCommission(booking, refund.landlordCompensation, reason);
+    const landlordClawback = roundAmount(refund.landlordClawback - commissionReduction);
+
+    // Recovers at most what the landlord still holds; the platform covers any shortfall
+    const clawback = landlordClawback > 0
+      ? await walletService.clawbackAvailable(
+        booking.ownerId,
+        landlordClawback,
+        booking.id,
+        reason,
+        { idempotencyKey, journal: false }
+      )
+      : null;
+    landlordRefundShare = clawback ? roundAmount(clawback.amount) : 0;
+    landlordAccount = 'landlord_available';
+    console.log(`✅ [CANCELLATION] Landlord released funds clawed back: ${landlordRefundShare} of ${landlordClawback}`);
+  }
+
+  if (refund.guestRefund > 0) {
+    await walletService.processRefund(
+      booking.userId,
+      refund.guestRefund,
+      `Refund for cancelled booking #${booking.id.substring(0, 8)}`,
+      booking.id,
+      {
+        type: 'cancellation_refund',
+        policy: refund.policy,
+        cancelledBy: refund.cancelledBy,
+        refundPercent: refund.refundPercent
+      },
+      {
+        idempotencyKey,
+        journal: {
+          entryType: 'refund',
+          bookingId: booking.id,
+          lines: [
+            debitLine(landlordAccount, booking.ownerId, landlordRefundShare, 'Landlord share refunded'),
+            debitLine('tax_payable', null, refund.refundBreakdown.taxAmount, 'Tax refunded'),
+            debitLine(
+              'platform_revenue',
+              null,
+              refund.guestRefund - landlordRefundShare - refund.refundBreakdown.taxAmount,
+              'Fees refunded and landlord shortfall'
+            )
+          ]
+        }
+      }
+    );
+    console.log(`✅ [CANCELLATION] Guest refunded: ${refund.guestRefund}`);
+  }
+
+  return { walletStatus };
+};
+
+/**
+ * Preview what cancelling a booking right now would refund
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User asking (guest, owner or admin)
+ * @returns {Object} Result object
+ */
+export const getRefundPreview = async (bookingId, userId) => {
+  try {
+    const booking = await Booking.findByPk(bookingId, {
+      include: [
+        {
+          model: Property,
+          as: 'property',
+          attributes: ['id', 'title', 'cancellationPolicy']
+        }
+      ]
+    });
+
+    if (!booking) {
+      return {
+        success: false,
+        message: 'Booking not found',
+        statusCode: 404
+      };
+    }
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'role', 'adminRole'] });
+    const cancelledBy = getCancellerRole(booking, user);
+
+    if (!cancelledBy) {
+      return {
+        success: false,
+        message: 'Unauthorized to view this booking',
+        statusCode: 403
+      };
+    }
+
+    if (['cancelled', 'completed'].includes(booking.status)) {
+      return {
+        success: false,
+        message: 'Booking cannot be cancelled',
+        statusCode: 400
+      };
+    }
+
+    const refund = await buildRefundForBooking(booking, cancelledBy, { property: booking.property });
+
+    return {
+      success: true,
+      message: 'Refund preview calculated successfully',
+      data: {
+        bookingId: booking.id,
+        refund
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error calculating refund preview:', error);
+    return {
+      success: false,
+      message: 'Failed to calculate refund preview',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  CANCELLATION_POLICIES,
+  calculateRefund,
+  buildRefundForBooking,
+  resolveCancellationRefund,
+  applyRefund,
+  getRefundPreview,
+  getCancellerRole
+};
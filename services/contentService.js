@@ -0,0 +1,1192 @@
+import { Op, fn, col } from 'sequelize';
+import sequelize from '../database/db.js';
+import {
+  Announcement,
+  Banner,
+  ContentPage,
+  ContentPageVersion,
+  Faq,
+  FaqCategory,
+  User
+} from '../schema/index.js';
+import { remember, CACHE_NAMESPACES } from './cacheService.js';
+import { sendBulkNotifications } from './notificationService.js';
+
+/**
+ * Content Service
+ * Site content managed from the admin dashboard: FAQ categories and entries,
+ * scheduled homepage banners, announcements and static pages.
+ *
+ * Public reads go through the CMS cache namespace, which is invalidated by the
+ * model hooks in schema/index.js whenever content changes. Banners and
+ * announcements are cached as the full live set and filtered per request by
+ * schedule and audience, so one cache entry serves every visitor.
+ *
+ * Static pages keep every saved edit as a numbered version. The page row holds
+ * the published copy; publishing copies a version onto it, so publishing an
+ * older version rolls the page back.
+ */
+
+const CONTENT_CACHE_TTL = parseInt(process.env.CACHE_CMS_CONTENT_TTL, 10) || 600;
+
+// Audience used for signed-out visitors in banner targeting
+export const VISITOR_ROLE = 'visitor';
+
+const FAQ_CATEGORY_FIELDS = ['name', 'slug', 'description', 'sortOrder', 'isActive'];
+const FAQ_FIELDS = ['categoryId', 'question', 'answer', 'sortOrder', 'isActive'];
+const BANNER_FIELDS = [
+  'title', 'subtitle', 'imageUrl', 'mobileImageUrl', 'linkUrl', 'ctaText', 'placement',
+  'startsAt', 'endsAt', 'targetRoles', 'targetCities', 'sortOrder', 'isActive'
+];
+const ANNOUNCEMENT_FIELDS = [
+  'title', 'body', 'level', 'linkUrl', 'startsAt', 'endsAt', 'targetRoles', 'sendNotification', 'notificationChannels'
+];
+const PAGE_VERSION_FIELDS = ['title', 'content', 'metaTitle', 'metaDescription'];
+
+const buildPaginationMeta = (count, page, limit) => {
+  const currentPage = Number(page) || 1;
+  const perPage = Number(limit) || 10;
+  const totalPages = Math.ceil(count / perPage) || 1;
+
+  return {
+    currentPage,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: perPage,
+    hasNextPage: currentPage < totalPages,
+    hasPrevPage: currentPage > 1
+  };
+};
+
+const pickFields = (data, fields) => fields.reduce((acc, field) => {
+  if (data[field] !== undefined) {
+    acc[field] = data[field];
+  }
+  return acc;
+}, {});
+
+const toPlain = (instance) => (instance?.get ? instance.get({ plain: true }) : instance);
+
+export const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const normalizeList = (list, normalize = (value) => value) => (
+  Array.isArray(list) && list.length > 0 ? [...new Set(list.map(normalize))] : null
+);
+
+const isLive = (item, now) =>
+  (!item.startsAt || new Date(item.startsAt) <= now) && (!item.endsAt || new Date(item.endsAt) > now);
+
+// Empty targeting lists mean "everyone"
+const targets = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+const checkSchedule = ({ startsAt, endsAt }) => {
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return 'endsAt must be after startsAt';
+  }
+  return null;
+};
+
+const notFound = (resource) => ({ success: false, message: `${resource} not found`, statusCode: 404 });
+
+const failure = (message, error) => ({
+  success: false,
+  message,
+  error: error.message,
+  statusCode: error.name === 'SequelizeUniqueConstraintError' ? 409 : 500
+});
+
+/* ------------------------------------------------------------------------ */
+/* Public reads                                                             */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Active FAQ categories with their active entries
+ * @param {Object} options - { category } category slug to return a single category
+ */
+export const getPublicFaqs = async (options = {}) => {
+  try {
+    const { category } = options;
+
+    const categories = await remember(CACHE_NAMESPACES.CMS_CONTENT, { resource: 'faqs', category: category || null }, CONTENT_CACHE_TTL, async () => {
+      const rows = await FaqCategory.findAll({
+        where: { isActive: true, ...(category ? { slug: category } : {}) },
+        attributes: ['id', 'name', 'slug', 'description', 'sortOrder'],
+        include: [
+          {
+            model: Faq,
+            as: 'faqs',
+            where: { isActive: true },
+            attributes: ['id', 'question', 'answer', 'sortOrder', 'updatedAt'],
+            required: false
+          }
+        ],
+        order: [
+          ['sortOrder', 'ASC'],
+          ['name', 'ASC'],
+          [{ model: Faq, as: 'faqs' }, 'sortOrder', 'ASC'],
+          [{ model: Faq, as: 'faqs' }, 'createdAt', 'ASC']
+        ]
+      });
+      return rows.map(toPlain);
+    });
+
+    if (category && categories.length === 0) {
+      return notFound('FAQ category');
+    }
+
+    return {
+      success: true,
+      message: 'FAQs retrieved successfully',
+      data: { categories },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get public FAQs error:', error);
+    return failure('Failed to retrieve FAQs', error);
+  }
+};
+
+/**
+ * Banners live right now for a visitor
+ * @param {Object} options - { placement, city }
+ * @param {Object|null} user - Signed-in user, if any
+ */
+export const getPublicBanners = async (options = {}, user = null) => {
+  try {
+    const { placement, city } = options;
+    const now = new Date();
+    const role = user?.role || VISITOR_ROLE;
+    const normalizedCity = city ? city.trim().toLowerCase() : null;
+
+    const banners = await remember(CACHE_NAMESPACES.CMS_CONTENT, { resource: 'banners' }, CONTENT_CACHE_TTL, async () => {
+      const rows = await Banner.findAll({
+        where: {
+          isActive: true,
+          [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gt]: now } }]
+        },
+        attributes: { exclude: ['createdBy', 'updatedBy', 'createdAt', 'updatedAt'] },
+        order: [['sortOrder', 'ASC'], ['startsAt', 'DESC']]
+      });
+      return rows.map(toPlain);
+    });
+
+    const visible = banners.filter((banner) =>
+      isLive(banner, now) &&
+      (!placement || banner.placement === placement) &&
+      targets(banner.targetRoles, role) &&
+      (!Array.isArray(banner.targetCities) || banner.targetCities.length === 0 ||
+        (normalizedCity && banner.targetCities.includes(normalizedCity)))
+    );
+
+    return {
+      success: true,
+      message: 'Banners retrieved successfully',
+      data: { banners: visible },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get public banners error:', error);
+    return failure('Failed to retrieve banners', error);
+  }
+};
+
+/**
+ * Published announcements live right now for a visitor
+ * @param {Object|null} user - Signed-in user, if any
+ */
+export const getPublicAnnouncements = async (user = null) => {
+  try {
+    const now = new Date();
+    const role = user?.role || VISITOR_ROLE;
+
+    const announcements = await remember(CACHE_NAMESPACES.CMS_CONTENT, { resource: 'announcements' }, CONTENT_CACHE_TTL, async () => {
+      const rows = await Announcement.findAll({
+        where: {
+          status: 'published',
+          [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gt]: now } }]
+        },
+        attributes: ['id', 'title', 'body', 'level', 'linkUrl', 'startsAt', 'endsAt', 'targetRoles', 'publishedAt'],
+        order: [['publishedAt', 'DESC']]
+      });
+      return rows.map(toPlain);
+    });
+
+    return {
+      success: true,
+      message: 'Announcements retrieved successfully',
+      data: {
+        announcements: announcements.filter((announcement) =>
+          isLive(announcement, now) && targets(announcement.targetRoles, role)
+        )
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get public announcements error:', error);
+    return failure('Failed to retrieve announcements', error);
+  }
+};
+
+/**
+ * Published copy of a static page
+ * @param {string} slug - Page slug
+ */
+export const getPublicPage = async (slug) => {
+  try {
+    const page = await remember(CACHE_NAMESPACES.CMS_CONTENT, { resource: 'page', slug }, CONTENT_CACHE_TTL, async () => {
+      const row = await ContentPage.findOne({
+        where: { slug, status: 'published' },
+        attributes: ['id', 'slug', 'title', 'content', 'metaTitle', 'metaDescription', 'publishedVersion', 'publishedAt']
+      });
+      return row ? toPlain(row) : null;
+    });
+
+    if (!page) {
+      return notFound('Page');
+    }
+
+    return {
+      success: true,
+      message: 'Page retrieved successfully',
+      data: { page },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get public page error:', error);
+    return failure('Failed to retrieve page', error);
+  }
+};
+
+/* ------------------------------------------------------------------------ */
+/* FAQ admin                                                                */
+/* ------------------------------------------------------------------------ */
+
+export const listFaqCategories = async () => {
+  try {
+    const [categories, counts] = await Promise.all([
+      FaqCategory.findAll({ order: [['sortOrder', 'ASC'], ['name', 'ASC']] }),
+      Faq.findAll({
+        attributes: ['categoryId', [fn('COUNT', col('id')), 'count']],
+        group: ['categoryId'],
+        raw: true
+      })
+    ]);
+
+    const countByCategory = new Map(counts.map((row) => [row.categoryId, Number(row.count)]));
+
+    return {
+      success: true,
+      message: 'FAQ categories retrieved successfully',
+      data: {
+        categories: categories.map((category) => ({
+          ...toPlain(category),
+          faqCount: countByCategory.get(category.id) || 0
+        }))
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List FAQ categories error:', error);
+    return failure('Failed to retrieve FAQ categories', error);
+  }
+};
+
+export const createFaqCategory = async (adminId, data = {}) => {
+  try {
+    const fields = pickFields(data, FAQ_CATEGORY_FIELDS);
+    fields.slug = slugify(fields.slug || fields.name);
+
+    const category = await FaqCategory.create({ ...fields, createdBy: adminId });
+
+    return {
+      success: true,
+      message: 'FAQ category created successfully',
+      data: toPlain(category),
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Create FAQ category error:', error);
+    return failure('Failed to create FAQ category', error);
+  }
+};
+
+export const updateFaqCategory = async (categoryId, data = {}) => {
+  try {
+    const category = await FaqCategory.findByPk(categoryId);
+    if (!category) {
+      return notFound('FAQ category');
+    }
+
+    const fields = pickFields(data, FAQ_CATEGORY_FIELDS);
+    if (fields.slug !== undefined) {
+      fields.slug = slugify(fields.slug);
+    }
+
+    await category.update(fields);
+
+    return {
+      success: true,
+      message: 'FAQ category updated successfully',
+      data: toPlain(category),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update FAQ category error:', error);
+    return failure('Failed to update FAQ category', error);
+  }
+};
+
+export const deleteFaqCategory = async (categoryId) => {
+  try {
+    const category = await FaqCategory.findByPk(categoryId);
+    if (!category) {
+      return notFound('FAQ category');
+    }
+
+    const faqCount = await Faq.count({ where: { categoryId } });
+    if (faqCount > 0) {
+      return {
+        success: false,
+        message: 'Move or delete the FAQs in this category before deleting it',
+        statusCode: 400
+      };
+    }
+
+    await category.destroy();
+
+    return {
+      success: true,
+      message: 'FAQ category deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Delete FAQ category error:', error);
+    return failure('Failed to delete FAQ category', error);
+  }
+};
+
+export const listFaqs = async (options = {}) => {
+  try {
+    const { categoryId, search, isActive, page = 1, limit = 20 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const where = {};
+    if (categoryId) where.categoryId = categoryId;
+    if (isActive !== undefined) where.isActive = isActive === true || isActive === 'true';
+    if (search) {
+      where[Op.or] = [
+        { question: { [Op.like]: `%${search}%` } },
+        { answer: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await Faq.findAndCountAll({
+      where,
+      include: [{ model: FaqCategory, as: 'category', attributes: ['id', 'name', 'slug'] }],
+      order: [['categoryId', 'ASC'], ['sortOrder', 'ASC'], ['createdAt', 'ASC']],
+      limit: Number(limit),
+      offset
+    });
+
+    return {
+      success: true,
+      message: 'FAQs retrieved successfully',
+      data: {
+        faqs: rows.map(toPlain),
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List FAQs error:', error);
+    return failure('Failed to retrieve FAQs', error);
+  }
+};
+
+export const createFaq = async (adminId, data = {}) => {
+  try {
+    const category = await FaqCategory.findByPk(data.categoryId);
+    if (!category) {
+      return notFound('FAQ category');
+    }
+
+    const faq = await Faq.create({
+      ...pickFields(data, FAQ_FIELDS),
+      createdBy: adminId,
+      updatedBy: adminId
+    });
+
+    return {
+      success: true,
+      message: 'FAQ created successfully',
+      data: toPlain(faq),
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Create FAQ error:', error);
+    return failure('Failed to create FAQ', error);
+  }
+};
+
+export const updateFaq = async (adminId, faqId, data = {}) => {
+  try {
+    const faq = await Faq.findByPk(faqId);
+    if (!faq) {
+      return notFound('FAQ');
+    }
+
+    if (data.categoryId && data.categoryId !== faq.categoryId) {
+      const category = await FaqCategory.findByPk(data.categoryId);
+      if (!category) {
+        return notFound('FAQ category');
+      }
+    }
+
+    await faq.update({ ...pickFields(data, FAQ_FIELDS), updatedBy: adminId });
+
+    return {
+      success: true,
+      message: 'FAQ updated successfully',
+      data: toPlain(faq),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update FAQ error:', error);
+    return failure('Failed to update FAQ', error);
+  }
+};
+
+export const deleteFaq = async (faqId) => {
+  try {
+    const faq = await Faq.findByPk(faqId);
+    if (!faq) {
+      return notFound('FAQ');
+    }
+
+    await faq.destroy();
+
+    return {
+      success: true,
+      message: 'FAQ deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Delete FAQ error:', error);
+    return failure('Failed to delete FAQ', error);
+  }
+};
+
+/* ------------------------------------------------------------------------ */
+/* Banner admin                                                             */
+/* ------------------------------------------------------------------------ */
+
+const normalizeBannerFields = (fields) => {
+  if (fields.targetRoles !== undefined) {
+    fields.targetRoles = normalizeList(fields.targetRoles);
+  }
+  if (fields.targetCities !== undefined) {
+    fields.targetCities = normalizeList(fields.targetCities, (city) => String(city).trim().toLowerCase());
+  }
+  return fields;
+};
+
+/**
+ * @param {Object} options - { placement, state: live|scheduled|expired|inactive, page, limit }
+ */
+export const listBanners = async (options = {}) => {
+  try {
+    const { placement, state, page = 1, limit = 20 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+    const now = new Date();
+
+    const where = {};
+    if (placement) where.placement = placement;
+
+    if (state === 'inactive') {
+      where.isActive = false;
+    } else if (state === 'expired') {
+      where.endsAt = { [Op.lte]: now };
+    } else if (state === 'scheduled') {
+      where.isActive = true;
+      where.startsAt = { [Op.gt]: now };
+    } else if (state === 'live') {
+      where.isActive = true;
+      where[Op.and] = [
+        { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+        { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gt]: now } }] }
+      ];
+    }
+
+    const { count, rows } = await Banner.findAndCountAll({
+      where,
+      order: [['placement', 'ASC'], ['sortOrder', 'ASC'], ['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset
+    });
+
+    return {
+      success: true,
+      message: 'Banners retrieved successfully',
+      data: {
+        banners: rows.map((banner) => ({
+          ...toPlain(banner),
+          isLive: banner.isActive && isLive(banner, now)
+        })),
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List banners error:', error);
+    return failure('Failed to retrieve banners', error);
+  }
+};
+
+export const createBanner = async (adminId, data = {}) => {
+  try {
+    const fields = normalizeBannerFields(pickFields(data, BANNER_FIELDS));
+
+    const scheduleError = checkSchedule(fields);
+    if (scheduleError) {
+      return { success: false, message: scheduleError, statusCode: 400 };
+    }
+
+    const banner = await Banner.create({ ...fields, createdBy: adminId, updatedBy: adminId });
+
+    return {
+      success: true,
+      message: 'Banner created successfully',
+      data: toPlain(banner),
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Create banner error:', error);
+    return failure('Failed to create banner', error);
+  }
+};
+
+export const updateBanner = async (adminId, bannerId, data = {}) => {
+  try {
+    const banner = await Banner.findByPk(bannerId);
+    if (!banner) {
+      return notFound('Banner');
+    }
+
+    const fields = normalizeBannerFields(pickFields(data, BANNER_FIELDS));
+
+    const scheduleError = checkSchedule({
+      startsAt: fields.startsAt !== undefined ? fields.startsAt : banner.startsAt,
+      endsAt: fields.endsAt !== undefined ? fields.endsAt : banner.endsAt
+    });
+    if (scheduleError) {
+      return { success: false, message: scheduleError, statusCode: 400 };
+    }
+
+    await banner.update({ ...fields, updatedBy: adminId });
+
+    return {
+      success: true,
+      message: 'Banner updated successfully',
+      data: toPlain(banner),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update banner error:', error);
+    return failure('Failed to update banner', error);
+  }
+};
+
+export const deleteBanner = async (bannerId) => {
+  try {
+    const banner = await Banner.findByPk(bannerId);
+    if (!banner) {
+      return notFound('Banner');
+    }
+
+    await banner.destroy();
+
+    return {
+      success: true,
+      message: 'Banner deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Delete banner error:', error);
+    return failure('Failed to delete banner', error);
+  }
+};
+
+/* ------------------------------------------------------------------------ */
+/* Announcement admin                                                       */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Send an announcement notification to every active user it targets.
+ * notifiedAt is claimed first so publishing twice never notifies twice.
+ * @param {string} announcementId - Announcement ID
+ */
+const fanOutAnnouncement = async (announcementId) => {
+  const [claimed] = await Announcement.update(
+    { notifiedAt: new Date() },
+    { where: { id: announcementId, notifiedAt: null, sendNotification: true } }
+  );
+  if (claimed === 0) {
+    return null;
+  }
+
+  const announcement = await Announcement.findByPk(announcementId);
+  const roles = normalizeList(announcement.targetRoles)?.filter((role) => role !== VISITOR_ROLE);
+
+  const users = await User.findAll({
+    where: {
+      status: 'active',
+      ...(roles ? { role: { [Op.in]: roles } } : {})
+    },
+    attributes: ['id']
+  });
+
+  console.log(`📣 [CONTENT] Sending announcement ${announcementId} to ${users.length} users`);
+
+  const results = await sendBulkNotifications(users.map((user) => user.id), {
+    title: announcement.title,
+    message: announcement.body,
+    type: 'announcement',
+    category: 'system',
+    priority: ['warning', 'maintenance'].includes(announcement.level) ? 'high' : 'normal',
+    channels: announcement.notificationChannels?.length ? announcement.notificationChannels : ['in_app'],
+    actionUrl: announcement.linkUrl || null,
+    data: { announcementId }
+  });
+
+  const notificationStats = {
+    recipients: users.length,
+    successful: results.successful.length,
+    failed: results.failed.length
+  };
+  await announcement.update({ notificationStats });
+
+  console.log(`📣 [CONTENT] Announcement ${announcementId} sent: ${notificationStats.successful} delivered, ${notificationStats.failed} failed`);
+  return notificationStats;
+};
+
+/**
+ * @param {Object} options - { status, page, limit }
+ */
+export const listAnnouncements = async (options = {}) => {
+  try {
+    const { status, page = 1, limit = 20 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const { count, rows } = await Announcement.findAndCountAll({
+      where: status ? { status } : {},
+      include: [{ model: User, as: 'publisher', attributes: ['id', 'firstName', 'lastName'], required: false }],
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset
+    });
+
+    return {
+      success: true,
+      message: 'Announcements retrieved successfully',
+      data: {
+        announcements: rows.map(toPlain),
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List announcements error:', error);
+    return failure('Failed to retrieve announcements', error);
+  }
+};
+
+export const createAnnouncement = async (adminId, data = {}) => {
+  try {
+    const fields = pickFields(data, ANNOUNCEMENT_FIELDS);
+    if (fields.targetRoles !== undefined) fields.targetRoles = normalizeList(fields.targetRoles);
+
+    const scheduleError = checkSchedule(fields);
+    if (scheduleError) {
+      return { success: false, message: scheduleError, statusCode: 400 };
+    }
+
+    const announcement = await Announcement.create({ ...fields, status: 'draft', createdBy: adminId });
+
+    return {
+      success: true,
+      message: 'Announcement created successfully',
+      data: toPlain(announcement),
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    return failure('Failed to create announcement', error);
+  }
+};
+
+export const updateAnnouncement = async (announcementId, data = {}) => {
+  try {
+    const announcement = await Announcement.findByPk(announcementId);
+    if (!announcement) {
+      return notFound('Announcement');
+    }
+
+    const fields = pickFields(data, ANNOUNCEMENT_FIELDS);
+    if (fields.targetRoles !== undefined) fields.targetRoles = normalizeList(fields.targetRoles);
+
+    // Audience and fan-out settings are fixed once users have been notified
+    if (announcement.notifiedAt) {
+      delete fields.targetRoles;
+      delete fields.sendNotification;
+      delete fields.notificationChannels;
+    }
+
+    const scheduleError = checkSchedule({
+      startsAt: fields.startsAt !== undefined ? fields.startsAt : announcement.startsAt,
+      endsAt: fields.endsAt !== undefined ? fields.endsAt : announcement.endsAt
+    });
+    if (scheduleError) {
+      return { success: false, message: scheduleError, statusCode: 400 };
+    }
+
+    await announcement.update(fields);
+
+    return {
+      success: true,
+      message: 'Announcement updated successfully',
+      data: toPlain(announcement),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    return failure('Failed to update announcement', error);
+  }
+};
+
+/**
+ * Publish an announcement. When sendNotification is set, the targeted users
+ * are notified in the background the first time it is published.
+ */
+export const publishAnnouncement = async (adminId, announcementId) => {
+  try {
+    const announcement = await Announcement.findByPk(announcementId);
+    if (!announcement) {
+      return notFound('Announcement');
+    }
+
+    if (announcement.status === 'published') {
+      return { success: false, message: 'Announcement is already published', statusCode: 400 };
+    }
+
+    if (announcement.endsAt && new Date(announcement.endsAt) <= new Date()) {
+      return { success: false, message: 'Announcement has already ended; update endsAt first', statusCode: 400 };
+    }
+
+    await announcement.update({ status: 'published', publishedAt: new Date(), publishedBy: adminId });
+
+    const notificationQueued = announcement.sendNotification && !announcement.notifiedAt;
+    if (notificationQueued) {
+      fanOutAnnouncement(announcement.id).catch((error) => {
+        console.error(`❌ [CONTENT] Announcement ${announcement.id} notification fan-out failed:`, error.message);
+      });
+    }
+
+    return {
+      success: true,
+      message: notificationQueued
+        ? 'Announcement published; notifications are being sent'
+        : 'Announcement published successfully',
+      data: { ...toPlain(announcement), notificationQueued },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Publish announcement error:', error);
+    return failure('Failed to publish announcement', error);
+  }
+};
+
+export const archiveAnnouncement = async (announcementId) => {
+  try {
+    const announcement = await Announcement.findByPk(announcementId);
+    if (!announcement) {
+      return notFound('Announcement');
+    }
+
+    await announcement.update({ status: 'archived' });
+
+    return {
+      success: true,
+      message: 'Announcement archived successfully',
+      data: toPlain(announcement),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Archive announcement error:', error);
+    return failure('Failed to archive announcement', error);
+  }
+};
+
+export const deleteAnnouncement = async (announcementId) => {
+  try {
+    const announcement = await Announcement.findByPk(announcementId);
+    if (!announcement) {
+      return notFound('Announcement');
+    }
+
+    if (announcement.notifiedAt) {
+      return {
+        success: false,
+        message: 'Users have been notified about this announcement; archive it instead',
+        statusCode: 400
+      };
+    }
+
+    await announcement.destroy();
+
+    return {
+      success: true,
+      message: 'Announcement deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    return failure('Failed to delete announcement', error);
+  }
+};
+
+/* ------------------------------------------------------------------------ */
+/* Static page admin                                                        */
+/* ------------------------------------------------------------------------ */
+
+const getLatestVersion = (page, transaction = null) => ContentPageVersion.findOne({
+  where: { pageId: page.id, version: page.latestVersion },
+  transaction
+});
+
+const copyVersionToPage = (version, adminId) => ({
+  title: version.title,
+  content: version.content,
+  metaTitle: version.metaTitle,
+  metaDescription: version.metaDescription,
+  status: 'published',
+  publishedVersion: version.version,
+  publishedAt: new Date(),
+  publishedBy: adminId
+});
+
+export const listPages = async () => {
+  try {
+    const pages = await ContentPage.findAll({
+      attributes: { exclude: ['content'] },
+      order: [['slug', 'ASC']]
+    });
+
+    return {
+      success: true,
+      message: 'Pages retrieved successfully',
+      data: {
+        pages: pages.map((page) => ({
+          ...toPlain(page),
+          hasUnpublishedChanges: page.latestVersion !== page.publishedVersion
+        }))
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List pages error:', error);
+    return failure('Failed to retrieve pages', error);
+  }
+};
+
+/**
+ * Page with its latest saved version (the draft being edited)
+ */
+export const getPage = async (pageId) => {
+  try {
+    const page = await ContentPage.findByPk(pageId);
+    if (!page) {
+      return notFound('Page');
+    }
+
+    const draft = await getLatestVersion(page);
+
+    return {
+      success: true,
+      message: 'Page retrieved successfully',
+      data: {
+        page: toPlain(page),
+        draft: toPlain(draft),
+        hasUnpublishedChanges: page.latestVersion !== page.publishedVersion
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get page error:', error);
+    return failure('Failed to retrieve page', error);
+  }
+};
+
+/**
+ * Create a page with its first version, optionally publishing it
+ */
+export const createPage = async (adminId, data = {}) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const slug = slugify(data.slug || data.title);
+
+    const page = await ContentPage.create({ slug, latestVersion: 1, createdBy: adminId }, { transaction });
+    const version = await ContentPageVersion.create({
+      ...pickFields(data, PAGE_VERSION_FIELDS),
+      pageId: page.id,
+      version: 1,
+      changeNote: data.changeNote || 'Initial version',
+      createdBy: adminId
+    }, { transaction });
+
+    if (data.publish) {
+      await page.update(copyVersionToPage(version, adminId), { transaction });
+    }
+
+    await transaction.commit();
+
+    return {
+      success: true,
+      message: data.publish ? 'Page created and published successfully' : 'Page created as a draft',
+      data: { page: toPlain(page), draft: toPlain(version) },
+      statusCode: 201
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error('Create page error:', error);
+    return failure('Failed to create page', error);
+  }
+};
+
+/**
+ * Save an edit as a new version. Fields that are not sent are carried over
+ * from the latest version. The published copy is unchanged unless publish is set.
+ */
+export const updatePage = async (adminId, pageId, data = {}) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const page = await ContentPage.findByPk(pageId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!page) {
+      await transaction.rollback();
+      return notFound('Page');
+    }
+
+    if (data.slug !== undefined) {
+      await page.update({ slug: slugify(data.slug) }, { transaction });
+    }
+
+    const latest = await getLatestVersion(page, transaction);
+    const edits = pickFields(data, PAGE_VERSION_FIELDS);
+    let version = latest;
+
+    if (Object.keys(edits).length > 0) {
+      version = await ContentPageVersion.create({
+        ...pickFields(toPlain(latest) || {}, PAGE_VERSION_FIELDS),
+        ...edits,
+        pageId: page.id,
+        version: page.latestVersion + 1,
+        changeNote: data.changeNote || null,
+        createdBy: adminId
+      }, { transaction });
+
+      await page.update({ latestVersion: version.version }, { transaction });
+    }
+
+    if (data.publish) {
+      await page.update(copyVersionToPage(version, adminId), { transaction });
+    }
+
+    await transaction.commit();
+
+    return {
+      success: true,
+      message: data.publish ? 'Page saved and published successfully' : 'Page saved as a draft',
+      data: {
+        page: toPlain(page),
+        draft: toPlain(version),
+        hasUnpublishedChanges: page.latestVersion !== page.publishedVersion
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error('Update page error:', error);
+    return failure('Failed to update page', error);
+  }
+};
+
+/**
+ * Publish a version of a page (the latest by default; an older one rolls back)
+ */
+export const publishPage = async (adminId, pageId, data = {}) => {
+  try {
+    const page = await ContentPage.findByPk(pageId);
+    if (!page) {
+      return notFound('Page');
+    }
+
+    const versionNumber = data.version ? Number(data.version) : page.latestVersion;
+    const version = await ContentPageVersion.findOne({ where: { pageId, version: versionNumber } });
+    if (!version) {
+      return notFound('Page version');
+    }
+
+    await page.update(copyVersionToPage(version, adminId));
+
+    return {
+      success: true,
+      message: `Version ${versionNumber} published successfully`,
+      data: { page: toPlain(page) },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Publish page error:', error);
+    return failure('Failed to publish page', error);
+  }
+};
+
+export const unpublishPage = async (pageId) => {
+  try {
+    const page = await ContentPage.findByPk(pageId);
+    if (!page) {
+      return notFound('Page');
+    }
+
+    if (page.status !== 'published') {
+      return { success: false, message: 'Page is not published', statusCode: 400 };
+    }
+
+    await page.update({ status: 'unpublished' });
+
+    return {
+      success: true,
+      message: 'Page unpublished successfully',
+      data: { page: toPlain(page) },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Unpublish page error:', error);
+    return failure('Failed to unpublish page', error);
+  }
+};
+
+export const getPageVersions = async (pageId) => {
+  try {
+    const page = await ContentPage.findByPk(pageId, { attributes: ['id', 'slug', 'latestVersion', 'publishedVersion'] });
+    if (!page) {
+      return notFound('Page');
+    }
+
+    const versions = await ContentPageVersion.findAll({
+      where: { pageId },
+      attributes: ['id', 'version', 'title', 'changeNote', 'createdBy', 'createdAt'],
+      include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'], required: false }],
+      order: [['version', 'DESC']]
+    });
+
+    return {
+      success: true,
+      message: 'Page versions retrieved successfully',
+      data: {
+        page: toPlain(page),
+        versions: versions.map((version) => ({
+          ...toPlain(version),
+          isPublished: version.version === page.publishedVersion
+        }))
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get page versions error:', error);
+    return failure('Failed to retrieve page versions', error);
+  }
+};
+
+export const getPageVersion = async (pageId, versionNumber) => {
+  try {
+    const version = await ContentPageVersion.findOne({ where: { pageId, version: Number(versionNumber) } });
+    if (!version) {
+      return notFound('Page version');
+    }
+
+    return {
+      success: true,
+      message: 'Page version retrieved successfully',
+      data: toPlain(version),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get page version error:', error);
+    return failure('Failed to retrieve page version', error);
+  }
+};
+
+export const deletePage = async (pageId) => {
+  try {
+    const page = await ContentPage.findByPk(pageId);
+    if (!page) {
+      return notFound('Page');
+    }
+
+    await page.destroy();
+
+    return {
+      success: true,
+      message: 'Page deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Delete page error:', error);
+    return failure('Failed to delete page', error);
+  }
+};
+
+export default {
+  VISITOR_ROLE,
+  slugify,
+  getPublicFaqs,
+  getPublicBanners,
+  getPublicAnnouncements,
+  getPublicPage,
+  listFaqCategories,
+  createFaqCategory,
+  updateFaqCategory,
+  deleteFaqCategory,
+  listFaqs,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  listBanners,
+  createBanner,
+  updateBanner,
+  deleteBanner,
+  listAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  publishAnnouncement,
+  archiveAnnouncement,
+  deleteAnnouncement,
+  listPages,
+  getPage,
+  createPage,
+  updatePage,
+  publishPage,
+  unpublishPage,
+  getPageVersions,
+  getPageVersion,
+  deletePage
+};
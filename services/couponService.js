@@ -0,0 +1,658 @@
+import { Op, fn, col } from 'sequelize';
+import { BookingQuote, Coupon, CouponRedemption, Property, User } from '../schema/index.js';
+
+/**
+ * Coupon Service
+ * Admin-managed promo codes for stay bookings. A coupon is checked and priced
+ * when a quote is created; the discount becomes a line in the signed quote.
+ * The redemption is recorded when the quote is consumed by a booking and
+ * reversed when that booking is cancelled or rejected, which frees the
+ * global and per-user caps again. Quotes reserved for a payment that has not
+ * settled yet count against the caps too.
+ *
+ * Discounts apply to the accommodation subtotal only; fees and tax are still
+ * charged on the full price. fundedBy decides who pays for the discount:
+ *   - platform: the landlord is paid as if no coupon was used
+ *   - landlord: the discount comes out of the landlord's payout
+ */
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+export const FUNDING_SOURCES = ['platform', 'landlord'];
+export const COUPON_BOOKING_TYPES = ['shortlet', 'rental', 'hotel'];
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscountAmount', 'minSpend', 'currency',
+  'startsAt', 'expiresAt', 'maxRedemptions', 'maxRedemptionsPerUser', 'listingTypes', 'propertyIds',
+  'ownerIds', 'fundedBy', 'isActive', 'metadata'
+];
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Empty scope lists mean "any"
+const inScope = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+const toPlain = (instance) => (instance?.get ? instance.get({ plain: true }) : instance);
+
+/**
+ * Discount a coupon gives on an accommodation subtotal
+ * @param {Object} coupon - Coupon instance
+ * @param {number} subtotal - Accommodation subtotal before fees
+ * @returns {number} Discount amount, never more than the subtotal
+ */
+export const calculateDiscount = (coupon, subtotal) => {
+  const base = roundAmount(subtotal);
+  let amount = coupon.discountType === 'percentage'
+    ? base * Number(coupon.discountValue) / 100
+    : Number(coupon.discountValue);
+
+  if (coupon.maxDiscountAmount !== null && coupon.maxDiscountAmount !== undefined) {
+    amount = Math.min(amount, Number(coupon.maxDiscountAmount));
+  }
+
+  return roundAmount(Math.max(Math.min(amount, base), 0));
+};
+
+/**
+ * Unexpired quotes with this coupon that are reserved for a payment in progress
+ * @param {Object} coupon - Coupon instance
+ * @param {Object} options - { userId (only this guest's), quoteId (left out), transaction }
+ * @returns {number}
+ */
+const countReservedQuotes = async (coupon, options = {}) => {
+  const where = {
+    couponId: coupon.id,
+    status: 'active',
+    paymentReference: { [Op.ne]: null },
+    expiresAt: { [Op.gt]: new Date() }
+  };
+  if (options.userId) where.userId = options.userId;
+  if (options.quoteId) where.id = { [Op.ne]: options.quoteId };
+
+  return BookingQuote.count({ where, transaction: options.transaction });
+};
+
+/**
+ * Check the parts of a coupon that can change between quoting and paying:
+ * active flag, validity window and redemption caps
+ * @param {Object} coupon - Coupon instance
+ * @param {string} userId - Guest redeeming the coupon
+ * @param {Object} options - { transaction, quoteId (quote being checked, not counted as reserved) }
+ * @returns {string|null} Reason the coupon cannot be used, or null
+ */
+const checkRedeemable = async (coupon, userId, options = {}) => {
+  const now = new Date();
+  const { transaction, quoteId } = options;
+
+  if (!coupon.isActive) return 'This coupon is no longer active';
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return 'This coupon is not valid yet';
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return 'This coupon has expired';
+
+  if (coupon.maxRedemptions !== null && coupon.maxRedemptions !== undefined) {
+    const reserved = await countReservedQuotes(coupon, { quoteId, transaction });
+    if (coupon.redemptionCount + reserved >= coupon.maxRedemptions) {
+      return 'This coupon has reached its redemption limit';
+    }
+  }
+
+  if (coupon.maxRedemptionsPerUser !== null && coupon.maxRedemptionsPerUser !== undefined) {
+    const used = await CouponRedemption.count({
+      where: { couponId: coupon.id, userId, status: 'redeemed' },
+      transaction
+    });
+    const reserved = await countReservedQuotes(coupon, { userId, quoteId, transaction });
+    if (used + reserved >= coupon.maxRedemptionsPerUser) {
+      return 'You have already used this coupon';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a coupon against a stay and work out the discount
+ * @param {string} code - Coupon code as entered by the guest
+ * @param {Object} context - { userId, property, bookingType, subtotal, currency }
+ * @returns {Object} Result object with { coupon, discount } where discount is the quote line item
+ */
+export const evaluateCoupon = async (code, context) => {
+  const { userId, property, bookingType, subtotal } = context;
+  const normalized = normalizeCode(code);
+
+  if (!normalized) {
+    return { success: false, message: 'Coupon code is required', statusCode: 400 };
+  }
+
+  const coupon = await Coupon.findOne({ where: { code: normalized } });
+  if (!coupon) {
+    return { success: false, message: 'Invalid coupon code', statusCode: 404 };
+  }
+
+  const unavailable = await checkRedeemable(coupon, userId);
+  if (unavailable) {
+    return { success: false, message: unavailable, statusCode: 400 };
+  }
+
+  if (!inScope(coupon.listingTypes, bookingType)) {
+    return { success: false, message: `This coupon cannot be used for ${bookingType} bookings`, statusCode: 400 };
+  }
+  if (!inScope(coupon.propertyIds, property.id) || !inScope(coupon.ownerIds, property.ownerId)) {
+    return { success: false, message: 'This coupon cannot be used for this property', statusCode: 400 };
+  }
+
+  const currency = context.currency || property.currency || 'NGN';
+  if (coupon.discountType === 'fixed' && coupon.currency && coupon.currency !== currency) {
+    return { success: false, message: `This coupon can only be used for ${coupon.currency} bookings`, statusCode: 400 };
+  }
+
+  if (coupon.minSpend !== null && roundAmount(subtotal) < Number(coupon.minSpend)) {
+    return {
+      success: false,
+      message: `This coupon requires a minimum spend of ${coupon.currency || currency} ${Number(coupon.minSpend).toLocaleString()}`,
+      statusCode: 400
+    };
+  }
+
+  const amount = calculateDiscount(coupon, subtotal);
+  if (amount <= 0) {
+    return { success: false, message: 'This coupon does not give a discount on this booking', statusCode: 400 };
+  }
+
+  return {
+    success: true,
+    message: 'Coupon applied',
+    data: {
+      coupon,
+      discount: {
+        type: 'coupon',
+        couponId: coupon.id,
+        code: coupon.code,
+        description: coupon.description || null,
+        discountType: coupon.discountType,
+        discountValue: Number(coupon.discountValue),
+        fundedBy: coupon.fundedBy,
+        amount
+      }
+    },
+    statusCode: 200
+  };
+};
+
+/**
+ * The coupon line of a quote, if it has one
+ * @param {Object} quote - BookingQuote instance
+ * @returns {Object|null} Discount line item
+ */
+export const getQuoteCoupon = (quote) =>
+  (quote?.breakdown?.discounts || []).find((discount) => discount.type === 'coupon') || null;
+
+/**
+ * Make sure the coupon on a quote can still be redeemed before money moves.
+ * Inside a transaction the coupon row stays locked until it commits, so
+ * checkouts racing for the last redemption are decided one at a time; the
+ * caller must reserve or consume the quote in that same transaction.
+ * @param {Object} quote - BookingQuote instance
+ * @param {Object} options - { transaction }
+ * @returns {Object} Result object
+ */
+export const recheckQuoteCoupon = async (quote, options = {}) => {
+  const line = getQuoteCoupon(quote);
+  if (!line) {
+    return { success: true, message: 'Quote has no coupon', statusCode: 200 };
+  }
+
+  const { transaction } = options;
+  const coupon = await Coupon.findByPk(line.couponId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  const unavailable = coupon
+    ? await checkRedeemable(coupon, quote.userId, { transaction, quoteId: quote.id })
+    : 'This coupon no longer exists';
+
+  if (unavailable) {
+    return {
+      success: false,
+      message: `${unavailable}. Please request a new quote.`,
+      data: { couponCode: line.code },
+      statusCode: 409
+    };
+  }
+
+  return { success: true, message: 'Coupon can be redeemed', statusCode: 200 };
+};
+
+/**
+ * Record the redemption of the coupon on a quote once a booking uses it.
+ * Caps were checked when the quote was issued and again, with the coupon row
+ * locked, when it was reserved for payment or booked, so a paid booking is
+ * always recorded even if its reservation expired before the payment settled.
+ * @param {Object} quote - Consumed BookingQuote
+ * @param {string} bookingId - Booking created from the quote
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Object|null} CouponRedemption, or null if the quote had no coupon
+ */
+export const redeemQuoteCoupon = async (quote, bookingId, transaction = null) => {
+  const line = getQuoteCoupon(quote);
+  if (!line) return null;
+
+  const existing = await CouponRedemption.findOne({ where: { bookingId }, transaction });
+  if (existing) return existing;
+
+  const property = await Property.findByPk(quote.propertyId, { attributes: ['id', 'ownerId'], transaction });
+
+  const redemption = await CouponRedemption.create({
+    couponId: line.couponId,
+    userId: quote.userId,
+    bookingId,
+    quoteId: quote.id,
+    propertyId: quote.propertyId,
+    ownerId: property?.ownerId || null,
+    code: line.code,
+    discountAmount: line.amount,
+    currency: quote.currency || 'NGN',
+    fundedBy: line.fundedBy,
+    status: 'redeemed'
+  }, { transaction });
+
+  await Coupon.increment('redemptionCount', { where: { id: line.couponId }, transaction });
+
+  console.log(`🎟️ [COUPON SERVICE] Coupon ${line.code} redeemed on booking ${bookingId} (${line.amount}, funded by ${line.fundedBy})`);
+  return redemption;
+};
+
+/**
+ * Active coupon redemption for a booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Object|null} CouponRedemption
+ */
+export const getBookingRedemption = async (bookingId) =>
+  CouponRedemption.findOne({ where: { bookingId, status: 'redeemed' } });
+
+/**
+ * Give a cancelled or rejected booking's coupon use back to the guest
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Why the booking ended
+ * @returns {Object|null} Reversed CouponRedemption, or null if nothing was redeemed
+ */
+export const reverseRedemption = async (bookingId, reason = null) => {
+  const redemption = await getBookingRedemption(bookingId);
+  if (!redemption) return null;
+
+  const [updated] = await CouponRedemption.update(
+    { status: 'reversed', reversedAt: new Date(), reversalReason: reason ? String(reason).slice(0, 255) : null },
+    { where: { id: redemption.id, status: 'redeemed' } }
+  );
+
+  // Another cancellation path got there first
+  if (updated === 0) return null;
+
+  await Coupon.decrement('redemptionCount', {
+    where: { id: redemption.couponId, redemptionCount: { [Op.gt]: 0 } }
+  });
+
+  console.log(`🎟️ [COUPON SERVICE] Coupon ${redemption.code} redemption reversed for booking ${bookingId}`);
+  return redemption;
+};
+
+const validateCouponFields = (coupon) => {
+  if (!coupon.code || !/^[A-Z0-9_-]{3,50}$/.test(coupon.code)) {
+    return 'Coupon code must be 3-50 letters, numbers, dashes or underscores';
+  }
+  if (!DISCOUNT_TYPES.includes(coupon.discountType)) return 'Invalid discount type';
+  if (!FUNDING_SOURCES.includes(coupon.fundedBy)) return 'fundedBy must be platform or landlord';
+
+  const value = Number(coupon.discountValue);
+  if (!(value > 0)) return 'discountValue must be greater than zero';
+  if (coupon.discountType === 'percentage' && value > 100) return 'A percentage discount cannot exceed 100%';
+
+  if (coupon.startsAt && coupon.expiresAt && new Date(coupon.expiresAt) <= new Date(coupon.startsAt)) {
+    return 'expiresAt must be after startsAt';
+  }
+
+  if (Array.isArray(coupon.listingTypes) && coupon.listingTypes.some((type) => !COUPON_BOOKING_TYPES.includes(type))) {
+    return `listingTypes can only contain ${COUPON_BOOKING_TYPES.join(', ')}`;
+  }
+
+  // A landlord can only fund a discount on their own listings
+  if (coupon.fundedBy === 'landlord' && !(Array.isArray(coupon.ownerIds) && coupon.ownerIds.length > 0) &&
+    !(Array.isArray(coupon.propertyIds) && coupon.propertyIds.length > 0)) {
+    return 'Landlord-funded coupons must be limited to specific owners or properties';
+  }
+
+  return null;
+};
+
+const pickEditableFields = (data) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (data[field] !== undefined) {
+    acc[field] = data[field];
+  }
+  return acc;
+}, {});
+
+/**
+ * Redemption totals per coupon
+ * @param {Array} couponIds - Coupon IDs
+ * @returns {Object} Map of couponId to { redeemed, reversed, discountTotal }
+ */
+const getRedemptionStats = async (couponIds) => {
+  if (couponIds.length === 0) return {};
+
+  const rows = await CouponRedemption.findAll({
+    attributes: [
+      'couponId',
+      'status',
+      [fn('COUNT', col('id')), 'count'],
+      [fn('SUM', col('discountAmount')), 'discountTotal']
+    ],
+    where: { couponId: { [Op.in]: couponIds } },
+    group: ['couponId', 'status'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    const stats = acc[row.couponId] || { redeemed: 0, reversed: 0, discountTotal: 0 };
+    stats[row.status] = Number(row.count);
+    if (row.status === 'redeemed') {
+      stats.discountTotal = roundAmount(row.discountTotal || 0);
+    }
+    acc[row.couponId] = stats;
+    return acc;
+  }, {});
+};
+
+/**
+ * List coupons for the admin dashboard
+ * @param {Object} options - { page, limit, status (active, inactive, expired), fundedBy, search }
+ * @returns {Object} Result object
+ */
+export const listCoupons = async (options = {}) => {
+  try {
+    const { page = 1, limit = 20, status, fundedBy, search } = options;
+    const now = new Date();
+    const where = {};
+
+    if (status === 'active') {
+      where.isActive = true;
+      where[Op.and] = [{ [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }] }];
+    } else if (status === 'inactive') {
+      where.isActive = false;
+    } else if (status === 'expired') {
+      where.expiresAt = { [Op.lte]: now };
+    }
+
+    if (fundedBy) {
+      where.fundedBy = fundedBy;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { code: { [Op.like]: `%${normalizeCode(search)}%` } },
+        { description: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const offset = (Number(page) - 1) * Number(limit);
+    const { count, rows } = await Coupon.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset
+    });
+
+    const stats = await getRedemptionStats(rows.map((coupon) => coupon.id));
+
+    return {
+      success: true,
+      message: 'Coupons retrieved successfully',
+      data: {
+        coupons: rows.map((coupon) => ({
+          ...toPlain(coupon),
+          usage: stats[coupon.id] || { redeemed: 0, reversed: 0, discountTotal: 0 }
+        })),
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(count / Number(limit)) || 1,
+          totalItems: count,
+          itemsPerPage: Number(limit),
+          hasNextPage: offset + Number(limit) < count,
+          hasPrevPage: offset > 0
+        }
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error listing coupons:', error);
+    return { success: false, message: 'Failed to retrieve coupons', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Coupon with usage totals and its latest redemptions
+ * @param {string} couponId - Coupon ID
+ * @returns {Object} Result object
+ */
+export const getCoupon = async (couponId) => {
+  try {
+    const coupon = await Coupon.findByPk(couponId);
+    if (!coupon) {
+      return { success: false, message: 'Coupon not found', statusCode: 404 };
+    }
+
+    const stats = await getRedemptionStats([coupon.id]);
+    const recentRedemptions = await CouponRedemption.findAll({
+      where: { couponId },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 20
+    });
+
+    return {
+      success: true,
+      message: 'Coupon retrieved successfully',
+      data: {
+        coupon: {
+          ...toPlain(coupon),
+          usage: stats[coupon.id] || { redeemed: 0, reversed: 0, discountTotal: 0 }
+        },
+        recentRedemptions
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error getting coupon:', error);
+    return { success: false, message: 'Failed to retrieve coupon', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Create a coupon
+ * @param {string} adminId - Admin creating the coupon
+ * @param {Object} couponData - Coupon fields
+ * @returns {Object} Result object
+ */
+export const createCoupon = async (adminId, couponData) => {
+  try {
+    const fields = {
+      fundedBy: 'platform',
+      isActive: true,
+      maxRedemptionsPerUser: 1,
+      ...pickEditableFields(couponData)
+    };
+    fields.code = normalizeCode(fields.code);
+
+    const invalid = validateCouponFields(fields);
+    if (invalid) {
+      return { success: false, message: invalid, statusCode: 400 };
+    }
+
+    const existing = await Coupon.findOne({ where: { code: fields.code }, attributes: ['id'] });
+    if (existing) {
+      return { success: false, message: 'A coupon with this code already exists', statusCode: 409 };
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: adminId });
+
+    return {
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    return { success: false, message: 'Failed to create coupon', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Update a coupon. The code cannot change once the coupon has been redeemed,
+ * and settled redemptions keep the funding source they were redeemed with.
+ * @param {string} couponId - Coupon ID
+ * @param {Object} couponData - Fields to change
+ * @returns {Object} Result object
+ */
+export const updateCoupon = async (couponId, couponData) => {
+  try {
+    const coupon = await Coupon.findByPk(couponId);
+    if (!coupon) {
+      return { success: false, message: 'Coupon not found', statusCode: 404 };
+    }
+
+    const changes = pickEditableFields(couponData);
+    if (changes.code !== undefined) {
+      changes.code = normalizeCode(changes.code);
+    }
+
+    if (changes.code && changes.code !== coupon.code) {
+      const used = await CouponRedemption.count({ where: { couponId } });
+      if (used > 0) {
+        return { success: false, message: 'The code of a coupon that has been used cannot be changed', statusCode: 400 };
+      }
+
+      const existing = await Coupon.findOne({ where: { code: changes.code }, attributes: ['id'] });
+      if (existing) {
+        return { success: false, message: 'A coupon with this code already exists', statusCode: 409 };
+      }
+    }
+
+    const invalid = validateCouponFields({ ...toPlain(coupon), ...changes });
+    if (invalid) {
+      return { success: false, message: invalid, statusCode: 400 };
+    }
+
+    await coupon.update(changes);
+
+    return {
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    return { success: false, message: 'Failed to update coupon', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Coupon usage for the admin dashboard: totals, split by who funded the
+ * discounts, and the most used coupons
+ * @param {Object} options - { startDate, endDate, limit }
+ * @returns {Object} Result object
+ */
+export const getCouponUsageReport = async (options = {}) => {
+  try {
+    const where = {};
+    if (options.startDate || options.endDate) {
+      where.createdAt = {};
+      if (options.startDate) where.createdAt[Op.gte] = new Date(options.startDate);
+      if (options.endDate) where.createdAt[Op.lte] = new Date(options.endDate);
+    }
+
+    const [byStatus, byFunding, topRows, activeCoupons] = await Promise.all([
+      CouponRedemption.findAll({
+        attributes: ['status', [fn('COUNT', col('id')), 'count'], [fn('SUM', col('discountAmount')), 'discountTotal']],
+        where,
+        group: ['status'],
+        raw: true
+      }),
+      CouponRedemption.findAll({
+        attributes: ['fundedBy', [fn('COUNT', col('id')), 'count'], [fn('SUM', col('discountAmount')), 'discountTotal']],
+        where: { ...where, status: 'redeemed' },
+        group: ['fundedBy'],
+        raw: true
+      }),
+      CouponRedemption.findAll({
+        attributes: ['couponId', 'code', [fn('COUNT', col('id')), 'redemptions'], [fn('SUM', col('discountAmount')), 'discountTotal']],
+        where: { ...where, status: 'redeemed' },
+        group: ['couponId', 'code'],
+        order: [[fn('COUNT', col('id')), 'DESC']],
+        limit: Math.min(parseInt(options.limit, 10) || 10, 50),
+        raw: true
+      }),
+      Coupon.count({
+        where: {
+          isActive: true,
+          [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+        }
+      })
+    ]);
+
+    const statusTotals = byStatus.reduce((acc, row) => {
+      acc[row.status] = { count: Number(row.count), discountTotal: roundAmount(row.discountTotal || 0) };
+      return acc;
+    }, {});
+
+    const fundingTotals = FUNDING_SOURCES.reduce((acc, source) => {
+      const row = byFunding.find((item) => item.fundedBy === source);
+      acc[source] = {
+        redemptions: row ? Number(row.count) : 0,
+        discountTotal: row ? roundAmount(row.discountTotal || 0) : 0
+      };
+      return acc;
+    }, {});
+
+    return {
+      success: true,
+      message: 'Coupon usage retrieved successfully',
+      data: {
+        period: { startDate: options.startDate || null, endDate: options.endDate || null },
+        activeCoupons,
+        redemptions: statusTotals.redeemed?.count || 0,
+        reversals: statusTotals.reversed?.count || 0,
+        discountTotal: statusTotals.redeemed?.discountTotal || 0,
+        fundedBy: fundingTotals,
+        topCoupons: topRows.map((row) => ({
+          couponId: row.couponId,
+          code: row.code,
+          redemptions: Number(row.redemptions),
+          discountTotal: roundAmount(row.discountTotal || 0)
+        }))
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error building coupon usage report:', error);
+    return { success: false, message: 'Failed to retrieve coupon usage', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  DISCOUNT_TYPES,
+  FUNDING_SOURCES,
+  normalizeCode,
+  calculateDiscount,
+  evaluateCoupon,
+  getQuoteCoupon,
+  recheckQuoteCoupon,
+  redeemQuoteCoupon,
+  getBookingRedemption,
+  reverseRedemption,
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  getCouponUsageReport
+};
@@ -1,6 +1,14 @@
 import cron from 'node-cron';
 import releaseCompletedBookings from './scripts/releaseBookingFunds.js';
 import autoCancelBookings from './scripts/autoCancelBookings.js';
+import reconcileWallets from './scripts/reconcileWallets.js';
+import processSubscriptionRenewals from './scripts/processSubscriptionRenewals.js';
+import sendDeferredNotifications from './scripts/sendDeferredNotifications.js';
+import syncCalendarFeeds from './scripts/syncCalendarFeeds.js';
+import processLeaseLifecycle from './scripts/processLeaseLifecycle.js';
+import processRentInvoices from './scripts/processRentInvoices.js';
+import purgeStaleSessions from './scripts/purgeStaleSessions.js';
+import settleAgencyCommissions from './scripts/settleAgencyCommissions.js';
 
 /**
  * Cron Job Scheduler
@@ -92,6 +100,294 @@ export function initCronJobs() {
 
   jobs.push({ name: 'Auto-Cancel Unconfirmed Bookings', schedule: '0 * * * * (every hour WAT)', job: autoCancelJob });
 
+  // ─── Job 3: Wallet Reconciliation ───
+  // Runs daily at 01:30, after the fund release job
+  // Checks every wallet's available/pending balance against its transaction ledger
+  const reconcileWalletsJob = cron.schedule('30 1 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Wallet Reconciliation - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await reconcileWallets();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Wallet Reconciliation - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Checked: ${result.checked}, Mismatched: ${result.mismatched}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Wallet Reconciliation - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Wallet Reconciliation - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Wallet Reconciliation', schedule: '30 1 * * * (daily 01:30 WAT)', job: reconcileWalletsJob });
+
+  // ─── Job 4: Subscription Renewals ───
+  // Runs daily at 08:00 so reminders and payment notices arrive during the day
+  // Sends renewal reminders, charges due subscriptions, retries failed charges and expires lapsed ones
+  const subscriptionRenewalsJob = cron.schedule('0 8 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Subscription Renewals - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await processSubscriptionRenewals();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Subscription Renewals - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Reminded: ${result.reminded}, Renewed: ${result.renewed}, Failed: ${result.failed}, Expired: ${result.expired}`);
+      } else {
+        console.error(`⏰ [CRON] Subscription Renewals - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Subscription Renewals - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Subscription Renewals', schedule: '0 8 * * * (daily 08:00 WAT)', job: subscriptionRenewalsJob });
+
+  // ─── Job 5: Deferred Notifications ───
+  // Runs every 15 minutes
+  // Sends push/SMS/WhatsApp deliveries that were held back during users' quiet hours
+  const deferredNotificationsJob = cron.schedule('*/15 * * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Deferred Notifications - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await sendDeferredNotifications();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Deferred Notifications - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Sent: ${result.processed}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Deferred Notifications - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Deferred Notifications - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Deferred Notifications', schedule: '*/15 * * * * (every 15 minutes)', job: deferredNotificationsJob });
+
+  // ─── Job 6: Calendar Feed Sync ───
+  // Runs every hour at minute 0
+  // Imports iCal calendars of listings on other channels to prevent double bookings
+  const calendarSyncJob = cron.schedule('0 * * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Calendar Feed Sync - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await syncCalendarFeeds();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Calendar Feed Sync - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Feeds: ${result.processed}, Synced: ${result.succeeded}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Calendar Feed Sync - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Calendar Feed Sync - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Calendar Feed Sync', schedule: '0 * * * * (every hour WAT)', job: calendarSyncJob });
+
+  // ─── Job 7: Lease Lifecycle ───
+  // Runs daily at 06:00 AM (Africa/Lagos)
+  // Starts, flags for renewal and closes long-term leases
+  const leaseLifecycleJob = cron.schedule('0 6 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Lease Lifecycle - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await processLeaseLifecycle();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Lease Lifecycle - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Started: ${result.started}, Renewal due: ${result.renewalDue}, Expired: ${result.expired}, Renewed: ${result.renewed}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Lease Lifecycle - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Lease Lifecycle - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Lease Lifecycle', schedule: '0 6 * * * (daily 06:00 WAT)', job: leaseLifecycleJob });
+
+  // ─── Job 8: Rent Invoicing ───
+  // Runs daily at 07:00 AM (Africa/Lagos), after the lease lifecycle job
+  // Issues rent invoices, applies late fees and sends rent reminders
+  const rentInvoicingJob = cron.schedule('0 7 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Rent Invoicing - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await processRentInvoices();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Rent Invoicing - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Issued: ${result.issued}, Overdue: ${result.overdue}, Late fees: ${result.lateFees}, Reminders: ${result.reminders}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Rent Invoicing - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Rent Invoicing - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Rent Invoicing', schedule: '0 7 * * * (daily 07:00 WAT)', job: rentInvoicingJob });
+
+  // ─── Job 9: Stale Session Purge ───
+  // Runs daily at 03:00 AM (Africa/Lagos)
+  // Deletes device sessions that expired or were revoked over 30 days ago
+  const sessionPurgeJob = cron.schedule('0 3 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Stale Session Purge - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await purgeStaleSessions();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Stale Session Purge - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Deleted: ${result.deleted}`);
+      } else {
+        console.error(`⏰ [CRON] Stale Session Purge - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Stale Session Purge - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Stale Session Purge', schedule: '0 3 * * * (daily 03:00 WAT)', job: sessionPurgeJob });
+
+  // ─── Job 10: Agency Commission Retry ───
+  // Runs daily at 02:00 AM (Africa/Lagos)
+  // Pays out agency commission splits that failed when the payout was released
+  const agencyCommissionJob = cron.schedule('0 2 * * *', async () => {
+    const startTime = Date.now();
+    console.log('');
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log(`⏰ [CRON] Agency Commission Retry - STARTED at ${new Date().toISOString()}`);
+    console.log('⏰ ───────────────────────────────────────────');
+
+    try {
+      const result = await settleAgencyCommissions();
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (result.success) {
+        console.log(`⏰ [CRON] Agency Commission Retry - COMPLETED in ${duration}s`);
+        console.log(`⏰ [CRON]   Retried: ${result.retried}, Settled: ${result.settled}, Failed: ${result.failed}`);
+      } else {
+        console.error(`⏰ [CRON] Agency Commission Retry - FAILED in ${duration}s`);
+        console.error(`⏰ [CRON]   Error: ${result.error}`);
+      }
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.error(`⏰ [CRON] Agency Commission Retry - CRASHED in ${duration}s`);
+      console.error(`⏰ [CRON]   Error: ${error.message}`);
+    }
+
+    console.log('⏰ ───────────────────────────────────────────');
+    console.log('');
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Lagos'
+  });
+
+  jobs.push({ name: 'Agency Commission Retry', schedule: '0 2 * * * (daily 02:00 WAT)', job: agencyCommissionJob });
+
   // ─── Log Summary ───
   console.log('');
   console.log(`⏰ [CRON] Registered ${jobs.length} job(s):`);
@@ -0,0 +1,899 @@
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import {
+  Booking,
+  Dispute,
+  DisputeMessage,
+  Property,
+  User,
+  WalletTransaction
+} from '../schema/index.js';
+import walletService from './walletService.js';
+import { settleBookingCommission, reverseBookingCommission } from './agencyService.js';
+import { debitLine } from './ledgerService.js';
+import { createAndSendNotification } from './notificationService.js';
+import { recordAdminAction } from './auditLogService.js';
+import { hasPermission, rolesWithPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Dispute Service
+ * A guest or owner can dispute a paid booking up to DISPUTE_WINDOW_DAYS after
+ * the stay ends. Both sides and the admins talk it through in a thread with
+ * evidence attached to messages:
+ *
+ *   open → under_review → resolved
+ *     ↘ withdrawn (by whoever opened it)
+ *
+ * While the dispute is open the owner's pending funds are frozen
+ * (walletStatus 'frozen'), so the release job skips them. If the funds were
+ * already released, the owner's share of a refund is clawed back from their
+ * available balance and the platform covers any shortfall.
+ */
+
+export const OPEN_DISPUTE_STATUSES = ['open', 'under_review'];
+export const DISPUTE_OUTCOMES = ['full_refund', 'partial_refund', 'release_to_owner', 'split'];
+
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS, 10) || 14;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const buildPaginationMeta = (count, page, limit) => {
+  const currentPage = Number(page) || 1;
+  const perPage = Number(limit) || 10;
+  const totalPages = Math.ceil(count / perPage) || 1;
+
+  return {
+    currentPage,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: perPage,
+    hasNextPage: currentPage < totalPages,
+    hasPrevPage: currentPage > 1
+  };
+};
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'booking',
+      channels: ['in_app', 'email'],
+      actionText: 'View Dispute',
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [DISPUTE] Failed to send notification:', notificationError.message);
+  }
+};
+
+const notifyAdmins = async (notification) => {
+  const admins = await User.findAll({
+    where: { role: 'admin', adminRole: { [Op.in]: rolesWithPermission('disputes.manage') }, status: 'active' },
+    attributes: ['id']
+  });
+  for (const admin of admins) {
+    await notify({ ...notification, userId: admin.id, actionUrl: `/admin/disputes/${notification.data.disputeId}` });
+  }
+};
+
+const userSummary = ['id', 'firstName', 'lastName', 'email', 'avatarUrl'];
+
+const disputeIncludes = [
+  {
+    model: Booking,
+    as: 'booking',
+    attributes: [
+      'id', 'bookingType', 'status', 'checkInDate', 'checkOutDate',
+      'totalPrice', 'currency', 'paymentStatus', 'walletStatus'
+    ]
+  },
+  { model: Property, as: 'property', attributes: ['id', 'title', 'address', 'city', 'state'] },
+  { model: User, as: 'guest', attributes: userSummary },
+  { model: User, as: 'owner', attributes: userSummary },
+  { model: User, as: 'assignee', attributes: ['id', 'firstName', 'lastName'], required: false }
+];
+
+/**
+ * Role the user plays in a dispute, or null if they are not part of it
+ */
+const getParticipantRole = (dispute, user) => {
+  if (hasPermission(user, 'disputes.manage')) return 'admin';
+  if (dispute.guestId === user.id) return 'guest';
+  if (dispute.ownerId === user.id) return 'owner';
+  return null;
+};
+
+/**
+ * Last day of the stay (or the inspection) the dispute window counts from
+ */
+const getServiceEndDate = (booking) =>
+  toDateString(booking.checkOutDate || booking.checkInDate || booking.inspectionDate || booking.createdAt);
+
+/**
+ * Owner's net share of a booking, as credited to their wallet
+ */
+const getOwnerShare = async (booking, transaction) => {
+  if (!booking.walletTransactionId) return 0;
+  const walletTxn = await WalletTransaction.findByPk(booking.walletTransactionId, { transaction });
+  return walletTxn ? roundAmount(walletTxn.amount) : 0;
+};
+
+/**
+ * Work out who funds a dispute outcome
+ * @param {Object} amounts - { amountPaid, ownerShare, taxAmount }
+ * @param {string} outcome - full_refund, partial_refund, release_to_owner or split
+ * @param {Object} options - { refundAmount } for partial_refund, { guestPercent } for split
+ * @returns {Object} Resolution breakdown
+ */
+export const calculateResolution = ({ amountPaid, ownerShare, taxAmount }, outcome, options = {}) => {
+  const tax = Math.min(roundAmount(taxAmount), Math.max(roundAmount(amountPaid - ownerShare), 0));
+  let guestRefund = 0;
+  let ownerDebit = 0;
+  let taxRefund = 0;
+
+  switch (outcome) {
+    case 'full_refund':
+      guestRefund = roundAmount(amountPaid);
+      ownerDebit = roundAmount(ownerShare);
+      taxRefund = tax;
+      break;
+    case 'partial_refund': {
+      // Comes out of the owner's share; the platform keeps its fees
+      const refundAmount = roundAmount(options.refundAmount);
+      if (!(refundAmount > 0) || refundAmount > ownerShare) {
+        throw new Error(`refundAmount must be more than 0 and at most the owner's share of ${ownerShare}`);
+      }
+      guestRefund = refundAmount;
+      ownerDebit = refundAmount;
+      break;
+    }
+    case 'split': {
+      // Everything paid is shared, fees and tax included
+      const share = Number(options.guestPercent) / 100;
+      if (!(share > 0 && share < 1)) {
+        throw new Error('guestPercent must be between 1 and 99');
+      }
+      guestRefund = roundAmount(amountPaid * share);
+      ownerDebit = roundAmount(ownerShare * share);
+      taxRefund = roundAmount(tax * share);
+      break;
+    }
+    case 'release_to_owner':
+      break;
+    default:
+      throw new Error(`Unknown outcome ${outcome}`);
+  }
+
+  return {
+    outcome,
+    amountPaid: roundAmount(amountPaid),
+    ownerShare: roundAmount(ownerShare),
+    guestRefund,
+    ownerDebit,
+    ownerAmount: roundAmount(ownerShare - ownerDebit),
+    taxRefund,
+    platformRefund: roundAmount(guestRefund - ownerDebit - taxRefund)
+  };
+};
+
+/**
+ * Open a dispute against a paid booking. Pending owner funds are frozen.
+ * @param {Object} user - Guest or owner of the booking
+ * @param {Object} data - { bookingId, reason, description, requestedOutcome, requestedAmount }
+ * @param {Array} evidence - Uploaded evidence files
+ * @returns {Object} Result object
+ */
+export const openDispute = async (user, data, evidence = []) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const booking = await Booking.findByPk(data.bookingId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title'] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!booking) {
+      await transaction.rollback();
+      return { success: false, message: 'Booking not found', statusCode: 404 };
+    }
+
+    const openerRole = booking.userId === user.id ? 'guest' : booking.ownerId === user.id ? 'owner' : null;
+    if (!openerRole) {
+      await transaction.rollback();
+      return { success: false, message: 'Only the guest or the owner can dispute this booking', statusCode: 403 };
+    }
+
+    if (booking.paymentStatus !== 'completed' || ['cancelled', 'rejected'].includes(booking.status)) {
+      await transaction.rollback();
+      return { success: false, message: 'Only paid, uncancelled bookings can be disputed', statusCode: 400 };
+    }
+
+    // A resolved dispute has already settled the booking funds; a second one
+    // would pay out (or claw back) the same money again
+    const existing = await Dispute.findOne({
+      where: { bookingId: booking.id, status: { [Op.in]: [...OPEN_DISPUTE_STATUSES, 'resolved'] } },
+      transaction
+    });
+    if (existing) {
+      await transaction.rollback();
+      return {
+        success: false,
+        message: existing.status === 'resolved'
+          ? 'A dispute on this booking has already been resolved'
+          : 'This booking already has an open dispute',
+        data: { disputeId: existing.id },
+        statusCode: 409
+      };
+    }
+
+    if (!['pending', 'released'].includes(booking.walletStatus)) {
+      await transaction.rollback();
+      return { success: false, message: 'There are no booking funds left to dispute', statusCode: 400 };
+    }
+
+    const windowClosesAt = new Date(`${getServiceEndDate(booking)}T23:59:59Z`).getTime() + DISPUTE_WINDOW_DAYS * DAY_MS;
+    if (Date.now() > windowClosesAt) {
+      await transaction.rollback();
+      return {
+        success: false,
+        message: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days of the end of the stay`,
+        statusCode: 400
+      };
+    }
+
+    const ownerShare = await getOwnerShare(booking, transaction);
+    const freezeFunds = booking.walletStatus === 'pending';
+
+    const dispute = await Dispute.create({
+      bookingId: booking.id,
+      propertyId: booking.propertyId,
+      guestId: booking.userId,
+      ownerId: booking.ownerId,
+      openedBy: user.id,
+      openerRole,
+      reason: data.reason,
+      description: data.description,
+      requestedOutcome: data.requestedOutcome || null,
+      requestedAmount: data.requestedOutcome === 'partial_refund' ? data.requestedAmount : null,
+      walletStatusAtOpen: booking.walletStatus,
+      frozenAmount: freezeFunds ? ownerShare : 0,
+      lastMessageAt: new Date()
+    }, { transaction });
+
+    await DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: user.id,
+      senderRole: openerRole,
+      message: data.description,
+      attachments: evidence
+    }, { transaction });
+
+    if (freezeFunds) {
+      await booking.update({ walletStatus: 'frozen' }, { transaction });
+    }
+
+    await transaction.commit();
+    console.log(`⚖️ [DISPUTE] Dispute ${dispute.id} opened on booking ${booking.id}${freezeFunds ? `, ${ownerShare} frozen` : ''}`);
+
+    const propertyTitle = booking.property?.title || 'your booking';
+    await notify({
+      userId: openerRole === 'guest' ? booking.ownerId : booking.userId,
+      title: 'Booking Disputed',
+      message: `A dispute has been opened on the booking for ${propertyTitle}. Reply with your side and any evidence.`,
+      type: 'warning',
+      priority: 'high',
+      actionUrl: `/disputes/${dispute.id}`,
+      bookingId: booking.id,
+      propertyId: booking.propertyId,
+      data: { disputeId: dispute.id, bookingId: booking.id }
+    });
+    await notifyAdmins({
+      title: 'New Booking Dispute',
+      message: `The ${openerRole} of a booking for ${propertyTitle} opened a dispute (${data.reason.replace(/_/g, ' ')}).`,
+      type: 'info',
+      priority: 'normal',
+      bookingId: booking.id,
+      data: { disputeId: dispute.id, bookingId: booking.id }
+    });
+
+    return {
+      success: true,
+      message: 'Dispute opened successfully',
+      data: { dispute },
+      statusCode: 201
+    };
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Open dispute error:', error);
+    return {
+      success: false,
+      message: 'Failed to open dispute',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Disputes the user is a party to
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { status, page, limit }
+ * @returns {Object} Result object
+ */
+export const getMyDisputes = async (user, options = {}) => {
+  try {
+    const { status, page = 1, limit = 10 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const where = { [Op.or]: [{ guestId: user.id }, { ownerId: user.id }] };
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await Dispute.findAndCountAll({
+      where,
+      include: disputeIncludes,
+      order: [['lastMessageAt', 'DESC']],
+      limit: Number(limit),
+      offset,
+      distinct: true
+    });
+
+    return {
+      success: true,
+      message: 'Disputes retrieved successfully',
+      data: {
+        disputes: rows,
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve disputes',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Get a dispute with its message thread
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} user - Guest, owner or admin
+ * @returns {Object} Result object
+ */
+export const getDispute = async (disputeId, user) => {
+  try {
+    const dispute = await Dispute.findByPk(disputeId, {
+      include: [
+        ...disputeIncludes,
+        {
+          model: DisputeMessage,
+          as: 'messages',
+          include: [{ model: User, as: 'sender', attributes: ['id', 'firstName', 'lastName', 'avatarUrl'] }]
+        }
+      ],
+      order: [[{ model: DisputeMessage, as: 'messages' }, 'createdAt', 'ASC']]
+    });
+
+    if (!dispute) {
+      return { success: false, message: 'Dispute not found', statusCode: 404 };
+    }
+
+    if (!getParticipantRole(dispute, user)) {
+      return { success: false, message: 'Unauthorized to view this dispute', statusCode: 403 };
+    }
+
+    return {
+      success: true,
+      message: 'Dispute retrieved successfully',
+      data: { dispute },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve dispute',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Post a message, with optional evidence, to a dispute thread
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} user - Guest, owner or admin
+ * @param {string} message - Message text
+ * @param {Array} evidence - Uploaded evidence files
+ * @returns {Object} Result object
+ */
+export const addMessage = async (disputeId, user, message, evidence = []) => {
+  try {
+    const dispute = await Dispute.findByPk(disputeId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title'] }]
+    });
+
+    if (!dispute) {
+      return { success: false, message: 'Dispute not found', statusCode: 404 };
+    }
+
+    const senderRole = getParticipantRole(dispute, user);
+    if (!senderRole) {
+      return { success: false, message: 'Unauthorized to post to this dispute', statusCode: 403 };
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return { success: false, message: `Dispute is ${dispute.status}`, statusCode: 400 };
+    }
+
+    const disputeMessage = await DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: user.id,
+      senderRole,
+      message,
+      attachments: evidence
+    });
+
+    await dispute.update({ lastMessageAt: new Date() });
+
+    const recipients = [dispute.guestId, dispute.ownerId, dispute.assignedTo]
+      .filter((recipientId) => recipientId && recipientId !== user.id);
+    for (const recipientId of new Set(recipients)) {
+      await notify({
+        userId: recipientId,
+        title: 'New Dispute Message',
+        message: `There is a new ${senderRole === 'admin' ? 'message from AWARI support' : `message from the ${senderRole}`} on the dispute for ${dispute.property?.title || 'your booking'}.`,
+        type: 'info',
+        priority: 'normal',
+        actionUrl: recipientId === dispute.assignedTo ? `/admin/disputes/${dispute.id}` : `/disputes/${dispute.id}`,
+        bookingId: dispute.bookingId,
+        data: { disputeId: dispute.id, messageId: disputeMessage.id }
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Message posted successfully',
+      data: { message: disputeMessage },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    return {
+      success: false,
+      message: 'Failed to post message',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Withdraw a dispute. Frozen funds go back to pending and are released on
+ * the next run of the release job if they are due.
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} user - The user who opened the dispute
+ * @returns {Object} Result object
+ */
+export const withdrawDispute = async (disputeId, user) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const dispute = await Dispute.findByPk(disputeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!dispute) {
+      await transaction.rollback();
+      return { success: false, message: 'Dispute not found', statusCode: 404 };
+    }
+
+    if (dispute.openedBy !== user.id) {
+      await transaction.rollback();
+      return { success: false, message: 'Only the user who opened the dispute can withdraw it', statusCode: 403 };
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      await transaction.rollback();
+      return { success: false, message: `Dispute is already ${dispute.status}`, statusCode: 400 };
+    }
+
+    await dispute.update({ status: 'withdrawn', withdrawnAt: new Date() }, { transaction });
+    await Booking.update(
+      { walletStatus: 'pending' },
+      { where: { id: dispute.bookingId, walletStatus: 'frozen' }, transaction }
+    );
+    await DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: null,
+      senderRole: 'system',
+      message: `The ${dispute.openerRole} withdrew the dispute.`
+    }, { transaction });
+
+    await transaction.commit();
+
+    await notify({
+      userId: dispute.openerRole === 'guest' ? dispute.ownerId : dispute.guestId,
+      title: 'Dispute Withdrawn',
+      message: 'The dispute on your booking has been withdrawn.',
+      type: 'info',
+      priority: 'normal',
+      actionUrl: `/disputes/${dispute.id}`,
+      bookingId: dispute.bookingId,
+      data: { disputeId: dispute.id }
+    });
+
+    return {
+      success: true,
+      message: 'Dispute withdrawn successfully',
+      data: { dispute },
+      statusCode: 200
+    };
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Withdraw dispute error:', error);
+    return {
+      success: false,
+      message: 'Failed to withdraw dispute',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Admin queue of disputes, oldest first
+ * @param {Object} filters - { status, reason, assignedTo, page, limit }
+ * @returns {Object} Result object
+ */
+export const getDisputeQueue = async (filters = {}) => {
+  try {
+    const { status, reason, assignedTo, page = 1, limit = 20 } = filters;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const where = {
+      status: status || { [Op.in]: OPEN_DISPUTE_STATUSES }
+    };
+    if (reason) {
+      where.reason = reason;
+    }
+    if (assignedTo) {
+      where.assignedTo = assignedTo;
+    }
+
+    const [{ count, rows }, statusCounts] = await Promise.all([
+      Dispute.findAndCountAll({
+        where,
+        include: disputeIncludes,
+        order: [['createdAt', 'ASC']],
+        limit: Number(limit),
+        offset,
+        distinct: true
+      }),
+      Dispute.findAll({
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      })
+    ]);
+
+    const summary = { open: 0, under_review: 0, resolved: 0, withdrawn: 0 };
+    statusCounts.forEach((row) => {
+      summary[row.status] = Number(row.count);
+    });
+
+    return {
+      success: true,
+      message: 'Disputes retrieved successfully',
+      data: {
+        disputes: rows,
+        summary,
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get dispute queue error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve disputes',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Take a dispute under review
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} admin - Admin user
+ * @param {Object} [auditContext] - From getAuditContext
+ * @returns {Object} Result object
+ */
+export const assignDispute = async (disputeId, admin, auditContext = {}) => {
+  try {
+    const dispute = await Dispute.findByPk(disputeId);
+
+    if (!dispute) {
+      return { success: false, message: 'Dispute not found', statusCode: 404 };
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return { success: false, message: `Dispute is already ${dispute.status}`, statusCode: 400 };
+    }
+
+    const before = dispute.get({ plain: true });
+    await dispute.update({ status: 'under_review', assignedTo: admin.id });
+    await recordAdminAction(auditContext, {
+      action: 'dispute.assigned',
+      entityType: 'dispute',
+      entityId: dispute.id,
+      before,
+      after: dispute,
+      fields: ['status', 'assignedTo'],
+      metadata: { bookingId: dispute.bookingId }
+    });
+    await DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: null,
+      senderRole: 'system',
+      message: 'AWARI support is reviewing this dispute.'
+    });
+
+    for (const userId of [dispute.guestId, dispute.ownerId]) {
+      await notify({
+        userId,
+        title: 'Dispute Under Review',
+        message: 'AWARI support is now reviewing the dispute on your booking.',
+        type: 'info',
+        priority: 'normal',
+        actionUrl: `/disputes/${dispute.id}`,
+        bookingId: dispute.bookingId,
+        data: { disputeId: dispute.id }
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Dispute assigned successfully',
+      data: { dispute },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Assign dispute error:', error);
+    return {
+      success: false,
+      message: 'Failed to assign dispute',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Resolve a dispute and move the money. The split runs in one transaction
+ * while the booking is locked and still frozen, so the release job cannot pay
+ * the owner out in between and a failure leaves nothing half moved.
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} admin - Admin user
+ * @param {Object} data - { outcome, refundAmount, guestPercent, notes }
+ * @param {Object} [auditContext] - From getAuditContext
+ * @returns {Object} Result object
+ */
+export const resolveDispute = async (disputeId, admin, data, auditContext = {}) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const dispute = await Dispute.findByPk(disputeId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title'] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!dispute) {
+      await transaction.rollback();
+      return { success: false, message: 'Dispute not found', statusCode: 404 };
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      await transaction.rollback();
+      return { success: false, message: `Dispute is already ${dispute.status}`, statusCode: 400 };
+    }
+
+    const booking = await Booking.findByPk(dispute.bookingId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    let resolution;
+    try {
+      resolution = calculateResolution({
+        amountPaid: booking.totalPrice,
+        ownerShare: await getOwnerShare(booking, transaction),
+        taxAmount: booking.taxAmount
+      }, data.outcome, data);
+    } catch (calculationError) {
+      await transaction.rollback();
+      return { success: false, message: calculationError.message, statusCode: 400 };
+    }
+
+    const walletOptions = { idempotencyKey: `dispute:${dispute.id}`, transaction };
+    const reason = `Dispute resolution (${data.outcome.replace(/_/g, ' ')}) for booking #${booking.id.substring(0, 8)}`;
+    const fundsWereFrozen = dispute.walletStatusAtOpen === 'pending';
+    const ownerAccount = fundsWereFrozen ? 'landlord_pending' : 'landlord_available';
+    let ownerRecovered = 0;
+    let commissionReduction = 0;
+
+    if (fundsWereFrozen && booking.walletStatus !== 'frozen') {
+      throw new Error(`Booking funds are no longer frozen (wallet status ${booking.walletStatus})`);
+    }
+
+    if (fundsWereFrozen) {
+      if (resolution.ownerDebit > 0) {
+        // Journaled together with the guest refund below
+        await walletService.debitPending(booking.ownerId, resolution.ownerDebit, booking.id, reason, {
+          ...walletOptions,
+          journal: false
+        });
+        ownerRecovered = resolution.ownerDebit;
+      }
+
+      if (resolution.ownerAmount > 0) {
+        // Moves the booking from frozen to released
+        await walletService.releasePending(booking.id, resolution.ownerAmount, { ...walletOptions, allowFrozen: true });
+      } else {
+        await booking.update({ walletStatus: 'refunded' }, { transaction });
+      }
+    } else if (resolution.ownerDebit > 0) {
+      // Commission paid out of the released funds comes back from the agency, not the owner
+      ({ commissionReduction } = await reverseBookingCommission(booking, resolution.ownerAmount, reason, { transaction }));
+      const ownerDebit = roundAmount(resolution.ownerDebit - commissionReduction);
+
+      const clawback = ownerDebit > 0
+        ? await walletService.clawbackAvailable(booking.ownerId, ownerDebit, booking.id, reason, {
+          ...walletOptions,
+          journal: false
+        })
+        : null;
+      ownerRecovered = clawback ? roundAmount(clawback.amount) : 0;
+    }
+
+    if (resolution.guestRefund > 0) {
+      await walletService.processRefund(
+        booking.userId,
+        resolution.guestRefund,
+        `Refund for disputed booking #${booking.id.substring(0, 8)}`,
+        booking.id,
+        { type: 'dispute_refund', disputeId: dispute.id, outcome: data.outcome },
+        {
+          ...walletOptions,
+          journal: {
+            entryType: 'refund',
+            bookingId: booking.id,
+            lines: [
+              debitLine(ownerAccount, booking.ownerId, ownerRecovered, 'Owner share refunded'),
+              debitLine('tax_payable', null, resolution.taxRefund, 'Tax refunded'),
+              debitLine(
+                'platform_revenue',
+                null,
+                resolution.guestRefund - ownerRecovered - resolution.taxRefund,
+                'Fees refunded and owner shortfall'
+              )
+            ]
+          }
+        }
+      );
+    }
+
+    if (data.outcome === 'full_refund') {
+      await booking.update({ paymentStatus: 'refunded' }, { transaction });
+    }
+
+    const breakdown = {
+      ...resolution,
+      ownerRecovered,
+      commissionReduction,
+      platformRefund: roundAmount(resolution.guestRefund - ownerRecovered - resolution.taxRefund)
+    };
+
+    const before = dispute.get({ plain: true });
+    await dispute.update({
+      status: 'resolved',
+      outcome: data.outcome,
+      guestRefundAmount: resolution.guestRefund,
+      ownerAmount: resolution.ownerAmount,
+      resolutionBreakdown: breakdown,
+      resolutionNotes: data.notes || null,
+      assignedTo: dispute.assignedTo || admin.id,
+      resolvedBy: admin.id,
+      resolvedAt: new Date(),
+      lastMessageAt: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    if (fundsWereFrozen && resolution.ownerAmount > 0) {
+      await settleBookingCommission(booking);
+    }
+
+    await recordAdminAction(auditContext, {
+      action: 'dispute.resolved',
+      entityType: 'dispute',
+      entityId: dispute.id,
+      before,
+      after: dispute,
+      fields: ['status', 'outcome', 'guestRefundAmount', 'ownerAmount'],
+      reason: data.notes,
+      metadata: { bookingId: booking.id, breakdown }
+    });
+
+    const currency = booking.currency || 'NGN';
+    await DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: null,
+      senderRole: 'system',
+      message: `Resolved: ${data.outcome.replace(/_/g, ' ')}. Guest refund ${currency} ${resolution.guestRefund}, owner keeps ${currency} ${resolution.ownerAmount}.${data.notes ? ` ${data.notes}` : ''}`
+    });
+
+    console.log(`⚖️ [DISPUTE] Dispute ${dispute.id} resolved (${data.outcome}): guest ${resolution.guestRefund}, owner ${resolution.ownerAmount}`);
+
+    const propertyTitle = dispute.property?.title || 'your booking';
+    await notify({
+      userId: booking.userId,
+      title: 'Dispute Resolved',
+      message: resolution.guestRefund > 0
+        ? `The dispute for ${propertyTitle} has been resolved. ${currency} ${resolution.guestRefund} has been refunded to your wallet.`
+        : `The dispute for ${propertyTitle} has been resolved in the owner's favour.`,
+      type: 'info',
+      priority: 'high',
+      actionUrl: `/disputes/${dispute.id}`,
+      bookingId: booking.id,
+      data: { disputeId: dispute.id, outcome: data.outcome, guestRefund: resolution.guestRefund }
+    });
+    await notify({
+      userId: booking.ownerId,
+      title: 'Dispute Resolved',
+      message: resolution.ownerDebit > 0
+        ? `The dispute for ${propertyTitle} has been resolved. ${currency} ${resolution.ownerDebit} of your earnings was refunded to the guest.`
+        : `The dispute for ${propertyTitle} has been resolved in your favour.`,
+      type: 'info',
+      priority: 'high',
+      actionUrl: `/disputes/${dispute.id}`,
+      bookingId: booking.id,
+      data: { disputeId: dispute.id, outcome: data.outcome, ownerAmount: resolution.ownerAmount }
+    });
+
+    return {
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: { dispute, resolution: breakdown },
+      statusCode: 200
+    };
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    console.error('Resolve dispute error:', error);
+    return {
+      success: false,
+      message: 'Failed to resolve dispute',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  OPEN_DISPUTE_STATUSES,
+  DISPUTE_OUTCOMES,
+  calculateResolution,
+  openDispute,
+  getMyDisputes,
+  getDispute,
+  addMessage,
+  withdrawDispute,
+  getDisputeQueue,
+  assignDispute,
+  resolveDispute
+};
@@ -0,0 +1,242 @@
+import { Op } from 'sequelize';
+import { Subscription, SubscriptionPlan, Property, PropertyMedia } from '../schema/index.js';
+
+/**
+ * Entitlement Service
+ * Decides whether a landlord's subscription plan allows an action: creating
+ * listings, uploading photos, featuring listings and opening analytics
+ * dashboards. Users without an active subscription get the free tier. When an
+ * action is blocked the result names the cheapest active plan that allows it.
+ */
+
+export const UPGRADE_REQUIRED = 'UPGRADE_REQUIRED';
+
+export const FREE_TIER = {
+  planName: 'Free',
+  planType: 'free',
+  maxProperties: parseInt(process.env.FREE_TIER_MAX_PROPERTIES, 10) || 1,
+  maxPhotosPerProperty: parseInt(process.env.FREE_TIER_MAX_PHOTOS, 10) || 5,
+  featuredProperties: 0,
+  analyticsAccess: false
+};
+
+// limitField entitlements are counted (-1 means unlimited); flagField entitlements are on/off
+export const ENTITLEMENT_FEATURES = {
+  properties: { limitField: 'maxProperties', description: 'active listing(s)' },
+  photos: { limitField: 'maxPhotosPerProperty', description: 'photo(s) per listing' },
+  featured: { limitField: 'featuredProperties', description: 'featured listing(s)' },
+  analytics: { flagField: 'analyticsAccess', description: 'Analytics dashboards' }
+};
+
+const UNLIMITED = -1;
+
+/**
+ * Active subscription limits for a user, falling back to the free tier
+ * @param {string} userId - User ID
+ * @returns {Object} { subscriptionId, planId, planName, planType, maxProperties, maxPhotosPerProperty, featuredProperties, analyticsAccess }
+ */
+export const getUserEntitlements = async (userId) => {
+  const subscription = await Subscription.findOne({
+    where: { userId, status: 'active' },
+    order: [['createdAt', 'DESC']]
+  });
+
+  if (!subscription) {
+    return { subscriptionId: null, planId: null, ...FREE_TIER };
+  }
+
+  return {
+    subscriptionId: subscription.id,
+    planId: subscription.planId,
+    planName: subscription.planName,
+    planType: subscription.planType,
+    maxProperties: subscription.maxProperties,
+    maxPhotosPerProperty: subscription.maxPhotosPerProperty,
+    featuredProperties: subscription.featuredProperties,
+    analyticsAccess: Boolean(subscription.analyticsAccess)
+  };
+};
+
+/**
+ * Current usage of a counted entitlement
+ * @param {string} userId - Owner ID
+ * @param {string} feature - properties, photos or featured
+ * @param {Object} options - { propertyId } (photos: the listing; featured: a listing to leave out of the count)
+ * @returns {number} Usage
+ */
+const countUsage = async (userId, feature, options = {}) => {
+  switch (feature) {
+    case 'properties':
+      return Property.count({
+        where: { ownerId: userId, status: { [Op.in]: ['active', 'pending'] } }
+      });
+    case 'photos':
+      return options.propertyId
+        ? PropertyMedia.count({ where: { propertyId: options.propertyId, mediaType: 'image', isActive: true } })
+        : 0;
+    case 'featured': {
+      const where = { ownerId: userId, featured: true, status: { [Op.in]: ['active', 'pending'] } };
+      if (options.propertyId) where.id = { [Op.ne]: options.propertyId };
+      return Property.count({ where });
+    }
+    default:
+      return 0;
+  }
+};
+
+const allowsUsage = (limit, required) =>
+  limit === UNLIMITED || (limit !== null && limit !== undefined && limit >= required);
+
+/**
+ * Cheapest active plan that would allow the action
+ * @param {string} feature - Entitlement feature
+ * @param {number} required - Usage the plan must allow (counted features)
+ * @returns {Object|null} Plan summary
+ */
+export const findUpgradePlan = async (feature, required = 1) => {
+  const { limitField, flagField } = ENTITLEMENT_FEATURES[feature];
+
+  const plans = await SubscriptionPlan.findAll({
+    where: { isActive: true },
+    order: [['monthlyPrice', 'ASC']]
+  });
+
+  const plan = plans.find((candidate) => (
+    flagField ? Boolean(candidate[flagField]) : allowsUsage(candidate[limitField], required)
+  ));
+
+  if (!plan) return null;
+
+  return {
+    id: plan.id,
+    name: plan.name,
+    slug: plan.slug,
+    planType: plan.planType,
+    monthlyPrice: plan.monthlyPrice,
+    yearlyPrice: plan.yearlyPrice,
+    currency: plan.currency,
+    limit: flagField ? Boolean(plan[flagField]) : plan[limitField]
+  };
+};
+
+/**
+ * Check whether a user's plan allows an action
+ * @param {string} userId - Owner whose plan applies
+ * @param {string} feature - properties, photos, featured or analytics
+ * @param {Object} options - { propertyId, requested } (requested defaults to 1)
+ * @returns {Object} Result object; blocked actions carry error UPGRADE_REQUIRED and statusCode 403
+ */
+export const checkEntitlement = async (userId, feature, options = {}) => {
+  const definition = ENTITLEMENT_FEATURES[feature];
+  if (!definition) {
+    throw new Error(`Unknown entitlement: ${feature}`);
+  }
+
+  const entitlements = await getUserEntitlements(userId);
+  const currentPlan = {
+    subscriptionId: entitlements.subscriptionId,
+    planId: entitlements.planId,
+    planName: entitlements.planName,
+    planType: entitlements.planType
+  };
+
+  if (definition.flagField) {
+    if (entitlements[definition.flagField]) {
+      return {
+        success: true,
+        message: 'Action allowed by current plan',
+        data: { feature, allowed: true, plan: currentPlan },
+        statusCode: 200
+      };
+    }
+
+    const upgradePlan = await findUpgradePlan(feature);
+    return {
+      success: false,
+      message: upgradePlan
+        ? `${definition.description} are not included in your ${entitlements.planName} plan. Upgrade to ${upgradePlan.name} to unlock them.`
+        : `${definition.description} are not included in your ${entitlements.planName} plan.`,
+      error: UPGRADE_REQUIRED,
+      data: { feature, allowed: false, currentPlan, upgradePlan },
+      statusCode: 403
+    };
+  }
+
+  const requested = Math.max(parseInt(options.requested, 10) || 1, 1);
+  const limit = entitlements[definition.limitField];
+  const current = await countUsage(userId, feature, options);
+  const required = current + requested;
+
+  if (allowsUsage(limit, required)) {
+    return {
+      success: true,
+      message: 'Action allowed by current plan',
+      data: {
+        feature,
+        allowed: true,
+        limit,
+        current,
+        requested,
+        remaining: limit === UNLIMITED ? null : limit - required,
+        plan: currentPlan
+      },
+      statusCode: 200
+    };
+  }
+
+  const upgradePlan = await findUpgradePlan(feature, required);
+  const limitText = `Your ${entitlements.planName} plan allows ${limit} ${definition.description} and you have ${current}.`;
+
+  return {
+    success: false,
+    message: upgradePlan
+      ? `${limitText} Upgrade to ${upgradePlan.name} to unlock more.`
+      : `${limitText} Contact support to raise your limit.`,
+    error: UPGRADE_REQUIRED,
+    data: { feature, allowed: false, limit, current, requested, currentPlan, upgradePlan },
+    statusCode: 403
+  };
+};
+
+/**
+ * Turn a blocked entitlement check into an Error for class-based services that throw.
+ * Controllers send error.entitlement as the response body.
+ * @param {Object} result - Failed result from checkEntitlement
+ * @returns {Error} Error carrying statusCode and the structured result
+ */
+export const toEntitlementError = (result) => {
+  const error = new Error(result.message);
+  error.statusCode = result.statusCode;
+  error.entitlement = {
+    success: false,
+    message: result.message,
+    error: result.error,
+    data: result.data
+  };
+  return error;
+};
+
+/**
+ * Throw an upgrade-required error when a user's plan does not allow an action
+ * @param {string} userId - Owner whose plan applies
+ * @param {string} feature - Entitlement feature
+ * @param {Object} options - { propertyId, requested }
+ */
+export const assertEntitlement = async (userId, feature, options = {}) => {
+  const result = await checkEntitlement(userId, feature, options);
+  if (!result.success) {
+    throw toEntitlementError(result);
+  }
+  return result;
+};
+
+export default {
+  FREE_TIER,
+  ENTITLEMENT_FEATURES,
+  UPGRADE_REQUIRED,
+  getUserEntitlements,
+  findUpgradePlan,
+  checkEntitlement,
+  assertEntitlement,
+  toEntitlementError
+};
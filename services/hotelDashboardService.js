@@ -3,8 +3,18 @@ import Property from '../schema/Property.js';
 import Booking from '../schema/Booking.js';
 import Payment from '../schema/Payment.js';
 import PropertyAvailability from '../schema/PropertyAvailability.js';
+import RoomType from '../schema/RoomType.js';
 import User from '../schema/User.js';
 import { confirmBooking, cancelBooking } from './bookingService.js';
+import { getUnitCalendar, getRoomTypeOccupancy } from './roomTypeService.js';
+
+// Hotels list as 'hotel'; older hotel accounts listed their rooms as shortlets
+const HOTEL_LISTING_TYPES = ['hotel', 'shortlet'];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (dateString, days) => toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
 
 const toNumber = (value) => {
   if (value === null || value === undefined) return 0;
@@ -167,7 +177,7 @@ export const getRoomInventory = async (hotelId, options = {}) => {
 
     const whereClause = {
       ownerId: hotelId,
-      listingType: 'shortlet'
+      listingType: { [Op.in]: HOTEL_LISTING_TYPES }
     };
 
     if (status) whereClause.status = status;
@@ -187,7 +197,12 @@ export const getRoomInventory = async (hotelId, options = {}) => {
         {
           model: Booking,
           as: 'bookings',
-          attributes: ['id', 'status', 'checkInDate', 'checkOutDate'],
+          attributes: ['id', 'status', 'checkInDate', 'checkOutDate', 'roomTypeId', 'roomUnits'],
+          required: false
+        },
+        {
+          model: RoomType,
+          as: 'roomTypes',
           required: false
         }
       ],
@@ -197,16 +212,46 @@ export const getRoomInventory = async (hotelId, options = {}) => {
       distinct: true
     });
 
+    // Tonight's rooms per room type
+    const today = toDateString(new Date());
+    const roomTypes = rows.flatMap((property) => property.roomTypes || []);
+    const tonight = await getUnitCalendar(roomTypes, today, addDays(today, 1));
+
     const rooms = rows.map((property) => {
       const plain = property.get({ plain: true });
       const upcomingBookings = (plain.bookings || []).filter(
         (booking) => booking.status === 'confirmed' && booking.checkInDate && new Date(booking.checkInDate) >= new Date()
       );
 
+      const roomTypeInventory = (plain.roomTypes || [])
+        .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+        .map((roomType) => {
+          const night = tonight.get(roomType.id)?.[0] || { totalUnits: roomType.totalUnits, bookedUnits: 0, availableUnits: roomType.totalUnits };
+          return {
+            ...roomType,
+            tonight: {
+              totalUnits: night.totalUnits,
+              bookedUnits: night.bookedUnits,
+              availableUnits: night.availableUnits
+            },
+            occupancyRate: night.totalUnits > 0
+              ? Number(Math.min(100, (night.bookedUnits / night.totalUnits) * 100).toFixed(1))
+              : 0
+          };
+        });
+      const unitsTonight = roomTypeInventory.reduce((sum, roomType) => sum + roomType.tonight.totalUnits, 0);
+      const bookedTonight = roomTypeInventory.reduce((sum, roomType) => sum + roomType.tonight.bookedUnits, 0);
+
       return {
         ...plain,
+        roomTypes: roomTypeInventory,
         upcomingBookings,
-        occupancy: upcomingBookings.length
+        occupancy: upcomingBookings.length,
+        roomOccupancy: {
+          totalUnits: unitsTonight,
+          bookedUnits: bookedTonight,
+          occupancyRate: unitsTonight > 0 ? Number(Math.min(100, (bookedTonight / unitsTonight) * 100).toFixed(1)) : 0
+        }
       };
     });
 
@@ -327,6 +372,12 @@ export const getHotelBookings = async (hotelId, options = {}) => {
           as: 'property',
           attributes: ['id', 'title', 'city', 'state', 'price', 'status']
         },
+        {
+          model: RoomType,
+          as: 'roomType',
+          attributes: ['id', 'name'],
+          required: false
+        },
         {
           model: User,
           as: 'user',
@@ -433,7 +484,7 @@ export const respondToHotelBooking = async (hotelId, bookingId, action, notes =
 
 export const getAvailabilityCalendar = async (hotelId, propertyId, options = {}) => {
   try {
-    const { month, year } = options;
+    const { month, year, roomTypeId } = options;
 
     const property = await Property.findByPk(propertyId);
     if (!property || property.ownerId !== hotelId) {
@@ -444,23 +495,57 @@ export const getAvailabilityCalendar = async (hotelId, propertyId, options = {})
       };
     }
 
-    const whereClause = { propertyId };
-
-    if (month && year) {
-      const start = new Date(Number(year), Number(month) - 1, 1);
-      const end = new Date(Number(year), Number(month), 0, 23, 59, 59);
-      whereClause.startDate = { [Op.between]: [start, end] };
-    }
+    // Whole month, defaulting to the current one
+    const now = new Date();
+    const calendarYear = Number(year) || now.getUTCFullYear();
+    const calendarMonth = Number(month) || now.getUTCMonth() + 1;
+    const startDate = `${calendarYear}-${String(calendarMonth).padStart(2, '0')}-01`;
+    const endDate = toDateString(Date.UTC(calendarYear, calendarMonth, 1));
+
+    const roomTypeWhere = { propertyId };
+    if (roomTypeId) roomTypeWhere.id = roomTypeId;
+
+    const [blockedDates, roomTypes] = await Promise.all([
+      PropertyAvailability.findAll({
+        where: {
+          propertyId,
+          isActive: true,
+          date: { [Op.gte]: startDate, [Op.lt]: endDate }
+        },
+        order: [['date', 'ASC']]
+      }),
+      RoomType.findAll({
+        where: roomTypeWhere,
+        order: [['sortOrder', 'ASC'], ['name', 'ASC']]
+      })
+    ]);
 
-    const availability = await PropertyAvailability.findAll({
-      where: whereClause,
-      order: [['startDate', 'ASC']]
-    });
+    const calendars = await getUnitCalendar(roomTypes, startDate, endDate);
 
     return {
       success: true,
       message: 'Availability retrieved successfully',
-      data: availability.map((slot) => slot.get({ plain: true })),
+      data: {
+        startDate,
+        endDate: addDays(endDate, -1),
+        // Whole-property blocks; on hotels with room types these close every room
+        blockedDates: blockedDates.map((slot) => slot.get({ plain: true })),
+        roomTypes: roomTypes.map((roomType) => {
+          const calendar = calendars.get(roomType.id) || [];
+          const unitNights = calendar.reduce((sum, night) => sum + night.totalUnits, 0);
+          const bookedUnitNights = calendar.reduce((sum, night) => sum + night.bookedUnits, 0);
+
+          return {
+            id: roomType.id,
+            name: roomType.name,
+            price: roomType.price,
+            totalUnits: roomType.totalUnits,
+            isActive: roomType.isActive,
+            occupancyRate: unitNights > 0 ? Number(Math.min(100, (bookedUnitNights / unitNights) * 100).toFixed(1)) : 0,
+            calendar
+          };
+        })
+      },
       statusCode: 200
     };
   } catch (error) {
@@ -477,7 +562,51 @@ export const getAvailabilityCalendar = async (hotelId, propertyId, options = {})
 export const getHotelAnalytics = async (hotelId, options = {}) => {
   try {
     const analytics = await getDashboardSummary(hotelId, options);
-    return analytics;
+    if (!analytics.success) return analytics;
+
+    // Room occupancy over the period (last 30 nights by default)
+    const endDate = options.endDate ? addDays(toDateString(options.endDate), 1) : addDays(toDateString(new Date()), 1);
+    const startDate = options.startDate ? toDateString(options.startDate) : addDays(endDate, -30);
+
+    const properties = await Property.findAll({
+      where: { ownerId: hotelId, listingType: { [Op.in]: HOTEL_LISTING_TYPES } },
+      attributes: ['id', 'title']
+    });
+    const roomTypes = properties.length > 0
+      ? await RoomType.findAll({
+        where: { propertyId: { [Op.in]: properties.map((property) => property.id) } },
+        order: [['propertyId', 'ASC'], ['sortOrder', 'ASC']]
+      })
+      : [];
+
+    const roomTypeOccupancy = startDate < endDate ? await getRoomTypeOccupancy(roomTypes, startDate, endDate) : [];
+    const titles = new Map(properties.map((property) => [property.id, property.title]));
+    const unitNightsAvailable = roomTypeOccupancy.reduce((sum, entry) => sum + entry.unitNightsAvailable, 0);
+    const unitNightsBooked = roomTypeOccupancy.reduce((sum, entry) => sum + entry.unitNightsBooked, 0);
+    const roomRevenue = roomTypeOccupancy.reduce((sum, entry) => sum + entry.revenue, 0);
+
+    return {
+      ...analytics,
+      message: 'Hotel analytics retrieved successfully',
+      data: {
+        ...analytics.data,
+        roomOccupancy: {
+          startDate,
+          endDate: addDays(endDate, -1),
+          unitNightsAvailable,
+          unitNightsBooked,
+          occupancyRate: unitNightsAvailable > 0
+            ? Number(Math.min(100, (unitNightsBooked / unitNightsAvailable) * 100).toFixed(1))
+            : 0,
+          // Revenue per available room night
+          revPar: unitNightsAvailable > 0 ? Number((roomRevenue / unitNightsAvailable).toFixed(2)) : 0,
+          roomTypes: roomTypeOccupancy.map((entry) => ({
+            ...entry,
+            propertyTitle: titles.get(entry.propertyId) || null
+          }))
+        }
+      }
+    };
   } catch (error) {
     console.error('Hotel analytics error:', error);
     return {
@@ -0,0 +1,230 @@
+/**
+ * iCal Service
+ * Reads and writes the small part of iCalendar (RFC 5545) that channel
+ * managers exchange: VEVENTs whose nights are unavailable. Times are ignored;
+ * a stay occupies every night from DTSTART up to, not including, DTEND.
+ */
+
+const CALENDAR_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const addDays = (dateString, days) =>
+  new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Calendar date (YYYY-MM-DD) of an iCal DATE or DATE-TIME value. UTC times
+ * are read in the platform timezone; floating and TZID times as written.
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!utc) return `${year}-${month}-${day}`;
+
+  const instant = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: CALENDAR_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(instant);
+};
+
+// Whole days of an iCal DURATION such as P3D or P1W; time parts are ignored
+const parseDurationDays = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(String(value).trim());
+  if (!match) return 0;
+  return (parseInt(match[1], 10) || 0) * 7 + (parseInt(match[2], 10) || 0);
+};
+
+const unescapeText = (value) => String(value)
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/([,;])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Split a content line into name, parameters and value. Parameter values may
+ * be quoted and contain ':' or ';'.
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colonAt = -1;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      colonAt = index;
+      break;
+    }
+  }
+  if (colonAt === -1) return null;
+
+  const [name, ...params] = line.slice(0, colonAt).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((acc, param) => {
+      const [key, ...rest] = param.split('=');
+      acc[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      return acc;
+    }, {}),
+    value: line.slice(colonAt + 1)
+  };
+};
+
+/**
+ * Parse the events of an iCal document
+ * @param {string} text - iCal document
+ * @returns {Array} Events { uid, summary, status, startDate, endDate } with endDate exclusive
+ */
+export const parseICal = (text) => {
+  // Long lines are folded onto continuation lines that start with a space or tab
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current?.startDate) {
+        let endDate = current.endDate;
+        if (!endDate || endDate < current.startDate) {
+          endDate = addDays(current.startDate, Math.max(current.durationDays || 0, 1));
+        } else if (endDate === current.startDate) {
+          // A timed event that starts and ends on the same day still takes that night
+          endDate = addDays(current.startDate, 1);
+        }
+
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || null,
+          status: current.status || 'CONFIRMED',
+          startDate: current.startDate,
+          endDate
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) continue;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'STATUS':
+        current.status = property.value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+        current.startDate = parseDateValue(property.value);
+        break;
+      case 'DTEND':
+        current.endDate = parseDateValue(property.value);
+        break;
+      case 'DURATION':
+        current.durationDays = parseDurationDays(property.value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Nights an event occupies
+ * @param {Object} event - Parsed event
+ * @returns {Array} Dates (YYYY-MM-DD)
+ */
+export const getEventNights = (event) => {
+  const nights = [];
+  for (let date = event.startDate; date < event.endDate; date = addDays(date, 1)) {
+    nights.push(date);
+  }
+  return nights;
+};
+
+const formatDate = (dateString) => dateString.replace(/-/g, '');
+
+const formatTimestamp = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Lines longer than 75 octets are folded; never split a multi-byte character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let chunk = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      parts.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  parts.push(chunk);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build an iCal document of all-day events
+ * @param {Object} calendar - { name, events: [{ uid, summary, description, startDate, endDate }] }
+ * @returns {string} iCal document
+ */
+export const buildICal = ({ name, events }) => {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AWARI//Availability Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.endDate)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export default {
+  parseICal,
+  getEventNights,
+  buildICal
+};
@@ -2,6 +2,7 @@ import { KycDocument, User } from '../schema/index.js';
 import { Op } from 'sequelize';
 import sequelize from '../database/db.js';
 import { deleteFromCloudinary, extractPublicId } from '../config/cloudinary.js';
+import { recordAdminAction } from './auditLogService.js';
 
 /**
  * KYC Service - Business logic for KYC document management
@@ -322,8 +323,12 @@ class KycService {
 
   /**
    * Admin: Verify a KYC document
+   * @param {string} documentId - KYC document ID
+   * @param {string} verifierId - Admin user ID
+   * @param {Object} verificationData - { status, verificationNotes, rejectionReason }
+   * @param {Object} [auditContext] - Request context for the audit log
    */
-  async verifyKycDocument(documentId, verifierId, verificationData) {
+  async verifyKycDocument(documentId, verifierId, verificationData, auditContext = {}) {
     try {
       const kycDocument = await KycDocument.findByPk(documentId);
 
@@ -335,6 +340,8 @@ class KycService {
         throw new Error('Only pending documents can be verified');
       }
 
+      const before = kycDocument.get({ plain: true });
+
       // Update the document with verification details
       await kycDocument.update({
         status: verificationData.status,
@@ -344,6 +351,17 @@ class KycService {
         rejectionReason: verificationData.status === 'rejected' ? verificationData.rejectionReason : null
       });
 
+      await recordAdminAction(auditContext, {
+        action: `kyc_document.${verificationData.status}`,
+        entityType: 'kyc_document',
+        entityId: documentId,
+        before,
+        after: kycDocument,
+        fields: ['status', 'verificationNotes', 'rejectionReason', 'verifiedBy', 'verifiedAt'],
+        reason: kycDocument.rejectionReason || verificationData.verificationNotes,
+        metadata: { userId: kycDocument.userId, documentType: kycDocument.documentType }
+      });
+
       // Fetch updated document with relations
       const updatedDocument = await KycDocument.findByPk(documentId, {
         include: [
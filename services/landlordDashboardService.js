@@ -4,6 +4,11 @@ import Booking from '../schema/Booking.js';
 import Property from '../schema/Property.js';
 import Message from '../schema/Message.js';
 import User from '../schema/User.js';
+import RentalApplication from '../schema/RentalApplication.js';
+import Agency from '../schema/Agency.js';
+import AgencyMember from '../schema/AgencyMember.js';
+import AgencyMandate from '../schema/AgencyMandate.js';
+import AgencyCommission from '../schema/AgencyCommission.js';
 import { confirmBooking, cancelBooking } from './bookingService.js';
 
 const toNumber = (value) => {
@@ -142,6 +147,17 @@ export const getEarningsSummary = async (landlordId, options = {}) => {
       Property.count({ where: { ownerId: landlordId, status: 'active' } })
     ]);
 
+    // Commission paid to agencies managing the landlord's properties
+    const commissionWhere = { landlordId, status: 'settled' };
+    if (Object.keys(dateFilter).length) {
+      commissionWhere.createdAt = dateFilter;
+    }
+    const [agencyCommission, agentCommission] = await Promise.all([
+      AgencyCommission.sum('agencyAmount', { where: commissionWhere }),
+      AgencyCommission.sum('agentAmount', { where: commissionWhere })
+    ]);
+    const agencyCommissions = toNumber(agencyCommission) + toNumber(agentCommission);
+
     return {
       success: true,
       message: 'Earnings summary retrieved successfully',
@@ -149,7 +165,9 @@ export const getEarningsSummary = async (landlordId, options = {}) => {
         totals: {
           totalEarnings,
           pendingPayouts,
-          totalCompletedPayments
+          totalCompletedPayments,
+          agencyCommissions,
+          netEarnings: totalEarnings - agencyCommissions
         },
         metrics: {
           totalBookings,
@@ -174,6 +192,168 @@ export const getEarningsSummary = async (landlordId, options = {}) => {
   }
 };
 
+/**
+ * Consolidated commission earnings of the agency the user belongs to.
+ * Owners and managers see the whole agency; agents see the commissions
+ * they earned a share of.
+ * @param {string} userId - Agency member's user ID
+ * @param {Object} options - { agencyId, startDate, endDate }
+ * @returns {Object} Result object
+ */
+export const getAgencyEarnings = async (userId, options = {}) => {
+  try {
+    const { agencyId, startDate, endDate } = options;
+
+    const membershipWhere = { userId, status: 'active' };
+    if (agencyId) membershipWhere.agencyId = agencyId;
+
+    const membership = await AgencyMember.findOne({
+      where: membershipWhere,
+      include: [{ model: Agency, as: 'agency', attributes: ['id', 'name', 'slug', 'logoUrl'] }]
+    });
+    if (!membership) {
+      return {
+        success: false,
+        message: 'You are not a member of this agency',
+        statusCode: 404
+      };
+    }
+
+    const dateFilter = {};
+    if (startDate) dateFilter[Op.gte] = startDate;
+    if (endDate) dateFilter[Op.lte] = endDate;
+
+    const where = { agencyId: membership.agencyId };
+    if (membership.role === 'agent') where.agentId = userId;
+    if (Object.keys(dateFilter).length) where.createdAt = dateFilter;
+
+    const commissions = await AgencyCommission.findAll({
+      where,
+      include: [
+        { model: Property, as: 'property', attributes: ['id', 'title', 'city', 'state'] },
+        { model: User, as: 'agent', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const commissionsPlain = commissions.map((commission) => commission.get({ plain: true }));
+    const settled = commissionsPlain.filter((commission) => commission.status === 'settled');
+    const outstanding = commissionsPlain.filter((commission) => commission.status !== 'settled');
+    const sumOf = (rows, field) => rows.reduce((sum, row) => sum + toNumber(row[field]), 0);
+
+    const agencyEarnings = sumOf(settled, 'agencyAmount');
+    const agentEarnings = sumOf(settled, 'agentAmount');
+
+    const monthlyBreakdownMap = settled.reduce((acc, commission) => {
+      const monthKey = commission.createdAt ? new Date(commission.createdAt).toISOString().slice(0, 7) : 'unknown';
+      if (!acc.has(monthKey)) {
+        acc.set(monthKey, {
+          period: monthKey,
+          grossManaged: 0,
+          agencyEarnings: 0,
+          agentEarnings: 0,
+          payouts: 0
+        });
+      }
+
+      const entry = acc.get(monthKey);
+      entry.grossManaged += toNumber(commission.grossAmount);
+      entry.agencyEarnings += toNumber(commission.agencyAmount);
+      entry.agentEarnings += toNumber(commission.agentAmount);
+      entry.payouts += 1;
+      return acc;
+    }, new Map());
+
+    const agentMap = settled.reduce((acc, commission) => {
+      const key = commission.agentId || 'unassigned';
+      if (!acc.has(key)) {
+        acc.set(key, {
+          agentId: commission.agentId,
+          name: commission.agent ? `${commission.agent.firstName} ${commission.agent.lastName}` : null,
+          commissionGenerated: 0,
+          agentEarnings: 0,
+          payouts: 0
+        });
+      }
+
+      const entry = acc.get(key);
+      entry.commissionGenerated += toNumber(commission.agencyAmount) + toNumber(commission.agentAmount);
+      entry.agentEarnings += toNumber(commission.agentAmount);
+      entry.payouts += 1;
+      return acc;
+    }, new Map());
+
+    const propertyMap = settled.reduce((acc, commission) => {
+      if (!commission.property) return acc;
+      const key = commission.property.id;
+      if (!acc.has(key)) {
+        acc.set(key, {
+          propertyId: commission.property.id,
+          title: commission.property.title,
+          city: commission.property.city,
+          state: commission.property.state,
+          grossManaged: 0,
+          commission: 0,
+          payouts: 0
+        });
+      }
+
+      const entry = acc.get(key);
+      entry.grossManaged += toNumber(commission.grossAmount);
+      entry.commission += toNumber(commission.agencyAmount) + toNumber(commission.agentAmount);
+      entry.payouts += 1;
+      return acc;
+    }, new Map());
+
+    const [activeMembers, managedProperties, activeMandates, pendingMandates] = await Promise.all([
+      AgencyMember.count({ where: { agencyId: membership.agencyId, status: 'active' } }),
+      Property.count({ where: { agencyId: membership.agencyId } }),
+      AgencyMandate.count({ where: { agencyId: membership.agencyId, status: 'active' } }),
+      AgencyMandate.count({ where: { agencyId: membership.agencyId, status: 'pending' } })
+    ]);
+
+    return {
+      success: true,
+      message: 'Agency earnings retrieved successfully',
+      data: {
+        agency: membership.agency,
+        role: membership.role,
+        totals: {
+          grossManaged: sumOf(settled, 'grossAmount'),
+          landlordPayouts: sumOf(settled, 'landlordAmount'),
+          totalCommission: agencyEarnings + agentEarnings,
+          agencyEarnings,
+          agentEarnings,
+          outstandingCommission: sumOf(outstanding, 'agencyAmount') + sumOf(outstanding, 'agentAmount'),
+          settledPayouts: settled.length,
+          outstandingPayouts: outstanding.length
+        },
+        metrics: {
+          activeMembers,
+          managedProperties,
+          activeMandates,
+          pendingMandates
+        },
+        monthlyBreakdown: Array.from(monthlyBreakdownMap.values()).sort((a, b) => a.period.localeCompare(b.period)),
+        byAgent: Array.from(agentMap.values()).sort((a, b) => b.commissionGenerated - a.commissionGenerated),
+        topProperties: Array.from(propertyMap.values())
+          .sort((a, b) => b.commission - a.commission)
+          .slice(0, 5),
+        recentCommissions: commissionsPlain.slice(0, 10)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Agency earnings error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve agency earnings',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
 export const getPaymentLogs = async (landlordId, options = {}) => {
   try {
     const {
@@ -421,6 +601,80 @@ export const respondToBookingRequest = async (landlordId, bookingId, action, own
   }
 };
 
+export const getRentalApplications = async (landlordId, options = {}) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      propertyId
+    } = options;
+
+    const whereClause = { ownerId: landlordId };
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    if (propertyId) {
+      whereClause.propertyId = propertyId;
+    }
+
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const [{ count, rows }, statusCounts] = await Promise.all([
+      RentalApplication.findAndCountAll({
+        where: whereClause,
+        include: [
+          {
+            model: Property,
+            as: 'property',
+            attributes: ['id', 'title', 'listingType', 'address', 'city', 'state', 'price', 'pricePeriod']
+          },
+          {
+            model: User,
+            as: 'applicant',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'kycVerified']
+          }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: Number(limit),
+        offset,
+        distinct: true
+      }),
+      RentalApplication.count({
+        where: { ownerId: landlordId },
+        group: ['status']
+      })
+    ]);
+
+    const applications = rows.map((application) => application.get({ plain: true }));
+    const summary = statusCounts.reduce((acc, entry) => {
+      acc[entry.status] = toNumber(entry.count);
+      return acc;
+    }, {});
+
+    return {
+      success: true,
+      message: 'Rental applications retrieved successfully',
+      data: {
+        applications,
+        summary,
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Landlord rental applications error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rental applications',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
 export const getClientInquiries = async (landlordId, options = {}) => {
   try {
     const {
@@ -0,0 +1,567 @@
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { Lease, Property, PropertyMedia, RentalApplication, RentInvoice, User } from '../schema/index.js';
+import { createAndSendNotification } from './notificationService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Lease Service
+ * A lease is created when a landlord accepts a rental application, or when a
+ * running lease is renewed. Its status follows the calendar:
+ *
+ *   upcoming → active → renewal_due → expired
+ *                  ↘ terminated      ↘ renewed (a successor lease exists)
+ *
+ * The daily lifecycle job moves leases along and keeps the property's
+ * status ("rented" while a lease runs) in step.
+ */
+
+// Leases that occupy the property now or later
+export const CURRENT_LEASE_STATUSES = ['upcoming', 'active', 'renewal_due'];
+
+const RENT_FREQUENCIES = ['monthly', 'quarterly', 'biannually', 'yearly'];
+const DEFAULT_RENEWAL_NOTICE_DAYS = parseInt(process.env.LEASE_RENEWAL_NOTICE_DAYS, 10) || 90;
+const DEFAULT_LATE_FEE_GRACE_DAYS = 7;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+export const addDays = (dateString, days) => toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+
+/**
+ * Same day of the month, months later; the 31st becomes the last day of shorter months
+ */
+export const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateString(target);
+};
+
+/**
+ * Last day of a lease of termMonths starting on startDate
+ */
+export const getLeaseEndDate = (startDate, termMonths) => addDays(addMonths(startDate, termMonths), -1);
+
+/**
+ * Rent period implied by the listing's price period
+ */
+export const getDefaultRentFrequency = (property) => (property.pricePeriod === 'per_month' ? 'monthly' : 'yearly');
+
+/**
+ * Rent, deposit and fees due before the tenant moves in
+ */
+export const getMoveInCost = (lease) => ({
+  rent: roundAmount(lease.rentAmount),
+  cautionDeposit: roundAmount(lease.cautionDeposit),
+  agencyFee: roundAmount(lease.agencyFee),
+  legalFee: roundAmount(lease.legalFee),
+  total: roundAmount(
+    roundAmount(lease.rentAmount) + roundAmount(lease.cautionDeposit) +
+    roundAmount(lease.agencyFee) + roundAmount(lease.legalFee)
+  ),
+  currency: lease.currency
+});
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'property',
+      channels: ['in_app', 'email'],
+      actionText: 'View Lease',
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [LEASE] Failed to send notification:', notificationError.message);
+  }
+};
+
+const serializeLease = (lease) => {
+  const plain = lease.get({ plain: true });
+  return { ...plain, moveInCost: getMoveInCost(plain) };
+};
+
+const canManageLease = (lease, property, user) =>
+  hasPermission(user, 'leases.manage') || lease.landlordId === user.id || property?.agentId === user.id;
+
+/**
+ * Mark the property rented while a lease runs
+ */
+const markPropertyRented = async (propertyId, transaction) => {
+  await Property.update(
+    { status: 'rented' },
+    { where: { id: propertyId, status: 'active' }, transaction }
+  );
+};
+
+/**
+ * Put the property back on the market once no lease occupies it
+ */
+const releasePropertyIfVacant = async (propertyId, transaction) => {
+  const current = await Lease.count({
+    where: { propertyId, status: { [Op.in]: ['active', 'renewal_due'] } },
+    transaction
+  });
+  if (current > 0) return;
+
+  await Property.update(
+    { status: 'active' },
+    { where: { id: propertyId, status: 'rented' }, transaction }
+  );
+};
+
+/**
+ * Lease that overlaps a new term on the property, if any
+ * @param {string} propertyId - Property ID
+ * @param {string} startDate - First day of the new term
+ * @param {Object} options - { transaction, excludeLeaseId }
+ * @returns {Object|null} Conflicting lease
+ */
+export const findOverlappingLease = async (propertyId, startDate, options = {}) => {
+  const where = {
+    propertyId,
+    status: { [Op.in]: CURRENT_LEASE_STATUSES },
+    endDate: { [Op.gte]: startDate }
+  };
+  if (options.excludeLeaseId) {
+    where.id = { [Op.ne]: options.excludeLeaseId };
+  }
+
+  return Lease.findOne({ where, transaction: options.transaction });
+};
+
+/**
+ * Create a lease; the caller checks permissions and overlaps
+ * @param {Object} data - Lease attributes with startDate and termMonths
+ * @param {Object} options - { transaction }
+ * @returns {Object} Lease instance
+ */
+export const createLease = async (data, options = {}) => {
+  const { termMonths, ...attributes } = data;
+  const today = toDateString(new Date());
+  const endDate = attributes.endDate || getLeaseEndDate(attributes.startDate, termMonths);
+
+  const lease = await Lease.create({
+    ...attributes,
+    endDate,
+    rentAmount: roundAmount(attributes.rentAmount),
+    cautionDeposit: roundAmount(attributes.cautionDeposit),
+    agencyFee: roundAmount(attributes.agencyFee),
+    legalFee: roundAmount(attributes.legalFee),
+    renewalNoticeDays: attributes.renewalNoticeDays ?? DEFAULT_RENEWAL_NOTICE_DAYS,
+    lateFeePercent: roundAmount(attributes.lateFeePercent),
+    lateFeeGraceDays: attributes.lateFeeGraceDays ?? DEFAULT_LATE_FEE_GRACE_DAYS,
+    status: attributes.startDate <= today ? 'active' : 'upcoming'
+  }, { transaction: options.transaction });
+
+  if (lease.status === 'active') {
+    await markPropertyRented(lease.propertyId, options.transaction);
+  }
+
+  return lease;
+};
+
+/**
+ * Get a lease the user is a party to
+ * @param {string} leaseId - Lease ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const getLease = async (leaseId, user) => {
+  try {
+    const lease = await Lease.findByPk(leaseId, {
+      include: [
+        {
+          model: Property,
+          as: 'property',
+          attributes: ['id', 'title', 'address', 'city', 'state', 'listingType', 'status', 'agentId'],
+          include: [
+            {
+              model: PropertyMedia,
+              as: 'media',
+              where: { isActive: true, isPrimary: true },
+              required: false,
+              limit: 1
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'tenant',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl']
+        },
+        {
+          model: User,
+          as: 'landlord',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl']
+        },
+        {
+          model: RentalApplication,
+          as: 'application',
+          attributes: ['id', 'desiredMoveInDate', 'leaseTermMonths', 'occupants'],
+          required: false
+        }
+      ]
+    });
+
+    if (!lease) {
+      return { success: false, message: 'Lease not found', statusCode: 404 };
+    }
+
+    if (lease.tenantId !== user.id && !canManageLease(lease, lease.property, user)) {
+      return { success: false, message: 'Unauthorized to view this lease', statusCode: 403 };
+    }
+
+    return {
+      success: true,
+      message: 'Lease retrieved successfully',
+      data: { lease: serializeLease(lease) },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get lease error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve lease',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * End a lease early. Either party or an admin may terminate it.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} user - Authenticated user
+ * @param {string} reason - Termination reason
+ * @returns {Object} Result object
+ */
+export const terminateLease = async (leaseId, user, reason) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const lease = await Lease.findByPk(leaseId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title', 'agentId'] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!lease) {
+      await transaction.rollback();
+      return { success: false, message: 'Lease not found', statusCode: 404 };
+    }
+
+    const isTenant = lease.tenantId === user.id;
+    if (!isTenant && !canManageLease(lease, lease.property, user)) {
+      await transaction.rollback();
+      return { success: false, message: 'Unauthorized to terminate this lease', statusCode: 403 };
+    }
+
+    if (!CURRENT_LEASE_STATUSES.includes(lease.status)) {
+      await transaction.rollback();
+      return { success: false, message: `Cannot terminate a lease that is ${lease.status}`, statusCode: 400 };
+    }
+
+    await lease.update({
+      status: 'terminated',
+      terminatedAt: new Date(),
+      terminatedBy: user.id,
+      terminationReason: reason
+    }, { transaction });
+
+    // A renewal that has not started yet goes with it
+    if (lease.renewedById) {
+      await Lease.update({
+        status: 'terminated',
+        terminatedAt: new Date(),
+        terminatedBy: user.id,
+        terminationReason: 'Previous lease was terminated'
+      }, { where: { id: lease.renewedById, status: 'upcoming' }, transaction });
+    }
+
+    // Rent for periods that have not started is no longer owed
+    await RentInvoice.update({
+      status: 'void',
+      voidedAt: new Date(),
+      voidReason: 'Lease terminated'
+    }, {
+      where: {
+        leaseId: { [Op.in]: [lease.id, lease.renewedById].filter(Boolean) },
+        status: { [Op.in]: ['issued', 'overdue'] },
+        periodStart: { [Op.gt]: toDateString(new Date()) }
+      },
+      transaction
+    });
+
+    await releasePropertyIfVacant(lease.propertyId, transaction);
+    await transaction.commit();
+
+    await notify({
+      userId: isTenant ? lease.landlordId : lease.tenantId,
+      title: 'Lease Terminated',
+      message: `The lease for ${lease.property.title} has been terminated${reason ? `: ${reason}` : ''}.`,
+      type: 'warning',
+      priority: 'high',
+      actionUrl: `/leases/${lease.id}`,
+      propertyId: lease.propertyId,
+      data: { leaseId: lease.id, terminatedBy: user.id }
+    });
+
+    return {
+      success: true,
+      message: 'Lease terminated successfully',
+      data: { lease: serializeLease(lease) },
+      statusCode: 200
+    };
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Terminate lease error:', error);
+    return {
+      success: false,
+      message: 'Failed to terminate lease',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Renew a running lease. The landlord sets the new terms; the new lease
+ * starts the day after the current one ends.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} user - Landlord, property agent or admin
+ * @param {Object} terms - { rentAmount, rentFrequency, cautionDeposit, agencyFee, legalFee, lateFeePercent, lateFeeGraceDays, termMonths, terms }
+ * @returns {Object} Result object
+ */
+export const renewLease = async (leaseId, user, terms = {}) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const lease = await Lease.findByPk(leaseId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title', 'agentId'] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!lease) {
+      await transaction.rollback();
+      return { success: false, message: 'Lease not found', statusCode: 404 };
+    }
+
+    if (!canManageLease(lease, lease.property, user)) {
+      await transaction.rollback();
+      return { success: false, message: 'Unauthorized to renew this lease', statusCode: 403 };
+    }
+
+    if (!['active', 'renewal_due'].includes(lease.status)) {
+      await transaction.rollback();
+      return { success: false, message: `Cannot renew a lease that is ${lease.status}`, statusCode: 400 };
+    }
+
+    if (lease.renewedById) {
+      await transaction.rollback();
+      return { success: false, message: 'Lease has already been renewed', statusCode: 409 };
+    }
+
+    const startDate = addDays(lease.endDate, 1);
+    const conflict = await findOverlappingLease(lease.propertyId, startDate, { transaction, excludeLeaseId: lease.id });
+    if (conflict) {
+      await transaction.rollback();
+      return { success: false, message: 'Another lease already covers the renewal period', statusCode: 409 };
+    }
+
+    const rentFrequency = terms.rentFrequency || lease.rentFrequency;
+    if (!RENT_FREQUENCIES.includes(rentFrequency)) {
+      await transaction.rollback();
+      return { success: false, message: 'Invalid rent frequency', statusCode: 400 };
+    }
+
+    const renewal = await createLease({
+      previousLeaseId: lease.id,
+      propertyId: lease.propertyId,
+      tenantId: lease.tenantId,
+      landlordId: lease.landlordId,
+      rentAmount: terms.rentAmount ?? lease.rentAmount,
+      rentFrequency,
+      // The caution deposit carries over; fees are only due if the landlord charges them again
+      cautionDeposit: terms.cautionDeposit ?? lease.cautionDeposit,
+      agencyFee: terms.agencyFee ?? 0,
+      legalFee: terms.legalFee ?? 0,
+      currency: lease.currency,
+      startDate,
+      termMonths: terms.termMonths || 12,
+      renewalNoticeDays: lease.renewalNoticeDays,
+      lateFeePercent: terms.lateFeePercent ?? lease.lateFeePercent,
+      lateFeeGraceDays: terms.lateFeeGraceDays ?? lease.lateFeeGraceDays,
+      terms: terms.terms ?? lease.terms,
+      createdBy: user.id
+    }, { transaction });
+
+    await lease.update({
+      renewedById: renewal.id,
+      status: 'active'
+    }, { transaction });
+
+    await transaction.commit();
+
+    await notify({
+      userId: lease.tenantId,
+      title: 'Lease Renewed',
+      message: `Your lease for ${lease.property.title} has been renewed from ${renewal.startDate} to ${renewal.endDate}.`,
+      type: 'success',
+      priority: 'normal',
+      actionUrl: `/leases/${renewal.id}`,
+      propertyId: lease.propertyId,
+      data: { leaseId: renewal.id, previousLeaseId: lease.id }
+    });
+
+    return {
+      success: true,
+      message: 'Lease renewed successfully',
+      data: { lease: serializeLease(renewal), previousLease: serializeLease(lease) },
+      statusCode: 201
+    };
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Renew lease error:', error);
+    return {
+      success: false,
+      message: 'Failed to renew lease',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Move leases along their lifecycle: start upcoming leases, flag leases
+ * nearing their end for renewal and close leases that have ended.
+ * Safe to run more than once a day.
+ * @returns {Object} Counts of leases moved to each status
+ */
+export const processLeaseLifecycle = async () => {
+  const today = toDateString(new Date());
+  const summary = { started: 0, renewalDue: 0, expired: 0, renewed: 0, failed: 0 };
+
+  const withProperty = { model: Property, as: 'property', attributes: ['id', 'title'] };
+
+  // Ended leases first, so a renewal that starts today finds the property still rented
+  const endedLeases = await Lease.findAll({
+    where: { status: { [Op.in]: ['active', 'renewal_due'] }, endDate: { [Op.lt]: today } },
+    include: [withProperty]
+  });
+
+  for (const lease of endedLeases) {
+    try {
+      const status = lease.renewedById ? 'renewed' : 'expired';
+      await sequelize.transaction(async (transaction) => {
+        await lease.update({ status }, { transaction });
+        if (status === 'expired') {
+          await releasePropertyIfVacant(lease.propertyId, transaction);
+        }
+      });
+
+      if (status === 'expired') {
+        summary.expired += 1;
+        const notification = {
+          title: 'Lease Expired',
+          message: `The lease for ${lease.property.title} ended on ${lease.endDate}.`,
+          type: 'info',
+          priority: 'normal',
+          actionUrl: `/leases/${lease.id}`,
+          propertyId: lease.propertyId,
+          data: { leaseId: lease.id }
+        };
+        await notify({ ...notification, userId: lease.tenantId });
+        await notify({ ...notification, userId: lease.landlordId });
+      } else {
+        summary.renewed += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ [LEASE] Failed to close lease ${lease.id}:`, error.message);
+    }
+  }
+
+  const startingLeases = await Lease.findAll({
+    where: { status: 'upcoming', startDate: { [Op.lte]: today } },
+    include: [withProperty]
+  });
+
+  for (const lease of startingLeases) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await lease.update({ status: 'active' }, { transaction });
+        await markPropertyRented(lease.propertyId, transaction);
+      });
+      summary.started += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ [LEASE] Failed to start lease ${lease.id}:`, error.message);
+    }
+  }
+
+  // Active leases without a renewal whose notice window has opened
+  const runningLeases = await Lease.findAll({
+    where: {
+      status: 'active',
+      renewedById: null,
+      endDate: { [Op.gte]: today }
+    },
+    include: [withProperty]
+  });
+
+  for (const lease of runningLeases) {
+    if (addDays(lease.endDate, -lease.renewalNoticeDays) > today) continue;
+
+    try {
+      await lease.update({ status: 'renewal_due' });
+      summary.renewalDue += 1;
+
+      await notify({
+        userId: lease.landlordId,
+        title: 'Lease Renewal Due',
+        message: `The lease for ${lease.property.title} ends on ${lease.endDate}. Renew it or let the tenant know it will not be renewed.`,
+        type: 'reminder',
+        priority: 'high',
+        actionUrl: `/leases/${lease.id}`,
+        actionText: 'Renew Lease',
+        propertyId: lease.propertyId,
+        data: { leaseId: lease.id, endDate: lease.endDate }
+      });
+      await notify({
+        userId: lease.tenantId,
+        title: 'Your Lease Ends Soon',
+        message: `Your lease for ${lease.property.title} ends on ${lease.endDate}. Contact your landlord about renewing it.`,
+        type: 'reminder',
+        priority: 'high',
+        actionUrl: `/leases/${lease.id}`,
+        propertyId: lease.propertyId,
+        data: { leaseId: lease.id, endDate: lease.endDate }
+      });
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ [LEASE] Failed to flag lease ${lease.id} for renewal:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  CURRENT_LEASE_STATUSES,
+  addDays,
+  addMonths,
+  getLeaseEndDate,
+  getDefaultRentFrequency,
+  getMoveInCost,
+  findOverlappingLease,
+  createLease,
+  getLease,
+  terminateLease,
+  renewLease,
+  processLeaseLifecycle
+};
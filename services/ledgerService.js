@@ -0,0 +1,451 @@
+import { Op, fn, col } from 'sequelize';
+import sequelize from '../database/db.js';
+import {
+  Booking,
+  Payment,
+  WalletTransaction,
+  LedgerAccount,
+  JournalEntry,
+  JournalLine
+} from '../schema/index.js';
+
+/**
+ * Ledger Service
+ * Double-entry journal behind wallets and payments. Every money movement posts
+ * one balanced entry (total debits === total credits) against these accounts:
+ *
+ *   paystack_clearing  (asset)     cash collected by / paid out through Paystack
+ *   guest              (liability) wallet funds a user can spend or withdraw (per user)
+ *   landlord_pending   (liability) booking earnings held until check-in (per user)
+ *   landlord_available (liability) released booking earnings (per user)
+ *   tax_payable        (liability) tax collected on bookings
+ *   platform_revenue   (revenue)   service and platform fees kept by AWARI
+ */
+
+export const ACCOUNT_CATEGORIES = {
+  paystack_clearing: { name: 'Paystack clearing', type: 'asset', normalBalance: 'debit', perUser: false },
+  guest: { name: 'Guest wallet funds', type: 'liability', normalBalance: 'credit', perUser: true },
+  landlord_pending: { name: 'Landlord pending earnings', type: 'liability', normalBalance: 'credit', perUser: true },
+  landlord_available: { name: 'Landlord available earnings', type: 'liability', normalBalance: 'credit', perUser: true },
+  tax_payable: { name: 'Tax payable', type: 'liability', normalBalance: 'credit', perUser: false },
+  platform_revenue: { name: 'Platform revenue', type: 'revenue', normalBalance: 'credit', perUser: false }
+};
+
+const BALANCE_TOLERANCE = 0.005;
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Build a debit line. Negative amounts become a credit of the same size.
+ * @param {string} category - Account category
+ * @param {string|null} userId - Account owner for per-user accounts
+ * @param {number} amount - Amount
+ * @param {string} memo - Optional line memo
+ * @returns {Object} Journal line
+ */
+export const debitLine = (category, userId, amount, memo = null) => {
+  const value = roundAmount(amount);
+  return value >= 0
+    ? { category, userId, debit: value, credit: 0, memo }
+    : { category, userId, debit: 0, credit: -value, memo };
+};
+
+/**
+ * Build a credit line. Negative amounts become a debit of the same size.
+ * @param {string} category - Account category
+ * @param {string|null} userId - Account owner for per-user accounts
+ * @param {number} amount - Amount
+ * @param {string} memo - Optional line memo
+ * @returns {Object} Journal line
+ */
+export const creditLine = (category, userId, amount, memo = null) => (
+  debitLine(category, userId, -roundAmount(amount), memo)
+);
+
+/**
+ * Find or create the ledger account for a category (and user, for per-user accounts)
+ * @param {string} category - Account category
+ * @param {string|null} userId - User ID for per-user accounts
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Object} LedgerAccount instance
+ */
+export const getAccount = async (category, userId = null, transaction = null) => {
+  const definition = ACCOUNT_CATEGORIES[category];
+  if (!definition) {
+    throw new Error(`Unknown ledger account category: ${category}`);
+  }
+  if (definition.perUser && !userId) {
+    throw new Error(`Ledger account ${category} requires a userId`);
+  }
+
+  const code = definition.perUser ? `${category}:${userId}` : category;
+  const [account] = await LedgerAccount.findOrCreate({
+    where: { code },
+    defaults: {
+      code,
+      name: definition.name,
+      category,
+      type: definition.type,
+      normalBalance: definition.normalBalance,
+      userId: definition.perUser ? userId : null
+    },
+    transaction
+  });
+
+  return account;
+};
+
+/**
+ * Current balance of an account, signed by its normal balance
+ * @param {string} category - Account category
+ * @param {string|null} userId - User ID for per-user accounts
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {number} Balance
+ */
+export const getAccountBalance = async (category, userId = null, transaction = null) => {
+  const account = await getAccount(category, userId, transaction);
+  const [totals] = await JournalLine.findAll({
+    where: { accountId: account.id },
+    attributes: [
+      [fn('COALESCE', fn('SUM', col('debit')), 0), 'debit'],
+      [fn('COALESCE', fn('SUM', col('credit')), 0), 'credit']
+    ],
+    raw: true,
+    transaction
+  });
+
+  const net = roundAmount(totals.debit) - roundAmount(totals.credit);
+  return roundAmount(account.normalBalance === 'debit' ? net : -net);
+};
+
+/**
+ * Lines that take money out of a user's spendable wallet funds.
+ * Released landlord earnings are used first, then guest funds.
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount to take
+ * @param {string} memo - Line memo
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Array} Journal lines
+ */
+export const buildAvailableDebitLines = async (userId, amount, memo = null, transaction = null) => {
+  const value = roundAmount(amount);
+  const earnings = Math.max(0, await getAccountBalance('landlord_available', userId, transaction));
+  const fromEarnings = Math.min(earnings, value);
+
+  return [
+    debitLine('landlord_available', userId, fromEarnings, memo),
+    debitLine('guest', userId, roundAmount(value - fromEarnings), memo)
+  ];
+};
+
+/**
+ * Post a balanced journal entry. Posting a reference that already exists
+ * returns the existing entry instead of posting twice.
+ * @param {Object} entryData - entryType, reference, description, bookingId, paymentId, walletTransactionId, currency, metadata, lines
+ * @param {Object} options - { transaction }
+ * @returns {Object|null} JournalEntry instance (null when every line is zero)
+ */
+export const postJournalEntry = async (entryData, options = {}) => {
+  const { lines = [], ...entryFields } = entryData;
+
+  const nonZeroLines = lines.filter((line) => line.debit > 0 || line.credit > 0);
+  if (nonZeroLines.length === 0) {
+    return null;
+  }
+
+  const totalDebit = roundAmount(nonZeroLines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = roundAmount(nonZeroLines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (Math.abs(totalDebit - totalCredit) > BALANCE_TOLERANCE) {
+    throw new Error(`Journal entry ${entryFields.reference} is not balanced: debits ${totalDebit}, credits ${totalCredit}`);
+  }
+
+  const ownTransaction = !options.transaction;
+  const transaction = options.transaction || await sequelize.transaction();
+
+  try {
+    const existing = await JournalEntry.findOne({
+      where: { reference: entryFields.reference },
+      transaction
+    });
+    if (existing) {
+      if (ownTransaction) await transaction.commit();
+      return existing;
+    }
+
+    const entry = await JournalEntry.create({
+      ...entryFields,
+      amount: totalDebit,
+      postedAt: entryFields.postedAt || new Date()
+    }, { transaction });
+
+    const journalLines = [];
+    for (const line of nonZeroLines) {
+      const account = await getAccount(line.category, line.userId, transaction);
+      journalLines.push({
+        journalEntryId: entry.id,
+        accountId: account.id,
+        debit: line.debit,
+        credit: line.credit,
+        memo: line.memo
+      });
+    }
+    await JournalLine.bulkCreate(journalLines, { transaction });
+
+    if (ownTransaction) await transaction.commit();
+    console.log(`📒 [LEDGER SERVICE] Posted ${entry.entryType} entry ${entry.reference} (${totalDebit})`);
+    return entry;
+  } catch (error) {
+    if (ownTransaction) await transaction.rollback();
+    console.error('❌ [LEDGER SERVICE] Error posting journal entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lines for a guest's booking payment: cash in, split into landlord pending, tax and platform fees
+ * @param {Object} split - { ownerId, grossAmount, netAmount, taxAmount }
+ * @returns {Array} Journal lines
+ */
+export const buildBookingPaymentLines = ({ ownerId, grossAmount, netAmount, taxAmount = 0 }) => {
+  const gross = roundAmount(grossAmount);
+  const net = roundAmount(netAmount);
+  const tax = roundAmount(taxAmount);
+
+  return [
+    debitLine('paystack_clearing', null, gross, 'Booking payment received'),
+    creditLine('landlord_pending', ownerId, net, 'Landlord share held until check-in'),
+    creditLine('tax_payable', null, tax, 'Tax collected'),
+    creditLine('platform_revenue', null, roundAmount(gross - net - tax), 'Service and platform fees')
+  ];
+};
+
+/**
+ * Counterpart lines for a rent payment: the landlord's share is available
+ * straight away (the tenant already lives there); tax and fees are split off.
+ * The caller adds the line for where the money came from.
+ * @param {Object} split - { landlordId, grossAmount, netAmount, taxAmount }
+ * @returns {Array} Journal lines
+ */
+export const buildRentPaymentLines = ({ landlordId, grossAmount, netAmount, taxAmount = 0 }) => {
+  const gross = roundAmount(grossAmount);
+  const net = roundAmount(netAmount);
+  const tax = roundAmount(taxAmount);
+
+  return [
+    creditLine('landlord_available', landlordId, net, 'Rent paid to landlord'),
+    creditLine('tax_payable', null, tax, 'Tax collected'),
+    creditLine('platform_revenue', null, roundAmount(gross - net - tax), 'Service and platform fees')
+  ];
+};
+
+/**
+ * Trial balance: debit and credit totals per account
+ * @param {Object} options - { asOf, category }
+ * @returns {Object} Result object
+ */
+export const getTrialBalance = async (options = {}) => {
+  try {
+    const { asOf, category } = options;
+
+    const entryWhere = {};
+    if (asOf) entryWhere.postedAt = { [Op.lte]: new Date(asOf) };
+
+    const totals = await JournalLine.findAll({
+      attributes: [
+        'accountId',
+        [fn('SUM', col('debit')), 'debit'],
+        [fn('SUM', col('credit')), 'credit']
+      ],
+      include: [{ model: JournalEntry, as: 'entry', attributes: [], where: entryWhere }],
+      group: ['accountId'],
+      raw: true
+    });
+
+    const accountWhere = { id: totals.map((row) => row.accountId) };
+    if (category) accountWhere.category = category;
+
+    const accounts = await LedgerAccount.findAll({ where: accountWhere, raw: true });
+    const accountsById = new Map(accounts.map((account) => [account.id, account]));
+
+    const rows = totals
+      .filter((row) => accountsById.has(row.accountId))
+      .map((row) => {
+        const account = accountsById.get(row.accountId);
+        const debit = roundAmount(row.debit);
+        const credit = roundAmount(row.credit);
+        const net = roundAmount(debit - credit);
+        return {
+          accountId: account.id,
+          code: account.code,
+          name: account.name,
+          category: account.category,
+          type: account.type,
+          userId: account.userId,
+          debit,
+          credit,
+          balance: account.normalBalance === 'debit' ? net : roundAmount(-net)
+        };
+      })
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    const byCategory = rows.reduce((acc, row) => {
+      if (!acc[row.category]) {
+        acc[row.category] = { debit: 0, credit: 0, balance: 0, accounts: 0 };
+      }
+      acc[row.category].debit = roundAmount(acc[row.category].debit + row.debit);
+      acc[row.category].credit = roundAmount(acc[row.category].credit + row.credit);
+      acc[row.category].balance = roundAmount(acc[row.category].balance + row.balance);
+      acc[row.category].accounts += 1;
+      return acc;
+    }, {});
+
+    const totalDebit = roundAmount(rows.reduce((sum, row) => sum + row.debit, 0));
+    const totalCredit = roundAmount(rows.reduce((sum, row) => sum + row.credit, 0));
+
+    return {
+      success: true,
+      message: 'Trial balance retrieved successfully',
+      data: {
+        asOf: asOf ? new Date(asOf).toISOString() : new Date().toISOString(),
+        accounts: rows,
+        byCategory,
+        totals: {
+          debit: totalDebit,
+          credit: totalCredit,
+          // Only meaningful without a category filter
+          balanced: category ? null : Math.abs(totalDebit - totalCredit) <= BALANCE_TOLERANCE
+        }
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error building trial balance:', error);
+    return {
+      success: false,
+      message: 'Failed to build trial balance',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Journal entries for a set of bookings, grouped by booking ID
+ * @param {Array<string>} bookingIds - Booking IDs
+ * @returns {Map} bookingId -> journal entries (with lines and accounts)
+ */
+export const getJournalEntriesByBooking = async (bookingIds) => {
+  const ids = [...new Set(bookingIds.filter(Boolean))];
+  const grouped = new Map(ids.map((id) => [id, []]));
+  if (ids.length === 0) return grouped;
+
+  const entries = await JournalEntry.findAll({
+    where: { bookingId: ids },
+    include: [{
+      model: JournalLine,
+      as: 'lines',
+      attributes: ['id', 'debit', 'credit', 'memo'],
+      include: [{
+        model: LedgerAccount,
+        as: 'account',
+        attributes: ['id', 'code', 'name', 'category', 'userId']
+      }]
+    }],
+    order: [['postedAt', 'ASC']]
+  });
+
+  entries.forEach((entry) => {
+    grouped.get(entry.bookingId).push(entry.get({ plain: true }));
+  });
+
+  return grouped;
+};
+
+/**
+ * Everything that happened to the money for one booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Object} Result object
+ */
+export const getBookingMoneyTrail = async (bookingId) => {
+  try {
+    const booking = await Booking.findByPk(bookingId, {
+      attributes: [
+        'id', 'userId', 'ownerId', 'propertyId', 'bookingType', 'status', 'paymentStatus',
+        'walletStatus', 'basePrice', 'serviceFee', 'taxAmount', 'discountAmount', 'totalPrice', 'currency'
+      ]
+    });
+
+    if (!booking) {
+      return {
+        success: false,
+        message: 'Booking not found',
+        statusCode: 404
+      };
+    }
+
+    const [payments, walletTransactions, entriesByBooking] = await Promise.all([
+      Payment.findAll({
+        where: { bookingId },
+        attributes: ['id', 'reference', 'amount', 'currency', 'status', 'paymentType', 'paymentMethod', 'createdAt'],
+        order: [['createdAt', 'ASC']]
+      }),
+      WalletTransaction.findAll({
+        // Refunds reference the booking through relatedTransactionId
+        where: { [Op.or]: [{ bookingId }, { relatedTransactionId: bookingId }] },
+        attributes: ['id', 'userId', 'type', 'operation', 'amount', 'status', 'reference', 'description', 'createdAt'],
+        order: [['createdAt', 'ASC']]
+      }),
+      getJournalEntriesByBooking([bookingId])
+    ]);
+
+    const journalEntries = entriesByBooking.get(bookingId);
+
+    // Net movement per account category caused by this booking
+    const netByCategory = {};
+    journalEntries.forEach((entry) => {
+      entry.lines.forEach((line) => {
+        const { category } = line.account;
+        const normalBalance = ACCOUNT_CATEGORIES[category].normalBalance;
+        const net = roundAmount(line.debit) - roundAmount(line.credit);
+        netByCategory[category] = roundAmount((netByCategory[category] || 0) + (normalBalance === 'debit' ? net : -net));
+      });
+    });
+
+    return {
+      success: true,
+      message: 'Booking money trail retrieved successfully',
+      data: {
+        booking,
+        payments,
+        walletTransactions,
+        journalEntries,
+        netByCategory
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error building booking money trail:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve booking money trail',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  ACCOUNT_CATEGORIES,
+  debitLine,
+  creditLine,
+  getAccount,
+  getAccountBalance,
+  buildAvailableDebitLines,
+  buildBookingPaymentLines,
+  buildRentPaymentLines,
+  postJournalEntry,
+  getTrialBalance,
+  getJournalEntriesByBooking,
+  getBookingMoneyTrail
+};
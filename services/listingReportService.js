@@ -0,0 +1,563 @@
+import { Op, fn, col, literal } from 'sequelize';
+import sequelize from '../database/db.js';
+import { ListingReport, Property, User } from '../schema/index.js';
+import { createAndSendNotification } from './notificationService.js';
+import { recordAdminAction } from './auditLogService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { rolesWithPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Listing Report Service
+ * Signed-in users can flag a live listing (scam, duplicate, wrong price,
+ * already rented, ...). Each user has one report per listing; reporting again
+ * after a report was reviewed reopens it.
+ *
+ * Property.reportCount tracks the open reports. When the open reports from
+ * trusted accounts (verified email, active, older than
+ * LISTING_REPORT_MIN_ACCOUNT_AGE_DAYS) reach LISTING_REPORT_SUSPEND_THRESHOLD
+ * the listing is suspended (hidden from search and booking), so a handful of
+ * throwaway accounts cannot take a listing down. It stays suspended until an
+ * admin works the moderation queue:
+ *   - dismiss: reports closed, a suspended listing goes live again
+ *   - warn_owner: owner warned, a suspended listing goes live again
+ *   - unpublish: listing rejected with the admin's notes as the reason
+ *   - ban_owner: owner banned and all their live listings archived
+ */
+
+export const REPORT_REASONS = ['scam', 'duplicate', 'wrong_price', 'already_rented', 'misleading', 'inappropriate', 'other'];
+export const REPORT_ACTIONS = ['dismiss', 'warn_owner', 'unpublish', 'ban_owner'];
+
+const SUSPEND_THRESHOLD = parseInt(process.env.LISTING_REPORT_SUSPEND_THRESHOLD, 10) || 3;
+const MIN_REPORTER_AGE_DAYS = parseInt(process.env.LISTING_REPORT_MIN_ACCOUNT_AGE_DAYS, 10) || 7;
+
+const buildPaginationMeta = (count, page, limit) => {
+  const currentPage = Number(page) || 1;
+  const perPage = Number(limit) || 10;
+  const totalPages = Math.ceil(count / perPage) || 1;
+
+  return {
+    currentPage,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: perPage,
+    hasNextPage: currentPage < totalPages,
+    hasPrevPage: currentPage > 1
+  };
+};
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'property',
+      channels: ['in_app', 'email'],
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [LISTING REPORT] Failed to send notification:', notificationError.message);
+  }
+};
+
+const notifyAdmins = async (notification) => {
+  const admins = await User.findAll({
+    where: { role: 'admin', adminRole: { [Op.in]: rolesWithPermission('listings.moderate') }, status: 'active' },
+    attributes: ['id']
+  });
+  for (const admin of admins) {
+    await notify({ ...notification, userId: admin.id, actionUrl: '/admin/moderation/reports' });
+  }
+};
+
+const countOpenReports = (propertyId, transaction) =>
+  ListingReport.count({ where: { propertyId, status: 'open' }, transaction });
+
+// Open reports that count towards an automatic suspension
+const countTrustedReports = (propertyId, transaction) =>
+  ListingReport.count({
+    where: { propertyId, status: 'open' },
+    include: [{
+      model: User,
+      as: 'reporter',
+      attributes: [],
+      required: true,
+      where: {
+        emailVerified: true,
+        status: 'active',
+        createdAt: { [Op.lte]: new Date(Date.now() - MIN_REPORTER_AGE_DAYS * 24 * 60 * 60 * 1000) }
+      }
+    }],
+    transaction
+  });
+
+/**
+ * Report a listing
+ * @param {string} reporterId - Reporting user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} data - { reason, details }
+ */
+export const reportListing = async (reporterId, propertyId, data = {}) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const property = await Property.findByPk(propertyId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!property) {
+      await transaction.rollback();
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    if (property.ownerId === reporterId || property.agentId === reporterId) {
+      await transaction.rollback();
+      return { success: false, message: 'You cannot report your own listing', statusCode: 400 };
+    }
+
+    if (property.status !== 'active') {
+      await transaction.rollback();
+      return { success: false, message: 'Only live listings can be reported', statusCode: 400 };
+    }
+
+    const reportData = {
+      ownerId: property.ownerId,
+      reason: data.reason,
+      details: data.details || null,
+      status: 'open',
+      action: null,
+      adminNotes: null,
+      reviewedBy: null,
+      reviewedAt: null
+    };
+
+    let report = await ListingReport.findOne({
+      where: { propertyId, reporterId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (report?.status === 'open') {
+      await transaction.rollback();
+      return { success: false, message: 'You have already reported this listing', statusCode: 409 };
+    }
+
+    if (report) {
+      await report.update(reportData, { transaction });
+    } else {
+      report = await ListingReport.create({ ...reportData, propertyId, reporterId }, { transaction });
+    }
+
+    const reportCount = await countOpenReports(propertyId, transaction);
+    const trustedReportCount = await countTrustedReports(propertyId, transaction);
+    const suspend = trustedReportCount >= SUSPEND_THRESHOLD;
+
+    await property.update({
+      reportCount,
+      ...(suspend ? { status: 'suspended', suspendedAt: new Date() } : {})
+    }, { transaction });
+
+    await transaction.commit();
+
+    if (suspend) {
+      console.log(`🚩 [LISTING REPORT] Property ${propertyId} suspended after ${trustedReportCount} trusted reports (${reportCount} open)`);
+
+      await notify({
+        userId: property.ownerId,
+        title: 'Listing Suspended',
+        message: `"${property.title}" has been hidden while we review reports from users. We'll let you know once the review is done.`,
+        type: 'warning',
+        priority: 'high',
+        actionUrl: `/dashboard/properties/${propertyId}`,
+        actionText: 'View Listing',
+        propertyId,
+        data: { propertyId, reportCount }
+      });
+
+      await notifyAdmins({
+        title: 'Listing Auto-Suspended',
+        message: `"${property.title}" was suspended after ${reportCount} user reports and needs review.`,
+        type: 'warning',
+        priority: 'high',
+        actionText: 'Review Reports',
+        propertyId,
+        data: { propertyId, reportCount }
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Thanks for your report. Our team will review this listing.',
+      data: {
+        report: {
+          id: report.id,
+          propertyId,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      },
+      statusCode: 201
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error('Report listing error:', error);
+    return {
+      success: false,
+      message: 'Failed to report listing',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Moderation queue, one entry per reported listing
+ * Listings with the most reports come first.
+ * @param {Object} options - { status, reason, search, page, limit }
+ */
+export const getReportQueue = async (options = {}) => {
+  try {
+    const { status = 'open', reason, search, page = 1, limit = 10 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const reportWhere = { status };
+    if (reason) reportWhere.reason = reason;
+
+    if (search) {
+      const matches = await Property.findAll({
+        where: {
+          [Op.or]: [
+            { title: { [Op.like]: `%${search}%` } },
+            { city: { [Op.like]: `%${search}%` } },
+            { state: { [Op.like]: `%${search}%` } }
+          ]
+        },
+        attributes: ['id']
+      });
+      reportWhere.propertyId = { [Op.in]: matches.map((property) => property.id) };
+    }
+
+    const [count, groups, reasonCounts] = await Promise.all([
+      ListingReport.count({ where: reportWhere, distinct: true, col: 'propertyId' }),
+      ListingReport.findAll({
+        where: reportWhere,
+        attributes: [
+          'propertyId',
+          [fn('COUNT', col('id')), 'reportCount'],
+          [fn('MIN', col('createdAt')), 'firstReportedAt'],
+          [fn('MAX', col('createdAt')), 'lastReportedAt']
+        ],
+        group: ['propertyId'],
+        order: [[literal('reportCount'), 'DESC'], [literal('firstReportedAt'), 'ASC']],
+        limit: Number(limit),
+        offset,
+        raw: true
+      }),
+      ListingReport.findAll({
+        where: { status: 'open' },
+        attributes: ['reason', [fn('COUNT', col('id')), 'count']],
+        group: ['reason'],
+        raw: true
+      })
+    ]);
+
+    const propertyIds = groups.map((group) => group.propertyId);
+
+    const [properties, reports] = await Promise.all([
+      Property.findAll({
+        where: { id: { [Op.in]: propertyIds } },
+        attributes: ['id', 'title', 'slug', 'listingType', 'city', 'state', 'price', 'currency', 'status', 'reportCount', 'suspendedAt', 'ownerId'],
+        include: [
+          {
+            model: User,
+            as: 'owner',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'role', 'status'],
+            paranoid: false
+          }
+        ]
+      }),
+      ListingReport.findAll({
+        where: { ...reportWhere, propertyId: { [Op.in]: propertyIds } },
+        include: [
+          {
+            model: User,
+            as: 'reporter',
+            attributes: ['id', 'firstName', 'lastName', 'email'],
+            paranoid: false
+          }
+        ],
+        order: [['createdAt', 'ASC']]
+      })
+    ]);
+
+    const propertiesById = new Map(properties.map((property) => [property.id, property.get({ plain: true })]));
+
+    const listings = groups.map((group) => {
+      const listingReports = reports
+        .filter((report) => report.propertyId === group.propertyId)
+        .map((report) => report.get({ plain: true }));
+
+      return {
+        property: propertiesById.get(group.propertyId) || null,
+        reportCount: Number(group.reportCount),
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.lastReportedAt,
+        reasons: listingReports.reduce((acc, report) => {
+          acc[report.reason] = (acc[report.reason] || 0) + 1;
+          return acc;
+        }, {}),
+        reports: listingReports
+      };
+    });
+
+    return {
+      success: true,
+      message: 'Listing reports retrieved successfully',
+      data: {
+        listings,
+        summary: {
+          suspendThreshold: SUSPEND_THRESHOLD,
+          minReporterAccountAgeDays: MIN_REPORTER_AGE_DAYS,
+          openByReason: reasonCounts.reduce((acc, row) => {
+            acc[row.reason] = Number(row.count);
+            return acc;
+          }, {})
+        },
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Listing report queue error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve listing reports',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Work the open reports on a listing
+ * Closes every open report on the listing (for ban_owner, on all of the
+ * owner's listings) and applies the action.
+ * @param {string} adminId - Admin user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} payload - { action, notes }
+ * @param {Object} [auditContext] - From getAuditContext
+ */
+export const actionListingReports = async (adminId, propertyId, payload = {}, auditContext = {}) => {
+  const { action, notes } = payload;
+
+  if (!REPORT_ACTIONS.includes(action)) {
+    return { success: false, message: 'Invalid action provided', statusCode: 400 };
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const property = await Property.findByPk(propertyId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!property) {
+      await transaction.rollback();
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    const openReports = await ListingReport.findAll({
+      where: { propertyId, status: 'open' },
+      attributes: ['reporterId'],
+      transaction
+    });
+    if (openReports.length === 0) {
+      await transaction.rollback();
+      return { success: false, message: 'This listing has no open reports', statusCode: 400 };
+    }
+
+    const owner = await User.findByPk(property.ownerId, { paranoid: false, transaction });
+    if (action === 'ban_owner' && owner?.role === 'admin') {
+      await transaction.rollback();
+      return { success: false, message: 'Cannot ban an admin account', statusCode: 403 };
+    }
+
+    const now = new Date();
+    const previousStatus = property.status;
+    const wasSuspended = previousStatus === 'suspended';
+    const ownerPreviousStatus = owner?.status;
+    let affectedPropertyIds = [propertyId];
+
+    if (action === 'ban_owner') {
+      const ownerProperties = await Property.findAll({
+        where: { ownerId: property.ownerId },
+        attributes: ['id'],
+        transaction
+      });
+      affectedPropertyIds = ownerProperties.map((ownerProperty) => ownerProperty.id);
+
+      await owner.update({ status: 'banned' }, { transaction });
+      await Property.update({
+        status: 'archived',
+        approvedAt: null,
+        suspendedAt: null,
+        moderationNotes: notes || 'Archived after the owner was banned following user reports'
+      }, {
+        where: { ownerId: property.ownerId, status: { [Op.in]: ['pending', 'active', 'suspended'] } },
+        transaction
+      });
+    } else if (action === 'unpublish') {
+      await property.update({
+        status: 'rejected',
+        rejectionReason: notes || 'Removed after review of user reports',
+        approvedAt: null,
+        suspendedAt: null
+      }, { transaction });
+    } else if (wasSuspended) {
+      await property.update({ status: 'active', suspendedAt: null }, { transaction });
+    }
+
+    const [reportsClosed] = await ListingReport.update({
+      status: action === 'dismiss' ? 'dismissed' : 'actioned',
+      action,
+      adminNotes: notes || null,
+      reviewedBy: adminId,
+      reviewedAt: now
+    }, {
+      where: { propertyId: { [Op.in]: affectedPropertyIds }, status: 'open' },
+      transaction
+    });
+
+    await Property.update({ reportCount: 0 }, {
+      where: { id: { [Op.in]: affectedPropertyIds } },
+      transaction
+    });
+
+    await property.reload({ transaction });
+    await recordAdminAction(auditContext, {
+      action: `property.reports_${action === 'dismiss' ? 'dismissed' : action}`,
+      entityType: 'property',
+      entityId: propertyId,
+      changes: previousStatus === property.status
+        ? null
+        : { status: { from: previousStatus, to: property.status } },
+      reason: notes,
+      metadata: { ownerId: property.ownerId, reportsClosed }
+    }, { transaction });
+
+    if (action === 'ban_owner') {
+      await recordAdminAction(auditContext, {
+        action: 'user.ban',
+        entityType: 'user',
+        entityId: owner.id,
+        changes: { status: { from: ownerPreviousStatus, to: 'banned' } },
+        reason: notes,
+        metadata: { propertyId, listingsAffected: affectedPropertyIds.length, source: 'listing_reports' }
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    if (action === 'ban_owner') {
+      await revokeAllSessions(owner.id, { reason: 'account_banned' });
+    }
+
+    console.log(`🚩 [LISTING REPORT] ${action} on property ${propertyId} by admin ${adminId} (${reportsClosed} reports closed)`);
+
+    const ownerNotifications = {
+      dismiss: wasSuspended && {
+        title: 'Listing Restored',
+        message: `We reviewed the reports on "${property.title}" and it is live again.`,
+        type: 'success',
+        priority: 'normal'
+      },
+      warn_owner: {
+        title: 'Warning About Your Listing',
+        message: `We reviewed user reports on "${property.title}". Please make sure the listing is accurate and up to date.${notes ? ` Note from our team: ${notes}` : ''}`,
+        type: 'warning',
+        priority: 'high'
+      },
+      unpublish: {
+        title: 'Listing Removed',
+        message: `"${property.title}" has been unpublished after a review of user reports.${notes ? ` Reason: ${notes}` : ''}`,
+        type: 'error',
+        priority: 'high'
+      },
+      ban_owner: {
+        title: 'Account Banned',
+        message: `Your account has been banned and your listings removed after a review of user reports on "${property.title}".`,
+        type: 'error',
+        priority: 'urgent',
+        channels: ['email']
+      }
+    };
+
+    const ownerNotification = ownerNotifications[action];
+    if (ownerNotification && owner) {
+      await notify({
+        userId: owner.id,
+        actionUrl: `/dashboard/properties/${propertyId}`,
+        actionText: 'View Listing',
+        propertyId,
+        data: { propertyId, action },
+        ...ownerNotification
+      });
+    }
+
+    if (action !== 'dismiss') {
+      for (const { reporterId } of openReports) {
+        await notify({
+          userId: reporterId,
+          title: 'Report Reviewed',
+          message: `Thanks for reporting "${property.title}". Our team reviewed it and has taken action.`,
+          type: 'info',
+          channels: ['in_app'],
+          data: { propertyId }
+        });
+      }
+    }
+
+    const updatedProperty = await Property.findByPk(propertyId, {
+      attributes: ['id', 'title', 'status', 'reportCount', 'suspendedAt', 'rejectionReason', 'ownerId']
+    });
+
+    return {
+      success: true,
+      message: `Reports ${action === 'dismiss' ? 'dismissed' : 'actioned'} successfully`,
+      data: {
+        action,
+        reportsClosed,
+        property: updatedProperty?.get({ plain: true }) ?? null,
+        ...(action === 'ban_owner' ? { ownerStatus: 'banned', listingsAffected: affectedPropertyIds.length } : {})
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error('Listing report action error:', error);
+    return {
+      success: false,
+      message: 'Failed to action listing reports',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Report counts for the moderation overview
+ */
+export const getReportStats = async () => {
+  const [openReports, reportedListings, suspendedListings] = await Promise.all([
+    ListingReport.count({ where: { status: 'open' } }),
+    Property.count({ where: { reportCount: { [Op.gt]: 0 } } }),
+    Property.count({ where: { status: 'suspended' } })
+  ]);
+
+  return { openReports, reportedListings, suspendedListings };
+};
+
+export default {
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  reportListing,
+  getReportQueue,
+  actionListingReports,
+  getReportStats
+};
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { User, UserSession } from '../schema/index.js';
+import { consume, peek } from '../middlewares/rateLimitMiddleware.js';
+import { dispatchEmail, DEFAULT_TIMEZONE } from './notificationPolicyService.js';
+import { createAndSendNotification } from './notificationService.js';
+import { describeUserAgent } from './sessionService.js';
+
+/**
+ * Brute-force protection for password sign-in and emailed codes, and
+ * "new sign-in" alerts.
+ *
+ * Failures are tracked per account (on the user row, so a lockout survives
+ * restarts and holds across instances) and per client address (in the rate
+ * limit store). After a few wrong passwords each further attempt has to wait
+ * a little longer; after LOGIN_MAX_FAILURES the account is locked for a while.
+ *
+ * Account counters are only changed with conditional UPDATEs, and an attempt
+ * is counted before the password or code is checked, so parallel guesses
+ * cannot all read the same count and get past the limits.
+ */
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 10);
+const LOCKOUT_MINUTES = envInt('LOGIN_LOCKOUT_MINUTES', 15);
+const DELAY_AFTER_FAILURES = envInt('LOGIN_DELAY_AFTER_FAILURES', 3);
+const MAX_DELAY_SECONDS = envInt('LOGIN_MAX_DELAY_SECONDS', 60);
+// Failures older than this no longer count towards the lockout
+const FAILURE_RESET_HOURS = 24;
+
+const IP_FAILURE_POLICY = {
+  max: envInt('LOGIN_IP_MAX_FAILURES', 30),
+  windowMs: envInt('LOGIN_IP_WINDOW_MINUTES', 15) * 60 * 1000
+};
+
+export const CODE_MAX_ATTEMPTS = envInt('VERIFICATION_CODE_MAX_ATTEMPTS', 5);
+
+const LOGIN_ALERT_LINK_TTL = process.env.LOGIN_ALERT_LINK_TTL || '7d';
+
+const CODE_KINDS = {
+  emailVerification: {
+    codeField: 'emailVerificationCode',
+    attemptsField: 'emailVerificationAttempts',
+    cleared: { emailVerificationCode: null, emailVerificationExpires: null }
+  },
+  passwordReset: {
+    codeField: 'passwordResetToken',
+    attemptsField: 'passwordResetAttempts',
+    cleared: { passwordResetToken: null, passwordResetExpires: null }
+  }
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://awarihomes.com';
+
+/**
+ * Error thrown to refuse a sign-in before the password is checked.
+ * Controllers send statusCode, code and retryAfter (seconds).
+ */
+const throttleError = (message, statusCode, code, retryAfterMs) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  return error;
+};
+
+const progressiveDelayMs = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS) * 1000;
+};
+
+const isStale = (lastFailedAt) =>
+  !lastFailedAt || Date.now() - new Date(lastFailedAt).getTime() > FAILURE_RESET_HOURS * 60 * 60 * 1000;
+
+const lockedError = (lockedUntil) => throttleError(
+  'This account is temporarily locked after too many failed sign-in attempts. Try again later or reset your password.',
+  423,
+  'ACCOUNT_LOCKED',
+  lockedUntil ? new Date(lockedUntil).getTime() - Date.now() : MAX_DELAY_SECONDS * 1000
+);
+
+/**
+ * Refuse the attempt when the client address has too many recent failures
+ * @param {string} ipAddress - Client address
+ */
+export const assertAddressAllowed = async (ipAddress) => {
+  if (!ipAddress) return;
+
+  const result = await peek('login-failures', `ip:${ipAddress}`, IP_FAILURE_POLICY);
+  if (!result.allowed) {
+    throw throttleError(
+      'Too many failed sign-in attempts from this network. Please try again later.',
+      429,
+      'LOGIN_THROTTLED',
+      result.retryAfterMs
+    );
+  }
+};
+
+/**
+ * Refuse the attempt while the account is locked or still inside its
+ * progressive delay
+ * @param {Object} user - User signing in
+ */
+export const assertAccountAllowed = (user) => {
+  const now = Date.now();
+
+  if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+    throw lockedError(user.lockedUntil);
+  }
+
+  if (isStale(user.lastFailedLoginAt)) return;
+
+  const waitUntil = new Date(user.lastFailedLoginAt).getTime() + progressiveDelayMs(user.failedLoginAttempts);
+  if (waitUntil > now) {
+    throw throttleError(
+      'Too many failed sign-in attempts. Please wait before trying again.',
+      429,
+      'LOGIN_THROTTLED',
+      waitUntil - now
+    );
+  }
+};
+
+/**
+ * Count a sign-in attempt against the account before the password is checked.
+ * Refused once the account is locked or has used up its attempts; a correct
+ * password clears the count again (clearLoginFailures).
+ * @param {Object} user - User signing in
+ */
+export const claimLoginAttempt = async (user) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - FAILURE_RESET_HOURS * 60 * 60 * 1000);
+
+  // failedLoginAttempts comes first: MySQL applies SET assignments left to right
+  const [claimed] = await User.update({
+    failedLoginAttempts: sequelize.literal(
+      `CASE WHEN lastFailedLoginAt IS NULL OR lastFailedLoginAt < ${sequelize.escape(staleBefore)} THEN 1 ELSE failedLoginAttempts + 1 END`
+    ),
+    lastFailedLoginAt: now
+  }, {
+    where: {
+      id: user.id,
+      [Op.and]: [
+        { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }] },
+        {
+          [Op.or]: [
+            { failedLoginAttempts: { [Op.lt]: MAX_FAILURES } },
+            { lastFailedLoginAt: null },
+            { lastFailedLoginAt: { [Op.lt]: staleBefore } }
+          ]
+        }
+      ]
+    },
+    hooks: false
+  });
+
+  if (claimed === 0) {
+    await user.reload({ attributes: ['id', 'lockedUntil'] });
+    throw lockedError(user.lockedUntil);
+  }
+};
+
+/**
+ * Count a wrong password (or unknown email) against the address, and lock the
+ * account once its claimed attempts reach LOGIN_MAX_FAILURES
+ * @param {Object|null} user - Account that was targeted, if it exists
+ * @param {string} ipAddress - Client address
+ */
+export const recordLoginFailure = async (user, ipAddress) => {
+  if (ipAddress) {
+    await consume('login-failures', `ip:${ipAddress}`, IP_FAILURE_POLICY);
+  }
+
+  if (!user) return;
+
+  await user.reload({ attributes: ['id', 'failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil'] });
+  const failures = user.failedLoginAttempts;
+  if (failures < MAX_FAILURES) return;
+
+  // Only the request that applies the lock sends the email. One more wrong
+  // password after the lock ends locks the account again.
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const [locked] = await User.update({
+    lockedUntil,
+    failedLoginAttempts: MAX_FAILURES - 1
+  }, {
+    where: { id: user.id, failedLoginAttempts: { [Op.gte]: MAX_FAILURES } },
+    hooks: false
+  });
+  if (locked === 0) return;
+
+  console.warn(`🔒 [LOGIN PROTECTION] User ${user.id} locked until ${lockedUntil.toISOString()} after ${failures} failed attempts`);
+
+  dispatchEmail(user, {
+    subject: 'Your AWARI account has been temporarily locked',
+    text: `Hi ${user.firstName}, we locked sign-in to your AWARI account for ${LOCKOUT_MINUTES} minutes after ${failures} incorrect password attempts. If this wasn't you, reset your password once the lock ends: ${frontendUrl()}/forgot-password`
+  }, { category: 'system', mandatory: true }).catch((error) => {
+    console.warn('⚠️ [LOGIN PROTECTION] Failed to send lockout email:', error.message);
+  });
+};
+
+/**
+ * Forget past failures once the password has been entered correctly
+ * @param {Object} user - User who signed in
+ */
+export const clearLoginFailures = async (user) => {
+  // Always written: the attempt that just succeeded was counted by claimLoginAttempt
+  await user.update({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null
+  });
+};
+
+/**
+ * Constant-time comparison for short codes
+ * @param {string} expected - Stored code
+ * @param {string} provided - Code entered by the user
+ * @returns {boolean} Whether they match
+ */
+export const codesMatch = (expected, provided) => {
+  const a = Buffer.from(String(expected ?? ''));
+  const b = Buffer.from(String(provided ?? ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Check an emailed code, counting guesses. Each guess claims an attempt with a
+ * conditional UPDATE before the code is compared, and the code is thrown away
+ * once CODE_MAX_ATTEMPTS have been used, so a 4 or 6 digit code cannot be
+ * enumerated, even in parallel; the user has to request a new one. Callers
+ * reset the count when the code is accepted.
+ * @param {Object} user - User the code was sent to
+ * @param {string} kind - emailVerification or passwordReset
+ * @param {string} code - Code entered by the user
+ * @returns {Object} { valid, exhausted, attemptsRemaining }
+ */
+export const verifyEmailedCode = async (user, kind, code) => {
+  const { codeField, attemptsField, cleared } = CODE_KINDS[kind];
+  const storedCode = user[codeField];
+
+  if (!storedCode) {
+    return { valid: false, exhausted: true, attemptsRemaining: 0 };
+  }
+
+  const [claimed] = await User.update(
+    { [attemptsField]: sequelize.literal(`${attemptsField} + 1`) },
+    {
+      where: { id: user.id, [codeField]: storedCode, [attemptsField]: { [Op.lt]: CODE_MAX_ATTEMPTS } },
+      hooks: false
+    }
+  );
+  if (claimed === 0) {
+    return { valid: false, exhausted: true, attemptsRemaining: 0 };
+  }
+
+  await user.reload({ attributes: ['id', attemptsField] });
+  const used = user[attemptsField];
+
+  if (codesMatch(storedCode, code)) {
+    return { valid: true, exhausted: false, attemptsRemaining: CODE_MAX_ATTEMPTS - used };
+  }
+
+  const exhausted = used >= CODE_MAX_ATTEMPTS;
+  if (exhausted) {
+    await User.update(cleared, { where: { id: user.id, [codeField]: storedCode }, hooks: false });
+    console.warn(`🔒 [LOGIN PROTECTION] ${kind} code for user ${user.id} discarded after ${used} attempts`);
+  }
+
+  return { valid: false, exhausted, attemptsRemaining: CODE_MAX_ATTEMPTS - used };
+};
+
+/**
+ * Signed link target for "this wasn't me"
+ * @param {Object} user - User the alert is for
+ * @param {string} sessionId - Session the alert is about
+ * @returns {string} Token
+ */
+export const issueLoginAlertToken = (user, sessionId) => jwt.sign(
+  { id: user.id, sid: sessionId, purpose: 'login_alert' },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_ALERT_LINK_TTL }
+);
+
+/**
+ * Decode a "this wasn't me" token
+ * @param {string} token - Token from the alert link
+ * @returns {Object|null} { id, sid } or null when invalid or expired
+ */
+export const verifyLoginAlertToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'login_alert' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Alert the user when a sign-in comes from a device or address none of their
+ * earlier sessions used. The very first sign-in on an account is not alerted.
+ * @param {Object} user - User who signed in
+ * @param {Object} sessionMeta - { userAgent, ipAddress, deviceName }
+ * @param {string} sessionId - Session the sign-in created
+ * @returns {boolean} Whether an alert was sent
+ */
+export const notifyIfNewSignIn = async (user, sessionMeta, sessionId) => {
+  const { userAgent, ipAddress } = sessionMeta;
+  const earlier = { userId: user.id, id: { [Op.ne]: sessionId } };
+
+  if (await UserSession.count({ where: earlier }) === 0) return false;
+
+  const knownDevice = !userAgent || await UserSession.count({ where: { ...earlier, userAgent: userAgent.slice(0, 500) } }) > 0;
+  const knownAddress = !ipAddress || await UserSession.count({
+    where: { ...earlier, [Op.or]: [{ ipAddress }, { lastSeenIp: ipAddress }] }
+  }) > 0;
+
+  if (knownDevice && knownAddress) return false;
+
+  const secureUrl = `${frontendUrl()}/secure-account?token=${encodeURIComponent(issueLoginAlertToken(user, sessionId))}`;
+  const when = new Date().toLocaleString('en-GB', { timeZone: DEFAULT_TIMEZONE });
+  const device = sessionMeta.deviceName || describeUserAgent(userAgent);
+  const details = `${device}${ipAddress ? ` (IP ${ipAddress})` : ''} on ${when}`;
+
+  console.log(`🛡️ [LOGIN PROTECTION] New ${knownDevice ? 'address' : 'device'} sign-in for user ${user.id}: ${details}`);
+
+  dispatchEmail(user, {
+    subject: 'New sign-in to your AWARI account',
+    text: `Hi ${user.firstName}, your AWARI account was just signed in from ${details}.\n\nIf this was you, you don't need to do anything.\n\nIf this wasn't you, secure your account now: ${secureUrl}\nThis signs out every device and asks you to choose a new password.`
+  }, { category: 'system', mandatory: true }).catch((error) => {
+    console.warn('⚠️ [LOGIN PROTECTION] Failed to send sign-in alert email:', error.message);
+  });
+
+  createAndSendNotification({
+    userId: user.id,
+    title: 'New sign-in to your account',
+    message: `Signed in from ${details}. Not you? Secure your account.`,
+    type: 'warning',
+    category: 'system',
+    priority: 'high',
+    channels: ['in_app', 'push'],
+    mandatory: true,
+    actionUrl: secureUrl,
+    actionText: "This wasn't me",
+    data: { sessionId, newDevice: !knownDevice, newAddress: !knownAddress }
+  }).catch((error) => {
+    console.warn('⚠️ [LOGIN PROTECTION] Failed to send sign-in alert notification:', error.message);
+  });
+
+  return true;
+};
+
+export default {
+  CODE_MAX_ATTEMPTS,
+  assertAddressAllowed,
+  assertAccountAllowed,
+  claimLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  codesMatch,
+  verifyEmailedCode,
+  issueLoginAlertToken,
+  verifyLoginAlertToken,
+  notifyIfNewSignIn
+};
@@ -1,6 +1,7 @@
 import { Message, User, Property, Booking } from '../schema/index.js';
 import { Op } from 'sequelize';
-import { createNotification } from './notificationService.js';
+import { createAndSendNotification } from './notificationService.js';
+import { routeInquiry } from './agencyService.js';
 
 /**
  * Message Service
@@ -16,7 +17,7 @@ class MessageService {
   async sendMessage(messageData, senderId) {
     try {
       const {
-        receiverId,
+        receiverId: requestedReceiverId,
         content,
         subject = null,
         propertyId = null,
@@ -29,6 +30,11 @@ class MessageService {
         userAgent = null
       } = messageData;
 
+      // A new inquiry about an agency listing goes to the agency member on duty
+      const receiverId = propertyId && !threadId && !parentMessageId
+        ? await routeInquiry(propertyId, senderId, requestedReceiverId)
+        : requestedReceiverId;
+
       // Validate sender exists
       const sender = await User.findByPk(senderId, {
         paranoid: false
@@ -158,12 +164,12 @@ class MessageService {
 
       // Send notification to receiver
       try {
-        await createNotification({
+        await createAndSendNotification({
           userId: receiverId,
           title: 'New Message',
           message: `You have a new message from ${messageWithDetails.sender.firstName} ${messageWithDetails.sender.lastName}`,
-          type: 'message',
-          category: 'communication',
+          type: 'info',
+          category: 'message',
           priority: 'normal',
           channels: ['in_app', 'email', 'push'],
           actionUrl: `/messages/${message.id}`,
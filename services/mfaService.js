@@ -0,0 +1,683 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { User, UserMfa, UserSession, MfaRolePolicy } from '../schema/index.js';
+import { verifyPassword } from '../utils/index.js';
+import { buildOtpauthUrl, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+import { markSessionMfaVerified } from './sessionService.js';
+import { recordAdminAction } from './auditLogService.js';
+import { dispatchEmail } from './notificationPolicyService.js';
+
+/**
+ * MFA Service
+ * Optional TOTP two-factor authentication:
+ *
+ *   setup (pending) → confirm with a first code (enabled, recovery codes issued)
+ *
+ * Once enabled, password and Google sign-in stop at an mfa_required step and
+ * only return tokens after a code (or a recovery code) is entered. Sensitive
+ * actions additionally need a step-up: a code entered on the same device in
+ * the last MFA_STEP_UP_TTL_MINUTES. Admins can make 2FA mandatory per role.
+ * After MFA_MAX_FAILURES wrong codes the factor locks for MFA_LOCKOUT_MINUTES,
+ * so a stolen password cannot be paired with a brute-forced code.
+ */
+
+const ISSUER = process.env.MFA_ISSUER || 'AWARI';
+const CHALLENGE_TTL = '5m';
+const STEP_UP_TTL_MINUTES = parseInt(process.env.MFA_STEP_UP_TTL_MINUTES, 10) || 10;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILURES = parseInt(process.env.MFA_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.MFA_LOCKOUT_MINUTES, 10) || 15;
+const LOCKED_MESSAGE = 'Too many invalid codes. Two-factor verification is locked for a while; try again later.';
+
+export const MFA_ROLES = ['renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'];
+
+// Secrets are encrypted at rest; falls back to JWT_SECRET when no key is set
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '').digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (userId, code) =>
+  crypto.createHash('sha256').update(`${userId}:${normalizeRecoveryCode(code)}`).digest('hex');
+
+const generateRecoveryCodes = (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map((code) => ({ hash: hashRecoveryCode(userId, code), usedAt: null }))
+  };
+};
+
+const remainingRecoveryCodes = (mfa) => (mfa.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+
+/**
+ * Whether accounts with this role must set up 2FA
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const isMfaRequiredForRole = async (role) => {
+  const policy = await MfaRolePolicy.findOne({ where: { role }, attributes: ['required'] });
+  return !!policy?.required;
+};
+
+/**
+ * Enabled second factor of a user, if any
+ * @param {string} userId - User ID
+ * @returns {Object|null} UserMfa
+ */
+export const getEnabledMfa = async (userId) => UserMfa.findOne({ where: { userId, status: 'enabled' } });
+
+/**
+ * Whether the user's role requires 2FA and they have not set it up yet
+ * @param {Object} user - User with id and role
+ * @returns {boolean}
+ */
+export const isMfaEnrollmentPending = async (user) =>
+  await isMfaRequiredForRole(user.role) && !(await getEnabledMfa(user.id));
+
+/**
+ * Count a code entry against the factor before it is checked. Refused while
+ * the factor is locked or has no attempts left.
+ * @param {Object} mfa - Enabled UserMfa
+ * @returns {boolean} Whether the attempt may go ahead
+ */
+const claimAttempt = async (mfa) => {
+  const now = new Date();
+  const [claimed] = await UserMfa.update({ failedAttempts: sequelize.literal('failedAttempts + 1') }, {
+    where: {
+      id: mfa.id,
+      failedAttempts: { [Op.lt]: MAX_FAILURES },
+      [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }]
+    }
+  });
+  return claimed > 0;
+};
+
+/**
+ * Lock the factor once its claimed attempts reach MFA_MAX_FAILURES. One more
+ * wrong code after the lock ends locks it again.
+ * @param {Object} mfa - Enabled UserMfa
+ * @returns {boolean} Whether this failure locked the factor
+ */
+const recordFailure = async (mfa) => {
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const [locked] = await UserMfa.update({ lockedUntil, failedAttempts: MAX_FAILURES - 1 }, {
+    where: { id: mfa.id, failedAttempts: { [Op.gte]: MAX_FAILURES } }
+  });
+
+  if (locked) {
+    console.warn(`🔒 [MFA] Second factor of user ${mfa.userId} locked until ${lockedUntil.toISOString()} after ${MAX_FAILURES} wrong codes`);
+  }
+  return locked > 0;
+};
+
+// Accepting a code also clears the failure count
+const consumeTotp = async (mfa, code) => {
+  const step = verifyTotp(decryptSecret(mfa.secretEncrypted), code);
+  if (step === null) return null;
+
+  // Conditional update so the same code can't win twice, even concurrently
+  const [accepted] = await UserMfa.update({
+    lastUsedStep: step,
+    lastUsedAt: new Date(),
+    failedAttempts: 0,
+    lockedUntil: null
+  }, {
+    where: {
+      id: mfa.id,
+      [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }]
+    }
+  });
+  return accepted ? 'totp' : null;
+};
+
+const consumeRecoveryCode = async (mfa, recoveryCode) => {
+  const hash = hashRecoveryCode(mfa.userId, recoveryCode);
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Re-read under a row lock so two requests can't both spend the same code
+    const locked = await UserMfa.findByPk(mfa.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const recoveryCodes = locked?.recoveryCodes || [];
+    const index = recoveryCodes.findIndex((entry) => entry.hash === hash && !entry.usedAt);
+    if (index === -1) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const updated = recoveryCodes.map((entry, position) => (
+      position === index ? { ...entry, usedAt: new Date().toISOString() } : entry
+    ));
+    await locked.update({
+      recoveryCodes: updated,
+      lastUsedAt: new Date(),
+      failedAttempts: 0,
+      lockedUntil: null
+    }, { transaction });
+    await transaction.commit();
+
+    mfa.recoveryCodes = updated;
+    console.log(`🔐 [MFA] Recovery code used by user ${mfa.userId} (${remainingRecoveryCodes(mfa)} left)`);
+    return 'recovery_code';
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Check a TOTP code or a recovery code. Accepted codes are consumed: a TOTP
+ * step is never accepted twice and recovery codes are single use. Every entry
+ * counts towards the lockout until one is accepted.
+ * @param {Object} mfa - Enabled UserMfa
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object} { method, locked } - method that matched ('totp' or 'recovery_code') or null
+ */
+const consumeSecondFactor = async (mfa, factor = {}) => {
+  if (!factor.code && !factor.recoveryCode) return { method: null, locked: false };
+
+  if (!(await claimAttempt(mfa))) return { method: null, locked: true };
+
+  const method = factor.code
+    ? await consumeTotp(mfa, factor.code)
+    : await consumeRecoveryCode(mfa, factor.recoveryCode);
+
+  if (!method) return { method: null, locked: await recordFailure(mfa) };
+
+  return { method, locked: false };
+};
+
+/**
+ * Result for a second factor that was not accepted
+ * @param {boolean} locked - Whether the factor is locked
+ * @param {number} statusCode - Status for a plain wrong code
+ * @returns {Object} Result object
+ */
+const rejectedFactor = (locked, statusCode) => (locked
+  ? { success: false, message: LOCKED_MESSAGE, statusCode: 423 }
+  : { success: false, message: 'Invalid verification code', statusCode });
+
+/**
+ * 2FA state of the current user
+ * @param {Object} user - Authenticated user
+ * @param {string} [sessionId] - Current session
+ * @returns {Object} Result object
+ */
+export const getMfaStatus = async (user, sessionId = null) => {
+  try {
+    const [mfa, required, session] = await Promise.all([
+      UserMfa.findOne({ where: { userId: user.id } }),
+      isMfaRequiredForRole(user.role),
+      sessionId ? UserSession.findByPk(sessionId, { attributes: ['mfaVerifiedAt'] }) : null
+    ]);
+
+    const enabled = mfa?.status === 'enabled';
+
+    return {
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: {
+        enabled,
+        required,
+        enabledAt: enabled ? mfa.enabledAt : null,
+        recoveryCodesRemaining: enabled ? remainingRecoveryCodes(mfa) : 0,
+        stepUpValidUntil: enabled && session?.mfaVerifiedAt
+          ? new Date(new Date(session.mfaVerifiedAt).getTime() + STEP_UP_TTL_MINUTES * 60 * 1000)
+          : null
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve two-factor status',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Start enrolment: a new secret the user adds to their authenticator app
+ * by scanning the otpauth URL as a QR code (or typing the secret)
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object with { secret, otpauthUrl }
+ */
+export const beginEnrollment = async (user) => {
+  try {
+    const existing = await UserMfa.findOne({ where: { userId: user.id } });
+    if (existing?.status === 'enabled') {
+      return { success: false, message: 'Two-factor authentication is already enabled', statusCode: 409 };
+    }
+
+    const secret = generateTotpSecret();
+    const values = { secretEncrypted: encryptSecret(secret), status: 'pending', lastUsedStep: null, recoveryCodes: [] };
+
+    if (existing) {
+      await existing.update(values);
+    } else {
+      await UserMfa.create({ userId: user.id, ...values });
+    }
+
+    return {
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: ISSUER })
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Begin MFA enrollment error:', error);
+    return {
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Finish enrolment with the first code from the app
+ * @param {Object} user - Authenticated user
+ * @param {string} code - 6-digit code
+ * @param {string} [sessionId] - Current session; counts as verified
+ * @returns {Object} Result object with the recovery codes (shown once)
+ */
+export const confirmEnrollment = async (user, code, sessionId = null) => {
+  try {
+    const mfa = await UserMfa.findOne({ where: { userId: user.id } });
+    if (!mfa || mfa.status !== 'pending') {
+      return { success: false, message: 'Start two-factor setup first', statusCode: 400 };
+    }
+
+    const step = verifyTotp(decryptSecret(mfa.secretEncrypted), code);
+    if (step === null) {
+      return { success: false, message: 'Invalid verification code', statusCode: 400 };
+    }
+
+    const { codes, stored } = generateRecoveryCodes(user.id);
+    await mfa.update({
+      status: 'enabled',
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      lastUsedAt: new Date(),
+      recoveryCodes: stored
+    });
+
+    if (sessionId) await markSessionMfaVerified(sessionId);
+
+    console.log(`🔐 [MFA] Two-factor enabled for user ${user.id}`);
+
+    dispatchEmail(user, {
+      subject: 'Two-factor authentication enabled',
+      text: `Hi ${user.firstName}, two-factor authentication is now on for your AWARI account. If this wasn't you, contact support immediately.`
+    }, { category: 'system', mandatory: true }).catch((error) => {
+      console.warn('⚠️ [MFA] Failed to send enrolment email:', error.message);
+    });
+
+    return {
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: codes },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Confirm MFA enrollment error:', error);
+    return {
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Turn 2FA off. Needs the password (when the account has one) and a current
+ * code; not allowed while the user's role requires 2FA.
+ * @param {Object} user - Authenticated user
+ * @param {Object} payload - { password, code, recoveryCode }
+ * @returns {Object} Result object
+ */
+export const disableMfa = async (user, payload = {}) => {
+  try {
+    const mfa = await getEnabledMfa(user.id);
+    if (!mfa) {
+      return { success: false, message: 'Two-factor authentication is not enabled', statusCode: 400 };
+    }
+
+    if (await isMfaRequiredForRole(user.role)) {
+      return { success: false, message: 'Two-factor authentication is required for your account type', statusCode: 403 };
+    }
+
+    const account = await User.findByPk(user.id, { attributes: ['id', 'passwordHash'] });
+    if (account.passwordHash && !(await verifyPassword(payload.password || '', account.passwordHash))) {
+      return { success: false, message: 'Password is incorrect', statusCode: 400 };
+    }
+
+    const { method, locked } = await consumeSecondFactor(mfa, payload);
+    if (!method) return rejectedFactor(locked, 400);
+
+    await mfa.destroy();
+    await UserSession.update({ mfaVerifiedAt: null }, { where: { userId: user.id } });
+
+    console.log(`🔐 [MFA] Two-factor disabled for user ${user.id}`);
+
+    dispatchEmail(user, {
+      subject: 'Two-factor authentication disabled',
+      text: `Hi ${user.firstName}, two-factor authentication was turned off for your AWARI account. If this wasn't you, reset your password and contact support immediately.`
+    }, { category: 'system', mandatory: true }).catch((error) => {
+      console.warn('⚠️ [MFA] Failed to send disable email:', error.message);
+    });
+
+    return {
+      success: true,
+      message: 'Two-factor authentication disabled',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Disable MFA error:', error);
+    return {
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Replace all recovery codes (needs a current TOTP code)
+ * @param {Object} user - Authenticated user
+ * @param {string} code - 6-digit code
+ * @returns {Object} Result object with the new recovery codes
+ */
+export const regenerateRecoveryCodes = async (user, code) => {
+  try {
+    const mfa = await getEnabledMfa(user.id);
+    if (!mfa) {
+      return { success: false, message: 'Two-factor authentication is not enabled', statusCode: 400 };
+    }
+
+    const { method, locked } = await consumeSecondFactor(mfa, { code });
+    if (!method) return rejectedFactor(locked, 400);
+
+    const { codes, stored } = generateRecoveryCodes(user.id);
+    await mfa.update({ recoveryCodes: stored });
+
+    return {
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes: codes },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    return {
+      success: false,
+      message: 'Failed to generate recovery codes',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Short-lived token proving the first factor passed; exchanged for a session
+ * once the second factor is entered
+ * @param {Object} user - User who passed the first factor
+ * @param {string} method - password or google
+ * @returns {string} Challenge token
+ */
+export const issueMfaChallenge = (user, method) => jwt.sign(
+  { id: user.id, purpose: 'mfa_challenge', method },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Check the second factor of a sign-in
+ * @param {string} mfaToken - Challenge token from the first step
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object} Result object with { user, method } on success
+ */
+export const verifyMfaChallenge = async (mfaToken, factor = {}) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return { success: false, message: 'Sign-in attempt expired. Please sign in again.', statusCode: 401 };
+    }
+
+    if (decoded.purpose !== 'mfa_challenge') {
+      return { success: false, message: 'Invalid sign-in attempt', statusCode: 401 };
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || user.status !== 'active') {
+      return { success: false, message: 'Account is not active. Please contact support.', statusCode: 403 };
+    }
+
+    const mfa = await getEnabledMfa(user.id);
+    if (!mfa) {
+      return { success: false, message: 'Sign-in attempt expired. Please sign in again.', statusCode: 401 };
+    }
+
+    const { method, locked } = await consumeSecondFactor(mfa, factor);
+    if (!method) return rejectedFactor(locked, 401);
+
+    return {
+      success: true,
+      message: 'Second factor verified',
+      data: { user, method, recoveryCodesRemaining: remainingRecoveryCodes(mfa) },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Verify MFA challenge error:', error);
+    return {
+      success: false,
+      message: 'Failed to verify code',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Re-enter the second factor on the current device to unlock sensitive actions
+ * @param {Object} user - Authenticated user
+ * @param {string} sessionId - Current session
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object} Result object with { stepUpValidUntil }
+ */
+export const stepUp = async (user, sessionId, factor = {}) => {
+  try {
+    const mfa = await getEnabledMfa(user.id);
+    if (!mfa) {
+      return { success: false, message: 'Two-factor authentication is not enabled', statusCode: 400 };
+    }
+
+    const { method, locked } = await consumeSecondFactor(mfa, factor);
+    if (!method) return rejectedFactor(locked, 400);
+
+    const verifiedAt = await markSessionMfaVerified(sessionId);
+
+    return {
+      success: true,
+      message: 'Verified',
+      data: { stepUpValidUntil: new Date(verifiedAt.getTime() + STEP_UP_TTL_MINUTES * 60 * 1000) },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('MFA step-up error:', error);
+    return {
+      success: false,
+      message: 'Failed to verify code',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Whether the current device may perform a sensitive action right now.
+ * A code can be passed inline (X-MFA-Code) instead of a separate step-up call.
+ * @param {Object} user - Authenticated user
+ * @param {string} sessionId - Current session
+ * @param {string} [inlineCode] - TOTP or recovery code sent with the request
+ * @returns {Object} { allowed, code?, message? }
+ */
+export const checkStepUp = async (user, sessionId, inlineCode = null) => {
+  const mfa = await getEnabledMfa(user.id);
+
+  if (!mfa) {
+    if (await isMfaRequiredForRole(user.role)) {
+      return {
+        allowed: false,
+        code: 'MFA_SETUP_REQUIRED',
+        message: 'Set up two-factor authentication to continue'
+      };
+    }
+    return { allowed: true };
+  }
+
+  if (inlineCode) {
+    const factor = /^\d{6}$/.test(String(inlineCode).trim())
+      ? { code: inlineCode }
+      : { recoveryCode: inlineCode };
+    const { method, locked } = await consumeSecondFactor(mfa, factor);
+    if (method) {
+      await markSessionMfaVerified(sessionId);
+      return { allowed: true };
+    }
+    return locked
+      ? { allowed: false, code: 'MFA_LOCKED', message: LOCKED_MESSAGE }
+      : { allowed: false, code: 'MFA_STEP_UP_REQUIRED', message: 'Invalid verification code' };
+  }
+
+  const session = await UserSession.findByPk(sessionId, { attributes: ['mfaVerifiedAt'] });
+  const fresh = session?.mfaVerifiedAt &&
+    Date.now() - new Date(session.mfaVerifiedAt).getTime() < STEP_UP_TTL_MINUTES * 60 * 1000;
+
+  return fresh
+    ? { allowed: true }
+    : { allowed: false, code: 'MFA_STEP_UP_REQUIRED', message: 'Enter your two-factor code to continue' };
+};
+
+/**
+ * 2FA requirement of every role
+ * @returns {Object} Result object
+ */
+export const getRolePolicies = async () => {
+  try {
+    const policies = await MfaRolePolicy.findAll();
+    const byRole = new Map(policies.map((policy) => [policy.role, policy]));
+
+    return {
+      success: true,
+      message: 'Two-factor policies retrieved successfully',
+      data: MFA_ROLES.map((role) => ({
+        role,
+        required: !!byRole.get(role)?.required,
+        updatedBy: byRole.get(role)?.updatedBy || null,
+        updatedAt: byRole.get(role)?.updatedAt || null
+      })),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get MFA policies error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve two-factor policies',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Require (or stop requiring) 2FA for a role
+ * @param {string} adminId - Admin making the change
+ * @param {string} role - Role
+ * @param {boolean} required - Whether 2FA is mandatory
+ * @param {Object} [auditContext] - From getAuditContext
+ * @returns {Object} Result object
+ */
+export const setRolePolicy = async (adminId, role, required, auditContext = {}) => {
+  try {
+    if (!MFA_ROLES.includes(role)) {
+      return { success: false, message: 'Invalid role', statusCode: 400 };
+    }
+
+    const [policy] = await MfaRolePolicy.findOrCreate({ where: { role }, defaults: { role, required: false } });
+    const previous = policy.required;
+    await policy.update({ required, updatedBy: adminId });
+
+    await recordAdminAction(auditContext, {
+      action: 'mfa_policy.updated',
+      entityType: 'mfa_policy',
+      entityId: role,
+      changes: previous === required ? null : { required: { from: previous, to: required } }
+    });
+
+    console.log(`🔐 [MFA] Two-factor ${required ? 'required' : 'optional'} for role ${role} (admin ${adminId})`);
+
+    return {
+      success: true,
+      message: `Two-factor authentication is now ${required ? 'required' : 'optional'} for ${role} accounts`,
+      data: { role, required },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Set MFA policy error:', error);
+    return {
+      success: false,
+      message: 'Failed to update two-factor policy',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  MFA_ROLES,
+  isMfaRequiredForRole,
+  getEnabledMfa,
+  isMfaEnrollmentPending,
+  getMfaStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  stepUp,
+  checkStepUp,
+  getRolePolicies,
+  setRolePolicy
+};
@@ -1,5 +1,5 @@
 import { NewsletterSubscription } from '../schema/index.js';
-import { sendEmail } from '../modules/notifications/email.js';
+import { dispatchEmail } from './notificationPolicyService.js';
 import crypto from 'crypto';
 
 class NewsletterService {
@@ -153,7 +153,8 @@ class NewsletterService {
         unsubscribeUrl: `${process.env.API_URL || 'http://localhost:3000'}/api/newsletter/unsubscribe?email=${encodeURIComponent(email)}&token=${unsubscribeToken}`
       };
 
-      await sendEmail(email, subject, '', 'newsletter-simple', context);
+      // Confirms an explicit opt-in, so it is sent even if account emails are switched off
+      await dispatchEmail({ email }, { subject, template: 'newsletter-simple', context }, { mandatory: true });
       console.log(`Newsletter confirmation email sent to ${email}`);
     } catch (error) {
       console.error('Error sending newsletter confirmation email:', error);
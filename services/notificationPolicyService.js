@@ -0,0 +1,236 @@
+import { User } from '../schema/index.js';
+import { sendEmail } from '../modules/notifications/email.js';
+import { NotificationCategories, NotificationChannels } from '../modules/notifications/types.js';
+
+/**
+ * Notification Policy Service
+ * Decides, per category and per channel, whether a message may be delivered
+ * to a user right now. Reads users.preferences.notifications:
+ *
+ *   {
+ *     email: true, push: true, sms: false, whatsapp: false, in_app: true,   // channel switches
+ *     categories: { booking: { sms: true }, message: { email: false } },    // per-category overrides
+ *     quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'Africa/Lagos' }
+ *   }
+ *
+ * Mandatory messages (security and transactional) skip both the preference
+ * and quiet-hours checks; they are only held back when the channel cannot
+ * reach the user at all (no email, unverified phone, no push token).
+ */
+
+export const DELIVERY_CHANNELS = Object.values(NotificationChannels);
+export const NOTIFICATION_CATEGORIES = Object.values(NotificationCategories);
+
+const CHANNEL_DEFAULTS = {
+  email: true,
+  push: true,
+  sms: false,
+  whatsapp: false,
+  in_app: true
+};
+
+// Channels that interrupt the user; during quiet hours they wait until the window ends
+const QUIET_HOURS_CHANNELS = ['push', 'sms', 'whatsapp'];
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  timezone: DEFAULT_TIMEZONE
+};
+
+export const SKIP_REASONS = {
+  UNAVAILABLE: 'unavailable',
+  OPTED_OUT: 'opted_out',
+  QUIET_HOURS: 'quiet_hours'
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Minutes past midnight for an instant in the given timezone
+ */
+const localMinutes = (now, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => Number(parts.find(item => item.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * Notification preferences with defaults filled in
+ * @param {Object} user - User with preferences
+ * @returns {Object} { channels, categories, quietHours }
+ */
+export const getNotificationPreferences = (user) => {
+  const stored = user?.preferences?.notifications || {};
+
+  const channels = DELIVERY_CHANNELS.reduce((acc, channel) => {
+    acc[channel] = typeof stored[channel] === 'boolean' ? stored[channel] : CHANNEL_DEFAULTS[channel];
+    return acc;
+  }, {});
+
+  const quietHours = { ...DEFAULT_QUIET_HOURS, ...(stored.quietHours || {}) };
+  if (!isValidTimezone(quietHours.timezone)) {
+    quietHours.timezone = DEFAULT_TIMEZONE;
+  }
+
+  return {
+    channels,
+    categories: stored.categories || {},
+    quietHours
+  };
+};
+
+/**
+ * Whether the user's quiet hours are in effect
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} now - Instant to check
+ * @returns {Object} { active, endsAt }
+ */
+export const getQuietHoursState = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return { active: false, endsAt: null };
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return { active: false, endsAt: null };
+
+  const current = localMinutes(now, quietHours.timezone);
+  // Windows like 22:00-07:00 wrap past midnight
+  const active = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!active) return { active: false, endsAt: null };
+
+  const minutesLeft = (end - current + 1440) % 1440;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return { active: true, endsAt };
+};
+
+/**
+ * Whether a channel can physically reach the user
+ */
+const canReach = (user, channel) => {
+  switch (channel) {
+    case 'email':
+      return Boolean(user?.email);
+    case 'sms':
+    case 'whatsapp':
+      return Boolean(user?.phone && user.phoneVerified);
+    case 'push':
+      return Boolean(user?.pushToken);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether the user wants this category on this channel.
+ * A category override wins over the channel switch, so a user can turn SMS
+ * off globally and still get it for bookings.
+ */
+const isOptedIn = (preferences, category, channel) => {
+  const override = preferences.categories[category]?.[channel];
+  return typeof override === 'boolean' ? override : preferences.channels[channel];
+};
+
+/**
+ * Resolve which channels a message may use right now
+ * @param {Object} user - Recipient (email, phone, phoneVerified, pushToken, preferences)
+ * @param {Object} message - { category, channels, mandatory }
+ * @param {Date} now - Instant used for quiet hours
+ * @returns {Object} { channels (deliver now), deferred, deferUntil, skipped: { channel: reason } }
+ */
+export const resolveDelivery = (user, message = {}, now = new Date()) => {
+  const { category = 'system', channels = ['in_app'], mandatory = false } = message;
+  const preferences = getNotificationPreferences(user);
+  const quietHours = mandatory ? { active: false } : getQuietHoursState(preferences.quietHours, now);
+
+  const decision = { channels: [], deferred: [], deferUntil: null, skipped: {} };
+
+  for (const channel of channels) {
+    if (!canReach(user, channel)) {
+      decision.skipped[channel] = SKIP_REASONS.UNAVAILABLE;
+    } else if (!mandatory && !isOptedIn(preferences, category, channel)) {
+      decision.skipped[channel] = SKIP_REASONS.OPTED_OUT;
+    } else if (quietHours.active && QUIET_HOURS_CHANNELS.includes(channel)) {
+      decision.deferred.push(channel);
+    } else {
+      decision.channels.push(channel);
+    }
+  }
+
+  if (decision.deferred.length > 0) {
+    decision.deferUntil = quietHours.endsAt;
+  }
+
+  return decision;
+};
+
+/**
+ * Send an email outside the Notification table (templated transactional
+ * mail, invites, newsletters) under the same policy
+ * @param {Object} recipient - User, or { email } for someone who may not have an account
+ * @param {Object} email - { subject, text, template, context }
+ * @param {Object} options - { category, mandatory }
+ * @returns {Object} { sent, skipped, reason }
+ */
+export const dispatchEmail = async (recipient, email, options = {}) => {
+  const { category = 'system', mandatory = false } = options;
+
+  let user = recipient;
+  // Callers often load users with a narrow attribute list; fetch the preferences if missing
+  if (!mandatory && user && user.preferences === undefined) {
+    const found = await User.findOne({
+      where: user.id ? { id: user.id } : { email: user.email },
+      attributes: ['id', 'email', 'preferences']
+    });
+    user = found ? { ...found.get({ plain: true }), email: recipient.email || found.email } : recipient;
+  }
+
+  const decision = resolveDelivery(user, { category, channels: ['email'], mandatory });
+  if (!decision.channels.includes('email')) {
+    return { sent: false, skipped: true, reason: decision.skipped.email };
+  }
+
+  const sent = await sendEmail(
+    user.email,
+    email.subject,
+    email.text || '',
+    email.template || null,
+    email.context || null
+  );
+
+  return { sent, skipped: false, reason: null };
+};
+
+export default {
+  DELIVERY_CHANNELS,
+  NOTIFICATION_CATEGORIES,
+  SKIP_REASONS,
+  getNotificationPreferences,
+  getQuietHoursState,
+  resolveDelivery,
+  dispatchEmail,
+  isValidTimezone
+};
@@ -2,6 +2,8 @@ import { Notification, User, Property, Booking } from '../schema/index.js';
 import { sendEmail } from '../modules/notifications/email.js';
 import { pushNotificationService } from '../modules/notifications/push.js';
 import { sendSMS } from '../modules/notifications/sms.js';
+import { whatsAppService } from '../modules/notifications/whatsapp.js';
+import { resolveDelivery, DELIVERY_CHANNELS } from './notificationPolicyService.js';
 import {
   NotificationTypes,
   NotificationCategories,
@@ -39,7 +41,8 @@ export const createNotification = async (notificationData) => {
       scheduledAt = null,
       expiresAt = null,
       data = null,
-      metadata = null
+      metadata = null,
+      mandatory = false
     } = notificationData;
 
     // Validate required fields
@@ -70,7 +73,8 @@ export const createNotification = async (notificationData) => {
       scheduledAt,
       expiresAt,
       data,
-      metadata,
+      // Mandatory (security/transactional) messages bypass user preferences and quiet hours
+      metadata: mandatory ? { ...(metadata || {}), mandatory: true } : metadata,
       status: 'unread',
       isRead: false
     });
@@ -82,8 +86,71 @@ export const createNotification = async (notificationData) => {
   }
 };
 
+const SMS_MAX_LENGTH = 320;
+
+const formatSmsMessage = (notification) => {
+  const text = `AWARI: ${notification.message}`;
+  return text.length > SMS_MAX_LENGTH ? `${text.slice(0, SMS_MAX_LENGTH - 3)}...` : text;
+};
+
+const deliverEmail = async (notification) => {
+  const sent = await sendEmail(
+    notification.user.email,
+    notification.title,
+    notification.message,
+    getEmailTemplate(notification.type),
+    {
+      user: notification.user,
+      notification,
+      property: notification.property,
+      booking: notification.booking,
+      actionUrl: notification.actionUrl,
+      actionText: notification.actionText
+    }
+  );
+  return { sent, flag: 'emailSent' };
+};
+
+const deliverSms = async (notification) => {
+  const sent = await sendSMS(notification.user.phone, formatSmsMessage(notification));
+  return { sent, flag: 'smsSent' };
+};
+
+const deliverWhatsApp = async (notification) => {
+  const result = await whatsAppService.sendMessage(notification.user.phone, formatSmsMessage(notification));
+  return { sent: result.success, error: result.error };
+};
+
+const deliverPush = async (notification) => {
+  const pushResult = await pushNotificationService.sendToDevice(notification.user.pushToken, {
+    title: notification.title,
+    body: notification.message,
+    data: {
+      notificationId: notification.id,
+      type: notification.type,
+      category: notification.category,
+      actionUrl: notification.actionUrl
+    }
+  });
+
+  // Expo returns { success: true, tickets } or { success: false, error }
+  // FCM returns a message ID string or throws error
+  const sent = Boolean(pushResult && (pushResult.success === true || typeof pushResult === 'string'));
+  return { sent, flag: 'pushSent', error: sent ? null : pushResult?.error || 'Push notification failed' };
+};
+
+const CHANNEL_DELIVERERS = {
+  email: deliverEmail,
+  sms: deliverSms,
+  whatsapp: deliverWhatsApp,
+  push: deliverPush
+};
+
 /**
- * Send notification through specified channels
+ * Send notification through specified channels.
+ * Every channel goes through the notification policy: channels the user
+ * opted out of are skipped, and interrupting channels (push, SMS, WhatsApp)
+ * requested during quiet hours are deferred until the window ends.
  * @param {string} notificationId - Notification ID
  * @param {Array} channels - Channels to send through
  * @returns {Object} Delivery results
@@ -95,7 +162,7 @@ export const sendNotification = async (notificationId, channels = null) => {
         {
           model: User,
           as: 'user',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'pushToken']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'phoneVerified', 'pushToken', 'preferences']
         },
         {
           model: Property,
@@ -116,91 +183,70 @@ export const sendNotification = async (notificationId, channels = null) => {
       throw new Error('Notification not found');
     }
 
-    const deliveryChannels = channels || notification.channels;
-    const results = {
-      email: { sent: false, error: null },
-      sms: { sent: false, error: null },
-      push: { sent: false, error: null },
-      in_app: { sent: true, error: null } // In-app is always "sent" when created
-    };
+    const requestedChannels = (channels || notification.channels).filter(channel => DELIVERY_CHANNELS.includes(channel));
+    const decision = resolveDelivery(notification.user, {
+      category: notification.category,
+      channels: requestedChannels,
+      mandatory: notification.metadata?.mandatory === true
+    });
 
-    // Send email notification
-    if (deliveryChannels.includes('email') && notification.user.email) {
-      try {
-        const emailSent = await sendEmail({
-          to: notification.user.email,
-          subject: notification.title,
-          text: notification.message,
-          template: getEmailTemplate(notification.type),
-          context: {
-            user: notification.user,
-            notification,
-            property: notification.property,
-            booking: notification.booking,
-            actionUrl: notification.actionUrl,
-            actionText: notification.actionText
-          }
-        });
+    const results = {};
+    DELIVERY_CHANNELS.forEach((channel) => {
+      results[channel] = { sent: false, error: null };
+    });
 
-        results.email.sent = emailSent;
-        if (emailSent) {
-          await notification.update({ emailSent: true });
-        }
-      } catch (error) {
-        console.error('Error sending email notification:', error);
-        results.email.error = error.message;
+    Object.entries(decision.skipped).forEach(([channel, reason]) => {
+      results[channel].skipped = true;
+      results[channel].reason = reason;
+    });
+    decision.deferred.forEach((channel) => {
+      results[channel].deferred = true;
+      results[channel].deferUntil = decision.deferUntil;
+    });
+
+    const updates = {};
+    for (const channel of decision.channels) {
+      // In-app is delivered by the notification row itself
+      if (channel === 'in_app') {
+        results.in_app.sent = true;
+        continue;
       }
-    }
 
-    // Send SMS notification
-    if (deliveryChannels.includes('sms') && notification.user.phone) {
       try {
-        const smsSent = await sendSMS(notification.user.phone, notification.message);
-        results.sms.sent = smsSent;
-        if (smsSent) {
-          await notification.update({ smsSent: true });
+        const outcome = await CHANNEL_DELIVERERS[channel](notification);
+        results[channel].sent = outcome.sent;
+        results[channel].error = outcome.error || null;
+        if (outcome.sent && outcome.flag) {
+          updates[outcome.flag] = true;
         }
       } catch (error) {
-        console.error('Error sending SMS notification:', error);
-        results.sms.error = error.message;
+        console.error(`Error sending ${channel} notification:`, error);
+        results[channel].error = error.message;
       }
     }
 
-    // Send push notification
-    if (deliveryChannels.includes('push') && notification.user.pushToken) {
-      try {
-        const pushResult = await pushNotificationService.sendToDevice(notification.user.pushToken, {
-          title: notification.title,
-          body: notification.message,
-          data: {
-            notificationId: notification.id,
-            type: notification.type,
-            category: notification.category,
-            actionUrl: notification.actionUrl
-          }
-        });
+    // Users who switched off in-app for this category do not see it in their feed
+    if (results.in_app?.skipped && notification.status === 'unread') {
+      updates.status = 'archived';
+    }
 
-        // Check if push notification was successful
-        // Expo returns { success: true, tickets } or { success: false, error }
-        // FCM returns a message ID string or throws error
-        if (pushResult && (pushResult.success === true || typeof pushResult === 'string')) {
-          results.push.sent = true;
-          await notification.update({ pushSent: true });
-        } else {
-          results.push.sent = false;
-          results.push.error = pushResult?.error || 'Push notification failed';
-        }
-      } catch (error) {
-        console.error('Error sending push notification:', error);
-        results.push.error = error.message;
-      }
+    const delivery = {
+      ...(notification.metadata?.delivery || {}),
+      ...Object.fromEntries(
+        decision.channels.map(channel => [channel, results[channel].sent ? 'sent' : 'failed'])
+      ),
+      ...Object.fromEntries(
+        Object.entries(decision.skipped).map(([channel, reason]) => [channel, `skipped:${reason}`])
+      ),
+      deferredChannels: decision.deferred
+    };
+    updates.metadata = { ...(notification.metadata || {}), delivery };
+    // scheduledAt marks when the deferred channels are due (see sendDeferredNotifications)
+    if (decision.deferred.length > 0 || notification.metadata?.delivery?.deferredChannels?.length) {
+      updates.scheduledAt = decision.deferUntil;
     }
 
-    // Update notification status
-    const allChannelsSent = Object.values(results).every(result => result.sent);
-    await notification.update({
-      status: allChannelsSent ? 'sent' : 'failed'
-    });
+    await notification.update(updates);
 
     return results;
   } catch (error) {
@@ -209,6 +255,43 @@ export const sendNotification = async (notificationId, channels = null) => {
   }
 };
 
+/**
+ * Send the channels that were held back by quiet hours once their window has ended
+ * @param {Date} now - Current time
+ * @returns {Object} { processed, failed }
+ */
+export const sendDeferredNotifications = async (now = new Date()) => {
+  const { sequelize } = Notification;
+  const due = await Notification.findAll({
+    where: {
+      [Op.and]: [
+        { scheduledAt: { [Op.lte]: now } },
+        sequelize.where(
+          sequelize.fn('JSON_LENGTH', sequelize.col('metadata'), '$.delivery.deferredChannels'),
+          { [Op.gt]: 0 }
+        )
+      ]
+    },
+    order: [['scheduledAt', 'ASC']],
+    limit: 500
+  });
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const notification of due) {
+    try {
+      await sendNotification(notification.id, notification.metadata.delivery.deferredChannels);
+      processed++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to send deferred notification ${notification.id}:`, error.message);
+    }
+  }
+
+  return { processed, failed };
+};
+
 /**
  * Create and send notification in one operation
  * @param {Object} notificationData - Notification data
@@ -570,7 +653,9 @@ const getEmailTemplate = (type) => {
 };
 
 /**
- * Predefined notification templates for common scenarios
+ * Predefined notification templates for common scenarios.
+ * Templates marked mandatory are security or transactional messages that are
+ * delivered regardless of the user's notification preferences.
  */
 export const NotificationTemplates = {
   // User related
@@ -591,6 +676,7 @@ export const NotificationTemplates = {
     type: 'info',
     category: 'system',
     priority: 'high',
+    mandatory: true,
     channels: ['email'],
     actionUrl: verificationUrl,
     actionText: 'Verify Email'
@@ -602,6 +688,7 @@ export const NotificationTemplates = {
     type: 'warning',
     category: 'system',
     priority: 'high',
+    mandatory: true,
     channels: ['email'],
     actionUrl: resetUrl,
     actionText: 'Reset Password'
@@ -614,7 +701,8 @@ export const NotificationTemplates = {
     type: 'success',
     category: 'booking',
     priority: 'high',
-    channels: ['email', 'push', 'in_app'],
+    mandatory: true,
+    channels: ['email', 'sms', 'push', 'in_app'],
     actionUrl: `/bookings/${booking.id}`,
     actionText: 'View Booking'
   }),
@@ -625,7 +713,8 @@ export const NotificationTemplates = {
     type: 'warning',
     category: 'booking',
     priority: 'normal',
-    channels: ['email', 'push', 'in_app'],
+    mandatory: true,
+    channels: ['email', 'sms', 'push', 'in_app'],
     actionUrl: `/bookings/${booking.id}`,
     actionText: 'View Details'
   }),
@@ -682,6 +771,7 @@ export const NotificationTemplates = {
     type: 'success',
     category: 'payment',
     priority: 'high',
+    mandatory: true,
     channels: ['email', 'push', 'in_app'],
     actionUrl: `/payments/${payment.id}`,
     actionText: 'View Payment'
@@ -693,6 +783,7 @@ export const NotificationTemplates = {
     type: 'error',
     category: 'payment',
     priority: 'high',
+    mandatory: true,
     channels: ['email', 'push', 'in_app'],
     actionUrl: `/payments/${payment.id}`,
     actionText: 'Retry Payment'
@@ -1,5 +1,5 @@
 import crypto from 'crypto';
-import { Booking, Payment, Property, User } from '../schema/index.js';
+import { Booking, Payment, Property, RentInvoice, User } from '../schema/index.js';
 import paystackService from '../providers/paystack/index.js';
 import { messageHandler } from '../utils/index.js';
 import {
@@ -10,7 +10,10 @@ import {
   CONFLICT,
   INTERNAL_SERVER_ERROR
 } from '../constants/statusCode.js';
-import { calculateBookingFees } from '../controllers/bookingFeeConfigController.js';
+import sequelize from '../database/db.js';
+import { QUOTED_BOOKING_TYPES, resolveQuote, reserveQuote, releaseQuote } from './bookingQuoteService.js';
+import { getQuoteCoupon, recheckQuoteCoupon } from './couponService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
 
 const PAYSTACK_ALLOWED_PAYOUT_ROLES = ['landlord', 'agent', 'hotel_provider', 'admin'];
 
@@ -79,7 +82,7 @@ export const initializeBookingPayment = async (currentUser, bookingId, payload =
       return messageHandler('Booking is missing user information. Please contact support.', false, BAD_REQUEST);
     }
 
-    if (currentUser.role !== 'admin' && booking.userId !== currentUser.id) {
+    if (!hasPermission(currentUser, 'bookings.manage') && booking.userId !== currentUser.id) {
       console.error('❌ [Payment Service] Authorization failed:', {
         bookingUserId: booking.userId,
         currentUserId: currentUser.id,
@@ -92,7 +95,14 @@ export const initializeBookingPayment = async (currentUser, bookingId, payload =
       return messageHandler('Payment has already been completed for this booking', false, CONFLICT);
     }
 
-    const amount = normalizeAmount(payload.amount ?? booking.totalPrice);
+    // The booking total is authoritative; a client-supplied amount may only confirm it
+    const amount = normalizeAmount(booking.totalPrice);
+    if (payload.amount !== undefined && payload.amount !== null &&
+      Math.abs(Number(payload.amount) - amount) > 0.01) {
+      return messageHandler('Payment amount does not match the booking total', false, BAD_REQUEST, {
+        expectedAmount: amount
+      });
+    }
     const currency = payload.currency || booking.currency || 'NGN';
     const customerEmail =
       payload.email ||
@@ -211,42 +221,43 @@ export const initializeBookingPaymentWithData = async (currentUser, bookingData)
 
     const {
       propertyId,
-      checkInDate,
-      checkOutDate,
+      quoteId,
       numberOfGuests,
-      basePrice,
-      totalPrice,
-      currency = 'NGN',
-      discountAmount = 0,
       guestName,
       guestEmail,
       guestPhone,
       specialRequests,
-      couponCode,
       bookingType = 'shortlet',
-      numberOfNights,
-      amount,
       email,
       callbackUrl
     } = bookingData;
 
-    // Calculate fees dynamically from database
-    console.log('💰 [Payment Service] Calculating fees for basePrice:', basePrice);
-    const calculatedFees = await calculateBookingFees(basePrice || totalPrice || amount);
-    console.log('💰 [Payment Service] Calculated fees:', calculatedFees);
+    // Older clients send the listing type ("rent") rather than the booking type
+    const normalizedBookingType = bookingType === 'rent' ? 'rental' : bookingType;
 
-    const serviceFee = calculatedFees.serviceFee;
-    const taxAmount = calculatedFees.taxAmount;
-
-    // Validate required fields
     if (!propertyId) {
       return messageHandler('Property ID is required', false, BAD_REQUEST);
     }
 
-    if (!totalPrice && !amount) {
-      return messageHandler('Total price or amount is required', false, BAD_REQUEST);
+    if (!QUOTED_BOOKING_TYPES.includes(normalizedBookingType)) {
+      return messageHandler(`Payment-first checkout is only available for ${QUOTED_BOOKING_TYPES.join(', ')} bookings`, false, BAD_REQUEST);
+    }
+
+    // Amounts come from the server-issued quote; anything the client sends is only cross-checked
+    const quoteResult = await resolveQuote(quoteId, currentUser.id, {
+      ...bookingData,
+      bookingType: normalizedBookingType,
+      totalPrice: bookingData.totalPrice ?? bookingData.amount
+    });
+
+    if (!quoteResult.success) {
+      return messageHandler(quoteResult.message, false, quoteResult.statusCode, quoteResult.data);
     }
 
+    const { quote } = quoteResult.data;
+    const quoteCoupon = getQuoteCoupon(quote);
+    console.log('🧾 [Payment Service] Using quote:', quote.id);
+
     // Fetch property to validate and get owner info
     console.log('🔍 [Payment Service] Fetching property:', propertyId);
     const property = await Property.findByPk(propertyId, {
@@ -270,24 +281,55 @@ export const initializeBookingPaymentWithData = async (currentUser, bookingData)
       ownerId: property.ownerId
     });
 
-    // Check availability if dates provided
-    if (checkInDate && checkOutDate) {
-      console.log('🔍 [Payment Service] Checking availability');
-      const { checkDateRangeAvailability } = await import('./availabilityService.js');
-      const availabilityCheck = await checkDateRangeAvailability(propertyId, checkInDate, checkOutDate);
+    // Generate reference
+    const reference = generateReference('BOOK');
+
+    // Re-check availability (the quote may have been issued a while ago) and reserve the quote for this
+    // payment in one transaction; the room type stays locked so two checkouts cannot take the last room
+    console.log('🔍 [Payment Service] Checking availability');
+    const { checkDateRangeAvailability } = await import('./availabilityService.js');
+    const transaction = await sequelize.transaction();
+    try {
+      const availabilityCheck = await checkDateRangeAvailability(
+        propertyId,
+        quote.checkInDate,
+        quote.checkOutDate,
+        quote.roomTypeId ? { roomTypeId: quote.roomTypeId, units: quote.roomUnits, transaction } : {}
+      );
 
       if (!availabilityCheck.available) {
+        await transaction.rollback();
         console.error('❌ [Payment Service] Property not available for selected dates');
         return messageHandler('Property is not available for the selected dates', false, CONFLICT, {
           conflictingDates: availabilityCheck.conflictingDates
         });
       }
-      console.log('✅ [Payment Service] Property is available');
+
+      // The coupon row stays locked until commit, so the reservation counts against its caps before the next checkout looks
+      if (quoteCoupon) {
+        const couponCheck = await recheckQuoteCoupon(quote, { transaction });
+        if (!couponCheck.success) {
+          await transaction.rollback();
+          return messageHandler(couponCheck.message, false, couponCheck.statusCode, couponCheck.data);
+        }
+      }
+
+      const reserved = await reserveQuote(quote.id, reference, transaction);
+      if (!reserved) {
+        await transaction.rollback();
+        return messageHandler('Quote is already being paid for or has been used. Please request a new quote.', false, CONFLICT);
+      }
+
+      await transaction.commit();
+    } catch (reservationError) {
+      if (!transaction.finished) await transaction.rollback();
+      throw reservationError;
     }
+    console.log('✅ [Payment Service] Property is available, quote reserved');
 
     // Determine payment amount
-    const paymentAmount = normalizeAmount(amount || totalPrice);
-    const paymentCurrency = currency || 'NGN';
+    const paymentAmount = normalizeAmount(quote.totalPrice);
+    const paymentCurrency = quote.currency || 'NGN';
 
     // Determine customer email
     const customerEmail = email || guestEmail || currentUser.email;
@@ -295,38 +337,39 @@ export const initializeBookingPaymentWithData = async (currentUser, bookingData)
       return messageHandler('Customer email is required to initialize payment', false, BAD_REQUEST);
     }
 
-    // Generate reference
-    const reference = generateReference('BOOK');
-
     // Prepare complete booking data for metadata
     const completeBookingData = {
       propertyId,
       userId: currentUser.id,
       ownerId: property.ownerId,
-      bookingType: bookingType || 'shortlet',
-      checkInDate: checkInDate || null,
-      checkOutDate: checkOutDate || null,
-      numberOfNights: numberOfNights || null,
-      numberOfGuests: numberOfGuests || 1,
-      basePrice: Number(basePrice || totalPrice),
-      totalPrice: Number(totalPrice),
+      bookingType: quote.bookingType,
+      checkInDate: quote.checkInDate,
+      checkOutDate: quote.checkOutDate,
+      numberOfNights: quote.numberOfNights,
+      numberOfGuests: numberOfGuests || quote.numberOfGuests || 1,
+      roomTypeId: quote.roomTypeId || null,
+      roomUnits: quote.roomUnits || 1,
+      basePrice: Number(quote.basePrice),
+      totalPrice: Number(quote.totalPrice),
       currency: paymentCurrency,
-      serviceFee: serviceFee ? Number(serviceFee) : 0,
-      taxAmount: taxAmount ? Number(taxAmount) : 0,
-      discountAmount: discountAmount ? Number(discountAmount) : 0,
+      serviceFee: Number(quote.serviceFee),
+      taxAmount: Number(quote.taxAmount),
+      discountAmount: Number(quote.discountAmount),
       guestName: guestName || `${currentUser.firstName} ${currentUser.lastName}`,
       guestPhone: guestPhone || currentUser.phone || null,
       guestEmail: customerEmail,
       specialRequests: specialRequests || null,
-      couponCode: couponCode || null,
+      couponCode: quoteCoupon?.code || null,
       status: 'pending',
-      paymentStatus: 'pending'
+      paymentStatus: 'pending',
+      metadata: { quoteId: quote.id }
     };
 
     // Store booking data in payment metadata
     const metadata = {
       paymentType: 'booking',
       bookingData: completeBookingData,
+      quoteId: quote.id,
       propertyId,
       propertyTitle: property.title,
       userId: currentUser.id,
@@ -354,6 +397,7 @@ export const initializeBookingPaymentWithData = async (currentUser, bookingData)
 
     if (!paystackResult.success) {
       console.error('❌ [Payment Service] Paystack initialization failed:', paystackResult);
+      await releaseQuote(quote.id, reference);
       return paystackResult;
     }
 
@@ -383,6 +427,8 @@ export const initializeBookingPaymentWithData = async (currentUser, bookingData)
         reference: transactionData.reference,
         transactionId: transactionData.access_code,
         gatewayResponse: transactionData,
+        discountAmount: Number(quote.discountAmount),
+        couponCode: quoteCoupon?.code || null,
         metadata,
         description: `Booking payment for ${property.title}` 
       });
@@ -649,7 +695,7 @@ export const initializeSubscriptionPayment = async (currentUser, subscriptionId,
       return messageHandler('Subscription not found', false, NOT_FOUND);
     }
 
-    if (currentUser.role !== 'admin' && subscription.userId !== currentUser.id) {
+    if (!hasPermission(currentUser, 'subscriptions.manage') && subscription.userId !== currentUser.id) {
       return messageHandler('You are not authorized to pay for this subscription', false, FORBIDDEN);
     }
 
@@ -725,4 +771,99 @@ export const initializeSubscriptionPayment = async (currentUser, subscriptionId,
   }
 };
 
+/**
+ * Initialize Paystack payment of a rent invoice
+ * @param {Object} currentUser - Current user (the tenant)
+ * @param {string} invoiceId - Rent invoice ID
+ * @param {Object} payload - Payment payload
+ * @returns {Object} Payment initialization result
+ */
+export const initializeRentPayment = async (currentUser, invoiceId, payload = {}) => {
+  try {
+    const invoice = await RentInvoice.findByPk(invoiceId, {
+      include: [
+        {
+          model: User,
+          as: 'tenant',
+          attributes: ['id', 'email', 'firstName', 'lastName', 'phone']
+        }
+      ]
+    });
+
+    if (!invoice) {
+      return messageHandler('Rent invoice not found', false, NOT_FOUND);
+    }
+
+    if (invoice.tenantId !== currentUser.id) {
+      return messageHandler('You are not authorized to pay this invoice', false, FORBIDDEN);
+    }
+
+    if (!['issued', 'overdue'].includes(invoice.status)) {
+      return messageHandler(`Invoice is already ${invoice.status}`, false, CONFLICT);
+    }
+
+    const amount = normalizeAmount(invoice.totalAmount);
+    const currency = invoice.currency || 'NGN';
+    const customerEmail = payload.email || invoice.tenant?.email || currentUser.email;
+
+    if (!customerEmail) {
+      return messageHandler('Customer email is required to initialize payment', false, BAD_REQUEST);
+    }
+
+    const reference = generateReference('RENT');
 
+    const metadata = {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      leaseId: invoice.leaseId,
+      landlordId: invoice.landlordId,
+      initiatedBy: currentUser.id,
+      source: 'awari-backend'
+    };
+
+    const paystackResult = await paystackService.initializeTransaction(
+      {
+        email: customerEmail,
+        amount,
+        currency,
+        callbackUrl: payload.callbackUrl,
+        reference,
+        metadata,
+        channels: payload.channels
+      },
+      (response) => response
+    );
+
+    if (!paystackResult.success) {
+      return paystackResult;
+    }
+
+    const paymentRecord = await Payment.create({
+      userId: invoice.tenantId,
+      propertyId: invoice.propertyId,
+      amount,
+      currency,
+      status: 'pending',
+      paymentType: 'rent',
+      paymentMethod: 'paystack',
+      gateway: 'paystack',
+      reference,
+      transactionId: paystackResult.data?.transaction?.reference || reference,
+      gatewayResponse: paystackResult.data,
+      description: `Rent payment for invoice ${invoice.invoiceNumber}`,
+      metadata
+    });
+
+    return messageHandler('Payment initialized successfully', true, SUCCESS, {
+      payment: paymentRecord,
+      authorizationUrl: paystackResult.data?.authorization_url,
+      accessCode: paystackResult.data?.access_code,
+      reference
+    });
+  } catch (error) {
+    console.error('Initialize rent payment error:', error);
+    return messageHandler('Failed to initialize rent payment', false, INTERNAL_SERVER_ERROR, {
+      error: error.message
+    });
+  }
+};
@@ -251,6 +251,133 @@ async function generatePDFContent(doc, booking) {
   doc.text('For any inquiries, please contact support.', { align: 'center' });
 }
 
+/**
+ * Generate a rent invoice PDF; the caller loads the invoice and checks access
+ * @param {Object} invoice - RentInvoice with property, tenant and landlord
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export const generateRentInvoicePDF = async (invoice) => {
+  try {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+
+    generateRentInvoiceContent(doc, invoice);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+  } catch (error) {
+    console.error('Error generating rent invoice PDF:', error);
+    throw error;
+  }
+};
+
+/**
+ * Generate rent invoice content
+ * @param {PDFDocument} doc - PDF document instance
+ * @param {Object} invoice - RentInvoice with relations
+ */
+function generateRentInvoiceContent(doc, invoice) {
+  const pageWidth = doc.page.width - 100; // Account for margins
+  const summaryX = 50;
+  const amountX = pageWidth - 50;
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  // Header
+  doc.fontSize(24).font('Helvetica-Bold').text(invoice.status === 'paid' ? 'RENT RECEIPT' : 'RENT INVOICE', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica').fillColor('#666666')
+    .text(`Invoice Number: ${invoice.invoiceNumber}`, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.text(`Due Date: ${formatDate(invoice.dueDate)}`, { align: 'center' });
+
+  doc.moveDown(1);
+  doc.strokeColor('#000000').lineWidth(1)
+    .moveTo(50, doc.y).lineTo(pageWidth + 50, doc.y).stroke();
+  doc.moveDown(1);
+
+  // Status
+  doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('Invoice Status');
+  doc.moveDown(0.3);
+  doc.fontSize(10).font('Helvetica').fillColor('#333333')
+    .text(`Status: ${invoice.status.toUpperCase()}`);
+  doc.text(`Rent Period: ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`);
+  doc.moveDown(1);
+
+  // Property Information
+  if (invoice.property) {
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('Property Information');
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica').fillColor('#333333');
+    doc.text(`Property: ${invoice.property.title}`);
+    doc.text(`Address: ${invoice.property.address}, ${invoice.property.city}, ${invoice.property.state}`);
+    doc.moveDown(1);
+  }
+
+  // Parties
+  [['Tenant', invoice.tenant], ['Landlord', invoice.landlord]].forEach(([label, party]) => {
+    if (!party) return;
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text(label);
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica').fillColor('#333333');
+    doc.text(`Name: ${party.firstName} ${party.lastName}`);
+    doc.text(`Email: ${party.email}`);
+    if (party.phone) {
+      doc.text(`Phone: ${party.phone}`);
+    }
+    doc.moveDown(1);
+  });
+
+  // Line items
+  doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('Charges');
+  doc.moveDown(0.3);
+  doc.fontSize(10).font('Helvetica').fillColor('#333333');
+  (invoice.lineItems || []).forEach((item) => {
+    doc.text(`${item.description}:`, summaryX, doc.y, { continued: true, width: pageWidth - 100 });
+    doc.text(formatCurrency(item.amount, invoice.currency), amountX, doc.y, { align: 'right' });
+    doc.moveDown(0.5);
+  });
+
+  doc.strokeColor('#CCCCCC').lineWidth(0.5)
+    .moveTo(50, doc.y).lineTo(pageWidth + 50, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000');
+  doc.text(invoice.status === 'paid' ? 'TOTAL PAID:' : 'TOTAL DUE:', summaryX, doc.y, { continued: true, width: pageWidth - 100 });
+  doc.fontSize(14).text(formatCurrency(invoice.totalAmount, invoice.currency), amountX, doc.y, { align: 'right' });
+  doc.moveDown(1);
+
+  // Payment Information
+  if (invoice.status === 'paid') {
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('Payment Information');
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica').fillColor('#333333');
+    doc.text(`Paid On: ${formatDate(invoice.paidAt)}`);
+    doc.text(`Payment Method: ${invoice.paymentMethod.toUpperCase()}`);
+    doc.moveDown(1);
+  } else if (invoice.status === 'void') {
+    doc.fontSize(10).font('Helvetica').fillColor('#AA0000')
+      .text(`This invoice was voided${invoice.voidReason ? `: ${invoice.voidReason}` : '.'}`);
+    doc.moveDown(1);
+  }
+
+  // Footer
+  doc.moveDown(2);
+  doc.strokeColor('#000000').lineWidth(0.5)
+    .moveTo(50, doc.y).lineTo(pageWidth + 50, doc.y).stroke();
+  doc.moveDown(0.5);
+  doc.fontSize(8).font('Helvetica').fillColor('#666666')
+    .text('This is a computer-generated invoice. No signature is required.', { align: 'center' });
+  doc.text(`Generated on ${new Date().toLocaleString('en-US')}`, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.text('For any inquiries, please contact support.', { align: 'center' });
+}
+
 /**
  * Format currency
  * @param {number} amount - Amount to format
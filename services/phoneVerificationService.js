@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { User, PhoneVerification } from '../schema/index.js';
+import { deliverSMS, formatPhoneNumber, validatePhoneNumber } from '../modules/notifications/sms.js';
+
+/**
+ * Phone Verification Service
+ * Sends one-time codes by SMS and marks User.phoneVerified once the user
+ * enters the right code. Codes expire, allow a limited number of wrong
+ * guesses, and resends are throttled per user.
+ */
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.PHONE_OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.PHONE_OTP_RESEND_SECONDS, 10) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.PHONE_OTP_MAX_SENDS_PER_HOUR, 10) || 5;
+
+const hashCode = (verificationId, code) =>
+  crypto.createHash('sha256').update(`${verificationId}:${code}`).digest('hex');
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+const maskPhone = (phone) => `${phone.slice(0, 4)}****${phone.slice(-3)}`;
+
+/**
+ * Send a verification code to the user's phone
+ * @param {string} userId - User ID
+ * @param {Object} options - { phone (defaults to the profile number), ipAddress }
+ * @returns {Object} Result object with { phone (masked), expiresAt, resendAvailableAt }
+ */
+export const sendPhoneOtp = async (userId, options = {}) => {
+  // The user row stays locked until the new code is saved, so concurrent requests
+  // queue up and each sees the codes sent before it when checking the caps
+  const transaction = await sequelize.transaction();
+
+  try {
+    const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!user) {
+      await transaction.rollback();
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    const rawPhone = options.phone || user.phone;
+    if (!rawPhone) {
+      await transaction.rollback();
+      return { success: false, message: 'Add a phone number to your profile first', statusCode: 400 };
+    }
+
+    const phone = formatPhoneNumber(rawPhone);
+    if (!validatePhoneNumber(phone)) {
+      await transaction.rollback();
+      return { success: false, message: 'Invalid phone number', statusCode: 400 };
+    }
+
+    if (user.phoneVerified && user.phone && formatPhoneNumber(user.phone) === phone) {
+      await transaction.rollback();
+      return { success: false, message: 'This phone number is already verified', statusCode: 409 };
+    }
+
+    const claimedByOther = await User.findOne({
+      where: { id: { [Op.ne]: userId }, phoneVerified: true, phone: { [Op.in]: [phone, rawPhone] } },
+      attributes: ['id'],
+      transaction
+    });
+    if (claimedByOther) {
+      await transaction.rollback();
+      return { success: false, message: 'This phone number is already verified on another account', statusCode: 409 };
+    }
+
+    const now = new Date();
+    const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+    const recent = await PhoneVerification.findAll({
+      where: { userId, createdAt: { [Op.gte]: hourAgo } },
+      order: [['createdAt', 'DESC']],
+      transaction
+    });
+
+    if (recent.length >= OTP_MAX_SENDS_PER_HOUR) {
+      await transaction.rollback();
+      const retryAt = new Date(recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000);
+      return {
+        success: false,
+        message: 'Too many verification codes requested. Please try again later.',
+        data: { retryAt },
+        statusCode: 429
+      };
+    }
+
+    if (recent[0]) {
+      const resendAvailableAt = new Date(recent[0].createdAt.getTime() + OTP_RESEND_SECONDS * 1000);
+      if (resendAvailableAt > now) {
+        await transaction.rollback();
+        return {
+          success: false,
+          message: `Please wait ${Math.ceil((resendAvailableAt - now) / 1000)} seconds before requesting a new code`,
+          data: { resendAvailableAt },
+          statusCode: 429
+        };
+      }
+    }
+
+    const code = generateCode();
+    const verification = PhoneVerification.build({
+      userId,
+      phone,
+      codeHash: 'pending',
+      maxAttempts: OTP_MAX_ATTEMPTS,
+      expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+      ipAddress: options.ipAddress || null
+    });
+    verification.codeHash = hashCode(verification.id, code);
+
+    const delivery = await deliverSMS(
+      phone,
+      `Your AWARI verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    );
+
+    if (!delivery.success) {
+      await transaction.rollback();
+      return {
+        success: false,
+        message: 'We could not send the verification code. Please try again.',
+        error: delivery.error,
+        statusCode: 502
+      };
+    }
+
+    // Only the newest code can be used; older ones stay valid until this one is delivered
+    await PhoneVerification.update(
+      { status: 'superseded' },
+      { where: { userId, status: 'pending' }, transaction }
+    );
+
+    verification.provider = delivery.provider;
+    verification.providerMessageId = delivery.messageId || null;
+    await verification.save({ transaction });
+    await transaction.commit();
+
+    return {
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        phone: maskPhone(phone),
+        expiresAt: verification.expiresAt,
+        resendAvailableAt: new Date(now.getTime() + OTP_RESEND_SECONDS * 1000)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    console.error('Error sending phone OTP:', error);
+    return { success: false, message: 'Failed to send verification code', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Check a verification code and mark the phone as verified
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the SMS
+ * @returns {Object} Result object with { phone, phoneVerified }
+ */
+export const verifyPhoneOtp = async (userId, code) => {
+  try {
+    const verification = await PhoneVerification.findOne({
+      where: { userId, status: 'pending' },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (!verification) {
+      return { success: false, message: 'No pending verification code. Request a new one.', statusCode: 400 };
+    }
+
+    if (verification.expiresAt <= new Date()) {
+      await verification.update({ status: 'expired' });
+      return { success: false, message: 'Verification code has expired. Request a new one.', statusCode: 400 };
+    }
+
+    // Count the attempt before comparing, so parallel guesses cannot exceed maxAttempts
+    const [claimed] = await PhoneVerification.update(
+      { attempts: sequelize.literal('attempts + 1') },
+      { where: { id: verification.id, status: 'pending', attempts: { [Op.lt]: verification.maxAttempts } } }
+    );
+    if (claimed === 0) {
+      await verification.reload({ attributes: ['id', 'status'] });
+      return ['pending', 'locked'].includes(verification.status)
+        ? { success: false, message: 'Too many incorrect attempts. Request a new code.', statusCode: 429 }
+        : { success: false, message: 'No pending verification code. Request a new one.', statusCode: 400 };
+    }
+
+    await verification.reload({ attributes: ['id', 'attempts'] });
+    const attempts = verification.attempts;
+
+    const expected = Buffer.from(verification.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(verification.id, String(code).trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const locked = attempts >= verification.maxAttempts;
+      if (locked) {
+        await PhoneVerification.update({ status: 'locked' }, { where: { id: verification.id, status: 'pending' } });
+      }
+
+      return locked
+        ? { success: false, message: 'Too many incorrect attempts. Request a new code.', statusCode: 429 }
+        : {
+          success: false,
+          message: 'Incorrect verification code',
+          data: { attemptsRemaining: verification.maxAttempts - attempts },
+          statusCode: 400
+        };
+    }
+
+    // Only one request may use the code
+    const [verified] = await PhoneVerification.update(
+      { status: 'verified', verifiedAt: new Date() },
+      { where: { id: verification.id, status: 'pending' } }
+    );
+    if (verified === 0) {
+      return { success: false, message: 'No pending verification code. Request a new one.', statusCode: 400 };
+    }
+
+    const user = await User.findByPk(userId);
+    const preferences = user.preferences || {};
+    const notifications = preferences.notifications || {};
+
+    await user.update({
+      phone: verification.phone,
+      phoneVerified: true,
+      // Verifying a number opts in to SMS unless the user already chose otherwise
+      preferences: notifications.sms === undefined
+        ? { ...preferences, notifications: { ...notifications, sms: true } }
+        : preferences
+    });
+
+    return {
+      success: true,
+      message: 'Phone number verified successfully',
+      data: { phone: verification.phone, phoneVerified: true },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error verifying phone OTP:', error);
+    return { success: false, message: 'Failed to verify phone number', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  sendPhoneOtp,
+  verifyPhoneOtp
+};
@@ -0,0 +1,456 @@
+import { PricingRule, Property } from '../schema/index.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Pricing Rule Service
+ * Nightly pricing for shortlets and hotels on top of Property.price:
+ *   - date_range: seasonal / event prices (December holidays, Detty December)
+ *   - day_of_week: weekend or weekday adjustments
+ *   - length_of_stay: weekly and monthly discounts
+ *   - last_minute / early_bird: adjustments based on how far ahead the stay is booked
+ *
+ * Each night starts at Property.price. The best matching date_range rule is
+ * applied first, then the best day_of_week rule, then the stay-level rules
+ * (length of stay, last minute, early bird). Within a type the highest
+ * priority wins, so rules of the same type never stack.
+ */
+
+export const PRICED_LISTING_TYPES = ['shortlet', 'hotel'];
+export const RULE_TYPES = ['date_range', 'day_of_week', 'length_of_stay', 'last_minute', 'early_bird'];
+export const ADJUSTMENT_TYPES = ['percentage', 'fixed_amount', 'nightly_price'];
+
+// Stay-level rules adjust a price, they cannot set one
+const STAY_RULE_TYPES = ['length_of_stay', 'last_minute', 'early_bird'];
+const EDITABLE_FIELDS = [
+  'name', 'ruleType', 'adjustmentType', 'adjustmentValue', 'startDate', 'endDate',
+  'daysOfWeek', 'minNights', 'maxNights', 'daysBeforeCheckIn', 'priority', 'isActive'
+];
+const MAX_PREVIEW_NIGHTS = 366;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (dateString, days) => toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${toDateString(to)}T00:00:00Z`) - new Date(`${toDateString(from)}T00:00:00Z`)) / DAY_MS);
+
+const byPriority = (a, b) =>
+  (b.priority || 0) - (a.priority || 0) || new Date(b.createdAt) - new Date(a.createdAt);
+
+/**
+ * Whether a property is priced per night and can carry pricing rules
+ */
+export const supportsPricingRules = (property) =>
+  PRICED_LISTING_TYPES.includes(property.listingType) && (property.pricePeriod || 'per_night') === 'per_night';
+
+const coversDate = (rule, date) =>
+  (!rule.startDate || rule.startDate <= date) && (!rule.endDate || rule.endDate >= date);
+
+const coversWeekday = (rule, date) => {
+  if (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.length === 0) return true;
+  return rule.daysOfWeek.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+};
+
+const applyAdjustment = (price, rule) => {
+  const value = Number(rule.adjustmentValue);
+  switch (rule.adjustmentType) {
+    case 'nightly_price':
+      return value;
+    case 'fixed_amount':
+      return price + value;
+    case 'percentage':
+    default:
+      return price * (1 + value / 100);
+  }
+};
+
+/**
+ * Pick the rule of each stay-level type that applies to a whole stay
+ */
+const selectStayRules = (rules, nights, daysAhead) => {
+  const lengthOfStay = rules
+    .filter(rule => rule.ruleType === 'length_of_stay' &&
+      nights >= (rule.minNights || 1) && (!rule.maxNights || nights <= rule.maxNights))
+    // The longest qualifying tier wins (a monthly discount beats a weekly one)
+    .sort((a, b) => (b.minNights || 0) - (a.minNights || 0) || byPriority(a, b))[0];
+
+  const lastMinute = daysAhead === null ? null : rules
+    .filter(rule => rule.ruleType === 'last_minute' && daysAhead <= rule.daysBeforeCheckIn)
+    .sort(byPriority)[0];
+
+  const earlyBird = daysAhead === null ? null : rules
+    .filter(rule => rule.ruleType === 'early_bird' && daysAhead >= rule.daysBeforeCheckIn)
+    .sort(byPriority)[0];
+
+  return [lengthOfStay, lastMinute, earlyBird].filter(Boolean);
+};
+
+/**
+ * Price individual nights
+ * @param {Object} property - Property with price
+ * @param {Array} rules - Active pricing rules for the property
+ * @param {Array} dates - Night dates (YYYY-MM-DD)
+ * @param {Array} stayRules - Stay-level rules to apply to every night
+ * @returns {Array} [{ date, basePrice, price, adjustments }]
+ */
+const priceNights = (property, rules, dates, stayRules = []) => {
+  const basePrice = roundAmount(property.price);
+  const dateRules = rules.filter(rule => rule.ruleType === 'date_range').sort(byPriority);
+  const weekdayRules = rules.filter(rule => rule.ruleType === 'day_of_week').sort(byPriority);
+
+  return dates.map((date) => {
+    const matched = [
+      dateRules.find(rule => coversDate(rule, date) && coversWeekday(rule, date)),
+      weekdayRules.find(rule => coversDate(rule, date) && coversWeekday(rule, date)),
+      ...stayRules
+    ].filter(Boolean);
+
+    let price = basePrice;
+    const adjustments = [];
+
+    matched.forEach((rule) => {
+      const adjusted = Math.max(roundAmount(applyAdjustment(price, rule)), 0);
+      adjustments.push({
+        ruleId: rule.id,
+        name: rule.name,
+        ruleType: rule.ruleType,
+        amount: roundAmount(adjusted - price)
+      });
+      price = adjusted;
+    });
+
+    return { date, basePrice, price, adjustments };
+  });
+};
+
+const getActiveRules = async (propertyId) => {
+  const rules = await PricingRule.findAll({
+    where: { propertyId, isActive: true },
+    order: [['priority', 'DESC'], ['createdAt', 'DESC']]
+  });
+  return rules.map(rule => rule.get({ plain: true }));
+};
+
+/**
+ * Nightly prices for a calendar range. Only date and weekday rules apply;
+ * stay-level discounts depend on the stay and are shown in quotes.
+ * @param {Object} property - Property instance
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date, inclusive (YYYY-MM-DD)
+ * @returns {Map} date -> { basePrice, price, adjustments }
+ */
+export const getNightlyPrices = async (property, startDate, endDate) => {
+  const prices = new Map();
+  if (!supportsPricingRules(property)) return prices;
+
+  const dates = [];
+  for (let date = toDateString(startDate); date <= toDateString(endDate); date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  const rules = await getActiveRules(property.id);
+  priceNights(property, rules, dates).forEach(({ date, ...night }) => prices.set(date, night));
+  return prices;
+};
+
+/**
+ * Price a stay night by night with every applicable rule
+ * @param {Object} property - Property instance
+ * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOutDate - Check-out date (YYYY-MM-DD)
+ * @param {Object} options - { bookedAt } (defaults to now; drives last-minute and early-bird rules)
+ * @returns {Object} { nights, baseSubtotal, subtotal, appliedRules }
+ */
+export const priceStay = async (property, checkInDate, checkOutDate, options = {}) => {
+  const checkIn = toDateString(checkInDate);
+  const checkOut = toDateString(checkOutDate);
+  const dates = [];
+  for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  const rules = supportsPricingRules(property) ? await getActiveRules(property.id) : [];
+  const daysAhead = Math.max(daysBetween(options.bookedAt || new Date(), checkIn), 0);
+  const stayRules = selectStayRules(rules, dates.length, daysAhead);
+  const nights = priceNights(property, rules, dates, stayRules);
+
+  const appliedRules = new Map();
+  nights.forEach(night => night.adjustments.forEach((adjustment) => {
+    const applied = appliedRules.get(adjustment.ruleId) ||
+      { ruleId: adjustment.ruleId, name: adjustment.name, ruleType: adjustment.ruleType, nights: 0, amount: 0 };
+    applied.nights += 1;
+    applied.amount = roundAmount(applied.amount + adjustment.amount);
+    appliedRules.set(adjustment.ruleId, applied);
+  }));
+
+  return {
+    nights,
+    baseSubtotal: roundAmount(nights.reduce((sum, night) => sum + night.basePrice, 0)),
+    subtotal: roundAmount(nights.reduce((sum, night) => sum + night.price, 0)),
+    appliedRules: [...appliedRules.values()]
+  };
+};
+
+/**
+ * Load a property the user may manage
+ */
+const loadManagedProperty = async (propertyId, user) => {
+  const property = await Property.findByPk(propertyId);
+  if (!property) {
+    return { error: { success: false, message: 'Property not found', statusCode: 404 } };
+  }
+
+  if (property.ownerId !== user.id && property.agentId !== user.id && !hasPermission(user, 'listings.manage')) {
+    return { error: { success: false, message: 'Unauthorized to manage pricing for this property', statusCode: 403 } };
+  }
+
+  return { property };
+};
+
+/**
+ * Check that a rule's conditions fit its type
+ * @returns {string|null} Error message
+ */
+const validateRule = (rule) => {
+  if (!RULE_TYPES.includes(rule.ruleType)) return 'Invalid rule type';
+  if (!ADJUSTMENT_TYPES.includes(rule.adjustmentType)) return 'Invalid adjustment type';
+
+  if (STAY_RULE_TYPES.includes(rule.ruleType) && rule.adjustmentType === 'nightly_price') {
+    return `${rule.ruleType} rules can only adjust the price by a percentage or fixed amount`;
+  }
+  if (rule.adjustmentType === 'nightly_price' && Number(rule.adjustmentValue) <= 0) {
+    return 'A nightly price must be greater than zero';
+  }
+  if (rule.adjustmentType === 'percentage' && Number(rule.adjustmentValue) <= -100) {
+    return 'A percentage discount must be less than 100%';
+  }
+
+  switch (rule.ruleType) {
+    case 'date_range':
+      if (!rule.startDate || !rule.endDate) return 'date_range rules need a startDate and endDate';
+      break;
+    case 'day_of_week':
+      if (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.length === 0) {
+        return 'day_of_week rules need at least one day in daysOfWeek';
+      }
+      break;
+    case 'length_of_stay':
+      if (!rule.minNights) return 'length_of_stay rules need minNights';
+      if (rule.maxNights && rule.maxNights < rule.minNights) return 'maxNights cannot be less than minNights';
+      break;
+    case 'last_minute':
+    case 'early_bird':
+      if (rule.daysBeforeCheckIn === null || rule.daysBeforeCheckIn === undefined) {
+        return `${rule.ruleType} rules need daysBeforeCheckIn`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (rule.startDate && rule.endDate && rule.endDate < rule.startDate) {
+    return 'endDate cannot be before startDate';
+  }
+
+  return null;
+};
+
+const pickEditableFields = (data) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (data[field] !== undefined) acc[field] = data[field];
+  return acc;
+}, {});
+
+/**
+ * List a property's pricing rules
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object with rules
+ */
+export const listRules = async (propertyId, user) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const rules = await PricingRule.findAll({
+      where: { propertyId },
+      order: [['ruleType', 'ASC'], ['priority', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      message: 'Pricing rules retrieved successfully',
+      data: { rules },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error listing pricing rules:', error);
+    return { success: false, message: 'Failed to retrieve pricing rules', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Create a pricing rule
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} ruleData - Rule fields
+ * @returns {Object} Result object with the rule
+ */
+export const createRule = async (propertyId, user, ruleData) => {
+  try {
+    const { property, error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    if (!supportsPricingRules(property)) {
+      return {
+        success: false,
+        message: 'Pricing rules are only available for shortlet and hotel listings priced per night',
+        statusCode: 400
+      };
+    }
+
+    const fields = { priority: 0, isActive: true, ...pickEditableFields(ruleData) };
+    const invalid = validateRule(fields);
+    if (invalid) {
+      return { success: false, message: invalid, statusCode: 400 };
+    }
+
+    const rule = await PricingRule.create({ ...fields, propertyId, createdBy: user.id });
+
+    return {
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: { rule },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    return { success: false, message: 'Failed to create pricing rule', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Update a pricing rule
+ * @param {string} propertyId - Property ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} ruleData - Fields to change
+ * @returns {Object} Result object with the rule
+ */
+export const updateRule = async (propertyId, ruleId, user, ruleData) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const rule = await PricingRule.findOne({ where: { id: ruleId, propertyId } });
+    if (!rule) {
+      return { success: false, message: 'Pricing rule not found', statusCode: 404 };
+    }
+
+    const updates = pickEditableFields(ruleData);
+    const invalid = validateRule({ ...rule.get({ plain: true }), ...updates });
+    if (invalid) {
+      return { success: false, message: invalid, statusCode: 400 };
+    }
+
+    await rule.update(updates);
+
+    return {
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: { rule },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error updating pricing rule:', error);
+    return { success: false, message: 'Failed to update pricing rule', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Delete a pricing rule
+ * @param {string} propertyId - Property ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const deleteRule = async (propertyId, ruleId, user) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const deleted = await PricingRule.destroy({ where: { id: ruleId, propertyId } });
+    if (!deleted) {
+      return { success: false, message: 'Pricing rule not found', statusCode: 404 };
+    }
+
+    return {
+      success: true,
+      message: 'Pricing rule deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    return { success: false, message: 'Failed to delete pricing rule', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Preview the nightly breakdown for a stay (public; used by the booking form)
+ * @param {string} propertyId - Property ID
+ * @param {string} checkInDate - Check-in date
+ * @param {string} checkOutDate - Check-out date
+ * @returns {Object} Result object with the stay pricing
+ */
+export const previewStayPrice = async (propertyId, checkInDate, checkOutDate) => {
+  try {
+    const property = await Property.findByPk(propertyId, {
+      attributes: ['id', 'price', 'currency', 'pricePeriod', 'listingType', 'status']
+    });
+    if (!property || property.status !== 'active') {
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    const nights = daysBetween(checkInDate, checkOutDate);
+    if (nights < 1 || nights > MAX_PREVIEW_NIGHTS) {
+      return {
+        success: false,
+        message: `Stays must be between 1 and ${MAX_PREVIEW_NIGHTS} nights`,
+        statusCode: 400
+      };
+    }
+
+    if (!supportsPricingRules(property)) {
+      return {
+        success: false,
+        message: 'Nightly pricing is only available for shortlet and hotel listings priced per night',
+        statusCode: 400
+      };
+    }
+
+    const pricing = await priceStay(property, checkInDate, checkOutDate);
+
+    return {
+      success: true,
+      message: 'Stay price calculated successfully',
+      data: { currency: property.currency || 'NGN', ...pricing },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error previewing stay price:', error);
+    return { success: false, message: 'Failed to calculate stay price', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewStayPrice,
+  priceStay,
+  getNightlyPrices,
+  supportsPricingRules
+};
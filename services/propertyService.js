@@ -1,8 +1,15 @@
-import { Property, PropertyMedia, User } from '../schema/index.js';
+import { Agency, Property, PropertyMedia, User } from '../schema/index.js';
 import { Op } from 'sequelize';
 import sequelize from '../database/db.js';
 import { deleteFromCloudinary, extractPublicId } from '../config/cloudinary.js';
 import { sendTemplateNotification } from './notificationService.js';
+import { assertEntitlement } from './entitlementService.js';
+import { remember, CACHE_NAMESPACES } from './cacheService.js';
+import { searchProperties, suggestProperties } from './searchService.js';
+import { canManageAgencyProperty } from './agencyService.js';
+import { recordAdminAction } from './auditLogService.js';
+
+const DETAIL_CACHE_TTL = parseInt(process.env.CACHE_PROPERTY_DETAIL_TTL, 10) || 300;
 
 /**
  * Property Service - Business logic for property management
@@ -34,6 +41,20 @@ class PropertyService {
         status: owner.status
       });
 
+      // Check the owner's subscription plan allows this listing
+      if (owner.role !== 'admin') {
+        await assertEntitlement(ownerId, 'properties');
+
+        const imageCount = this.countImages(uploadResults?.media);
+        if (imageCount > 0) {
+          await assertEntitlement(ownerId, 'photos', { requested: imageCount });
+        }
+
+        if (propertyData.featured) {
+          await assertEntitlement(ownerId, 'featured');
+        }
+      }
+
       // Generate slug from title
       console.log('🔧 [PROPERTY SERVICE] Generating slug...');
       const slug = this.generateSlug(propertyData.title);
@@ -198,146 +219,34 @@ class PropertyService {
           }
         }
       }
+      if (error.entitlement) throw error;
       throw new Error(error.message || 'Failed to create property');
     }
   }
 
   /**
-   * Get all properties with filtering and pagination
+   * Get all properties with filtering and pagination.
+   * Backed by the search subsystem (relevance, facets, geo and availability filters).
    */
   async getAllProperties(options = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        propertyType,
-        listingType,
-        status,
-        city,
-        state,
-        country,
-        minPrice,
-        maxPrice,
-        bedrooms,
-        bathrooms,
-        furnished,
-        petFriendly,
-        featured,
-        sortBy = 'createdAt',
-        sortOrder = 'DESC',
-        search,
-        checkInDate,
-        checkOutDate
-      } = options;
-
-      const offset = (page - 1) * limit;
-
-      // Build where clause
-      const whereClause = {};
-      if (propertyType) whereClause.propertyType = propertyType;
-      if (listingType) {
-        // Handle comma-separated values like "shortlet,hotel"
-        const listingTypes = listingType.split(',').map(t => t.trim());
-        if (listingTypes.length === 1) {
-          whereClause.listingType = listingTypes[0];
-        } else {
-          whereClause.listingType = { [Op.in]: listingTypes };
-        }
-      }
-      if (status) whereClause.status = status;
-      // Use partial match for location filters (MySQL LIKE is case-insensitive by default)
-      if (city) whereClause.city = { [Op.like]: `%${city}%` };
-      if (state) whereClause.state = { [Op.like]: `%${state}%` };
-      if (country) whereClause.country = country;
-      if (bedrooms) whereClause.bedrooms = bedrooms;
-      if (bathrooms) whereClause.bathrooms = bathrooms;
-      if (furnished !== undefined) whereClause.furnished = furnished;
-      if (petFriendly !== undefined) whereClause.petFriendly = petFriendly;
-      if (featured !== undefined) whereClause.featured = featured;
-
-      // Price range filter
-      if (minPrice || maxPrice) {
-        whereClause.price = {};
-        if (minPrice) whereClause.price[Op.gte] = minPrice;
-        if (maxPrice) whereClause.price[Op.lte] = maxPrice;
-      }
-
-      // Search filter (MySQL LIKE is case-insensitive by default)
-      if (search) {
-        whereClause[Op.or] = [
-          { title: { [Op.like]: `%${search}%` } },
-          { description: { [Op.like]: `%${search}%` } },
-          { address: { [Op.like]: `%${search}%` } },
-          { neighborhood: { [Op.like]: `%${search}%` } }
-        ];
-      }
-
-      const { count, rows } = await Property.findAndCountAll({
-        where: whereClause,
-        include: [
-          {
-            model: User,
-            as: 'owner',
-            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl'],
-            paranoid: false // Include soft-deleted owners to check their status
-          },
-          {
-            model: User,
-            as: 'agent',
-            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl'],
-            required: false,
-            paranoid: false // Include soft-deleted agents to check their status
-          },
-          {
-            model: PropertyMedia,
-            as: 'media',
-            where: { isActive: true },
-            required: false,
-            order: [['order', 'ASC']]
-          }
-        ],
-        order: [[sortBy, sortOrder.toUpperCase()]],
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
-
-      // Filter by availability if checkInDate and checkOutDate are provided
-      let filteredProperties = rows;
-      if (checkInDate && checkOutDate && (listingType === 'shortlet' || listingType === 'rent' || listingType === 'hotel' || listingType?.includes('shortlet') || listingType?.includes('hotel'))) {
-        const { checkDateRangeAvailability } = await import('./availabilityService.js');
-        const availabilityChecks = await Promise.all(
-          rows.map(async (property) => {
-            try {
-              const availability = await checkDateRangeAvailability(property.id, checkInDate, checkOutDate);
-              return { property, available: availability.available };
-            } catch (error) {
-              console.error(`Error checking availability for property ${property.id}:`, error);
-              return { property, available: false };
-            }
-          })
-        );
-        filteredProperties = availabilityChecks
-          .filter(check => check.available)
-          .map(check => check.property);
-      }
-
-      return {
-        success: true,
-        data: {
-          properties: filteredProperties,
-          pagination: {
-            total: checkInDate && checkOutDate ? filteredProperties.length : count,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            pages: Math.ceil((checkInDate && checkOutDate ? filteredProperties.length : count) / limit)
-          }
-        }
-      };
+      return await searchProperties(options);
     } catch (error) {
       throw new Error(error.message || 'Failed to fetch properties');
     }
   }
 
+  /**
+   * Autocomplete suggestions for the property search box
+   */
+  async suggestProperties(text, limit = 8) {
+    try {
+      return await suggestProperties(text, limit);
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch suggestions');
+    }
+  }
+
   /**
    * Get properties by owner
    */
@@ -431,6 +340,12 @@ class PropertyService {
             required: false,
             paranoid: false // Include soft-deleted agents to check their status
           },
+          {
+            model: Agency,
+            as: 'agency',
+            attributes: ['id', 'name', 'slug', 'logoUrl', 'phone', 'email'],
+            required: false
+          },
           {
             model: PropertyMedia,
             as: 'media',
@@ -531,67 +446,80 @@ class PropertyService {
    */
   async getPropertyBySlug(slug, incrementView = false) {
     try {
-      const property = await Property.findOne({
-        where: { slug },
-        include: [
-          {
-            model: User,
-            as: 'owner',
-            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status'],
-            paranoid: false // Include soft-deleted owners to check their status
-          },
-          {
-            model: User,
-            as: 'agent',
-            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status'],
-            required: false,
-            paranoid: false // Include soft-deleted agents to check their status
-          },
-          {
-            model: PropertyMedia,
-            as: 'media',
-            where: { isActive: true },
-            required: false,
-            order: [['order', 'ASC']]
-          }
-        ]
-      });
+      const property = await remember(CACHE_NAMESPACES.PROPERTY_DETAIL, { slug }, DETAIL_CACHE_TTL, async () => {
+        const found = await Property.findOne({
+          where: { slug },
+          include: [
+            {
+              model: User,
+              as: 'owner',
+              attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status'],
+              paranoid: false // Include soft-deleted owners to check their status
+            },
+            {
+              model: User,
+              as: 'agent',
+              attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status'],
+              required: false,
+              paranoid: false // Include soft-deleted agents to check their status
+            },
+            {
+              model: Agency,
+              as: 'agency',
+              attributes: ['id', 'name', 'slug', 'logoUrl', 'phone', 'email'],
+              required: false
+            },
+            {
+              model: PropertyMedia,
+              as: 'media',
+              where: { isActive: true },
+              required: false,
+              order: [['order', 'ASC']]
+            }
+          ]
+        });
 
-      // Check if owner exists but wasn't loaded (might be soft-deleted)
-      if (!property) {
-        throw new Error('Property not found');
-      }
+        // Not-found lookups are not cached
+        if (!found) {
+          return undefined;
+        }
 
-      if (!property.owner && property.ownerId) {
-        const ownerCheck = await User.findByPk(property.ownerId, {
-          paranoid: false,
-          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status', 'deletedAt']
-        });
+        const plain = found.get({ plain: true });
 
-        if (ownerCheck) {
-          if (ownerCheck.deletedAt) {
-            console.warn('⚠️ [PROPERTY SERVICE] Property owner is soft-deleted:', {
+        // Check if owner exists but wasn't loaded (might be soft-deleted)
+        if (!plain.owner && plain.ownerId) {
+          const ownerCheck = await User.findByPk(plain.ownerId, {
+            paranoid: false,
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl', 'status', 'deletedAt']
+          });
+
+          if (ownerCheck) {
+            if (ownerCheck.deletedAt) {
+              console.warn('⚠️ [PROPERTY SERVICE] Property owner is soft-deleted:', {
+                slug,
+                ownerId: plain.ownerId,
+                deletedAt: ownerCheck.deletedAt
+              });
+            }
+            plain.owner = ownerCheck.get({ plain: true });
+          } else {
+            console.error('❌ [PROPERTY SERVICE] Property owner not found in database:', {
               slug,
-              ownerId: property.ownerId,
-              deletedAt: ownerCheck.deletedAt
+              ownerId: plain.ownerId
             });
           }
-          property.owner = ownerCheck;
-        } else {
-          console.error('❌ [PROPERTY SERVICE] Property owner not found in database:', {
-            slug,
-            ownerId: property.ownerId
-          });
         }
-      }
+
+        return plain;
+      });
 
       if (!property) {
         throw new Error('Property not found');
       }
 
-      // Increment view count if requested
+      // Increment view count if requested (static increment runs no hooks, so the cache is kept)
       if (incrementView) {
-        await property.increment('viewCount');
+        await Property.increment('viewCount', { where: { id: property.id } });
       }
 
       return {
@@ -608,17 +536,17 @@ class PropertyService {
    */
   async updateProperty(propertyId, ownerId, updateData, uploadResults = null) {
     try {
-      const property = await Property.findOne({
-        where: {
-          id: propertyId,
-          ownerId
-        }
-      });
+      const property = await Property.findByPk(propertyId);
 
-      if (!property) {
+      // Agency owners, managers and the assigned agent may edit agency listings
+      if (!property || (property.ownerId !== ownerId && !await canManageAgencyProperty(ownerId, property))) {
         throw new Error('Property not found or you do not have permission to update it');
       }
 
+      // Ownership and agency management change through the agency endpoints only
+      delete updateData.ownerId;
+      delete updateData.agencyId;
+
       // Only allow updates to draft or pending properties
       if (!['draft', 'pending'].includes(property.status)) {
         throw new Error('Only draft or pending properties can be updated');
@@ -639,6 +567,10 @@ class PropertyService {
         updateData.slug = newSlug;
       }
 
+      if (updateData.featured && !property.featured) {
+        await assertEntitlement(property.ownerId, 'featured', { propertyId });
+      }
+
       // Update the property
       await property.update(updateData);
 
@@ -674,6 +606,7 @@ class PropertyService {
         data: updatedProperty
       };
     } catch (error) {
+      if (error.entitlement) throw error;
       throw new Error(error.message || 'Failed to update property');
     }
   }
@@ -735,17 +668,42 @@ class PropertyService {
     }
   }
 
+  /**
+   * Count the images in a set of uploaded media
+   */
+  countImages(mediaData = []) {
+    return (mediaData || []).filter((media) => (media.mediaType || 'image') === 'image').length;
+  }
+
   /**
    * Add media to property
+   * Pass options.ownerId to enforce the owner's photos-per-listing plan limit,
+   * and options.roomTypeId to attach the media to a hotel room type.
    */
-  async addPropertyMedia(propertyId, mediaData) {
+  async addPropertyMedia(propertyId, mediaData, options = {}) {
     try {
+      const imageCount = this.countImages(mediaData);
+      if (options.ownerId && imageCount > 0) {
+        try {
+          await assertEntitlement(options.ownerId, 'photos', { propertyId, requested: imageCount });
+        } catch (entitlementError) {
+          // The files were uploaded before the check; don't leave them orphaned
+          for (const media of mediaData) {
+            if (media.public_id) {
+              await deleteFromCloudinary(media.public_id);
+            }
+          }
+          throw entitlementError;
+        }
+      }
+
       const mediaRecords = [];
 
       for (let i = 0; i < mediaData.length; i++) {
         const media = mediaData[i];
         const mediaRecord = await PropertyMedia.create({
           propertyId,
+          roomTypeId: options.roomTypeId || null,
           mediaType: media.mediaType || 'image',
           url: media.secure_url,
           thumbnailUrl: media.thumbnailUrl,
@@ -764,6 +722,7 @@ class PropertyService {
 
       return mediaRecords;
     } catch (error) {
+      if (error.entitlement) throw error;
       throw new Error(error.message || 'Failed to add property media');
     }
   }
@@ -773,14 +732,9 @@ class PropertyService {
    */
   async updateMediaOrder(propertyId, ownerId, mediaOrder) {
     try {
-      const property = await Property.findOne({
-        where: {
-          id: propertyId,
-          ownerId
-        }
-      });
+      const property = await Property.findByPk(propertyId);
 
-      if (!property) {
+      if (!property || (property.ownerId !== ownerId && !await canManageAgencyProperty(ownerId, property))) {
         throw new Error('Property not found or you do not have permission to update it');
       }
 
@@ -848,8 +802,12 @@ class PropertyService {
 
   /**
    * Admin: Approve/reject property
+   * @param {string} propertyId - Property ID
+   * @param {string} moderatorId - Admin user ID
+   * @param {Object} moderationData - { status, rejectionReason, moderationNotes }
+   * @param {Object} [auditContext] - Request context for the audit log
    */
-  async moderateProperty(propertyId, moderatorId, moderationData) {
+  async moderateProperty(propertyId, moderatorId, moderationData, auditContext = {}) {
     try {
       const property = await Property.findByPk(propertyId);
 
@@ -875,8 +833,20 @@ class PropertyService {
         updateData.approvedAt = null;
       }
 
+      const before = property.get({ plain: true });
       await property.update(updateData);
 
+      await recordAdminAction(auditContext, {
+        action: moderationData.status === 'active' ? 'property.approved' : 'property.rejected',
+        entityType: 'property',
+        entityId: propertyId,
+        before,
+        after: property,
+        fields: ['status', 'rejectionReason', 'moderationNotes', 'approvedBy', 'approvedAt'],
+        reason: moderationData.rejectionReason || moderationData.moderationNotes,
+        metadata: { ownerId: property.ownerId }
+      });
+
       // Fetch updated property with relations
       const updatedProperty = await Property.findByPk(propertyId, {
         include: [
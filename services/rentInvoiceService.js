@@ -0,0 +1,724 @@
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { Lease, Property, RentInvoice, User } from '../schema/index.js';
+import walletService from './walletService.js';
+import bookingFeeService from './bookingFeeService.js';
+import { debitLine } from './ledgerService.js';
+import { generateRentInvoicePDF } from './pdfService.js';
+import { initializeRentPayment } from './paymentService.js';
+import { CURRENT_LEASE_STATUSES, addDays, addMonths } from './leaseService.js';
+import { createAndSendNotification } from './notificationService.js';
+import { settleCommission } from './agencyService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Rent Invoice Service
+ * A lease's rent schedule splits its term into rentFrequency periods paid in
+ * advance, so each period is due on its first day. The daily job issues the
+ * invoice for a period RENT_INVOICE_LEAD_DAYS before it is due, reminds the
+ * tenant, and marks invoices overdue (adding the lease's late fee) once the
+ * grace period has passed:
+ *
+ *   issued → paid
+ *      ↘ overdue → paid
+ *   issued/overdue → void (lease terminated before the period started)
+ *
+ * The first invoice of a new tenancy also carries the caution deposit and the
+ * agency and legal fees. Platform fees are charged on rent and late fees only;
+ * the rest of a paid invoice is credited to the landlord's available balance.
+ */
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, biannually: 6, yearly: 12 };
+const PAYABLE_STATUSES = ['issued', 'overdue'];
+const INVOICE_LEAD_DAYS = parseInt(process.env.RENT_INVOICE_LEAD_DAYS, 10) || 14;
+const REMINDER_DAYS = parseInt(process.env.RENT_REMINDER_DAYS, 10) || 3;
+const OVERDUE_REMINDER_DAYS = parseInt(process.env.RENT_OVERDUE_REMINDER_DAYS, 10) || 7;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const buildPaginationMeta = (count, page, limit) => {
+  const currentPage = Number(page) || 1;
+  const perPage = Number(limit) || 10;
+  const totalPages = Math.ceil(count / perPage) || 1;
+
+  return {
+    currentPage,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: perPage,
+    hasNextPage: currentPage < totalPages,
+    hasPrevPage: currentPage > 1
+  };
+};
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'payment',
+      channels: ['in_app', 'email'],
+      actionText: 'View Invoice',
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [RENT] Failed to send notification:', notificationError.message);
+  }
+};
+
+const formatAmount = (amount, currency = 'NGN') => `${currency} ${roundAmount(amount).toLocaleString('en-NG')}`;
+
+const invoiceIncludes = [
+  {
+    model: Property,
+    as: 'property',
+    attributes: ['id', 'title', 'address', 'city', 'state', 'agentId']
+  },
+  {
+    model: User,
+    as: 'tenant',
+    attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+  },
+  {
+    model: User,
+    as: 'landlord',
+    attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+  }
+];
+
+const canViewInvoice = (invoice, user) =>
+  hasPermission(user, 'leases.read') ||
+  invoice.tenantId === user.id ||
+  invoice.landlordId === user.id ||
+  invoice.property?.agentId === user.id;
+
+/**
+ * Rent periods of a lease. A period cut short by the end of the lease is
+ * charged pro rata by days.
+ * @param {Object} lease - Lease instance or plain object
+ * @returns {Array} [{ periodStart, periodEnd, dueDate, rentAmount }]
+ */
+export const getRentPeriods = (lease) => {
+  const months = FREQUENCY_MONTHS[lease.rentFrequency] || 12;
+  const periods = [];
+
+  // Step from the start date each time so month-end clamping does not drift
+  for (let index = 0; ; index += 1) {
+    const periodStart = addMonths(lease.startDate, months * index);
+    if (periodStart > lease.endDate) break;
+
+    const fullPeriodEnd = addDays(addMonths(lease.startDate, months * (index + 1)), -1);
+    const periodEnd = fullPeriodEnd < lease.endDate ? fullPeriodEnd : lease.endDate;
+    const rentAmount = periodEnd === fullPeriodEnd
+      ? roundAmount(lease.rentAmount)
+      : roundAmount(lease.rentAmount * (daysBetween(periodStart, periodEnd) + 1) / (daysBetween(periodStart, fullPeriodEnd) + 1));
+
+    periods.push({ periodStart, periodEnd, dueDate: periodStart, rentAmount });
+  }
+
+  return periods;
+};
+
+/**
+ * Line items for a period; one-off charges go on the first invoice of a tenancy
+ */
+const buildLineItems = (lease, period, isFirstPeriod) => {
+  const lineItems = [{
+    type: 'rent',
+    description: `Rent ${period.periodStart} to ${period.periodEnd}`,
+    amount: period.rentAmount
+  }];
+
+  if (!isFirstPeriod) return lineItems;
+
+  // A renewal keeps the deposit already held; its fees apply only if charged again
+  const oneOffCharges = [
+    ['caution_deposit', 'Caution deposit', lease.previousLeaseId ? 0 : lease.cautionDeposit],
+    ['agency_fee', 'Agency fee', lease.agencyFee],
+    ['legal_fee', 'Legal fee', lease.legalFee]
+  ];
+
+  oneOffCharges.forEach(([type, description, amount]) => {
+    if (roundAmount(amount) > 0) {
+      lineItems.push({ type, description, amount: roundAmount(amount) });
+    }
+  });
+
+  return lineItems;
+};
+
+const sumLineItems = (lineItems) => roundAmount(lineItems.reduce((sum, item) => sum + Number(item.amount), 0));
+
+/**
+ * Split a paid invoice between the landlord, tax and platform fees
+ * @param {Object} invoice - RentInvoice with totalAmount, rentAmount and lateFee
+ * @returns {Object} { grossAmount, taxAmount, platformFees, landlordAmount, commissionableAmount }
+ */
+export const calculateSettlement = async (invoice) => {
+  const grossAmount = roundAmount(invoice.totalAmount);
+  const feeableAmount = roundAmount(Number(invoice.rentAmount) + Number(invoice.lateFee || 0));
+  const passThrough = roundAmount(grossAmount - feeableAmount);
+
+  const fees = feeableAmount > 0
+    ? await bookingFeeService.calculateFees(feeableAmount, 'rent')
+    : { taxAmount: 0, totalFees: 0, netAmount: 0 };
+
+  return {
+    grossAmount,
+    taxAmount: roundAmount(fees.taxAmount),
+    platformFees: roundAmount(fees.totalFees - fees.taxAmount),
+    landlordAmount: roundAmount(fees.netAmount + passThrough),
+    // Agency commission is due on rent and late fees, not on deposits or fees passed through
+    commissionableAmount: roundAmount(fees.netAmount)
+  };
+};
+
+const generateInvoiceNumber = (lease, periodStart) =>
+  `INV-${periodStart.replace(/-/g, '')}-${lease.id.substring(0, 8).toUpperCase()}`;
+
+/**
+ * Issue the invoice for one period; returns null if it already exists
+ */
+const issueInvoice = async (lease, period, isFirstPeriod) => {
+  const lineItems = buildLineItems(lease, period, isFirstPeriod);
+
+  const [invoice, created] = await RentInvoice.findOrCreate({
+    where: { leaseId: lease.id, periodStart: period.periodStart },
+    defaults: {
+      invoiceNumber: generateInvoiceNumber(lease, period.periodStart),
+      propertyId: lease.propertyId,
+      tenantId: lease.tenantId,
+      landlordId: lease.landlordId,
+      periodEnd: period.periodEnd,
+      dueDate: period.dueDate,
+      lineItems,
+      rentAmount: period.rentAmount,
+      totalAmount: sumLineItems(lineItems),
+      currency: lease.currency,
+      remindersSent: []
+    }
+  });
+
+  return created ? invoice : null;
+};
+
+/**
+ * Mark an invoice paid and tell both parties
+ */
+const completeInvoice = async (invoice, settlement, fields) => {
+  await invoice.update({
+    status: 'paid',
+    paidAt: new Date(),
+    platformFees: settlement.platformFees,
+    taxAmount: settlement.taxAmount,
+    landlordAmount: settlement.landlordAmount,
+    ...fields
+  });
+
+  await settleCommission({
+    source: 'rent',
+    sourceId: invoice.id,
+    propertyId: invoice.propertyId,
+    landlordId: invoice.landlordId,
+    amount: settlement.commissionableAmount,
+    currency: invoice.currency
+  });
+
+  const propertyTitle = invoice.property?.title || 'your property';
+  await notify({
+    userId: invoice.tenantId,
+    title: 'Rent Paid',
+    message: `Your payment of ${formatAmount(invoice.totalAmount, invoice.currency)} for invoice ${invoice.invoiceNumber} was received.`,
+    type: 'success',
+    priority: 'normal',
+    actionUrl: `/rent-invoices/${invoice.id}`,
+    propertyId: invoice.propertyId,
+    data: { invoiceId: invoice.id, leaseId: invoice.leaseId }
+  });
+  await notify({
+    userId: invoice.landlordId,
+    title: 'Rent Received',
+    message: `${formatAmount(settlement.landlordAmount, invoice.currency)} rent for ${propertyTitle} has been added to your wallet.`,
+    type: 'success',
+    priority: 'normal',
+    actionUrl: `/rent-invoices/${invoice.id}`,
+    propertyId: invoice.propertyId,
+    data: { invoiceId: invoice.id, leaseId: invoice.leaseId }
+  });
+
+  return invoice;
+};
+
+/**
+ * List rent invoices for a tenant or landlord
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { as: tenant|landlord, status, leaseId, page, limit }
+ * @returns {Object} Result object
+ */
+export const listInvoices = async (user, options = {}) => {
+  try {
+    const { as = 'tenant', status, leaseId, page = 1, limit = 10 } = options;
+    const offset = (Number(page) - 1) * Number(limit);
+
+    const where = as === 'landlord' ? { landlordId: user.id } : { tenantId: user.id };
+    if (leaseId) {
+      where.leaseId = leaseId;
+    }
+
+    const { count, rows } = await RentInvoice.findAndCountAll({
+      where: status ? { ...where, status } : where,
+      include: invoiceIncludes,
+      order: [['dueDate', 'DESC']],
+      limit: Number(limit),
+      offset
+    });
+
+    const totals = await RentInvoice.findAll({
+      where,
+      attributes: [
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('totalAmount')), 'totalAmount']
+      ],
+      group: ['status'],
+      raw: true
+    });
+
+    const summary = { issued: 0, overdue: 0, paid: 0, void: 0, outstandingAmount: 0, paidAmount: 0 };
+    totals.forEach((row) => {
+      summary[row.status] = Number(row.count);
+      if (PAYABLE_STATUSES.includes(row.status)) {
+        summary.outstandingAmount = roundAmount(summary.outstandingAmount + Number(row.totalAmount));
+      } else if (row.status === 'paid') {
+        summary.paidAmount = roundAmount(row.totalAmount);
+      }
+    });
+
+    return {
+      success: true,
+      message: 'Rent invoices retrieved successfully',
+      data: {
+        invoices: rows,
+        summary,
+        pagination: buildPaginationMeta(count, page, limit)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List rent invoices error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rent invoices',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Get a rent invoice the user is a party to
+ * @param {string} invoiceId - Rent invoice ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const getInvoice = async (invoiceId, user) => {
+  try {
+    const invoice = await RentInvoice.findByPk(invoiceId, { include: invoiceIncludes });
+
+    if (!invoice) {
+      return { success: false, message: 'Rent invoice not found', statusCode: 404 };
+    }
+
+    if (!canViewInvoice(invoice, user)) {
+      return { success: false, message: 'Unauthorized to view this invoice', statusCode: 403 };
+    }
+
+    return {
+      success: true,
+      message: 'Rent invoice retrieved successfully',
+      data: { invoice },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get rent invoice error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rent invoice',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Rent schedule of a lease with the invoice issued for each period
+ * @param {string} leaseId - Lease ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const getLeaseSchedule = async (leaseId, user) => {
+  try {
+    const lease = await Lease.findByPk(leaseId, {
+      include: [{ model: Property, as: 'property', attributes: ['id', 'title', 'agentId'] }]
+    });
+
+    if (!lease) {
+      return { success: false, message: 'Lease not found', statusCode: 404 };
+    }
+
+    const canView = hasPermission(user, 'leases.read') ||
+      [lease.tenantId, lease.landlordId, lease.property?.agentId].includes(user.id);
+    if (!canView) {
+      return { success: false, message: 'Unauthorized to view this lease', statusCode: 403 };
+    }
+
+    const invoices = await RentInvoice.findAll({
+      where: { leaseId },
+      attributes: ['id', 'invoiceNumber', 'periodStart', 'status', 'totalAmount', 'paidAt']
+    });
+    const invoicesByPeriod = new Map(invoices.map((invoice) => [invoice.periodStart, invoice]));
+
+    const schedule = getRentPeriods(lease).map((period) => ({
+      ...period,
+      invoice: invoicesByPeriod.get(period.periodStart) || null
+    }));
+
+    return {
+      success: true,
+      message: 'Rent schedule retrieved successfully',
+      data: {
+        leaseId: lease.id,
+        rentFrequency: lease.rentFrequency,
+        currency: lease.currency,
+        schedule
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get rent schedule error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rent schedule',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Pay a rent invoice from the tenant's wallet, or start a Paystack payment
+ * that settles the invoice from the webhook
+ * @param {string} invoiceId - Rent invoice ID
+ * @param {Object} user - The tenant
+ * @param {Object} payload - { method: wallet|paystack, callbackUrl }
+ * @returns {Object} Result object
+ */
+export const payInvoice = async (invoiceId, user, payload = {}) => {
+  if (payload.method === 'paystack') {
+    return initializeRentPayment(user, invoiceId, payload);
+  }
+
+  try {
+    const invoice = await RentInvoice.findByPk(invoiceId, { include: invoiceIncludes });
+
+    if (!invoice) {
+      return { success: false, message: 'Rent invoice not found', statusCode: 404 };
+    }
+
+    if (invoice.tenantId !== user.id) {
+      return { success: false, message: 'Unauthorized to pay this invoice', statusCode: 403 };
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return { success: false, message: `Invoice is already ${invoice.status}`, statusCode: 409 };
+    }
+
+    const settlement = await calculateSettlement(invoice);
+
+    let debitTxn;
+    try {
+      ({ debitTxn } = await walletService.payRent(invoice.tenantId, invoice.landlordId, settlement.grossAmount, {
+        netAmount: settlement.landlordAmount,
+        taxAmount: settlement.taxAmount,
+        invoiceId: invoice.id,
+        description: `Rent for ${invoice.property?.title || 'property'} (${invoice.invoiceNumber})`,
+        metadata: { leaseId: invoice.leaseId, invoiceNumber: invoice.invoiceNumber }
+      }, { idempotencyKey: `rent:${invoice.id}` }));
+    } catch (walletError) {
+      if (walletError.message === 'Insufficient wallet balance') {
+        return { success: false, message: 'Insufficient wallet balance', statusCode: 400 };
+      }
+      throw walletError;
+    }
+
+    await completeInvoice(invoice, settlement, {
+      paymentMethod: 'wallet',
+      walletTransactionId: debitTxn.id
+    });
+
+    return {
+      success: true,
+      message: 'Rent paid successfully',
+      data: { invoice },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Pay rent invoice error:', error);
+    return {
+      success: false,
+      message: 'Failed to pay rent invoice',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Settle an invoice paid through Paystack. Money that cannot be applied
+ * (invoice already paid or voided, or less than the amount now due) is
+ * refunded to the tenant's wallet.
+ * @param {Object} payment - Completed rent Payment
+ * @param {number} amountPaid - Amount Paystack collected
+ * @returns {Object|null} Updated invoice, or null if the payment was refunded
+ */
+export const settleRentPayment = async (payment, amountPaid) => {
+  const invoice = await RentInvoice.findByPk(payment.metadata?.invoiceId, { include: invoiceIncludes });
+  const paid = roundAmount(amountPaid);
+
+  // Webhook and verification can both deliver the same payment
+  if (invoice?.paymentId === payment.id) {
+    return invoice;
+  }
+
+  if (!invoice || !PAYABLE_STATUSES.includes(invoice.status) || paid < roundAmount(invoice.totalAmount)) {
+    await walletService.processRefund(
+      payment.userId,
+      paid,
+      `Refund of rent payment ${payment.reference}`,
+      null,
+      { type: 'rent_refund', invoiceId: payment.metadata?.invoiceId, paymentId: payment.id },
+      {
+        idempotencyKey: `rent-refund:${payment.id}`,
+        journal: { lines: [debitLine('paystack_clearing', null, paid, 'Unapplied rent payment')] }
+      }
+    );
+
+    await notify({
+      userId: payment.userId,
+      title: 'Rent Payment Refunded',
+      message: invoice && PAYABLE_STATUSES.includes(invoice.status)
+        ? `Invoice ${invoice.invoiceNumber} now totals ${formatAmount(invoice.totalAmount, invoice.currency)}. Your payment of ${formatAmount(paid, payment.currency)} was refunded to your wallet.`
+        : `Your payment of ${formatAmount(paid, payment.currency)} could not be applied and was refunded to your wallet.`,
+      type: 'warning',
+      priority: 'high',
+      actionUrl: invoice ? `/rent-invoices/${invoice.id}` : '/wallet',
+      data: { paymentId: payment.id, invoiceId: payment.metadata?.invoiceId }
+    });
+
+    console.warn(`⚠️ [RENT] Payment ${payment.reference} refunded to wallet; invoice not payable`);
+    return null;
+  }
+
+  const settlement = await calculateSettlement(invoice);
+  const creditTxn = await walletService.creditRentIncome(invoice.landlordId, settlement.landlordAmount, invoice.id, {
+    description: `Rent for ${invoice.property?.title || 'property'} (${invoice.invoiceNumber})`,
+    grossAmount: settlement.grossAmount,
+    taxAmount: settlement.taxAmount,
+    leaseId: invoice.leaseId,
+    tenantId: invoice.tenantId,
+    paymentId: payment.id
+  }, { idempotencyKey: `rent:${invoice.id}` });
+
+  await completeInvoice(invoice, settlement, {
+    paymentMethod: 'paystack',
+    paymentId: payment.id,
+    walletTransactionId: creditTxn.id
+  });
+
+  console.log(`✅ [RENT] Invoice ${invoice.invoiceNumber} settled by Paystack payment ${payment.reference}`);
+  return invoice;
+};
+
+/**
+ * Rent invoice PDF for a party to the invoice
+ * @param {string} invoiceId - Rent invoice ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object with the PDF buffer as data
+ */
+export const downloadInvoicePdf = async (invoiceId, user) => {
+  try {
+    const invoice = await RentInvoice.findByPk(invoiceId, { include: invoiceIncludes });
+
+    if (!invoice) {
+      return { success: false, message: 'Rent invoice not found', statusCode: 404 };
+    }
+
+    if (!canViewInvoice(invoice, user)) {
+      return { success: false, message: 'You do not have permission to access this invoice', statusCode: 403 };
+    }
+
+    const pdfBuffer = await generateRentInvoicePDF(invoice);
+
+    return {
+      success: true,
+      message: 'Invoice generated successfully',
+      data: { pdf: pdfBuffer, invoiceNumber: invoice.invoiceNumber },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Download rent invoice error:', error);
+    return {
+      success: false,
+      message: 'Failed to generate invoice',
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Reminder keys and wording due for an unpaid invoice today, if any
+ */
+const getDueReminder = (invoice, today) => {
+  const sent = invoice.remindersSent || [];
+  const daysUntilDue = daysBetween(today, invoice.dueDate);
+
+  if (invoice.status === 'overdue') {
+    const key = `overdue_${Math.floor(-daysUntilDue / OVERDUE_REMINDER_DAYS)}`;
+    return sent.includes(key) ? null : { key, title: 'Rent Overdue', type: 'warning', when: `was due on ${invoice.dueDate}` };
+  }
+  if (daysUntilDue <= 0) {
+    return sent.includes('due') ? null : { key: 'due', title: 'Rent Due Today', type: 'reminder', when: 'is due today' };
+  }
+  if (daysUntilDue <= REMINDER_DAYS) {
+    return sent.includes('upcoming') ? null : { key: 'upcoming', title: 'Rent Due Soon', type: 'reminder', when: `is due on ${invoice.dueDate}` };
+  }
+  return null;
+};
+
+/**
+ * Issue invoices coming due, mark unpaid invoices overdue (applying late
+ * fees) and send reminders. Safe to run more than once a day.
+ * @returns {Object} Counts of invoices issued, marked overdue and reminded
+ */
+export const processRentInvoices = async () => {
+  const today = toDateString(new Date());
+  const issueUntil = addDays(today, INVOICE_LEAD_DAYS);
+  const summary = { issued: 0, overdue: 0, lateFees: 0, reminders: 0, failed: 0 };
+
+  const withProperty = { model: Property, as: 'property', attributes: ['id', 'title'] };
+
+  // Issue invoices for periods due within the lead time, catching up on any missed runs
+  const leases = await Lease.findAll({
+    where: { status: { [Op.in]: CURRENT_LEASE_STATUSES }, startDate: { [Op.lte]: issueUntil } },
+    include: [withProperty]
+  });
+
+  for (const lease of leases) {
+    const periods = getRentPeriods(lease);
+    for (const [index, period] of periods.entries()) {
+      if (period.dueDate > issueUntil) break;
+
+      try {
+        const invoice = await issueInvoice(lease, period, index === 0);
+        if (!invoice) continue;
+        summary.issued += 1;
+
+        await notify({
+          userId: lease.tenantId,
+          title: 'Rent Invoice Issued',
+          message: `Invoice ${invoice.invoiceNumber} for ${formatAmount(invoice.totalAmount, invoice.currency)} (${lease.property.title}) is due on ${invoice.dueDate}.`,
+          type: 'info',
+          priority: 'normal',
+          actionUrl: `/rent-invoices/${invoice.id}`,
+          actionText: 'Pay Rent',
+          propertyId: lease.propertyId,
+          data: { invoiceId: invoice.id, leaseId: lease.id, dueDate: invoice.dueDate }
+        });
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`❌ [RENT] Failed to issue invoice for lease ${lease.id} (${period.periodStart}):`, error.message);
+      }
+    }
+  }
+
+  const unpaidInvoices = await RentInvoice.findAll({
+    where: { status: { [Op.in]: PAYABLE_STATUSES }, dueDate: { [Op.lte]: addDays(today, REMINDER_DAYS) } },
+    include: [
+      withProperty,
+      { model: Lease, as: 'lease', attributes: ['id', 'lateFeePercent', 'lateFeeGraceDays'] }
+    ]
+  });
+
+  for (const invoice of unpaidInvoices) {
+    try {
+      // Overdue once the grace period has passed; the late fee is added once
+      if (invoice.status === 'issued' && addDays(invoice.dueDate, invoice.lease.lateFeeGraceDays) < today) {
+        const updates = { status: 'overdue' };
+        const lateFee = roundAmount(Number(invoice.rentAmount) * Number(invoice.lease.lateFeePercent) / 100);
+
+        if (lateFee > 0 && !invoice.lateFeeAppliedAt) {
+          updates.lateFee = lateFee;
+          updates.lateFeeAppliedAt = new Date();
+          updates.lineItems = [
+            ...invoice.lineItems,
+            { type: 'late_fee', description: `Late fee (${Number(invoice.lease.lateFeePercent)}% of rent)`, amount: lateFee }
+          ];
+          updates.totalAmount = sumLineItems(updates.lineItems);
+          summary.lateFees += 1;
+        }
+
+        await invoice.update(updates);
+        summary.overdue += 1;
+
+        await notify({
+          userId: invoice.landlordId,
+          title: 'Rent Overdue',
+          message: `Invoice ${invoice.invoiceNumber} for ${invoice.property.title} is overdue.`,
+          type: 'warning',
+          priority: 'normal',
+          actionUrl: `/rent-invoices/${invoice.id}`,
+          propertyId: invoice.propertyId,
+          data: { invoiceId: invoice.id, leaseId: invoice.leaseId }
+        });
+      }
+
+      const reminder = getDueReminder(invoice, today);
+      if (!reminder) continue;
+
+      await notify({
+        userId: invoice.tenantId,
+        title: reminder.title,
+        message: `Rent of ${formatAmount(invoice.totalAmount, invoice.currency)} for ${invoice.property.title} ${reminder.when}.`,
+        type: reminder.type,
+        priority: invoice.status === 'overdue' ? 'high' : 'normal',
+        actionUrl: `/rent-invoices/${invoice.id}`,
+        actionText: 'Pay Rent',
+        propertyId: invoice.propertyId,
+        data: { invoiceId: invoice.id, leaseId: invoice.leaseId, dueDate: invoice.dueDate }
+      });
+
+      await invoice.update({ remindersSent: [...(invoice.remindersSent || []), reminder.key] });
+      summary.reminders += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ [RENT] Failed to process invoice ${invoice.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  getRentPeriods,
+  listInvoices,
+  getInvoice,
+  getLeaseSchedule,
+  payInvoice,
+  settleRentPayment,
+  downloadInvoicePdf,
+  processRentInvoices
+};
@@ -0,0 +1,532 @@
+import { Op } from 'sequelize';
+import sequelize from '../database/db.js';
+import { KycDocument, Lease, Property, PropertyMedia, RentalApplication, User } from '../schema/index.js';
+import { createAndSendNotification } from './notificationService.js';
+import {
+  createLease,
+  findOverlappingLease,
+  getDefaultRentFrequency,
+  getMoveInCost
+} from './leaseService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Rental Application Service
+ * Long-term rentals go through an application instead of an instant booking:
+ * the renter applies with employment details, references and KYC documents,
+ * the landlord reviews and shortlists applicants, and accepting one creates
+ * the lease.
+ */
+
+// Applications still waiting for the landlord's decision
+export const OPEN_APPLICATION_STATUSES = ['submitted', 'under_review', 'shortlisted'];
+
+// KYC documents an applicant may share
+const SHAREABLE_KYC_STATUSES = ['pending', 'approved'];
+
+const APPLICANT_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl'];
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'property',
+      channels: ['in_app', 'email'],
+      actionText: 'View Application',
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [RENTAL APPLICATION] Failed to send notification:', notificationError.message);
+  }
+};
+
+const canManageProperty = (property, user) =>
+  hasPermission(user, 'leases.manage') || property.ownerId === user.id || property.agentId === user.id;
+
+/**
+ * Load an application together with its property
+ */
+const loadApplication = async (applicationId, options = {}) => RentalApplication.findByPk(applicationId, {
+  include: [
+    {
+      model: Property,
+      as: 'property',
+      attributes: ['id', 'title', 'ownerId', 'agentId', 'listingType', 'status', 'price', 'pricePeriod', 'currency']
+    }
+  ],
+  transaction: options.transaction,
+  lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
+});
+
+/**
+ * Apply to rent a property
+ * @param {string} applicantId - Renter's user ID
+ * @param {Object} applicationData - Application details
+ * @returns {Object} Result object
+ */
+export const submitApplication = async (applicantId, applicationData) => {
+  try {
+    const {
+      propertyId,
+      desiredMoveInDate,
+      leaseTermMonths = 12,
+      occupants = 1,
+      message,
+      employment,
+      references = [],
+      kycDocumentIds = []
+    } = applicationData;
+
+    const property = await Property.findByPk(propertyId);
+    if (!property) {
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    if (property.listingType !== 'rent') {
+      return { success: false, message: 'Applications are only accepted for long-term rental listings', statusCode: 400 };
+    }
+
+    if (property.status !== 'active') {
+      return { success: false, message: 'Property is not accepting applications', statusCode: 400 };
+    }
+
+    if (property.ownerId === applicantId) {
+      return { success: false, message: 'You cannot apply to rent your own property', statusCode: 400 };
+    }
+
+    if (property.minLeasePeriod && leaseTermMonths < property.minLeasePeriod) {
+      return { success: false, message: `Minimum lease term is ${property.minLeasePeriod} months`, statusCode: 400 };
+    }
+
+    if (property.maxLeasePeriod && leaseTermMonths > property.maxLeasePeriod) {
+      return { success: false, message: `Maximum lease term is ${property.maxLeasePeriod} months`, statusCode: 400 };
+    }
+
+    const existing = await RentalApplication.findOne({
+      where: {
+        propertyId,
+        applicantId,
+        status: { [Op.in]: OPEN_APPLICATION_STATUSES }
+      }
+    });
+    if (existing) {
+      return { success: false, message: 'You already have an open application for this property', statusCode: 409 };
+    }
+
+    const documentIds = [...new Set(kycDocumentIds)];
+    if (documentIds.length) {
+      const documents = await KycDocument.count({
+        where: {
+          id: { [Op.in]: documentIds },
+          userId: applicantId,
+          status: { [Op.in]: SHAREABLE_KYC_STATUSES }
+        }
+      });
+      if (documents !== documentIds.length) {
+        return { success: false, message: 'Some KYC documents were not found or were rejected', statusCode: 400 };
+      }
+    }
+
+    const application = await RentalApplication.create({
+      propertyId,
+      applicantId,
+      ownerId: property.ownerId,
+      desiredMoveInDate,
+      leaseTermMonths,
+      occupants,
+      message,
+      employment,
+      references,
+      kycDocumentIds: documentIds
+    });
+
+    const notification = {
+      title: 'New Rental Application',
+      message: `You have a new application for ${property.title}.`,
+      type: 'info',
+      priority: 'normal',
+      actionUrl: `/landlord/applications/${application.id}`,
+      propertyId,
+      data: { applicationId: application.id, applicantId }
+    };
+    await notify({ ...notification, userId: property.ownerId });
+    if (property.agentId && property.agentId !== property.ownerId) {
+      await notify({ ...notification, userId: property.agentId });
+    }
+
+    return {
+      success: true,
+      message: 'Rental application submitted successfully',
+      data: { application },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Submit rental application error:', error);
+    return {
+      success: false,
+      message: 'Failed to submit rental application',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Get an application. The applicant sees their own; the landlord also sees
+ * the shared KYC documents and their private notes.
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const getApplication = async (applicationId, user) => {
+  try {
+    const application = await RentalApplication.findByPk(applicationId, {
+      include: [
+        {
+          model: Property,
+          as: 'property',
+          attributes: ['id', 'title', 'ownerId', 'agentId', 'address', 'city', 'state', 'price', 'pricePeriod', 'currency', 'status'],
+          include: [
+            {
+              model: PropertyMedia,
+              as: 'media',
+              where: { isActive: true, isPrimary: true },
+              required: false,
+              limit: 1
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'applicant',
+          attributes: APPLICANT_ATTRIBUTES
+        },
+        {
+          model: Lease,
+          as: 'lease',
+          required: false
+        }
+      ]
+    });
+
+    if (!application) {
+      return { success: false, message: 'Rental application not found', statusCode: 404 };
+    }
+
+    const isManager = canManageProperty(application.property, user);
+    if (application.applicantId !== user.id && !isManager) {
+      return { success: false, message: 'Unauthorized to view this application', statusCode: 403 };
+    }
+
+    const data = application.get({ plain: true });
+
+    if (isManager) {
+      data.kycDocuments = data.kycDocumentIds?.length
+        ? await KycDocument.findAll({
+          where: { id: { [Op.in]: data.kycDocumentIds }, userId: application.applicantId },
+          attributes: ['id', 'documentType', 'documentUrl', 'documentThumbnail', 'status', 'expiresAt', 'verifiedAt']
+        })
+        : [];
+    } else {
+      delete data.landlordNotes;
+    }
+
+    return {
+      success: true,
+      message: 'Rental application retrieved successfully',
+      data: { application: data },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Get rental application error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rental application',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Move an application through review: under_review, shortlisted or rejected
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Landlord, property agent or admin
+ * @param {Object} review - { status, landlordNotes, rejectionReason }
+ * @returns {Object} Result object
+ */
+export const reviewApplication = async (applicationId, user, review) => {
+  try {
+    const { status, landlordNotes, rejectionReason } = review;
+
+    const application = await loadApplication(applicationId);
+    if (!application) {
+      return { success: false, message: 'Rental application not found', statusCode: 404 };
+    }
+
+    if (!canManageProperty(application.property, user)) {
+      return { success: false, message: 'Unauthorized to review this application', statusCode: 403 };
+    }
+
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      return { success: false, message: `Application is already ${application.status}`, statusCode: 400 };
+    }
+
+    const updates = {
+      status,
+      reviewedBy: user.id,
+      reviewedAt: new Date()
+    };
+    if (landlordNotes !== undefined) updates.landlordNotes = landlordNotes;
+    if (status === 'rejected') {
+      updates.decidedAt = new Date();
+      updates.rejectionReason = rejectionReason || null;
+    }
+
+    const previousStatus = application.status;
+    await application.update(updates);
+
+    if (status === 'shortlisted' && previousStatus !== 'shortlisted') {
+      await notify({
+        userId: application.applicantId,
+        title: 'Application Shortlisted',
+        message: `Your application for ${application.property.title} has been shortlisted.`,
+        type: 'success',
+        priority: 'normal',
+        actionUrl: `/rental-applications/${application.id}`,
+        propertyId: application.propertyId,
+        data: { applicationId: application.id }
+      });
+    } else if (status === 'rejected') {
+      await notify({
+        userId: application.applicantId,
+        title: 'Application Declined',
+        message: `Your application for ${application.property.title} was not successful${rejectionReason ? `: ${rejectionReason}` : '.'}`,
+        type: 'info',
+        priority: 'normal',
+        actionUrl: `/rental-applications/${application.id}`,
+        propertyId: application.propertyId,
+        data: { applicationId: application.id }
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Rental application updated successfully',
+      data: { application },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Review rental application error:', error);
+    return {
+      success: false,
+      message: 'Failed to update rental application',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Accept an application and create its lease. Rent defaults to the listing
+ * price and the term to what the applicant asked for. Other open
+ * applications for the property are declined unless keepOtherApplications is set.
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Landlord, property agent or admin
+ * @param {Object} terms - { rentAmount, rentFrequency, cautionDeposit, agencyFee, legalFee, lateFeePercent, lateFeeGraceDays, startDate, termMonths, renewalNoticeDays, terms, keepOtherApplications }
+ * @returns {Object} Result object
+ */
+export const acceptApplication = async (applicationId, user, terms = {}) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const application = await loadApplication(applicationId, { transaction });
+    if (!application) {
+      await transaction.rollback();
+      return { success: false, message: 'Rental application not found', statusCode: 404 };
+    }
+
+    const { property } = application;
+    if (!canManageProperty(property, user)) {
+      await transaction.rollback();
+      return { success: false, message: 'Unauthorized to accept this application', statusCode: 403 };
+    }
+
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      await transaction.rollback();
+      return { success: false, message: `Application is already ${application.status}`, statusCode: 400 };
+    }
+
+    const startDate = terms.startDate || application.desiredMoveInDate;
+    const termMonths = terms.termMonths || application.leaseTermMonths;
+
+    const conflict = await findOverlappingLease(property.id, startDate, { transaction });
+    if (conflict) {
+      await transaction.rollback();
+      return {
+        success: false,
+        message: `Property is already let until ${conflict.endDate}`,
+        statusCode: 409
+      };
+    }
+
+    const lease = await createLease({
+      applicationId: application.id,
+      propertyId: property.id,
+      tenantId: application.applicantId,
+      landlordId: property.ownerId,
+      rentAmount: terms.rentAmount ?? property.price,
+      rentFrequency: terms.rentFrequency || getDefaultRentFrequency(property),
+      cautionDeposit: terms.cautionDeposit ?? 0,
+      agencyFee: terms.agencyFee ?? 0,
+      legalFee: terms.legalFee ?? 0,
+      currency: property.currency || 'NGN',
+      startDate,
+      termMonths,
+      renewalNoticeDays: terms.renewalNoticeDays,
+      lateFeePercent: terms.lateFeePercent,
+      lateFeeGraceDays: terms.lateFeeGraceDays,
+      terms: terms.terms,
+      createdBy: user.id
+    }, { transaction });
+
+    await application.update({
+      status: 'accepted',
+      decidedAt: new Date(),
+      reviewedBy: user.id,
+      reviewedAt: application.reviewedAt || new Date()
+    }, { transaction });
+
+    let declined = [];
+    if (!terms.keepOtherApplications) {
+      declined = await RentalApplication.findAll({
+        where: {
+          propertyId: property.id,
+          id: { [Op.ne]: application.id },
+          status: { [Op.in]: OPEN_APPLICATION_STATUSES }
+        },
+        attributes: ['id', 'applicantId'],
+        transaction
+      });
+
+      if (declined.length) {
+        await RentalApplication.update({
+          status: 'rejected',
+          decidedAt: new Date(),
+          reviewedBy: user.id,
+          rejectionReason: 'Another applicant was accepted for this property'
+        }, {
+          where: { id: { [Op.in]: declined.map((item) => item.id) } },
+          transaction
+        });
+      }
+    }
+
+    await transaction.commit();
+
+    const moveInCost = getMoveInCost(lease);
+    await notify({
+      userId: application.applicantId,
+      title: 'Application Accepted',
+      message: `Your application for ${property.title} has been accepted. Your lease runs from ${lease.startDate} to ${lease.endDate}; ${moveInCost.currency} ${moveInCost.total.toLocaleString()} is due before you move in.`,
+      type: 'success',
+      priority: 'high',
+      actionUrl: `/leases/${lease.id}`,
+      actionText: 'View Lease',
+      propertyId: property.id,
+      data: { applicationId: application.id, leaseId: lease.id }
+    });
+
+    for (const other of declined) {
+      await notify({
+        userId: other.applicantId,
+        title: 'Application Declined',
+        message: `${property.title} has been let to another applicant.`,
+        type: 'info',
+        priority: 'low',
+        actionUrl: `/rental-applications/${other.id}`,
+        propertyId: property.id,
+        data: { applicationId: other.id }
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Rental application accepted and lease created',
+      data: {
+        application,
+        lease: { ...lease.get({ plain: true }), moveInCost },
+        declinedApplications: declined.length
+      },
+      statusCode: 201
+    };
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Accept rental application error:', error);
+    return {
+      success: false,
+      message: 'Failed to accept rental application',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Withdraw an open application
+ * @param {string} applicationId - Application ID
+ * @param {string} applicantId - Renter's user ID
+ * @returns {Object} Result object
+ */
+export const withdrawApplication = async (applicationId, applicantId) => {
+  try {
+    const application = await loadApplication(applicationId);
+    if (!application) {
+      return { success: false, message: 'Rental application not found', statusCode: 404 };
+    }
+
+    if (application.applicantId !== applicantId) {
+      return { success: false, message: 'Unauthorized to withdraw this application', statusCode: 403 };
+    }
+
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      return { success: false, message: `Application is already ${application.status}`, statusCode: 400 };
+    }
+
+    await application.update({ status: 'withdrawn', withdrawnAt: new Date() });
+
+    await notify({
+      userId: application.property.ownerId,
+      title: 'Application Withdrawn',
+      message: `An applicant withdrew their application for ${application.property.title}.`,
+      type: 'info',
+      priority: 'low',
+      actionUrl: `/landlord/applications/${application.id}`,
+      propertyId: application.propertyId,
+      data: { applicationId: application.id }
+    });
+
+    return {
+      success: true,
+      message: 'Rental application withdrawn successfully',
+      data: { application },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Withdraw rental application error:', error);
+    return {
+      success: false,
+      message: 'Failed to withdraw rental application',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+export default {
+  OPEN_APPLICATION_STATUSES,
+  submitApplication,
+  getApplication,
+  reviewApplication,
+  acceptApplication,
+  withdrawApplication
+};
@@ -1,6 +1,10 @@
 import { Review, User, Property, Booking } from '../schema/index.js';
 import { Op } from 'sequelize';
 import { sendTemplateNotification } from './notificationService.js';
+import { remember, CACHE_NAMESPACES } from './cacheService.js';
+import { rolesWithPermission } from '../constants/adminPermissions.js';
+
+const RATING_SUMMARY_CACHE_TTL = parseInt(process.env.CACHE_RATING_SUMMARY_TTL, 10) || 600;
 
 /**
  * Create a new review
@@ -232,9 +236,9 @@ export const getReviews = async (options = {}) => {
 };
 
 /**
- * Update review (only by reviewer or admin)
+ * Update review (only by reviewer or a review moderator)
  */
-export const updateReview = async (reviewId, updateData, userId, userRole) => {
+export const updateReview = async (reviewId, updateData, userId, canModerate = false) => {
   try {
     const review = await Review.findByPk(reviewId);
     if (!review) {
@@ -242,12 +246,12 @@ export const updateReview = async (reviewId, updateData, userId, userRole) => {
     }
 
     // Check permissions
-    if (review.reviewerId !== userId && !['admin', 'moderator'].includes(userRole)) {
+    if (review.reviewerId !== userId && !canModerate) {
       throw new Error('You can only update your own reviews');
     }
 
-    // Prevent updating approved reviews unless admin/moderator
-    if (review.status === 'approved' && !['admin', 'moderator'].includes(userRole)) {
+    // Prevent updating approved reviews unless moderating
+    if (review.status === 'approved' && !canModerate) {
       throw new Error('Cannot update approved reviews');
     }
 
@@ -269,7 +273,7 @@ export const updateReview = async (reviewId, updateData, userId, userRole) => {
 /**
  * Delete review (soft delete)
  */
-export const deleteReview = async (reviewId, userId, userRole) => {
+export const deleteReview = async (reviewId, userId, canModerate = false) => {
   try {
     const review = await Review.findByPk(reviewId);
     if (!review) {
@@ -277,7 +281,7 @@ export const deleteReview = async (reviewId, userId, userRole) => {
     }
 
     // Check permissions
-    if (review.reviewerId !== userId && !['admin', 'moderator'].includes(userRole)) {
+    if (review.reviewerId !== userId && !canModerate) {
       throw new Error('You can only delete your own reviews');
     }
 
@@ -436,9 +440,9 @@ export const reportReview = async (reviewId, reportData, reporterId) => {
 
     // Send notification to moderators
     try {
-      // Get all admin and moderator users
+      // Staff whose role can moderate reviews
       const moderators = await User.findAll({
-        where: { role: { [Op.in]: ['admin', 'moderator'] } }
+        where: { role: 'admin', adminRole: { [Op.in]: rolesWithPermission('reviews.moderate') } }
       });
 
       for (const moderator of moderators) {
@@ -527,31 +531,33 @@ export const getReviewStats = async (options = {}) => {
  */
 export const getPropertyRatingSummary = async (propertyId) => {
   try {
-    const stats = await getReviewStats({ propertyId, reviewType: 'property' });
-    
-    const subRatingStats = await Promise.all([
-      'cleanliness', 'communication', 'checkIn', 'accuracy', 'location', 'value'
-    ].map(async (field) => {
-      const result = await Review.findOne({
-        where: { propertyId, status: 'approved' },
-        attributes: [
-          [Review.sequelize.fn('AVG', Review.sequelize.col(field)), 'average']
-        ],
-        raw: true
-      });
+    return await remember(CACHE_NAMESPACES.RATING_SUMMARY, { propertyId }, RATING_SUMMARY_CACHE_TTL, async () => {
+      const stats = await getReviewStats({ propertyId, reviewType: 'property' });
+
+      const subRatingStats = await Promise.all([
+        'cleanliness', 'communication', 'checkIn', 'accuracy', 'location', 'value'
+      ].map(async (field) => {
+        const result = await Review.findOne({
+          where: { propertyId, status: 'approved' },
+          attributes: [
+            [Review.sequelize.fn('AVG', Review.sequelize.col(field)), 'average']
+          ],
+          raw: true
+        });
+        return {
+          field,
+          average: result?.average ? parseFloat(result.average).toFixed(2) : 0
+        };
+      }));
+
       return {
-        field,
-        average: result?.average ? parseFloat(result.average).toFixed(2) : 0
+        ...stats,
+        subRatings: subRatingStats.reduce((acc, item) => {
+          acc[item.field] = item.average;
+          return acc;
+        }, {})
       };
-    }));
-
-    return {
-      ...stats,
-      subRatings: subRatingStats.reduce((acc, item) => {
-        acc[item.field] = item.average;
-        return acc;
-      }, {})
-    };
+    });
   } catch (error) {
     console.error('Error getting property rating summary:', error);
     throw error;
@@ -0,0 +1,632 @@
+import { Op } from 'sequelize';
+import { Booking, BookingQuote, Property, PropertyMedia, RoomInventory, RoomType } from '../schema/index.js';
+import propertyService from './propertyService.js';
+import { hasPermission } from '../constants/adminPermissions.js';
+
+/**
+ * Room Type Service
+ * Hotels sell rooms, not the whole property. A room type ("Deluxe King x12")
+ * has its own rate, occupancy, amenities and photos, and a number of units.
+ *
+ * Units offered on a night are RoomType.totalUnits unless a RoomInventory row
+ * overrides that night. Units booked on a night are counted from the bookings
+ * of the room type that hold rooms (paid or confirmed), so there is no
+ * counter to drift when bookings are cancelled. Checkouts still waiting for
+ * payment (unpaid pending bookings and quotes reserved for a Paystack payment)
+ * hold their rooms for ROOM_HOLD_MINUTES.
+ *
+ * Callers that book a room count units inside a transaction; the room type
+ * row is locked first so two bookings for the last unit cannot both pass.
+ */
+
+// Booking statuses that hold rooms; matches the statuses that block dates for whole-property stays
+export const HOLDING_STATUSES = ['in_progress', 'confirmed'];
+const ROOM_HOLD_MINUTES = parseInt(process.env.ROOM_HOLD_MINUTES, 10) || 30;
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'maxGuests', 'bedType', 'bedCount', 'sizeSqm',
+  'amenities', 'totalUnits', 'isActive', 'sortOrder'
+];
+const MAX_RANGE_NIGHTS = 366;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (dateString, days) => toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+
+/**
+ * Nights from startDate up to, not including, endDate
+ */
+const listNights = (startDate, endDate) => {
+  const nights = [];
+  for (let date = toDateString(startDate); date < toDateString(endDate); date = addDays(date, 1)) {
+    nights.push(date);
+  }
+  return nights;
+};
+
+/**
+ * Load a hotel property the user may manage
+ */
+const loadManagedProperty = async (propertyId, user) => {
+  const property = await Property.findByPk(propertyId);
+  if (!property) {
+    return { error: { success: false, message: 'Property not found', statusCode: 404 } };
+  }
+
+  if (property.ownerId !== user.id && property.agentId !== user.id && !hasPermission(user, 'listings.manage')) {
+    return { error: { success: false, message: 'Unauthorized to manage rooms of this property', statusCode: 403 } };
+  }
+
+  if (property.listingType !== 'hotel') {
+    return { error: { success: false, message: 'Room types are only available for hotel listings', statusCode: 400 } };
+  }
+
+  return { property };
+};
+
+const loadManagedRoomType = async (propertyId, roomTypeId, user) => {
+  const { property, error } = await loadManagedProperty(propertyId, user);
+  if (error) return { error };
+
+  const roomType = await RoomType.findOne({ where: { id: roomTypeId, propertyId } });
+  if (!roomType) {
+    return { error: { success: false, message: 'Room type not found', statusCode: 404 } };
+  }
+
+  return { property, roomType };
+};
+
+/**
+ * Units offered and booked per night for a set of room types
+ * @param {Array} roomTypes - RoomType instances or plain objects with id and totalUnits
+ * @param {string} startDate - First night (YYYY-MM-DD)
+ * @param {string} endDate - Night after the last one (YYYY-MM-DD)
+ * @param {Object} options - { transaction, excludeBookingId, excludeQuoteId }
+ * @returns {Map} roomTypeId -> [{ date, totalUnits, bookedUnits, availableUnits }]
+ */
+export const getUnitCalendar = async (roomTypes, startDate, endDate, options = {}) => {
+  const nights = listNights(startDate, endDate);
+  const calendars = new Map();
+  if (roomTypes.length === 0 || nights.length === 0) return calendars;
+
+  const roomTypeIds = roomTypes.map((roomType) => roomType.id);
+  const holdCutoff = new Date(Date.now() - ROOM_HOLD_MINUTES * 60 * 1000);
+  const stayOverlap = {
+    roomTypeId: { [Op.in]: roomTypeIds },
+    checkInDate: { [Op.lt]: toDateString(endDate) },
+    checkOutDate: { [Op.gt]: toDateString(startDate) }
+  };
+  const bookingWhere = {
+    ...stayOverlap,
+    [Op.or]: [
+      { status: { [Op.in]: HOLDING_STATUSES } },
+      { status: 'pending', paymentStatus: { [Op.in]: ['completed', 'partial'] } },
+      { status: 'pending', createdAt: { [Op.gte]: holdCutoff } }
+    ]
+  };
+  if (options.excludeBookingId) {
+    bookingWhere.id = { [Op.ne]: options.excludeBookingId };
+  }
+  // A quote is reserved when a Paystack payment starts; nothing else updates it until it is consumed
+  const quoteWhere = {
+    ...stayOverlap,
+    status: 'active',
+    paymentReference: { [Op.ne]: null },
+    updatedAt: { [Op.gte]: holdCutoff }
+  };
+  if (options.excludeQuoteId) {
+    quoteWhere.id = { [Op.ne]: options.excludeQuoteId };
+  }
+
+  const [overrides, bookings, heldQuotes] = await Promise.all([
+    RoomInventory.findAll({
+      where: {
+        roomTypeId: { [Op.in]: roomTypeIds },
+        date: { [Op.gte]: nights[0], [Op.lte]: nights[nights.length - 1] }
+      },
+      attributes: ['roomTypeId', 'date', 'totalUnits'],
+      transaction: options.transaction
+    }),
+    Booking.findAll({
+      where: bookingWhere,
+      attributes: ['id', 'roomTypeId', 'roomUnits', 'checkInDate', 'checkOutDate'],
+      transaction: options.transaction
+    }),
+    BookingQuote.findAll({
+      where: quoteWhere,
+      attributes: ['id', 'roomTypeId', 'roomUnits', 'checkInDate', 'checkOutDate'],
+      transaction: options.transaction
+    })
+  ]);
+
+  const overrideByNight = new Map(overrides.map((row) => [`${row.roomTypeId}|${row.date}`, row.totalUnits]));
+  const bookedByNight = new Map();
+  [...bookings, ...heldQuotes].forEach((booking) => {
+    listNights(booking.checkInDate, booking.checkOutDate).forEach((date) => {
+      const key = `${booking.roomTypeId}|${date}`;
+      bookedByNight.set(key, (bookedByNight.get(key) || 0) + (booking.roomUnits || 1));
+    });
+  });
+
+  roomTypes.forEach((roomType) => {
+    calendars.set(roomType.id, nights.map((date) => {
+      const key = `${roomType.id}|${date}`;
+      const totalUnits = overrideByNight.has(key) ? overrideByNight.get(key) : roomType.totalUnits;
+      const bookedUnits = bookedByNight.get(key) || 0;
+      return {
+        date,
+        totalUnits,
+        bookedUnits,
+        availableUnits: Math.max(totalUnits - bookedUnits, 0)
+      };
+    }));
+  });
+
+  return calendars;
+};
+
+/**
+ * Check that a room type has enough free units on every night of a stay
+ * @param {string} roomTypeId - Room type ID
+ * @param {string} checkInDate - Check-in date
+ * @param {string} checkOutDate - Check-out date
+ * @param {number} units - Rooms requested
+ * @param {Object} options - { propertyId, transaction, excludeBookingId, excludeQuoteId }; with a
+ * transaction the room type row stays locked until it ends, so book the room in the same transaction
+ * @returns {Object} { available, availableUnits, conflictingDates, roomType }
+ */
+export const checkRoomTypeAvailability = async (roomTypeId, checkInDate, checkOutDate, units = 1, options = {}) => {
+  const where = { id: roomTypeId };
+  if (options.propertyId) where.propertyId = options.propertyId;
+
+  const roomType = await RoomType.findOne({
+    where,
+    transaction: options.transaction,
+    lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
+  });
+  if (!roomType || !roomType.isActive) {
+    return {
+      available: false,
+      availableUnits: 0,
+      conflictingDates: [{ date: null, reason: 'room_type_unavailable', notes: 'Room type is not available' }],
+      roomType
+    };
+  }
+
+  const calendar = (await getUnitCalendar([roomType], checkInDate, checkOutDate, options)).get(roomType.id) || [];
+  const conflictingDates = calendar
+    .filter((night) => night.availableUnits < units)
+    .map((night) => ({
+      date: night.date,
+      reason: 'sold_out',
+      notes: `${night.availableUnits} of ${night.totalUnits} room(s) left`,
+      availableUnits: night.availableUnits
+    }));
+
+  return {
+    available: calendar.length > 0 && conflictingDates.length === 0,
+    availableUnits: calendar.length > 0 ? Math.min(...calendar.map((night) => night.availableUnits)) : 0,
+    conflictingDates,
+    roomType
+  };
+};
+
+/**
+ * Unit-nights offered and sold per room type over a period, with room revenue
+ * @param {Array} roomTypes - RoomType instances
+ * @param {string} startDate - First night (YYYY-MM-DD)
+ * @param {string} endDate - Night after the last one (YYYY-MM-DD)
+ * @returns {Array} [{ roomTypeId, name, unitNightsAvailable, unitNightsBooked, occupancyRate, revenue, averageDailyRate }]
+ */
+export const getRoomTypeOccupancy = async (roomTypes, startDate, endDate) => {
+  const calendars = await getUnitCalendar(roomTypes, startDate, endDate);
+  const roomTypeIds = roomTypes.map((roomType) => roomType.id);
+  const nights = listNights(startDate, endDate);
+
+  // Revenue is spread over the nights of each stay so a period only counts its own nights
+  const bookings = roomTypeIds.length > 0 && nights.length > 0
+    ? await Booking.findAll({
+      where: {
+        roomTypeId: { [Op.in]: roomTypeIds },
+        status: { [Op.in]: [...HOLDING_STATUSES, 'completed'] },
+        checkInDate: { [Op.lt]: toDateString(endDate) },
+        checkOutDate: { [Op.gt]: toDateString(startDate) }
+      },
+      attributes: ['roomTypeId', 'roomUnits', 'checkInDate', 'checkOutDate', 'basePrice', 'status']
+    })
+    : [];
+
+  const revenueByType = new Map();
+  const soldByType = new Map();
+  bookings.forEach((booking) => {
+    const stayNights = listNights(booking.checkInDate, booking.checkOutDate);
+    const inPeriod = stayNights.filter((date) => date >= nights[0] && date <= nights[nights.length - 1]).length;
+    if (stayNights.length === 0 || inPeriod === 0) return;
+
+    const revenue = (Number(booking.basePrice) || 0) * (inPeriod / stayNights.length);
+    revenueByType.set(booking.roomTypeId, (revenueByType.get(booking.roomTypeId) || 0) + revenue);
+    soldByType.set(booking.roomTypeId, (soldByType.get(booking.roomTypeId) || 0) + inPeriod * (booking.roomUnits || 1));
+  });
+
+  return roomTypes.map((roomType) => {
+    const calendar = calendars.get(roomType.id) || [];
+    const unitNightsAvailable = calendar.reduce((sum, night) => sum + night.totalUnits, 0);
+    // Completed stays no longer hold rooms but were occupied
+    const unitNightsBooked = soldByType.get(roomType.id) || 0;
+    const revenue = roundAmount(revenueByType.get(roomType.id) || 0);
+
+    return {
+      roomTypeId: roomType.id,
+      propertyId: roomType.propertyId,
+      name: roomType.name,
+      totalUnits: roomType.totalUnits,
+      unitNightsAvailable,
+      unitNightsBooked,
+      occupancyRate: unitNightsAvailable > 0
+        ? Number(Math.min(100, (unitNightsBooked / unitNightsAvailable) * 100).toFixed(1))
+        : 0,
+      revenue,
+      averageDailyRate: unitNightsBooked > 0 ? roundAmount(revenue / unitNightsBooked) : 0
+    };
+  });
+};
+
+const mediaInclude = {
+  model: PropertyMedia,
+  as: 'media',
+  where: { isActive: true },
+  required: false
+};
+
+/**
+ * Room types of a hotel. With a stay, each type reports the rooms still free
+ * on every night of it.
+ * @param {string} propertyId - Property ID
+ * @param {Object} options - { checkInDate, checkOutDate }
+ * @returns {Object} Result object
+ */
+export const listRoomTypes = async (propertyId, options = {}) => {
+  try {
+    const property = await Property.findByPk(propertyId, {
+      attributes: ['id', 'title', 'listingType', 'currency', 'status']
+    });
+    if (!property) {
+      return { success: false, message: 'Property not found', statusCode: 404 };
+    }
+
+    const roomTypes = await RoomType.findAll({
+      where: { propertyId, isActive: true },
+      include: [mediaInclude],
+      order: [['sortOrder', 'ASC'], ['price', 'ASC'], [{ model: PropertyMedia, as: 'media' }, 'order', 'ASC']]
+    });
+
+    const { checkInDate, checkOutDate } = options;
+    const calendars = checkInDate && checkOutDate
+      ? await getUnitCalendar(roomTypes, checkInDate, checkOutDate)
+      : null;
+
+    return {
+      success: true,
+      message: 'Room types retrieved successfully',
+      data: {
+        currency: property.currency || 'NGN',
+        roomTypes: roomTypes.map((roomType) => {
+          const plain = roomType.get({ plain: true });
+          if (!calendars) return plain;
+
+          const calendar = calendars.get(roomType.id) || [];
+          return {
+            ...plain,
+            availableUnits: calendar.length > 0 ? Math.min(...calendar.map((night) => night.availableUnits)) : 0
+          };
+        })
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error listing room types:', error);
+    return { success: false, message: 'Failed to retrieve room types', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Per-night units of a room type
+ * @param {string} propertyId - Property ID
+ * @param {string} roomTypeId - Room type ID
+ * @param {Object} options - { startDate, endDate } (defaults to the next 30 nights)
+ * @returns {Object} Result object
+ */
+export const getRoomTypeCalendar = async (propertyId, roomTypeId, options = {}) => {
+  try {
+    const roomType = await RoomType.findOne({ where: { id: roomTypeId, propertyId } });
+    if (!roomType) {
+      return { success: false, message: 'Room type not found', statusCode: 404 };
+    }
+
+    const startDate = toDateString(options.startDate || new Date());
+    // endDate is the last night shown, so the range runs to the day after it
+    const endDate = options.endDate ? addDays(toDateString(options.endDate), 1) : addDays(startDate, 30);
+
+    if (endDate <= startDate || listNights(startDate, endDate).length > MAX_RANGE_NIGHTS) {
+      return { success: false, message: `Date range must cover 1 to ${MAX_RANGE_NIGHTS} nights`, statusCode: 400 };
+    }
+
+    const calendars = await getUnitCalendar([roomType], startDate, endDate);
+
+    return {
+      success: true,
+      message: 'Room availability retrieved successfully',
+      data: {
+        roomType: {
+          id: roomType.id,
+          name: roomType.name,
+          price: roomType.price,
+          totalUnits: roomType.totalUnits,
+          isActive: roomType.isActive
+        },
+        calendar: calendars.get(roomType.id) || []
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error getting room type calendar:', error);
+    return { success: false, message: 'Failed to retrieve room availability', error: error.message, statusCode: 500 };
+  }
+};
+
+const pickEditableFields = (data) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+/**
+ * Add a room type to a hotel
+ * @param {string} propertyId - Property ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - Room type fields
+ * @returns {Object} Result object
+ */
+export const createRoomType = async (propertyId, user, data) => {
+  try {
+    const { error } = await loadManagedProperty(propertyId, user);
+    if (error) return error;
+
+    const roomType = await RoomType.create({
+      ...pickEditableFields(data),
+      propertyId,
+      createdBy: user.id
+    });
+
+    return {
+      success: true,
+      message: 'Room type created successfully',
+      data: { roomType },
+      statusCode: 201
+    };
+  } catch (error) {
+    console.error('Error creating room type:', error);
+    return { success: false, message: 'Failed to create room type', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Update a room type. Lowering totalUnits below the rooms already booked on
+ * a future night is refused.
+ * @param {string} propertyId - Property ID
+ * @param {string} roomTypeId - Room type ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - Fields to change
+ * @returns {Object} Result object
+ */
+export const updateRoomType = async (propertyId, roomTypeId, user, data) => {
+  try {
+    const { roomType, error } = await loadManagedRoomType(propertyId, roomTypeId, user);
+    if (error) return error;
+
+    const changes = pickEditableFields(data);
+
+    if (changes.totalUnits !== undefined && Number(changes.totalUnits) < roomType.totalUnits) {
+      const lastBooking = await Booking.max('checkOutDate', {
+        where: { roomTypeId, status: { [Op.in]: HOLDING_STATUSES } }
+      });
+      const today = toDateString(new Date());
+
+      if (lastBooking && toDateString(lastBooking) > today) {
+        const calendar = (await getUnitCalendar(
+          [{ id: roomType.id, totalUnits: Number(changes.totalUnits) }],
+          today,
+          lastBooking
+        )).get(roomType.id);
+        const overbooked = calendar.filter((night) => night.bookedUnits > night.totalUnits);
+
+        if (overbooked.length > 0) {
+          return {
+            success: false,
+            message: 'More rooms are already booked on some nights than the new total',
+            data: { overbookedDates: overbooked.map(({ date, bookedUnits }) => ({ date, bookedUnits })) },
+            statusCode: 409
+          };
+        }
+      }
+    }
+
+    await roomType.update(changes);
+
+    return {
+      success: true,
+      message: 'Room type updated successfully',
+      data: { roomType },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error updating room type:', error);
+    return { success: false, message: 'Failed to update room type', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Remove a room type. Types with bookings are deactivated instead so the
+ * bookings keep their room details.
+ * @param {string} propertyId - Property ID
+ * @param {string} roomTypeId - Room type ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Result object
+ */
+export const deleteRoomType = async (propertyId, roomTypeId, user) => {
+  try {
+    const { roomType, error } = await loadManagedRoomType(propertyId, roomTypeId, user);
+    if (error) return error;
+
+    const upcoming = await Booking.count({
+      where: {
+        roomTypeId,
+        status: { [Op.in]: HOLDING_STATUSES },
+        checkOutDate: { [Op.gt]: toDateString(new Date()) }
+      }
+    });
+    if (upcoming > 0) {
+      return {
+        success: false,
+        message: `This room type has ${upcoming} upcoming booking(s). Deactivate it to stop new bookings instead.`,
+        statusCode: 409
+      };
+    }
+
+    const bookings = await Booking.count({ where: { roomTypeId } });
+    if (bookings > 0) {
+      await roomType.update({ isActive: false });
+      return {
+        success: true,
+        message: 'Room type has past bookings and was deactivated',
+        data: { roomType },
+        statusCode: 200
+      };
+    }
+
+    await PropertyMedia.update({ isActive: false }, { where: { roomTypeId } });
+    await roomType.destroy();
+
+    return {
+      success: true,
+      message: 'Room type deleted successfully',
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error deleting room type:', error);
+    return { success: false, message: 'Failed to delete room type', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Set the rooms offered on a range of nights. totalUnits null goes back to
+ * the room type's default.
+ * @param {string} propertyId - Property ID
+ * @param {string} roomTypeId - Room type ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - { startDate, endDate (last night, inclusive), totalUnits, notes }
+ * @returns {Object} Result object
+ */
+export const setRoomInventory = async (propertyId, roomTypeId, user, data) => {
+  try {
+    const { roomType, error } = await loadManagedRoomType(propertyId, roomTypeId, user);
+    if (error) return error;
+
+    const startDate = toDateString(data.startDate);
+    const endDate = addDays(toDateString(data.endDate), 1);
+    const nights = listNights(startDate, endDate);
+
+    if (nights.length === 0 || nights.length > MAX_RANGE_NIGHTS) {
+      return { success: false, message: `Date range must cover 1 to ${MAX_RANGE_NIGHTS} nights`, statusCode: 400 };
+    }
+
+    const reset = data.totalUnits === null || data.totalUnits === undefined;
+    const totalUnits = reset ? roomType.totalUnits : Number(data.totalUnits);
+
+    const calendar = (await getUnitCalendar([{ id: roomType.id, totalUnits }], startDate, endDate)).get(roomType.id);
+    const overbooked = calendar.filter((night) => night.bookedUnits > totalUnits);
+    if (overbooked.length > 0) {
+      return {
+        success: false,
+        message: 'More rooms are already booked on some nights than the new total',
+        data: { overbookedDates: overbooked.map(({ date, bookedUnits }) => ({ date, bookedUnits })) },
+        statusCode: 409
+      };
+    }
+
+    await RoomInventory.destroy({ where: { roomTypeId, date: { [Op.in]: nights } } });
+    if (!reset) {
+      await RoomInventory.bulkCreate(nights.map((date) => ({
+        roomTypeId,
+        propertyId,
+        date,
+        totalUnits,
+        notes: data.notes || null,
+        updatedBy: user.id
+      })));
+    }
+
+    return {
+      success: true,
+      message: reset
+        ? `Room count reset to ${roomType.totalUnits} for ${nights.length} night(s)`
+        : `Room count set to ${totalUnits} for ${nights.length} night(s)`,
+      data: {
+        calendar: (await getUnitCalendar([roomType], startDate, endDate)).get(roomType.id)
+      },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Error setting room inventory:', error);
+    return { success: false, message: 'Failed to update room inventory', error: error.message, statusCode: 500 };
+  }
+};
+
+/**
+ * Attach uploaded photos to a room type
+ * @param {string} propertyId - Property ID
+ * @param {string} roomTypeId - Room type ID
+ * @param {Object} user - Authenticated user
+ * @param {Array} media - Upload results from the property upload middleware
+ * @returns {Object} Result object
+ */
+export const addRoomTypeMedia = async (propertyId, roomTypeId, user, media) => {
+  try {
+    const { property, error } = await loadManagedRoomType(propertyId, roomTypeId, user);
+    if (error) return error;
+
+    const records = await propertyService.addPropertyMedia(propertyId, media, {
+      ownerId: property.ownerId,
+      roomTypeId
+    });
+
+    return {
+      success: true,
+      message: 'Room photos added successfully',
+      data: { media: records },
+      statusCode: 201
+    };
+  } catch (error) {
+    if (error.entitlement) {
+      return { ...error.entitlement, statusCode: error.statusCode };
+    }
+    console.error('Error adding room type media:', error);
+    return { success: false, message: 'Failed to add room photos', error: error.message, statusCode: 500 };
+  }
+};
+
+export default {
+  HOLDING_STATUSES,
+  getUnitCalendar,
+  checkRoomTypeAvailability,
+  getRoomTypeOccupancy,
+  listRoomTypes,
+  getRoomTypeCalendar,
+  createRoomType,
+  updateRoomType,
+  deleteRoomType,
+  setRoomInventory,
+  addRoomTypeMedia
+};
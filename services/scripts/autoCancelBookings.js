@@ -2,11 +2,11 @@ import Booking from '../../schema/Booking.js';
 import BookingConfig from '../../schema/BookingConfig.js';
 import Property from '../../schema/Property.js';
 import User from '../../schema/User.js';
-import WalletTransaction from '../../schema/WalletTransaction.js';
-import walletService from '../walletService.js';
+import { buildRefundForBooking, applyRefund } from '../cancellationPolicyService.js';
 import { unblockDatesForBooking } from '../availabilityService.js';
-import { sendEmail } from '../../modules/notifications/email.js';
-import { createNotification } from '../notificationService.js';
+import { reverseRedemption } from '../couponService.js';
+import { createAndSendNotification } from '../notificationService.js';
+import { dispatchEmail } from '../notificationPolicyService.js';
 import { Op } from 'sequelize';
 
 /**
@@ -16,8 +16,8 @@ import { Op } from 'sequelize';
  * status (not confirmed by owner/agent) after a configurable number of hours.
  *
  * If the booking was paid for:
- *   1. Debit landlord's pending wallet balance
- *   2. Refund the guest's wallet (available balance)
+ *   1. Debit landlord's pending wallet balance (system cancellation, so no compensation)
+ *   2. Refund the guest's wallet in full (available balance)
  *   3. Unblock the booked dates
  *   4. Send cancellation + refund email to the guest
  *   5. Notify the owner
@@ -75,7 +75,7 @@ async function autoCancelBookings() {
                 {
                     model: Property,
                     as: 'property',
-                    attributes: ['id', 'title', 'address']
+                    attributes: ['id', 'title', 'address', 'cancellationPolicy']
                 },
                 {
                     model: User,
@@ -112,41 +112,32 @@ async function autoCancelBookings() {
                 console.log(`   Created: ${booking.createdAt}`);
 
                 let refundProcessed = false;
+                let refund = null;
+                let walletStatus = booking.walletStatus;
 
                 // Handle refund if booking was paid
                 if (['completed', 'partial'].includes(booking.paymentStatus) && parseFloat(booking.totalPrice) > 0) {
                     try {
                         console.log(`   💰 Processing refund for paid booking...`);
 
-                        // Debit landlord's pending balance if applicable
-                        if (booking.walletStatus === 'pending' && booking.walletTransactionId) {
-                            const walletTxn = await WalletTransaction.findByPk(booking.walletTransactionId);
-                            if (walletTxn) {
-                                await walletService.debitPending(
-                                    booking.ownerId,
-                                    walletTxn.amount,
-                                    booking.id,
-                                    `Auto-cancelled: booking not confirmed within ${autoCancelHours} hours`
-                                );
-                                console.log(`   ✅ Landlord pending balance debited: ${walletTxn.amount} NGN`);
-                            }
-                        }
+                        // Owner never confirmed, so the guest gets everything back
+                        refund = await buildRefundForBooking(booking, 'system', { property: booking.property });
 
-                        // Refund guest's wallet (available balance)
-                        await walletService.processRefund(
-                            booking.userId,
-                            booking.totalPrice,
-                            `Auto-cancel refund for booking #${booking.id.substring(0, 8)} — not confirmed within ${autoCancelHours} hours`,
-                            booking.id,
-                            { type: 'auto_cancel_refund', autoCancelHours }
-                        );
+                        ({ walletStatus } = await applyRefund(
+                            booking,
+                            refund,
+                            `Auto-cancelled: booking not confirmed within ${autoCancelHours} hours`
+                        ));
 
                         refundProcessed = true;
                         refunded++;
-                        console.log(`   ✅ Guest refunded: ${booking.totalPrice} NGN to wallet`);
+                        console.log(`   ✅ Guest refunded: ${refund.guestRefund} NGN to wallet`);
                     } catch (refundError) {
-                        console.error(`   ❌ Refund failed: ${refundError.message}`);
-                        // Continue with cancellation even if refund fails
+                        // Left unconfirmed so the next run retries; the wallet movements are keyed on the booking
+                        console.error(`   ❌ Refund failed, will retry next run: ${refundError.message}`);
+                        failed++;
+                        errors.push({ bookingId: booking.id, error: refundError.message });
+                        continue;
                     }
                 }
 
@@ -154,9 +145,10 @@ async function autoCancelBookings() {
                 await booking.update({
                     status: 'cancelled',
                     paymentStatus: refundProcessed ? 'refunded' : booking.paymentStatus,
-                    walletStatus: refundProcessed ? 'refunded' : booking.walletStatus,
+                    walletStatus,
                     cancellationReason: `Automatically cancelled — booking was not confirmed within ${autoCancelHours} hours`,
-                    cancelledAt: new Date()
+                    cancelledAt: new Date(),
+                    metadata: refund ? { ...(booking.metadata || {}), refund } : booking.metadata
                 });
 
                 // Unblock dates
@@ -170,30 +162,37 @@ async function autoCancelBookings() {
                     }
                 }
 
+                // Give the coupon use back to the guest
+                try {
+                    await reverseRedemption(booking.id, 'Booking auto-cancelled');
+                } catch (couponError) {
+                    console.error(`   ❌ Failed to reverse coupon redemption: ${couponError.message}`);
+                }
+
                 // Send cancellation email to guest
                 if (booking.user?.email) {
                     try {
                         const refundText = refundProcessed
-                            ? `A full refund of ₦${parseFloat(booking.totalPrice).toLocaleString()} has been credited to your AWARI wallet.`
+                            ? `A full refund of ₦${refund.guestRefund.toLocaleString()} has been credited to your AWARI wallet.`
                             : '';
 
-                        await sendEmail(
-                            booking.user.email,
-                            'Booking Auto-Cancelled — AWARI',
-                            `Hi ${booking.user.firstName}, your booking for ${booking.property?.title || 'the property'} has been automatically cancelled because it was not confirmed within ${autoCancelHours} hours. ${refundText}`,
-                            'booking-cancelled',
-                            {
+                        // Cancellation and refund notices are transactional and always delivered
+                        await dispatchEmail(booking.user, {
+                            subject: 'Booking Auto-Cancelled — AWARI',
+                            text: `Hi ${booking.user.firstName}, your booking for ${booking.property?.title || 'the property'} has been automatically cancelled because it was not confirmed within ${autoCancelHours} hours. ${refundText}`,
+                            template: 'booking-cancelled',
+                            context: {
                                 user: booking.user,
                                 booking,
                                 property: booking.property,
                                 refundProcessed,
-                                refundAmount: refundProcessed ? parseFloat(booking.totalPrice).toLocaleString() : null,
+                                refundAmount: refundProcessed ? refund.guestRefund.toLocaleString() : null,
                                 autoCancelHours,
                                 isAutoCancel: true,
                                 actionUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/properties` : 'https://awarihomes.com/properties',
                                 actionText: 'Find Alternative Properties'
                             }
-                        );
+                        }, { category: 'booking', mandatory: true });
                         console.log(`   ✅ Cancellation email sent to ${booking.user.email}`);
                     } catch (emailError) {
                         console.error(`   ❌ Failed to send email: ${emailError.message}`);
@@ -201,18 +200,19 @@ async function autoCancelBookings() {
 
                     // Create in-app notification for guest
                     try {
-                        await createNotification({
+                        await createAndSendNotification({
                             userId: booking.userId,
                             title: 'Booking Auto-Cancelled',
-                            message: `Your booking for ${booking.property?.title || 'the property'} has been automatically cancelled because it was not confirmed within ${autoCancelHours} hours.${refundProcessed ? ` A refund of ₦${parseFloat(booking.totalPrice).toLocaleString()} has been credited to your AWARI wallet.` : ''}`,
-                            type: 'booking_cancelled',
+                            message: `Your booking for ${booking.property?.title || 'the property'} has been automatically cancelled because it was not confirmed within ${autoCancelHours} hours.${refundProcessed ? ` A refund of ₦${refund.guestRefund.toLocaleString()} has been credited to your AWARI wallet.` : ''}`,
+                            type: 'warning',
                             category: 'booking',
                             priority: 'high',
+                            mandatory: true,
                             bookingId: booking.id,
                             propertyId: booking.propertyId,
                             metadata: {
                                 refundProcessed,
-                                refundAmount: refundProcessed ? parseFloat(booking.totalPrice) : null,
+                                refundAmount: refundProcessed ? refund.guestRefund : null,
                                 autoCancelHours,
                                 isAutoCancel: true
                             }
@@ -226,25 +226,24 @@ async function autoCancelBookings() {
                 // Send notification email to owner about missed confirmation
                 if (booking.owner?.email) {
                     try {
-                        await sendEmail(
-                            booking.owner.email,
-                            'Booking Expired — Not Confirmed in Time',
-                            `Hi ${booking.owner.firstName}, a booking for your property "${booking.property?.title || ''}" by ${booking.user?.firstName} ${booking.user?.lastName} was automatically cancelled because it was not confirmed within ${autoCancelHours} hours. Please try to confirm bookings promptly to avoid losing guests.`,
-                            null, // plain text email, no template
-                            null
-                        );
-                        console.log(`   ✅ Owner notification sent to ${booking.owner.email}`);
+                        const ownerEmail = await dispatchEmail(booking.owner, {
+                            subject: 'Booking Expired — Not Confirmed in Time',
+                            text: `Hi ${booking.owner.firstName}, a booking for your property "${booking.property?.title || ''}" by ${booking.user?.firstName} ${booking.user?.lastName} was automatically cancelled because it was not confirmed within ${autoCancelHours} hours. Please try to confirm bookings promptly to avoid losing guests.`
+                        }, { category: 'booking' });
+                        console.log(ownerEmail.skipped
+                            ? `   ⏭️ Owner email skipped (${ownerEmail.reason}) for ${booking.owner.email}`
+                            : `   ✅ Owner notification sent to ${booking.owner.email}`);
                     } catch (emailError) {
                         console.error(`   ❌ Failed to send owner email: ${emailError.message}`);
                     }
 
                     // Create in-app notification for owner
                     try {
-                        await createNotification({
+                        await createAndSendNotification({
                             userId: booking.ownerId,
                             title: 'Booking Missed Confirmation',
                             message: `A booking for your property "${booking.property?.title || ''}" by ${booking.user?.firstName} ${booking.user?.lastName} was automatically cancelled because it was not confirmed within ${autoCancelHours} hours. Please confirm bookings promptly to avoid losing guests.`,
-                            type: 'booking_missed_confirmation',
+                            type: 'warning',
                             category: 'booking',
                             priority: 'high',
                             bookingId: booking.id,
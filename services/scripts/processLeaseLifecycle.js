@@ -0,0 +1,42 @@
+import { processLeaseLifecycle as runLeaseLifecycle } from '../leaseService.js';
+
+/**
+ * Lease Lifecycle Script
+ *
+ * Starts leases whose start date has arrived, flags leases entering their
+ * renewal notice window (renewal_due) and closes leases that have ended
+ * (expired, or renewed when a successor lease exists). Landlords and tenants
+ * are notified, and properties are marked rented or put back on the market.
+ *
+ * Should be run daily via cron job.
+ */
+
+async function processLeaseLifecycle() {
+    console.log('📄 [LEASE LIFECYCLE] Updating lease statuses...');
+
+    try {
+        const summary = await runLeaseLifecycle();
+
+        console.log(`📈 [LEASE LIFECYCLE] Started: ${summary.started}, Renewal due: ${summary.renewalDue}, Expired: ${summary.expired}, Renewed: ${summary.renewed}, Failed: ${summary.failed}`);
+
+        return { success: true, ...summary };
+    } catch (error) {
+        console.error('❌ [LEASE LIFECYCLE] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    processLeaseLifecycle()
+        .then((result) => {
+            console.log('🏁 [LEASE LIFECYCLE] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [LEASE LIFECYCLE] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default processLeaseLifecycle;
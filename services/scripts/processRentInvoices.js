@@ -0,0 +1,41 @@
+import { processRentInvoices as runRentInvoicing } from '../rentInvoiceService.js';
+
+/**
+ * Rent Invoicing Script
+ *
+ * Issues rent invoices for lease periods falling due within the lead time,
+ * marks unpaid invoices overdue once the lease's grace period has passed
+ * (adding its late fee) and sends upcoming, due and overdue reminders.
+ *
+ * Should be run daily via cron job, after the lease lifecycle job.
+ */
+
+async function processRentInvoices() {
+    console.log('🧾 [RENT INVOICING] Processing rent invoices...');
+
+    try {
+        const summary = await runRentInvoicing();
+
+        console.log(`📈 [RENT INVOICING] Issued: ${summary.issued}, Overdue: ${summary.overdue}, Late fees: ${summary.lateFees}, Reminders: ${summary.reminders}, Failed: ${summary.failed}`);
+
+        return { success: true, ...summary };
+    } catch (error) {
+        console.error('❌ [RENT INVOICING] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    processRentInvoices()
+        .then((result) => {
+            console.log('🏁 [RENT INVOICING] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [RENT INVOICING] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default processRentInvoices;
@@ -0,0 +1,66 @@
+import {
+    sendRenewalReminders,
+    processDueRenewals,
+    expireLapsedSubscriptions
+} from '../subscriptionRenewalService.js';
+
+/**
+ * Subscription Renewal Script
+ *
+ * Runs the subscription billing cycle:
+ *   1. Reminds landlords whose subscription renews in the next few days
+ *   2. Charges subscriptions whose nextBillingDate has arrived (wallet first, then saved card)
+ *   3. Retries failed charges on the dunning schedule and expires them once the grace period ends
+ *   4. Expires subscriptions that reached their end date without auto-renewal
+ *
+ * Should be run daily via cron job.
+ */
+
+async function processSubscriptionRenewals() {
+    console.log('🔁 [SUBSCRIPTION RENEWALS] Starting subscription renewals...');
+    const now = new Date();
+
+    try {
+        const reminded = await sendRenewalReminders(now);
+        console.log(`📧 [SUBSCRIPTION RENEWALS] Reminders sent: ${reminded}`);
+
+        const renewals = await processDueRenewals(now);
+        const lapsed = await expireLapsedSubscriptions(now);
+
+        console.log('📈 [SUBSCRIPTION RENEWALS] Summary:');
+        console.log(`   Charged: ${renewals.charged}`);
+        console.log(`   Renewed: ${renewals.renewed}`);
+        console.log(`   Failed: ${renewals.failed}`);
+        console.log(`   Awaiting Paystack: ${renewals.pending}`);
+        console.log(`   Expired: ${renewals.expired + lapsed}`);
+
+        return {
+            success: true,
+            reminded,
+            charged: renewals.charged,
+            renewed: renewals.renewed,
+            failed: renewals.failed,
+            pending: renewals.pending,
+            expired: renewals.expired + lapsed,
+            errors: renewals.errors
+        };
+    } catch (error) {
+        console.error('❌ [SUBSCRIPTION RENEWALS] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    processSubscriptionRenewals()
+        .then((result) => {
+            console.log('🏁 [SUBSCRIPTION RENEWALS] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [SUBSCRIPTION RENEWALS] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default processSubscriptionRenewals;
@@ -0,0 +1,40 @@
+import { purgeStaleSessions as purgeSessions } from '../sessionService.js';
+
+/**
+ * Stale Session Purge Script
+ *
+ * Deletes device sessions that expired or were revoked more than 30 days ago.
+ * Active sessions are never touched.
+ *
+ * Should be run daily via cron job.
+ */
+
+async function purgeStaleSessions() {
+    console.log('🔑 [SESSION PURGE] Deleting stale sessions...');
+
+    try {
+        const deleted = await purgeSessions();
+
+        console.log(`📈 [SESSION PURGE] Deleted: ${deleted}`);
+
+        return { success: true, deleted };
+    } catch (error) {
+        console.error('❌ [SESSION PURGE] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    purgeStaleSessions()
+        .then((result) => {
+            console.log('🏁 [SESSION PURGE] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [SESSION PURGE] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default purgeStaleSessions;
@@ -0,0 +1,176 @@
+import Wallet from '../../schema/Wallet.js';
+import WalletTransaction from '../../schema/WalletTransaction.js';
+import { WALLET_OPERATIONS, getTransactionOperation } from '../walletService.js';
+
+/**
+ * Wallet Reconciliation Script
+ *
+ * Confirms that every wallet's stored balances match its transaction ledger:
+ *   availableBalance === sum of available-side movements in wallet_transactions
+ *   pendingBalance   === sum of pending-side movements in wallet_transactions
+ *
+ * Each transaction is classified by its ledger operation (see WALLET_OPERATIONS);
+ * rows from before the operation column existed are classified by type/metadata.
+ * Mismatches are logged and recorded on wallet.metadata.reconciliation for
+ * review. Balances are never corrected automatically.
+ *
+ * Should be run daily via cron job.
+ */
+
+const BATCH_SIZE = 200;
+const TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+/**
+ * Sum a wallet's ledger into expected available/pending balances
+ * @param {string} walletId - Wallet ID
+ * @returns {Object} { available, pending, transactionCount, unknownOperations }
+ */
+export async function getLedgerBalances(walletId) {
+    const transactions = await WalletTransaction.findAll({
+        where: { walletId },
+        attributes: ['id', 'type', 'operation', 'amount', 'releaseDate', 'metadata'],
+        raw: true
+    });
+
+    let available = 0;
+    let pending = 0;
+    const unknownOperations = [];
+
+    for (const txn of transactions) {
+        if (typeof txn.metadata === 'string') {
+            try {
+                txn.metadata = JSON.parse(txn.metadata);
+            } catch {
+                txn.metadata = null;
+            }
+        }
+
+        const operation = getTransactionOperation(txn);
+        const effect = WALLET_OPERATIONS[operation];
+
+        if (!effect) {
+            unknownOperations.push({ transactionId: txn.id, operation });
+            continue;
+        }
+
+        const amount = parseFloat(txn.amount);
+        available += effect.available * amount;
+        pending += effect.pending * amount;
+    }
+
+    return {
+        available: roundAmount(available),
+        pending: roundAmount(pending),
+        transactionCount: transactions.length,
+        unknownOperations
+    };
+}
+
+async function reconcileWallets() {
+    console.log('🧮 [RECONCILE WALLETS] Starting wallet reconciliation...');
+
+    try {
+        let checked = 0;
+        let mismatched = 0;
+        let failed = 0;
+        const mismatches = [];
+        const errors = [];
+        let offset = 0;
+
+        while (true) {
+            const wallets = await Wallet.findAll({
+                attributes: ['id', 'userId', 'availableBalance', 'pendingBalance', 'metadata'],
+                order: [['createdAt', 'ASC']],
+                limit: BATCH_SIZE,
+                offset
+            });
+
+            if (wallets.length === 0) break;
+            offset += wallets.length;
+
+            for (const wallet of wallets) {
+                try {
+                    const ledger = await getLedgerBalances(wallet.id);
+                    const storedAvailable = roundAmount(wallet.availableBalance);
+                    const storedPending = roundAmount(wallet.pendingBalance);
+
+                    const availableDiff = roundAmount(storedAvailable - ledger.available);
+                    const pendingDiff = roundAmount(storedPending - ledger.pending);
+                    const balanced = Math.abs(availableDiff) < TOLERANCE &&
+                        Math.abs(pendingDiff) < TOLERANCE &&
+                        ledger.unknownOperations.length === 0;
+
+                    const reconciliation = {
+                        status: balanced ? 'balanced' : 'mismatch',
+                        checkedAt: new Date().toISOString(),
+                        ledgerAvailable: ledger.available,
+                        ledgerPending: ledger.pending,
+                        availableDiff,
+                        pendingDiff,
+                        transactionCount: ledger.transactionCount
+                    };
+
+                    if (!balanced) {
+                        mismatched++;
+                        mismatches.push({
+                            walletId: wallet.id,
+                            userId: wallet.userId,
+                            storedAvailable,
+                            storedPending,
+                            ...reconciliation,
+                            unknownOperations: ledger.unknownOperations
+                        });
+                        console.warn(`⚠️ [RECONCILE WALLETS] Wallet ${wallet.id} (user ${wallet.userId}) is out of balance`);
+                        console.warn(`   Available: stored ${storedAvailable} | ledger ${ledger.available} | diff ${availableDiff}`);
+                        console.warn(`   Pending:   stored ${storedPending} | ledger ${ledger.pending} | diff ${pendingDiff}`);
+                        if (ledger.unknownOperations.length > 0) {
+                            console.warn(`   Unclassified transactions: ${ledger.unknownOperations.length}`);
+                        }
+                    }
+
+                    // Only touch the wallet row when the outcome changes or a mismatch needs recording
+                    const previous = wallet.metadata?.reconciliation;
+                    if (!balanced || previous?.status !== reconciliation.status) {
+                        await Wallet.update(
+                            { metadata: { ...(wallet.metadata || {}), reconciliation } },
+                            { where: { id: wallet.id }, silent: true }
+                        );
+                    }
+
+                    checked++;
+                } catch (error) {
+                    failed++;
+                    console.error(`❌ [RECONCILE WALLETS] Failed to reconcile wallet ${wallet.id}:`, error.message);
+                    errors.push({ walletId: wallet.id, error: error.message });
+                }
+            }
+        }
+
+        console.log('📈 [RECONCILE WALLETS] Summary:');
+        console.log(`   Checked: ${checked}`);
+        console.log(`   Mismatched: ${mismatched}`);
+        console.log(`   Failed: ${failed}`);
+
+        return { success: true, checked, mismatched, failed, mismatches, errors };
+    } catch (error) {
+        console.error('❌ [RECONCILE WALLETS] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    reconcileWallets()
+        .then((result) => {
+            console.log('🏁 [RECONCILE WALLETS] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [RECONCILE WALLETS] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default reconcileWallets;
@@ -1,5 +1,6 @@
 import Booking from '../../schema/Booking.js';
 import walletService from '../walletService.js';
+import { settleBookingCommission } from '../agencyService.js';
 import { Op } from 'sequelize';
 
 /**
@@ -55,6 +56,9 @@ async function releaseCompletedBookings() {
                 // Release pending funds to available balance
                 await walletService.releasePending(booking.id);
 
+                // Pay the managing agency its commission, if the property has one
+                await settleBookingCommission(booking);
+
                 processed++;
                 console.log(`✅ [RELEASE FUNDS] Successfully released funds for booking ${booking.id}`);
 
@@ -0,0 +1,40 @@
+import { sendDeferredNotifications as sendDue } from '../notificationService.js';
+
+/**
+ * Deferred Notifications Script
+ *
+ * Sends the push, SMS and WhatsApp deliveries that were held back because
+ * they were requested during the recipient's quiet hours.
+ *
+ * Should be run every few minutes via cron job.
+ */
+
+async function sendDeferredNotifications() {
+    console.log('🌙 [DEFERRED NOTIFICATIONS] Sending notifications held for quiet hours...');
+
+    try {
+        const { processed, failed } = await sendDue(new Date());
+
+        console.log(`📈 [DEFERRED NOTIFICATIONS] Sent: ${processed}, Failed: ${failed}`);
+
+        return { success: true, processed, failed };
+    } catch (error) {
+        console.error('❌ [DEFERRED NOTIFICATIONS] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    sendDeferredNotifications()
+        .then((result) => {
+            console.log('🏁 [DEFERRED NOTIFICATIONS] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [DEFERRED NOTIFICATIONS] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default sendDeferredNotifications;
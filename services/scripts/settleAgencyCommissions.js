@@ -0,0 +1,41 @@
+import { retryFailedCommissions } from '../agencyService.js';
+
+/**
+ * Agency Commission Retry Script
+ *
+ * Pays out commission splits that failed (or were interrupted) when the
+ * booking or rent payout was released. Splits that have used up
+ * AGENCY_COMMISSION_MAX_ATTEMPTS are left for manual review.
+ *
+ * Should be run daily via cron job.
+ */
+
+async function settleAgencyCommissions() {
+    console.log('🏢 [AGENCY COMMISSIONS] Retrying unsettled commission splits...');
+
+    try {
+        const { retried, settled, failed } = await retryFailedCommissions();
+
+        console.log(`📈 [AGENCY COMMISSIONS] Retried: ${retried}, Settled: ${settled}, Failed: ${failed}`);
+
+        return { success: true, retried, settled, failed };
+    } catch (error) {
+        console.error('❌ [AGENCY COMMISSIONS] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    settleAgencyCommissions()
+        .then((result) => {
+            console.log('🏁 [AGENCY COMMISSIONS] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [AGENCY COMMISSIONS] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default settleAgencyCommissions;
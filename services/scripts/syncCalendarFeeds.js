@@ -0,0 +1,41 @@
+import { syncAllFeeds } from '../calendarSyncService.js';
+
+/**
+ * Calendar Feed Sync Script
+ *
+ * Polls every active iCal feed imported from other channels and reconciles
+ * its nights into property availability (reason external_sync). Nights that
+ * left a feed are released; failures are recorded on the feed.
+ *
+ * Should be run hourly via cron job.
+ */
+
+async function syncCalendarFeeds() {
+    console.log('📅 [CALENDAR SYNC] Syncing imported calendar feeds...');
+
+    try {
+        const { processed, succeeded, failed } = await syncAllFeeds();
+
+        console.log(`📈 [CALENDAR SYNC] Feeds: ${processed}, Synced: ${succeeded}, Failed: ${failed}`);
+
+        return { success: true, processed, succeeded, failed };
+    } catch (error) {
+        console.error('❌ [CALENDAR SYNC] Fatal error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    syncCalendarFeeds()
+        .then((result) => {
+            console.log('🏁 [CALENDAR SYNC] Script completed');
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 [CALENDAR SYNC] Script crashed:', error);
+            process.exit(1);
+        });
+}
+
+export default syncCalendarFeeds;
@@ -0,0 +1,308 @@
+import { Property, PropertyMedia, User } from '../schema/index.js';
+import { getSearchEngine } from '../providers/search/index.js';
+import { remember, CACHE_NAMESPACES } from './cacheService.js';
+
+/**
+ * Search Service
+ * Property search on top of a pluggable engine (providers/search): relevance
+ * ranking with typo tolerance, amenity/feature facets, radius and bounding-box
+ * geo filters, and availability filtering applied before pagination. Keeps the
+ * engine's index in sync with property writes.
+ */
+
+const SEARCH_CACHE_TTL = parseInt(process.env.CACHE_PROPERTY_SEARCH_TTL, 10) || 60;
+const AVAILABILITY_LISTING_TYPES = ['shortlet', 'rent', 'hotel'];
+const REINDEX_BATCH_SIZE = 200;
+
+// Property columns copied into the search document; other updates do not touch the index
+const INDEXED_FIELDS = [
+  'title', 'shortDescription', 'description', 'propertyType', 'listingType',
+  'address', 'neighborhood', 'landmark', 'city', 'state', 'country',
+  'amenities', 'features', 'tags'
+];
+
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+const toBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true' || value === '1' || value === 1;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Translate getAllProperties-style options into an engine query
+ */
+const buildSearchQuery = (options) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100);
+  const listingTypes = options.listingType ? options.listingType.split(',').map(t => t.trim()) : [];
+
+  const lat = toNumber(options.lat);
+  const lng = toNumber(options.lng);
+  const radiusKm = toNumber(options.radiusKm);
+  const bounds = ['north', 'south', 'east', 'west'].every(side => toNumber(options[side]) !== undefined)
+    ? {
+      north: toNumber(options.north),
+      south: toNumber(options.south),
+      east: toNumber(options.east),
+      west: toNumber(options.west)
+    }
+    : null;
+  const center = lat !== undefined && lng !== undefined
+    ? { lat, lng, radiusKm: radiusKm || 10 }
+    : null;
+
+  const wantsAvailability = options.checkInDate && options.checkOutDate &&
+    (listingTypes.length === 0 || listingTypes.some(type => AVAILABILITY_LISTING_TYPES.includes(type)));
+
+  const defaultSort = options.search ? 'relevance' : 'createdAt';
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    text: options.search ? String(options.search).trim() : null,
+    filters: {
+      propertyType: options.propertyType,
+      listingTypes,
+      status: options.status,
+      ownerId: options.ownerId,
+      city: options.city,
+      state: options.state,
+      country: options.country,
+      bedrooms: toNumber(options.bedrooms),
+      bathrooms: toNumber(options.bathrooms),
+      furnished: toBoolean(options.furnished),
+      petFriendly: toBoolean(options.petFriendly),
+      featured: toBoolean(options.featured),
+      minPrice: toNumber(options.minPrice),
+      maxPrice: toNumber(options.maxPrice),
+      amenities: toList(options.amenities),
+      features: toList(options.features)
+    },
+    geo: center || bounds ? { center, bounds } : null,
+    availability: wantsAvailability
+      ? { checkInDate: options.checkInDate, checkOutDate: options.checkOutDate }
+      : null,
+    sort: { field: options.sortBy || defaultSort, order: options.sortOrder || 'DESC' },
+    facets: options.facets !== false && options.facets !== 'false'
+  };
+};
+
+/**
+ * Load full listings for engine hits, keeping the engine's order
+ */
+const loadProperties = async (hits) => {
+  if (hits.length === 0) return [];
+
+  const rows = await Property.findAll({
+    where: { id: hits.map(hit => hit.id) },
+    include: [
+      {
+        model: User,
+        as: 'owner',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl'],
+        paranoid: false // Include soft-deleted owners to check their status
+      },
+      {
+        model: User,
+        as: 'agent',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl'],
+        required: false,
+        paranoid: false // Include soft-deleted agents to check their status
+      },
+      {
+        model: PropertyMedia,
+        as: 'media',
+        where: { isActive: true },
+        required: false,
+        order: [['order', 'ASC']]
+      }
+    ]
+  });
+
+  const byId = new Map(rows.map(row => [row.id, row.get({ plain: true })]));
+
+  return hits
+    .filter(hit => byId.has(hit.id))
+    .map((hit) => {
+      const property = byId.get(hit.id);
+      if (hit.relevance !== undefined) property.relevance = hit.relevance;
+      if (hit.distanceKm !== undefined) property.distanceKm = hit.distanceKm;
+      return property;
+    });
+};
+
+/**
+ * Search properties
+ * @param {Object} options - getAllProperties filters plus search, amenities, features,
+ *   lat/lng/radiusKm, north/south/east/west, checkInDate/checkOutDate, sortBy (incl. relevance, distance)
+ * @returns {Object} Result with properties, pagination, facets and search metadata
+ */
+export const searchProperties = async (options = {}) => {
+  const query = buildSearchQuery(options);
+
+  const run = async () => {
+    const result = await getSearchEngine().search(query);
+    return {
+      properties: await loadProperties(result.hits),
+      total: result.total,
+      facets: result.facets,
+      corrections: result.corrections
+    };
+  };
+
+  // Availability changes with every booking, so date-filtered searches are not cached
+  const found = query.availability
+    ? await run()
+    : await remember(CACHE_NAMESPACES.PROPERTY_SEARCH, options, SEARCH_CACHE_TTL, run);
+
+  return {
+    success: true,
+    data: {
+      properties: found.properties,
+      pagination: {
+        total: found.total,
+        page: query.page,
+        limit: query.limit,
+        pages: Math.ceil(found.total / query.limit)
+      },
+      facets: found.facets,
+      search: {
+        query: query.text,
+        sortBy: query.sort.field,
+        corrections: found.corrections
+      }
+    }
+  };
+};
+
+/**
+ * Autocomplete suggestions for the search box
+ * @param {string} text - Partial query
+ * @param {number} limit - Maximum suggestions per group
+ * @returns {Object} Result with matching listings and locations
+ */
+export const suggestProperties = async (text, limit = 8) => {
+  const suggestions = await remember(
+    CACHE_NAMESPACES.PROPERTY_SEARCH,
+    { suggest: String(text).trim().toLowerCase(), limit },
+    SEARCH_CACHE_TTL,
+    () => getSearchEngine().suggest(text, { limit })
+  );
+
+  return {
+    success: true,
+    data: suggestions
+  };
+};
+
+/**
+ * Write a property's current state to the search index
+ * @param {string} propertyId - Property ID
+ */
+export const indexProperty = async (propertyId) => {
+  const property = await Property.findByPk(propertyId);
+  const engine = getSearchEngine();
+
+  if (!property) {
+    await engine.removeDocument(propertyId);
+    return null;
+  }
+
+  return engine.indexDocument(property);
+};
+
+/**
+ * Rebuild the index for every property (backfill after deploy or engine switch)
+ * @returns {Object} { indexed, failed }
+ */
+export const reindexAllProperties = async () => {
+  const engine = getSearchEngine();
+  let indexed = 0;
+  let failed = 0;
+  let offset = 0;
+
+  for (;;) {
+    const batch = await Property.findAll({
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: REINDEX_BATCH_SIZE,
+      offset
+    });
+    if (batch.length === 0) break;
+
+    for (const property of batch) {
+      try {
+        await engine.indexDocument(property);
+        indexed++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to index property ${property.id}:`, error.message);
+      }
+    }
+
+    offset += batch.length;
+  }
+
+  return { indexed, failed };
+};
+
+const queueIndex = (propertyIds, options = {}) => {
+  const run = () => Promise.all(propertyIds.map(id => indexProperty(id)))
+    .catch(error => console.error('❌ Search index sync failed:', error.message));
+
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+const touchesIndex = (options = {}) =>
+  !options.fields || options.fields.some(field => INDEXED_FIELDS.includes(field));
+
+/**
+ * Keep the index in sync with property creates, edits and moderation.
+ * Deleting a property removes its document through the foreign key cascade.
+ */
+const registerSearchIndexSync = () => {
+  Property.addHook('afterCreate', 'searchIndex:afterCreate', (property, options) => {
+    queueIndex([property.id], options);
+  });
+
+  Property.addHook('afterUpdate', 'searchIndex:afterUpdate', (property, options) => {
+    if (touchesIndex(options)) queueIndex([property.id], options);
+  });
+
+  Property.addHook('afterBulkCreate', 'searchIndex:afterBulkCreate', (properties, options) => {
+    queueIndex(properties.map(property => property.id), options);
+  });
+
+  Property.addHook('afterBulkUpdate', 'searchIndex:afterBulkUpdate', async (options) => {
+    if (!touchesIndex(options)) return;
+    const rows = await Property.findAll({
+      where: options.where,
+      attributes: ['id'],
+      transaction: options.transaction
+    });
+    queueIndex(rows.map(row => row.id), options);
+  });
+};
+
+registerSearchIndexSync();
+
+export default {
+  searchProperties,
+  suggestProperties,
+  indexProperty,
+  reindexAllProperties
+};
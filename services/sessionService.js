@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import { User, UserSession } from '../schema/index.js';
+import { generateToken as generateJWTToken } from '../utils/index.js';
+import websocketService from './websocketService.js';
+
+/**
+ * Session Service
+ * Every sign-in creates a UserSession for the device and returns a pair of
+ * tokens:
+ *
+ *   access token  - short-lived JWT carrying the session id (sid); checked
+ *                   against the session on every request and socket handshake
+ *   refresh token - opaque "<sessionId>.<secret>", exchanged for a new pair
+ *                   and rotated on every use
+ *
+ * Presenting a refresh token that has already been rotated means it was
+ * copied, so the whole session (the token family) is revoked. The token
+ * replaced by the last rotation is tolerated for a few seconds so two tabs
+ * refreshing at once don't sign the user out.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10) || 10;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+const PURGE_AFTER_DAYS = 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Short label for a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Label
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Version\/.*Safari\//], ['AWARI app', /okhttp|Dart|CFNetwork|Expo/i]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iOS/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const signAccessToken = (user, sessionId) => {
+  const accessToken = generateJWTToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    sid: sessionId
+  }, ACCESS_TOKEN_TTL);
+
+  return {
+    accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000)
+  };
+};
+
+const buildTokenPair = (user, session, secret) => {
+  const { accessToken, accessTokenExpiresAt } = signAccessToken(user, session.id);
+
+  return {
+    token: accessToken,
+    refreshToken: `${session.id}.${secret}`,
+    accessTokenExpiresAt,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Start a session for a user who has just authenticated
+ * @param {Object} user - User instance
+ * @param {Object} [meta] - { userAgent, ipAddress, deviceName, mfaVerified }
+ * @returns {Object} { token, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt, sessionId }
+ */
+export const createSession = async (user, meta = {}) => {
+  const secret = generateSecret();
+
+  const session = await UserSession.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: meta.deviceName?.slice(0, 100) || describeUserAgent(meta.userAgent),
+    userAgent: meta.userAgent?.slice(0, 500) || null,
+    ipAddress: meta.ipAddress || null,
+    lastSeenIp: meta.ipAddress || null,
+    lastSeenAt: new Date(),
+    mfaVerifiedAt: meta.mfaVerified ? new Date() : null,
+    expiresAt: refreshExpiry()
+  });
+
+  console.log(`🔑 [SESSION] Session ${session.id} started for user ${user.id} (${session.deviceName})`);
+
+  return buildTokenPair(user, session, secret);
+};
+
+const revokeWhere = async (where, reason) => {
+  const sessions = await UserSession.findAll({ where: { ...where, revokedAt: null }, attributes: ['id'] });
+  if (sessions.length === 0) return 0;
+
+  const sessionIds = sessions.map((session) => session.id);
+  await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: { [Op.in]: sessionIds }, revokedAt: null } }
+  );
+
+  websocketService.disconnectSessions(sessionIds);
+  return sessionIds.length;
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token from the last sign-in or refresh
+ * @param {Object} [meta] - { ipAddress }
+ * @returns {Object} Result object with the new token pair
+ */
+export const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  try {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed && await UserSession.findByPk(parsed.sessionId);
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return { success: false, message: 'Session has expired. Please sign in again.', statusCode: 401 };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+      const withinGrace = presentedHash === session.previousTokenHash &&
+        session.rotatedAt &&
+        Date.now() - new Date(session.rotatedAt).getTime() < REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+      if (withinGrace) {
+        return { success: false, message: 'Refresh token was already used. Retry with the latest token.', statusCode: 409 };
+      }
+
+      await revokeWhere({ id: session.id }, 'token_reuse');
+      console.warn(`🚨 [SESSION] Refresh token reuse on session ${session.id} (user ${session.userId}), session revoked`);
+      return { success: false, message: 'Session has expired. Please sign in again.', statusCode: 401 };
+    }
+
+    const user = await User.findByPk(session.userId);
+    if (!user || user.status !== 'active') {
+      await revokeWhere({ id: session.id }, 'account_suspended');
+      return { success: false, message: 'Account is not active', statusCode: 403 };
+    }
+
+    const secret = generateSecret();
+    const now = new Date();
+
+    // Only one concurrent refresh can win the swap
+    const [rotated] = await UserSession.update({
+      refreshTokenHash: hashToken(secret),
+      previousTokenHash: session.refreshTokenHash,
+      rotationCount: session.rotationCount + 1,
+      rotatedAt: now,
+      lastSeenAt: now,
+      lastSeenIp: meta.ipAddress || session.lastSeenIp,
+      expiresAt: refreshExpiry()
+    }, {
+      where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null }
+    });
+
+    if (rotated === 0) {
+      return { success: false, message: 'Refresh token was already used. Retry with the latest token.', statusCode: 409 };
+    }
+
+    await session.reload();
+
+    return {
+      success: true,
+      message: 'Token refreshed successfully',
+      data: buildTokenPair(user, session, secret),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Rotate refresh token error:', error);
+    return {
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Check the session behind an access token; keeps lastSeenAt roughly current
+ * @param {string} sessionId - sid claim
+ * @param {string} userId - id claim
+ * @param {Object} [meta] - { ipAddress }
+ * @returns {Object|null} Active session or null
+ */
+export const validateSession = async (sessionId, userId, meta = {}) => {
+  if (!sessionId) return null;
+
+  const session = await UserSession.findByPk(sessionId);
+  if (!session || session.userId !== userId || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_INTERVAL_MS) {
+    session.update({ lastSeenAt: new Date(), lastSeenIp: meta.ipAddress || session.lastSeenIp }).catch((error) => {
+      console.warn('⚠️ [SESSION] Failed to update last seen:', error.message);
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Record that a second factor was just entered on this device
+ * @param {string} sessionId - Session ID
+ * @returns {Date} Verification time
+ */
+export const markSessionMfaVerified = async (sessionId) => {
+  const mfaVerifiedAt = new Date();
+  await UserSession.update({ mfaVerifiedAt }, { where: { id: sessionId, revokedAt: null } });
+  return mfaVerifiedAt;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session making the request
+ * @returns {Object} Result object
+ */
+export const listSessions = async (userId, currentSessionId = null) => {
+  try {
+    const sessions = await UserSession.findAll({
+      where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+      attributes: ['id', 'deviceName', 'userAgent', 'ipAddress', 'lastSeenAt', 'lastSeenIp', 'createdAt', 'expiresAt'],
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions.map((session) => ({
+        ...session.get({ plain: true }),
+        current: session.id === currentSessionId
+      })),
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve sessions',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Sign one of the user's devices out
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke
+ * @param {string} [reason] - Stored on the session
+ * @returns {Object} Result object
+ */
+export const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  try {
+    const session = await UserSession.findOne({ where: { id: sessionId, userId } });
+    if (!session) {
+      return { success: false, message: 'Session not found', statusCode: 404 };
+    }
+
+    if (!session.revokedAt) {
+      await revokeWhere({ id: session.id }, reason);
+      console.log(`🔒 [SESSION] Session ${session.id} revoked (${reason})`);
+    }
+
+    return {
+      success: true,
+      message: 'Session revoked successfully',
+      data: { sessionId: session.id },
+      statusCode: 200
+    };
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return {
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Sign a user out everywhere, optionally keeping the device making the request
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { reason, exceptSessionId }
+ * @returns {number} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, options = {}) => {
+  const { reason = 'logout_all', exceptSessionId = null } = options;
+
+  const where = { userId };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+  const revoked = await revokeWhere(where, reason);
+  if (revoked > 0) {
+    console.log(`🔒 [SESSION] Revoked ${revoked} session(s) for user ${userId} (${reason})`);
+  }
+  return revoked;
+};
+
+/**
+ * Delete sessions that expired or were revoked more than PURGE_AFTER_DAYS ago
+ * @returns {number} Rows deleted
+ */
+export const purgeStaleSessions = async () => {
+  const cutoff = new Date(Date.now() - PURGE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+
+  return UserSession.destroy({
+    where: {
+      [Op.or]: [
+        { expiresAt: { [Op.lt]: cutoff } },
+        { revokedAt: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+};
+
+export default {
+  describeUserAgent,
+  createSession,
+  rotateRefreshToken,
+  validateSession,
+  markSessionMfaVerified,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  purgeStaleSessions
+};
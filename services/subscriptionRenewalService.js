@@ -0,0 +1,559 @@
+import { Op } from 'sequelize';
+import { Subscription, SubscriptionRenewalAttempt, User, Wallet, Payment, Property } from '../schema/index.js';
+import subscriptionService from './subscriptionService.js';
+import walletService from './walletService.js';
+import paystackService from '../providers/paystack/index.js';
+import { createAndSendNotification } from './notificationService.js';
+import { FREE_TIER } from './entitlementService.js';
+
+/**
+ * Subscription Renewal Service
+ * Renews auto-renewing subscriptions when nextBillingDate arrives. The charge
+ * is taken from the landlord's wallet when it covers the amount, otherwise from
+ * the card saved on their last Paystack subscription payment. Failed charges
+ * are retried on the dunning schedule until the grace period runs out, then the
+ * subscription expires and listings beyond the free tier are unpublished.
+ * Every reminder, charge and expiry is recorded as a SubscriptionRenewalAttempt.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const REMINDER_DAYS = parseInt(process.env.SUBSCRIPTION_RENEWAL_REMINDER_DAYS, 10) || 3;
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS, 10) || 7;
+// Days after the billing date on which failed charges are retried
+const RETRY_SCHEDULE_DAYS = (process.env.SUBSCRIPTION_DUNNING_RETRY_DAYS || '1,3,5')
+  .split(',')
+  .map((value) => parseInt(value, 10))
+  .filter((value) => Number.isInteger(value) && value > 0 && value < GRACE_PERIOD_DAYS);
+// Hours a card charge may stay pending before it is checked with Paystack and, if still open, failed
+const PENDING_CHARGE_TIMEOUT_HOURS = parseInt(process.env.SUBSCRIPTION_PENDING_CHARGE_TIMEOUT_HOURS, 10) || 24;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+const isPendingTooLong = (attempt, now) =>
+  attempt.status === 'pending' &&
+  now.getTime() - new Date(attempt.createdAt).getTime() >= PENDING_CHARGE_TIMEOUT_HOURS * 60 * 60 * 1000;
+
+const notify = async (notification) => {
+  try {
+    await createAndSendNotification({
+      category: 'payment',
+      channels: ['in_app', 'email'],
+      actionText: 'View Subscription',
+      ...notification
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ [SUBSCRIPTION RENEWAL] Failed to send notification:', notificationError.message);
+  }
+};
+
+/**
+ * Amount charged for one billing period
+ * @param {Object} subscription - Subscription instance
+ * @returns {number} Renewal amount
+ */
+export const getRenewalAmount = (subscription) => {
+  if (subscription.billingCycle === 'yearly' && subscription.yearlyPrice !== null) {
+    return roundAmount(subscription.yearlyPrice);
+  }
+  return roundAmount(subscription.monthlyPrice);
+};
+
+/**
+ * Remember a reusable card from a successful Paystack subscription payment
+ * @param {Object} subscription - Subscription instance
+ * @param {Object} data - Paystack transaction data
+ */
+export const saveAuthorization = async (subscription, data) => {
+  const authorization = data?.authorization;
+  if (!authorization?.reusable || !authorization.authorization_code) return;
+
+  // Renewal or activation may have just updated the row
+  await subscription.reload();
+  await subscription.update({
+    metadata: {
+      ...(subscription.metadata || {}),
+      paystackAuthorization: {
+        authorizationCode: authorization.authorization_code,
+        email: data.customer?.email || null,
+        cardType: authorization.card_type || null,
+        last4: authorization.last4 || null,
+        expMonth: authorization.exp_month || null,
+        expYear: authorization.exp_year || null,
+        bank: authorization.bank || null,
+        savedAt: new Date().toISOString()
+      }
+    }
+  });
+};
+
+/**
+ * Start the next billing period after a renewal charge succeeds. Safe to call
+ * more than once for the same billing date.
+ * @param {Object} subscription - Subscription instance
+ * @param {Date|string} billingDate - Billing date the charge was for
+ * @returns {boolean} True if the period was extended by this call
+ */
+export const applyRenewalPayment = async (subscription, billingDate) => {
+  if (subscription.nextBillingDate && new Date(subscription.nextBillingDate) > new Date(billingDate)) {
+    return false;
+  }
+
+  // A lapsed subscription restarts today; otherwise the new period follows on from the old one
+  const periodStart = subscription.status === 'expired' ? new Date() : new Date(billingDate);
+  const endDate = subscriptionService.calculateEndDate(periodStart, subscription.billingCycle);
+  const { dunning, ...metadata } = subscription.metadata || {};
+
+  await subscription.update({
+    status: 'active',
+    startDate: periodStart,
+    endDate,
+    nextBillingDate: subscription.autoRenew ? endDate : null,
+    metadata
+  });
+
+  await notify({
+    userId: subscription.userId,
+    title: 'Subscription Renewed',
+    message: `Your ${subscription.planName} subscription has been renewed until ${formatDate(endDate)}.`,
+    type: 'success',
+    mandatory: true,
+    actionUrl: `/subscriptions/${subscription.id}`
+  });
+
+  return true;
+};
+
+/**
+ * Record a failed charge, schedule the next retry and tell the landlord
+ * @param {Object} attempt - SubscriptionRenewalAttempt instance
+ * @param {Object} subscription - Subscription instance
+ * @param {string} reason - Failure reason
+ */
+const markChargeFailed = async (attempt, subscription, reason) => {
+  const retryOffset = RETRY_SCHEDULE_DAYS[attempt.attemptNumber - 1];
+  const nextRetryAt = retryOffset ? addDays(attempt.billingDate, retryOffset) : null;
+  const graceEndsAt = addDays(attempt.billingDate, GRACE_PERIOD_DAYS);
+
+  await attempt.update({ status: 'failed', failureReason: reason, nextRetryAt });
+
+  await subscription.update({
+    metadata: {
+      ...(subscription.metadata || {}),
+      dunning: {
+        billingDate: new Date(attempt.billingDate).toISOString(),
+        failedAttempts: attempt.attemptNumber,
+        lastFailureReason: reason,
+        nextRetryAt: nextRetryAt ? nextRetryAt.toISOString() : null,
+        graceEndsAt: graceEndsAt.toISOString()
+      }
+    }
+  });
+
+  const retryText = nextRetryAt
+    ? `We will try again on ${formatDate(nextRetryAt)}.`
+    : 'No further automatic attempts will be made.';
+
+  await notify({
+    userId: subscription.userId,
+    title: 'Subscription Payment Failed',
+    message: `We could not renew your ${subscription.planName} subscription (${reason}). ${retryText} Fund your wallet or update your card before ${formatDate(graceEndsAt)} to keep your listings live.`,
+    type: 'warning',
+    mandatory: true,
+    priority: 'high',
+    actionUrl: `/subscriptions/${subscription.id}`
+  });
+};
+
+/**
+ * Settle a Paystack renewal charge once its outcome is known (charge response or webhook)
+ * @param {Object} payment - Payment instance for the renewal charge
+ * @param {boolean} succeeded - Whether Paystack reported success
+ * @param {string} failureReason - Reason when the charge failed
+ */
+export const settleRenewalCharge = async (payment, succeeded, failureReason = null) => {
+  const attempt = await SubscriptionRenewalAttempt.findOne({ where: { reference: payment.reference } });
+  if (!attempt || attempt.status === 'succeeded') return;
+
+  const subscription = await Subscription.findByPk(attempt.subscriptionId);
+  if (!subscription) return;
+
+  if (succeeded) {
+    await attempt.update({ status: 'succeeded', paymentId: payment.id, failureReason: null, nextRetryAt: null });
+    await applyRenewalPayment(subscription, attempt.billingDate);
+    return;
+  }
+
+  if (attempt.status === 'pending') {
+    await markChargeFailed(attempt, subscription, failureReason || 'Card charge failed');
+  }
+};
+
+/**
+ * Settle a charge that is still pending: take Paystack's verdict when it has
+ * one, otherwise fail the attempt once it has waited PENDING_CHARGE_TIMEOUT_HOURS
+ * so dunning can move on. A late success webhook still renews the subscription.
+ * @param {Object} attempt - Pending SubscriptionRenewalAttempt instance
+ * @param {Object} subscription - Subscription instance
+ * @param {Date} now - Current time
+ * @returns {Object} The attempt, reloaded
+ */
+const resolvePendingCharge = async (attempt, subscription, now) => {
+  const verification = attempt.channel === 'paystack_authorization'
+    ? await paystackService.verifyTransaction(attempt.reference, (response) => response)
+    : null;
+  const transaction = verification?.success ? verification.data : null;
+
+  if (transaction?.status === 'success') {
+    await paystackService.handleSuccessfulPayment(transaction);
+  } else if (['failed', 'abandoned', 'reversed'].includes(transaction?.status)) {
+    await paystackService.handleFailedPayment({
+      ...transaction,
+      reference: attempt.reference,
+      gateway_response: transaction.gateway_response || `Charge ${transaction.status}`
+    });
+  } else if (isPendingTooLong(attempt, now)) {
+    console.warn(`⚠️ [SUBSCRIPTION RENEWAL] Charge ${attempt.reference} still pending after ${PENDING_CHARGE_TIMEOUT_HOURS}h; marking it failed`);
+    await markChargeFailed(attempt, subscription, `Charge did not complete within ${PENDING_CHARGE_TIMEOUT_HOURS} hours`);
+  }
+
+  await subscription.reload();
+  return attempt.reload();
+};
+
+/**
+ * Try to collect one billing period for a subscription
+ * @param {Object} subscription - Subscription instance (with user)
+ * @param {number} attemptNumber - Attempt number within the billing period
+ * @returns {Object} SubscriptionRenewalAttempt
+ */
+export const chargeSubscription = async (subscription, attemptNumber = 1) => {
+  const billingDate = subscription.nextBillingDate;
+  const amount = getRenewalAmount(subscription);
+  const currency = subscription.currency || 'NGN';
+  const reference = `SUBRENEW-${subscription.id.substring(0, 8)}-${new Date(billingDate).getTime()}-${attemptNumber}`;
+
+  const attempt = await SubscriptionRenewalAttempt.create({
+    subscriptionId: subscription.id,
+    userId: subscription.userId,
+    attemptType: 'charge',
+    attemptNumber,
+    billingDate,
+    amount,
+    currency,
+    reference
+  });
+
+  if (amount <= 0) {
+    await attempt.update({ status: 'succeeded' });
+    await applyRenewalPayment(subscription, billingDate);
+    return attempt;
+  }
+
+  const description = `${subscription.planName} subscription renewal`;
+
+  // 1. Wallet balance
+  const wallet = await Wallet.findOne({ where: { userId: subscription.userId } });
+  if (wallet?.status === 'active' && parseFloat(wallet.availableBalance) >= amount) {
+    try {
+      const walletTransaction = await walletService.makePayment(
+        subscription.userId,
+        amount,
+        description,
+        null,
+        { type: 'subscription_renewal', subscriptionId: subscription.id, billingDate },
+        {
+          idempotencyKey: `subscription:${subscription.id}:${new Date(billingDate).getTime()}`,
+          journal: { entryType: 'subscription_charge' }
+        }
+      );
+
+      await attempt.update({ channel: 'wallet', status: 'succeeded', walletTransactionId: walletTransaction.id });
+      await applyRenewalPayment(subscription, billingDate);
+      return attempt;
+    } catch (walletError) {
+      console.warn(`⚠️ [SUBSCRIPTION RENEWAL] Wallet charge failed for ${subscription.id}:`, walletError.message);
+    }
+  }
+
+  // 2. Saved Paystack card
+  const authorization = subscription.metadata?.paystackAuthorization;
+  if (!authorization?.authorizationCode) {
+    await markChargeFailed(attempt, subscription, 'Insufficient wallet balance and no saved card');
+    return attempt;
+  }
+
+  await attempt.update({ channel: 'paystack_authorization' });
+
+  const payment = await Payment.create({
+    userId: subscription.userId,
+    propertyId: subscription.id, // Using propertyId field to store subscriptionId
+    amount,
+    currency,
+    status: 'pending',
+    paymentType: 'subscription',
+    paymentMethod: 'card',
+    gateway: 'paystack',
+    reference,
+    transactionId: reference,
+    description,
+    metadata: {
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      planName: subscription.planName,
+      billingCycle: subscription.billingCycle,
+      renewal: true,
+      billingDate,
+      attemptNumber,
+      source: 'awari-backend'
+    }
+  });
+  await attempt.update({ paymentId: payment.id });
+
+  const chargeResult = await paystackService.chargeAuthorization(
+    {
+      authorizationCode: authorization.authorizationCode,
+      email: authorization.email || subscription.user?.email,
+      amount,
+      currency,
+      reference,
+      metadata: payment.metadata
+    },
+    (response) => response
+  );
+
+  if (chargeResult.success && chargeResult.data?.status === 'success') {
+    // Marks the payment completed, posts the journal and settles the attempt
+    await paystackService.handleSuccessfulPayment(chargeResult.data);
+  } else if (!chargeResult.success || chargeResult.data?.status === 'failed') {
+    await paystackService.handleFailedPayment({
+      ...(chargeResult.data || {}),
+      reference,
+      gateway_response: chargeResult.data?.gateway_response || chargeResult.message
+    });
+  }
+  // Any other status (e.g. send_otp) stays pending until the webhook arrives
+
+  return attempt.reload();
+};
+
+/**
+ * Expire a subscription and unpublish listings beyond the free tier
+ * @param {Object} subscription - Subscription instance
+ * @param {string} reason - Why the subscription expired
+ * @returns {Object} SubscriptionRenewalAttempt recording the expiry
+ */
+export const expireSubscription = async (subscription, reason) => {
+  const billingDate = subscription.nextBillingDate || subscription.endDate || new Date();
+
+  await subscription.update({
+    status: 'expired',
+    nextBillingDate: null
+  });
+
+  const activeProperties = await Property.findAll({
+    where: { ownerId: subscription.userId, status: 'active' },
+    attributes: ['id'],
+    order: [['createdAt', 'ASC']]
+  });
+  const unpublishedIds = activeProperties.slice(FREE_TIER.maxProperties).map((property) => property.id);
+
+  if (unpublishedIds.length > 0) {
+    await Property.update({ status: 'inactive' }, { where: { id: unpublishedIds } });
+  }
+
+  const attempt = await SubscriptionRenewalAttempt.create({
+    subscriptionId: subscription.id,
+    userId: subscription.userId,
+    attemptType: 'expiry',
+    billingDate,
+    status: 'succeeded',
+    failureReason: reason,
+    metadata: {
+      freeTierMaxProperties: FREE_TIER.maxProperties,
+      unpublishedPropertyIds: unpublishedIds
+    }
+  });
+
+  const listingText = unpublishedIds.length > 0
+    ? ` ${unpublishedIds.length} listing(s) above the free plan limit have been unpublished.`
+    : '';
+
+  await notify({
+    userId: subscription.userId,
+    title: 'Subscription Expired',
+    message: `Your ${subscription.planName} subscription has expired.${listingText} Renew to restore your plan benefits.`,
+    type: 'error',
+    mandatory: true,
+    priority: 'high',
+    actionUrl: `/subscriptions/${subscription.id}`,
+    actionText: 'Renew Subscription'
+  });
+
+  return attempt;
+};
+
+/**
+ * Remind landlords whose subscription renews within REMINDER_DAYS
+ * @param {Date} now - Current time
+ * @returns {number} Reminders sent
+ */
+export const sendRenewalReminders = async (now = new Date()) => {
+  const subscriptions = await Subscription.findAll({
+    where: {
+      status: 'active',
+      autoRenew: true,
+      nextBillingDate: { [Op.gt]: now, [Op.lte]: addDays(now, REMINDER_DAYS) }
+    }
+  });
+
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    const existing = await SubscriptionRenewalAttempt.findOne({
+      where: {
+        subscriptionId: subscription.id,
+        attemptType: 'reminder',
+        billingDate: subscription.nextBillingDate
+      }
+    });
+    if (existing) continue;
+
+    const amount = getRenewalAmount(subscription);
+    const card = subscription.metadata?.paystackAuthorization;
+    const methodText = card?.last4
+      ? `your wallet or the card ending ${card.last4}`
+      : 'your wallet';
+
+    await notify({
+      userId: subscription.userId,
+      title: 'Subscription Renewal Reminder',
+      message: `Your ${subscription.planName} subscription renews on ${formatDate(subscription.nextBillingDate)}. ${subscription.currency || 'NGN'} ${amount} will be charged to ${methodText}.`,
+      type: 'reminder',
+      actionUrl: `/subscriptions/${subscription.id}`
+    });
+
+    await SubscriptionRenewalAttempt.create({
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      attemptType: 'reminder',
+      billingDate: subscription.nextBillingDate,
+      status: 'sent',
+      amount,
+      currency: subscription.currency || 'NGN'
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Charge, retry or expire every subscription whose billing date has passed
+ * @param {Date} now - Current time
+ * @returns {Object} { charged, renewed, failed, pending, expired, errors }
+ */
+export const processDueRenewals = async (now = new Date()) => {
+  const summary = { charged: 0, renewed: 0, failed: 0, pending: 0, expired: 0, errors: [] };
+
+  const subscriptions = await Subscription.findAll({
+    where: {
+      status: 'active',
+      autoRenew: true,
+      billingCycle: { [Op.ne]: 'custom' },
+      nextBillingDate: { [Op.lte]: now },
+      [Op.or]: [{ trialEndDate: null }, { trialEndDate: { [Op.lte]: now } }]
+    },
+    include: [{ model: User, as: 'user', attributes: ['id', 'email'] }]
+  });
+
+  for (const subscription of subscriptions) {
+    try {
+      const billingDate = subscription.nextBillingDate;
+      const graceOver = now >= addDays(billingDate, GRACE_PERIOD_DAYS);
+      let lastAttempt = await SubscriptionRenewalAttempt.findOne({
+        where: { subscriptionId: subscription.id, attemptType: 'charge', billingDate },
+        order: [['attemptNumber', 'DESC']]
+      });
+
+      if (lastAttempt?.status === 'pending' && (graceOver || isPendingTooLong(lastAttempt, now))) {
+        lastAttempt = await resolvePendingCharge(lastAttempt, subscription, now);
+      }
+
+      if (lastAttempt?.status === 'succeeded') {
+        // Charge went through but the period was never advanced
+        await applyRenewalPayment(subscription, billingDate);
+        summary.renewed++;
+        continue;
+      }
+
+      let attemptNumber = 1;
+      if (lastAttempt) {
+        // Expiry comes before the pending check so a charge that never settles cannot hold the subscription open
+        if (graceOver) {
+          await expireSubscription(subscription, `Renewal payment not received after ${lastAttempt.attemptNumber} attempt(s)`);
+          summary.expired++;
+          continue;
+        }
+
+        if (lastAttempt.status === 'pending') {
+          summary.pending++;
+          continue;
+        }
+
+        if (!lastAttempt.nextRetryAt || now < new Date(lastAttempt.nextRetryAt)) {
+          continue;
+        }
+        attemptNumber = lastAttempt.attemptNumber + 1;
+      }
+
+      const attempt = await chargeSubscription(subscription, attemptNumber);
+      summary.charged++;
+      if (attempt.status === 'succeeded') summary.renewed++;
+      else if (attempt.status === 'failed') summary.failed++;
+      else summary.pending++;
+    } catch (error) {
+      console.error(`❌ [SUBSCRIPTION RENEWAL] Failed to process subscription ${subscription.id}:`, error.message);
+      summary.errors.push({ subscriptionId: subscription.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Expire active subscriptions that will not renew and whose end date has passed
+ * @param {Date} now - Current time
+ * @returns {number} Subscriptions expired
+ */
+export const expireLapsedSubscriptions = async (now = new Date()) => {
+  const subscriptions = await Subscription.findAll({
+    where: {
+      status: 'active',
+      endDate: { [Op.lte]: now },
+      [Op.or]: [{ autoRenew: false }, { nextBillingDate: null }]
+    }
+  });
+
+  for (const subscription of subscriptions) {
+    await expireSubscription(subscription, 'Subscription period ended without auto-renewal');
+  }
+
+  return subscriptions.length;
+};
+
+export default {
+  getRenewalAmount,
+  saveAuthorization,
+  applyRenewalPayment,
+  settleRenewalCharge,
+  chargeSubscription,
+  expireSubscription,
+  sendRenewalReminders,
+  processDueRenewals,
+  expireLapsedSubscriptions
+};
@@ -1,7 +1,7 @@
-import { Subscription, SubscriptionPlan, User, Payment } from '../schema/index.js';
+import { Subscription, SubscriptionPlan, SubscriptionRenewalAttempt, User, Payment } from '../schema/index.js';
 import { Op } from 'sequelize';
 import subscriptionPlanService from './subscriptionPlanService.js';
-import { createNotification } from './notificationService.js';
+import { createAndSendNotification } from './notificationService.js';
 
 const PLAN_ATTRIBUTES = [
   'id',
@@ -353,8 +353,17 @@ class SubscriptionService {
             model: Payment,
             as: 'payments',
             required: false,
+            separate: true,
             order: [['createdAt', 'DESC']],
             limit: 10
+          },
+          {
+            model: SubscriptionRenewalAttempt,
+            as: 'renewalAttempts',
+            required: false,
+            separate: true,
+            order: [['createdAt', 'DESC']],
+            limit: 50
           }
         ]
       });
@@ -419,13 +428,14 @@ class SubscriptionService {
 
       // Send notification
       try {
-        await createNotification({
+        await createAndSendNotification({
           userId: subscription.userId,
           title: 'Subscription Activated',
           message: `Your ${subscription.planName} subscription has been activated successfully!`,
           type: 'success',
-          category: 'subscription',
+          category: 'payment',
           priority: 'normal',
+          mandatory: true,
           channels: ['in_app', 'email'],
           actionUrl: `/subscriptions/${subscription.id}`,
           actionText: 'View Subscription'
@@ -567,13 +577,14 @@ class SubscriptionService {
 
       // Send notification
       try {
-        await createNotification({
+        await createAndSendNotification({
           userId: subscription.userId,
           title: 'Subscription Cancelled',
           message: `Your ${subscription.planName} subscription has been cancelled.`,
           type: 'info',
-          category: 'subscription',
+          category: 'payment',
           priority: 'normal',
+          mandatory: true,
           channels: ['in_app', 'email'],
           actionUrl: `/subscriptions/${subscription.id}`,
           actionText: 'View Subscription'
@@ -645,13 +656,14 @@ class SubscriptionService {
 
       // Send notification
       try {
-        await createNotification({
+        await createAndSendNotification({
           userId: subscription.userId,
           title: 'Subscription Renewed',
           message: `Your ${subscription.planName} subscription has been renewed successfully!`,
           type: 'success',
-          category: 'subscription',
+          category: 'payment',
           priority: 'normal',
+          mandatory: true,
           channels: ['in_app', 'email'],
           actionUrl: `/subscriptions/${subscription.id}`,
           actionText: 'View Subscription'
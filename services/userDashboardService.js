@@ -3,6 +3,10 @@ import Property from '../schema/Property.js';
 import PropertyMedia from '../schema/PropertyMedia.js';
 import User from '../schema/User.js';
 import Payment from '../schema/Payment.js';
+import RentalApplication from '../schema/RentalApplication.js';
+import Lease from '../schema/Lease.js';
+import { getMoveInCost } from './leaseService.js';
+import { OPEN_APPLICATION_STATUSES } from './rentalApplicationService.js';
 import { Op } from 'sequelize';
 
 /**
@@ -423,6 +427,173 @@ export const getPaymentStatements = async (userId, options = {}) => {
   }
 };
 
+/**
+ * Get user's applications for long-term rentals
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Object} Result object
+ */
+export const getMyRentalApplications = async (userId, options = {}) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status
+    } = options;
+
+    const offset = (page - 1) * limit;
+
+    const whereClause = { applicantId: userId };
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const { count, rows: applications } = await RentalApplication.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['landlordNotes'] },
+      include: [
+        {
+          model: Property,
+          as: 'property',
+          attributes: ['id', 'title', 'address', 'city', 'state', 'price', 'pricePeriod', 'currency', 'status'],
+          include: [
+            {
+              model: PropertyMedia,
+              as: 'media',
+              where: { isActive: true, isPrimary: true },
+              required: false,
+              limit: 1
+            }
+          ]
+        },
+        {
+          model: Lease,
+          as: 'lease',
+          attributes: ['id', 'status', 'startDate', 'endDate'],
+          required: false
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      success: true,
+      message: 'Rental applications retrieved successfully',
+      data: {
+        applications: applications.map(application => ({
+          ...application.toJSON(),
+          property: application.property ? {
+            ...application.property.toJSON(),
+            primaryImage: application.property.media?.[0]?.url || null
+          } : null
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Get my rental applications error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve rental applications',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Get user's leases as a tenant
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Object} Result object
+ */
+export const getMyLeases = async (userId, options = {}) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status
+    } = options;
+
+    const offset = (page - 1) * limit;
+
+    const whereClause = { tenantId: userId };
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const { count, rows: leases } = await Lease.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Property,
+          as: 'property',
+          attributes: ['id', 'title', 'address', 'city', 'state'],
+          include: [
+            {
+              model: PropertyMedia,
+              as: 'media',
+              where: { isActive: true, isPrimary: true },
+              required: false,
+              limit: 1
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'landlord',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'avatarUrl']
+        }
+      ],
+      order: [['startDate', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      success: true,
+      message: 'Leases retrieved successfully',
+      data: {
+        leases: leases.map(lease => ({
+          ...lease.toJSON(),
+          moveInCost: getMoveInCost(lease),
+          property: lease.property ? {
+            ...lease.property.toJSON(),
+            primaryImage: lease.property.media?.[0]?.url || null
+          } : null
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Get my leases error:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve leases',
+      error: error.message,
+      statusCode: 500
+    };
+  }
+};
+
 /**
  * Get user dashboard overview statistics
  * @param {string} userId - User ID
@@ -506,6 +677,17 @@ export const getDashboardStats = async (userId) => {
             where: { userId, bookingType: 'shortlet', status: 'completed' }
           })
         },
+        leases: {
+          active: await Lease.count({
+            where: { tenantId: userId, status: { [Op.in]: ['active', 'renewal_due'] } }
+          }),
+          renewalDue: await Lease.count({
+            where: { tenantId: userId, status: 'renewal_due' }
+          }),
+          openApplications: await RentalApplication.count({
+            where: { applicantId: userId, status: { [Op.in]: OPEN_APPLICATION_STATUSES } }
+          })
+        },
         payments: {
           pending: parseFloat(pendingPayments),
           totalSpent: parseFloat(totalSpent)
@@ -4,6 +4,55 @@ import Wallet from '../schema/Wallet.js';
 import { User } from '../schema/index.js';
 import WalletTransaction from '../schema/WalletTransaction.js';
 import sequelize from '../database/db.js';
+import {
+  postJournalEntry,
+  debitLine,
+  creditLine,
+  buildAvailableDebitLines,
+  buildBookingPaymentLines,
+  buildRentPaymentLines
+} from './ledgerService.js';
+
+// How each ledger operation moves a wallet's available and pending balances
+export const WALLET_OPERATIONS = {
+  fund: { available: 1, pending: 0 },
+  payment: { available: -1, pending: 0 },
+  refund: { available: 1, pending: 0 },
+  withdrawal: { available: -1, pending: 0 },
+  transfer_in: { available: 1, pending: 0 },
+  transfer_out: { available: -1, pending: 0 },
+  credit_pending: { available: 0, pending: 1 },
+  debit_pending: { available: 0, pending: -1 },
+  release_pending: { available: 1, pending: -1 },
+  rent_income: { available: 1, pending: 0 },
+  clawback: { available: -1, pending: 0 },
+  commission_out: { available: -1, pending: 0 },
+  commission_in: { available: 1, pending: 0 }
+};
+
+export const IDEMPOTENCY_CONFLICT = 'Idempotency key has already been used for a different request';
+
+const roundAmount = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+/**
+ * Work out the ledger operation behind a wallet transaction.
+ * Rows written before the operation column existed are classified by type and metadata.
+ */
+export const getTransactionOperation = (txn) => {
+  if (txn.operation) return txn.operation;
+
+  const metadataType = txn.metadata?.type;
+  switch (txn.type) {
+    case 'credit':
+      return metadataType === 'booking_payment' || txn.releaseDate ? 'credit_pending' : 'fund';
+    case 'debit':
+      return metadataType === 'pending_refund' ? 'debit_pending' : 'payment';
+    case 'transfer_in':
+      return metadataType === 'pending_release' ? 'release_pending' : 'transfer_in';
+    default:
+      return txn.type;
+  }
+};
 
 class WalletService {
   constructor() {
@@ -160,36 +209,6 @@ class WalletService {
     }
   }
 
-  async updateBalance(userId, amount, type = 'credit') {
-    try {
-      const wallet = await this.getOrCreateWallet(userId);
-      const currentBalance = parseFloat(wallet.balance);
-      const changeAmount = parseFloat(amount);
-
-      let newBalance;
-      if (type === 'credit') {
-        newBalance = currentBalance + changeAmount;
-      } else if (type === 'debit') {
-        if (currentBalance < changeAmount) {
-          throw new Error('Insufficient wallet balance');
-        }
-        newBalance = currentBalance - changeAmount;
-      } else {
-        throw new Error('Invalid transaction type');
-      }
-
-      await wallet.update({
-        balance: newBalance,
-        lastTransactionAt: new Date()
-      });
-
-      return wallet;
-    } catch (error) {
-      console.error('❌ Error updating wallet balance:', error);
-      throw error;
-    }
-  }
-
   async suspendWallet(userId) {
     try {
       const wallet = await this.getWalletByUserId(userId);
@@ -227,43 +246,135 @@ class WalletService {
     return `paystack/awari/${username}-${shortId}`;
   }
 
-  async fundWallet(userId, amount, paystackReference, metadata = {}) {
+  /**
+   * Lock a user's wallet row until the transaction ends (SELECT ... FOR UPDATE).
+   * Missing wallets are created first, outside the transaction, since that calls Paystack.
+   */
+  async lockWallet(userId, transaction) {
+    const { id } = await this.getOrCreateWallet(userId);
+    return Wallet.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+  }
+
+  /**
+   * Find the transaction already recorded for an idempotency key.
+   * Call with the wallet locked so concurrent retries see each other's writes.
+   */
+  async findIdempotentTransaction(walletId, operation, idempotencyKey, amount, transaction) {
+    if (!idempotencyKey) return null;
+
+    const existing = await WalletTransaction.findOne({
+      where: { walletId, operation, idempotencyKey },
+      transaction
+    });
+
+    if (!existing) return null;
+
+    if (amount !== null && roundAmount(existing.amount) !== roundAmount(amount)) {
+      throw new Error(IDEMPOTENCY_CONFLICT);
+    }
+
+    console.log(`♻️ [WALLET SERVICE] Replayed ${operation} for key ${idempotencyKey}, returning ${existing.id}`);
+    return existing;
+  }
+
+  /**
+   * Apply a ledger operation to a locked wallet and record the transaction
+   */
+  async applyOperation(wallet, operation, amount, fields, transaction) {
+    const effect = WALLET_OPERATIONS[operation];
+    const value = roundAmount(amount);
+
+    const availableBalanceBefore = roundAmount(wallet.availableBalance);
+    const pendingBalanceBefore = roundAmount(wallet.pendingBalance);
+    const availableBalanceAfter = roundAmount(availableBalanceBefore + effect.available * value);
+    const pendingBalanceAfter = roundAmount(pendingBalanceBefore + effect.pending * value);
+
+    if (availableBalanceAfter < 0) {
+      throw new Error('Insufficient wallet balance');
+    }
+    if (pendingBalanceAfter < 0) {
+      throw new Error('Insufficient pending balance');
+    }
+
+    const txn = await WalletTransaction.create({
+      walletId: wallet.id,
+      userId: wallet.userId,
+      amount: value,
+      operation,
+      balanceBefore: roundAmount(availableBalanceBefore + pendingBalanceBefore),
+      balanceAfter: roundAmount(availableBalanceAfter + pendingBalanceAfter),
+      availableBalanceBefore,
+      availableBalanceAfter,
+      pendingBalanceBefore,
+      pendingBalanceAfter,
+      ...fields
+    }, { transaction });
+
+    await wallet.update({
+      availableBalance: availableBalanceAfter,
+      pendingBalance: pendingBalanceAfter,
+      lastTransactionAt: new Date()
+    }, { transaction });
+
+    return txn;
+  }
+
+  /**
+   * Post the double-entry journal for a wallet transaction inside the same DB transaction.
+   * options.journal may be false (the caller posts its own entry) or { entryType, lines, bookingId }
+   * to replace the default counterpart lines; the wallet side is always added here.
+   */
+  async postWalletJournal(txn, walletLines, defaults, journal, transaction) {
+    if (journal === false) return null;
+
+    const { entryType, lines, bookingId } = { ...defaults, ...(journal || {}) };
+    return postJournalEntry({
+      entryType,
+      reference: `wallet:${txn.id}`,
+      description: txn.description,
+      bookingId: bookingId || txn.bookingId,
+      walletTransactionId: txn.id,
+      currency: txn.currency,
+      metadata: { operation: txn.operation, walletReference: txn.reference },
+      lines: [...walletLines, ...lines]
+    }, { transaction });
+  }
+
+  async fundWallet(userId, amount, paystackReference, metadata = {}, options = {}) {
     const transaction = await sequelize.transaction();
+    const idempotencyKey = options.idempotencyKey || paystackReference;
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
+      const wallet = await this.lockWallet(userId, transaction);
+
+      const replay = await this.findIdempotentTransaction(wallet.id, 'fund', idempotencyKey, amount, transaction);
+      if (replay) {
+        await transaction.commit();
+        return replay;
+      }
 
       if (wallet.status !== 'active') {
         throw new Error('Wallet is not active');
       }
 
-      const balanceBefore = parseFloat(wallet.balance);
-      const fundAmount = parseFloat(amount);
-      const balanceAfter = balanceBefore + fundAmount;
-      const reference = `FUND-${Date.now()}-${userId.substring(0, 8)}`;
-
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+      const txn = await this.applyOperation(wallet, 'fund', amount, {
         type: 'credit',
-        amount: fundAmount,
-        balanceBefore,
-        balanceAfter,
-        reference,
+        reference: `FUND-${Date.now()}-${userId.substring(0, 8)}`,
         description: `Wallet funding via Paystack`,
         status: 'completed',
         paymentMethod: 'paystack',
         paystackReference,
+        idempotencyKey,
         metadata
-      }, { transaction });
+      }, transaction);
 
-      await wallet.update({
-        balance: balanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(txn, [creditLine('guest', userId, txn.amount)], {
+        entryType: 'wallet_funding',
+        lines: [debitLine('paystack_clearing', null, txn.amount)]
+      }, options.journal, transaction);
 
       await transaction.commit();
-      console.log(`✅ Wallet funded: ${fundAmount} NGN for user ${userId}`);
+      console.log(`✅ Wallet funded: ${txn.amount} NGN for user ${userId}`);
       return txn;
     } catch (error) {
       await transaction.rollback();
@@ -272,48 +383,41 @@ class WalletService {
     }
   }
 
-  async makePayment(userId, amount, description, bookingId = null, metadata = {}) {
+  async makePayment(userId, amount, description, bookingId = null, metadata = {}, options = {}) {
     const transaction = await sequelize.transaction();
+    const idempotencyKey = options.idempotencyKey || null;
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
+      const wallet = await this.lockWallet(userId, transaction);
 
-      if (wallet.status !== 'active') {
-        throw new Error('Wallet is not active');
+      const replay = await this.findIdempotentTransaction(wallet.id, 'payment', idempotencyKey, amount, transaction);
+      if (replay) {
+        await transaction.commit();
+        return replay;
       }
 
-      const balanceBefore = parseFloat(wallet.balance);
-      const paymentAmount = parseFloat(amount);
-
-      if (balanceBefore < paymentAmount) {
-        throw new Error('Insufficient wallet balance');
+      if (wallet.status !== 'active') {
+        throw new Error('Wallet is not active');
       }
 
-      const balanceAfter = balanceBefore - paymentAmount;
-      const reference = `PAY-${Date.now()}-${userId.substring(0, 8)}`;
-
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+      const txn = await this.applyOperation(wallet, 'payment', amount, {
         type: 'debit',
-        amount: paymentAmount,
-        balanceBefore,
-        balanceAfter,
-        reference,
+        reference: `PAY-${Date.now()}-${userId.substring(0, 8)}`,
         description,
         status: 'completed',
         paymentMethod: 'wallet',
         bookingId,
+        idempotencyKey,
         metadata
-      }, { transaction });
+      }, transaction);
 
-      await wallet.update({
-        balance: balanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(txn, await buildAvailableDebitLines(userId, txn.amount, null, transaction), {
+        entryType: 'wallet_payment',
+        lines: [creditLine('platform_revenue', null, txn.amount)]
+      }, options.journal, transaction);
 
       await transaction.commit();
-      console.log(`✅ Payment made: ${paymentAmount} NGN from user ${userId}`);
+      console.log(`✅ Payment made: ${txn.amount} NGN from user ${userId}`);
       return txn;
     } catch (error) {
       await transaction.rollback();
@@ -322,87 +426,81 @@ class WalletService {
     }
   }
 
-  async processRefund(userId, amount, description, originalTransactionId = null, metadata = {}) {
-    const transaction = await sequelize.transaction();
+  async processRefund(userId, amount, description, originalTransactionId = null, metadata = {}, options = {}) {
+    const transaction = options.transaction || await sequelize.transaction();
+    const ownsTransaction = !options.transaction;
+    const idempotencyKey = options.idempotencyKey || null;
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
-      const balanceBefore = parseFloat(wallet.availableBalance);
-      const refundAmount = parseFloat(amount);
-      const balanceAfter = balanceBefore + refundAmount;
-      const reference = `REFUND-${Date.now()}-${userId.substring(0, 8)}`;
+      const wallet = await this.lockWallet(userId, transaction);
 
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+      const replay = await this.findIdempotentTransaction(wallet.id, 'refund', idempotencyKey, amount, transaction);
+      if (replay) {
+        if (ownsTransaction) await transaction.commit();
+        return replay;
+      }
+
+      const txn = await this.applyOperation(wallet, 'refund', amount, {
         type: 'refund',
-        amount: refundAmount,
-        balanceBefore,
-        balanceAfter,
-        reference,
+        reference: `REFUND-${Date.now()}-${userId.substring(0, 8)}`,
         description,
         status: 'completed',
         paymentMethod: 'wallet',
         relatedTransactionId: originalTransactionId,
+        idempotencyKey,
         metadata
-      }, { transaction });
+      }, transaction);
 
-      await wallet.update({
-        availableBalance: balanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      // Unless the caller says where the money comes from, the platform funds the refund
+      await this.postWalletJournal(txn, [creditLine('guest', userId, txn.amount)], {
+        entryType: 'refund',
+        lines: [debitLine('platform_revenue', null, txn.amount)]
+      }, options.journal, transaction);
 
-      await transaction.commit();
-      console.log(`✅ Refund processed: ${refundAmount} NGN to user ${userId}`);
+      if (ownsTransaction) await transaction.commit();
+      console.log(`✅ Refund processed: ${txn.amount} NGN to user ${userId}`);
       return txn;
     } catch (error) {
-      await transaction.rollback();
+      if (ownsTransaction) await transaction.rollback();
       console.error('❌ Error processing refund:', error);
       throw error;
     }
   }
 
-  async requestWithdrawal(userId, amount, bankDetails, metadata = {}) {
+  async requestWithdrawal(userId, amount, bankDetails, metadata = {}, options = {}) {
     const transaction = await sequelize.transaction();
+    const idempotencyKey = options.idempotencyKey || null;
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
+      const wallet = await this.lockWallet(userId, transaction);
 
-      if (wallet.status !== 'active') {
-        throw new Error('Wallet is not active');
+      const replay = await this.findIdempotentTransaction(wallet.id, 'withdrawal', idempotencyKey, amount, transaction);
+      if (replay) {
+        await transaction.commit();
+        return replay;
       }
 
-      const balanceBefore = parseFloat(wallet.balance);
-      const withdrawalAmount = parseFloat(amount);
-
-      if (balanceBefore < withdrawalAmount) {
-        throw new Error('Insufficient wallet balance');
+      if (wallet.status !== 'active') {
+        throw new Error('Wallet is not active');
       }
 
-      const balanceAfter = balanceBefore - withdrawalAmount;
-      const reference = `WD-${Date.now()}-${userId.substring(0, 8)}`;
-
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+      const txn = await this.applyOperation(wallet, 'withdrawal', amount, {
         type: 'withdrawal',
-        amount: withdrawalAmount,
-        balanceBefore,
-        balanceAfter,
-        reference,
+        reference: `WD-${Date.now()}-${userId.substring(0, 8)}`,
         description: `Withdrawal to ${bankDetails.bankName} - ${bankDetails.accountNumber}`,
         status: 'pending',
         paymentMethod: 'bank_transfer',
+        idempotencyKey,
         metadata: { ...metadata, bankDetails }
-      }, { transaction });
+      }, transaction);
 
-      await wallet.update({
-        balance: balanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(txn, await buildAvailableDebitLines(userId, txn.amount, null, transaction), {
+        entryType: 'payout',
+        lines: [creditLine('paystack_clearing', null, txn.amount)]
+      }, options.journal, transaction);
 
       await transaction.commit();
-      console.log(`✅ Withdrawal requested: ${withdrawalAmount} NGN for user ${userId}`);
+      console.log(`✅ Withdrawal requested: ${txn.amount} NGN for user ${userId}`);
       return txn;
     } catch (error) {
       await transaction.rollback();
@@ -438,70 +536,70 @@ class WalletService {
     }
   }
 
-  async transferBetweenWallets(fromUserId, toUserId, amount, description = 'Wallet transfer') {
+  async transferBetweenWallets(fromUserId, toUserId, amount, description = 'Wallet transfer', options = {}) {
+    const idempotencyKey = options.idempotencyKey || null;
+
+    // Create both wallets up front so the locks below are the only work done in the transaction
+    const { id: fromWalletId } = await this.getOrCreateWallet(fromUserId);
+    const { id: toWalletId } = await this.getOrCreateWallet(toUserId);
+
     const transaction = await sequelize.transaction();
 
     try {
-      const fromWallet = await this.getOrCreateWallet(fromUserId);
-      const toWallet = await this.getOrCreateWallet(toUserId);
+      // Always lock in the same order so opposite transfers cannot deadlock
+      const lockedWallets = {};
+      for (const walletId of [fromWalletId, toWalletId].sort()) {
+        lockedWallets[walletId] = await Wallet.findByPk(walletId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+      }
+      const fromWallet = lockedWallets[fromWalletId];
+      const toWallet = lockedWallets[toWalletId];
+
+      const replay = await this.findIdempotentTransaction(fromWallet.id, 'transfer_out', idempotencyKey, amount, transaction);
+      if (replay) {
+        const creditTxn = await WalletTransaction.findOne({
+          where: { relatedTransactionId: replay.id, operation: 'transfer_in' },
+          transaction
+        });
+        await transaction.commit();
+        return { debitTxn: replay, creditTxn };
+      }
 
       if (fromWallet.status !== 'active' || toWallet.status !== 'active') {
         throw new Error('One or both wallets are not active');
       }
 
-      const transferAmount = parseFloat(amount);
-      const fromBalanceBefore = parseFloat(fromWallet.balance);
-
-      if (fromBalanceBefore < transferAmount) {
-        throw new Error('Insufficient wallet balance');
-      }
-
-      const fromBalanceAfter = fromBalanceBefore - transferAmount;
-      const toBalanceBefore = parseFloat(toWallet.balance);
-      const toBalanceAfter = toBalanceBefore + transferAmount;
       const reference = `TRF-${Date.now()}-${fromUserId.substring(0, 8)}`;
 
-      const debitTxn = await WalletTransaction.create({
-        walletId: fromWallet.id,
-        userId: fromUserId,
+      const debitTxn = await this.applyOperation(fromWallet, 'transfer_out', amount, {
         type: 'transfer_out',
-        amount: transferAmount,
-        balanceBefore: fromBalanceBefore,
-        balanceAfter: fromBalanceAfter,
         reference: `${reference}-OUT`,
         description: `${description} to ${toUserId}`,
         status: 'completed',
         paymentMethod: 'wallet',
+        idempotencyKey,
         metadata: { recipientUserId: toUserId }
-      }, { transaction });
+      }, transaction);
 
-      const creditTxn = await WalletTransaction.create({
-        walletId: toWallet.id,
-        userId: toUserId,
+      const creditTxn = await this.applyOperation(toWallet, 'transfer_in', amount, {
         type: 'transfer_in',
-        amount: transferAmount,
-        balanceBefore: toBalanceBefore,
-        balanceAfter: toBalanceAfter,
         reference: `${reference}-IN`,
         description: `${description} from ${fromUserId}`,
         status: 'completed',
         paymentMethod: 'wallet',
         relatedTransactionId: debitTxn.id,
         metadata: { senderUserId: fromUserId }
-      }, { transaction });
-
-      await fromWallet.update({
-        balance: fromBalanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      }, transaction);
 
-      await toWallet.update({
-        balance: toBalanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(debitTxn, [
+        ...await buildAvailableDebitLines(fromUserId, debitTxn.amount, null, transaction),
+        creditLine('guest', toUserId, creditTxn.amount)
+      ], { entryType: 'transfer', lines: [] }, options.journal, transaction);
 
       await transaction.commit();
-      console.log(`✅ Transfer completed: ${transferAmount} NGN from ${fromUserId} to ${toUserId}`);
+      console.log(`✅ Transfer completed: ${debitTxn.amount} NGN from ${fromUserId} to ${toUserId}`);
       return { debitTxn, creditTxn };
     } catch (error) {
       await transaction.rollback();
@@ -511,59 +609,273 @@ class WalletService {
   }
 
   /**
-   * Credit pending balance (locked until release date)
-   * Used when booking payment is received
+   * Pay an agency or agent their commission out of a landlord's available balance.
+   * The payee is credited as earnings (landlord_available), not as a guest top-up.
+   * metadata should carry the commissionId so both sides can be traced back.
    */
-  async creditPending(userId, amount, bookingId, releaseDate, metadata = {}) {
+  async payCommission(landlordId, payeeId, amount, description, metadata = {}, options = {}) {
+    const idempotencyKey = options.idempotencyKey || null;
+
+    const { id: landlordWalletId } = await this.getOrCreateWallet(landlordId);
+    const { id: payeeWalletId } = await this.getOrCreateWallet(payeeId);
+
     const transaction = await sequelize.transaction();
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
+      // Same lock order as transferBetweenWallets
+      const lockedWallets = {};
+      for (const walletId of [landlordWalletId, payeeWalletId].sort()) {
+        lockedWallets[walletId] = await Wallet.findByPk(walletId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+      }
+      const landlordWallet = lockedWallets[landlordWalletId];
+      const payeeWallet = lockedWallets[payeeWalletId];
+
+      const replay = await this.findIdempotentTransaction(landlordWallet.id, 'commission_out', idempotencyKey, amount, transaction);
+      if (replay) {
+        const creditTxn = await WalletTransaction.findOne({
+          where: { relatedTransactionId: replay.id, operation: 'commission_in' },
+          transaction
+        });
+        await transaction.commit();
+        return { debitTxn: replay, creditTxn };
+      }
+
+      if (landlordWallet.status !== 'active' || payeeWallet.status !== 'active') {
+        throw new Error('One or both wallets are not active');
+      }
+
+      const reference = `COMM-${Date.now()}-${landlordId.substring(0, 8)}`;
+
+      const debitTxn = await this.applyOperation(landlordWallet, 'commission_out', amount, {
+        type: 'transfer_out',
+        reference: `${reference}-OUT`,
+        description,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        idempotencyKey,
+        metadata: { ...metadata, type: 'commission', payeeUserId: payeeId }
+      }, transaction);
+
+      const creditTxn = await this.applyOperation(payeeWallet, 'commission_in', amount, {
+        type: 'transfer_in',
+        reference: `${reference}-IN`,
+        description,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        relatedTransactionId: debitTxn.id,
+        metadata: { ...metadata, type: 'commission', landlordId }
+      }, transaction);
+
+      await this.postWalletJournal(debitTxn, [
+        ...await buildAvailableDebitLines(landlordId, debitTxn.amount, 'Commission paid', transaction),
+        creditLine('landlord_available', payeeId, creditTxn.amount, 'Commission earned')
+      ], { entryType: 'transfer', lines: [] }, options.journal, transaction);
+
+      await transaction.commit();
+      console.log(`✅ Commission paid: ${debitTxn.amount} NGN from ${landlordId} to ${payeeId}`);
+      return { debitTxn, creditTxn };
+    } catch (error) {
+      await transaction.rollback();
+      console.error('❌ Error paying commission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pay rent from the tenant's wallet. The landlord's share (netAmount) lands
+   * in their available balance in the same transaction; tax and fees go to
+   * the platform.
+   * split: { netAmount, taxAmount, invoiceId, description, metadata }
+   */
+  async payRent(tenantId, landlordId, amount, split, options = {}) {
+    const idempotencyKey = options.idempotencyKey || null;
+    const { netAmount, taxAmount = 0, invoiceId, description, metadata = {} } = split;
+
+    const { id: tenantWalletId } = await this.getOrCreateWallet(tenantId);
+    const { id: landlordWalletId } = await this.getOrCreateWallet(landlordId);
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Same lock order as transferBetweenWallets
+      const lockedWallets = {};
+      for (const walletId of [tenantWalletId, landlordWalletId].sort()) {
+        lockedWallets[walletId] = await Wallet.findByPk(walletId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+      }
+      const tenantWallet = lockedWallets[tenantWalletId];
+      const landlordWallet = lockedWallets[landlordWalletId];
+
+      const replay = await this.findIdempotentTransaction(tenantWallet.id, 'payment', idempotencyKey, amount, transaction);
+      if (replay) {
+        const creditTxn = await WalletTransaction.findOne({
+          where: { relatedTransactionId: replay.id, operation: 'rent_income' },
+          transaction
+        });
+        await transaction.commit();
+        return { debitTxn: replay, creditTxn };
+      }
+
+      if (tenantWallet.status !== 'active' || landlordWallet.status !== 'active') {
+        throw new Error('One or both wallets are not active');
+      }
+
+      const reference = `RENT-${Date.now()}-${tenantId.substring(0, 8)}`;
+
+      const debitTxn = await this.applyOperation(tenantWallet, 'payment', amount, {
+        type: 'debit',
+        reference: `${reference}-OUT`,
+        description,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        idempotencyKey,
+        metadata: { ...metadata, type: 'rent_payment', invoiceId, landlordId }
+      }, transaction);
+
+      const creditTxn = await this.applyOperation(landlordWallet, 'rent_income', netAmount, {
+        type: 'credit',
+        reference: `${reference}-IN`,
+        description,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        relatedTransactionId: debitTxn.id,
+        metadata: { ...metadata, type: 'rent_income', invoiceId, tenantId, grossAmount: debitTxn.amount }
+      }, transaction);
+
+      await this.postWalletJournal(
+        debitTxn,
+        await buildAvailableDebitLines(tenantId, debitTxn.amount, 'Rent paid from wallet', transaction),
+        {
+          entryType: 'rent_payment',
+          lines: buildRentPaymentLines({
+            landlordId,
+            grossAmount: debitTxn.amount,
+            netAmount: creditTxn.amount,
+            taxAmount
+          })
+        },
+        options.journal,
+        transaction
+      );
+
+      await transaction.commit();
+      console.log(`✅ Rent paid: ${debitTxn.amount} NGN from ${tenantId}, ${creditTxn.amount} NGN to landlord ${landlordId}`);
+      return { debitTxn, creditTxn };
+    } catch (error) {
+      await transaction.rollback();
+      console.error('❌ Error paying rent from wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Credit a landlord's available balance with rent the tenant paid through Paystack
+   * metadata.grossAmount and metadata.taxAmount carry the fee split for the journal
+   */
+  async creditRentIncome(landlordId, amount, invoiceId, metadata = {}, options = {}) {
+    const transaction = await sequelize.transaction();
+    const idempotencyKey = options.idempotencyKey || null;
+
+    try {
+      const wallet = await this.lockWallet(landlordId, transaction);
+
+      const replay = await this.findIdempotentTransaction(wallet.id, 'rent_income', idempotencyKey, amount, transaction);
+      if (replay) {
+        await transaction.commit();
+        return replay;
+      }
 
       if (wallet.status !== 'active') {
         throw new Error('Wallet is not active');
       }
 
-      const creditAmount = parseFloat(amount);
-      const availableBalanceBefore = parseFloat(wallet.availableBalance);
-      const pendingBalanceBefore = parseFloat(wallet.pendingBalance);
-      const pendingBalanceAfter = pendingBalanceBefore + creditAmount;
-      const totalBalanceBefore = availableBalanceBefore + pendingBalanceBefore;
-      const totalBalanceAfter = availableBalanceBefore + pendingBalanceAfter;
+      const txn = await this.applyOperation(wallet, 'rent_income', amount, {
+        type: 'credit',
+        reference: `RENT-IN-${Date.now()}-${landlordId.substring(0, 8)}`,
+        description: metadata.description || 'Rent payment received',
+        status: 'completed',
+        paymentMethod: 'paystack',
+        idempotencyKey,
+        metadata: { ...metadata, type: 'rent_income', invoiceId }
+      }, transaction);
+
+      const grossAmount = metadata.grossAmount ?? txn.amount;
+      await this.postWalletJournal(txn, [debitLine('paystack_clearing', null, grossAmount, 'Rent payment received')], {
+        entryType: 'rent_payment',
+        lines: buildRentPaymentLines({
+          landlordId,
+          grossAmount,
+          netAmount: txn.amount,
+          taxAmount: metadata.taxAmount ?? 0
+        })
+      }, options.journal, transaction);
+
+      await transaction.commit();
+      console.log(`✅ Rent income credited: ${txn.amount} NGN to landlord ${landlordId}`);
+      return txn;
+    } catch (error) {
+      await transaction.rollback();
+      console.error('❌ Error crediting rent income:', error);
+      throw error;
+    }
+  }
 
-      const reference = `PENDING-${Date.now()}-${userId.substring(0, 8)}`;
+  /**
+   * Credit pending balance (locked until release date)
+   * Used when booking payment is received
+   */
+  async creditPending(userId, amount, bookingId, releaseDate, metadata = {}, options = {}) {
+    const transaction = await sequelize.transaction();
+    const idempotencyKey = options.idempotencyKey || bookingId;
 
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+    try {
+      const wallet = await this.lockWallet(userId, transaction);
+
+      const replay = await this.findIdempotentTransaction(wallet.id, 'credit_pending', idempotencyKey, amount, transaction);
+      if (replay) {
+        await transaction.commit();
+        return replay;
+      }
+
+      if (wallet.status !== 'active') {
+        throw new Error('Wallet is not active');
+      }
+
+      const txn = await this.applyOperation(wallet, 'credit_pending', amount, {
         type: 'credit',
-        amount: creditAmount,
-        balanceBefore: totalBalanceBefore,
-        balanceAfter: totalBalanceAfter,
-        availableBalanceBefore,
-        availableBalanceAfter: availableBalanceBefore, // No change
-        pendingBalanceBefore,
-        pendingBalanceAfter,
         releaseDate,
-        reference,
+        reference: `PENDING-${Date.now()}-${userId.substring(0, 8)}`,
         description: `Booking payment (pending release on ${releaseDate})`,
         status: 'pending',
         paymentMethod: 'paystack',
         bookingId,
+        idempotencyKey,
         metadata: {
           ...metadata,
           type: 'booking_payment',
           releaseDate
         }
-      }, { transaction });
-
-      await wallet.update({
-        pendingBalance: pendingBalanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      }, transaction);
+
+      // The booking payment entry carries the fee split recorded by the caller
+      const [clearingLine, landlordLine, ...feeLines] = buildBookingPaymentLines({
+        ownerId: userId,
+        grossAmount: metadata.grossAmount ?? txn.amount,
+        netAmount: txn.amount,
+        taxAmount: metadata.taxAmount ?? 0
+      });
+      await this.postWalletJournal(txn, [landlordLine], {
+        entryType: 'booking_payment',
+        lines: [clearingLine, ...feeLines]
+      }, options.journal, transaction);
 
       await transaction.commit();
-      console.log(`✅ Pending balance credited: ${creditAmount} NGN for user ${userId}, release: ${releaseDate}`);
+      console.log(`✅ Pending balance credited: ${txn.amount} NGN for user ${userId}, release: ${releaseDate}`);
       return txn;
     } catch (error) {
       await transaction.rollback();
@@ -575,82 +887,129 @@ class WalletService {
   /**
    * Debit pending balance (for cancellations/refunds)
    */
-  async debitPending(userId, amount, bookingId, reason = 'Booking cancelled') {
-    const transaction = await sequelize.transaction();
+  async debitPending(userId, amount, bookingId, reason = 'Booking cancelled', options = {}) {
+    const transaction = options.transaction || await sequelize.transaction();
+    const ownsTransaction = !options.transaction;
+    const idempotencyKey = options.idempotencyKey || null;
 
     try {
-      const wallet = await this.getOrCreateWallet(userId);
-
-      const debitAmount = parseFloat(amount);
-      const availableBalanceBefore = parseFloat(wallet.availableBalance);
-      const pendingBalanceBefore = parseFloat(wallet.pendingBalance);
+      const wallet = await this.lockWallet(userId, transaction);
 
-      if (pendingBalanceBefore < debitAmount) {
-        throw new Error('Insufficient pending balance');
+      const replay = await this.findIdempotentTransaction(wallet.id, 'debit_pending', idempotencyKey, amount, transaction);
+      if (replay) {
+        if (ownsTransaction) await transaction.commit();
+        return replay;
       }
 
-      const pendingBalanceAfter = pendingBalanceBefore - debitAmount;
-      const totalBalanceBefore = availableBalanceBefore + pendingBalanceBefore;
-      const totalBalanceAfter = availableBalanceBefore + pendingBalanceAfter;
-
-      const reference = `PENDING-DEBIT-${Date.now()}-${userId.substring(0, 8)}`;
-
-      const txn = await WalletTransaction.create({
-        walletId: wallet.id,
-        userId,
+      const txn = await this.applyOperation(wallet, 'debit_pending', amount, {
         type: 'debit',
-        amount: debitAmount,
-        balanceBefore: totalBalanceBefore,
-        balanceAfter: totalBalanceAfter,
-        availableBalanceBefore,
-        availableBalanceAfter: availableBalanceBefore, // No change
-        pendingBalanceBefore,
-        pendingBalanceAfter,
-        reference,
+        reference: `PENDING-DEBIT-${Date.now()}-${userId.substring(0, 8)}`,
         description: reason,
         status: 'completed',
         paymentMethod: 'wallet',
         bookingId,
+        idempotencyKey,
         metadata: {
           type: 'pending_refund',
           reason
         }
-      }, { transaction });
+      }, transaction);
 
-      await wallet.update({
-        pendingBalance: pendingBalanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(txn, [debitLine('landlord_pending', userId, txn.amount)], {
+        entryType: 'refund',
+        lines: [creditLine('platform_revenue', null, txn.amount)]
+      }, options.journal, transaction);
 
-      await transaction.commit();
-      console.log(`✅ Pending balance debited: ${debitAmount} NGN from user ${userId}`);
+      if (ownsTransaction) await transaction.commit();
+      console.log(`✅ Pending balance debited: ${txn.amount} NGN from user ${userId}`);
       return txn;
     } catch (error) {
-      await transaction.rollback();
+      if (ownsTransaction) await transaction.rollback();
       console.error('❌ Error debiting pending balance:', error);
       throw error;
     }
   }
 
+  /**
+   * Take back released booking funds from an owner's available balance, e.g. to
+   * fund a dispute refund. Recovers at most what the wallet holds; the caller
+   * covers any shortfall. Returns null when nothing could be recovered.
+   */
+  async clawbackAvailable(userId, amount, bookingId, reason, options = {}) {
+    const transaction = options.transaction || await sequelize.transaction();
+    const ownsTransaction = !options.transaction;
+    const idempotencyKey = options.idempotencyKey || null;
+
+    try {
+      const wallet = await this.lockWallet(userId, transaction);
+
+      // The recovered amount depends on the balance at the time, so replays match on the key alone
+      const replay = await this.findIdempotentTransaction(wallet.id, 'clawback', idempotencyKey, null, transaction);
+      if (replay) {
+        if (ownsTransaction) await transaction.commit();
+        return replay;
+      }
+
+      const recoverable = Math.min(roundAmount(amount), roundAmount(wallet.availableBalance));
+      if (recoverable <= 0) {
+        if (ownsTransaction) await transaction.commit();
+        return null;
+      }
+
+      const txn = await this.applyOperation(wallet, 'clawback', recoverable, {
+        type: 'debit',
+        reference: `CLAWBACK-${Date.now()}-${userId.substring(0, 8)}`,
+        description: reason,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        bookingId,
+        idempotencyKey,
+        metadata: {
+          type: 'clawback',
+          requestedAmount: roundAmount(amount),
+          reason
+        }
+      }, transaction);
+
+      await this.postWalletJournal(txn, [debitLine('landlord_available', userId, txn.amount)], {
+        entryType: 'refund',
+        lines: [creditLine('platform_revenue', null, txn.amount)]
+      }, options.journal, transaction);
+
+      if (ownsTransaction) await transaction.commit();
+      console.log(`✅ Funds clawed back: ${txn.amount} NGN from user ${userId}`);
+      return txn;
+    } catch (error) {
+      if (ownsTransaction) await transaction.rollback();
+      console.error('❌ Error clawing back funds:', error);
+      throw error;
+    }
+  }
+
   /**
    * Release pending balance to available (on check-in date)
+   * Pass an amount to release only part of it, e.g. the landlord's share of a cancelled booking
+   * Pass options.transaction to run inside the caller's transaction, and options.allowFrozen
+   * to release funds frozen by a dispute
    */
-  async releasePending(bookingId) {
-    const transaction = await sequelize.transaction();
+  async releasePending(bookingId, amount = null, options = {}) {
+    const transaction = options.transaction || await sequelize.transaction();
+    const ownsTransaction = !options.transaction;
+    const idempotencyKey = options.idempotencyKey || bookingId;
 
     try {
       // Import Booking model dynamically to avoid circular dependency
       const { default: Booking } = await import('../schema/Booking.js');
 
-      const booking = await Booking.findByPk(bookingId, { transaction });
+      // Lock the booking so two release runs cannot both see walletStatus 'pending'
+      const booking = await Booking.findByPk(bookingId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
       if (!booking) {
         throw new Error('Booking not found');
       }
 
-      if (booking.walletStatus !== 'pending') {
-        throw new Error(`Cannot release: wallet status is ${booking.walletStatus}`);
-      }
-
       const originalTxn = await WalletTransaction.findByPk(
         booking.walletTransactionId,
         { transaction }
@@ -660,50 +1019,47 @@ class WalletService {
         throw new Error('Original wallet transaction not found');
       }
 
-      const wallet = await Wallet.findByPk(originalTxn.walletId, { transaction });
+      const wallet = await Wallet.findByPk(originalTxn.walletId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
       if (!wallet) {
         throw new Error('Wallet not found');
       }
 
-      const releaseAmount = parseFloat(originalTxn.amount);
-      const availableBalanceBefore = parseFloat(wallet.availableBalance);
-      const pendingBalanceBefore = parseFloat(wallet.pendingBalance);
-      const availableBalanceAfter = availableBalanceBefore + releaseAmount;
-      const pendingBalanceAfter = pendingBalanceBefore - releaseAmount;
-      const totalBalance = availableBalanceAfter + pendingBalanceAfter;
+      const releaseAmount = amount !== null ? roundAmount(amount) : roundAmount(originalTxn.amount);
 
-      // Create release transaction
-      const reference = `RELEASE-${Date.now()}-${booking.ownerId.substring(0, 8)}`;
+      const replay = await this.findIdempotentTransaction(wallet.id, 'release_pending', idempotencyKey, releaseAmount, transaction);
+      if (replay) {
+        if (ownsTransaction) await transaction.commit();
+        return wallet;
+      }
+
+      // Frozen funds belong to a dispute; only its resolution may release them
+      const releasable = options.allowFrozen ? ['pending', 'frozen'] : ['pending'];
+      if (!releasable.includes(booking.walletStatus)) {
+        throw new Error(`Cannot release: wallet status is ${booking.walletStatus}`);
+      }
 
-      await WalletTransaction.create({
-        walletId: wallet.id,
-        userId: booking.ownerId,
+      const releaseTxn = await this.applyOperation(wallet, 'release_pending', releaseAmount, {
         type: 'transfer_in',
-        amount: releaseAmount,
-        balanceBefore: totalBalance,
-        balanceAfter: totalBalance,
-        availableBalanceBefore,
-        availableBalanceAfter,
-        pendingBalanceBefore,
-        pendingBalanceAfter,
-        reference,
+        reference: `RELEASE-${Date.now()}-${booking.ownerId.substring(0, 8)}`,
         description: `Pending funds released for booking ${bookingId}`,
         status: 'completed',
         paymentMethod: 'wallet',
         bookingId,
         relatedTransactionId: originalTxn.id,
+        idempotencyKey,
         metadata: {
           type: 'pending_release',
           originalTransactionId: originalTxn.id
         }
-      }, { transaction });
+      }, transaction);
 
-      // Update wallet balances
-      await wallet.update({
-        availableBalance: availableBalanceAfter,
-        pendingBalance: pendingBalanceAfter,
-        lastTransactionAt: new Date()
-      }, { transaction });
+      await this.postWalletJournal(releaseTxn, [
+        debitLine('landlord_pending', booking.ownerId, releaseTxn.amount),
+        creditLine('landlord_available', booking.ownerId, releaseTxn.amount)
+      ], { entryType: 'funds_release', lines: [] }, options.journal, transaction);
 
       // Update original transaction status
       await originalTxn.update({ status: 'completed' }, { transaction });
@@ -711,16 +1067,17 @@ class WalletService {
       // Update booking wallet status
       await booking.update({ walletStatus: 'released' }, { transaction });
 
-      await transaction.commit();
+      if (ownsTransaction) await transaction.commit();
       console.log(`✅ Pending balance released: ${releaseAmount} NGN for booking ${bookingId}`);
       return wallet;
     } catch (error) {
-      await transaction.rollback();
+      if (ownsTransaction) await transaction.rollback();
       console.error('❌ Error releasing pending balance:', error);
       throw error;
     }
   }
 
+
   /**
    * Get pending balance breakdown for a user
    */
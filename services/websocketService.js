@@ -2,6 +2,7 @@ import { Server as SocketIOServer } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import { User } from '../schema/index.js';
 import messageService from './messageService.js';
+import { validateSession } from './sessionService.js';
 
 /**
  * WebSocket Service for Real-time Messaging
@@ -45,7 +46,13 @@ class WebSocketService {
           return next(new Error('Authentication error: Invalid user'));
         }
 
+        const session = await validateSession(decoded.sid, user.id, { ipAddress: socket.handshake.address });
+        if (!session) {
+          return next(new Error('Authentication error: Session expired'));
+        }
+
         socket.userId = user.id;
+        socket.sessionId = session.id;
         socket.user = user;
         next();
       } catch (error) {
@@ -72,8 +79,9 @@ class WebSocketService {
       }
       this.connectedUsers.get(userId).push(socket.id);
 
-      // Join user's personal room
+      // Join user's personal room, and the session room used to sign the device out
       socket.join(`user:${userId}`);
+      socket.join(`session:${socket.sessionId}`);
 
       // Notify user that they're connected
       socket.emit('connected', {
@@ -117,6 +125,8 @@ class WebSocketService {
 
           if (result.success) {
             const message = result.data;
+            // Inquiries about agency listings may be routed to another agent
+            const deliveredTo = message.receiverId || receiverId;
 
             // Emit to sender (confirmation)
             socket.emit('message_sent', {
@@ -126,16 +136,16 @@ class WebSocketService {
             });
 
             // Emit to receiver if online
-            this.io.to(`user:${receiverId}`).emit('new_message', {
+            this.io.to(`user:${deliveredTo}`).emit('new_message', {
               success: true,
               data: message
             });
 
             // Update unread count for receiver
-            this.sendUnreadCount(receiverId);
+            this.sendUnreadCount(deliveredTo);
 
             // If conversation room exists, emit there too
-            const conversationRoom = this.getConversationRoom(userId, receiverId);
+            const conversationRoom = this.getConversationRoom(userId, deliveredTo);
             this.io.to(conversationRoom).emit('message_received', {
               success: true,
               data: message
@@ -327,6 +337,16 @@ class WebSocketService {
     return this.connectedUsers.has(userId) && this.connectedUsers.get(userId).length > 0;
   }
 
+  /**
+   * Disconnect the sockets opened by revoked sessions
+   * @param {string[]} sessionIds - Session IDs
+   */
+  disconnectSessions(sessionIds) {
+    if (!this.io || sessionIds.length === 0) return;
+
+    this.io.in(sessionIds.map((sessionId) => `session:${sessionId}`)).disconnectSockets(true);
+  }
+
   /**
    * Get Socket.io instance
    * @returns {Object} Socket.io server instance
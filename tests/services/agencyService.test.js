@@ -0,0 +1,205 @@
+import { jest } from '@jest/globals';
+import { Agency, AgencyCommission, AgencyMandate, AgencyMember, Property, User } from '../../schema/index.js';
+import walletService from '../../services/walletService.js';
+import {
+  calculateCommissionSplit,
+  reverseBookingCommission,
+  settleCommission
+} from '../../services/agencyService.js';
+
+const LANDLORD = 'landlord-1';
+const AGENCY_OWNER = 'agency-owner-1';
+const AGENT = 'agent-1';
+
+const fakeCommission = (fields) => ({
+  id: 'commission-1',
+  source: 'booking',
+  sourceId: 'booking-1',
+  agencyId: 'agency-1',
+  propertyId: 'property-1',
+  landlordId: LANDLORD,
+  agentId: AGENT,
+  currency: 'NGN',
+  commissionPercent: '10.00',
+  agentSharePercent: '40.00',
+  status: 'pending',
+  attempts: 0,
+  ...fields,
+  update: jest.fn(function update(changes) {
+    Object.assign(this, changes);
+    return this;
+  })
+});
+
+describe('calculateCommissionSplit', () => {
+  it('takes the commission off the payout and gives the agent their share of it', () => {
+    expect(calculateCommissionSplit(10000, '10.00', '40.00', true)).toEqual({
+      landlordAmount: 9000,
+      agencyAmount: 600,
+      agentAmount: 400
+    });
+  });
+
+  it('leaves the whole commission with the agency when no agent is assigned', () => {
+    expect(calculateCommissionSplit(10000, '10.00', '40.00', false)).toEqual({
+      landlordAmount: 9000,
+      agencyAmount: 1000,
+      agentAmount: 0
+    });
+  });
+
+  it('rounds every part to kobo without losing any of the payout', () => {
+    const split = calculateCommissionSplit(333.33, '12.50', '33.00', true);
+
+    expect(split).toEqual({ landlordAmount: 291.66, agencyAmount: 27.92, agentAmount: 13.75 });
+    expect(Math.round((split.landlordAmount + split.agencyAmount + split.agentAmount) * 100) / 100).toBe(333.33);
+  });
+});
+
+describe('settleCommission', () => {
+  let commission;
+
+  beforeEach(() => {
+    jest.spyOn(AgencyMandate, 'findOne').mockResolvedValue({
+      id: 'mandate-1',
+      agencyId: 'agency-1',
+      commissionPercent: '10.00',
+      agentSharePercent: '40.00'
+    });
+    jest.spyOn(Property, 'findByPk').mockResolvedValue({ id: 'property-1', agentId: AGENT, title: 'Lekki flat' });
+    jest.spyOn(AgencyMember, 'findOne').mockResolvedValue({ userId: AGENT, status: 'active' });
+    jest.spyOn(Agency, 'findByPk').mockResolvedValue({ id: 'agency-1', name: 'Prime Homes', ownerId: AGENCY_OWNER });
+    jest.spyOn(AgencyCommission, 'findOrCreate').mockImplementation(async ({ defaults }) => {
+      commission = fakeCommission(defaults);
+      return [commission, true];
+    });
+    jest.spyOn(walletService, 'payCommission').mockResolvedValue({});
+    // Notifications are best effort; an unknown user makes them fail quietly
+    jest.spyOn(User, 'findByPk').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pays the agency owner and the agent their shares from the landlord wallet', async () => {
+    const result = await settleCommission({
+      source: 'booking',
+      sourceId: 'booking-1',
+      propertyId: 'property-1',
+      landlordId: LANDLORD,
+      amount: 10000
+    });
+
+    expect(result.status).toBe('settled');
+    expect(commission).toMatchObject({ grossAmount: 10000, landlordAmount: 9000, agencyAmount: 600, agentAmount: 400 });
+    expect(walletService.payCommission).toHaveBeenCalledTimes(2);
+    expect(walletService.payCommission).toHaveBeenCalledWith(
+      LANDLORD, AGENCY_OWNER, 600, expect.any(String), expect.any(Object),
+      { idempotencyKey: `commission:${commission.id}:${AGENCY_OWNER}` }
+    );
+    expect(walletService.payCommission).toHaveBeenCalledWith(
+      LANDLORD, AGENT, 400, expect.any(String), expect.any(Object),
+      { idempotencyKey: `commission:${commission.id}:${AGENT}` }
+    );
+  });
+
+  it('pays the agency share only when the assigned agent has left the agency', async () => {
+    AgencyMember.findOne.mockResolvedValue(null);
+
+    await settleCommission({ source: 'rent', sourceId: 'invoice-1', propertyId: 'property-1', landlordId: LANDLORD, amount: 10000 });
+
+    expect(commission).toMatchObject({ agentId: null, agencyAmount: 1000, agentAmount: 0 });
+    expect(walletService.payCommission).toHaveBeenCalledTimes(1);
+    expect(walletService.payCommission).toHaveBeenCalledWith(
+      LANDLORD, AGENCY_OWNER, 1000, expect.any(String), expect.any(Object), expect.any(Object)
+    );
+  });
+
+  it('marks the split failed when a payout fails so the daily job retries it', async () => {
+    walletService.payCommission.mockRejectedValue(new Error('Insufficient balance'));
+
+    const result = await settleCommission({ source: 'booking', sourceId: 'booking-1', propertyId: 'property-1', landlordId: LANDLORD, amount: 10000 });
+
+    expect(result).toMatchObject({ status: 'failed', failureReason: 'Insufficient balance', attempts: 1 });
+  });
+
+  it('does nothing on properties without an active mandate', async () => {
+    AgencyMandate.findOne.mockResolvedValue(null);
+
+    const result = await settleCommission({ source: 'booking', sourceId: 'booking-1', propertyId: 'property-1', landlordId: LANDLORD, amount: 10000 });
+
+    expect(result).toBeNull();
+    expect(walletService.payCommission).not.toHaveBeenCalled();
+  });
+});
+
+describe('reverseBookingCommission', () => {
+  beforeEach(() => {
+    jest.spyOn(Agency, 'findByPk').mockResolvedValue({ id: 'agency-1', ownerId: AGENCY_OWNER });
+    jest.spyOn(walletService, 'clawbackAvailable').mockImplementation(async (userId, amount) => ({ amount }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claws back the shares paid above the new split from the agency owner and agent', async () => {
+    const commission = fakeCommission({
+      status: 'settled',
+      grossAmount: '10000.00',
+      landlordAmount: '9000.00',
+      agencyAmount: '600.00',
+      agentAmount: '400.00'
+    });
+    jest.spyOn(AgencyCommission, 'findOne').mockResolvedValue(commission);
+
+    const result = await reverseBookingCommission({ id: 'booking-1' }, 4000, 'Booking cancelled');
+
+    expect(result).toEqual({ commissionReduction: 600, recovered: 600 });
+    expect(walletService.clawbackAvailable).toHaveBeenCalledWith(
+      AGENCY_OWNER, 360, 'booking-1', expect.any(String),
+      { idempotencyKey: `commission-reversal:${commission.id}:${AGENCY_OWNER}`, transaction: null }
+    );
+    expect(walletService.clawbackAvailable).toHaveBeenCalledWith(
+      AGENT, 240, 'booking-1', expect.any(String),
+      { idempotencyKey: `commission-reversal:${commission.id}:${AGENT}`, transaction: null }
+    );
+    expect(commission).toMatchObject({ grossAmount: 4000, landlordAmount: 3600, agencyAmount: 240, agentAmount: 160 });
+  });
+
+  it('reports what the payees could not return', async () => {
+    jest.spyOn(AgencyCommission, 'findOne').mockResolvedValue(fakeCommission({
+      status: 'settled',
+      grossAmount: '10000.00',
+      agencyAmount: '600.00',
+      agentAmount: '400.00'
+    }));
+    walletService.clawbackAvailable.mockImplementation(async (userId, amount) => (userId === AGENT ? null : { amount }));
+
+    const result = await reverseBookingCommission({ id: 'booking-1' }, 0, 'Dispute resolution');
+
+    expect(result).toEqual({ commissionReduction: 1000, recovered: 600 });
+  });
+
+  it('only recalculates splits that have not been paid yet', async () => {
+    const commission = fakeCommission({ status: 'failed', grossAmount: '10000.00', agencyAmount: '600.00', agentAmount: '400.00' });
+    jest.spyOn(AgencyCommission, 'findOne').mockResolvedValue(commission);
+
+    const result = await reverseBookingCommission({ id: 'booking-1' }, 5000, 'Booking cancelled');
+
+    expect(result).toEqual({ commissionReduction: 0, recovered: 0 });
+    expect(walletService.clawbackAvailable).not.toHaveBeenCalled();
+    expect(commission).toMatchObject({ grossAmount: 5000, agencyAmount: 300, agentAmount: 200 });
+  });
+
+  it('leaves bookings without a commission or with a payout that did not shrink alone', async () => {
+    jest.spyOn(AgencyCommission, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(
+      fakeCommission({ status: 'settled', grossAmount: '4000.00', agencyAmount: '240.00', agentAmount: '160.00' })
+    );
+
+    expect(await reverseBookingCommission({ id: 'booking-1' }, 0, 'Booking cancelled')).toEqual({ commissionReduction: 0, recovered: 0 });
+    expect(await reverseBookingCommission({ id: 'booking-1' }, 4000, 'Booking cancelled')).toEqual({ commissionReduction: 0, recovered: 0 });
+    expect(walletService.clawbackAvailable).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import { Property, WalletTransaction } from '../../schema/index.js';
+import { calculateRefund, resolveCancellationRefund } from '../../services/cancellationPolicyService.js';
+
+// Check-in is 14:00 Lagos time (13:00 UTC) on the check-in date
+const CHECK_IN = '2026-12-20';
+const hoursBefore = (hours) => new Date(Date.parse('2026-12-20T13:00:00Z') - hours * 60 * 60 * 1000);
+
+const booking = (overrides = {}) => ({
+  paymentStatus: 'completed',
+  totalPrice: '1100.00',
+  serviceFee: '50.00',
+  taxAmount: '50.00',
+  checkInDate: CHECK_IN,
+  currency: 'NGN',
+  ...overrides
+});
+
+describe('calculateRefund', () => {
+  it('refunds everything and debits the landlord stake when the guest cancels in time', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'moderate',
+      cancelledBy: 'guest',
+      landlordPendingAmount: 900,
+      cancelledAt: hoursBefore(240)
+    });
+
+    expect(refund).toMatchObject({
+      policy: 'moderate',
+      hoursBeforeCheckIn: 240,
+      refundPercent: 100,
+      amountPaid: 1100,
+      guestRefund: 1100,
+      refundBreakdown: { accommodation: 1000, serviceFee: 50, taxAmount: 50 },
+      landlordCompensation: 0,
+      landlordPendingDebit: 900,
+      landlordClawback: 0,
+      platformRetained: 0
+    });
+  });
+
+  it('keeps the service fee and splits the stay on a partial refund', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'moderate',
+      cancelledBy: 'guest',
+      landlordPendingAmount: 900,
+      cancelledAt: hoursBefore(48)
+    });
+
+    expect(refund).toMatchObject({
+      refundPercent: 50,
+      guestRefund: 525,
+      refundBreakdown: { accommodation: 500, serviceFee: 0, taxAmount: 25 },
+      landlordCompensation: 450,
+      landlordPendingDebit: 450,
+      landlordClawback: 0,
+      platformRetained: 125
+    });
+    expect(refund.guestRefund + refund.landlordCompensation + refund.platformRetained).toBe(refund.amountPaid);
+  });
+
+  it('claws back the refunded share when the landlord funds were already released', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'moderate',
+      cancelledBy: 'guest',
+      landlordPendingAmount: 900,
+      landlordFundsReleased: true,
+      cancelledAt: hoursBefore(48)
+    });
+
+    expect(refund).toMatchObject({
+      landlordPendingAmount: 0,
+      landlordCompensation: 450,
+      landlordPendingDebit: 0,
+      landlordClawback: 450,
+      landlordFundsReleased: true
+    });
+  });
+
+  it('gives nothing back once the notice period has passed', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'super_strict',
+      cancelledBy: 'guest',
+      landlordPendingAmount: 900,
+      cancelledAt: hoursBefore(240)
+    });
+
+    expect(refund).toMatchObject({
+      refundPercent: 0,
+      guestRefund: 0,
+      landlordCompensation: 900,
+      landlordPendingDebit: 0,
+      platformRetained: 200
+    });
+  });
+
+  it('refunds in full when the owner cancels, whatever the policy', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'super_strict',
+      cancelledBy: 'owner',
+      landlordPendingAmount: 900,
+      cancelledAt: hoursBefore(2)
+    });
+
+    expect(refund.refundPercent).toBe(100);
+    expect(refund.guestRefund).toBe(1100);
+    expect(refund.landlordCompensation).toBe(0);
+  });
+
+  it('falls back to the moderate policy for unknown policies', () => {
+    const refund = calculateRefund(booking(), {
+      policy: 'made_up',
+      cancelledBy: 'guest',
+      cancelledAt: hoursBefore(48)
+    });
+
+    expect(refund.policy).toBe('moderate');
+    expect(refund.refundPercent).toBe(50);
+  });
+
+  it('refunds nothing on an unpaid booking', () => {
+    const refund = calculateRefund(booking({ paymentStatus: 'pending' }), {
+      policy: 'flexible',
+      cancelledBy: 'guest',
+      cancelledAt: hoursBefore(240)
+    });
+
+    expect(refund.amountPaid).toBe(0);
+    expect(refund.guestRefund).toBe(0);
+    expect(refund.platformRetained).toBe(0);
+  });
+});
+
+describe('resolveCancellationRefund', () => {
+  const guestSplit = { cancelledBy: 'guest', cancelledByUserId: 'guest-1', refundPercent: 50, guestRefund: 525 };
+  const failedAttempt = (overrides = {}) => booking({
+    id: 'booking-1',
+    propertyId: 'property-1',
+    walletStatus: 'pending',
+    walletTransactionId: null,
+    metadata: { refund: guestSplit },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Property, 'findByPk').mockResolvedValue({ id: 'property-1', cancellationPolicy: 'strict' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses the split when the same party retries', async () => {
+    const count = jest.spyOn(WalletTransaction, 'count');
+
+    await expect(resolveCancellationRefund(failedAttempt(), 'guest', 'guest-1')).resolves.toBe(guestSplit);
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds the split for another party when no money has moved', async () => {
+    jest.spyOn(WalletTransaction, 'count').mockResolvedValue(0);
+
+    const refund = await resolveCancellationRefund(failedAttempt(), 'owner', 'owner-1');
+
+    expect(refund).toMatchObject({ cancelledBy: 'owner', cancelledByUserId: 'owner-1', refundPercent: 100, guestRefund: 1100 });
+  });
+
+  it('keeps the first split once money has moved under it', async () => {
+    jest.spyOn(WalletTransaction, 'count').mockResolvedValue(1);
+
+    await expect(resolveCancellationRefund(failedAttempt(), 'owner', 'owner-1')).resolves.toBe(guestSplit);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+import sequelize from '../../database/db.js';
+import { Booking, Dispute } from '../../schema/index.js';
+import { calculateResolution, openDispute } from '../../services/disputeService.js';
+
+const amounts = { amountPaid: 1100, ownerShare: 900, taxAmount: 50 };
+
+describe('calculateResolution', () => {
+  it('refunds the guest in full out of the owner share, tax and fees', () => {
+    expect(calculateResolution(amounts, 'full_refund')).toEqual({
+      outcome: 'full_refund',
+      amountPaid: 1100,
+      ownerShare: 900,
+      guestRefund: 1100,
+      ownerDebit: 900,
+      ownerAmount: 0,
+      taxRefund: 50,
+      platformRefund: 150
+    });
+  });
+
+  it('takes a partial refund out of the owner share only', () => {
+    expect(calculateResolution(amounts, 'partial_refund', { refundAmount: 300 })).toMatchObject({
+      guestRefund: 300,
+      ownerDebit: 300,
+      ownerAmount: 600,
+      taxRefund: 0,
+      platformRefund: 0
+    });
+  });
+
+  it('rejects partial refunds above the owner share', () => {
+    expect(() => calculateResolution(amounts, 'partial_refund', { refundAmount: 901 })).toThrow(/at most the owner's share/);
+    expect(() => calculateResolution(amounts, 'partial_refund', { refundAmount: 0 })).toThrow();
+  });
+
+  it('shares everything paid on a split', () => {
+    expect(calculateResolution(amounts, 'split', { guestPercent: 40 })).toMatchObject({
+      guestRefund: 440,
+      ownerDebit: 360,
+      ownerAmount: 540,
+      taxRefund: 20,
+      platformRefund: 60
+    });
+  });
+
+  it('rejects splits that give everything to one side', () => {
+    expect(() => calculateResolution(amounts, 'split', { guestPercent: 100 })).toThrow(/between 1 and 99/);
+    expect(() => calculateResolution(amounts, 'split', { guestPercent: 0 })).toThrow(/between 1 and 99/);
+  });
+
+  it('leaves the owner share untouched when released to the owner', () => {
+    expect(calculateResolution(amounts, 'release_to_owner')).toMatchObject({
+      guestRefund: 0,
+      ownerDebit: 0,
+      ownerAmount: 900,
+      platformRefund: 0
+    });
+  });
+
+  it('never refunds more tax than the platform holds', () => {
+    const resolution = calculateResolution({ amountPaid: 1000, ownerShare: 980, taxAmount: 50 }, 'full_refund');
+
+    expect(resolution.taxRefund).toBe(20);
+    expect(resolution.platformRefund).toBe(0);
+  });
+
+  it('rejects unknown outcomes', () => {
+    expect(() => calculateResolution(amounts, 'coin_toss')).toThrow(/Unknown outcome/);
+  });
+});
+
+describe('openDispute', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' }, rollback: jest.fn(), commit: jest.fn() };
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(Booking, 'findByPk').mockResolvedValue({
+      id: 'booking-1',
+      userId: 'guest-1',
+      ownerId: 'owner-1',
+      paymentStatus: 'completed',
+      status: 'completed',
+      walletStatus: 'released'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a booking whose dispute was already resolved', async () => {
+    const findOne = jest.spyOn(Dispute, 'findOne').mockResolvedValue({ id: 'dispute-1', status: 'resolved' });
+    const create = jest.spyOn(Dispute, 'create');
+
+    const result = await openDispute({ id: 'guest-1' }, { bookingId: 'booking-1', reason: 'not_as_described' });
+
+    expect(findOne.mock.calls[0][0].where.status).toEqual({ [Op.in]: ['open', 'under_review', 'resolved'] });
+    expect(result).toMatchObject({ success: false, statusCode: 409, data: { disputeId: 'dispute-1' } });
+    expect(result.message).toMatch(/already been resolved/);
+    expect(create).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
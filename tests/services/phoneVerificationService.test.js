@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { PhoneVerification, User } from '../../schema/index.js';
+import { verifyPhoneOtp } from '../../services/phoneVerificationService.js';
+
+const fakeVerification = (fields = {}) => {
+  const verification = {
+    id: 'verification-1',
+    phone: '+2348012345678',
+    codeHash: crypto.createHash('sha256').update('verification-1:123456').digest('hex'),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: 5,
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+    ...fields
+  };
+  verification.reload = jest.fn(async () => verification);
+  return verification;
+};
+
+describe('verifyPhoneOtp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses to compare the code once no attempt can be claimed', async () => {
+    const verification = fakeVerification({ attempts: 5 });
+    jest.spyOn(PhoneVerification, 'findOne').mockResolvedValue(verification);
+    const update = jest.spyOn(PhoneVerification, 'update').mockResolvedValue([0]);
+    const findUser = jest.spyOn(User, 'findByPk');
+
+    const result = await verifyPhoneOtp('user-1', '123456');
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1].where).toMatchObject({ id: 'verification-1', status: 'pending' });
+    expect(result).toMatchObject({ success: false, statusCode: 429 });
+    expect(findUser).not.toHaveBeenCalled();
+  });
+
+  it('locks the code when the claimed attempt was the last one', async () => {
+    const verification = fakeVerification();
+    verification.reload = jest.fn(async () => Object.assign(verification, { attempts: 5 }));
+    jest.spyOn(PhoneVerification, 'findOne').mockResolvedValue(verification);
+    const update = jest.spyOn(PhoneVerification, 'update').mockResolvedValue([1]);
+
+    const result = await verifyPhoneOtp('user-1', '000000');
+
+    expect(update).toHaveBeenLastCalledWith({ status: 'locked' }, { where: { id: 'verification-1', status: 'pending' } });
+    expect(result).toMatchObject({ success: false, statusCode: 429 });
+  });
+
+  it('marks the phone verified when the code matches', async () => {
+    const verification = fakeVerification();
+    verification.reload = jest.fn(async () => Object.assign(verification, { attempts: 1 }));
+    const user = { preferences: {}, update: jest.fn() };
+    jest.spyOn(PhoneVerification, 'findOne').mockResolvedValue(verification);
+    jest.spyOn(PhoneVerification, 'update').mockResolvedValue([1]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+
+    const result = await verifyPhoneOtp('user-1', '123456');
+
+    expect(result).toMatchObject({ success: true, data: { phone: '+2348012345678', phoneVerified: true } });
+    expect(user.update).toHaveBeenCalledWith(expect.objectContaining({ phoneVerified: true }));
+  });
+});
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import BookingFeeConfig from '../../schema/BookingFeeConfig.js';
+import { calculateSettlement } from '../../services/rentInvoiceService.js';
+
+describe('calculateSettlement', () => {
+  beforeEach(() => {
+    jest.spyOn(BookingFeeConfig, 'findAll').mockResolvedValue([
+      { feeType: 'service_fee', valueType: 'percentage', value: '5' },
+      { feeType: 'tax', valueType: 'percentage', value: '7.5' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges fees on rent only and passes deposits through to the landlord', async () => {
+    const settlement = await calculateSettlement({ totalAmount: '120000.00', rentAmount: '100000.00', lateFee: null });
+
+    expect(settlement).toEqual({
+      grossAmount: 120000,
+      taxAmount: 7500,
+      platformFees: 5000,
+      landlordAmount: 107500,
+      commissionableAmount: 87500
+    });
+    expect(settlement.landlordAmount + settlement.taxAmount + settlement.platformFees).toBe(settlement.grossAmount);
+  });
+
+  it('charges fees and commission on late fees too', async () => {
+    const settlement = await calculateSettlement({ totalAmount: '125000.00', rentAmount: '100000.00', lateFee: '5000.00' });
+
+    expect(settlement).toMatchObject({
+      taxAmount: 7875,
+      platformFees: 5250,
+      landlordAmount: 111875,
+      commissionableAmount: 91875
+    });
+  });
+
+  it('does not look up fees when nothing on the invoice is feeable', async () => {
+    const settlement = await calculateSettlement({ totalAmount: '20000.00', rentAmount: '0.00', lateFee: '0.00' });
+
+    expect(BookingFeeConfig.findAll).not.toHaveBeenCalled();
+    expect(settlement).toEqual({
+      grossAmount: 20000,
+      taxAmount: 0,
+      platformFees: 0,
+      landlordAmount: 20000,
+      commissionableAmount: 0
+    });
+  });
+});
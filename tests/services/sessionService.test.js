@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { User, UserSession } = await import('../../schema/index.js');
+const { rotateRefreshToken } = await import('../../services/sessionService.js');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const fakeSession = (fields = {}) => ({
+  id: 'session-1',
+  userId: 'user-1',
+  refreshTokenHash: hashToken('current-secret'),
+  previousTokenHash: hashToken('previous-secret'),
+  rotatedAt: new Date(),
+  rotationCount: 3,
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  lastSeenIp: '10.0.0.1',
+  reload: jest.fn(),
+  ...fields
+});
+
+describe('rotateRefreshToken', () => {
+  beforeEach(() => {
+    jest.spyOn(UserSession, 'findAll').mockResolvedValue([{ id: 'session-1' }]);
+    jest.spyOn(UserSession, 'update').mockResolvedValue([1]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', email: 'ada@example.com', role: 'renter', status: 'active' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('swaps the current token for a new pair', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession());
+
+    const result = await rotateRefreshToken('session-1.current-secret');
+
+    expect(result.success).toBe(true);
+    expect(result.data.refreshToken).toMatch(/^session-1\./);
+    expect(result.data.refreshToken).not.toBe('session-1.current-secret');
+    expect(UserSession.update).toHaveBeenCalledWith(
+      expect.objectContaining({ previousTokenHash: hashToken('current-secret'), rotationCount: 4 }),
+      { where: { id: 'session-1', refreshTokenHash: hashToken('current-secret'), revokedAt: null } }
+    );
+  });
+
+  it('asks for a retry when the previous token comes back within the grace period', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession({ rotatedAt: new Date(Date.now() - 2000) }));
+
+    const result = await rotateRefreshToken('session-1.previous-secret');
+
+    expect(result).toMatchObject({ success: false, statusCode: 409 });
+    expect(UserSession.update).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session when the previous token is replayed after the grace period', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession({ rotatedAt: new Date(Date.now() - 60 * 1000) }));
+
+    const result = await rotateRefreshToken('session-1.previous-secret');
+
+    expect(result).toMatchObject({ success: false, statusCode: 401 });
+    expect(UserSession.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revokedReason: 'token_reuse' }),
+      expect.any(Object)
+    );
+  });
+
+  it('revokes the session when an older token is replayed', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession());
+
+    const result = await rotateRefreshToken('session-1.stolen-secret');
+
+    expect(result).toMatchObject({ success: false, statusCode: 401 });
+    expect(UserSession.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revokedReason: 'token_reuse' }),
+      expect.any(Object)
+    );
+  });
+
+  it('lets only one of two concurrent refreshes win', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession());
+    UserSession.update.mockResolvedValue([0]);
+
+    const result = await rotateRefreshToken('session-1.current-secret');
+
+    expect(result).toMatchObject({ success: false, statusCode: 409 });
+  });
+
+  it('rejects revoked sessions and malformed tokens', async () => {
+    jest.spyOn(UserSession, 'findByPk').mockResolvedValue(fakeSession({ revokedAt: new Date() }));
+
+    expect(await rotateRefreshToken('session-1.current-secret')).toMatchObject({ success: false, statusCode: 401 });
+    expect(await rotateRefreshToken('no-dot')).toMatchObject({ success: false, statusCode: 401 });
+  });
+});
@@ -0,0 +1,40 @@
+import { base32Encode, currentStep, generateTotp, verifyTotp } from '../../utils/totp.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890")
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('verifyTotp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(SECRET, currentStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(SECRET, currentStep(1111111109 * 1000))).toBe('081804');
+    expect(verifyTotp(SECRET, '081804', { timestamp: 1111111109 * 1000 })).toBe(currentStep(1111111109 * 1000));
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    const timestamp = 1700000000 * 1000;
+    const step = currentStep(timestamp);
+
+    expect(verifyTotp(SECRET, generateTotp(SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(verifyTotp(SECRET, generateTotp(SECRET, step + 1), { timestamp })).toBe(step + 1);
+    expect(verifyTotp(SECRET, generateTotp(SECRET, step + 2), { timestamp })).toBeNull();
+    expect(verifyTotp(SECRET, generateTotp(SECRET, step + 2), { timestamp, window: 2 })).toBe(step + 2);
+  });
+
+  it('ignores spaces in the code', () => {
+    const timestamp = 1700000000 * 1000;
+    const code = generateTotp(SECRET, currentStep(timestamp));
+
+    expect(verifyTotp(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp })).toBe(currentStep(timestamp));
+  });
+
+  it('rejects malformed and wrong codes', () => {
+    const timestamp = 1700000000 * 1000;
+    const code = generateTotp(SECRET, currentStep(timestamp));
+    const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    expect(verifyTotp(SECRET, wrong, { timestamp })).toBeNull();
+    expect(verifyTotp(SECRET, '12345', { timestamp })).toBeNull();
+    expect(verifyTotp(SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(SECRET, null, { timestamp })).toBeNull();
+  });
+});
@@ -1,4 +1,5 @@
 import { query, body, param } from 'express-validator';
+import { ADMIN_ROLES } from '../constants/adminPermissions.js';
 
 const paginationValidation = [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -16,6 +17,10 @@ export const usersValidation = [
     .optional()
     .isIn(['renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'])
     .withMessage('Invalid role filter'),
+  query('adminRole')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage('Invalid staff role filter'),
   query('status')
     .optional()
     .isIn(['pending', 'active', 'suspended', 'banned', 'deleted'])
@@ -45,7 +50,11 @@ export const createAdminUserValidation = [
     .optional()
     .isString()
     .isLength({ max: 25 })
-    .withMessage('phone must be 25 characters or less')
+    .withMessage('phone must be 25 characters or less'),
+  body('adminRole')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`adminRole must be one of: ${ADMIN_ROLES.join(', ')}`)
 ];
 
 export const updateUserStatusValidation = [
@@ -66,7 +75,20 @@ export const updateUserRoleValidation = [
   body('role')
     .exists().withMessage('Role is required')
     .isIn(['renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'])
-    .withMessage('Invalid role')
+    .withMessage('Invalid role'),
+  body('adminRole')
+    .optional({ nullable: true })
+    .isIn(ADMIN_ROLES)
+    .withMessage(`adminRole must be one of: ${ADMIN_ROLES.join(', ')}`)
+];
+
+export const updateUserAdminRoleValidation = [
+  param('userId').isUUID().withMessage('userId must be a valid UUID'),
+  body('adminRole')
+    .exists().withMessage('adminRole is required')
+    .isIn(ADMIN_ROLES)
+    .withMessage(`adminRole must be one of: ${ADMIN_ROLES.join(', ')}`),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('reason must be 500 characters or less')
 ];
 
 export const updateUserProfileValidation = [
@@ -109,7 +131,7 @@ export const propertiesManagementValidation = [
   ...paginationValidation,
   query('status')
     .optional()
-    .isIn(['draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived'])
+    .isIn(['draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived', 'suspended'])
     .withMessage('Invalid status filter'),
   query('listingType')
     .optional()
@@ -214,8 +236,8 @@ export const moderationListingsValidation = [
   ...paginationValidation,
   query('status')
     .optional()
-    .isIn(['pending', 'rejected', 'archived', 'flagged'])
-    .withMessage('status must be pending, rejected, archived, or flagged'),
+    .isIn(['pending', 'rejected', 'archived', 'suspended', 'reported', 'flagged'])
+    .withMessage('status must be pending, rejected, archived, suspended, reported, or flagged'),
   query('listingType')
     .optional()
     .isIn(['rent', 'sale', 'shortlet', 'hotel'])
@@ -223,6 +245,41 @@ export const moderationListingsValidation = [
   query('search').optional().isString().isLength({ max: 200 }).withMessage('search must be a string')
 ];
 
+export const listingReportsValidation = [
+  ...paginationValidation,
+  query('status')
+    .optional()
+    .isIn(['open', 'dismissed', 'actioned'])
+    .withMessage('status must be open, dismissed, or actioned'),
+  query('reason')
+    .optional()
+    .isIn(['scam', 'duplicate', 'wrong_price', 'already_rented', 'misleading', 'inappropriate', 'other'])
+    .withMessage('Invalid report reason'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('search must be a string')
+];
+
+export const actionListingReportsValidation = [
+  propertyIdParamValidation[0],
+  body('action')
+    .exists()
+    .withMessage('action is required')
+    .isIn(['dismiss', 'warn_owner', 'unpublish', 'ban_owner'])
+    .withMessage('action must be dismiss, warn_owner, unpublish, or ban_owner'),
+  body('notes')
+    .if(body('action').isIn(['warn_owner', 'unpublish', 'ban_owner']))
+    .exists({ checkFalsy: true })
+    .withMessage('notes are required when acting against the owner')
+    .bail()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('notes must be at most 1000 characters'),
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('notes must be at most 1000 characters')
+];
+
 export const moderationKycValidation = [
   ...paginationValidation,
   query('status')
@@ -286,6 +343,18 @@ export const transactionsValidation = [
   query('search').optional().isString().isLength({ max: 200 }).withMessage('search must be a string')
 ];
 
+export const trialBalanceValidation = [
+  query('asOf').optional().isISO8601().withMessage('asOf must be a valid ISO date'),
+  query('category')
+    .optional()
+    .isIn(['guest', 'landlord_pending', 'landlord_available', 'platform_revenue', 'tax_payable', 'paystack_clearing'])
+    .withMessage('Invalid ledger account category')
+];
+
+export const bookingIdParamValidation = [
+  param('bookingId').isUUID().withMessage('bookingId must be a valid UUID')
+];
+
 export const subscriptionIdParamValidation = [
   param('subscriptionId').isUUID().withMessage('subscriptionId must be a valid UUID')
 ];
@@ -444,6 +513,85 @@ export const toggleSubscriptionPlanStatusValidation = [
   body('isActive').exists().withMessage('isActive is required').isBoolean().withMessage('isActive must be true or false').toBoolean()
 ];
 
+export const couponsValidation = [
+  ...paginationValidation,
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'expired'])
+    .withMessage('status must be active, inactive or expired'),
+  query('fundedBy')
+    .optional()
+    .isIn(['platform', 'landlord'])
+    .withMessage('fundedBy must be platform or landlord'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('search must be a string')
+];
+
+export const couponIdParamValidation = [
+  param('couponId').isUUID().withMessage('couponId must be a valid UUID')
+];
+
+const isUuidList = (field) => body(field)
+  .optional({ nullable: true })
+  .custom((value) => {
+    if (!Array.isArray(value) || !value.every((item) => /^[0-9a-f-]{36}$/i.test(item))) {
+      throw new Error(`${field} must be an array of UUIDs`);
+    }
+    return true;
+  });
+
+const couponFieldValidation = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('description must be 255 characters or less'),
+  body('maxDiscountAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('maxDiscountAmount must be a positive number'),
+  body('minSpend').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('minSpend must be a positive number'),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('currency must be a 3-letter ISO code'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('startsAt must be a valid ISO date'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a valid ISO date'),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxRedemptions must be a positive integer'),
+  body('maxRedemptionsPerUser').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxRedemptionsPerUser must be a positive integer'),
+  body('listingTypes')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('listingTypes must be an array'),
+  body('listingTypes.*')
+    .isIn(['shortlet', 'rental', 'hotel'])
+    .withMessage('listingTypes can only contain shortlet, rental or hotel'),
+  isUuidList('propertyIds'),
+  isUuidList('ownerIds'),
+  body('fundedBy').optional().isIn(['platform', 'landlord']).withMessage('fundedBy must be platform or landlord'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  body('metadata').optional({ nullable: true }).isObject().withMessage('metadata must be an object')
+];
+
+export const createCouponValidation = [
+  body('code').exists().withMessage('code is required').isString().isLength({ min: 3, max: 50 }).withMessage('code must be between 3 and 50 characters'),
+  body('discountType').exists().withMessage('discountType is required').isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+  body('discountValue').exists().withMessage('discountValue is required').isFloat({ gt: 0 }).withMessage('discountValue must be greater than zero'),
+  ...couponFieldValidation
+];
+
+export const updateCouponValidation = [
+  couponIdParamValidation[0],
+  body('code').optional().isString().isLength({ min: 3, max: 50 }).withMessage('code must be between 3 and 50 characters'),
+  body('discountType').optional().isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+  body('discountValue').optional().isFloat({ gt: 0 }).withMessage('discountValue must be greater than zero'),
+  ...couponFieldValidation
+];
+
+export const toggleCouponStatusValidation = [
+  couponIdParamValidation[0],
+  body('isActive').exists().withMessage('isActive is required').isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+export const couponUsageValidation = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a valid ISO date'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+];
+
 export const reportsMetricsValidation = [
   query('months')
     .optional()
@@ -455,4 +603,32 @@ export const reportsMetricsValidation = [
     .withMessage('endDate must be a valid ISO date')
 ];
 
+const auditLogFilterValidation = [
+  query('actorId').optional().isUUID().withMessage('actorId must be a valid UUID'),
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]*)?$/)
+    .withMessage('action must look like "user.ban", or "user." to match every user action'),
+  query('entityType')
+    .optional()
+    .matches(/^[a-z_]{1,50}$/)
+    .withMessage('entityType must be a lowercase entity name'),
+  query('entityId').optional().isString().isLength({ max: 64 }).withMessage('entityId must be 64 characters or less'),
+  query('startDate').optional().isISO8601().withMessage('startDate must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a valid ISO date'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('search must be a string')
+];
+
+export const auditLogsValidation = [
+  ...paginationValidation,
+  ...auditLogFilterValidation
+];
+
+export const exportAuditLogsValidation = auditLogFilterValidation;
 
+export const updateMfaPolicyValidation = [
+  param('role')
+    .isIn(['renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'])
+    .withMessage('Invalid role'),
+  body('required').exists().withMessage('required is required').isBoolean().withMessage('required must be true or false').toBoolean()
+];
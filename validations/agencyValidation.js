@@ -0,0 +1,127 @@
+import { body, param, query } from 'express-validator';
+
+const INVITATION_ROLES = ['manager', 'agent'];
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+const MANDATE_STATUSES = ['pending', 'active', 'declined', 'revoked'];
+const COMMISSION_STATUSES = ['pending', 'settled', 'failed'];
+
+const agencyIdParam = param('agencyId').isUUID().withMessage('agencyId must be a valid UUID');
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const percentField = (field) => body(field)
+  .optional()
+  .isFloat({ min: 0, max: 100 })
+  .withMessage(`${field} must be between 0 and 100`);
+
+const agencyProfileValidation = [
+  body('email').optional({ nullable: true }).isEmail().withMessage('email must be a valid email address'),
+  body('phone').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('phone must be at most 20 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 5000 }).withMessage('description must be at most 5000 characters'),
+  body('logoUrl').optional({ nullable: true }).isURL().withMessage('logoUrl must be a valid URL'),
+  body('address').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('address must be at most 500 characters'),
+  body('city').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('city must be at most 100 characters'),
+  body('state').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('state must be at most 100 characters'),
+  percentField('defaultCommissionPercent'),
+  percentField('defaultAgentSharePercent')
+];
+
+export const createAgencyValidation = [
+  body('name').isString().trim().isLength({ min: 2, max: 150 }).withMessage('name must be 2-150 characters'),
+  ...agencyProfileValidation
+];
+
+export const updateAgencyValidation = [
+  agencyIdParam,
+  body('name').optional().isString().trim().isLength({ min: 2, max: 150 }).withMessage('name must be 2-150 characters'),
+  ...agencyProfileValidation
+];
+
+export const agencyValidation = [agencyIdParam];
+
+export const inviteMemberValidation = [
+  agencyIdParam,
+  body('email').isEmail().withMessage('email must be a valid email address'),
+  body('role').optional().isIn(INVITATION_ROLES).withMessage(`role must be one of: ${INVITATION_ROLES.join(', ')}`)
+];
+
+export const invitationsValidation = [
+  agencyIdParam,
+  query('status').optional().isIn(INVITATION_STATUSES).withMessage(`status must be one of: ${INVITATION_STATUSES.join(', ')}`)
+];
+
+export const revokeInvitationValidation = [
+  agencyIdParam,
+  param('invitationId').isUUID().withMessage('invitationId must be a valid UUID')
+];
+
+export const respondToInvitationValidation = [
+  body('token').isString().isLength({ min: 64, max: 64 }).withMessage('token is invalid'),
+  body('action').isIn(['accept', 'decline']).withMessage('action must be accept or decline')
+];
+
+const memberIdParam = param('memberId').isUUID().withMessage('memberId must be a valid UUID');
+
+export const updateMemberValidation = [
+  agencyIdParam,
+  memberIdParam,
+  body('role').optional().isIn(INVITATION_ROLES).withMessage(`role must be one of: ${INVITATION_ROLES.join(', ')}`),
+  body('onDuty').optional().isBoolean().withMessage('onDuty must be a boolean').toBoolean()
+];
+
+export const removeMemberValidation = [agencyIdParam, memberIdParam];
+
+export const agencyPropertiesValidation = [
+  agencyIdParam,
+  query('agentId').optional().isUUID().withMessage('agentId must be a valid UUID'),
+  query('status').optional().isString().withMessage('status must be a string'),
+  ...paginationValidation
+];
+
+export const addAgencyPropertyValidation = [
+  agencyIdParam,
+  body('propertyId').isUUID().withMessage('propertyId must be a valid UUID')
+];
+
+const propertyIdParam = param('propertyId').isUUID().withMessage('propertyId must be a valid UUID');
+
+export const removeAgencyPropertyValidation = [agencyIdParam, propertyIdParam];
+
+export const assignPropertyAgentValidation = [
+  agencyIdParam,
+  propertyIdParam,
+  body('agentId').optional({ nullable: true }).isUUID().withMessage('agentId must be a valid UUID or null')
+];
+
+export const requestMandateValidation = [
+  body('agencyId').isUUID().withMessage('agencyId must be a valid UUID'),
+  body('propertyId').isUUID().withMessage('propertyId must be a valid UUID'),
+  percentField('commissionPercent'),
+  percentField('agentSharePercent'),
+  body('notes').optional().isString().isLength({ max: 2000 }).withMessage('notes must be at most 2000 characters')
+];
+
+export const mandatesValidation = [
+  query('status').optional().isIn(MANDATE_STATUSES).withMessage(`status must be one of: ${MANDATE_STATUSES.join(', ')}`)
+];
+
+export const agencyMandatesValidation = [agencyIdParam, ...mandatesValidation];
+
+const mandateIdParam = param('mandateId').isUUID().withMessage('mandateId must be a valid UUID');
+
+export const respondToMandateValidation = [
+  agencyIdParam,
+  mandateIdParam,
+  body('action').isIn(['accept', 'decline']).withMessage('action must be accept or decline')
+];
+
+export const revokeMandateValidation = [mandateIdParam];
+
+export const commissionsValidation = [
+  agencyIdParam,
+  query('status').optional().isIn(COMMISSION_STATUSES).withMessage(`status must be one of: ${COMMISSION_STATUSES.join(', ')}`),
+  ...paginationValidation
+];
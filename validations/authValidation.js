@@ -1,4 +1,5 @@
 import { body, param, query } from 'express-validator';
+import { NotificationCategories, NotificationChannels } from '../modules/notifications/types.js';
 
 /**
  * Validation rules for user registration
@@ -122,7 +123,13 @@ export const loginValidation = [
   
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be 100 characters or less')
 ];
 
 /**
@@ -243,6 +250,92 @@ export const registerDeviceTokenValidation = [
     .withMessage('Push token must be between 1 and 500 characters')
 ];
 
+export const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .matches(/^[0-9a-f-]{36}\.[A-Za-z0-9_-]{32,}$/i)
+    .withMessage('Invalid refresh token')
+];
+
+export const secureAccountValidation = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .bail()
+    .isJWT()
+    .withMessage('Invalid token')
+];
+
+export const sessionIdParamValidation = [
+  param('sessionId').isUUID().withMessage('sessionId must be a valid UUID')
+];
+
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body().custom((value) => {
+    if (!value?.code && !value?.recoveryCode) {
+      throw new Error('Enter a code from your authenticator app or a recovery code');
+    }
+    return true;
+  })
+];
+
+export const mfaCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+export const mfaStepUpValidation = secondFactorValidation;
+
+export const verifyMfaLoginValidation = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('mfaToken is required'),
+  ...secondFactorValidation,
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be 100 characters or less')
+];
+
+export const disableMfaValidation = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  ...secondFactorValidation
+];
+
+export const sendPhoneOtpValidation = [
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^\+?[0-9\s()-]{7,20}$/)
+    .withMessage('Please provide a valid phone number')
+];
+
+export const verifyPhoneOtpValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
 export const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
@@ -285,6 +378,66 @@ export const updatePreferencesValidation = [
     .isBoolean()
     .withMessage('SMS notification preference must be a boolean'),
   
+  body('notifications.whatsapp')
+    .optional()
+    .isBoolean()
+    .withMessage('WhatsApp notification preference must be a boolean'),
+  
+  body('notifications.in_app')
+    .optional()
+    .isBoolean()
+    .withMessage('In-app notification preference must be a boolean'),
+  
+  body('notifications.categories')
+    .optional()
+    .custom((value) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error('Notification categories must be an object');
+      }
+      const categories = Object.values(NotificationCategories);
+      const channels = Object.values(NotificationChannels);
+      Object.entries(value).forEach(([category, settings]) => {
+        if (!categories.includes(category)) {
+          throw new Error(`Unknown notification category: ${category}`);
+        }
+        if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+          throw new Error(`Preferences for ${category} must be an object`);
+        }
+        Object.entries(settings).forEach(([channel, enabled]) => {
+          if (!channels.includes(channel) || typeof enabled !== 'boolean') {
+            throw new Error(`Preferences for ${category} must map ${channels.join(', ')} to booleans`);
+          }
+        });
+      });
+      return true;
+    }),
+  
+  body('notifications.quietHours')
+    .optional()
+    .isObject()
+    .withMessage('Quiet hours must be an object'),
+  
+  body('notifications.quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Quiet hours enabled must be a boolean'),
+  
+  body(['notifications.quietHours.start', 'notifications.quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours start and end must be in HH:MM format'),
+  
+  body('notifications.quietHours.timezone')
+    .optional()
+    .custom((value) => {
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: value });
+        return true;
+      } catch (error) {
+        throw new Error('Quiet hours timezone must be a valid IANA timezone, e.g. Africa/Lagos');
+      }
+    }),
+  
   body('privacy')
     .optional()
     .isObject()
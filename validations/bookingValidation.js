@@ -94,11 +94,18 @@ export const createBookingValidation = [
     .isInt({ min: 1, max: 20 })
     .withMessage('Number of guests must be between 1 and 20'),
 
+  body('quoteId')
+    .if(body('bookingType').isIn(['shortlet', 'rental', 'hotel']))
+    .isUUID()
+    .withMessage('A valid quoteId is required for shortlet, rental and hotel bookings'),
+
   body('basePrice')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Base price must be a positive number'),
 
   body('totalPrice')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Total price must be a positive number'),
 
@@ -262,6 +269,70 @@ export const updateBookingValidation = [
     .withMessage('Admin notes must be a string with maximum 1000 characters')
 ];
 
+// Booking quote validation
+export const createQuoteValidation = [
+  body('propertyId')
+    .isUUID()
+    .withMessage('Property ID must be a valid UUID'),
+
+  body('bookingType')
+    .optional()
+    .isIn(['shortlet', 'rental', 'hotel'])
+    .withMessage('Booking type must be one of: shortlet, rental, hotel'),
+
+  body('checkInDate')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom((value) => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (new Date(value) < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+
+  body('checkOutDate')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.checkInDate)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+
+  body('numberOfGuests')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Number of guests must be between 1 and 20'),
+
+  body('roomTypeId')
+    .optional()
+    .isUUID()
+    .withMessage('Room type ID must be a valid UUID'),
+
+  body('roomUnits')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Number of rooms must be between 1 and 20'),
+
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Coupon code must be between 3 and 50 characters')
+];
+
+// Coupon preview validation (same stay details as a quote)
+export const applyCouponValidation = [
+  ...createQuoteValidation,
+  body('couponCode')
+    .exists({ checkFalsy: true })
+    .withMessage('Coupon code is required')
+];
+
 // Cancel booking validation
 export const cancelBookingValidation = [
   body('cancellationReason')
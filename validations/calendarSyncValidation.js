@@ -0,0 +1,39 @@
+import { body, param } from 'express-validator';
+
+const propertyIdParam = param('propertyId').isUUID().withMessage('propertyId must be a valid UUID');
+const feedIdParam = param('feedId').isUUID().withMessage('feedId must be a valid UUID');
+
+const feedFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+    field('url')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2048 })
+      .matches(/^(https?|webcals?):\/\//i)
+      .withMessage('url must be an http, https or webcal calendar link'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+export const propertyCalendarValidation = [propertyIdParam];
+
+export const exportCalendarValidation = [
+  propertyIdParam,
+  param('token').isHexadecimal().isLength({ min: 32, max: 64 }).withMessage('Invalid calendar link')
+];
+
+export const addFeedValidation = [
+  propertyIdParam,
+  ...feedFieldValidation(false)
+];
+
+export const updateFeedValidation = [
+  propertyIdParam,
+  feedIdParam,
+  ...feedFieldValidation(true)
+];
+
+export const feedValidation = [propertyIdParam, feedIdParam];
@@ -0,0 +1,198 @@
+import { body, param, query } from 'express-validator';
+
+const BANNER_PLACEMENTS = ['home_hero', 'home_strip', 'search', 'dashboard'];
+const BANNER_STATES = ['live', 'scheduled', 'expired', 'inactive'];
+const ANNOUNCEMENT_LEVELS = ['info', 'success', 'warning', 'maintenance'];
+const ANNOUNCEMENT_STATUSES = ['draft', 'published', 'archived'];
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push'];
+// 'visitor' targets signed-out visitors
+const TARGET_ROLES = ['visitor', 'renter', 'buyer', 'landlord', 'agent', 'hotel_provider', 'admin'];
+
+const uuidParam = (name) => param(name).isUUID().withMessage(`${name} must be a valid UUID`);
+
+const slugField = (field) => body(field)
+  .optional()
+  .isString()
+  .trim()
+  .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .withMessage(`${field} may only contain lowercase letters, numbers and hyphens`)
+  .isLength({ max: 120 })
+  .withMessage(`${field} must be 120 characters or less`);
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const scheduleValidation = [
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('startsAt must be a valid ISO date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('endsAt must be a valid ISO date')
+];
+
+const targetRolesValidation = [
+  body('targetRoles').optional({ nullable: true }).isArray().withMessage('targetRoles must be an array'),
+  body('targetRoles.*').isIn(TARGET_ROLES).withMessage(`targetRoles may contain: ${TARGET_ROLES.join(', ')}`)
+];
+
+// Public
+
+export const publicFaqsValidation = [
+  query('category').optional().isString().isLength({ max: 120 }).withMessage('category must be a slug')
+];
+
+export const publicBannersValidation = [
+  query('placement').optional().isIn(BANNER_PLACEMENTS).withMessage(`placement must be one of: ${BANNER_PLACEMENTS.join(', ')}`),
+  query('city').optional().isString().isLength({ max: 100 }).withMessage('city must be 100 characters or less')
+];
+
+export const publicPageValidation = [
+  param('slug').isString().isLength({ min: 1, max: 120 }).withMessage('slug is required')
+];
+
+// FAQs
+
+export const faqCategoryIdValidation = [uuidParam('categoryId')];
+
+export const createFaqCategoryValidation = [
+  body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('name must be 2-100 characters'),
+  slugField('slug'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('description must be 500 characters or less'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+export const updateFaqCategoryValidation = [
+  uuidParam('categoryId'),
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('name must be 2-100 characters'),
+  ...createFaqCategoryValidation.slice(1)
+];
+
+export const listFaqsValidation = [
+  query('categoryId').optional().isUUID().withMessage('categoryId must be a valid UUID'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('search must be a string'),
+  ...paginationValidation
+];
+
+export const faqIdValidation = [uuidParam('faqId')];
+
+export const createFaqValidation = [
+  body('categoryId').isUUID().withMessage('categoryId must be a valid UUID'),
+  body('question').isString().trim().isLength({ min: 5, max: 500 }).withMessage('question must be 5-500 characters'),
+  body('answer').isString().trim().isLength({ min: 1, max: 10000 }).withMessage('answer must be 1-10000 characters'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+export const updateFaqValidation = [
+  uuidParam('faqId'),
+  body('categoryId').optional().isUUID().withMessage('categoryId must be a valid UUID'),
+  body('question').optional().isString().trim().isLength({ min: 5, max: 500 }).withMessage('question must be 5-500 characters'),
+  body('answer').optional().isString().trim().isLength({ min: 1, max: 10000 }).withMessage('answer must be 1-10000 characters'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+// Banners
+
+const bannerFieldValidation = [
+  body('subtitle').optional({ nullable: true }).isString().isLength({ max: 300 }).withMessage('subtitle must be 300 characters or less'),
+  body('imageUrl').optional({ nullable: true }).isURL().withMessage('imageUrl must be a valid URL'),
+  body('mobileImageUrl').optional({ nullable: true }).isURL().withMessage('mobileImageUrl must be a valid URL'),
+  body('linkUrl').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('linkUrl must be 500 characters or less'),
+  body('ctaText').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('ctaText must be 50 characters or less'),
+  body('placement').optional().isIn(BANNER_PLACEMENTS).withMessage(`placement must be one of: ${BANNER_PLACEMENTS.join(', ')}`),
+  ...scheduleValidation,
+  ...targetRolesValidation,
+  body('targetCities').optional({ nullable: true }).isArray().withMessage('targetCities must be an array'),
+  body('targetCities.*').isString().isLength({ min: 1, max: 100 }).withMessage('targetCities must be city names'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+export const listBannersValidation = [
+  query('placement').optional().isIn(BANNER_PLACEMENTS).withMessage(`placement must be one of: ${BANNER_PLACEMENTS.join(', ')}`),
+  query('state').optional().isIn(BANNER_STATES).withMessage(`state must be one of: ${BANNER_STATES.join(', ')}`),
+  ...paginationValidation
+];
+
+export const bannerIdValidation = [uuidParam('bannerId')];
+
+export const createBannerValidation = [
+  body('title').isString().trim().isLength({ min: 2, max: 150 }).withMessage('title must be 2-150 characters'),
+  ...bannerFieldValidation
+];
+
+export const updateBannerValidation = [
+  uuidParam('bannerId'),
+  body('title').optional().isString().trim().isLength({ min: 2, max: 150 }).withMessage('title must be 2-150 characters'),
+  ...bannerFieldValidation
+];
+
+// Announcements
+
+const announcementFieldValidation = [
+  body('level').optional().isIn(ANNOUNCEMENT_LEVELS).withMessage(`level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}`),
+  body('linkUrl').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('linkUrl must be 500 characters or less'),
+  ...scheduleValidation,
+  ...targetRolesValidation,
+  body('sendNotification').optional().isBoolean().withMessage('sendNotification must be true or false').toBoolean(),
+  body('notificationChannels').optional({ nullable: true }).isArray({ min: 1 }).withMessage('notificationChannels must be a non-empty array'),
+  body('notificationChannels.*').isIn(NOTIFICATION_CHANNELS).withMessage(`notificationChannels may contain: ${NOTIFICATION_CHANNELS.join(', ')}`)
+];
+
+export const listAnnouncementsValidation = [
+  query('status').optional().isIn(ANNOUNCEMENT_STATUSES).withMessage(`status must be one of: ${ANNOUNCEMENT_STATUSES.join(', ')}`),
+  ...paginationValidation
+];
+
+export const announcementIdValidation = [uuidParam('announcementId')];
+
+export const createAnnouncementValidation = [
+  body('title').isString().trim().isLength({ min: 2, max: 200 }).withMessage('title must be 2-200 characters'),
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('body must be 1-5000 characters'),
+  ...announcementFieldValidation
+];
+
+export const updateAnnouncementValidation = [
+  uuidParam('announcementId'),
+  body('title').optional().isString().trim().isLength({ min: 2, max: 200 }).withMessage('title must be 2-200 characters'),
+  body('body').optional().isString().trim().isLength({ min: 1, max: 5000 }).withMessage('body must be 1-5000 characters'),
+  ...announcementFieldValidation
+];
+
+// Pages
+
+const pageFieldValidation = [
+  body('metaTitle').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('metaTitle must be 200 characters or less'),
+  body('metaDescription').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('metaDescription must be 500 characters or less'),
+  body('changeNote').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('changeNote must be 255 characters or less'),
+  body('publish').optional().isBoolean().withMessage('publish must be true or false').toBoolean()
+];
+
+export const pageIdValidation = [uuidParam('pageId')];
+
+export const pageVersionValidation = [
+  uuidParam('pageId'),
+  param('version').isInt({ min: 1 }).withMessage('version must be a positive integer')
+];
+
+export const createPageValidation = [
+  slugField('slug'),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('title must be 1-200 characters'),
+  body('content').isString().isLength({ min: 1 }).withMessage('content is required'),
+  ...pageFieldValidation
+];
+
+export const updatePageValidation = [
+  uuidParam('pageId'),
+  slugField('slug'),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('title must be 1-200 characters'),
+  body('content').optional().isString().isLength({ min: 1 }).withMessage('content cannot be empty'),
+  ...pageFieldValidation
+];
+
+export const publishPageValidation = [
+  uuidParam('pageId'),
+  body('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer').toInt()
+];
@@ -0,0 +1,56 @@
+import { body, param, query } from 'express-validator';
+
+const DISPUTE_REASONS = ['not_as_described', 'cleanliness', 'access_issue', 'safety', 'property_damage', 'payment_issue', 'other'];
+const DISPUTE_OUTCOMES = ['full_refund', 'partial_refund', 'release_to_owner', 'split'];
+const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'withdrawn'];
+
+const disputeIdParam = param('disputeId').isUUID().withMessage('disputeId must be a valid UUID');
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+export const openDisputeValidation = [
+  body('bookingId').isUUID().withMessage('bookingId must be a valid UUID'),
+  body('reason').isIn(DISPUTE_REASONS).withMessage(`reason must be one of: ${DISPUTE_REASONS.join(', ')}`),
+  body('description').isString().trim().isLength({ min: 20, max: 5000 }).withMessage('description must be 20-5000 characters'),
+  body('requestedOutcome').optional().isIn(DISPUTE_OUTCOMES).withMessage(`requestedOutcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`),
+  body('requestedAmount')
+    .if(body('requestedOutcome').equals('partial_refund'))
+    .isFloat({ gt: 0 })
+    .withMessage('requestedAmount is required for a partial_refund')
+];
+
+export const myDisputesValidation = [
+  query('status').optional().isIn(DISPUTE_STATUSES).withMessage(`status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+  ...paginationValidation
+];
+
+export const disputeValidation = [disputeIdParam];
+
+export const disputeMessageValidation = [
+  disputeIdParam,
+  body('message').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('message must be 1-5000 characters')
+];
+
+export const disputeQueueValidation = [
+  query('status').optional().isIn(DISPUTE_STATUSES).withMessage(`status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+  query('reason').optional().isIn(DISPUTE_REASONS).withMessage(`reason must be one of: ${DISPUTE_REASONS.join(', ')}`),
+  query('assignedTo').optional().isUUID().withMessage('assignedTo must be a valid UUID'),
+  ...paginationValidation
+];
+
+export const resolveDisputeValidation = [
+  disputeIdParam,
+  body('outcome').isIn(DISPUTE_OUTCOMES).withMessage(`outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`),
+  body('refundAmount')
+    .if(body('outcome').equals('partial_refund'))
+    .isFloat({ gt: 0 })
+    .withMessage('refundAmount is required for a partial_refund'),
+  body('guestPercent')
+    .if(body('outcome').equals('split'))
+    .isInt({ min: 1, max: 99 })
+    .withMessage('guestPercent must be between 1 and 99 for a split'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('notes must be 2000 characters or less')
+];
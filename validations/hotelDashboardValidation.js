@@ -61,7 +61,8 @@ export const respondBookingValidation = [
 export const availabilityValidation = [
   param('propertyId').isUUID().withMessage('propertyId must be a valid UUID'),
   query('month').optional().isInt({ min: 1, max: 12 }).withMessage('month must be between 1 and 12'),
-  query('year').optional().isInt({ min: 1970 }).withMessage('year must be a valid year')
+  query('year').optional().isInt({ min: 1970 }).withMessage('year must be a valid year'),
+  query('roomTypeId').optional().isUUID().withMessage('roomTypeId must be a valid UUID')
 ];
 
 
@@ -10,6 +10,11 @@ export const earningsSummaryValidation = [
   query('endDate').optional().isISO8601().withMessage('endDate must be a valid ISO date string')
 ];
 
+export const agencyEarningsValidation = [
+  query('agencyId').optional().isUUID().withMessage('agencyId must be a valid UUID'),
+  ...earningsSummaryValidation
+];
+
 export const paymentLogsValidation = [
   ...paginationValidation,
   query('status')
@@ -67,6 +72,15 @@ export const respondBookingRequestValidation = [
   body('ownerNotes').optional().isString().isLength({ max: 500 }).withMessage('ownerNotes must be 500 characters or less')
 ];
 
+export const rentalApplicationsValidation = [
+  ...paginationValidation,
+  query('status')
+    .optional()
+    .isIn(['submitted', 'under_review', 'shortlisted', 'accepted', 'rejected', 'withdrawn'])
+    .withMessage('Invalid status'),
+  query('propertyId').optional().isUUID().withMessage('propertyId must be a valid UUID')
+];
+
 export const clientInquiriesValidation = [
   ...paginationValidation,
   query('status')
@@ -34,6 +34,9 @@ export const initializePaymentWithDataValidation = [
   body('propertyId')
     .isUUID()
     .withMessage('Property ID must be a valid UUID'),
+  body('quoteId')
+    .isUUID()
+    .withMessage('A valid quoteId is required. Request a quote via POST /api/bookings/quote first.'),
   body('amount')
     .optional()
     .isFloat({ gt: 0 })
@@ -64,7 +67,7 @@ export const initializePaymentWithDataValidation = [
     .withMessage('Callback URL must be valid'),
   body('bookingType')
     .optional()
-    .isIn(['shortlet', 'hotel', 'rent', 'sale'])
+    .isIn(['shortlet', 'hotel', 'rental', 'rent'])
     .withMessage('Booking type must be valid'),
   body('checkInDate')
     .optional()
@@ -0,0 +1,58 @@
+import { body, param, query } from 'express-validator';
+
+const RULE_TYPES = ['date_range', 'day_of_week', 'length_of_stay', 'last_minute', 'early_bird'];
+const ADJUSTMENT_TYPES = ['percentage', 'fixed_amount', 'nightly_price'];
+
+const propertyIdParam = param('propertyId').isUUID().withMessage('propertyId must be a valid UUID');
+
+const ruleFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+    field('ruleType').isIn(RULE_TYPES).withMessage(`ruleType must be one of: ${RULE_TYPES.join(', ')}`),
+    field('adjustmentType')
+      .isIn(ADJUSTMENT_TYPES)
+      .withMessage(`adjustmentType must be one of: ${ADJUSTMENT_TYPES.join(', ')}`),
+    field('adjustmentValue').isFloat().withMessage('adjustmentValue must be a number'),
+    body('startDate').optional({ nullable: true }).isISO8601().withMessage('startDate must be a valid date'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('endDate must be a valid date'),
+    body('daysOfWeek')
+      .optional({ nullable: true })
+      .isArray({ min: 1, max: 7 })
+      .withMessage('daysOfWeek must be a list of days'),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('daysOfWeek values must be 0 (Sunday) to 6 (Saturday)').toInt(),
+    body('minNights').optional({ nullable: true }).isInt({ min: 1 }).withMessage('minNights must be a positive integer'),
+    body('maxNights').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxNights must be a positive integer'),
+    body('daysBeforeCheckIn')
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 730 })
+      .withMessage('daysBeforeCheckIn must be between 0 and 730'),
+    body('priority').optional().isInt({ min: 0, max: 1000 }).withMessage('priority must be between 0 and 1000'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+export const listPricingRulesValidation = [propertyIdParam];
+
+export const createPricingRuleValidation = [
+  propertyIdParam,
+  ...ruleFieldValidation(false)
+];
+
+export const updatePricingRuleValidation = [
+  propertyIdParam,
+  param('ruleId').isUUID().withMessage('ruleId must be a valid UUID'),
+  ...ruleFieldValidation(true)
+];
+
+export const deletePricingRuleValidation = [
+  propertyIdParam,
+  param('ruleId').isUUID().withMessage('ruleId must be a valid UUID')
+];
+
+export const previewStayPriceValidation = [
+  propertyIdParam,
+  query('checkInDate').isISO8601().withMessage('checkInDate must be a valid date'),
+  query('checkOutDate').isISO8601().withMessage('checkOutDate must be a valid date')
+];
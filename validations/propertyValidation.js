@@ -690,7 +690,7 @@ export const propertyPaginationValidation = [
 
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'updatedAt', 'price', 'viewCount', 'favoriteCount', 'title'])
+    .isIn(['createdAt', 'updatedAt', 'price', 'viewCount', 'favoriteCount', 'title', 'relevance', 'distance'])
     .withMessage('Invalid sort field'),
 
   query('sortOrder')
@@ -791,6 +791,51 @@ export const propertyFilterValidation = [
     .isUUID()
     .withMessage('Owner ID filter must be a valid UUID'),
 
+  query('amenities')
+    .optional()
+    .isString()
+    .withMessage('Amenities filter must be a comma-separated list'),
+
+  query('features')
+    .optional()
+    .isString()
+    .withMessage('Features filter must be a comma-separated list'),
+
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  query('radiusKm')
+    .optional()
+    .isFloat({ min: 0.1, max: 500 })
+    .withMessage('Radius must be between 0.1 and 500 km'),
+
+  query(['north', 'south'])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Bounding box latitudes must be between -90 and 90'),
+
+  query(['east', 'west'])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Bounding box longitudes must be between -180 and 180'),
+
+  query('checkInDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date'),
+
+  query('checkOutDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date'),
+
   query('incrementView')
     .optional()
     .isBoolean()
@@ -805,6 +850,21 @@ export const getPropertiesValidation = [
   ...propertyFilterValidation
 ];
 
+/**
+ * Validation for search autocomplete
+ */
+export const searchSuggestValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Query must be between 2 and 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+];
+
 /**
  * Combined validation for owner properties endpoint
  */
@@ -812,7 +872,7 @@ export const getOwnerPropertiesValidation = [
   ...propertyPaginationValidation,
   query('status')
     .optional()
-    .isIn(['draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived'])
+    .isIn(['draft', 'pending', 'active', 'inactive', 'sold', 'rented', 'rejected', 'archived', 'suspended'])
     .withMessage('Invalid status filter'),
   query('propertyType')
     .optional()
@@ -831,3 +891,27 @@ export const getAdminPropertiesValidation = [
   ...propertyPaginationValidation,
   ...propertyFilterValidation
 ];
+
+/**
+ * Validation for reporting a listing
+ */
+export const reportListingValidation = [
+  param('propertyId')
+    .isUUID()
+    .withMessage('Invalid property ID format'),
+  body('reason')
+    .notEmpty()
+    .withMessage('Report reason is required')
+    .isIn(['scam', 'duplicate', 'wrong_price', 'already_rented', 'misleading', 'inappropriate', 'other'])
+    .withMessage('Invalid report reason'),
+  body('details')
+    .if(body('reason').equals('other'))
+    .notEmpty()
+    .withMessage('Please describe the problem with this listing'),
+  body('details')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters')
+];
@@ -0,0 +1,19 @@
+import { body, param, query } from 'express-validator';
+
+const invoiceIdParam = param('invoiceId').isUUID().withMessage('invoiceId must be a valid UUID');
+
+export const listInvoicesValidation = [
+  query('as').optional().isIn(['tenant', 'landlord']).withMessage('as must be tenant or landlord'),
+  query('status').optional().isIn(['issued', 'overdue', 'paid', 'void']).withMessage('status must be issued, overdue, paid or void'),
+  query('leaseId').optional().isUUID().withMessage('leaseId must be a valid UUID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+export const invoiceValidation = [invoiceIdParam];
+
+export const payInvoiceValidation = [
+  invoiceIdParam,
+  body('method').isIn(['wallet', 'paystack']).withMessage('method must be wallet or paystack'),
+  body('callbackUrl').optional().isURL({ require_tld: false }).withMessage('callbackUrl must be a valid URL')
+];
@@ -0,0 +1,85 @@
+import { body, param } from 'express-validator';
+
+const applicationIdParam = param('applicationId').isUUID().withMessage('applicationId must be a valid UUID');
+const leaseIdParam = param('leaseId').isUUID().withMessage('leaseId must be a valid UUID');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Rent and fees the landlord sets when accepting or renewing
+const leaseTermsValidation = [
+  body('rentAmount').optional().isFloat({ gt: 0 }).withMessage('rentAmount must be a positive number'),
+  body('rentFrequency')
+    .optional()
+    .isIn(['monthly', 'quarterly', 'biannually', 'yearly'])
+    .withMessage('rentFrequency must be monthly, quarterly, biannually or yearly'),
+  body('cautionDeposit').optional().isFloat({ min: 0 }).withMessage('cautionDeposit must be zero or more'),
+  body('agencyFee').optional().isFloat({ min: 0 }).withMessage('agencyFee must be zero or more'),
+  body('legalFee').optional().isFloat({ min: 0 }).withMessage('legalFee must be zero or more'),
+  body('lateFeePercent').optional().isFloat({ min: 0, max: 25 }).withMessage('lateFeePercent must be between 0 and 25'),
+  body('lateFeeGraceDays').optional().isInt({ min: 0, max: 60 }).withMessage('lateFeeGraceDays must be between 0 and 60'),
+  body('termMonths').optional().isInt({ min: 1, max: 120 }).withMessage('termMonths must be between 1 and 120'),
+  body('terms').optional({ nullable: true }).isString().isLength({ max: 5000 }).withMessage('terms must be 5000 characters or less')
+];
+
+export const submitApplicationValidation = [
+  body('propertyId').isUUID().withMessage('propertyId must be a valid UUID'),
+  body('desiredMoveInDate')
+    .isISO8601()
+    .withMessage('desiredMoveInDate must be a valid date')
+    .custom((value) => {
+      if (value.split('T')[0] < today()) {
+        throw new Error('desiredMoveInDate cannot be in the past');
+      }
+      return true;
+    }),
+  body('leaseTermMonths').optional().isInt({ min: 1, max: 120 }).withMessage('leaseTermMonths must be between 1 and 120'),
+  body('occupants').optional().isInt({ min: 1, max: 50 }).withMessage('occupants must be between 1 and 50'),
+  body('message').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('message must be 2000 characters or less'),
+  body('employment').isObject().withMessage('employment details are required'),
+  body('employment.employmentType')
+    .isIn(['employed', 'self_employed', 'student', 'retired', 'unemployed'])
+    .withMessage('employment.employmentType must be employed, self_employed, student, retired or unemployed'),
+  body('employment.employer').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('employment.employer must be 200 characters or less'),
+  body('employment.jobTitle').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('employment.jobTitle must be 100 characters or less'),
+  body('employment.monthlyIncome').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('employment.monthlyIncome must be zero or more'),
+  body('employment.yearsEmployed').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('employment.yearsEmployed must be zero or more'),
+  body('employment.workAddress').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('employment.workAddress must be 500 characters or less'),
+  body('references').optional().isArray({ max: 5 }).withMessage('references must be a list of at most 5'),
+  body('references.*.name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each reference needs a name'),
+  body('references.*.relationship').optional().isString().isLength({ max: 50 }).withMessage('reference relationship must be 50 characters or less'),
+  body('references.*.phone').isString().trim().isLength({ min: 7, max: 20 }).withMessage('Each reference needs a phone number'),
+  body('references.*.email').optional({ nullable: true }).isEmail().withMessage('reference email must be valid'),
+  body('kycDocumentIds').optional().isArray({ max: 10 }).withMessage('kycDocumentIds must be a list of at most 10'),
+  body('kycDocumentIds.*').isUUID().withMessage('kycDocumentIds must be UUIDs')
+];
+
+export const applicationValidation = [applicationIdParam];
+
+export const reviewApplicationValidation = [
+  applicationIdParam,
+  body('status')
+    .isIn(['under_review', 'shortlisted', 'rejected'])
+    .withMessage('status must be under_review, shortlisted or rejected'),
+  body('landlordNotes').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('landlordNotes must be 2000 characters or less'),
+  body('rejectionReason').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('rejectionReason must be 500 characters or less')
+];
+
+export const acceptApplicationValidation = [
+  applicationIdParam,
+  ...leaseTermsValidation,
+  body('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  body('renewalNoticeDays').optional().isInt({ min: 0, max: 365 }).withMessage('renewalNoticeDays must be between 0 and 365'),
+  body('keepOtherApplications').optional().isBoolean().withMessage('keepOtherApplications must be a boolean')
+];
+
+export const leaseValidation = [leaseIdParam];
+
+export const terminateLeaseValidation = [
+  leaseIdParam,
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('reason must be 3-500 characters')
+];
+
+export const renewLeaseValidation = [
+  leaseIdParam,
+  ...leaseTermsValidation
+];
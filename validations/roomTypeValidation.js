@@ -0,0 +1,78 @@
+import { body, param, query } from 'express-validator';
+
+const propertyIdParam = param('propertyId').isUUID().withMessage('propertyId must be a valid UUID');
+const roomTypeIdParam = param('roomTypeId').isUUID().withMessage('roomTypeId must be a valid UUID');
+
+const roomTypeFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 5000 }).withMessage('description must be 5000 characters or less'),
+    field('price').isFloat({ gt: 0 }).withMessage('price must be a positive number'),
+    body('maxGuests').optional().isInt({ min: 1, max: 20 }).withMessage('maxGuests must be between 1 and 20'),
+    body('bedType').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('bedType must be 50 characters or less'),
+    body('bedCount').optional().isInt({ min: 1, max: 10 }).withMessage('bedCount must be between 1 and 10'),
+    body('sizeSqm').optional({ nullable: true }).isInt({ min: 1 }).withMessage('sizeSqm must be a positive integer'),
+    body('amenities').optional({ nullable: true }).isArray().withMessage('amenities must be a list'),
+    body('amenities.*').isString().withMessage('amenities must be strings'),
+    field('totalUnits').isInt({ min: 0, max: 1000 }).withMessage('totalUnits must be between 0 and 1000'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('sortOrder must be a positive integer')
+  ];
+};
+
+export const listRoomTypesValidation = [
+  propertyIdParam,
+  query('checkInDate').optional().isISO8601().withMessage('checkInDate must be a valid date'),
+  query('checkOutDate')
+    .optional()
+    .isISO8601()
+    .withMessage('checkOutDate must be a valid date')
+    .custom((value, { req }) => {
+      if (!req.query.checkInDate || new Date(value) <= new Date(req.query.checkInDate)) {
+        throw new Error('checkOutDate must come with a checkInDate before it');
+      }
+      return true;
+    })
+];
+
+export const roomTypeCalendarValidation = [
+  propertyIdParam,
+  roomTypeIdParam,
+  query('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a valid date')
+];
+
+export const createRoomTypeValidation = [
+  propertyIdParam,
+  ...roomTypeFieldValidation(false)
+];
+
+export const updateRoomTypeValidation = [
+  propertyIdParam,
+  roomTypeIdParam,
+  ...roomTypeFieldValidation(true)
+];
+
+export const roomTypeValidation = [propertyIdParam, roomTypeIdParam];
+
+export const setRoomInventoryValidation = [
+  propertyIdParam,
+  roomTypeIdParam,
+  body('startDate').isISO8601().withMessage('startDate must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('endDate must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('endDate cannot be before startDate');
+      }
+      return true;
+    }),
+  body('totalUnits')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('totalUnits must be between 0 and 1000, or null to use the room type default'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('notes must be 255 characters or less')
+];